@@ -0,0 +1,32 @@
+/**
+ * Jest Configuration for the ESMAP AI API Worker
+ * Unit tests live next to the sources in __tests__ directories and run under
+ * Node, whose Request, Response and Web Crypto globals match the Workers runtime.
+ * Sources are only transpiled here; `npm run typecheck` is the type check.
+ */
+
+module.exports = {
+  testEnvironment: 'node',
+  rootDir: '.',
+  testMatch: ['<rootDir>/src/**/__tests__/**/*.test.ts'],
+  moduleFileExtensions: ['ts', 'js', 'json'],
+  transform: {
+    '^.+\\.ts$': [
+      'ts-jest',
+      {
+        tsconfig: {
+          module: 'commonjs',
+          moduleResolution: 'node',
+          target: 'es2020',
+          lib: ['es2020'],
+          strict: true,
+          esModuleInterop: true,
+          skipLibCheck: true,
+          types: ['@cloudflare/workers-types', 'node'],
+          isolatedModules: true
+        }
+      }
+    ]
+  },
+  clearMocks: true
+};
@@ -0,0 +1,139 @@
+/**
+ * Search relevance evaluation
+ *
+ * Sends a judged query set to POST /api/v1/vectorize/evaluate and prints
+ * nDCG@k, MRR and recall@k for each search method, with the change since the
+ * set's previous run. Runs are stored by the API, so results accumulate over time.
+ *
+ * Usage:
+ *   ESMAP_API_TOKEN=... node scripts/evaluate-search.js <query-set.json> [options]
+ *
+ * Options:
+ *   --api <url>             API base (default http://localhost:8787/api/v1)
+ *   --k <n>                 Cut-off rank (default: the set's k, or 10)
+ *   --methods <list>        vector, hybrid or vector,hybrid (default: both)
+ *   --combine-method <m>    weighted_sum, rrf or linear_combination
+ *   --keyword-weight <w>    Hybrid keyword weight, 0-1
+ *   --model <name>          Embedding model for the query text
+ *   --show-queries          Print the scores of every query
+ *   --fail-on-drop <delta>  Exit with status 1 if a metric fell by more than delta since the previous run
+ */
+
+const fs = require('fs');
+
+const METRICS = ['ndcg', 'mrr', 'recall'];
+
+function parseArgs(argv) {
+  const options = { api: 'http://localhost:8787/api/v1' };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const name = arg.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (name === 'showQueries') {
+      options.showQueries = true;
+    } else {
+      options[name] = argv[++i];
+    }
+  }
+
+  return { file: positional[0], options };
+}
+
+function formatMetric(value) {
+  return value.toFixed(4);
+}
+
+function formatDelta(value, previous) {
+  if (previous === undefined) return '';
+  const delta = value - previous;
+  return ` (${delta >= 0 ? '+' : ''}${delta.toFixed(4)})`;
+}
+
+function printRun(run, showQueries) {
+  console.log(`\n${run.method} search @${run.k} - ${run.query_count} queries`);
+  for (const metric of METRICS) {
+    const label = metric === 'mrr' ? 'MRR' : `${metric === 'ndcg' ? 'nDCG' : 'recall'}@${run.k}`;
+    console.log(`  ${label.padEnd(10)} ${formatMetric(run.metrics[metric])}${formatDelta(run.metrics[metric], run.previous?.metrics[metric])}`);
+  }
+  if (run.previous) {
+    console.log(`  compared with run ${run.previous.id} (${run.previous.created_at})`);
+  }
+
+  if (showQueries) {
+    for (const query of run.queries) {
+      const top = query.retrieved.slice(0, 3).map(result => `${result.document_id}:${result.relevance}`).join(' ');
+      console.log(`    ${query.query_id.padEnd(16)} nDCG ${formatMetric(query.ndcg)}  RR ${formatMetric(query.reciprocal_rank)}  recall ${formatMetric(query.recall)}  ${top}`);
+    }
+  }
+}
+
+/**
+ * Metrics of a run that fell by more than maxDrop since its previous run
+ */
+function regressions(run, maxDrop) {
+  if (!run.previous) return [];
+  return METRICS
+    .filter(metric => run.previous.metrics[metric] - run.metrics[metric] > maxDrop)
+    .map(metric => `${run.method} ${metric}`);
+}
+
+async function main() {
+  const { file, options } = parseArgs(process.argv.slice(2));
+  if (!file) {
+    console.error('Usage: node scripts/evaluate-search.js <query-set.json> [--api url] [--k n] [--methods vector,hybrid] [--show-queries] [--fail-on-drop delta]');
+    process.exit(2);
+  }
+
+  const querySet = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const body = {
+    ...querySet,
+    k: options.k ? parseInt(options.k, 10) : querySet.k,
+    methods: options.methods ? options.methods.split(',') : querySet.methods,
+    combine_method: options.combineMethod ?? querySet.combine_method,
+    keyword_weight: options.keywordWeight ? parseFloat(options.keywordWeight) : querySet.keyword_weight,
+    model: options.model ?? querySet.model
+  };
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.ESMAP_API_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.ESMAP_API_TOKEN}`;
+  }
+
+  console.log(`🔎 Evaluating "${querySet.name}" (${querySet.queries.length} queries) against ${options.api}`);
+  const response = await fetch(`${options.api}/vectorize/evaluate`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+  const payload = await response.json();
+
+  if (!response.ok || !payload.success) {
+    console.error(`❌ Evaluation failed (${response.status}): ${payload.error}`);
+    process.exit(1);
+  }
+
+  for (const run of payload.data) {
+    printRun(run, options.showQueries);
+  }
+
+  if (options.failOnDrop !== undefined) {
+    const dropped = payload.data.flatMap(run => regressions(run, parseFloat(options.failOnDrop)));
+    if (dropped.length > 0) {
+      console.error(`\n❌ Relevance dropped by more than ${options.failOnDrop}: ${dropped.join(', ')}`);
+      process.exit(1);
+    }
+  }
+
+  console.log('\n✅ Evaluation stored');
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
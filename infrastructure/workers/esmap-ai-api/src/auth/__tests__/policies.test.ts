@@ -0,0 +1,179 @@
+/**
+ * Unit tests for route access policies and request authorization
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import { matchesPattern, findRoutePolicy, ROUTE_POLICIES, RoutePolicy } from '../policies';
+import { authorizeRequest } from '../authorization';
+import { AuthService, AuthContext } from '../auth-service';
+import { ApiError } from '../../utils/error-handler';
+import type { UserRole } from '../../database/models/types';
+import type { Env } from '../../types';
+
+const env = { DB: {} } as unknown as Env;
+
+function accessFor(method: string, path: string) {
+  return findRoutePolicy(method, path)?.access;
+}
+
+function signedIn(role: UserRole): AuthContext {
+  return {
+    user: { id: 7, email: `${role}@example.org`, name: role, role, rateLimitTier: 'standard' },
+    method: 'api_key'
+  };
+}
+
+function request(method: string, path: string, credentials = false): Request {
+  return new Request(`https://api.example.org${path}`, {
+    method,
+    headers: credentials ? { 'X-API-Key': 'esk_test' } : {}
+  });
+}
+
+async function authorizationError(promise: Promise<unknown>): Promise<ApiError> {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    return error as ApiError;
+  }
+  throw new Error('Expected authorization to fail');
+}
+
+describe('matchesPattern', () => {
+  it('matches literal segments exactly', () => {
+    expect(matchesPattern('/api/v1/storage/stats', '/api/v1/storage/stats')).toBe(true);
+    expect(matchesPattern('/api/v1/storage/stats', '/api/v1/storage/stats/extra')).toBe(false);
+    expect(matchesPattern('/api/v1/storage/stats', '/api/v1/storage')).toBe(false);
+  });
+
+  it('matches * against exactly one segment', () => {
+    expect(matchesPattern('/api/v1/storage/download/*', '/api/v1/storage/download/abc')).toBe(true);
+    expect(matchesPattern('/api/v1/storage/download/*', '/api/v1/storage/download')).toBe(false);
+    expect(matchesPattern('/api/v1/storage/download/*', '/api/v1/storage/download/abc/def')).toBe(false);
+  });
+
+  it('matches ** against any remaining segments, including none', () => {
+    expect(matchesPattern('/api/v1/esmap/**', '/api/v1/esmap')).toBe(true);
+    expect(matchesPattern('/api/v1/esmap/**', '/api/v1/esmap/countries/KEN/indicators')).toBe(true);
+    expect(matchesPattern('/api/v1/esmap/**', '/api/v1/esmapx')).toBe(false);
+  });
+
+  it('ignores leading, trailing and repeated slashes', () => {
+    expect(matchesPattern('/health', '/health/')).toBe(true);
+    expect(matchesPattern('/api/v1/auth/me', '//api/v1//auth/me')).toBe(true);
+  });
+});
+
+describe('findRoutePolicy', () => {
+  it('denies routes and methods without a policy', () => {
+    expect(findRoutePolicy('GET', '/api/v2/anything')).toBeUndefined();
+    expect(findRoutePolicy('DELETE', '/api/v1/database/countries')).toBeUndefined();
+    expect(findRoutePolicy('POST', '/api/v1/esmap/countries')).toBeUndefined();
+    expect(findRoutePolicy('PUT', '/health')).toBeUndefined();
+  });
+
+  it('uses the first matching policy', () => {
+    const policies: RoutePolicy[] = [
+      { pattern: '/reports/admin', methods: ['GET'], access: ['admin'] },
+      { pattern: '/reports/**', methods: ['GET'], access: 'public' }
+    ];
+
+    expect(findRoutePolicy('GET', '/reports/admin', policies)?.access).toEqual(['admin']);
+    expect(findRoutePolicy('GET', '/reports/monthly', policies)?.access).toBe('public');
+  });
+
+  it('matches methods case-insensitively and honours the * method list', () => {
+    expect(findRoutePolicy('get', '/health')?.access).toBe('public');
+    expect(accessFor('PATCH', '/api/v1/database/migrate')).toEqual(['admin']);
+  });
+
+  it('keeps schema changes and raw SQL away from public database reads', () => {
+    expect(accessFor('GET', '/api/v1/database/migrations')).toEqual(['admin']);
+    expect(accessFor('POST', '/api/v1/database/migrate/rollback')).toEqual(['admin']);
+    expect(accessFor('POST', '/api/v1/database/seed')).toEqual(['admin']);
+    expect(accessFor('POST', '/api/v1/database/query')).toEqual(['admin', 'analyst']);
+    expect(accessFor('GET', '/api/v1/database/countries')).toBe('public');
+  });
+
+  it('requires credentials for storage except signed share links', () => {
+    expect(accessFor('GET', '/api/v1/storage/download/file-1')).toBe('authenticated');
+    expect(accessFor('POST', '/api/v1/storage/upload')).toEqual(['admin', 'analyst', 'user']);
+    expect(accessFor('DELETE', '/api/v1/storage/delete/file-1')).toEqual(['admin', 'analyst']);
+    expect(accessFor('POST', '/api/v1/storage/bulk')).toEqual(['admin']);
+    expect(accessFor('GET', '/api/v1/storage/shared/token')).toBe('public');
+  });
+
+  it('never shadows a restricted policy with a public one', () => {
+    for (const policy of ROUTE_POLICIES) {
+      const methods = policy.methods === '*' ? ['GET'] : policy.methods;
+      const path = policy.pattern.replace(/\*\*/g, 'rest').replace(/\*/g, 'id');
+
+      // An earlier policy may legitimately shadow a later one, but never with wider access
+      for (const method of methods) {
+        const matched = findRoutePolicy(method, path);
+        expect(matched).toBeDefined();
+        if (matched !== policy && matched!.access === 'public') {
+          expect(policy.access).toBe('public');
+        }
+      }
+    }
+  });
+});
+
+describe('authorizeRequest', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects requests that match no policy with 403', async () => {
+    const error = await authorizationError(authorizeRequest(request('GET', '/internal/debug'), env, '/internal/debug'));
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('allows public routes without credentials', async () => {
+    const result = await authorizeRequest(request('GET', '/health'), env, '/health');
+    expect(result.auth).toBeNull();
+    expect(result.policy.access).toBe('public');
+  });
+
+  it('does not fail public routes because of bad credentials', async () => {
+    jest.spyOn(AuthService.prototype, 'authenticate').mockRejectedValue(new Error('bad token'));
+
+    const result = await authorizeRequest(request('GET', '/health', true), env, '/health');
+    expect(result.auth).toBeNull();
+  });
+
+  it('requires credentials for protected routes', async () => {
+    const missing = await authorizationError(
+      authorizeRequest(request('GET', '/api/v1/auth/me'), env, '/api/v1/auth/me')
+    );
+    expect(missing.statusCode).toBe(401);
+
+    jest.spyOn(AuthService.prototype, 'authenticate').mockResolvedValue(null);
+    const invalid = await authorizationError(
+      authorizeRequest(request('GET', '/api/v1/auth/me', true), env, '/api/v1/auth/me')
+    );
+    expect(invalid.statusCode).toBe(401);
+  });
+
+  it('enforces role lists', async () => {
+    const authenticate = jest.spyOn(AuthService.prototype, 'authenticate');
+    const path = '/api/v1/storage/bulk';
+
+    authenticate.mockResolvedValue(signedIn('analyst'));
+    const forbidden = await authorizationError(authorizeRequest(request('POST', path, true), env, path));
+    expect(forbidden.statusCode).toBe(403);
+
+    authenticate.mockResolvedValue(signedIn('admin'));
+    const allowed = await authorizeRequest(request('POST', path, true), env, path);
+    expect(allowed.auth?.user.role).toBe('admin');
+  });
+
+  it('accepts any signed-in role on authenticated routes', async () => {
+    jest.spyOn(AuthService.prototype, 'authenticate').mockResolvedValue(signedIn('viewer'));
+
+    const result = await authorizeRequest(request('GET', '/api/v1/storage/stats', true), env, '/api/v1/storage/stats');
+    expect(result.auth?.user.role).toBe('viewer');
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Unit tests for response size metering
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { meterResponse } from '../usage-metering';
+
+function streamOf(chunks: number[]): ReadableStream<Uint8Array> {
+  return new ReadableStream({
+    start(controller) {
+      for (const length of chunks) controller.enqueue(new Uint8Array(length));
+      controller.close();
+    }
+  });
+}
+
+describe('meterResponse', () => {
+  it('uses a declared Content-Length without touching the body', async () => {
+    const response = new Response('hello', { headers: { 'Content-Length': '5' } });
+    const metered = meterResponse(response);
+
+    expect(metered.response).toBe(response);
+    await expect(metered.size).resolves.toBe(5);
+  });
+
+  it('counts streamed bytes as the body is read', async () => {
+    const metered = meterResponse(new Response(streamOf([1024, 2048, 10]), { status: 206, headers: { 'X-File-Id': 'f1' } }));
+
+    expect(metered.response.status).toBe(206);
+    expect(metered.response.headers.get('X-File-Id')).toBe('f1');
+
+    const body = await metered.response.arrayBuffer();
+    expect(body.byteLength).toBe(3082);
+    await expect(metered.size).resolves.toBe(3082);
+  });
+
+  it('reports the bytes sent before the client cancelled', async () => {
+    const metered = meterResponse(new Response(streamOf([100, 100, 100])));
+    const reader = metered.response.body!.getReader();
+
+    await reader.read();
+    await reader.cancel();
+
+    const size = await metered.size;
+    expect(size).toBeGreaterThanOrEqual(100);
+    expect(size).toBeLessThanOrEqual(300);
+  });
+
+  it('does not meter event streams or empty bodies', async () => {
+    const stream = new Response(streamOf([10]), { headers: { 'Content-Type': 'text/event-stream' } });
+
+    await expect(meterResponse(stream).size).resolves.toBeUndefined();
+    await expect(meterResponse(new Response(null, { status: 204 })).size).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * Authentication Service
+ * User registration, login, session management, API keys and password resets backed by D1
+ */
+
+import type { Env } from '../types';
+import type { User, UserRole } from '../database/models/types';
+import { UserService } from '../database/services/user-service';
+import { ApiError } from '../utils/error-handler';
+import {
+  hashPassword,
+  verifyPassword,
+  signSessionToken,
+  verifySessionToken,
+  generateRandomToken,
+  sha256Hex,
+  SessionTokenClaims
+} from './crypto';
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+const RESET_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_ROLE: UserRole = 'viewer';
+const API_KEY_PREFIX = 'esk_';
+const API_KEY_DISPLAY_LENGTH = 12;
+
+export interface PublicUser {
+  id: number;
+  email: string;
+  name: string;
+  organization?: string;
+  role: UserRole;
+  rateLimitTier: string;
+  apiKeyPrefix?: string;
+  lastLogin?: string;
+  createdAt?: string;
+}
+
+export interface AuthSession {
+  token: string;
+  expiresAt: string;
+  user: PublicUser;
+}
+
+export interface AuthContext {
+  user: PublicUser;
+  method: 'session' | 'api_key';
+  sessionId?: string;
+}
+
+export interface IssuedApiKey {
+  apiKey: string;
+  prefix: string;
+  createdAt: string;
+}
+
+export interface RegisterRequest {
+  email: string;
+  password: string;
+  name: string;
+  organization?: string;
+}
+
+export interface RequestMetadata {
+  ipAddress?: string;
+  userAgent?: string;
+}
+
+export class AuthService {
+  private users: UserService;
+  private secret?: string;
+
+  constructor(env: Env) {
+    this.users = new UserService(env);
+    this.secret = env.AUTH_SECRET;
+  }
+
+  /**
+   * Register a new user and open a session
+   */
+  async register(request: RegisterRequest, metadata: RequestMetadata = {}): Promise<AuthSession> {
+    const email = request.email?.trim().toLowerCase();
+
+    if (!email || !/\S+@\S+\.\S+/.test(email)) {
+      throw new ApiError('A valid email address is required', 400, 'INVALID_EMAIL');
+    }
+    if (!request.name?.trim()) {
+      throw new ApiError('Name is required', 400, 'MISSING_NAME');
+    }
+    this.validatePassword(request.password);
+
+    if (await this.users.getByEmail(email)) {
+      throw new ApiError('An account with this email already exists', 409, 'EMAIL_TAKEN');
+    }
+
+    const user = await this.users.create({
+      email,
+      name: request.name.trim(),
+      organization: request.organization?.trim() || undefined,
+      role: DEFAULT_ROLE,
+      is_active: true,
+      password_hash: await hashPassword(request.password)
+    });
+
+    return await this.createSession(user, metadata);
+  }
+
+  /**
+   * Verify credentials and open a session
+   */
+  async login(email: string, password: string, metadata: RequestMetadata = {}): Promise<AuthSession> {
+    if (!email || !password) {
+      throw new ApiError('Email and password are required', 400, 'MISSING_CREDENTIALS');
+    }
+
+    const user = await this.users.getByEmail(email);
+
+    // Same error for unknown users and wrong passwords to avoid account enumeration
+    if (!user || !user.password_hash || !(await verifyPassword(password, user.password_hash))) {
+      throw new ApiError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
+    }
+    if (!user.is_active) {
+      throw new ApiError('Account is disabled', 403, 'ACCOUNT_DISABLED');
+    }
+
+    await this.users.recordLogin(user.id!);
+
+    return await this.createSession(user, metadata);
+  }
+
+  /**
+   * Revoke the session behind a token
+   */
+  async logout(token: string): Promise<void> {
+    const claims = await verifySessionToken(token, this.getSecret());
+    if (claims) {
+      await this.users.revokeSession(claims.jti);
+    }
+  }
+
+  /**
+   * Resolve the authenticated user for a request, or null if unauthenticated.
+   * A bearer session token takes precedence over an X-API-Key header.
+   */
+  async authenticate(request: Request): Promise<AuthContext | null> {
+    const token = AuthService.extractBearerToken(request);
+    if (!token) {
+      const apiKey = AuthService.extractApiKey(request);
+      return apiKey ? await this.authenticateApiKey(apiKey) : null;
+    }
+
+    const claims = await verifySessionToken(token, this.getSecret());
+    if (!claims) return null;
+
+    const session = await this.users.getSession(claims.jti);
+    if (!session || session.revoked_at || new Date(session.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    const user = await this.users.getById(parseInt(claims.sub, 10));
+    if (!user || !user.is_active) return null;
+
+    return { user: AuthService.toPublicUser(user), method: 'session', sessionId: claims.jti };
+  }
+
+  /**
+   * Resolve the user owning an API key, or null if the key is unknown
+   */
+  async authenticateApiKey(apiKey: string): Promise<AuthContext | null> {
+    if (!apiKey.startsWith(API_KEY_PREFIX)) return null;
+
+    const user = await this.users.getByApiKeyHash(await sha256Hex(apiKey));
+    if (!user || !user.is_active) return null;
+
+    return { user: AuthService.toPublicUser(user), method: 'api_key' };
+  }
+
+  /**
+   * Issue a new API key for a user, replacing any existing key.
+   * The plaintext key is only available in the return value.
+   */
+  async issueApiKey(userId: number): Promise<IssuedApiKey> {
+    const apiKey = `${API_KEY_PREFIX}${generateRandomToken()}`;
+    const prefix = apiKey.substring(0, API_KEY_DISPLAY_LENGTH);
+
+    await this.users.setApiKey(userId, await sha256Hex(apiKey), prefix);
+
+    return { apiKey, prefix, createdAt: new Date().toISOString() };
+  }
+
+  /**
+   * Revoke a user's API key. Returns false if the user had no key.
+   */
+  async revokeApiKey(userId: number): Promise<boolean> {
+    return await this.users.clearApiKey(userId);
+  }
+
+  /**
+   * Issue a single-use password reset token. Returns null for unknown emails
+   * so callers can respond identically either way.
+   */
+  async requestPasswordReset(email: string): Promise<{ token: string; expiresAt: string } | null> {
+    if (!email) {
+      throw new ApiError('Email is required', 400, 'MISSING_EMAIL');
+    }
+
+    const user = await this.users.getByEmail(email);
+    if (!user || !user.is_active) return null;
+
+    const token = generateRandomToken();
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_SECONDS * 1000).toISOString();
+
+    await this.users.createPasswordResetToken({
+      user_id: user.id!,
+      token_hash: await sha256Hex(token),
+      expires_at: expiresAt
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * Set a new password using a reset token and revoke all existing sessions
+   */
+  async confirmPasswordReset(token: string, newPassword: string): Promise<void> {
+    if (!token) {
+      throw new ApiError('Reset token is required', 400, 'MISSING_RESET_TOKEN');
+    }
+    this.validatePassword(newPassword);
+
+    const resetToken = await this.users.getPasswordResetToken(await sha256Hex(token));
+    if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at).getTime() <= Date.now()) {
+      throw new ApiError('Reset token is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    // Claim the token first so concurrent requests cannot reuse it
+    if (!(await this.users.markPasswordResetTokenUsed(resetToken.id!))) {
+      throw new ApiError('Reset token is invalid or has expired', 400, 'INVALID_RESET_TOKEN');
+    }
+
+    await this.users.update(resetToken.user_id, { password_hash: await hashPassword(newPassword) });
+    await this.users.revokeAllSessions(resetToken.user_id);
+  }
+
+  static extractBearerToken(request: Request): string | null {
+    const header = request.headers.get('Authorization');
+    if (!header) return null;
+
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  static extractApiKey(request: Request): string | null {
+    const header = request.headers.get('X-API-Key');
+    return header ? header.trim() || null : null;
+  }
+
+  static hasCredentials(request: Request): boolean {
+    return AuthService.extractBearerToken(request) !== null || AuthService.extractApiKey(request) !== null;
+  }
+
+  static toPublicUser(user: User): PublicUser {
+    return {
+      id: user.id!,
+      email: user.email,
+      name: user.name,
+      organization: user.organization || undefined,
+      role: (user.role || DEFAULT_ROLE) as UserRole,
+      rateLimitTier: user.rate_limit_tier || 'standard',
+      apiKeyPrefix: user.api_key_prefix || undefined,
+      lastLogin: user.last_login,
+      createdAt: user.created_at
+    };
+  }
+
+  private async createSession(user: User, metadata: RequestMetadata): Promise<AuthSession> {
+    const now = Math.floor(Date.now() / 1000);
+    const claims: SessionTokenClaims = {
+      sub: String(user.id),
+      email: user.email,
+      role: user.role || DEFAULT_ROLE,
+      jti: crypto.randomUUID(),
+      iat: now,
+      exp: now + SESSION_TTL_SECONDS
+    };
+    const expiresAt = new Date(claims.exp * 1000).toISOString();
+
+    await this.users.createSession({
+      id: claims.jti,
+      user_id: user.id!,
+      expires_at: expiresAt,
+      ip_address: metadata.ipAddress,
+      user_agent: metadata.userAgent
+    });
+
+    return {
+      token: await signSessionToken(claims, this.getSecret()),
+      expiresAt,
+      user: AuthService.toPublicUser(user)
+    };
+  }
+
+  private validatePassword(password: string): void {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ApiError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, 'WEAK_PASSWORD');
+    }
+  }
+
+  private getSecret(): string {
+    if (!this.secret) {
+      throw new ApiError('Authentication is not configured', 500, 'AUTH_NOT_CONFIGURED');
+    }
+    return this.secret;
+  }
+}
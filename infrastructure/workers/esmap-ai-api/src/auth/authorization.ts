@@ -0,0 +1,53 @@
+/**
+ * Request Authorization
+ * Applies ROUTE_POLICIES to incoming requests before they are dispatched
+ */
+
+import type { Env } from '../types';
+import { ApiError } from '../utils/error-handler';
+import { AuthService, AuthContext } from './auth-service';
+import { findRoutePolicy, RoutePolicy, ROUTE_POLICIES } from './policies';
+
+export interface AuthorizationResult {
+  auth: AuthContext | null;
+  policy: RoutePolicy;
+}
+
+/**
+ * Authorize a request against the route policies.
+ * Throws 401 when credentials are required but missing or invalid,
+ * and 403 when the caller's role is not permitted or no policy matches.
+ */
+export async function authorizeRequest(
+  request: Request,
+  env: Env,
+  path: string,
+  policies: RoutePolicy[] = ROUTE_POLICIES
+): Promise<AuthorizationResult> {
+  const policy = findRoutePolicy(request.method, path, policies);
+
+  if (!policy) {
+    throw new ApiError(`Access to ${request.method} ${path} is not permitted`, 403, 'FORBIDDEN');
+  }
+
+  const authService = new AuthService(env);
+  const hasCredentials = AuthService.hasCredentials(request);
+
+  if (policy.access === 'public') {
+    // Resolve the caller when possible so handlers can attribute public calls,
+    // but never fail a public request because of bad credentials
+    const auth = hasCredentials ? await authService.authenticate(request).catch(() => null) : null;
+    return { auth, policy };
+  }
+
+  const auth = hasCredentials ? await authService.authenticate(request) : null;
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+
+  if (policy.access !== 'authenticated' && !policy.access.includes(auth.user.role)) {
+    throw new ApiError(`Role '${auth.user.role}' is not permitted to ${request.method} ${path}`, 403, 'FORBIDDEN');
+  }
+
+  return { auth, policy };
+}
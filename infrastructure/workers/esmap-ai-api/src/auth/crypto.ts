@@ -0,0 +1,186 @@
+/**
+ * Authentication crypto primitives built on WebCrypto
+ * Password hashing (PBKDF2), HMAC-signed tokens and random secrets
+ */
+
+const PASSWORD_ALGORITHM = 'pbkdf2_sha256';
+const PASSWORD_ITERATIONS = 100000; // Workers runtime upper bound for PBKDF2
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export function base64UrlEncode(input: ArrayBuffer | Uint8Array | string): string {
+  const bytes = typeof input === 'string'
+    ? encoder.encode(input)
+    : input instanceof Uint8Array ? input : new Uint8Array(input);
+
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function base64UrlDecode(input: string): Uint8Array {
+  const base64 = input.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+export function base64UrlDecodeToString(input: string): string {
+  return decoder.decode(base64UrlDecode(input));
+}
+
+/**
+ * Constant-time comparison of two byte sequences
+ */
+export function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+/**
+ * Generate a URL-safe random token
+ */
+export function generateRandomToken(bytes: number = 32): string {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(bytes)));
+}
+
+export async function sha256Hex(input: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(input));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+async function deriveKey(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    KEY_BITS
+  );
+
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a random salt.
+ * Format: pbkdf2_sha256$<iterations>$<salt>$<hash>
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await deriveKey(password, salt, PASSWORD_ITERATIONS);
+
+  return [PASSWORD_ALGORITHM, PASSWORD_ITERATIONS, base64UrlEncode(salt), base64UrlEncode(hash)].join('$');
+}
+
+export async function verifyPassword(password: string, storedHash: string): Promise<boolean> {
+  const [algorithm, iterations, salt, hash] = storedHash.split('$');
+  if (algorithm !== PASSWORD_ALGORITHM || !iterations || !salt || !hash) {
+    return false;
+  }
+
+  const expected = base64UrlDecode(hash);
+  const actual = await deriveKey(password, base64UrlDecode(salt), parseInt(iterations, 10));
+
+  return timingSafeEqual(actual, expected);
+}
+
+async function importHmacKey(secret: string): Promise<CryptoKey> {
+  return await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+/**
+ * Sign a payload with HMAC-SHA256, returning a base64url signature
+ */
+export async function hmacSign(payload: string, secret: string): Promise<string> {
+  const key = await importHmacKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return base64UrlEncode(signature);
+}
+
+export async function hmacVerify(payload: string, signature: string, secret: string): Promise<boolean> {
+  const key = await importHmacKey(secret);
+  try {
+    return await crypto.subtle.verify('HMAC', key, base64UrlDecode(signature), encoder.encode(payload));
+  } catch {
+    return false;
+  }
+}
+
+export interface SessionTokenClaims {
+  sub: string; // user id
+  email: string;
+  role: string;
+  jti: string; // session id
+  iat: number;
+  exp: number;
+}
+
+/**
+ * Create an HS256 JWT session token
+ */
+export async function signSessionToken(claims: SessionTokenClaims, secret: string): Promise<string> {
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const signature = await hmacSign(`${header}.${payload}`, secret);
+
+  return `${header}.${payload}.${signature}`;
+}
+
+/**
+ * Verify an HS256 JWT session token. Returns null when the signature
+ * is invalid, the token is malformed or it has expired.
+ */
+export async function verifySessionToken(token: string, secret: string): Promise<SessionTokenClaims | null> {
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+
+  try {
+    const { alg } = JSON.parse(base64UrlDecodeToString(header));
+    if (alg !== 'HS256') return null;
+
+    if (!(await hmacVerify(`${header}.${payload}`, signature, secret))) {
+      return null;
+    }
+
+    const claims = JSON.parse(base64UrlDecodeToString(payload)) as SessionTokenClaims;
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+
+    return claims;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Route Access Policies
+ * Declarative map of route + method to the roles allowed to call it.
+ *
+ * Patterns match path segments: `*` matches exactly one segment and `**`
+ * matches any remaining segments (including none). Policies are evaluated
+ * in order and the first match wins. A request that matches no policy is
+ * denied, so new routes must be added here before they become reachable.
+ */
+
+import type { UserRole } from '../database/models/types';
+
+export type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE';
+
+/**
+ * 'public' needs no credentials, 'authenticated' accepts any signed-in user,
+ * a role list restricts access to those roles.
+ */
+export type AccessRequirement = 'public' | 'authenticated' | UserRole[];
+
+export interface RoutePolicy {
+  pattern: string;
+  methods: HttpMethod[] | '*';
+  access: AccessRequirement;
+  description?: string;
+}
+
+export const ADMIN_ONLY: UserRole[] = ['admin'];
+export const ANALYSTS: UserRole[] = ['admin', 'analyst'];
+export const CONTRIBUTORS: UserRole[] = ['admin', 'analyst', 'user'];
+
+export const ROUTE_POLICIES: RoutePolicy[] = [
+  // Service metadata
+  { pattern: '/', methods: ['GET'], access: 'public' },
+  { pattern: '/health', methods: ['GET'], access: 'public' },
+
+  // Authentication
+  { pattern: '/api/v1/auth/register', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/auth/login', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/auth/reset', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/auth/reset/confirm', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/auth/logout', methods: ['POST'], access: 'authenticated' },
+  { pattern: '/api/v1/auth/me', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/auth/api-key', methods: ['POST', 'DELETE'], access: 'authenticated' },
+  { pattern: '/api/v1/auth/usage', methods: ['GET'], access: 'authenticated' },
+
+  // Database: schema changes and raw SQL are admin only, writes need analysts
+  { pattern: '/api/v1/database/migrate', methods: '*', access: ADMIN_ONLY, description: 'Schema migrations' },
+  { pattern: '/api/v1/database/migrate/*', methods: '*', access: ADMIN_ONLY, description: 'Migration rollback and baseline' },
+  { pattern: '/api/v1/database/migrations', methods: '*', access: ADMIN_ONLY, description: 'Migration status' },
+  { pattern: '/api/v1/database/seed', methods: '*', access: ADMIN_ONLY, description: 'Seed data' },
+  { pattern: '/api/v1/database/query', methods: ['POST'], access: ANALYSTS, description: 'Read-only SQL sandbox' },
+  { pattern: '/api/v1/database/queries', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/database/queries', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/database/queries/*', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/database/queries/*', methods: ['PUT', 'DELETE'], access: ANALYSTS },
+  { pattern: '/api/v1/database/queries/*/run', methods: ['POST'], access: 'authenticated' },
+  { pattern: '/api/v1/database/**', methods: ['GET'], access: 'public' },
+  { pattern: '/api/v1/database/countries', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/database/energy-data', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/database/renewable-capacity', methods: ['POST'], access: ANALYSTS },
+
+  // Public reference data
+  { pattern: '/api/v1/data-sources/**', methods: ['GET'], access: 'public' },
+  { pattern: '/api/v1/esmap/**', methods: ['GET'], access: 'public' },
+
+  // ETL pipeline
+  { pattern: '/api/v1/etl/schedules', methods: ['POST'], access: ADMIN_ONLY, description: 'Create ETL schedule' },
+  { pattern: '/api/v1/etl/schedules/**', methods: ['GET'], access: ANALYSTS, description: 'ETL schedules and run history' },
+  { pattern: '/api/v1/etl/schedules/*', methods: ['PUT', 'DELETE'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/etl/schedules/*/run', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/schedules', methods: ['GET'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/watermarks', methods: ['GET'], access: ANALYSTS, description: 'Incremental extraction watermarks' },
+  { pattern: '/api/v1/etl/watermarks/*', methods: ['GET'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/watermarks/*', methods: ['DELETE'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/etl/quarantine/release', methods: ['POST'], access: ADMIN_ONLY, description: 'Bulk release quarantined records by rule' },
+  { pattern: '/api/v1/etl/quarantine', methods: ['GET'], access: ANALYSTS, description: 'Quarantine review' },
+  { pattern: '/api/v1/etl/quarantine/**', methods: ['GET'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/quarantine/*', methods: ['PUT'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/quarantine/*/release', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/quarantine/*/reject', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/transformations', methods: ['GET'], access: ANALYSTS, description: 'Transformation rule registry' },
+  { pattern: '/api/v1/etl/transformations/**', methods: ['GET'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/transformations/*/validate', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/transformations/*/preview', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/transformations/*/versions', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/etl/transformations/*/versions/*/activate', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/etl/transformations/*/active', methods: ['DELETE'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/etl/start', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/etl/**', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/etl/start', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/etl/**', methods: ['GET'], access: 'authenticated' },
+
+  // Storage
+  { pattern: '/api/v1/storage/upload', methods: ['POST'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/uploads', methods: ['GET', 'POST'], access: CONTRIBUTORS, description: 'Resumable multipart uploads' },
+  { pattern: '/api/v1/storage/uploads/*', methods: ['GET', 'DELETE'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/uploads/*/parts/*', methods: ['PUT'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/uploads/*/complete', methods: ['POST'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/download/*', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/storage/datasets', methods: ['GET'], access: 'authenticated', description: 'Dataset versions' },
+  { pattern: '/api/v1/storage/datasets/**', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/storage/datasets/*/versions/*/promote', methods: ['POST'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/datasets/*/retention', methods: ['PUT'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/storage/files/*/preview', methods: ['GET'], access: 'authenticated', description: 'Tabular file preview' },
+  { pattern: '/api/v1/storage/files/*/mappings', methods: ['PUT'], access: CONTRIBUTORS },
+  { pattern: '/api/v1/storage/files/*/shares', methods: ['GET', 'POST'], access: ANALYSTS, description: 'Signed share links' },
+  { pattern: '/api/v1/storage/files/*/shares/*', methods: ['DELETE'], access: ANALYSTS },
+  { pattern: '/api/v1/storage/shared/*', methods: ['GET'], access: 'public' },
+  { pattern: '/api/v1/storage/search', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/storage/stats', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/storage/delete/*', methods: ['DELETE'], access: ANALYSTS },
+  { pattern: '/api/v1/storage/archive', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/storage/bulk', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/storage/optimize', methods: ['GET', 'POST'], access: ADMIN_ONLY, description: 'Storage cost optimization' },
+
+  // Vectorize: searches are read-only, index writes need analysts
+  { pattern: '/api/v1/vectorize/maintenance', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/vectorize/vectors', methods: ['DELETE'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/vectorize/upsert', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/vectorize/embeddings', methods: ['POST'], access: 'authenticated' },
+  { pattern: '/api/v1/vectorize/search', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/vectorize/hybrid-search', methods: ['POST'], access: 'public' },
+  { pattern: '/api/v1/vectorize/evaluate', methods: ['POST'], access: ANALYSTS, description: 'Search relevance evaluation' },
+  { pattern: '/api/v1/vectorize/evaluations', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/vectorize/evaluations/*', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/vectorize/documents', methods: ['GET'], access: 'authenticated', description: 'Document indexing' },
+  { pattern: '/api/v1/vectorize/documents', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/vectorize/documents/*', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/vectorize/documents/*', methods: ['DELETE'], access: ANALYSTS },
+  { pattern: '/api/v1/vectorize/documents/*/chunks', methods: ['GET'], access: 'authenticated' },
+  { pattern: '/api/v1/vectorize/documents/*/reindex', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/vectorize/**', methods: ['GET'], access: 'public' },
+
+  // Resilience
+  { pattern: '/api/v1/resilience/maintenance', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/resilience/sources', methods: ['POST'], access: ADMIN_ONLY },
+  { pattern: '/api/v1/resilience/request', methods: ['POST'], access: ANALYSTS },
+  { pattern: '/api/v1/resilience/**', methods: ['GET'], access: 'public' },
+
+  // AI chat: answers and history belong to the signed-in user
+  { pattern: '/api/v1/ai/chat', methods: ['POST'], access: 'authenticated', description: 'Retrieval-augmented chat' },
+  { pattern: '/api/v1/ai/chat/**', methods: ['GET', 'DELETE'], access: 'authenticated' },
+
+  // AI models
+  { pattern: '/api/v1/ai', methods: ['GET'], access: 'public' },
+  { pattern: '/api/v1/ai/models', methods: ['GET'], access: 'public' },
+  { pattern: '/api/v1/ai/*', methods: ['POST'], access: 'authenticated' }
+];
+
+function matchSegments(patternSegments: string[], pathSegments: string[]): boolean {
+  for (let i = 0; i < patternSegments.length; i++) {
+    const segment = patternSegments[i];
+
+    if (segment === '**') {
+      return true;
+    }
+    if (i >= pathSegments.length) {
+      return false;
+    }
+    if (segment !== '*' && segment !== pathSegments[i]) {
+      return false;
+    }
+  }
+
+  return patternSegments.length === pathSegments.length;
+}
+
+export function matchesPattern(pattern: string, path: string): boolean {
+  const patternSegments = pattern.split('/').filter(Boolean);
+  const pathSegments = path.split('/').filter(Boolean);
+  return matchSegments(patternSegments, pathSegments);
+}
+
+/**
+ * Find the first policy matching a request, or undefined if none does
+ */
+export function findRoutePolicy(
+  method: string,
+  path: string,
+  policies: RoutePolicy[] = ROUTE_POLICIES
+): RoutePolicy | undefined {
+  const upperMethod = method.toUpperCase();
+
+  return policies.find(policy =>
+    (policy.methods === '*' || (policy.methods as string[]).includes(upperMethod)) &&
+    matchesPattern(policy.pattern, path)
+  );
+}
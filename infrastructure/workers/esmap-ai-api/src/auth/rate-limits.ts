@@ -0,0 +1,156 @@
+/**
+ * Tier Rate Limits
+ * Per-user request quotas for the standard, premium and enterprise tiers, counted in KV
+ */
+
+export type RateLimitTier = 'standard' | 'premium' | 'enterprise';
+export type RateLimitWindow = 'minute' | 'day';
+
+export interface TierQuota {
+  requestsPerMinute: number;
+  requestsPerDay: number;
+}
+
+export const TIER_QUOTAS: Record<RateLimitTier, TierQuota> = {
+  standard: { requestsPerMinute: 60, requestsPerDay: 5000 },
+  premium: { requestsPerMinute: 300, requestsPerDay: 50000 },
+  enterprise: { requestsPerMinute: 1200, requestsPerDay: 500000 }
+};
+
+const WINDOW_SECONDS: Record<RateLimitWindow, number> = {
+  minute: 60,
+  day: 24 * 60 * 60
+};
+
+// KV rejects expiration TTLs below 60 seconds
+const MIN_KV_TTL_SECONDS = 60;
+
+export interface QuotaWindowStatus {
+  window: RateLimitWindow;
+  limit: number;
+  used: number;
+  remaining: number;
+  resetAt: number; // epoch seconds
+}
+
+export interface QuotaStatus {
+  tier: RateLimitTier;
+  allowed: boolean;
+  windows: QuotaWindowStatus[];
+  // The window closest to its limit, used for response headers
+  binding: QuotaWindowStatus;
+}
+
+export function resolveTier(tier?: string): RateLimitTier {
+  return tier && tier in TIER_QUOTAS ? tier as RateLimitTier : 'standard';
+}
+
+/**
+ * Fixed-window request counters per user. KV is eventually consistent, so
+ * counts are approximate under heavy concurrency; limits are a fairness
+ * guard rather than a billing source (api_usage is the record of truth).
+ */
+export class TierRateLimiter {
+  private cache?: KVNamespace;
+
+  constructor(cache?: KVNamespace) {
+    this.cache = cache;
+  }
+
+  /**
+   * Count a request against the user's quota. Requests over either limit are
+   * reported as not allowed and are not counted.
+   */
+  async consume(userId: number, tier?: string): Promise<QuotaStatus> {
+    const status = await this.check(userId, tier);
+    if (!status.allowed || !this.cache) {
+      return status;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    await Promise.all(status.windows.map(window =>
+      this.cache!.put(this.getKey(userId, window.window, now), String(window.used + 1), {
+        expirationTtl: Math.max(window.resetAt - now, MIN_KV_TTL_SECONDS)
+      })
+    ));
+
+    const windows = status.windows.map(window => ({
+      ...window,
+      used: window.used + 1,
+      remaining: Math.max(0, window.remaining - 1)
+    }));
+
+    return { ...status, windows, binding: this.getBindingWindow(windows) };
+  }
+
+  /**
+   * Read the user's current quota usage without counting a request
+   */
+  async check(userId: number, tier?: string): Promise<QuotaStatus> {
+    const resolvedTier = resolveTier(tier);
+    const quota = TIER_QUOTAS[resolvedTier];
+    const now = Math.floor(Date.now() / 1000);
+
+    const windows = await Promise.all(
+      (['minute', 'day'] as RateLimitWindow[]).map(async window => {
+        const limit = window === 'minute' ? quota.requestsPerMinute : quota.requestsPerDay;
+        const used = await this.getCount(userId, window, now);
+
+        return {
+          window,
+          limit,
+          used,
+          remaining: Math.max(0, limit - used),
+          resetAt: this.getWindowStart(window, now) + WINDOW_SECONDS[window]
+        };
+      })
+    );
+
+    return {
+      tier: resolvedTier,
+      allowed: windows.every(window => window.used < window.limit),
+      windows,
+      binding: this.getBindingWindow(windows)
+    };
+  }
+
+  static toHeaders(status: QuotaStatus): Record<string, string> {
+    const headers: Record<string, string> = {
+      'X-RateLimit-Tier': status.tier,
+      'X-RateLimit-Limit': String(status.binding.limit),
+      'X-RateLimit-Remaining': String(status.binding.remaining),
+      'X-RateLimit-Reset': String(status.binding.resetAt)
+    };
+
+    if (!status.allowed) {
+      headers['Retry-After'] = String(Math.max(1, status.binding.resetAt - Math.floor(Date.now() / 1000)));
+    }
+
+    return headers;
+  }
+
+  private async getCount(userId: number, window: RateLimitWindow, now: number): Promise<number> {
+    // Without KV there is nothing to count against; allow the request
+    if (!this.cache) return 0;
+
+    const value = await this.cache.get(this.getKey(userId, window, now));
+    return value ? parseInt(value, 10) || 0 : 0;
+  }
+
+  private getKey(userId: number, window: RateLimitWindow, now: number): string {
+    return `ratelimit:user:${userId}:${window}:${this.getWindowStart(window, now)}`;
+  }
+
+  private getWindowStart(window: RateLimitWindow, now: number): number {
+    return now - (now % WINDOW_SECONDS[window]);
+  }
+
+  private getBindingWindow(windows: QuotaWindowStatus[]): QuotaWindowStatus {
+    const exhausted = windows.filter(window => window.remaining === 0);
+    if (exhausted.length > 0) {
+      // Report the exhausted window that frees up last
+      return exhausted.reduce((a, b) => (b.resetAt > a.resetAt ? b : a));
+    }
+    return windows.reduce((a, b) => (b.remaining / b.limit < a.remaining / a.limit ? b : a));
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * API Usage Metering
+ * Records one api_usage row per request with latency and payload sizes
+ */
+
+import type { Env } from '../types';
+import { ApiUsageService } from '../database/services/api-usage-service';
+import { Logger } from '../utils/logger';
+
+export interface UsageContext {
+  userId?: number;
+  path: string;
+  startTime: number;
+}
+
+/**
+ * Persist usage for a completed request. Intended to run inside
+ * ctx.waitUntil so metering never delays or fails the response.
+ */
+export async function recordApiUsage(
+  env: Env,
+  request: Request,
+  response: Response,
+  responseSizePromise: Promise<number | undefined>,
+  context: UsageContext,
+  logger: Logger
+): Promise<void> {
+  if (!env.DB) return;
+
+  const responseTimeMs = Date.now() - context.startTime;
+
+  try {
+    const responseSize = await responseSizePromise;
+
+    await new ApiUsageService(env).record({
+      user_id: context.userId,
+      endpoint: context.path,
+      method: request.method,
+      status_code: response.status,
+      response_time_ms: responseTimeMs,
+      data_source: getDataSource(context.path),
+      request_size_bytes: parseContentLength(request.headers.get('Content-Length')),
+      response_size_bytes: responseSize,
+      ip_address: request.headers.get('CF-Connecting-IP') || undefined,
+      user_agent: request.headers.get('User-Agent') || undefined
+    });
+  } catch (error) {
+    logger.warn('Failed to record API usage', { error: error instanceof Error ? error.message : error });
+  }
+}
+
+/**
+ * The API area a request targets, e.g. 'storage' for /api/v1/storage/files
+ */
+function getDataSource(path: string): string | undefined {
+  const segments = path.split('/').filter(Boolean);
+  if (segments[0] === 'api' && segments.length >= 3) {
+    return segments[2];
+  }
+  return segments[0];
+}
+
+function parseContentLength(value: string | null): number | undefined {
+  if (!value) return undefined;
+  const length = parseInt(value, 10);
+  return Number.isFinite(length) ? length : undefined;
+}
+
+/**
+ * Wrap a response so its body is counted as the runtime streams it to the
+ * client. Bodies are never buffered to measure them: storage downloads stream
+ * R2 objects of up to 50 GB without a Content-Length. The size resolves when
+ * the body has been sent, or with the bytes sent so far if the client goes away.
+ */
+export function meterResponse(response: Response): { response: Response; size: Promise<number | undefined> } {
+  const declared = parseContentLength(response.headers.get('Content-Length'));
+  if (declared !== undefined) {
+    return { response, size: Promise.resolve(declared) };
+  }
+
+  // Event streams stay open for as long as the client listens and are not metered
+  if (!response.body || response.headers.get('Content-Type')?.includes('text/event-stream')) {
+    return { response, size: Promise.resolve(undefined) };
+  }
+
+  let bytes = 0;
+  const counter = new TransformStream<Uint8Array, Uint8Array>({
+    transform(chunk, controller) {
+      bytes += chunk.byteLength;
+      controller.enqueue(chunk);
+    }
+  });
+
+  const size = response.body.pipeTo(counter.writable).then(() => bytes, () => bytes);
+
+  return { response: new Response(counter.readable, response), size };
+}
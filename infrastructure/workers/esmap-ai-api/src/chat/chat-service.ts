@@ -0,0 +1,164 @@
+/**
+ * Chat Service
+ * Retrieval-augmented answers: gather numbered sources for the question, have a
+ * Workers AI model answer from them with inline [n] citations, stream the tokens
+ * and keep the exchange in the user's conversation history.
+ */
+
+import type { Env } from '../types';
+import { ApiError } from '../utils/error-handler';
+import { VectorizeManager } from '../vectorize/vectorize-manager';
+import { ConversationStore } from './conversation-store';
+import { ContextRetriever } from './context-retriever';
+import type { ChatCitation, ChatContext, ChatEvent, ChatMessage, ChatRequest, Conversation } from './types';
+
+export const CHAT_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+export const DEFAULT_TOP_K = 5;
+export const MAX_TOP_K = 10;
+
+const HISTORY_MESSAGES = 6; // earlier turns sent with each question, for follow-ups
+const MAX_ANSWER_TOKENS = 768;
+
+export interface ChatTurn {
+  conversation: Conversation;
+  question: string;
+  history: ChatMessage[];
+  context: ChatContext;
+}
+
+export class ChatService {
+  private store: ConversationStore;
+  private retriever: ContextRetriever;
+
+  constructor(private env: Env) {
+    this.store = new ConversationStore(env.DB);
+    // Without the Vectorize index answers draw on D1 facts alone
+    const vectors = env.VECTORIZE_INDEX && env.CACHE
+      ? new VectorizeManager(env.VECTORIZE_INDEX, env.DB, env.CACHE, undefined, env.AI)
+      : null;
+    this.retriever = new ContextRetriever(env, vectors);
+  }
+
+  /**
+   * Everything that can fail with a proper HTTP status, before any output is
+   * streamed: the conversation is checked, sources retrieved and the question saved
+   */
+  async prepare(userId: number, request: ChatRequest): Promise<ChatTurn> {
+    if (!this.env.AI) {
+      throw new ApiError('Chat needs the Workers AI binding (AI)', 503, 'CHAT_NOT_CONFIGURED');
+    }
+
+    const question = request.message.trim();
+    const existing = request.conversation_id
+      ? await this.store.require(userId, request.conversation_id)
+      : null;
+    const history = existing ? await this.store.recentMessages(existing.id, HISTORY_MESSAGES) : [];
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user')?.content;
+
+    const context = await this.retriever.retrieve(question, {
+      topK: request.top_k ?? DEFAULT_TOP_K,
+      previousQuestion
+    });
+
+    const conversation = existing ?? await this.store.create(userId, question);
+    await this.store.addMessage(conversation.id, 'user', question);
+
+    return { conversation, question, history, context };
+  }
+
+  /**
+   * Stream the answer to a prepared turn, then save it with the sources it cited
+   */
+  async *reply(turn: ChatTurn): AsyncGenerator<ChatEvent> {
+    yield {
+      type: 'context',
+      conversation_id: turn.conversation.id,
+      citations: turn.context.citations,
+      countries: turn.context.countries
+    };
+
+    let answer = '';
+    for await (const text of this.generate(turn)) {
+      answer += text;
+      yield { type: 'token', text };
+    }
+
+    const message = await this.store.addMessage(
+      turn.conversation.id,
+      'assistant',
+      answer.trim(),
+      citedSources(answer, turn.context.citations)
+    );
+    yield { type: 'done', message };
+  }
+
+  private async *generate(turn: ChatTurn): AsyncGenerator<string> {
+    const output = await this.env.AI!.run(CHAT_MODEL, {
+      messages: [
+        { role: 'system', content: systemPrompt(turn.context) },
+        ...turn.history.map(message => ({ role: message.role, content: message.content })),
+        { role: 'user', content: turn.question }
+      ],
+      stream: true,
+      max_tokens: MAX_ANSWER_TOKENS,
+      temperature: 0.2
+    }) as ReadableStream<Uint8Array> | { response?: string };
+
+    if (!(output instanceof ReadableStream)) {
+      if (output.response) yield output.response;
+      return;
+    }
+
+    // Workers AI streams server-sent events: data: {"response": "..."} and a final data: [DONE]
+    const reader = output.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop()!;
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+
+          const text = (JSON.parse(data) as { response?: string }).response;
+          if (text) yield text;
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+}
+
+function systemPrompt(context: ChatContext): string {
+  const instructions = [
+    'You are the ESMAP AI assistant. You answer questions about energy access, renewable energy and energy policy.',
+    'Answer only from the numbered sources below. After each statement, cite the sources it relies on in square brackets, e.g. [2] or [1, 3].',
+    'Quote figures with their year and unit exactly as the sources give them. Do not invent figures, sources or citation numbers.',
+    'If the sources do not answer the question, say so briefly and suggest what data would.'
+  ];
+
+  if (context.passages.length === 0) {
+    return `${instructions.join('\n')}\n\nNo sources were found for this question.`;
+  }
+
+  const sources = context.passages.map((passage, index) => `[${index + 1}] ${passage}`).join('\n\n');
+  return `${instructions.join('\n')}\n\nSources:\n\n${sources}`;
+}
+
+/**
+ * The sources an answer actually cites
+ */
+export function citedSources(answer: string, citations: ChatCitation[]): ChatCitation[] {
+  const cited = new Set<number>();
+  for (const match of answer.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    match[1].split(',').forEach(number => cited.add(Number(number)));
+  }
+  return citations.filter(citation => cited.has(citation.index));
+}
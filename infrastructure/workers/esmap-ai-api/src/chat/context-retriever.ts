@@ -0,0 +1,206 @@
+/**
+ * Context Retriever
+ * Gathers the sources for a chat answer: passages from indexed documents via
+ * hybrid search, and the latest energy_data and renewable_capacity rows for the
+ * countries the question names. Each source becomes one numbered citation.
+ */
+
+import type { Env } from '../types';
+import { VectorizeManager } from '../vectorize/vectorize-manager';
+import { EnergyDataService } from '../database/services/energy-data-service';
+import { RenewableCapacityService } from '../database/services/renewable-capacity-service';
+import type { EnergyData, RenewableCapacity } from '../database/models/types';
+import type { ChatCitation, ChatContext, DatasetCitation, DocumentCitation } from './types';
+
+const MAX_COUNTRIES = 3;
+const MAX_FACT_ROWS = 15;
+const MAX_PASSAGE_LENGTH = 1500;
+
+interface CountryName {
+  id: number;
+  iso3_code: string;
+  name: string;
+  pattern: RegExp;
+}
+
+type Source<T extends ChatCitation> = { citation: Omit<T, 'index'>; text: string };
+
+export class ContextRetriever {
+  private countries?: Promise<CountryName[]>;
+
+  constructor(private env: Env, private vectors: VectorizeManager | null) {}
+
+  /**
+   * Sources for a question. Follow-ups that name no country ("and its solar
+   * capacity?") use the countries of the previous question.
+   */
+  async retrieve(question: string, options: { topK: number; previousQuestion?: string }): Promise<ChatContext> {
+    let countries = await this.findCountries(question);
+    if (countries.length === 0 && options.previousQuestion) {
+      countries = await this.findCountries(options.previousQuestion);
+    }
+
+    const [passages, facts] = await Promise.all([
+      this.documentPassages(question, options.topK),
+      Promise.all(countries.map(country => this.countryFacts(country)))
+    ]);
+
+    const sources: Source<ChatCitation>[] = [...passages, ...facts.flat()];
+    return {
+      citations: sources.map((source, index) => ({ index: index + 1, ...source.citation }) as ChatCitation),
+      passages: sources.map(source => source.text),
+      countries: countries.map(country => country.iso3_code)
+    };
+  }
+
+  /**
+   * Countries named in the text, by name or ISO3 code, in order of appearance
+   */
+  private async findCountries(text: string): Promise<CountryName[]> {
+    const normalized = normalizeName(text);
+    const found: Array<{ country: CountryName; position: number }> = [];
+
+    for (const country of await this.loadCountries()) {
+      const byName = country.pattern.exec(normalized);
+      const byCode = new RegExp(`\\b${country.iso3_code}\\b`).exec(text);
+      const position = Math.min(byName?.index ?? Infinity, byCode?.index ?? Infinity);
+      if (position !== Infinity) found.push({ country, position });
+    }
+
+    return found
+      .sort((a, b) => a.position - b.position)
+      .slice(0, MAX_COUNTRIES)
+      .map(match => match.country);
+  }
+
+  private loadCountries(): Promise<CountryName[]> {
+    this.countries ??= this.env.DB.prepare('SELECT id, iso3_code, name FROM countries')
+      .all<{ id: number; iso3_code: string; name: string }>()
+      .then(rows => rows.results.map(row => ({
+        ...row,
+        pattern: new RegExp(`(?<![\\p{L}])${escapeRegExp(normalizeName(row.name))}(?![\\p{L}])`, 'iu')
+      })));
+    return this.countries;
+  }
+
+  /**
+   * Chunks of indexed documents that match the question. Hits on vectors that
+   * are not document chunks have no text to quote and are skipped.
+   */
+  private async documentPassages(question: string, topK: number): Promise<Source<DocumentCitation>[]> {
+    if (!this.vectors || topK === 0) return [];
+
+    const search = await this.vectors.hybridSearch({ text: question, topK: topK * 2 });
+    const hits = search.results.filter(result => result.source);
+    if (hits.length === 0) return [];
+
+    const rows = await this.env.DB.prepare(`
+      SELECT c.vector_id, c.content, d.title
+      FROM document_chunks c
+      LEFT JOIN indexed_documents d ON d.dataset_id = c.dataset_id
+      WHERE c.vector_id IN (${hits.map(() => '?').join(', ')})
+    `).bind(...hits.map(hit => hit.id)).all<{ vector_id: string; content: string; title: string | null }>();
+    const chunks = new Map(rows.results.map(row => [row.vector_id, row]));
+
+    const passages: Source<DocumentCitation>[] = [];
+    for (const hit of hits) {
+      const chunk = chunks.get(hit.id);
+      if (!chunk || passages.length >= topK) continue;
+
+      const source = hit.source!;
+      const title = chunk.title || hit.metadata.source;
+      const content = chunk.content.length > MAX_PASSAGE_LENGTH
+        ? `${chunk.content.slice(0, MAX_PASSAGE_LENGTH)}…`
+        : chunk.content;
+      const pages = source.page_start === source.page_end
+        ? `p. ${source.page_start}`
+        : `pp. ${source.page_start}-${source.page_end}`;
+
+      passages.push({
+        citation: {
+          type: 'document',
+          title,
+          vector_id: hit.id,
+          dataset_id: source.dataset_id,
+          file_id: source.file_id,
+          version: source.version,
+          section: source.section,
+          page_start: source.page_start,
+          page_end: source.page_end,
+          url: `/api/v1/storage/download/${encodeURIComponent(source.file_id)}#page=${source.page_start}`
+        },
+        text: `${title}${source.section ? ` - ${source.section}` : ''} (${pages})\n${content}`
+      });
+    }
+
+    return passages;
+  }
+
+  /**
+   * The latest value of each indicator and each technology's capacity, as one source per table
+   */
+  private async countryFacts(country: CountryName): Promise<Source<DatasetCitation>[]> {
+    const [indicators, capacity] = await Promise.all([
+      new EnergyDataService(this.env).getLatestByCountry(country.id) as Promise<Array<EnergyData & { indicator_name: string; indicator_unit: string }>>,
+      new RenewableCapacityService(this.env).getLatestCapacityByCountry(country.id) as Promise<Array<RenewableCapacity & { technology_name: string }>>
+    ]);
+
+    const facts: Source<DatasetCitation>[] = [];
+
+    const indicatorRows = indicators.filter(row => row.value !== null && row.value !== undefined).slice(0, MAX_FACT_ROWS);
+    if (indicatorRows.length > 0) {
+      const title = `Latest energy indicators for ${country.name}`;
+      facts.push({
+        citation: datasetCitation(title, 'energy_data', country, indicatorRows),
+        text: `${title} (energy_data)\n${indicatorRows.map(row =>
+          `- ${row.indicator_name}: ${formatNumber(row.value!)} ${row.unit || row.indicator_unit} (${row.year}, ${row.source}${row.is_estimated ? ', estimated' : ''})`
+        ).join('\n')}`
+      });
+    }
+
+    const capacityRows = capacity.slice(0, MAX_FACT_ROWS);
+    if (capacityRows.length > 0) {
+      const title = `Installed renewable capacity in ${country.name}`;
+      facts.push({
+        citation: datasetCitation(title, 'renewable_capacity', country, capacityRows),
+        text: `${title} (renewable_capacity)\n${capacityRows.map(row =>
+          `- ${row.technology_name}: ${formatNumber(row.capacity_mw)} MW` +
+          `${row.generation_gwh ? `, ${formatNumber(row.generation_gwh)} GWh generated` : ''} (${row.year}, ${row.source})`
+        ).join('\n')}`
+      });
+    }
+
+    return facts;
+  }
+}
+
+function datasetCitation(
+  title: string,
+  table: DatasetCitation['table'],
+  country: CountryName,
+  rows: Array<{ year: number; source: string }>
+): Omit<DatasetCitation, 'index'> {
+  return {
+    type: 'dataset',
+    title,
+    table,
+    country: country.iso3_code,
+    years: [...new Set(rows.map(row => row.year))].sort((a, b) => a - b),
+    sources: [...new Set(rows.map(row => row.source))]
+  };
+}
+
+function formatNumber(value: number): string {
+  return Number(value).toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+/**
+ * Fold accents and typographic apostrophes so "Cote d’Ivoire" finds "Côte d'Ivoire"
+ */
+function normalizeName(text: string): string {
+  return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[\u2018\u2019]/g, "'");
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
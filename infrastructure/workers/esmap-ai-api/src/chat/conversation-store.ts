@@ -0,0 +1,116 @@
+/**
+ * Conversation Store
+ * Per-user chat history in D1 (chat_conversations, chat_messages)
+ */
+
+import { ApiError } from '../utils/error-handler';
+import type { ChatCitation, ChatMessage, ChatRole, Conversation, ConversationWithMessages } from './types';
+
+const TITLE_LENGTH = 80;
+
+export class ConversationStore {
+  constructor(private db: D1Database) {}
+
+  async create(userId: number, firstMessage: string): Promise<Conversation> {
+    const id = crypto.randomUUID();
+    const title = firstMessage.length > TITLE_LENGTH
+      ? `${firstMessage.slice(0, TITLE_LENGTH - 1).trimEnd()}…`
+      : firstMessage;
+
+    await this.db.prepare(
+      'INSERT INTO chat_conversations (id, user_id, title) VALUES (?, ?, ?)'
+    ).bind(id, userId, title).run();
+
+    return (await this.get(userId, id))!;
+  }
+
+  /**
+   * A conversation of the user's; other users' conversations are not found
+   */
+  async get(userId: number, conversationId: string): Promise<Conversation | null> {
+    return await this.db.prepare(
+      'SELECT id, user_id, title, created_at, updated_at FROM chat_conversations WHERE id = ? AND user_id = ?'
+    ).bind(conversationId, userId).first<Conversation>();
+  }
+
+  async require(userId: number, conversationId: string): Promise<Conversation> {
+    const conversation = await this.get(userId, conversationId);
+    if (!conversation) {
+      throw new ApiError(`Conversation not found: ${conversationId}`, 404, 'CONVERSATION_NOT_FOUND');
+    }
+    return conversation;
+  }
+
+  async getWithMessages(userId: number, conversationId: string): Promise<ConversationWithMessages> {
+    const conversation = await this.require(userId, conversationId);
+    const rows = await this.db.prepare(
+      'SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY id ASC'
+    ).bind(conversationId).all();
+
+    return { ...conversation, messages: rows.results.map(rowToMessage) };
+  }
+
+  async list(userId: number, options: { limit: number; offset: number }): Promise<Conversation[]> {
+    const rows = await this.db.prepare(`
+      SELECT id, user_id, title, created_at, updated_at
+      FROM chat_conversations
+      WHERE user_id = ?
+      ORDER BY updated_at DESC, created_at DESC
+      LIMIT ? OFFSET ?
+    `).bind(userId, options.limit, options.offset).all<Conversation>();
+
+    return rows.results;
+  }
+
+  /**
+   * The latest messages of a conversation, oldest first
+   */
+  async recentMessages(conversationId: string, limit: number): Promise<ChatMessage[]> {
+    const rows = await this.db.prepare(`
+      SELECT * FROM (
+        SELECT * FROM chat_messages WHERE conversation_id = ? ORDER BY id DESC LIMIT ?
+      ) ORDER BY id ASC
+    `).bind(conversationId, limit).all();
+
+    return rows.results.map(rowToMessage);
+  }
+
+  async addMessage(
+    conversationId: string,
+    role: ChatRole,
+    content: string,
+    citations: ChatCitation[] = []
+  ): Promise<ChatMessage> {
+    const [inserted] = await this.db.batch([
+      this.db.prepare(`
+        INSERT INTO chat_messages (conversation_id, role, content, citations)
+        VALUES (?, ?, ?, ?)
+        RETURNING *
+      `).bind(conversationId, role, content, JSON.stringify(citations)),
+      this.db.prepare(
+        'UPDATE chat_conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+      ).bind(conversationId)
+    ]);
+
+    return rowToMessage(inserted.results[0] as Record<string, unknown>);
+  }
+
+  async delete(userId: number, conversationId: string): Promise<void> {
+    await this.require(userId, conversationId);
+    await this.db.batch([
+      this.db.prepare('DELETE FROM chat_messages WHERE conversation_id = ?').bind(conversationId),
+      this.db.prepare('DELETE FROM chat_conversations WHERE id = ?').bind(conversationId)
+    ]);
+  }
+}
+
+function rowToMessage(row: Record<string, unknown>): ChatMessage {
+  return {
+    id: row.id as number,
+    conversation_id: row.conversation_id as string,
+    role: row.role as ChatRole,
+    content: row.content as string,
+    citations: row.citations ? JSON.parse(row.citations as string) : [],
+    created_at: row.created_at as string
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Chat Types
+ * Retrieval-augmented assistant: conversations, cited sources and streamed replies
+ */
+
+export type ChatRole = 'user' | 'assistant';
+
+/**
+ * A numbered source given to the model. Answers cite it inline as [n].
+ */
+export type ChatCitation = DocumentCitation | DatasetCitation;
+
+export interface DocumentCitation {
+  index: number;
+  type: 'document';
+  title: string;
+  vector_id: string;
+  dataset_id: string;
+  file_id: string;
+  version?: number;
+  section?: string;
+  page_start: number;
+  page_end: number;
+  url: string; // download link to the file, opening at the cited page
+}
+
+export interface DatasetCitation {
+  index: number;
+  type: 'dataset';
+  title: string;
+  table: 'energy_data' | 'renewable_capacity';
+  country: string; // ISO3 code
+  years: number[];
+  sources: string[]; // upstream sources of the rows, e.g. world_bank, irena
+}
+
+export interface ChatMessage {
+  id: number;
+  conversation_id: string;
+  role: ChatRole;
+  content: string;
+  citations: ChatCitation[];
+  created_at: string;
+}
+
+export interface Conversation {
+  id: string;
+  user_id: number;
+  title: string;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ConversationWithMessages extends Conversation {
+  messages: ChatMessage[];
+}
+
+export interface ChatRequest {
+  message: string;
+  conversation_id?: string; // continue an existing conversation; a new one is started otherwise
+  top_k?: number; // document passages to retrieve
+}
+
+/**
+ * Retrieved material for one question: numbered sources and the text the model sees for each
+ */
+export interface ChatContext {
+  citations: ChatCitation[];
+  passages: string[]; // passages[i] is the text of citations[i]
+  countries: string[]; // ISO3 codes of countries named in the question
+}
+
+export type ChatEvent =
+  | { type: 'context'; conversation_id: string; citations: ChatCitation[]; countries: string[] }
+  | { type: 'token'; text: string }
+  | { type: 'done'; message: ChatMessage };
@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the SQL query sandbox
+ *
+ * Covers statement and keyword checks, the table allowlist at every nesting
+ * level (subqueries, CTEs, parenthesised join sources) and parameter binding.
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import {
+  QuerySandbox,
+  bindParameters,
+  validateParameterDefinitions,
+  resolveParameterValues
+} from '../query-sandbox';
+import { ApiError } from '../../utils/error-handler';
+import type { Env } from '../../types';
+
+const sandbox = new QuerySandbox({ DB: {} } as unknown as Env);
+
+function rejection(query: string): ApiError {
+  try {
+    sandbox.validate(query);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    expect((error as ApiError).statusCode).toBe(400);
+    return error as ApiError;
+  }
+  throw new Error(`Expected query to be rejected: ${query}`);
+}
+
+describe('QuerySandbox.validate', () => {
+  it('accepts a SELECT over allowed tables and reports them', () => {
+    const result = sandbox.validate(
+      'SELECT c.name, e.value FROM countries c JOIN energy_data e ON e.country_code = c.iso_code WHERE e.year > 2015;'
+    );
+
+    expect(result.tables.sort()).toEqual(['countries', 'energy_data']);
+    expect(result.sql.endsWith(';')).toBe(false);
+    expect(result.parameterStyle).toBe('none');
+  });
+
+  it('accepts CTEs, subqueries, table functions and VALUES', () => {
+    expect(sandbox.validate(
+      'WITH recent AS (SELECT * FROM energy_data WHERE year > 2020) SELECT * FROM recent r JOIN countries c ON c.iso_code = r.country_code'
+    ).tables.sort()).toEqual(['countries', 'energy_data']);
+    expect(sandbox.validate('SELECT * FROM (SELECT name FROM countries) AS names').tables).toEqual(['countries']);
+    expect(sandbox.validate('SELECT value FROM json_each(\'[1,2,3]\')').tables).toEqual([]);
+    expect(sandbox.validate('SELECT * FROM (VALUES (1, 2), (3, 4))').tables).toEqual([]);
+  });
+
+  it('accepts allowed tables in parentheses', () => {
+    expect(sandbox.validate('SELECT * FROM (countries)').tables).toEqual(['countries']);
+    expect(sandbox.validate(
+      'SELECT * FROM (countries c JOIN energy_data e ON e.country_code = c.iso_code)'
+    ).tables.sort()).toEqual(['countries', 'energy_data']);
+  });
+
+  it('ignores keywords and table names inside literals and comments', () => {
+    const result = sandbox.validate(
+      "SELECT name FROM countries -- DROP TABLE users\nWHERE name <> 'DELETE FROM users' /* users */"
+    );
+    expect(result.tables).toEqual(['countries']);
+  });
+
+  it('rejects anything other than a single SELECT', () => {
+    expect(rejection('').message).toMatch(/empty/);
+    expect(rejection('DELETE FROM countries').message).toMatch(/Only SELECT/);
+    expect(rejection('SELECT 1; DROP TABLE countries').message).toMatch(/single statement/);
+    expect(rejection('WITH x AS (SELECT 1) DELETE FROM countries').message).toMatch(/DELETE is not allowed/);
+    expect(rejection('SELECT * FROM countries WHERE 1 /* unterminated').message).toMatch(/Unterminated comment/);
+  });
+
+  it('rejects forbidden functions and internal tables', () => {
+    expect(rejection("SELECT load_extension('x')").message).toMatch(/load_extension/);
+    expect(rejection('SELECT * FROM sqlite_master').message).toMatch(/internal table/);
+    expect(rejection('SELECT * FROM main.countries').message).toMatch(/Schema-qualified/);
+    expect(rejection('SELECT * FROM generate_series(1, 10)').message).toMatch(/Table function/);
+  });
+
+  it('rejects tables outside the allowlist at any depth', () => {
+    expect(rejection('SELECT * FROM users').message).toMatch(/Table users/);
+    expect(rejection('SELECT * FROM "users"').message).toMatch(/Table users/);
+    expect(rejection('SELECT * FROM countries, users').message).toMatch(/Table users/);
+    expect(rejection('SELECT * FROM countries WHERE iso_code IN (SELECT id FROM users)').message).toMatch(/Table users/);
+    expect(rejection('SELECT (SELECT password_hash FROM users LIMIT 1) FROM countries').message).toMatch(/Table users/);
+  });
+
+  it('rejects disallowed tables in parenthesised join sources', () => {
+    expect(rejection('SELECT * FROM (users)').message).toMatch(/Table users/);
+    expect(rejection('SELECT * FROM ((users))').message).toMatch(/Table users/);
+    expect(rejection('SELECT c.name FROM countries c JOIN (users) ON 1').message).toMatch(/Table users/);
+    expect(rejection('SELECT c.name, u.password_hash FROM countries c, (users u)').message).toMatch(/Table users/);
+    expect(rejection('SELECT * FROM (countries c JOIN users u ON 1)').message).toMatch(/Table users/);
+  });
+
+  it('does not let a CTE declared in a subquery shadow a table elsewhere', () => {
+    expect(rejection(
+      'SELECT * FROM (WITH users AS (SELECT 1) SELECT * FROM users) x JOIN users ON 1'
+    ).message).toMatch(/Table users/);
+  });
+});
+
+describe('bindParameters', () => {
+  it('binds positional parameters in order', () => {
+    const query = sandbox.validate('SELECT * FROM countries WHERE region = ? AND population > ?');
+    expect(bindParameters(query, ['Africa', 1000])).toEqual({ sql: query.sql, values: ['Africa', 1000] });
+    expect(() => bindParameters(query, ['Africa'])).toThrow(/expects 2 parameter/);
+  });
+
+  it('rewrites named parameters to positional ones', () => {
+    const query = sandbox.validate("SELECT * FROM countries WHERE region = :region AND name <> ':region' AND active = :active");
+    const { sql, values } = bindParameters(query, { region: 'Asia', active: true });
+
+    expect(sql).toBe("SELECT * FROM countries WHERE region = ? AND name <> ':region' AND active = ?");
+    expect(values).toEqual(['Asia', 1]);
+    expect(() => bindParameters(query, { region: 'Asia' })).toThrow(/Missing value for parameter :active/);
+  });
+
+  it('rejects mixed and numbered parameters', () => {
+    expect(rejection('SELECT * FROM countries WHERE a = ? AND b = :b').message).toMatch(/Do not mix/);
+    expect(rejection('SELECT * FROM countries WHERE a = ?1').message).toMatch(/Numbered parameters/);
+  });
+});
+
+describe('saved query parameters', () => {
+  const definitions = [
+    { name: 'region', type: 'string' as const, required: true },
+    { name: 'year', type: 'integer' as const, default: 2020 }
+  ];
+
+  it('requires every used parameter to be declared', () => {
+    const query = sandbox.validate('SELECT * FROM energy_data WHERE region = :region AND year = :year AND unit = :unit');
+    expect(() => validateParameterDefinitions(query, definitions)).toThrow(/not declared: unit/);
+  });
+
+  it('applies defaults and coerces types', () => {
+    expect(resolveParameterValues(definitions, { region: 'Europe' })).toEqual({ region: 'Europe', year: 2020 });
+    expect(resolveParameterValues(definitions, { region: 'Europe', year: '2019' })).toEqual({ region: 'Europe', year: 2019 });
+    expect(() => resolveParameterValues(definitions, { region: 'Europe', year: '2019.5' })).toThrow(/must be a integer/);
+    expect(() => resolveParameterValues(definitions, {})).toThrow(/Missing required parameter: region/);
+  });
+});
@@ -0,0 +1,337 @@
+/**
+ * Migration Runner
+ * Applies and rolls back versioned schema migrations, tracked in schema_migrations.
+ *
+ * Each migration runs as a single D1 batch together with its bookkeeping row,
+ * so a failing statement rolls back the whole migration and leaves the
+ * recorded version untouched.
+ */
+
+import type { Env } from '../types';
+import { ApiError } from '../utils/error-handler';
+import { sha256Hex } from '../auth/crypto';
+import { MIGRATIONS, MigrationDefinition } from './migrations';
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    execution_time_ms INTEGER,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+export interface AppliedMigration {
+  version: string;
+  name: string;
+  checksum: string;
+  execution_time_ms?: number;
+  applied_at: string;
+}
+
+export interface MigrationStatus {
+  currentVersion: string | null;
+  latestVersion: string | null;
+  applied: (AppliedMigration & { modified: boolean })[];
+  pending: { version: string; name: string }[];
+  // Versions recorded in the database that this build does not know about
+  unknown: string[];
+}
+
+export interface MigrationPlanStep {
+  version: string;
+  name: string;
+  direction: 'up' | 'down';
+  statements: string[];
+}
+
+export interface MigrationRunResult {
+  dryRun: boolean;
+  plan: MigrationPlanStep[];
+  completed: { version: string; name: string; executionTimeMs: number }[];
+  currentVersion: string | null;
+}
+
+export interface MigrateOptions {
+  target?: string;
+  dryRun?: boolean;
+}
+
+export interface RollbackOptions {
+  steps?: number;
+  target?: string;
+  dryRun?: boolean;
+}
+
+export class MigrationRunner {
+  private db: D1Database;
+  private migrations: MigrationDefinition[];
+
+  constructor(env: Env, migrations: MigrationDefinition[] = MIGRATIONS) {
+    this.db = env.DB;
+    this.migrations = [...migrations].sort((a, b) => a.version.localeCompare(b.version));
+  }
+
+  async getStatus(): Promise<MigrationStatus> {
+    const applied = await this.getApplied();
+    const appliedVersions = new Set(applied.map(migration => migration.version));
+    const known = new Map(this.migrations.map(migration => [migration.version, migration]));
+
+    const appliedWithChecks = await Promise.all(applied.map(async migration => {
+      const definition = known.get(migration.version);
+      return {
+        ...migration,
+        modified: !!definition && (await sha256Hex(definition.up)) !== migration.checksum
+      };
+    }));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : null,
+      latestVersion: this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : null,
+      applied: appliedWithChecks,
+      pending: this.migrations
+        .filter(migration => !appliedVersions.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: applied.filter(migration => !known.has(migration.version)).map(migration => migration.version)
+    };
+  }
+
+  /**
+   * Apply pending migrations in order, up to and including `target` if given
+   */
+  async migrate(options: MigrateOptions = {}): Promise<MigrationRunResult> {
+    if (options.target) this.requireKnownVersion(options.target);
+
+    const appliedVersions = new Set((await this.getApplied()).map(migration => migration.version));
+    const pending = this.migrations.filter(migration =>
+      !appliedVersions.has(migration.version) &&
+      (!options.target || migration.version <= options.target)
+    );
+
+    const plan = pending.map(migration => this.toPlanStep(migration, 'up'));
+    if (options.dryRun) {
+      return { dryRun: true, plan, completed: [], currentVersion: await this.getCurrentVersion() };
+    }
+
+    const completed: MigrationRunResult['completed'] = [];
+    for (const migration of pending) {
+      const startTime = Date.now();
+      const checksum = await sha256Hex(migration.up);
+
+      await this.runBatch(migration, 'up', [
+        ...splitSqlStatements(migration.up).map(sql => this.db.prepare(sql)),
+        this.db
+          .prepare('INSERT INTO schema_migrations (version, name, checksum, execution_time_ms) VALUES (?, ?, ?, ?)')
+          .bind(migration.version, migration.name, checksum, 0)
+      ], completed);
+
+      const executionTimeMs = Date.now() - startTime;
+      await this.db
+        .prepare('UPDATE schema_migrations SET execution_time_ms = ? WHERE version = ?')
+        .bind(executionTimeMs, migration.version)
+        .run();
+
+      completed.push({ version: migration.version, name: migration.name, executionTimeMs });
+    }
+
+    return { dryRun: false, plan, completed, currentVersion: await this.getCurrentVersion() };
+  }
+
+  /**
+   * Revert applied migrations newest first: the last `steps` (default 1),
+   * or everything above `target` when a target version is given
+   */
+  async rollback(options: RollbackOptions = {}): Promise<MigrationRunResult> {
+    if (options.target) this.requireKnownVersion(options.target);
+
+    const applied = (await this.getApplied()).reverse();
+    const toRevert = options.target
+      ? applied.filter(migration => migration.version > options.target!)
+      : applied.slice(0, Math.max(1, options.steps ?? 1));
+
+    const known = new Map(this.migrations.map(migration => [migration.version, migration]));
+    const missing = toRevert.filter(migration => !known.has(migration.version));
+    if (missing.length > 0) {
+      throw new ApiError(
+        `No down-migration available for version(s) ${missing.map(m => m.version).join(', ')}`,
+        409,
+        'MIGRATION_NOT_REVERSIBLE'
+      );
+    }
+
+    const definitions = toRevert.map(migration => known.get(migration.version)!);
+    const plan = definitions.map(migration => this.toPlanStep(migration, 'down'));
+    if (options.dryRun) {
+      return { dryRun: true, plan, completed: [], currentVersion: await this.getCurrentVersion() };
+    }
+
+    const completed: MigrationRunResult['completed'] = [];
+    for (const migration of definitions) {
+      const startTime = Date.now();
+
+      await this.runBatch(migration, 'down', [
+        ...splitSqlStatements(migration.down).map(sql => this.db.prepare(sql)),
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').bind(migration.version)
+      ], completed);
+
+      completed.push({ version: migration.version, name: migration.name, executionTimeMs: Date.now() - startTime });
+    }
+
+    return { dryRun: false, plan, completed, currentVersion: await this.getCurrentVersion() };
+  }
+
+  /**
+   * Record migrations up to `through` as applied without running them, for
+   * databases whose schema was created before migrations were tracked
+   */
+  async baseline(through: string): Promise<MigrationStatus> {
+    this.requireKnownVersion(through);
+
+    const appliedVersions = new Set((await this.getApplied()).map(migration => migration.version));
+    const toRecord = this.migrations.filter(migration =>
+      migration.version <= through && !appliedVersions.has(migration.version)
+    );
+
+    if (toRecord.length > 0) {
+      const statements = await Promise.all(toRecord.map(async migration =>
+        this.db
+          .prepare('INSERT INTO schema_migrations (version, name, checksum, execution_time_ms) VALUES (?, ?, ?, 0)')
+          .bind(migration.version, migration.name, await sha256Hex(migration.up))
+      ));
+      await this.db.batch(statements);
+    }
+
+    return await this.getStatus();
+  }
+
+  private async runBatch(
+    migration: MigrationDefinition,
+    direction: 'up' | 'down',
+    statements: D1PreparedStatement[],
+    completed: MigrationRunResult['completed']
+  ): Promise<void> {
+    try {
+      await this.db.batch(statements);
+    } catch (error) {
+      const applied = completed.map(step => step.version).join(', ') || 'none';
+      throw new ApiError(
+        `Migration ${migration.version}_${migration.name} (${direction}) failed and was rolled back: ` +
+          `${error instanceof Error ? error.message : 'Unknown error'}. Completed before failure: ${applied}`,
+        500,
+        'MIGRATION_FAILED'
+      );
+    }
+  }
+
+  private async getApplied(): Promise<AppliedMigration[]> {
+    await this.db.prepare(CREATE_MIGRATIONS_TABLE).run();
+    const result = await this.db
+      .prepare('SELECT * FROM schema_migrations ORDER BY version ASC')
+      .all<AppliedMigration>();
+    return result.results || [];
+  }
+
+  private async getCurrentVersion(): Promise<string | null> {
+    const row = await this.db
+      .prepare('SELECT MAX(version) as version FROM schema_migrations')
+      .first<{ version: string | null }>();
+    return row?.version ?? null;
+  }
+
+  private requireKnownVersion(version: string): void {
+    if (!this.migrations.some(migration => migration.version === version)) {
+      throw new ApiError(`Unknown migration version: ${version}`, 400, 'UNKNOWN_MIGRATION');
+    }
+  }
+
+  private toPlanStep(migration: MigrationDefinition, direction: 'up' | 'down'): MigrationPlanStep {
+    return {
+      version: migration.version,
+      name: migration.name,
+      direction,
+      statements: splitSqlStatements(direction === 'up' ? migration.up : migration.down)
+    };
+  }
+}
+
+/**
+ * Split a SQL script into statements. Comments are dropped, and semicolons
+ * inside string literals, quoted identifiers and CREATE TRIGGER ... BEGIN/END
+ * bodies do not end a statement.
+ */
+export function splitSqlStatements(sql: string): string[] {
+  const statements: string[] = [];
+  let current = '';
+  let blockDepth = 0;
+  let i = 0;
+
+  const flush = () => {
+    const statement = current.trim();
+    if (statement) statements.push(statement);
+    current = '';
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (char === '-' && sql[i + 1] === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline;
+      continue;
+    }
+    if (char === '/' && sql[i + 1] === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      i = close === -1 ? sql.length : close + 2;
+      current += ' ';
+      continue;
+    }
+
+    if (char === '\'' || char === '"' || char === '`') {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === char) {
+          if (sql[end + 1] === char) {
+            end += 2;
+            continue;
+          }
+          break;
+        }
+        end++;
+      }
+      current += sql.substring(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char) && !/[A-Za-z0-9_]/.test(sql[i - 1] || '')) {
+      let end = i;
+      while (end < sql.length && /[A-Za-z0-9_]/.test(sql[end])) end++;
+      const word = sql.substring(i, end).toUpperCase();
+
+      // BEGIN opens a trigger body only inside CREATE TRIGGER; CASE ... END nests inside it
+      if ((word === 'BEGIN' && /^\s*CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i.test(current)) ||
+          (word === 'CASE' && blockDepth > 0)) {
+        blockDepth++;
+      } else if (word === 'END' && blockDepth > 0) {
+        blockDepth--;
+      }
+
+      current += sql.substring(i, end);
+      i = end;
+      continue;
+    }
+
+    if (char === ';' && blockDepth === 0) {
+      flush();
+      i++;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  flush();
+  return statements;
+}
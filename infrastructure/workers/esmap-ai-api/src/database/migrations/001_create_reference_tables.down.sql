@@ -0,0 +1,5 @@
+-- Migration 001 (down): Drop Reference Tables
+
+DROP TABLE IF EXISTS technologies;
+DROP TABLE IF EXISTS energy_indicators;
+DROP TABLE IF EXISTS countries;
@@ -0,0 +1,5 @@
+-- Migration 002 (down): Drop Energy Data Tables
+
+DROP TABLE IF EXISTS energy_consumption;
+DROP TABLE IF EXISTS renewable_capacity;
+DROP TABLE IF EXISTS energy_data;
@@ -0,0 +1,4 @@
+-- Migration 003 (down): Drop Projects and Climate Tables
+
+DROP TABLE IF EXISTS climate_data;
+DROP TABLE IF EXISTS energy_projects;
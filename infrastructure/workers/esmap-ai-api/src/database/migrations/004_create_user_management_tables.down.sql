@@ -0,0 +1,4 @@
+-- Migration 004 (down): Drop User Management and API Usage Tables
+
+DROP TABLE IF EXISTS api_usage;
+DROP TABLE IF EXISTS users;
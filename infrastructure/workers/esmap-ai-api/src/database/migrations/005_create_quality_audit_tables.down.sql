@@ -0,0 +1,4 @@
+-- Migration 005 (down): Drop Quality and Audit Tables
+
+DROP TABLE IF EXISTS data_sync_log;
+DROP TABLE IF EXISTS data_quality;
@@ -0,0 +1,4 @@
+-- Migration 006 (down): Drop Aggregated Tables
+
+DROP TABLE IF EXISTS sdg7_indicators;
+DROP TABLE IF EXISTS country_energy_profiles;
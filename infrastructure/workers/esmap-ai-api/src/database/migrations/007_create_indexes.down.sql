@@ -0,0 +1,56 @@
+-- Migration 007 (down): Drop Query Performance Indexes
+
+DROP INDEX IF EXISTS idx_countries_iso2;
+DROP INDEX IF EXISTS idx_countries_iso3;
+DROP INDEX IF EXISTS idx_countries_region;
+DROP INDEX IF EXISTS idx_countries_name;
+DROP INDEX IF EXISTS idx_energy_indicators_code;
+DROP INDEX IF EXISTS idx_energy_indicators_category;
+DROP INDEX IF EXISTS idx_energy_indicators_source;
+DROP INDEX IF EXISTS idx_energy_indicators_active;
+DROP INDEX IF EXISTS idx_technologies_code;
+DROP INDEX IF EXISTS idx_technologies_category;
+DROP INDEX IF EXISTS idx_technologies_renewable;
+DROP INDEX IF EXISTS idx_energy_data_country_year;
+DROP INDEX IF EXISTS idx_energy_data_indicator_year;
+DROP INDEX IF EXISTS idx_energy_data_source;
+DROP INDEX IF EXISTS idx_energy_data_year;
+DROP INDEX IF EXISTS idx_energy_data_composite;
+DROP INDEX IF EXISTS idx_renewable_capacity_country_year;
+DROP INDEX IF EXISTS idx_renewable_capacity_technology_year;
+DROP INDEX IF EXISTS idx_renewable_capacity_source;
+DROP INDEX IF EXISTS idx_renewable_capacity_composite;
+DROP INDEX IF EXISTS idx_energy_consumption_country_year;
+DROP INDEX IF EXISTS idx_energy_consumption_sector;
+DROP INDEX IF EXISTS idx_energy_consumption_fuel_type;
+DROP INDEX IF EXISTS idx_energy_consumption_composite;
+DROP INDEX IF EXISTS idx_energy_projects_country;
+DROP INDEX IF EXISTS idx_energy_projects_technology;
+DROP INDEX IF EXISTS idx_energy_projects_status;
+DROP INDEX IF EXISTS idx_energy_projects_type;
+DROP INDEX IF EXISTS idx_energy_projects_location;
+DROP INDEX IF EXISTS idx_energy_projects_commissioning;
+DROP INDEX IF EXISTS idx_climate_data_location;
+DROP INDEX IF EXISTS idx_climate_data_country_year;
+DROP INDEX IF EXISTS idx_climate_data_year_month;
+DROP INDEX IF EXISTS idx_climate_data_source;
+DROP INDEX IF EXISTS idx_users_email;
+DROP INDEX IF EXISTS idx_users_role;
+DROP INDEX IF EXISTS idx_users_active;
+DROP INDEX IF EXISTS idx_users_organization;
+DROP INDEX IF EXISTS idx_api_usage_user_timestamp;
+DROP INDEX IF EXISTS idx_api_usage_endpoint;
+DROP INDEX IF EXISTS idx_api_usage_timestamp;
+DROP INDEX IF EXISTS idx_api_usage_status;
+DROP INDEX IF EXISTS idx_data_quality_table_record;
+DROP INDEX IF EXISTS idx_data_quality_score;
+DROP INDEX IF EXISTS idx_data_quality_validated;
+DROP INDEX IF EXISTS idx_data_sync_source;
+DROP INDEX IF EXISTS idx_data_sync_status;
+DROP INDEX IF EXISTS idx_data_sync_start_time;
+DROP INDEX IF EXISTS idx_country_profiles_country_year;
+DROP INDEX IF EXISTS idx_country_profiles_year;
+DROP INDEX IF EXISTS idx_country_profiles_updated;
+DROP INDEX IF EXISTS idx_sdg7_country_year;
+DROP INDEX IF EXISTS idx_sdg7_year;
+DROP INDEX IF EXISTS idx_sdg7_progress;
@@ -0,0 +1,10 @@
+-- Migration 008 (down): Drop R2 Storage Management Tables
+
+DROP TRIGGER IF EXISTS update_metadata_timestamp;
+DROP TRIGGER IF EXISTS update_quota_on_delete;
+DROP TRIGGER IF EXISTS update_quota_on_insert;
+
+DROP TABLE IF EXISTS storage_quotas;
+DROP TABLE IF EXISTS bulk_operations;
+DROP TABLE IF EXISTS file_operations;
+DROP TABLE IF EXISTS file_metadata;
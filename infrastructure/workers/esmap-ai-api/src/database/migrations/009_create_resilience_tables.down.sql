@@ -0,0 +1,3 @@
+-- Migration 009 (down): Drop Resilience Tables
+
+DROP TABLE IF EXISTS failover_events;
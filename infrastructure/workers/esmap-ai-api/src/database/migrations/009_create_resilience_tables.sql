@@ -0,0 +1,18 @@
+-- Migration 009: Create Resilience Tables
+-- Failover history persisted across worker invocations
+
+CREATE TABLE IF NOT EXISTS failover_events (
+    id TEXT PRIMARY KEY,
+    timestamp DATETIME NOT NULL,
+    primary_source TEXT NOT NULL,
+    failover_source TEXT NOT NULL,
+    reason TEXT,
+    data_type TEXT,
+    impact_duration INTEGER DEFAULT 0,
+    data_loss BOOLEAN DEFAULT FALSE,
+    automatic_recovery BOOLEAN DEFAULT TRUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_failover_events_timestamp ON failover_events(timestamp);
+CREATE INDEX IF NOT EXISTS idx_failover_events_primary_source ON failover_events(primary_source);
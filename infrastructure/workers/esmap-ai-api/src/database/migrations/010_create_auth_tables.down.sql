@@ -0,0 +1,6 @@
+-- Migration 010 (down): Drop Authentication Tables
+
+DROP TABLE IF EXISTS password_reset_tokens;
+DROP TABLE IF EXISTS user_sessions;
+
+ALTER TABLE users DROP COLUMN password_hash;
@@ -0,0 +1,6 @@
+-- Migration 011 (down): Drop API Key Metadata
+
+DROP INDEX IF EXISTS idx_users_api_key_hash;
+
+ALTER TABLE users DROP COLUMN api_key_created_at;
+ALTER TABLE users DROP COLUMN api_key_prefix;
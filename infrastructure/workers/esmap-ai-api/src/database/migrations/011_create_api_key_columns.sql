@@ -0,0 +1,8 @@
+-- Migration 011: API Key Metadata
+-- Lookup index and display metadata for per-user API keys (only the SHA-256 hash is stored)
+
+-- First characters of the issued key, shown so users can tell keys apart
+ALTER TABLE users ADD COLUMN api_key_prefix TEXT;
+ALTER TABLE users ADD COLUMN api_key_created_at DATETIME;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_api_key_hash ON users(api_key_hash);
@@ -0,0 +1,3 @@
+-- Migration 012 (down): Drop Saved Queries Table
+
+DROP TABLE IF EXISTS saved_queries;
@@ -0,0 +1,20 @@
+-- Migration 012: Create Saved Queries Table
+-- Named, parameterized read-only queries for the SQL sandbox
+
+CREATE TABLE IF NOT EXISTS saved_queries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    sql_text TEXT NOT NULL,
+    parameters TEXT DEFAULT '[]', -- JSON array of parameter definitions
+    is_shared BOOLEAN DEFAULT FALSE,
+    created_by INTEGER,
+    last_run_at DATETIME,
+    run_count INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_queries_created_by ON saved_queries(created_by);
+CREATE INDEX IF NOT EXISTS idx_saved_queries_shared ON saved_queries(is_shared);
@@ -0,0 +1,4 @@
+-- Migration 013 (down): Drop ETL Schedule Tables
+
+DROP TABLE IF EXISTS etl_schedule_runs;
+DROP TABLE IF EXISTS etl_schedules;
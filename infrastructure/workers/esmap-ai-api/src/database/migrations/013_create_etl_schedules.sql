@@ -0,0 +1,41 @@
+-- Migration 013: Create ETL Schedule Tables
+-- Cron-driven refresh schedules per data source and their run history
+
+CREATE TABLE IF NOT EXISTS etl_schedules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_id TEXT UNIQUE NOT NULL,
+    cron_expression TEXT NOT NULL,
+    pipeline_name TEXT NOT NULL,
+    options TEXT DEFAULT '{}', -- JSON ETL job options (batchSize, parallelism)
+    is_enabled BOOLEAN DEFAULT TRUE,
+    catch_up BOOLEAN DEFAULT TRUE, -- run once after missed occurrences instead of skipping them
+    lock_timeout_minutes INTEGER DEFAULT 120,
+    next_run_at TEXT, -- ISO 8601
+    last_run_at TEXT,
+    last_run_status TEXT, -- 'queued', 'completed', 'failed', 'skipped'
+    last_job_id TEXT,
+    running_run_id INTEGER, -- set while a run holds the overlap lock
+    lock_expires_at TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS etl_schedule_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    schedule_id INTEGER NOT NULL,
+    job_id TEXT,
+    trigger_type TEXT NOT NULL, -- 'cron', 'catch_up', 'manual'
+    scheduled_for TEXT, -- ISO 8601 occurrence this run satisfies
+    missed_runs INTEGER DEFAULT 0,
+    status TEXT NOT NULL, -- 'queued', 'running', 'completed', 'failed', 'skipped'
+    error TEXT,
+    started_at TEXT NOT NULL,
+    finished_at TEXT,
+    FOREIGN KEY (schedule_id) REFERENCES etl_schedules(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_schedules_next_run ON etl_schedules(is_enabled, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_etl_schedule_runs_schedule ON etl_schedule_runs(schedule_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_etl_schedule_runs_job ON etl_schedule_runs(job_id);
@@ -0,0 +1,3 @@
+-- Migration 014 (down): Drop ETL Watermarks Table
+
+DROP TABLE IF EXISTS etl_watermarks;
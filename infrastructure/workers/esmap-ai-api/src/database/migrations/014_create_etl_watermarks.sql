@@ -0,0 +1,15 @@
+-- Migration 014: Create ETL Watermarks Table
+-- Per-source high-water marks for incremental extraction
+
+CREATE TABLE IF NOT EXISTS etl_watermarks (
+    source_id TEXT PRIMARY KEY,
+    high_water_year INTEGER, -- latest data year extracted
+    high_water_date TEXT, -- latest record date or modification time extracted (ISO 8601)
+    etag TEXT, -- ETag of the last full response, sent as If-None-Match
+    last_modified TEXT, -- Last-Modified of the last full response, sent as If-Modified-Since
+    validator_url TEXT, -- request URL the ETag/Last-Modified validators belong to
+    last_job_id TEXT,
+    last_extracted_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,4 @@
+-- Migration 015 (down): Drop ETL Quarantine Tables
+
+DROP TABLE IF EXISTS etl_quarantine_audit;
+DROP TABLE IF EXISTS etl_quarantine;
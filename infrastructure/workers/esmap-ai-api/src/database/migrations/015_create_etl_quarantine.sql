@@ -0,0 +1,39 @@
+-- Migration 015: Create ETL Quarantine Tables
+-- Records rejected by validation during ETL, held for review, and the review audit trail
+
+CREATE TABLE IF NOT EXISTS etl_quarantine (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    record_id TEXT NOT NULL,
+    source_id TEXT NOT NULL,
+    job_id TEXT,
+    pipeline_name TEXT,
+    data TEXT NOT NULL, -- JSON transformed record data, edited in place during review
+    metadata TEXT DEFAULT '{}', -- JSON record metadata (source, lineage)
+    validation_errors TEXT NOT NULL DEFAULT '[]', -- JSON ValidationError[] from the latest validation
+    validation_warnings TEXT NOT NULL DEFAULT '[]', -- JSON ValidationWarning[]
+    quality_score REAL,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'released', 'rejected'
+    reviewed_by INTEGER,
+    reviewed_at TEXT,
+    resolution_note TEXT,
+    release_job_id TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (reviewed_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS etl_quarantine_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    quarantine_id INTEGER NOT NULL,
+    action TEXT NOT NULL, -- 'edited', 'released', 'rejected'
+    user_id INTEGER,
+    details TEXT DEFAULT '{}', -- JSON: field changes, waived rules, reasons
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (quarantine_id) REFERENCES etl_quarantine(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_status ON etl_quarantine(status, source_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_record ON etl_quarantine(record_id);
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_audit_record ON etl_quarantine_audit(quarantine_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_etl_quarantine_audit_user ON etl_quarantine_audit(user_id, created_at);
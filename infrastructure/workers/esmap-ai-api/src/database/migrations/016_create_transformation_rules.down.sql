@@ -0,0 +1,3 @@
+-- Migration 016 (down): Drop Transformation Rules Table
+
+DROP TABLE IF EXISTS transformation_rules;
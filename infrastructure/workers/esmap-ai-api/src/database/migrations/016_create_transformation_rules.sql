@@ -0,0 +1,23 @@
+-- Migration 016: Create Transformation Rules Table
+-- Versioned declarative transformation rule documents, editable at runtime
+
+CREATE TABLE IF NOT EXISTS transformation_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source_type TEXT NOT NULL,
+    version INTEGER NOT NULL, -- 1, 2, ... per source; versions are immutable once created
+    document TEXT NOT NULL, -- JSON TransformationRuleDocument
+    status TEXT NOT NULL DEFAULT 'draft', -- 'draft', 'active', 'retired'
+    notes TEXT,
+    created_by INTEGER,
+    activated_by INTEGER,
+    activated_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (source_type, version),
+    FOREIGN KEY (created_by) REFERENCES users(id),
+    FOREIGN KEY (activated_by) REFERENCES users(id)
+);
+
+-- At most one active version per source
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transformation_rules_active
+    ON transformation_rules(source_type) WHERE status = 'active';
@@ -0,0 +1,4 @@
+-- Migration 017 (down): Drop Upload Session Tables
+
+DROP TABLE IF EXISTS upload_parts;
+DROP TABLE IF EXISTS upload_sessions;
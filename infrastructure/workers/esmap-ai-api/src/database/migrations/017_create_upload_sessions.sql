@@ -0,0 +1,39 @@
+-- Migration 017: Create Upload Session Tables
+-- Resumable R2 multipart uploads and the parts received for each
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+    id TEXT PRIMARY KEY,
+    file_id TEXT NOT NULL, -- file_metadata id the upload becomes on completion
+    r2_key TEXT NOT NULL,
+    r2_upload_id TEXT NOT NULL, -- R2 multipart upload ID
+    original_name TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    size INTEGER NOT NULL, -- declared total size in bytes
+    part_size INTEGER NOT NULL, -- every part but the last is exactly this size
+    total_parts INTEGER NOT NULL,
+    category TEXT NOT NULL,
+    access_level TEXT NOT NULL DEFAULT 'internal',
+    tags TEXT DEFAULT '{}',
+    metadata TEXT DEFAULT '{}',
+    status TEXT NOT NULL DEFAULT 'uploading', -- 'uploading', 'completed', 'aborted', 'expired'
+    bytes_uploaded INTEGER NOT NULL DEFAULT 0,
+    uploaded_by INTEGER,
+    expires_at TEXT NOT NULL,
+    completed_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS upload_parts (
+    session_id TEXT NOT NULL,
+    part_number INTEGER NOT NULL,
+    etag TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    uploaded_at TEXT NOT NULL,
+    PRIMARY KEY (session_id, part_number),
+    FOREIGN KEY (session_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_user_status ON upload_sessions(uploaded_by, status);
+CREATE INDEX IF NOT EXISTS idx_upload_sessions_status_expires ON upload_sessions(status, expires_at);
@@ -0,0 +1,6 @@
+-- Migration 018 (down): Drop File References
+
+DROP INDEX IF EXISTS idx_file_metadata_filename;
+DROP INDEX IF EXISTS idx_file_metadata_reference_of;
+
+ALTER TABLE file_metadata DROP COLUMN reference_of;
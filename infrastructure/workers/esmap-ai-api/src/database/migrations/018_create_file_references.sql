@@ -0,0 +1,8 @@
+-- Migration 018: File References
+-- Deduplicated files point at the stored object of an identical file instead of keeping their own copy
+
+-- Id of the file whose R2 object this file shares; NULL when the file owns its object
+ALTER TABLE file_metadata ADD COLUMN reference_of TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_file_metadata_reference_of ON file_metadata(reference_of);
+CREATE INDEX IF NOT EXISTS idx_file_metadata_filename ON file_metadata(filename);
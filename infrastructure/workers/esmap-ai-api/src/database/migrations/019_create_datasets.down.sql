@@ -0,0 +1,10 @@
+-- Migration 019 (down): Drop Datasets
+
+DROP INDEX IF EXISTS idx_file_metadata_dataset_version;
+
+ALTER TABLE upload_sessions DROP COLUMN dataset_id;
+ALTER TABLE file_metadata DROP COLUMN promoted_from;
+ALTER TABLE file_metadata DROP COLUMN version;
+ALTER TABLE file_metadata DROP COLUMN dataset_id;
+
+DROP TABLE IF EXISTS datasets;
@@ -0,0 +1,32 @@
+-- Migration 019: Create Datasets
+-- Logical datasets whose uploads are kept as immutable, numbered versions
+
+CREATE TABLE IF NOT EXISTS datasets (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL,
+    current_version INTEGER NOT NULL DEFAULT 0,
+    current_file_id TEXT,
+    retention_policy TEXT, -- JSON VersionRetentionPolicy; NULL uses the storage default
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Each file is one version of a dataset
+ALTER TABLE file_metadata ADD COLUMN dataset_id TEXT;
+ALTER TABLE file_metadata ADD COLUMN version INTEGER;
+-- Set when a version was created by promoting an older one
+ALTER TABLE file_metadata ADD COLUMN promoted_from INTEGER;
+
+-- Resumable uploads may add a version to an existing dataset
+ALTER TABLE upload_sessions ADD COLUMN dataset_id TEXT;
+
+-- Existing files become the first version of their own dataset
+INSERT OR IGNORE INTO datasets (id, name, category, current_version, current_file_id, created_at)
+SELECT id, original_name, category, 1, id, uploaded_at FROM file_metadata WHERE dataset_id IS NULL;
+
+UPDATE file_metadata SET dataset_id = id, version = 1 WHERE dataset_id IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_file_metadata_dataset_version ON file_metadata(dataset_id, version);
+CREATE INDEX IF NOT EXISTS idx_datasets_category ON datasets(category);
+CREATE INDEX IF NOT EXISTS idx_datasets_updated_at ON datasets(updated_at);
@@ -0,0 +1,3 @@
+-- Migration 020 (down): Drop File Shares
+
+DROP TABLE IF EXISTS file_shares;
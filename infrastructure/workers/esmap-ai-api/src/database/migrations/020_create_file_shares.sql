@@ -0,0 +1,21 @@
+-- Migration 020: Create File Shares
+-- Signed, expiring download links for sharing stored files outside the platform
+
+CREATE TABLE IF NOT EXISTS file_shares (
+    id TEXT PRIMARY KEY,
+    file_id TEXT NOT NULL,
+    created_by INTEGER,
+    expires_at TEXT NOT NULL,
+    max_downloads INTEGER, -- NULL: unlimited until the link expires
+    download_count INTEGER NOT NULL DEFAULT 0,
+    allowed_ips TEXT, -- JSON array of addresses and IPv4 CIDR ranges; NULL: any address
+    allowed_email TEXT, -- recipient must be signed in with this email; NULL: anyone with the link
+    note TEXT,
+    revoked_at TEXT,
+    last_used_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_file_shares_file_id ON file_shares(file_id);
+CREATE INDEX IF NOT EXISTS idx_file_shares_expires_at ON file_shares(expires_at);
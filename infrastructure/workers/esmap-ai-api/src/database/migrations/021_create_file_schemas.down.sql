@@ -0,0 +1,3 @@
+-- Migration 021 (down): Drop File Schemas
+
+ALTER TABLE file_metadata DROP COLUMN schema_info;
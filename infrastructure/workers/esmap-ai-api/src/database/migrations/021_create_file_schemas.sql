@@ -0,0 +1,5 @@
+-- Migration 021: File Schemas
+-- Column types and statistics inferred from tabular files, cached the first time a file is previewed
+
+-- JSON TabularSchema; NULL until the file is previewed or when it is not tabular
+ALTER TABLE file_metadata ADD COLUMN schema_info TEXT;
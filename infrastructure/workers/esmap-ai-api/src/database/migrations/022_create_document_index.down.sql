@@ -0,0 +1,4 @@
+-- Migration 022 (down): Drop Document Index
+
+DROP TABLE IF EXISTS document_chunks;
+DROP TABLE IF EXISTS indexed_documents;
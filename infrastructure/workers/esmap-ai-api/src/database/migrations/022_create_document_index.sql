@@ -0,0 +1,44 @@
+-- Migration 022: Create Document Index
+-- Reports chunked and embedded into the Vectorize index, with each chunk traced
+-- back to the file version, page and section it came from
+
+-- One row per indexed dataset; the dataset's current version is the one kept in the index
+CREATE TABLE IF NOT EXISTS indexed_documents (
+    dataset_id TEXT PRIMARY KEY,
+    file_id TEXT NOT NULL, -- the version last indexed (or being indexed)
+    version INTEGER,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'indexing', 'indexed', 'failed')),
+    format TEXT,
+    title TEXT,
+    metadata TEXT NOT NULL, -- JSON EnergyDomainMetadata fields applied to every chunk
+    chunk_size INTEGER NOT NULL,
+    chunk_overlap INTEGER NOT NULL,
+    embedding_model TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL DEFAULT 0,
+    page_count INTEGER,
+    error TEXT,
+    requested_by INTEGER,
+    indexed_at TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (requested_by) REFERENCES users(id)
+);
+
+-- Chunk lineage: the vector id of each chunk and where its text came from
+CREATE TABLE IF NOT EXISTS document_chunks (
+    vector_id TEXT PRIMARY KEY,
+    dataset_id TEXT NOT NULL,
+    file_id TEXT NOT NULL,
+    version INTEGER,
+    chunk_index INTEGER NOT NULL,
+    section TEXT, -- heading path, "3 Energy Access > 3.2 Rural Electrification"
+    page_start INTEGER NOT NULL,
+    page_end INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_indexed_documents_status ON indexed_documents(status);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_dataset ON document_chunks(dataset_id, chunk_index);
+CREATE INDEX IF NOT EXISTS idx_document_chunks_file ON document_chunks(file_id);
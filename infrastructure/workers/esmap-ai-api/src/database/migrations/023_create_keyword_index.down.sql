@@ -0,0 +1,5 @@
+-- Migration 023 (down): Drop Keyword Index
+
+DROP TABLE IF EXISTS keyword_postings;
+DROP TABLE IF EXISTS keyword_terms;
+DROP TABLE IF EXISTS keyword_documents;
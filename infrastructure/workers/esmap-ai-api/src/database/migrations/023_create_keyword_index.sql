@@ -0,0 +1,26 @@
+-- Migration 023: Create Keyword Index
+-- BM25 inverted index over the text of indexed vectors, kept in step with the
+-- Vectorize index on upsert and delete, for the lexical side of hybrid search
+
+-- Token count of each indexed vector's text, for BM25 length normalisation
+CREATE TABLE IF NOT EXISTS keyword_documents (
+    vector_id TEXT PRIMARY KEY,
+    length INTEGER NOT NULL,
+    indexed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Number of documents containing each term
+CREATE TABLE IF NOT EXISTS keyword_terms (
+    term TEXT PRIMARY KEY,
+    document_frequency INTEGER NOT NULL DEFAULT 0
+);
+
+-- Occurrences of each term in each document
+CREATE TABLE IF NOT EXISTS keyword_postings (
+    term TEXT NOT NULL,
+    vector_id TEXT NOT NULL,
+    term_frequency INTEGER NOT NULL,
+    PRIMARY KEY (term, vector_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_keyword_postings_vector ON keyword_postings(vector_id);
@@ -0,0 +1,4 @@
+-- Migration 024 (down): Drop Chat Conversations
+
+DROP TABLE IF EXISTS chat_messages;
+DROP TABLE IF EXISTS chat_conversations;
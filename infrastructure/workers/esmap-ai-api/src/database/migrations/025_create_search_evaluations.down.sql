@@ -0,0 +1,4 @@
+-- Migration 025 (down): Drop Search Evaluations
+
+DROP TABLE IF EXISTS search_evaluation_queries;
+DROP TABLE IF EXISTS search_evaluations;
@@ -0,0 +1,36 @@
+-- Migration 025: Create Search Evaluations
+-- Relevance metrics of judged query sets run against vector and hybrid search,
+-- kept over time alongside query_analytics
+
+-- One row per query set and search method per run
+CREATE TABLE IF NOT EXISTS search_evaluations (
+    id TEXT PRIMARY KEY,
+    query_set TEXT NOT NULL,
+    method TEXT NOT NULL CHECK (method IN ('vector', 'hybrid')),
+    k INTEGER NOT NULL,
+    query_count INTEGER NOT NULL,
+    ndcg REAL NOT NULL,
+    mrr REAL NOT NULL,
+    recall REAL NOT NULL,
+    config TEXT, -- JSON: model and fusion options of the run
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_evaluations_set ON search_evaluations(query_set, method, created_at);
+CREATE INDEX IF NOT EXISTS idx_search_evaluations_created_at ON search_evaluations(created_at);
+
+-- Scores and ranked documents of each judged query in a run
+CREATE TABLE IF NOT EXISTS search_evaluation_queries (
+    evaluation_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    query_id TEXT NOT NULL,
+    query_text TEXT NOT NULL,
+    ndcg REAL NOT NULL,
+    reciprocal_rank REAL NOT NULL,
+    recall REAL NOT NULL,
+    relevant_count INTEGER NOT NULL,
+    retrieved TEXT NOT NULL, -- JSON array of { document_id, rank, relevance }
+    response_time_ms REAL,
+    PRIMARY KEY (evaluation_id, position),
+    FOREIGN KEY (evaluation_id) REFERENCES search_evaluations(id) ON DELETE CASCADE
+);
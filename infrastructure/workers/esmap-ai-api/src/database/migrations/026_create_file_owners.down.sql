@@ -0,0 +1,3 @@
+-- Migration 026 (down): Drop File Owners
+
+ALTER TABLE file_metadata DROP COLUMN uploaded_by;
@@ -0,0 +1,5 @@
+-- Migration 026: File Owners
+-- The user who uploaded each file, checked along with the caller's role before restricted and private files are served
+
+-- NULL for files stored before owners were recorded; only roles grant access to those
+ALTER TABLE file_metadata ADD COLUMN uploaded_by INTEGER;
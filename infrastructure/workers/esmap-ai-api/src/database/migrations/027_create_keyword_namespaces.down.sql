@@ -0,0 +1,4 @@
+-- Migration 027 (down): Drop Keyword Namespaces
+
+DROP INDEX IF EXISTS idx_keyword_documents_namespace;
+ALTER TABLE keyword_documents DROP COLUMN namespace;
@@ -0,0 +1,8 @@
+-- Migration 027: Keyword Namespaces
+-- The Vectorize namespace of each keyword-indexed vector, so hybrid search in a
+-- namespace scores and returns only that namespace's documents
+
+-- NULL for vectors upserted without a namespace
+ALTER TABLE keyword_documents ADD COLUMN namespace TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_keyword_documents_namespace ON keyword_documents(namespace);
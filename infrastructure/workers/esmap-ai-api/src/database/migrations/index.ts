@@ -0,0 +1,98 @@
+/**
+ * Migration Registry
+ * Ordered list of schema migrations bundled with the worker as text modules.
+ * Each NNN_name.sql has a paired NNN_name.down.sql that reverses it; add both
+ * here when creating a new migration.
+ */
+
+import up001 from './001_create_reference_tables.sql';
+import down001 from './001_create_reference_tables.down.sql';
+import up002 from './002_create_energy_data_tables.sql';
+import down002 from './002_create_energy_data_tables.down.sql';
+import up003 from './003_create_projects_climate_tables.sql';
+import down003 from './003_create_projects_climate_tables.down.sql';
+import up004 from './004_create_user_management_tables.sql';
+import down004 from './004_create_user_management_tables.down.sql';
+import up005 from './005_create_quality_audit_tables.sql';
+import down005 from './005_create_quality_audit_tables.down.sql';
+import up006 from './006_create_aggregated_tables.sql';
+import down006 from './006_create_aggregated_tables.down.sql';
+import up007 from './007_create_indexes.sql';
+import down007 from './007_create_indexes.down.sql';
+import up008 from './008_create_storage_tables.sql';
+import down008 from './008_create_storage_tables.down.sql';
+import up009 from './009_create_resilience_tables.sql';
+import down009 from './009_create_resilience_tables.down.sql';
+import up010 from './010_create_auth_tables.sql';
+import down010 from './010_create_auth_tables.down.sql';
+import up011 from './011_create_api_key_columns.sql';
+import down011 from './011_create_api_key_columns.down.sql';
+import up012 from './012_create_saved_queries.sql';
+import down012 from './012_create_saved_queries.down.sql';
+import up013 from './013_create_etl_schedules.sql';
+import down013 from './013_create_etl_schedules.down.sql';
+import up014 from './014_create_etl_watermarks.sql';
+import down014 from './014_create_etl_watermarks.down.sql';
+import up015 from './015_create_etl_quarantine.sql';
+import down015 from './015_create_etl_quarantine.down.sql';
+import up016 from './016_create_transformation_rules.sql';
+import down016 from './016_create_transformation_rules.down.sql';
+import up017 from './017_create_upload_sessions.sql';
+import down017 from './017_create_upload_sessions.down.sql';
+import up018 from './018_create_file_references.sql';
+import down018 from './018_create_file_references.down.sql';
+import up019 from './019_create_datasets.sql';
+import down019 from './019_create_datasets.down.sql';
+import up020 from './020_create_file_shares.sql';
+import down020 from './020_create_file_shares.down.sql';
+import up021 from './021_create_file_schemas.sql';
+import down021 from './021_create_file_schemas.down.sql';
+import up022 from './022_create_document_index.sql';
+import down022 from './022_create_document_index.down.sql';
+import up023 from './023_create_keyword_index.sql';
+import down023 from './023_create_keyword_index.down.sql';
+import up024 from './024_create_chat_conversations.sql';
+import down024 from './024_create_chat_conversations.down.sql';
+import up025 from './025_create_search_evaluations.sql';
+import down025 from './025_create_search_evaluations.down.sql';
+import up026 from './026_create_file_owners.sql';
+import down026 from './026_create_file_owners.down.sql';
+import up027 from './027_create_keyword_namespaces.sql';
+import down027 from './027_create_keyword_namespaces.down.sql';
+
+export interface MigrationDefinition {
+  version: string;
+  name: string;
+  up: string;
+  down: string;
+}
+
+export const MIGRATIONS: MigrationDefinition[] = [
+  { version: '001', name: 'create_reference_tables', up: up001, down: down001 },
+  { version: '002', name: 'create_energy_data_tables', up: up002, down: down002 },
+  { version: '003', name: 'create_projects_climate_tables', up: up003, down: down003 },
+  { version: '004', name: 'create_user_management_tables', up: up004, down: down004 },
+  { version: '005', name: 'create_quality_audit_tables', up: up005, down: down005 },
+  { version: '006', name: 'create_aggregated_tables', up: up006, down: down006 },
+  { version: '007', name: 'create_indexes', up: up007, down: down007 },
+  { version: '008', name: 'create_storage_tables', up: up008, down: down008 },
+  { version: '009', name: 'create_resilience_tables', up: up009, down: down009 },
+  { version: '010', name: 'create_auth_tables', up: up010, down: down010 },
+  { version: '011', name: 'create_api_key_columns', up: up011, down: down011 },
+  { version: '012', name: 'create_saved_queries', up: up012, down: down012 },
+  { version: '013', name: 'create_etl_schedules', up: up013, down: down013 },
+  { version: '014', name: 'create_etl_watermarks', up: up014, down: down014 },
+  { version: '015', name: 'create_etl_quarantine', up: up015, down: down015 },
+  { version: '016', name: 'create_transformation_rules', up: up016, down: down016 },
+  { version: '017', name: 'create_upload_sessions', up: up017, down: down017 },
+  { version: '018', name: 'create_file_references', up: up018, down: down018 },
+  { version: '019', name: 'create_datasets', up: up019, down: down019 },
+  { version: '020', name: 'create_file_shares', up: up020, down: down020 },
+  { version: '021', name: 'create_file_schemas', up: up021, down: down021 },
+  { version: '022', name: 'create_document_index', up: up022, down: down022 },
+  { version: '023', name: 'create_keyword_index', up: up023, down: down023 },
+  { version: '024', name: 'create_chat_conversations', up: up024, down: down024 },
+  { version: '025', name: 'create_search_evaluations', up: up025, down: down025 },
+  { version: '026', name: 'create_file_owners', up: up026, down: down026 },
+  { version: '027', name: 'create_keyword_namespaces', up: up027, down: down027 }
+];
@@ -141,7 +141,142 @@ export interface User {
   is_active?: boolean;
   last_login?: string;
   api_key_hash?: string;
+  api_key_prefix?: string;
+  api_key_created_at?: string;
   rate_limit_tier?: string;
+  password_hash?: string;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type UserRole = 'admin' | 'analyst' | 'user' | 'viewer';
+
+export interface UserSession {
+  id: string;
+  user_id: number;
+  expires_at: string;
+  revoked_at?: string;
+  ip_address?: string;
+  user_agent?: string;
+  created_at?: string;
+}
+
+export interface PasswordResetToken {
+  id?: number;
+  user_id: number;
+  token_hash: string;
+  expires_at: string;
+  used_at?: string;
+  created_at?: string;
+}
+
+export interface SavedQuery {
+  id?: number;
+  name: string;
+  description?: string;
+  sql_text: string;
+  parameters?: string; // JSON array of QueryParameterDefinition
+  is_shared?: boolean;
+  created_by?: number;
+  last_run_at?: string;
+  run_count?: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type ETLScheduleRunStatus = 'queued' | 'running' | 'completed' | 'failed' | 'skipped';
+export type ETLScheduleTrigger = 'cron' | 'catch_up' | 'manual';
+
+export interface ETLSchedule {
+  id?: number;
+  source_id: string;
+  cron_expression: string;
+  pipeline_name: string;
+  options?: string; // JSON
+  is_enabled?: boolean;
+  catch_up?: boolean;
+  lock_timeout_minutes?: number;
+  next_run_at?: string | null;
+  last_run_at?: string | null;
+  last_run_status?: ETLScheduleRunStatus | null;
+  last_job_id?: string | null;
+  running_run_id?: number | null;
+  lock_expires_at?: string | null;
+  created_by?: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ETLScheduleRun {
+  id?: number;
+  schedule_id: number;
+  job_id?: string | null;
+  trigger_type: ETLScheduleTrigger;
+  scheduled_for?: string | null;
+  missed_runs?: number;
+  status: ETLScheduleRunStatus;
+  error?: string | null;
+  started_at: string;
+  finished_at?: string | null;
+}
+
+export interface ETLWatermark {
+  source_id: string;
+  high_water_year?: number | null;
+  high_water_date?: string | null;
+  etag?: string | null;
+  last_modified?: string | null;
+  validator_url?: string | null;
+  last_job_id?: string | null;
+  last_extracted_at?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export type ETLQuarantineStatus = 'pending' | 'released' | 'rejected';
+export type ETLQuarantineAction = 'edited' | 'released' | 'rejected' | 'release_failed';
+
+export interface ETLQuarantineRecord {
+  id?: number;
+  record_id: string;
+  source_id: string;
+  job_id?: string | null;
+  pipeline_name?: string | null;
+  data: string; // JSON
+  metadata?: string; // JSON
+  validation_errors: string; // JSON ValidationError[]
+  validation_warnings: string; // JSON ValidationWarning[]
+  quality_score?: number | null;
+  status: ETLQuarantineStatus;
+  reviewed_by?: number | null;
+  reviewed_at?: string | null;
+  resolution_note?: string | null;
+  release_job_id?: string | null;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ETLQuarantineAudit {
+  id?: number;
+  quarantine_id: number;
+  action: ETLQuarantineAction;
+  user_id?: number | null;
+  details?: string; // JSON
+  created_at?: string;
+}
+
+export type TransformationRuleStatus = 'draft' | 'active' | 'retired';
+
+export interface TransformationRuleVersion {
+  id?: number;
+  source_type: string;
+  version: number;
+  document: string; // JSON TransformationRuleDocument
+  status: TransformationRuleStatus;
+  notes?: string | null;
+  created_by?: number | null;
+  activated_by?: number | null;
+  activated_at?: string | null;
   created_at?: string;
   updated_at?: string;
 }
@@ -161,6 +296,17 @@ export interface ApiUsage {
   timestamp?: string;
 }
 
+export interface ApiUsageSummary {
+  period_start: string;
+  total_requests: number;
+  error_requests: number;
+  avg_response_time_ms: number;
+  total_request_bytes: number;
+  total_response_bytes: number;
+  by_endpoint: { endpoint: string; method: string; requests: number; avg_response_time_ms: number }[];
+  by_day: { day: string; requests: number; errors: number }[];
+}
+
 export interface CountryEnergyProfile {
   id?: number;
   country_id: number;
@@ -0,0 +1,585 @@
+/**
+ * SQL Query Sandbox
+ * Validates and runs read-only, parameterized SELECT queries over an allowlist of tables.
+ *
+ * Queries are tokenized rather than matched with regular expressions so that
+ * keywords inside string literals, quoted identifiers and comments cannot
+ * confuse the checks. Only a single SELECT (optionally with CTEs) is accepted.
+ */
+
+import type { Env } from '../types';
+import { ApiError } from '../utils/error-handler';
+
+// Tables and views analysts may query. User, session, key and usage tables are
+// intentionally absent.
+export const QUERYABLE_TABLES = [
+  'countries',
+  'energy_indicators',
+  'technologies',
+  'energy_data',
+  'renewable_capacity',
+  'energy_consumption',
+  'energy_projects',
+  'climate_data',
+  'data_quality',
+  'data_sync_log',
+  'country_energy_profiles',
+  'sdg7_indicators'
+];
+
+// Table-valued functions allowed in FROM clauses
+const TABLE_FUNCTIONS = ['json_each', 'json_tree'];
+
+const FORBIDDEN_KEYWORDS = new Set([
+  'INSERT', 'UPDATE', 'DELETE', 'DROP', 'ALTER', 'CREATE', 'ATTACH', 'DETACH',
+  'PRAGMA', 'VACUUM', 'REINDEX', 'ANALYZE', 'BEGIN', 'COMMIT', 'ROLLBACK',
+  'SAVEPOINT', 'RELEASE', 'TRANSACTION', 'TRIGGER'
+]);
+
+const FORBIDDEN_FUNCTIONS = new Set(['load_extension', 'readfile', 'writefile', 'fts3_tokenizer']);
+
+// Keywords that end a FROM clause at the same nesting level
+const FROM_TERMINATORS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'LIMIT', 'HAVING', 'WINDOW', 'UNION', 'EXCEPT', 'INTERSECT'
+]);
+
+// Keywords that open a subquery where a parenthesised table source was possible
+const SUBQUERY_STARTS = new Set(['SELECT', 'WITH', 'VALUES']);
+
+export const DEFAULT_ROW_LIMIT = 1000;
+export const MAX_ROW_LIMIT = 5000;
+export const DEFAULT_TIMEOUT_MS = 5000;
+
+type TokenType = 'word' | 'quoted' | 'string' | 'number' | 'param' | 'punct';
+
+interface Token {
+  type: TokenType;
+  value: string;
+  start: number;
+  end: number;
+}
+
+export type QueryParameterType = 'string' | 'number' | 'integer' | 'boolean';
+
+export interface QueryParameterDefinition {
+  name: string;
+  type: QueryParameterType;
+  required?: boolean;
+  default?: string | number | boolean | null;
+  description?: string;
+}
+
+export interface ValidatedQuery {
+  sql: string;
+  tables: string[];
+  parameterStyle: 'none' | 'positional' | 'named';
+  namedParameters: string[];
+  positionalCount: number;
+  tokens: Token[];
+}
+
+export interface QueryExecutionOptions {
+  limit?: number;
+  timeoutMs?: number;
+}
+
+export interface QueryExecutionResult {
+  columns: string[];
+  rows: Record<string, unknown>[];
+  rowCount: number;
+  truncated: boolean;
+  limit: number;
+  tables: string[];
+  executionTimeMs: number;
+}
+
+export type QueryParameterValues = unknown[] | Record<string, unknown>;
+
+export class QuerySandbox {
+  private db: D1Database;
+  private allowedTables: Set<string>;
+
+  constructor(env: Env, allowedTables: string[] = QUERYABLE_TABLES) {
+    this.db = env.DB;
+    this.allowedTables = new Set(allowedTables.map(table => table.toLowerCase()));
+  }
+
+  /**
+   * Check that a query is a single read-only SELECT over allowed tables.
+   * Throws a 400 ApiError describing the first problem found.
+   */
+  validate(query: string): ValidatedQuery {
+    if (!query || !query.trim()) {
+      throw reject('Query is empty');
+    }
+
+    let tokens = tokenize(query);
+
+    // A single trailing semicolon is tolerated; anything else is a second statement
+    const semicolon = tokens.findIndex(token => token.type === 'punct' && token.value === ';');
+    if (semicolon !== -1) {
+      if (semicolon !== tokens.length - 1) {
+        throw reject('Only a single statement is allowed');
+      }
+      tokens = tokens.slice(0, -1);
+    }
+
+    if (tokens.length === 0) {
+      throw reject('Query is empty');
+    }
+
+    const first = tokens[0].type === 'word' ? tokens[0].value.toUpperCase() : '';
+    if (first !== 'SELECT' && first !== 'WITH') {
+      throw reject('Only SELECT queries are allowed');
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== 'word' && token.type !== 'quoted') continue;
+
+      const upper = token.value.toUpperCase();
+      const lower = token.value.toLowerCase();
+
+      if (token.type === 'word' && FORBIDDEN_KEYWORDS.has(upper)) {
+        throw reject(`${upper} is not allowed`);
+      }
+      // REPLACE is both a statement and a string function; only the function form is allowed
+      if (token.type === 'word' && upper === 'REPLACE' && !isPunct(tokens[i + 1], '(')) {
+        throw reject('REPLACE is not allowed');
+      }
+      if (FORBIDDEN_FUNCTIONS.has(lower)) {
+        throw reject(`Function ${lower} is not allowed`);
+      }
+      if (lower.startsWith('sqlite_') || lower.startsWith('_cf_')) {
+        throw reject(`Access to internal table ${token.value} is not allowed`);
+      }
+    }
+
+    const cteNames = collectCteNames(tokens);
+    const tables = this.checkTableReferences(tokens, cteNames);
+    const parameters = analyzeParameters(tokens);
+
+    return {
+      sql: query.substring(0, tokens[tokens.length - 1].end),
+      tables,
+      tokens,
+      ...parameters
+    };
+  }
+
+  /**
+   * Validate and run a query with bound parameters, a row limit and a timeout
+   */
+  async execute(
+    query: string | ValidatedQuery,
+    params: QueryParameterValues = [],
+    options: QueryExecutionOptions = {}
+  ): Promise<QueryExecutionResult> {
+    const validated = typeof query === 'string' ? this.validate(query) : query;
+    const limit = clampLimit(options.limit);
+    const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const { sql, values } = bindParameters(validated, params);
+
+    // Fetch one extra row to report truncation
+    const statement = this.db
+      .prepare(`SELECT * FROM (${sql}) LIMIT ?`)
+      .bind(...values, limit + 1);
+
+    const startTime = Date.now();
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    try {
+      // D1 cannot cancel a running statement; the timeout bounds how long the caller waits
+      const timeout = new Promise<never>((_, rejectTimeout) => {
+        timer = setTimeout(
+          () => rejectTimeout(new ApiError(`Query exceeded the ${timeoutMs}ms time limit`, 504, 'QUERY_TIMEOUT')),
+          timeoutMs
+        );
+      });
+
+      const result = await Promise.race([statement.all<Record<string, unknown>>(), timeout]);
+      const rows = result.results || [];
+      const truncated = rows.length > limit;
+      const limitedRows = truncated ? rows.slice(0, limit) : rows;
+
+      return {
+        columns: limitedRows.length > 0 ? Object.keys(limitedRows[0]) : [],
+        rows: limitedRows,
+        rowCount: limitedRows.length,
+        truncated,
+        limit,
+        tables: validated.tables,
+        executionTimeMs: Date.now() - startTime
+      };
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      throw new ApiError(
+        `Query failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        400,
+        'QUERY_FAILED'
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Walk FROM/JOIN clauses at every nesting level and check each referenced table
+   */
+  private checkTableReferences(tokens: Token[], cteNames: Set<string>): string[] {
+    const tables = new Set<string>();
+    const frames = [{ inFrom: false, expectTable: false }];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const frame = frames[frames.length - 1];
+
+      if (isPunct(token, '(')) {
+        // A parenthesised subquery or join in table position is checked in its own frame,
+        // which still expects a table: `FROM (users)` names one just like `FROM users`
+        const tablePosition = frame.expectTable;
+        frame.expectTable = false;
+        frames.push({ inFrom: tablePosition, expectTable: tablePosition });
+        continue;
+      }
+      if (isPunct(token, ')')) {
+        if (frames.length > 1) frames.pop();
+        continue;
+      }
+
+      const upper = token.type === 'word' ? token.value.toUpperCase() : '';
+
+      if (upper === 'FROM' || upper === 'JOIN') {
+        frame.inFrom = true;
+        frame.expectTable = true;
+        continue;
+      }
+      if (frame.inFrom && isPunct(token, ',')) {
+        frame.expectTable = true;
+        continue;
+      }
+      if (frame.inFrom && (FROM_TERMINATORS.has(upper) || SUBQUERY_STARTS.has(upper))) {
+        frame.inFrom = false;
+        frame.expectTable = false;
+        continue;
+      }
+
+      if (!frame.expectTable || (token.type !== 'word' && token.type !== 'quoted')) {
+        continue;
+      }
+
+      frame.expectTable = false;
+      const name = token.value.toLowerCase();
+
+      if (isPunct(tokens[i + 1], '.')) {
+        throw reject(`Schema-qualified table names are not allowed: ${token.value}.${tokens[i + 2]?.value ?? ''}`);
+      }
+      if (isPunct(tokens[i + 1], '(')) {
+        if (!TABLE_FUNCTIONS.includes(name)) {
+          throw reject(`Table function ${token.value} is not allowed`);
+        }
+        continue;
+      }
+      if (cteNames.has(name)) {
+        continue;
+      }
+      if (!this.allowedTables.has(name)) {
+        throw reject(`Table ${token.value} is not available for querying`);
+      }
+
+      tables.add(name);
+    }
+
+    return Array.from(tables);
+  }
+}
+
+/**
+ * Turn named or positional parameters into a positional bind list
+ */
+export function bindParameters(
+  query: ValidatedQuery,
+  params: QueryParameterValues
+): { sql: string; values: unknown[] } {
+  if (query.parameterStyle === 'named') {
+    if (Array.isArray(params)) {
+      throw new ApiError('This query uses named parameters; pass params as an object', 400, 'INVALID_PARAMETERS');
+    }
+
+    let sql = '';
+    let cursor = 0;
+    const values: unknown[] = [];
+
+    for (const token of query.tokens) {
+      if (token.type !== 'param') continue;
+
+      const name = token.value.substring(1);
+      if (!(name in params)) {
+        throw new ApiError(`Missing value for parameter :${name}`, 400, 'MISSING_PARAMETER');
+      }
+
+      sql += query.sql.substring(cursor, token.start) + '?';
+      cursor = token.end;
+      values.push(toBindValue(params[name]));
+    }
+
+    return { sql: sql + query.sql.substring(cursor), values };
+  }
+
+  const values = Array.isArray(params) ? params : [];
+  if (values.length !== query.positionalCount) {
+    throw new ApiError(
+      `Query expects ${query.positionalCount} parameter(s) but ${values.length} were provided`,
+      400,
+      'INVALID_PARAMETERS'
+    );
+  }
+
+  return { sql: query.sql, values: values.map(toBindValue) };
+}
+
+/**
+ * Check a saved query's parameter definitions against the parameters its SQL uses
+ */
+export function validateParameterDefinitions(query: ValidatedQuery, definitions: QueryParameterDefinition[]): void {
+  if (query.parameterStyle === 'positional') {
+    throw reject('Saved queries must use named parameters (:name)');
+  }
+
+  const types: QueryParameterType[] = ['string', 'number', 'integer', 'boolean'];
+  const declared = new Set<string>();
+
+  for (const definition of definitions) {
+    if (!definition.name || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(definition.name)) {
+      throw new ApiError(`Invalid parameter name: ${definition.name}`, 400, 'INVALID_PARAMETERS');
+    }
+    if (!types.includes(definition.type)) {
+      throw new ApiError(`Parameter ${definition.name} has unsupported type ${definition.type}`, 400, 'INVALID_PARAMETERS');
+    }
+    declared.add(definition.name);
+  }
+
+  const undeclared = query.namedParameters.filter(name => !declared.has(name));
+  if (undeclared.length > 0) {
+    throw new ApiError(`Parameters used but not declared: ${undeclared.join(', ')}`, 400, 'INVALID_PARAMETERS');
+  }
+}
+
+/**
+ * Apply defaults and type coercion to values supplied for a saved query
+ */
+export function resolveParameterValues(
+  definitions: QueryParameterDefinition[],
+  provided: Record<string, unknown> = {}
+): Record<string, unknown> {
+  const values: Record<string, unknown> = {};
+
+  for (const definition of definitions) {
+    const raw = provided[definition.name] ?? definition.default;
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (definition.required) {
+        throw new ApiError(`Missing required parameter: ${definition.name}`, 400, 'MISSING_PARAMETER');
+      }
+      values[definition.name] = null;
+      continue;
+    }
+
+    values[definition.name] = coerceParameter(definition, raw);
+  }
+
+  return values;
+}
+
+function coerceParameter(definition: QueryParameterDefinition, raw: unknown): unknown {
+  const invalid = () =>
+    new ApiError(`Parameter ${definition.name} must be a ${definition.type}`, 400, 'INVALID_PARAMETERS');
+
+  switch (definition.type) {
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (!Number.isFinite(value) || (definition.type === 'integer' && !Number.isInteger(value))) {
+        throw invalid();
+      }
+      return value;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') return raw;
+      if (raw === 'true' || raw === 1 || raw === '1') return true;
+      if (raw === 'false' || raw === 0 || raw === '0') return false;
+      throw invalid();
+    default:
+      if (typeof raw === 'object') throw invalid();
+      return String(raw);
+  }
+}
+
+function toBindValue(value: unknown): unknown {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value !== null && typeof value === 'object') {
+    throw new ApiError('Query parameters must be strings, numbers, booleans or null', 400, 'INVALID_PARAMETERS');
+  }
+  return value;
+}
+
+function clampLimit(limit?: number): number {
+  if (limit === undefined || limit === null || !Number.isFinite(limit)) return DEFAULT_ROW_LIMIT;
+  return Math.min(Math.max(1, Math.floor(limit)), MAX_ROW_LIMIT);
+}
+
+function analyzeParameters(tokens: Token[]): Pick<ValidatedQuery, 'parameterStyle' | 'namedParameters' | 'positionalCount'> {
+  const named = new Set<string>();
+  let positionalCount = 0;
+
+  for (const token of tokens) {
+    if (token.type !== 'param') continue;
+
+    if (token.value === '?') {
+      positionalCount++;
+    } else if (token.value.startsWith('?')) {
+      throw reject('Numbered parameters (?NNN) are not supported; use ? or :name');
+    } else {
+      named.add(token.value.substring(1));
+    }
+  }
+
+  if (named.size > 0 && positionalCount > 0) {
+    throw reject('Do not mix positional (?) and named (:name) parameters');
+  }
+
+  return {
+    parameterStyle: named.size > 0 ? 'named' : positionalCount > 0 ? 'positional' : 'none',
+    namedParameters: Array.from(named),
+    positionalCount
+  };
+}
+
+/**
+ * Names defined by a leading WITH clause, e.g. `name AS (` or `name(col, ...) AS (`.
+ * CTEs declared inside subqueries are not collected: their scope is local, and
+ * treating them as global names would let an outer reference bypass the allowlist.
+ */
+function collectCteNames(tokens: Token[]): Set<string> {
+  const names = new Set<string>();
+  if (!isWord(tokens[0], 'WITH')) return names;
+
+  let i = isWord(tokens[1], 'RECURSIVE') ? 2 : 1;
+
+  while (i < tokens.length && (tokens[i].type === 'word' || tokens[i].type === 'quoted')) {
+    names.add(tokens[i].value.toLowerCase());
+
+    // Optional column list, then AS [NOT] [MATERIALIZED] ( ... )
+    let j = i + 1;
+    if (isPunct(tokens[j], '(')) {
+      j = findClosingParen(tokens, j) + 1;
+    }
+    while (j < tokens.length && !isPunct(tokens[j], '(')) j++;
+    j = findClosingParen(tokens, j) + 1;
+
+    if (!isPunct(tokens[j], ',')) break;
+    i = j + 1;
+  }
+
+  return names;
+}
+
+function findClosingParen(tokens: Token[], openIndex: number): number {
+  let depth = 0;
+  for (let i = openIndex; i < tokens.length; i++) {
+    if (isPunct(tokens[i], '(')) depth++;
+    if (isPunct(tokens[i], ')') && --depth === 0) return i;
+  }
+  return tokens.length;
+}
+
+function isPunct(token: Token | undefined, value: string): boolean {
+  return token?.type === 'punct' && token.value === value;
+}
+
+function isWord(token: Token | undefined, value: string): boolean {
+  return token?.type === 'word' && token.value.toUpperCase() === value;
+}
+
+function reject(message: string): ApiError {
+  return new ApiError(`Query rejected: ${message}`, 400, 'QUERY_REJECTED');
+}
+
+/**
+ * Split SQL into tokens, dropping whitespace and comments
+ */
+function tokenize(sql: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // Comments
+    if (char === '-' && sql[i + 1] === '-') {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline + 1;
+      continue;
+    }
+    if (char === '/' && sql[i + 1] === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      if (close === -1) throw reject('Unterminated comment');
+      i = close + 2;
+      continue;
+    }
+
+    // String literals ('it''s') and quoted identifiers ("col", `col`, [col])
+    if (char === '\'' || char === '"' || char === '`' || char === '[') {
+      const close = char === '[' ? ']' : char;
+      let value = '';
+      i++;
+      while (true) {
+        if (i >= sql.length) throw reject('Unterminated quoted value');
+        if (sql[i] === close) {
+          if (close !== ']' && sql[i + 1] === close) {
+            value += close;
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        value += sql[i++];
+      }
+      tokens.push({ type: char === '\'' ? 'string' : 'quoted', value, start, end: i });
+      continue;
+    }
+
+    // Parameters: ?, ?NNN, :name, @name, $name
+    if (char === '?' || ((char === ':' || char === '@' || char === '$') && /[A-Za-z_]/.test(sql[i + 1] || ''))) {
+      i++;
+      while (i < sql.length && /[A-Za-z0-9_]/.test(sql[i])) i++;
+      tokens.push({ type: 'param', value: sql.substring(start, i), start, end: i });
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[i + 1] || ''))) {
+      while (i < sql.length && /[0-9A-Za-z_.]/.test(sql[i])) i++;
+      tokens.push({ type: 'number', value: sql.substring(start, i), start, end: i });
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      while (i < sql.length && /[A-Za-z0-9_$]/.test(sql[i])) i++;
+      tokens.push({ type: 'word', value: sql.substring(start, i), start, end: i });
+      continue;
+    }
+
+    tokens.push({ type: 'punct', value: char, start, end: i + 1 });
+    i++;
+  }
+
+  return tokens;
+}
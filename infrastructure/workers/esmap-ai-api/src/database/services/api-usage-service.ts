@@ -0,0 +1,71 @@
+import { BaseService } from './base-service';
+import type { ApiUsage, ApiUsageSummary } from '../models/types';
+import type { Env } from '../../types';
+
+export class ApiUsageService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async record(usage: Omit<ApiUsage, 'id' | 'timestamp'>): Promise<void> {
+    const { query, params } = this.buildInsertQuery('api_usage', usage);
+    await this.executeRun(query, params);
+  }
+
+  async getUserSummary(userId: number, days: number = 30): Promise<ApiUsageSummary> {
+    const periodStart = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    // api_usage.timestamp uses SQLite's 'YYYY-MM-DD HH:MM:SS' format
+    const since = periodStart.replace('T', ' ').substring(0, 19);
+
+    const totalsQuery = `
+      SELECT
+        COUNT(*) as total_requests,
+        SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as error_requests,
+        AVG(response_time_ms) as avg_response_time_ms,
+        SUM(request_size_bytes) as total_request_bytes,
+        SUM(response_size_bytes) as total_response_bytes
+      FROM api_usage
+      WHERE user_id = ? AND timestamp >= ?
+    `;
+
+    const byEndpointQuery = `
+      SELECT endpoint, method, COUNT(*) as requests, AVG(response_time_ms) as avg_response_time_ms
+      FROM api_usage
+      WHERE user_id = ? AND timestamp >= ?
+      GROUP BY endpoint, method
+      ORDER BY requests DESC
+      LIMIT 50
+    `;
+
+    const byDayQuery = `
+      SELECT
+        DATE(timestamp) as day,
+        COUNT(*) as requests,
+        SUM(CASE WHEN status_code >= 400 THEN 1 ELSE 0 END) as errors
+      FROM api_usage
+      WHERE user_id = ? AND timestamp >= ?
+      GROUP BY DATE(timestamp)
+      ORDER BY day ASC
+    `;
+
+    const [totals, byEndpoint, byDay] = await Promise.all([
+      this.executeFirst<Record<string, number | null>>(totalsQuery, [userId, since]),
+      this.executeQuery<ApiUsageSummary['by_endpoint'][number]>(byEndpointQuery, [userId, since]),
+      this.executeQuery<ApiUsageSummary['by_day'][number]>(byDayQuery, [userId, since])
+    ]);
+
+    return {
+      period_start: periodStart,
+      total_requests: totals?.total_requests || 0,
+      error_requests: totals?.error_requests || 0,
+      avg_response_time_ms: Math.round(totals?.avg_response_time_ms || 0),
+      total_request_bytes: totals?.total_request_bytes || 0,
+      total_response_bytes: totals?.total_response_bytes || 0,
+      by_endpoint: byEndpoint.map(row => ({
+        ...row,
+        avg_response_time_ms: Math.round(row.avg_response_time_ms || 0)
+      })),
+      by_day: byDay
+    };
+  }
+}
@@ -2,11 +2,18 @@ import type { Env } from '../../types';
 import { CountryService } from './country-service';
 import { EnergyDataService } from './energy-data-service';
 import { RenewableCapacityService } from './renewable-capacity-service';
+import { UserService } from './user-service';
+import { ApiUsageService } from './api-usage-service';
+import { SavedQueryService } from './saved-query-service';
+import { splitSqlStatements } from '../migration-runner';
 
 export class DatabaseManager {
   public countries: CountryService;
   public energyData: EnergyDataService;
   public renewableCapacity: RenewableCapacityService;
+  public users: UserService;
+  public apiUsage: ApiUsageService;
+  public savedQueries: SavedQueryService;
   private db: D1Database;
 
   constructor(env: Env) {
@@ -14,25 +21,14 @@ export class DatabaseManager {
     this.countries = new CountryService(env);
     this.energyData = new EnergyDataService(env);
     this.renewableCapacity = new RenewableCapacityService(env);
+    this.users = new UserService(env);
+    this.apiUsage = new ApiUsageService(env);
+    this.savedQueries = new SavedQueryService(env);
   }
 
   // Database management methods
-  async runMigration(migrationSql: string): Promise<void> {
-    const statements = migrationSql
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0);
-
-    for (const statement of statements) {
-      await this.db.prepare(statement).run();
-    }
-  }
-
   async runSeed(seedSql: string): Promise<void> {
-    const statements = seedSql
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0);
+    const statements = splitSqlStatements(seedSql);
 
     for (const statement of statements) {
       await this.db.prepare(statement).run();
@@ -104,15 +100,6 @@ export class DatabaseManager {
     };
   }
 
-  async executeRawQuery(query: string, params: any[] = []): Promise<any> {
-    const stmt = this.db.prepare(query);
-    if (query.trim().toUpperCase().startsWith('SELECT')) {
-      return await stmt.bind(...params).all();
-    } else {
-      return await stmt.bind(...params).run();
-    }
-  }
-
   async healthCheck(): Promise<{
     status: 'healthy' | 'unhealthy';
     connection: boolean;
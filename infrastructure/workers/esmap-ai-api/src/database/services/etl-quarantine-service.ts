@@ -0,0 +1,285 @@
+import { BaseService } from './base-service';
+import type {
+  ETLQuarantineRecord,
+  ETLQuarantineAudit,
+  ETLQuarantineStatus
+} from '../models/types';
+import type { Env } from '../../types';
+
+export interface QuarantineFilters {
+  status?: ETLQuarantineStatus;
+  sourceId?: string;
+  rule?: string;
+  field?: string;
+  jobId?: string;
+}
+
+export interface QuarantineSummaryRow {
+  source_id: string;
+  status: ETLQuarantineStatus;
+  count: number;
+}
+
+export interface QuarantineRuleSummaryRow {
+  source_id: string;
+  rule: string;
+  field: string;
+  count: number;
+}
+
+export class ETLQuarantineService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async getById(id: number): Promise<ETLQuarantineRecord | null> {
+    return await this.executeFirst<ETLQuarantineRecord>('SELECT * FROM etl_quarantine WHERE id = ?', [id]);
+  }
+
+  async getByIds(ids: number[]): Promise<ETLQuarantineRecord[]> {
+    if (ids.length === 0) return [];
+    const query = `SELECT * FROM etl_quarantine WHERE id IN (${ids.map(() => '?').join(', ')}) ORDER BY id ASC`;
+    return await this.executeQuery<ETLQuarantineRecord>(query, ids);
+  }
+
+  async list(filters: QuarantineFilters = {}, limit: number = 50, offset: number = 0): Promise<ETLQuarantineRecord[]> {
+    const { clause, params } = this.buildFilterClause(filters);
+    const query = `
+      SELECT * FROM etl_quarantine${clause}
+      ORDER BY created_at DESC, id DESC
+      ${this.buildLimitOffset(limit, offset)}
+    `;
+    return await this.executeQuery<ETLQuarantineRecord>(query, params);
+  }
+
+  async count(filters: QuarantineFilters = {}): Promise<number> {
+    const { clause, params } = this.buildFilterClause(filters);
+    return await this.getCount('etl_quarantine', clause, params);
+  }
+
+  /**
+   * Pending records whose every validation error was raised by `rule`
+   * (on `field`, when given), i.e. the records a waiver of that rule would clear
+   */
+  async findReleasableByRule(rule: string, field?: string, sourceId?: string, limit: number = 500): Promise<ETLQuarantineRecord[]> {
+    const params: any[] = [rule, field ?? null, field ?? null];
+    let sourceClause = '';
+    if (sourceId) {
+      sourceClause = ' AND source_id = ?';
+      params.push(sourceId);
+    }
+
+    const query = `
+      SELECT * FROM etl_quarantine
+      WHERE status = 'pending'
+        AND json_array_length(validation_errors) > 0
+        AND NOT EXISTS (
+          SELECT 1 FROM json_each(etl_quarantine.validation_errors) AS error
+          WHERE json_extract(error.value, '$.rule') != ?
+             OR (? IS NOT NULL AND json_extract(error.value, '$.field') != ?)
+        )${sourceClause}
+      ORDER BY id ASC
+      ${this.buildLimitOffset(limit)}
+    `;
+    return await this.executeQuery<ETLQuarantineRecord>(query, params);
+  }
+
+  async summarizeByStatus(): Promise<QuarantineSummaryRow[]> {
+    const query = `
+      SELECT source_id, status, COUNT(*) as count
+      FROM etl_quarantine
+      GROUP BY source_id, status
+      ORDER BY source_id ASC, status ASC
+    `;
+    return await this.executeQuery<QuarantineSummaryRow>(query);
+  }
+
+  /**
+   * Failing rules across pending records, most frequent first
+   */
+  async summarizePendingByRule(): Promise<QuarantineRuleSummaryRow[]> {
+    const query = `
+      SELECT q.source_id,
+             json_extract(error.value, '$.rule') as rule,
+             json_extract(error.value, '$.field') as field,
+             COUNT(DISTINCT q.id) as count
+      FROM etl_quarantine q, json_each(q.validation_errors) AS error
+      WHERE q.status = 'pending'
+      GROUP BY q.source_id, rule, field
+      ORDER BY count DESC
+    `;
+    return await this.executeQuery<QuarantineRuleSummaryRow>(query);
+  }
+
+  async create(record: Omit<ETLQuarantineRecord, 'id' | 'created_at' | 'updated_at'>): Promise<number> {
+    const { query, params } = this.buildInsertQuery('etl_quarantine', record);
+    const result = await this.executeRun(query, params);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to quarantine record');
+    }
+
+    return result.meta.last_row_id;
+  }
+
+  async update(id: number, updates: Partial<ETLQuarantineRecord>): Promise<ETLQuarantineRecord | null> {
+    const { query, params } = this.buildUpdateQuery('etl_quarantine', updates, { id });
+    const result = await this.executeRun(query, params);
+
+    if (result.meta?.changes === 0) {
+      return null;
+    }
+
+    return await this.getById(id);
+  }
+
+  /**
+   * Move a record out of 'pending' and record who did it, in one batch.
+   * Returns false if the record was no longer pending.
+   */
+  async resolve(
+    id: number,
+    status: Exclude<ETLQuarantineStatus, 'pending'>,
+    resolution: Partial<ETLQuarantineRecord>,
+    audit: Omit<ETLQuarantineAudit, 'id' | 'quarantine_id' | 'created_at'>
+  ): Promise<boolean> {
+    const results = await this.resolveMany([id], status, () => resolution, () => audit);
+    return results.includes(id);
+  }
+
+  /**
+   * Resolve several pending records. Each record's status change and audit
+   * entry are written together; records no longer pending are left untouched.
+   * Returns the IDs that were resolved.
+   */
+  async resolveMany(
+    ids: number[],
+    status: Exclude<ETLQuarantineStatus, 'pending'>,
+    resolutionFor: (id: number) => Partial<ETLQuarantineRecord>,
+    auditFor: (id: number) => Omit<ETLQuarantineAudit, 'id' | 'quarantine_id' | 'created_at'>
+  ): Promise<number[]> {
+    if (ids.length === 0) return [];
+
+    const statements = ids.flatMap(id => {
+      const resolution = { ...resolutionFor(id), status };
+      const columns = Object.keys(resolution).filter(key => (resolution as Record<string, unknown>)[key] !== undefined);
+      const audit = auditFor(id);
+
+      return [
+        {
+          query: `
+            UPDATE etl_quarantine
+            SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'pending'
+          `,
+          params: [...columns.map(column => (resolution as Record<string, unknown>)[column]), id]
+        },
+        {
+          // Only audited if the update above took effect
+          query: `
+            INSERT INTO etl_quarantine_audit (quarantine_id, action, user_id, details)
+            SELECT ?, ?, ?, ? WHERE changes() > 0
+          `,
+          params: [id, audit.action, audit.user_id ?? null, audit.details ?? '{}']
+        }
+      ];
+    });
+
+    const results = await this.executeBatch(statements);
+    return ids.filter((_, index) => (results[index * 2].meta?.changes || 0) > 0);
+  }
+
+  /**
+   * Return released records to 'pending' after their re-ingestion could not be
+   * queued. Only records still carrying `releaseJobId` are reopened, each with
+   * an audit entry saying why.
+   */
+  async reopen(
+    ids: number[],
+    releaseJobId: string,
+    auditFor: (id: number) => Omit<ETLQuarantineAudit, 'id' | 'quarantine_id' | 'created_at'>
+  ): Promise<void> {
+    if (ids.length === 0) return;
+
+    const statements = ids.flatMap(id => {
+      const audit = auditFor(id);
+
+      return [
+        {
+          query: `
+            UPDATE etl_quarantine
+            SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL, resolution_note = NULL,
+                release_job_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'released' AND release_job_id = ?
+          `,
+          params: [id, releaseJobId]
+        },
+        {
+          query: `
+            INSERT INTO etl_quarantine_audit (quarantine_id, action, user_id, details)
+            SELECT ?, ?, ?, ? WHERE changes() > 0
+          `,
+          params: [id, audit.action, audit.user_id ?? null, audit.details ?? '{}']
+        }
+      ];
+    });
+
+    await this.executeBatch(statements);
+  }
+
+  // Audit trail methods
+  async addAudit(entry: Omit<ETLQuarantineAudit, 'id' | 'created_at'>): Promise<void> {
+    const { query, params } = this.buildInsertQuery('etl_quarantine_audit', entry);
+    await this.executeRun(query, params);
+  }
+
+  async getAudit(quarantineId: number): Promise<ETLQuarantineAudit[]> {
+    const query = `
+      SELECT * FROM etl_quarantine_audit
+      WHERE quarantine_id = ?
+      ORDER BY created_at ASC, id ASC
+    `;
+    return await this.executeQuery<ETLQuarantineAudit>(query, [quarantineId]);
+  }
+
+  async listAudit(userId?: number, limit: number = 100, offset: number = 0): Promise<ETLQuarantineAudit[]> {
+    const { clause, params } = this.buildWhereClause({ user_id: userId });
+    const query = `
+      SELECT * FROM etl_quarantine_audit${clause}
+      ORDER BY created_at DESC, id DESC
+      ${this.buildLimitOffset(limit, offset)}
+    `;
+    return await this.executeQuery<ETLQuarantineAudit>(query, params);
+  }
+
+  private buildFilterClause(filters: QuarantineFilters): { clause: string; params: any[] } {
+    const { clause, params } = this.buildWhereClause({
+      status: filters.status,
+      source_id: filters.sourceId,
+      job_id: filters.jobId
+    });
+
+    if (!filters.rule && !filters.field) {
+      return { clause, params };
+    }
+
+    const conditions: string[] = [];
+    if (filters.rule) {
+      conditions.push("json_extract(error.value, '$.rule') = ?");
+      params.push(filters.rule);
+    }
+    if (filters.field) {
+      conditions.push("json_extract(error.value, '$.field') = ?");
+      params.push(filters.field);
+    }
+
+    const errorClause = `EXISTS (
+      SELECT 1 FROM json_each(etl_quarantine.validation_errors) AS error WHERE ${conditions.join(' AND ')}
+    )`;
+
+    return {
+      clause: clause ? `${clause} AND ${errorClause}` : ` WHERE ${errorClause}`,
+      params
+    };
+  }
+}
@@ -0,0 +1,161 @@
+import { BaseService } from './base-service';
+import type { ETLSchedule, ETLScheduleRun, ETLScheduleRunStatus } from '../models/types';
+import type { Env } from '../../types';
+
+export class ETLScheduleService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async getById(id: number): Promise<ETLSchedule | null> {
+    const query = 'SELECT * FROM etl_schedules WHERE id = ?';
+    return await this.executeFirst<ETLSchedule>(query, [id]);
+  }
+
+  async getBySourceId(sourceId: string): Promise<ETLSchedule | null> {
+    const query = 'SELECT * FROM etl_schedules WHERE source_id = ?';
+    return await this.executeFirst<ETLSchedule>(query, [sourceId]);
+  }
+
+  async list(): Promise<ETLSchedule[]> {
+    return await this.executeQuery<ETLSchedule>('SELECT * FROM etl_schedules ORDER BY source_id ASC');
+  }
+
+  /**
+   * Enabled schedules whose next run time has passed
+   */
+  async getDue(now: string): Promise<ETLSchedule[]> {
+    const query = `
+      SELECT * FROM etl_schedules
+      WHERE is_enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+    `;
+    return await this.executeQuery<ETLSchedule>(query, [now]);
+  }
+
+  async create(schedule: Omit<ETLSchedule, 'id' | 'created_at' | 'updated_at'>): Promise<ETLSchedule> {
+    const { query, params } = this.buildInsertQuery('etl_schedules', schedule);
+    const result = await this.executeRun(query, params);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to create ETL schedule');
+    }
+
+    const created = await this.getById(result.meta.last_row_id);
+    if (!created) {
+      throw new Error('Failed to retrieve created ETL schedule');
+    }
+
+    return created;
+  }
+
+  async update(id: number, updates: Partial<ETLSchedule>): Promise<ETLSchedule | null> {
+    const { query, params } = this.buildUpdateQuery('etl_schedules', updates, { id });
+    const result = await this.executeRun(query, params);
+
+    if (result.meta?.changes === 0) {
+      return null;
+    }
+
+    return await this.getById(id);
+  }
+
+  async delete(id: number): Promise<boolean> {
+    await this.executeRun('DELETE FROM etl_schedule_runs WHERE schedule_id = ?', [id]);
+    const result = await this.executeRun('DELETE FROM etl_schedules WHERE id = ?', [id]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  /**
+   * Move next_run_at forward only if it still holds the value the caller read,
+   * so each occurrence is claimed by exactly one scheduler tick
+   */
+  async advanceNextRun(id: number, expected: string, next: string | null): Promise<boolean> {
+    const query = 'UPDATE etl_schedules SET next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND next_run_at = ?';
+    const result = await this.executeRun(query, [next, id, expected]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  /**
+   * Take the overlap lock for a schedule. Fails while another run holds an
+   * unexpired lock, so concurrent cron ticks cannot start the same job twice.
+   */
+  async acquireLock(id: number, runId: number, now: string, expiresAt: string): Promise<boolean> {
+    const query = `
+      UPDATE etl_schedules
+      SET running_run_id = ?, lock_expires_at = ?
+      WHERE id = ? AND (running_run_id IS NULL OR lock_expires_at IS NULL OR lock_expires_at <= ?)
+    `;
+    const result = await this.executeRun(query, [runId, expiresAt, id, now]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  async releaseLock(id: number, runId: number): Promise<void> {
+    const query = `
+      UPDATE etl_schedules
+      SET running_run_id = NULL, lock_expires_at = NULL
+      WHERE id = ? AND running_run_id = ?
+    `;
+    await this.executeRun(query, [id, runId]);
+  }
+
+  // Run history methods
+  async createRun(run: Omit<ETLScheduleRun, 'id'>): Promise<number> {
+    const { query, params } = this.buildInsertQuery('etl_schedule_runs', run);
+    const result = await this.executeRun(query, params);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to record ETL schedule run');
+    }
+
+    return result.meta.last_row_id;
+  }
+
+  async updateRun(id: number, updates: Partial<ETLScheduleRun>): Promise<void> {
+    // etl_schedule_runs has no updated_at column, so buildUpdateQuery is not used here
+    const columns = Object.keys(updates).filter(key => (updates as Record<string, unknown>)[key] !== undefined);
+    if (columns.length === 0) return;
+
+    const query = `UPDATE etl_schedule_runs SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`;
+    await this.executeRun(query, [...columns.map(column => (updates as Record<string, unknown>)[column]), id]);
+  }
+
+  async getRun(id: number): Promise<ETLScheduleRun | null> {
+    return await this.executeFirst<ETLScheduleRun>('SELECT * FROM etl_schedule_runs WHERE id = ?', [id]);
+  }
+
+  async getRuns(scheduleId: number, limit: number = 20): Promise<ETLScheduleRun[]> {
+    const query = `
+      SELECT * FROM etl_schedule_runs
+      WHERE schedule_id = ?
+      ORDER BY started_at DESC, id DESC
+      ${this.buildLimitOffset(limit)}
+    `;
+    return await this.executeQuery<ETLScheduleRun>(query, [scheduleId]);
+  }
+
+  /**
+   * Record the outcome of a run and release the schedule's lock if this run holds it
+   */
+  async finishRun(runId: number, status: ETLScheduleRunStatus, error?: string): Promise<void> {
+    const run = await this.getRun(runId);
+    if (!run) return;
+
+    const finishedAt = new Date().toISOString();
+
+    await this.executeBatch([
+      {
+        query: 'UPDATE etl_schedule_runs SET status = ?, error = ?, finished_at = ? WHERE id = ?',
+        params: [status, error ?? null, finishedAt, runId]
+      },
+      {
+        query: 'UPDATE etl_schedules SET last_run_status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        params: [status, run.schedule_id]
+      },
+      {
+        query: 'UPDATE etl_schedules SET running_run_id = NULL, lock_expires_at = NULL WHERE id = ? AND running_run_id = ?',
+        params: [run.schedule_id, runId]
+      }
+    ]);
+  }
+}
@@ -0,0 +1,53 @@
+import { BaseService } from './base-service';
+import type { ETLWatermark } from '../models/types';
+import type { Env } from '../../types';
+
+export class ETLWatermarkService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async get(sourceId: string): Promise<ETLWatermark | null> {
+    return await this.executeFirst<ETLWatermark>('SELECT * FROM etl_watermarks WHERE source_id = ?', [sourceId]);
+  }
+
+  async list(): Promise<ETLWatermark[]> {
+    return await this.executeQuery<ETLWatermark>('SELECT * FROM etl_watermarks ORDER BY source_id ASC');
+  }
+
+  /**
+   * Insert or replace the watermark for a source
+   */
+  async save(watermark: Omit<ETLWatermark, 'created_at' | 'updated_at'>): Promise<void> {
+    const query = `
+      INSERT INTO etl_watermarks (
+        source_id, high_water_year, high_water_date, etag, last_modified, validator_url, last_job_id, last_extracted_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (source_id) DO UPDATE SET
+        high_water_year = excluded.high_water_year,
+        high_water_date = excluded.high_water_date,
+        etag = excluded.etag,
+        last_modified = excluded.last_modified,
+        validator_url = excluded.validator_url,
+        last_job_id = excluded.last_job_id,
+        last_extracted_at = excluded.last_extracted_at,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    await this.executeRun(query, [
+      watermark.source_id,
+      watermark.high_water_year ?? null,
+      watermark.high_water_date ?? null,
+      watermark.etag ?? null,
+      watermark.last_modified ?? null,
+      watermark.validator_url ?? null,
+      watermark.last_job_id ?? null,
+      watermark.last_extracted_at ?? null
+    ]);
+  }
+
+  async delete(sourceId: string): Promise<boolean> {
+    const result = await this.executeRun('DELETE FROM etl_watermarks WHERE source_id = ?', [sourceId]);
+    return (result.meta?.changes || 0) > 0;
+  }
+}
@@ -0,0 +1,69 @@
+import { BaseService } from './base-service';
+import type { SavedQuery } from '../models/types';
+import type { Env } from '../../types';
+
+export class SavedQueryService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async getById(id: number): Promise<SavedQuery | null> {
+    const query = 'SELECT * FROM saved_queries WHERE id = ?';
+    return await this.executeFirst<SavedQuery>(query, [id]);
+  }
+
+  async getByName(name: string): Promise<SavedQuery | null> {
+    const query = 'SELECT * FROM saved_queries WHERE name = ?';
+    return await this.executeFirst<SavedQuery>(query, [name]);
+  }
+
+  /**
+   * Queries the user owns plus those shared by others
+   */
+  async listVisible(userId: number, limit: number = 100, offset: number = 0): Promise<SavedQuery[]> {
+    const query = `
+      SELECT * FROM saved_queries
+      WHERE created_by = ? OR is_shared = 1
+      ORDER BY name ASC
+      ${this.buildLimitOffset(limit, offset)}
+    `;
+    return await this.executeQuery<SavedQuery>(query, [userId]);
+  }
+
+  async create(savedQuery: Omit<SavedQuery, 'id' | 'created_at' | 'updated_at' | 'last_run_at' | 'run_count'>): Promise<SavedQuery> {
+    const { query, params } = this.buildInsertQuery('saved_queries', savedQuery);
+    const result = await this.executeRun(query, params);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to create saved query');
+    }
+
+    const created = await this.getById(result.meta.last_row_id);
+    if (!created) {
+      throw new Error('Failed to retrieve created saved query');
+    }
+
+    return created;
+  }
+
+  async update(id: number, updates: Partial<SavedQuery>): Promise<SavedQuery | null> {
+    const { query, params } = this.buildUpdateQuery('saved_queries', updates, { id });
+    const result = await this.executeRun(query, params);
+
+    if (result.meta?.changes === 0) {
+      return null;
+    }
+
+    return await this.getById(id);
+  }
+
+  async delete(id: number): Promise<boolean> {
+    const result = await this.executeRun('DELETE FROM saved_queries WHERE id = ?', [id]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  async recordRun(id: number): Promise<void> {
+    const query = 'UPDATE saved_queries SET run_count = run_count + 1, last_run_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await this.executeRun(query, [id]);
+  }
+}
@@ -0,0 +1,110 @@
+import { BaseService } from './base-service';
+import type { TransformationRuleVersion } from '../models/types';
+import type { Env } from '../../types';
+
+export class TransformationRuleService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async getById(id: number): Promise<TransformationRuleVersion | null> {
+    return await this.executeFirst<TransformationRuleVersion>('SELECT * FROM transformation_rules WHERE id = ?', [id]);
+  }
+
+  async getVersion(sourceType: string, version: number): Promise<TransformationRuleVersion | null> {
+    return await this.executeFirst<TransformationRuleVersion>(
+      'SELECT * FROM transformation_rules WHERE source_type = ? AND version = ?',
+      [sourceType, version]
+    );
+  }
+
+  async getActive(sourceType: string): Promise<TransformationRuleVersion | null> {
+    return await this.executeFirst<TransformationRuleVersion>(
+      "SELECT * FROM transformation_rules WHERE source_type = ? AND status = 'active'",
+      [sourceType]
+    );
+  }
+
+  async listActive(): Promise<TransformationRuleVersion[]> {
+    return await this.executeQuery<TransformationRuleVersion>(
+      "SELECT * FROM transformation_rules WHERE status = 'active' ORDER BY source_type ASC"
+    );
+  }
+
+  /**
+   * Versions of a source's rule without their documents, newest first
+   */
+  async listVersions(sourceType: string): Promise<Omit<TransformationRuleVersion, 'document'>[]> {
+    const query = `
+      SELECT id, source_type, version, status, notes, created_by, activated_by, activated_at, created_at, updated_at
+      FROM transformation_rules
+      WHERE source_type = ?
+      ORDER BY version DESC
+    `;
+    return await this.executeQuery<Omit<TransformationRuleVersion, 'document'>>(query, [sourceType]);
+  }
+
+  /**
+   * Store a document as the source's next version, in draft
+   */
+  async create(
+    sourceType: string,
+    document: string,
+    notes: string | null,
+    createdBy: number
+  ): Promise<TransformationRuleVersion> {
+    // Version numbering happens in the insert itself; UNIQUE (source_type, version) rejects a racing duplicate
+    const query = `
+      INSERT INTO transformation_rules (source_type, version, document, notes, created_by)
+      SELECT ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?
+      FROM transformation_rules WHERE source_type = ?
+    `;
+    const result = await this.executeRun(query, [sourceType, document, notes, createdBy, sourceType]);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to create transformation rule version');
+    }
+
+    return (await this.getById(result.meta.last_row_id))!;
+  }
+
+  /**
+   * Make a version the active one for its source, retiring the previous active version.
+   * Returns false if the version does not exist.
+   */
+  async activate(sourceType: string, version: number, userId: number): Promise<boolean> {
+    const results = await this.executeBatch([
+      {
+        query: `
+          UPDATE transformation_rules
+          SET status = 'retired', updated_at = CURRENT_TIMESTAMP
+          WHERE source_type = ? AND status = 'active' AND version != ?
+            AND EXISTS (SELECT 1 FROM transformation_rules WHERE source_type = ? AND version = ?)
+        `,
+        params: [sourceType, version, sourceType, version]
+      },
+      {
+        query: `
+          UPDATE transformation_rules
+          SET status = 'active', activated_by = ?, activated_at = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE source_type = ? AND version = ?
+        `,
+        params: [userId, new Date().toISOString(), sourceType, version]
+      }
+    ]);
+
+    return (results[1].meta?.changes || 0) > 0;
+  }
+
+  /**
+   * Retire the active version so the source falls back to its built-in rule.
+   * Returns false if no version was active.
+   */
+  async deactivate(sourceType: string): Promise<boolean> {
+    const result = await this.executeRun(
+      "UPDATE transformation_rules SET status = 'retired', updated_at = CURRENT_TIMESTAMP WHERE source_type = ? AND status = 'active'",
+      [sourceType]
+    );
+    return (result.meta?.changes || 0) > 0;
+  }
+}
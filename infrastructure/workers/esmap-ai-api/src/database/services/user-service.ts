@@ -0,0 +1,117 @@
+import { BaseService } from './base-service';
+import type { User, UserSession, PasswordResetToken } from '../models/types';
+import type { Env } from '../../types';
+
+export class UserService extends BaseService {
+  constructor(env: Env) {
+    super(env);
+  }
+
+  async getById(id: number): Promise<User | null> {
+    const query = 'SELECT * FROM users WHERE id = ?';
+    return await this.executeFirst<User>(query, [id]);
+  }
+
+  async getByEmail(email: string): Promise<User | null> {
+    const query = 'SELECT * FROM users WHERE email = ?';
+    return await this.executeFirst<User>(query, [email.trim().toLowerCase()]);
+  }
+
+  async create(user: Omit<User, 'id' | 'created_at' | 'updated_at'>): Promise<User> {
+    const { query, params } = this.buildInsertQuery('users', {
+      ...user,
+      email: user.email.trim().toLowerCase()
+    });
+    const result = await this.executeRun(query, params);
+
+    if (!result.meta?.last_row_id) {
+      throw new Error('Failed to create user');
+    }
+
+    const created = await this.getById(result.meta.last_row_id);
+    if (!created) {
+      throw new Error('Failed to retrieve created user');
+    }
+
+    return created;
+  }
+
+  async update(id: number, updates: Partial<User>): Promise<User | null> {
+    const { query, params } = this.buildUpdateQuery('users', updates, { id });
+    const result = await this.executeRun(query, params);
+
+    if (result.meta?.changes === 0) {
+      return null;
+    }
+
+    return await this.getById(id);
+  }
+
+  async getByApiKeyHash(apiKeyHash: string): Promise<User | null> {
+    const query = 'SELECT * FROM users WHERE api_key_hash = ?';
+    return await this.executeFirst<User>(query, [apiKeyHash]);
+  }
+
+  async setApiKey(id: number, apiKeyHash: string, apiKeyPrefix: string): Promise<void> {
+    const query = `
+      UPDATE users
+      SET api_key_hash = ?, api_key_prefix = ?, api_key_created_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+    await this.executeRun(query, [apiKeyHash, apiKeyPrefix, id]);
+  }
+
+  async clearApiKey(id: number): Promise<boolean> {
+    const query = `
+      UPDATE users
+      SET api_key_hash = NULL, api_key_prefix = NULL, api_key_created_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND api_key_hash IS NOT NULL
+    `;
+    const result = await this.executeRun(query, [id]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  async recordLogin(id: number): Promise<void> {
+    await this.executeRun('UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+  }
+
+  // Session methods
+  async createSession(session: Omit<UserSession, 'created_at' | 'revoked_at'>): Promise<void> {
+    const { query, params } = this.buildInsertQuery('user_sessions', session);
+    await this.executeRun(query, params);
+  }
+
+  async getSession(id: string): Promise<UserSession | null> {
+    const query = 'SELECT * FROM user_sessions WHERE id = ?';
+    return await this.executeFirst<UserSession>(query, [id]);
+  }
+
+  async revokeSession(id: string): Promise<boolean> {
+    const query = 'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL';
+    const result = await this.executeRun(query, [id]);
+    return (result.meta?.changes || 0) > 0;
+  }
+
+  async revokeAllSessions(userId: number): Promise<number> {
+    const query = 'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL';
+    const result = await this.executeRun(query, [userId]);
+    return result.meta?.changes || 0;
+  }
+
+  // Password reset methods
+  async createPasswordResetToken(token: Omit<PasswordResetToken, 'id' | 'created_at' | 'used_at'>): Promise<void> {
+    const { query, params } = this.buildInsertQuery('password_reset_tokens', token);
+    await this.executeRun(query, params);
+  }
+
+  async getPasswordResetToken(tokenHash: string): Promise<PasswordResetToken | null> {
+    const query = 'SELECT * FROM password_reset_tokens WHERE token_hash = ?';
+    return await this.executeFirst<PasswordResetToken>(query, [tokenHash]);
+  }
+
+  async markPasswordResetTokenUsed(id: number): Promise<boolean> {
+    const query = 'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL';
+    const result = await this.executeRun(query, [id]);
+    return (result.meta?.changes || 0) > 0;
+  }
+}
@@ -4,24 +4,88 @@
  */
 
 import { ESMAPETLPipeline } from './pipeline/esmap-etl-pipeline';
-import { ETLPipelineConfig, DataSource, ETLMetrics } from './types';
+import { ETLPipelineConfig, DataSource, DataRecord, ETLMetrics, PipelineStores } from './types';
+import { ETLScheduleService } from '../database/services/etl-schedule-service';
+import { ETLWatermarkService } from '../database/services/etl-watermark-service';
+import { ETLQuarantineService } from '../database/services/etl-quarantine-service';
+import { TransformationRuleService } from '../database/services/transformation-rule-service';
+import { D1WatermarkStore } from './incremental/watermarks';
+import { D1QuarantineStore } from './quarantine/quarantine-store';
+import { TransformationRuleRegistry } from './transformations/rule-registry';
+
+// Records per queue message when re-ingesting released records (queue messages are capped at 128 KB)
+export const REINGEST_BATCH_SIZE = 50;
 
 export interface ETLWorkerEnv {
   ESMAP_DB: D1Database;
+  DB?: D1Database;
   ETL_CACHE: KVNamespace;
   QUEUE: Queue;
 }
 
-interface ETLJobRequest {
+export interface ETLJobRequest {
   jobId: string;
   pipelineName: string;
   sources: string[];
   options?: {
     batchSize?: number;
     parallelism?: number;
+    fullRefresh?: boolean; // ignore source watermarks and re-extract everything
   };
 }
 
+export interface ETLSourceInfo {
+  id: string;
+  name: string;
+  type: string;
+  description: string;
+  updateFrequency: string;
+  defaultCron: string; // UTC refresh cadence used when a schedule is created without one
+}
+
+export const ETL_SOURCES: ETLSourceInfo[] = [
+  {
+    id: 'world-bank',
+    name: 'World Bank Open Data',
+    type: 'api',
+    description: 'Energy indicators from World Bank',
+    updateFrequency: 'Annual',
+    defaultCron: '0 2 1 * *'
+  },
+  {
+    id: 'nasa-power',
+    name: 'NASA POWER',
+    type: 'api',
+    description: 'Climate and renewable energy resource data',
+    updateFrequency: 'Daily',
+    defaultCron: '0 4 * * *'
+  },
+  {
+    id: 'irena',
+    name: 'IRENA Statistics',
+    type: 'api',
+    description: 'Renewable energy capacity and generation',
+    updateFrequency: 'Annual',
+    defaultCron: '0 2 1 * *'
+  },
+  {
+    id: 'esmap-hub',
+    name: 'ESMAP Data Hub',
+    type: 'api',
+    description: '908 energy datasets across 193 countries',
+    updateFrequency: 'Varies',
+    defaultCron: '0 3 * * 1'
+  },
+  {
+    id: 'mtf-survey',
+    name: 'Multi-Tier Framework Surveys',
+    type: 'api',
+    description: 'Energy access tier data from household surveys',
+    updateFrequency: 'Periodic',
+    defaultCron: '0 3 1 * *'
+  }
+];
+
 export class ETLWorker {
   private env: ETLWorkerEnv;
   private activePipelines: Map<string, ESMAPETLPipeline> = new Map();
@@ -69,31 +133,7 @@ export class ETLWorker {
         );
       }
 
-      // Create pipeline configuration
-      const config = await this.createPipelineConfig(jobRequest);
-      
-      // Create and start pipeline
-      const pipeline = new ESMAPETLPipeline(config);
-      this.activePipelines.set(jobRequest.jobId, pipeline);
-
-      // Queue the job for async processing
-      await this.env.QUEUE.send({
-        type: 'etl-job',
-        jobId: jobRequest.jobId,
-        config
-      });
-
-      // Store initial job status
-      await this.env.ETL_CACHE.put(
-        `job:${jobRequest.jobId}`,
-        JSON.stringify({
-          status: 'queued',
-          startTime: new Date().toISOString(),
-          pipelineName: jobRequest.pipelineName,
-          sources: jobRequest.sources
-        }),
-        { expirationTtl: 86400 } // 24 hours
-      );
+      await this.enqueueJob(jobRequest);
 
       return new Response(
         JSON.stringify({
@@ -115,6 +155,46 @@ export class ETLWorker {
     }
   }
 
+  /**
+   * Build the pipeline for a job and queue it for async processing.
+   * `scheduleRunId` links the job back to the etl_schedule_runs row that started it.
+   */
+  async enqueueJob(jobRequest: ETLJobRequest, scheduleRunId?: number): Promise<ETLPipelineConfig> {
+    // Create pipeline configuration
+    const config = await this.createPipelineConfig(jobRequest);
+    
+    if (config.sources.length === 0) {
+      throw new Error(`No pipeline configuration for sources: ${jobRequest.sources.join(', ')}`);
+    }
+    
+    // Create and start pipeline
+    const pipeline = new ESMAPETLPipeline(config, this.createPipelineStores());
+    this.activePipelines.set(jobRequest.jobId, pipeline);
+
+    // Queue the job for async processing
+    await this.env.QUEUE.send({
+      type: 'etl-job',
+      jobId: jobRequest.jobId,
+      config,
+      scheduleRunId
+    });
+
+    // Store initial job status
+    await this.env.ETL_CACHE.put(
+      `job:${jobRequest.jobId}`,
+      JSON.stringify({
+        status: 'queued',
+        startTime: new Date().toISOString(),
+        pipelineName: jobRequest.pipelineName,
+        sources: jobRequest.sources,
+        scheduleRunId
+      }),
+      { expirationTtl: 86400 } // 24 hours
+    );
+
+    return config;
+  }
+
   /**
    * Get job status
    */
@@ -192,46 +272,8 @@ export class ETLWorker {
    * Get available data sources
    */
   private async getAvailableSources(): Promise<Response> {
-    const sources = [
-      {
-        id: 'world-bank',
-        name: 'World Bank Open Data',
-        type: 'api',
-        description: 'Energy indicators from World Bank',
-        updateFrequency: 'Annual'
-      },
-      {
-        id: 'nasa-power',
-        name: 'NASA POWER',
-        type: 'api',
-        description: 'Climate and renewable energy resource data',
-        updateFrequency: 'Daily'
-      },
-      {
-        id: 'irena',
-        name: 'IRENA Statistics',
-        type: 'api',
-        description: 'Renewable energy capacity and generation',
-        updateFrequency: 'Annual'
-      },
-      {
-        id: 'esmap-hub',
-        name: 'ESMAP Data Hub',
-        type: 'api',
-        description: '908 energy datasets across 193 countries',
-        updateFrequency: 'Varies'
-      },
-      {
-        id: 'mtf-survey',
-        name: 'Multi-Tier Framework Surveys',
-        type: 'api',
-        description: 'Energy access tier data from household surveys',
-        updateFrequency: 'Periodic'
-      }
-    ];
-
     return new Response(
-      JSON.stringify(sources),
+      JSON.stringify(ETL_SOURCES),
       { headers: { 'Content-Type': 'application/json' } }
     );
   }
@@ -266,10 +308,50 @@ export class ETLWorker {
         onValidationError: 'quarantine',
         onTransformError: 'skip',
         quarantineTable: 'etl_quarantine'
-      }
+      },
+      jobId: jobRequest.jobId,
+      fullRefresh: jobRequest.options?.fullRefresh ?? false
     };
   }
 
+  /**
+   * Watermarks and quarantined records live in D1; without a database binding
+   * every job is a full extraction and quarantined records are only kept in memory
+   */
+  private createPipelineStores(): PipelineStores {
+    if (!this.env.DB) return {};
+
+    return {
+      watermarks: new D1WatermarkStore(new ETLWatermarkService(this.env as any)),
+      quarantine: new D1QuarantineStore(new ETLQuarantineService(this.env as any)),
+      rules: new TransformationRuleRegistry(new TransformationRuleService(this.env as any), this.env.ETL_CACHE)
+    };
+  }
+
+  /**
+   * Queue records released from quarantine to be loaded by the source's pipeline
+   */
+  async enqueueReingest(sourceId: string, records: DataRecord[], jobId: string): Promise<void> {
+    const config = await this.createPipelineConfig({
+      jobId,
+      pipelineName: 'quarantine-release',
+      sources: [sourceId]
+    });
+
+    if (config.sources.length === 0) {
+      throw new Error(`No pipeline configuration for source: ${sourceId}`);
+    }
+
+    for (let i = 0; i < records.length; i += REINGEST_BATCH_SIZE) {
+      await this.env.QUEUE.send({
+        type: 'etl-reingest',
+        jobId,
+        config,
+        records: records.slice(i, i + REINGEST_BATCH_SIZE)
+      });
+    }
+  }
+
   /**
    * Get source configuration
    */
@@ -289,6 +371,14 @@ export class ETLWorker {
           params: {
             format: 'json',
             per_page: '1000'
+          },
+          // Responses are [pagination, rows]
+          recordsPath: '1',
+          incremental: {
+            field: 'date',
+            valueField: 'value',
+            granularity: 'year',
+            params: { date: '{from}:{to}' }
           }
         }
       },
@@ -301,6 +391,11 @@ export class ETLWorker {
           url: 'https://power.larc.nasa.gov/api/temporal/daily/point',
           headers: {
             'Accept': 'application/json'
+          },
+          incremental: {
+            granularity: 'date',
+            dateFormat: 'compact',
+            params: { start: '{from}', end: '{to}' }
           }
         }
       },
@@ -311,6 +406,43 @@ export class ETLWorker {
         priority: 2,
         config: {
           url: 'https://www.irena.org/api/statistics',
+          headers: {
+            'Accept': 'application/json'
+          },
+          incremental: {
+            field: 'year',
+            granularity: 'year'
+          }
+        }
+      },
+      'esmap-hub': {
+        id: 'esmap-hub',
+        name: 'ESMAP Data Hub',
+        type: 'api',
+        priority: 2,
+        config: {
+          url: 'https://energydata.info/api/3/action/package_search',
+          headers: {
+            'Accept': 'application/json'
+          },
+          params: {
+            rows: '1000'
+          },
+          recordsPath: 'result.results',
+          incremental: {
+            field: 'metadata_modified',
+            granularity: 'date',
+            params: { fq: 'metadata_modified:[{from} TO *]' }
+          }
+        }
+      },
+      'mtf-survey': {
+        id: 'mtf-survey',
+        name: 'Multi-Tier Framework Surveys',
+        type: 'api',
+        priority: 3,
+        config: {
+          url: 'https://www.esmap.org/mtf-api',
           headers: {
             'Accept': 'application/json'
           }
@@ -325,13 +457,20 @@ export class ETLWorker {
    * Process ETL job from queue
    */
   async processQueueMessage(message: any): Promise<void> {
+    if (message.type === 'etl-reingest') {
+      return await this.processReingestMessage(message);
+    }
     if (message.type !== 'etl-job') return;
 
-    const { jobId, config } = message;
-    const pipeline = this.activePipelines.get(jobId);
+    const { jobId, config, scheduleRunId } = message;
+    // Queue consumers usually run in a different isolate from the producer,
+    // so rebuild the pipeline from the queued config when it is not in memory
+    const pipeline = this.activePipelines.get(jobId) ||
+      (config ? new ESMAPETLPipeline(config, this.createPipelineStores()) : undefined);
 
     if (!pipeline) {
       console.error(`Pipeline not found for job ${jobId}`);
+      await this.finishScheduleRun(scheduleRunId, 'failed', 'Pipeline configuration missing from queue message');
       return;
     }
 
@@ -364,6 +503,8 @@ export class ETLWorker {
       pipeline.clearPipelineData();
       this.activePipelines.delete(jobId);
 
+      await this.finishScheduleRun(scheduleRunId, 'completed');
+
     } catch (error) {
       console.error(`ETL job ${jobId} failed:`, error);
       
@@ -383,6 +524,40 @@ export class ETLWorker {
         pipeline.clearPipelineData();
         this.activePipelines.delete(jobId);
       }
+
+      await this.finishScheduleRun(scheduleRunId, 'failed', error instanceof Error ? error.message : 'Unknown error');
+    }
+  }
+
+  /**
+   * Load a batch of records released from quarantine. Errors propagate so the
+   * queue retries the message.
+   */
+  private async processReingestMessage(message: { jobId: string; config: ETLPipelineConfig; records: DataRecord[] }): Promise<void> {
+    const pipeline = new ESMAPETLPipeline(message.config, this.createPipelineStores());
+
+    try {
+      const loaded = await pipeline.ingestReleased(message.records);
+      console.log(`Re-ingested ${loaded} released records for job ${message.jobId}`);
+    } finally {
+      pipeline.clearPipelineData();
+    }
+  }
+
+  /**
+   * Record the outcome of a scheduled job and release its schedule's overlap lock
+   */
+  private async finishScheduleRun(
+    scheduleRunId: number | undefined,
+    status: 'completed' | 'failed',
+    error?: string
+  ): Promise<void> {
+    if (!scheduleRunId || !this.env.DB) return;
+
+    try {
+      await new ETLScheduleService(this.env as any).finishRun(scheduleRunId, status, error);
+    } catch (finishError) {
+      console.error(`Failed to record outcome of schedule run ${scheduleRunId}:`, finishError);
     }
   }
 }
@@ -398,8 +573,13 @@ export default {
     const worker = new ETLWorker(env);
     
     for (const message of batch.messages) {
-      await worker.processQueueMessage(message.body);
-      message.ack();
+      try {
+        await worker.processQueueMessage(message.body);
+        message.ack();
+      } catch (error) {
+        console.error('ETL queue message failed, retrying:', error);
+        message.retry();
+      }
     }
   }
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for incremental extraction watermarks
+ */
+
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+import {
+  buildIncrementalWindow,
+  periodOf,
+  isAfterWatermark,
+  advanceWatermark,
+  isPublished
+} from '../watermarks';
+import { ESMAPETLPipeline } from '../../pipeline/esmap-etl-pipeline';
+import type { DataSource, IncrementalConfig, SourceWatermark, WatermarkStore } from '../../types';
+
+const yearly: IncrementalConfig = { field: 'date', valueField: 'value', granularity: 'year', params: { date: '{from}:{to}' } };
+
+describe('buildIncrementalWindow', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+
+  it('requests the years after the watermark', () => {
+    const window = buildIncrementalWindow(yearly, { sourceId: 'wb', highWaterYear: 2021 }, now);
+    expect(window).toEqual({ from: '2022', to: '2025', params: { date: '2022:2025' }, upToDate: false });
+  });
+
+  it('skips the request once the current year is covered', () => {
+    expect(buildIncrementalWindow(yearly, { sourceId: 'wb', highWaterYear: 2025 }, now)?.upToDate).toBe(true);
+  });
+
+  it('does a full extraction without a watermark', () => {
+    expect(buildIncrementalWindow(yearly, { sourceId: 'wb', highWaterYear: null }, now)).toBeNull();
+  });
+
+  it('formats compact date windows', () => {
+    const daily: IncrementalConfig = { granularity: 'date', dateFormat: 'compact', params: { start: '{from}', end: '{to}' } };
+    const window = buildIncrementalWindow(daily, { sourceId: 'nasa', highWaterDate: '2025-05-20T00:00:00.000Z' }, now);
+    expect(window?.params).toEqual({ start: '20250520', end: '20250601' });
+  });
+});
+
+describe('watermark periods', () => {
+  it('normalizes years and dates', () => {
+    expect(periodOf('2021', 'year')).toBe(2021);
+    expect(periodOf('2021Q3', 'year')).toBe(2021);
+    expect(periodOf('20250102', 'date')).toBe('2025-01-02T00:00:00.000Z');
+    expect(periodOf('not a date', 'date')).toBeNull();
+    expect(periodOf(null, 'year')).toBeNull();
+  });
+
+  it('only moves forward', () => {
+    const watermark: SourceWatermark = { sourceId: 'wb', highWaterYear: 2020 };
+
+    advanceWatermark(watermark, 2022, 'year');
+    advanceWatermark(watermark, 2019, 'year');
+
+    expect(watermark.highWaterYear).toBe(2022);
+    expect(isAfterWatermark(2022, watermark, 'year')).toBe(false);
+    expect(isAfterWatermark(2023, watermark, 'year')).toBe(true);
+  });
+
+  it('treats null and empty observations as unpublished', () => {
+    expect(isPublished(0)).toBe(true);
+    expect(isPublished('12.5')).toBe(true);
+    expect(isPublished(null)).toBe(false);
+    expect(isPublished(undefined)).toBe(false);
+    expect(isPublished('')).toBe(false);
+  });
+});
+
+describe('incremental extraction', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    jest.restoreAllMocks();
+  });
+
+  it('does not advance past years the source has not published yet', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const saved: SourceWatermark[] = [];
+    const store: WatermarkStore = {
+      get: async () => ({ sourceId: 'world-bank', highWaterYear: 2020 }),
+      save: async watermark => { saved.push({ ...watermark }); }
+    };
+
+    const requested: string[] = [];
+    global.fetch = (async (url: string) => {
+      requested.push(url);
+      return new Response(JSON.stringify([
+        { page: 1, pages: 1 },
+        [
+          { countryiso3code: 'KEN', date: '2023', value: null, indicator: { id: 'EG.ELC.ACCS.ZS' } },
+          { countryiso3code: 'KEN', date: '2022', value: null, indicator: { id: 'EG.ELC.ACCS.ZS' } },
+          { countryiso3code: 'KEN', date: '2021', value: 76.5, indicator: { id: 'EG.ELC.ACCS.ZS' } },
+          { countryiso3code: 'KEN', date: '2020', value: 71.4, indicator: { id: 'EG.ELC.ACCS.ZS' } }
+        ]
+      ]), { headers: { 'Content-Type': 'application/json' } });
+    }) as typeof fetch;
+
+    const source: DataSource = {
+      id: 'world-bank',
+      name: 'World Bank',
+      type: 'api',
+      priority: 1,
+      config: {
+        url: 'https://api.worldbank.org/v2/country/KEN/indicator/EG.ELC.ACCS.ZS',
+        params: { format: 'json' },
+        recordsPath: '1',
+        incremental: yearly
+      }
+    };
+
+    const pipeline = new ESMAPETLPipeline({
+      name: 'test',
+      sources: [source],
+      transformations: [],
+      batchSize: 10,
+      parallelism: 1,
+      retryPolicy: { maxRetries: 0, backoffMultiplier: 1, initialDelay: 0, maxDelay: 0 },
+      errorHandling: { onValidationError: 'skip', onTransformError: 'skip' }
+    }, { watermarks: store });
+
+    const metrics = await pipeline.execute();
+
+    expect(new URL(requested[0]).searchParams.get('date')).toBe(`2021:${new Date().getUTCFullYear()}`);
+    expect(metrics.recordsSkippedByWatermark).toBe(1);
+    expect(saved).toHaveLength(1);
+    expect(saved[0].highWaterYear).toBe(2021);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Incremental Extraction Watermarks
+ * Builds requests for data newer than a source's high-water mark and advances
+ * the mark from what each extraction returned.
+ */
+
+import type { IncrementalConfig, SourceWatermark, WatermarkStore } from '../types';
+import type { ETLWatermark } from '../../database/models/types';
+import { ETLWatermarkService } from '../../database/services/etl-watermark-service';
+
+export interface IncrementalWindow {
+  from: string;
+  to: string;
+  params: Record<string, string>;
+  // Nothing newer than the watermark can exist yet, so the request can be skipped
+  upToDate: boolean;
+}
+
+/**
+ * The request window for data after the watermark, or null when the source has
+ * no watermark yet (the first extraction is always a full one)
+ */
+export function buildIncrementalWindow(
+  incremental: IncrementalConfig,
+  watermark: SourceWatermark,
+  now: Date = new Date()
+): IncrementalWindow | null {
+  let from: string;
+  let to: string;
+  let upToDate: boolean;
+
+  if (incremental.granularity === 'year') {
+    if (watermark.highWaterYear == null) return null;
+
+    const currentYear = now.getUTCFullYear();
+    from = String(watermark.highWaterYear + 1);
+    to = String(currentYear);
+    upToDate = watermark.highWaterYear >= currentYear;
+  } else {
+    if (!watermark.highWaterDate) return null;
+
+    // Dates are inclusive: records at exactly the watermark are dropped by isAfterWatermark
+    from = formatDate(watermark.highWaterDate, incremental.dateFormat);
+    to = formatDate(now.toISOString(), incremental.dateFormat);
+    upToDate = false;
+  }
+
+  const params: Record<string, string> = {};
+  for (const [name, template] of Object.entries(incremental.params || {})) {
+    params[name] = template.replace(/\{from\}/g, from).replace(/\{to\}/g, to);
+  }
+
+  return { from, to, params, upToDate };
+}
+
+/**
+ * Normalize a record's period value: a year number, or an ISO 8601 string for dates.
+ * Returns null when the value cannot be interpreted.
+ */
+export function periodOf(value: unknown, granularity: IncrementalConfig['granularity']): number | string | null {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (granularity === 'year') {
+    const match = String(value).match(/^(\d{4})/);
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  const text = String(value).trim();
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const date = compact
+    ? new Date(Date.UTC(+compact[1], +compact[2] - 1, +compact[3]))
+    : new Date(/^\d{4}$/.test(text) ? `${text}-01-01T00:00:00Z` : text);
+
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+export function isAfterWatermark(
+  period: number | string,
+  watermark: SourceWatermark,
+  granularity: IncrementalConfig['granularity']
+): boolean {
+  if (granularity === 'year') {
+    return watermark.highWaterYear == null || (period as number) > watermark.highWaterYear;
+  }
+  return !watermark.highWaterDate || (period as string) > watermark.highWaterDate;
+}
+
+/**
+ * Whether a record's observation exists. Sources such as the World Bank return
+ * rows with a null value for periods they have not published yet.
+ */
+export function isPublished(value: unknown): boolean {
+  return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * Raise the watermark to `period` if it is newer; never moves it backwards
+ */
+export function advanceWatermark(
+  watermark: SourceWatermark,
+  period: number | string,
+  granularity: IncrementalConfig['granularity']
+): void {
+  if (granularity === 'year') {
+    if (watermark.highWaterYear == null || (period as number) > watermark.highWaterYear) {
+      watermark.highWaterYear = period as number;
+    }
+  } else if (!watermark.highWaterDate || (period as string) > watermark.highWaterDate) {
+    watermark.highWaterDate = period as string;
+  }
+}
+
+function formatDate(iso: string, format: IncrementalConfig['dateFormat'] = 'iso'): string {
+  return format === 'compact' ? iso.substring(0, 10).replace(/-/g, '') : iso;
+}
+
+/**
+ * Watermark store backed by the etl_watermarks table
+ */
+export class D1WatermarkStore implements WatermarkStore {
+  constructor(private service: ETLWatermarkService) {}
+
+  async get(sourceId: string): Promise<SourceWatermark | null> {
+    const row = await this.service.get(sourceId);
+    return row ? toSourceWatermark(row) : null;
+  }
+
+  async save(watermark: SourceWatermark, jobId?: string): Promise<void> {
+    await this.service.save({
+      source_id: watermark.sourceId,
+      high_water_year: watermark.highWaterYear,
+      high_water_date: watermark.highWaterDate,
+      etag: watermark.etag,
+      last_modified: watermark.lastModified,
+      validator_url: watermark.validatorUrl,
+      last_job_id: jobId,
+      last_extracted_at: new Date().toISOString()
+    });
+  }
+}
+
+export function toSourceWatermark(row: ETLWatermark): SourceWatermark {
+  return {
+    sourceId: row.source_id,
+    highWaterYear: row.high_water_year,
+    highWaterDate: row.high_water_date,
+    etag: row.etag,
+    lastModified: row.last_modified,
+    validatorUrl: row.validator_url
+  };
+}
@@ -30,6 +30,8 @@ export abstract class BaseETLPipeline {
       recordsSuccessful: 0,
       recordsFailed: 0,
       recordsSkipped: 0,
+      recordsSkippedByWatermark: 0,
+      sourcesNotModified: [],
       averageProcessingTime: 0,
       errors: []
     };
@@ -10,18 +10,36 @@ import {
   DataSource, 
   ValidationStatus, 
   ETLPipelineConfig,
-  DuplicateDetectionConfig
+  DuplicateDetectionConfig,
+  IncrementalConfig,
+  SourceWatermark,
+  WatermarkStore,
+  QuarantineStore,
+  PipelineStores,
+  TransformationRule,
+  TransformationRuleResolver
 } from '../types';
-import { getTransformationRule } from '../transformations/esmap-transformations';
+import { getTransformationRule, applyTransformationRule } from '../transformations/esmap-transformations';
+import { buildIncrementalWindow, periodOf, isAfterWatermark, advanceWatermark, isPublished } from '../incremental/watermarks';
 
 export class ESMAPETLPipeline extends BaseETLPipeline {
   private validator: DataValidator;
   private duplicateDetector: DuplicateDetector;
   private quarantineRecords: DataRecord[] = [];
   private processedRecords: Map<string, DataRecord> = new Map();
-
-  constructor(config: ETLPipelineConfig) {
+  private watermarks?: WatermarkStore;
+  private quarantineStore?: QuarantineStore;
+  private ruleResolver?: TransformationRuleResolver;
+  // Rules are resolved once per source so a run applies a single rule version throughout
+  private resolvedRules: Map<string, Promise<TransformationRule | undefined>> = new Map();
+  // Watermarks reached by this run, saved only once its records are loaded
+  private pendingWatermarks: Map<string, SourceWatermark> = new Map();
+
+  constructor(config: ETLPipelineConfig, stores: PipelineStores = {}) {
     super(config);
+    this.watermarks = stores.watermarks;
+    this.quarantineStore = stores.quarantine;
+    this.ruleResolver = stores.rules;
     this.validator = new DataValidator();
     this.duplicateDetector = new DuplicateDetector({
       strategy: 'key',
@@ -68,31 +86,81 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
   }
 
   /**
-   * Extract data from API source
+   * Extract data from API source. With a watermark store, only data newer than
+   * the source's watermark is requested (unless the job is a full refresh).
    */
   private async extractFromAPI(source: DataSource): Promise<DataRecord[]> {
-    const { url, headers, params } = source.config;
+    const { url, headers, params, recordsPath } = source.config;
+    const incremental = source.config.incremental as IncrementalConfig | undefined;
     const records: DataRecord[] = [];
 
     try {
-      const queryString = new URLSearchParams(params).toString();
+      const watermark = this.watermarks && !this.config.fullRefresh
+        ? await this.watermarks.get(source.id)
+        : null;
+      const window = incremental && watermark ? buildIncrementalWindow(incremental, watermark) : null;
+
+      if (window?.upToDate) {
+        console.log(`${source.name} is up to date (watermark ${watermark?.highWaterYear}), skipping request`);
+        this.metrics.sourcesNotModified.push(source.id);
+        return records;
+      }
+
+      const queryString = new URLSearchParams({ ...params, ...window?.params }).toString();
       const fullUrl = queryString ? `${url}?${queryString}` : url;
 
+      // Conditional request headers only apply to the URL the validators came from
+      const requestHeaders: Record<string, string> = { ...headers };
+      if (watermark && watermark.validatorUrl === fullUrl) {
+        if (watermark.etag) requestHeaders['If-None-Match'] = watermark.etag;
+        if (watermark.lastModified) requestHeaders['If-Modified-Since'] = watermark.lastModified;
+      }
+
       const response = await fetch(fullUrl, {
         method: 'GET',
-        headers: headers || {}
+        headers: requestHeaders
       });
 
+      if (response.status === 304) {
+        console.log(`${source.name} not modified since last extraction`);
+        this.metrics.sourcesNotModified.push(source.id);
+        return records;
+      }
+
       if (!response.ok) {
         throw new Error(`API request failed: ${response.statusText}`);
       }
 
-      const data = await response.json();
+      const data = await response.json() as Record<string, any>;
+      const payload = recordsPath ? this.getNestedValue(data, recordsPath) : data;
       
       // Convert API response to DataRecord format
-      const apiRecords = Array.isArray(data) ? data : [data];
+      const apiRecords = Array.isArray(payload) ? payload : [payload];
+
+      const nextWatermark: SourceWatermark = {
+        sourceId: source.id,
+        highWaterYear: watermark?.highWaterYear ?? null,
+        highWaterDate: watermark?.highWaterDate ?? null,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified'),
+        validatorUrl: fullUrl
+      };
       
       for (const item of apiRecords) {
+        if (incremental?.field) {
+          const period = periodOf(this.getNestedValue(item, incremental.field), incremental.granularity);
+
+          if (period !== null) {
+            if (watermark && !isAfterWatermark(period, watermark, incremental.granularity)) {
+              this.metrics.recordsSkippedByWatermark++;
+              continue;
+            }
+            if (!incremental.valueField || isPublished(this.getNestedValue(item, incremental.valueField))) {
+              advanceWatermark(nextWatermark, period, incremental.granularity);
+            }
+          }
+        }
+
         const record: DataRecord = {
           id: this.generateRecordId(source.id, item),
           sourceId: source.id,
@@ -106,6 +174,15 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
         };
         records.push(record);
       }
+
+      // Without a per-record period, the requested window is all that is known to be covered
+      if (incremental && !incremental.field && incremental.granularity === 'date') {
+        advanceWatermark(nextWatermark, new Date().toISOString(), 'date');
+      }
+
+      if (this.watermarks) {
+        this.pendingWatermarks.set(source.id, nextWatermark);
+      }
     } catch (error) {
       console.error(`API extraction error for ${source.name}:`, error);
       throw error;
@@ -139,50 +216,23 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
    */
   protected async applyTransformations(record: DataRecord): Promise<DataRecord> {
     const sourceType = this.getSourceType(record.sourceId);
-    const transformationRule = getTransformationRule(sourceType);
+    const transformationRule = await this.resolveTransformationRule(sourceType);
 
     if (!transformationRule) {
       console.warn(`No transformation rule found for source type: ${sourceType}`);
       return record;
     }
 
-    // Create transformed record
-    const transformedData: Record<string, any> = {};
+    return applyTransformationRule(transformationRule, record);
+  }
 
-    // Apply field mappings
-    for (const mapping of transformationRule.mappings) {
-      const sourceValue = this.getNestedValue(record.data, mapping.sourceField);
-      
-      if (sourceValue !== undefined || mapping.defaultValue !== undefined) {
-        const value = sourceValue !== undefined ? sourceValue : mapping.defaultValue;
-        transformedData[mapping.targetField] = mapping.transform ? 
-          mapping.transform(value) : value;
-      }
+  private resolveTransformationRule(sourceType: string): Promise<TransformationRule | undefined> {
+    let rule = this.resolvedRules.get(sourceType);
+    if (!rule) {
+      rule = getTransformationRule(sourceType, this.ruleResolver);
+      this.resolvedRules.set(sourceType, rule);
     }
-
-    // Create transformed record with updated metadata
-    const transformedRecord: DataRecord = {
-      ...record,
-      data: transformedData,
-      metadata: {
-        ...record.metadata,
-        transformationTime: new Date()
-      }
-    };
-
-    // Apply post-processing steps if any
-    if (transformationRule.postProcessing) {
-      const sortedSteps = [...transformationRule.postProcessing].sort((a, b) => a.order - b.order);
-      
-      for (const step of sortedSteps) {
-        const result = step.processor([transformedRecord]);
-        if (result.length > 0) {
-          Object.assign(transformedRecord, result[0]);
-        }
-      }
-    }
-
-    return transformedRecord;
+    return rule;
   }
 
   /**
@@ -190,7 +240,7 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
    */
   protected async validateRecord(record: DataRecord): Promise<ValidationStatus> {
     const sourceType = this.getSourceType(record.sourceId);
-    const transformationRule = getTransformationRule(sourceType);
+    const transformationRule = await this.resolveTransformationRule(sourceType);
 
     if (!transformationRule) {
       return { isValid: true, errors: [], warnings: [] };
@@ -249,6 +299,21 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
     for (const record of uniqueRecords) {
       await this.loadRecordToDatabase(record);
     }
+
+    await this.commitWatermarks();
+  }
+
+  /**
+   * Persist watermarks reached during extraction. Runs after loading so a failed
+   * run is retried from the previous watermark instead of losing data.
+   */
+  private async commitWatermarks(): Promise<void> {
+    if (!this.watermarks) return;
+
+    for (const watermark of this.pendingWatermarks.values()) {
+      await this.watermarks.save(watermark, this.config.jobId);
+    }
+    this.pendingWatermarks.clear();
   }
 
   /**
@@ -270,11 +335,43 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
    */
   protected async quarantineRecord(record: DataRecord): Promise<void> {
     this.quarantineRecords.push(record);
-    
-    // In production, this would insert into a quarantine table
+
+    if (this.quarantineStore) {
+      await this.quarantineStore.add(record, { jobId: this.config.jobId, pipelineName: this.config.name });
+    }
+
     console.log(`Quarantined record ${record.id} due to validation failure`);
   }
 
+  /**
+   * Load records released from quarantine, bypassing extraction and validation
+   * (they were re-validated, or had their failures waived, during review)
+   */
+  async ingestReleased(records: DataRecord[]): Promise<number> {
+    const released = records.map(record => ({
+      ...record,
+      timestamp: new Date(record.timestamp),
+      metadata: {
+        ...record.metadata,
+        lineage: [
+          ...(record.metadata.lineage || []),
+          {
+            step: 'quarantine-release',
+            timestamp: new Date(),
+            operation: 'Release from quarantine',
+            inputRecords: [record.id],
+            outputRecords: [record.id]
+          }
+        ]
+      }
+    }));
+
+    await this.load(released);
+    this.metrics.recordsSuccessful += released.length;
+
+    return released.length;
+  }
+
   /**
    * Register quality checks for different source types
    */
@@ -288,11 +385,12 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
   }
 
   /**
-   * Get source type from source ID
+   * Get the transformation/validation rule key for a source. Rules are keyed
+   * by source ID (e.g. 'world-bank'), not by the transport type ('api').
    */
   private getSourceType(sourceId: string): string {
     const source = this.config.sources.find(s => s.id === sourceId);
-    return source?.type || 'unknown';
+    return source?.id || 'unknown';
   }
 
   /**
@@ -345,5 +443,6 @@ export class ESMAPETLPipeline extends BaseETLPipeline {
     this.duplicateDetector.clearCache();
     this.processedRecords.clear();
     this.quarantineRecords = [];
+    this.pendingWatermarks.clear();
   }
 }
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for quarantine release ordering: a record is claimed before it is
+ * queued for re-ingestion, and a failed queue send returns it to review.
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { QuarantineReviewer } from '../quarantine-review';
+import { ETLQuarantineService } from '../../../database/services/etl-quarantine-service';
+import { ETLWorker } from '../../etl-worker';
+import type { ETLQuarantineRecord, ETLQuarantineAudit } from '../../../database/models/types';
+import type { Env } from '../../../types';
+
+type Audit = Omit<ETLQuarantineAudit, 'id' | 'created_at'>;
+
+describe('QuarantineReviewer release', () => {
+  let rows: Map<number, ETLQuarantineRecord>;
+  let audits: Audit[];
+  let enqueue: jest.Mock<(sourceId: string, records: unknown[], jobId: string) => Promise<void>>;
+  let reviewer: QuarantineReviewer;
+
+  function pendingRecord(id: number): ETLQuarantineRecord {
+    return {
+      id,
+      record_id: `record-${id}`,
+      source_id: 'world-bank',
+      data: JSON.stringify({ countryCode: 'KEN', year: 2021, value: 76.5 }),
+      metadata: '{}',
+      validation_errors: '[]',
+      validation_warnings: '[]',
+      status: 'pending'
+    } as ETLQuarantineRecord;
+  }
+
+  beforeEach(() => {
+    rows = new Map([[1, pendingRecord(1)], [2, pendingRecord(2)]]);
+    audits = [];
+    enqueue = jest.fn(async () => {});
+
+    // In-memory stand-ins for the conditional D1 updates
+    jest.spyOn(ETLQuarantineService.prototype, 'getById').mockImplementation(async id => {
+      const row = rows.get(id);
+      return row ? { ...row } : null;
+    });
+    jest.spyOn(ETLQuarantineService.prototype, 'resolveMany').mockImplementation(async (ids, status, resolutionFor, auditFor) => {
+      const resolved: number[] = [];
+      for (const id of ids) {
+        const row = rows.get(id);
+        if (row?.status !== 'pending') continue;
+        rows.set(id, { ...row, ...resolutionFor(id), status });
+        audits.push({ quarantine_id: id, ...auditFor(id) });
+        resolved.push(id);
+      }
+      return resolved;
+    });
+    jest.spyOn(ETLQuarantineService.prototype, 'reopen').mockImplementation(async (ids, releaseJobId, auditFor) => {
+      for (const id of ids) {
+        const row = rows.get(id);
+        if (row?.status !== 'released' || row.release_job_id !== releaseJobId) continue;
+        rows.set(id, { ...row, status: 'pending', reviewed_by: null, reviewed_at: null, release_job_id: null });
+        audits.push({ quarantine_id: id, ...auditFor(id) });
+      }
+    });
+    jest.spyOn(ETLWorker.prototype, 'enqueueReingest').mockImplementation(enqueue);
+
+    reviewer = new QuarantineReviewer({ DB: {} } as unknown as Env);
+    jest.spyOn(reviewer, 'revalidate').mockResolvedValue({ isValid: true, errors: [], warnings: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('queues a released record once', async () => {
+    const released = await reviewer.release(1, { note: 'checked' }, 5);
+
+    expect(released.status).toBe('released');
+    expect(released.release_job_id).toMatch(/^quarantine-release-world-bank-/);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(audits.map(audit => audit.action)).toEqual(['released']);
+  });
+
+  it('lets only one of two concurrent releases through', async () => {
+    const results = await Promise.allSettled([
+      reviewer.release(1, {}, 5),
+      reviewer.release(1, {}, 6)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    const rejected = results.find(result => result.status === 'rejected') as PromiseRejectedResult;
+    expect(rejected.reason.statusCode).toBe(409);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns the record to review when it cannot be queued', async () => {
+    enqueue.mockRejectedValueOnce(new Error('queue unavailable'));
+
+    await expect(reviewer.release(1, {}, 5)).rejects.toMatchObject({ statusCode: 502, code: 'QUARANTINE_RELEASE_FAILED' });
+
+    expect(rows.get(1)!.status).toBe('pending');
+    expect(audits.map(audit => audit.action)).toEqual(['released', 'release_failed']);
+
+    // The record can be released again once the queue recovers
+    await expect(reviewer.release(1, {}, 5)).resolves.toMatchObject({ status: 'released' });
+    expect(enqueue).toHaveBeenCalledTimes(2);
+  });
+
+  it('queues only the records a bulk release claimed', async () => {
+    jest.spyOn(ETLQuarantineService.prototype, 'findReleasableByRule').mockResolvedValue([pendingRecord(1), pendingRecord(2)]);
+
+    // Another reviewer rejects record 2 between the lookup and the claim
+    rows.set(2, { ...rows.get(2)!, status: 'rejected' });
+
+    const result = await reviewer.bulkRelease({ rule: 'range' }, 5);
+
+    expect(result.released).toEqual([1]);
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect((enqueue.mock.calls[0][1] as { id: string }[]).map(record => record.id)).toEqual(['record-1']);
+  });
+});
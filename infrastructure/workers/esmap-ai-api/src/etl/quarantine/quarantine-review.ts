@@ -0,0 +1,357 @@
+/**
+ * Quarantine Review
+ * Lets reviewers edit, release (re-ingest) or reject records held in
+ * etl_quarantine, with every decision written to an audit trail.
+ */
+
+import type { Env } from '../../types';
+import type { ETLQuarantineRecord } from '../../database/models/types';
+import { ETLQuarantineService } from '../../database/services/etl-quarantine-service';
+import { ApiError } from '../../utils/error-handler';
+import { DataValidator } from '../validation/data-validator';
+import { getTransformationRule } from '../transformations/esmap-transformations';
+import { TransformationRuleRegistry } from '../transformations/rule-registry';
+import { TransformationRuleService } from '../../database/services/transformation-rule-service';
+import { ETLWorker, REINGEST_BATCH_SIZE } from '../etl-worker';
+import type { DataRecord, ValidationError, ValidationStatus } from '../types';
+
+export const MAX_BULK_RELEASE = 1000;
+
+export interface FieldChange {
+  from: unknown;
+  to: unknown;
+}
+
+export interface ReleaseOptions {
+  data?: Record<string, any>; // field edits applied before release
+  waiveRules?: string[]; // validation rule types to accept as-is
+  force?: boolean; // release even if errors remain
+  note?: string;
+}
+
+export interface BulkReleaseOptions {
+  rule: string;
+  field?: string;
+  sourceId?: string;
+  limit?: number;
+  dryRun?: boolean;
+  note?: string;
+}
+
+export interface BulkReleaseResult {
+  rule: string;
+  field?: string;
+  dryRun: boolean;
+  matched: number;
+  released: number[];
+  skipped: { id: number; errors: ValidationError[] }[];
+  releaseJobId?: string;
+}
+
+export class QuarantineReviewer {
+  private quarantine: ETLQuarantineService;
+  private worker: ETLWorker;
+  private rules: TransformationRuleRegistry;
+
+  constructor(env: Env) {
+    this.quarantine = new ETLQuarantineService(env);
+    this.worker = new ETLWorker(env as any);
+    this.rules = new TransformationRuleRegistry(new TransformationRuleService(env), env.ETL_CACHE);
+  }
+
+  /**
+   * Apply field edits to a pending record and re-validate it; it stays in quarantine
+   */
+  async edit(id: number, edits: Record<string, any>, userId: number): Promise<ETLQuarantineRecord> {
+    const record = await this.getPending(id);
+    const { data, changes } = applyEdits(JSON.parse(record.data), edits);
+
+    if (Object.keys(changes).length === 0) {
+      return record;
+    }
+
+    const validation = await this.revalidate(record.source_id, data);
+    const updated = await this.quarantine.update(id, {
+      data: JSON.stringify(data),
+      validation_errors: JSON.stringify(validation.errors),
+      validation_warnings: JSON.stringify(validation.warnings)
+    });
+
+    await this.quarantine.addAudit({
+      quarantine_id: id,
+      action: 'edited',
+      user_id: userId,
+      details: JSON.stringify({ changes, remainingErrors: validation.errors.length })
+    });
+
+    return updated || record;
+  }
+
+  /**
+   * Re-validate a pending record (with any final edits) and re-ingest it.
+   * Fails with 422 while errors remain, unless their rules are waived or `force` is set.
+   */
+  async release(id: number, options: ReleaseOptions, userId: number): Promise<ETLQuarantineRecord> {
+    const record = await this.getPending(id);
+    const { data, changes } = applyEdits(JSON.parse(record.data), options.data || {});
+    const validation = await this.revalidate(record.source_id, data);
+
+    const waived = new Set(options.waiveRules || []);
+    const remaining = validation.errors.filter(error => !waived.has(error.rule));
+
+    if (remaining.length > 0 && !options.force) {
+      throw new ApiError(
+        `Record still fails validation: ${remaining.map(error => error.message).join('; ')}`,
+        422,
+        'QUARANTINE_STILL_INVALID'
+      );
+    }
+
+    const releaseJobId = `quarantine-release-${record.source_id}-${Date.now()}`;
+
+    // Claim the record before queueing it: only one of several concurrent
+    // releases moves it out of 'pending', so it is re-ingested at most once
+    const resolved = await this.quarantine.resolve(id, 'released', {
+      data: JSON.stringify(data),
+      validation_errors: JSON.stringify(validation.errors),
+      validation_warnings: JSON.stringify(validation.warnings),
+      reviewed_by: userId,
+      reviewed_at: new Date().toISOString(),
+      resolution_note: options.note ?? null,
+      release_job_id: releaseJobId
+    }, {
+      action: 'released',
+      user_id: userId,
+      details: JSON.stringify({
+        changes,
+        waivedErrors: validation.errors.filter(error => waived.has(error.rule)),
+        forcedErrors: options.force ? remaining : [],
+        releaseJobId
+      })
+    });
+
+    if (!resolved) {
+      throw new ApiError('Quarantined record was resolved by another reviewer', 409, 'QUARANTINE_NOT_PENDING');
+    }
+
+    await this.reingest(record.source_id, [toDataRecord(record, data)], releaseJobId, [id], userId);
+
+    return (await this.quarantine.getById(id))!;
+  }
+
+  /**
+   * Permanently reject a pending record; it is kept for the audit trail but never loaded
+   */
+  async reject(id: number, reason: string, userId: number): Promise<ETLQuarantineRecord> {
+    await this.getPending(id);
+
+    const resolved = await this.quarantine.resolve(id, 'rejected', {
+      reviewed_by: userId,
+      reviewed_at: new Date().toISOString(),
+      resolution_note: reason
+    }, {
+      action: 'rejected',
+      user_id: userId,
+      details: JSON.stringify({ reason })
+    });
+
+    if (!resolved) {
+      throw new ApiError('Quarantined record was resolved by another reviewer', 409, 'QUARANTINE_NOT_PENDING');
+    }
+
+    return (await this.quarantine.getById(id))!;
+  }
+
+  /**
+   * Release every pending record whose only failures come from `rule` (on `field`,
+   * when given), waiving that rule. Records that fail anything else on
+   * re-validation are skipped.
+   */
+  async bulkRelease(options: BulkReleaseOptions, userId: number): Promise<BulkReleaseResult> {
+    const limit = Math.min(options.limit || 500, MAX_BULK_RELEASE);
+    const candidates = await this.quarantine.findReleasableByRule(options.rule, options.field, options.sourceId, limit);
+
+    const isWaived = (error: ValidationError) =>
+      error.rule === options.rule && (!options.field || error.field === options.field);
+
+    const releasable: { record: ETLQuarantineRecord; validation: ValidationStatus }[] = [];
+    const skipped: BulkReleaseResult['skipped'] = [];
+
+    for (const record of candidates) {
+      const validation = await this.revalidate(record.source_id, JSON.parse(record.data));
+      const remaining = validation.errors.filter(error => !isWaived(error));
+
+      if (remaining.length > 0) {
+        skipped.push({ id: record.id!, errors: remaining });
+      } else {
+        releasable.push({ record, validation });
+      }
+    }
+
+    const result: BulkReleaseResult = {
+      rule: options.rule,
+      field: options.field,
+      dryRun: !!options.dryRun,
+      matched: candidates.length,
+      released: releasable.map(({ record }) => record.id!),
+      skipped
+    };
+
+    if (options.dryRun || releasable.length === 0) {
+      return result;
+    }
+
+    const releaseJobId = `quarantine-release-bulk-${Date.now()}`;
+    const validations = new Map(releasable.map(({ record, validation }) => [record.id!, validation]));
+    const reviewedAt = new Date().toISOString();
+
+    // Claim first, as in release(): records another reviewer resolved meanwhile are not queued
+    result.released = await this.quarantine.resolveMany(
+      result.released,
+      'released',
+      id => ({
+        validation_errors: JSON.stringify(validations.get(id)!.errors),
+        validation_warnings: JSON.stringify(validations.get(id)!.warnings),
+        reviewed_by: userId,
+        reviewed_at: reviewedAt,
+        resolution_note: options.note ?? null,
+        release_job_id: releaseJobId
+      }),
+      id => ({
+        action: 'released',
+        user_id: userId,
+        details: JSON.stringify({
+          bulk: true,
+          rule: options.rule,
+          field: options.field,
+          waivedErrors: validations.get(id)!.errors,
+          releaseJobId
+        })
+      })
+    );
+
+    const claimed = new Set(result.released);
+    const bySource = new Map<string, ETLQuarantineRecord[]>();
+    for (const { record } of releasable) {
+      if (!claimed.has(record.id!)) continue;
+      const records = bySource.get(record.source_id) || [];
+      records.push(record);
+      bySource.set(record.source_id, records);
+    }
+    for (const [sourceId, records] of bySource) {
+      await this.reingest(
+        sourceId,
+        records.map(record => toDataRecord(record, JSON.parse(record.data))),
+        releaseJobId,
+        records.map(record => record.id!),
+        userId
+      );
+    }
+
+    result.releaseJobId = releaseJobId;
+
+    return result;
+  }
+
+  /**
+   * Validate record data against the current rules for its source
+   */
+  async revalidate(sourceId: string, data: Record<string, any>): Promise<ValidationStatus> {
+    const rule = await getTransformationRule(sourceId, this.rules);
+    if (!rule) {
+      return { isValid: true, errors: [], warnings: [] };
+    }
+
+    const validator = new DataValidator();
+    validator.registerValidationRules(sourceId, rule.validations);
+
+    return await validator.validateRecord({
+      id: 'quarantine-revalidation',
+      sourceId,
+      timestamp: new Date(),
+      data,
+      metadata: { source: sourceId, ingestionTime: new Date(), lineage: [] }
+    }, sourceId);
+  }
+
+  private async getPending(id: number): Promise<ETLQuarantineRecord> {
+    const record = await this.quarantine.getById(id);
+    if (!record) {
+      throw new ApiError('Quarantined record not found', 404, 'QUARANTINE_NOT_FOUND');
+    }
+    if (record.status !== 'pending') {
+      throw new ApiError(`Quarantined record is already ${record.status}`, 409, 'QUARANTINE_NOT_PENDING');
+    }
+    return record;
+  }
+
+  /**
+   * Queue released records for re-ingestion, one queue message at a time. If a
+   * message cannot be sent, the records not yet queued are reopened for review
+   * instead of being lost.
+   */
+  private async reingest(
+    sourceId: string,
+    records: DataRecord[],
+    jobId: string,
+    quarantineIds: number[],
+    userId: number
+  ): Promise<void> {
+    for (let i = 0; i < records.length; i += REINGEST_BATCH_SIZE) {
+      try {
+        await this.worker.enqueueReingest(sourceId, records.slice(i, i + REINGEST_BATCH_SIZE), jobId);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+
+        await this.quarantine.reopen(quarantineIds.slice(i), jobId, () => ({
+          action: 'release_failed',
+          user_id: userId,
+          details: JSON.stringify({ releaseJobId: jobId, error: message })
+        }));
+
+        throw new ApiError(`Failed to queue released records: ${message}`, 502, 'QUARANTINE_RELEASE_FAILED');
+      }
+    }
+  }
+}
+
+/**
+ * Shallow-merge field edits into record data, returning the per-field changes
+ */
+function applyEdits(
+  data: Record<string, any>,
+  edits: Record<string, any>
+): { data: Record<string, any>; changes: Record<string, FieldChange> } {
+  const updated = { ...data };
+  const changes: Record<string, FieldChange> = {};
+
+  for (const [field, value] of Object.entries(edits)) {
+    if (JSON.stringify(data[field]) === JSON.stringify(value)) continue;
+
+    changes[field] = { from: data[field] ?? null, to: value };
+    if (value === null || value === undefined) {
+      delete updated[field];
+    } else {
+      updated[field] = value;
+    }
+  }
+
+  return { data: updated, changes };
+}
+
+function toDataRecord(record: ETLQuarantineRecord, data: Record<string, any>): DataRecord {
+  const metadata = JSON.parse(record.metadata || '{}');
+
+  return {
+    id: record.record_id,
+    sourceId: record.source_id,
+    timestamp: new Date(),
+    data,
+    metadata: {
+      ...metadata,
+      source: metadata.source || record.source_id,
+      ingestionTime: metadata.ingestionTime ? new Date(metadata.ingestionTime) : new Date(),
+      lineage: metadata.lineage || []
+    }
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Quarantine Store
+ * Persists records rejected by validation to etl_quarantine for review
+ */
+
+import { ETLQuarantineService } from '../../database/services/etl-quarantine-service';
+import type { DataRecord, QuarantineStore } from '../types';
+
+/**
+ * Quarantine store backed by the etl_quarantine table
+ */
+export class D1QuarantineStore implements QuarantineStore {
+  constructor(private service: ETLQuarantineService) {}
+
+  async add(record: DataRecord, context: { jobId?: string; pipelineName: string }): Promise<void> {
+    const validation = record.metadata.validationStatus;
+
+    await this.service.create({
+      record_id: record.id,
+      source_id: record.sourceId,
+      job_id: context.jobId,
+      pipeline_name: context.pipelineName,
+      data: JSON.stringify(record.data),
+      metadata: JSON.stringify({ ...record.metadata, validationStatus: undefined }),
+      validation_errors: JSON.stringify(validation?.errors || []),
+      validation_warnings: JSON.stringify(validation?.warnings || []),
+      quality_score: record.metadata.qualityScore,
+      status: 'pending'
+    });
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Cron Expressions
+ * Parses standard five-field cron expressions and computes run times in UTC.
+ *
+ * Supported syntax per field: `*`, values, ranges (`1-5`), lists (`1,15`),
+ * steps (`*\/15`, `0-30/10`), and month/weekday names (`JAN`, `MON`).
+ * The macros @hourly, @daily, @weekly, @monthly and @yearly are also accepted.
+ */
+
+interface CronField {
+  values: Set<number>;
+  wildcard: boolean;
+}
+
+interface FieldSpec {
+  name: string;
+  min: number;
+  max: number;
+  names?: Record<string, number>;
+}
+
+const MONTH_NAMES: Record<string, number> = {
+  JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12
+};
+
+const DAY_NAMES: Record<string, number> = {
+  SUN: 0, MON: 1, TUE: 2, WED: 3, THU: 4, FRI: 5, SAT: 6
+};
+
+const FIELD_SPECS: FieldSpec[] = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const MACROS: Record<string, string> = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const MINUTE_MS = 60 * 1000;
+// Longest gap between two matches of a valid expression (e.g. 29 February) is under 8 years
+const MAX_SEARCH_MINUTES = 8 * 366 * 24 * 60;
+
+export class CronExpressionError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CronExpressionError';
+  }
+}
+
+export class CronExpression {
+  readonly source: string;
+  private minute: CronField;
+  private hour: CronField;
+  private dayOfMonth: CronField;
+  private month: CronField;
+  private dayOfWeek: CronField;
+
+  constructor(expression: string) {
+    this.source = expression.trim();
+    const normalized = MACROS[this.source.toLowerCase()] || this.source;
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5) {
+      throw new CronExpressionError(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    [this.minute, this.hour, this.dayOfMonth, this.month, this.dayOfWeek] =
+      parts.map((part, index) => parseField(part, FIELD_SPECS[index])) as [CronField, CronField, CronField, CronField, CronField];
+
+    // Both 0 and 7 mean Sunday
+    if (this.dayOfWeek.values.delete(7)) {
+      this.dayOfWeek.values.add(0);
+    }
+
+    if (this.nextAfter(new Date(0)) === null) {
+      throw new CronExpressionError(`Expression never matches: ${this.source}`);
+    }
+  }
+
+  static isValid(expression: string): boolean {
+    try {
+      new CronExpression(expression);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  matches(date: Date): boolean {
+    return (
+      this.minute.values.has(date.getUTCMinutes()) &&
+      this.hour.values.has(date.getUTCHours()) &&
+      this.month.values.has(date.getUTCMonth() + 1) &&
+      this.matchesDay(date)
+    );
+  }
+
+  /**
+   * The first matching time strictly after `after`, or null if none exists
+   */
+  nextAfter(after: Date): Date | null {
+    const candidate = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+    const limit = candidate.getTime() + MAX_SEARCH_MINUTES * MINUTE_MS;
+
+    while (candidate.getTime() <= limit) {
+      if (!this.month.values.has(candidate.getUTCMonth() + 1)) {
+        candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+        candidate.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.matchesDay(candidate)) {
+        candidate.setUTCDate(candidate.getUTCDate() + 1);
+        candidate.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+      if (!this.hour.values.has(candidate.getUTCHours())) {
+        candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+      if (!this.minute.values.has(candidate.getUTCMinutes())) {
+        candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+        continue;
+      }
+      return candidate;
+    }
+
+    return null;
+  }
+
+  /**
+   * The next `count` run times after `after`
+   */
+  upcoming(after: Date, count: number): Date[] {
+    const runs: Date[] = [];
+    let cursor: Date | null = after;
+
+    while (runs.length < count && cursor) {
+      cursor = this.nextAfter(cursor);
+      if (cursor) runs.push(cursor);
+    }
+
+    return runs;
+  }
+
+  /**
+   * Number of run times in (from, to], stopping at `cap`
+   */
+  countBetween(from: Date, to: Date, cap: number = 1000): number {
+    let count = 0;
+    let cursor = this.nextAfter(from);
+
+    while (cursor && cursor.getTime() <= to.getTime() && count < cap) {
+      count++;
+      cursor = this.nextAfter(cursor);
+    }
+
+    return count;
+  }
+
+  private matchesDay(date: Date): boolean {
+    const domMatch = this.dayOfMonth.values.has(date.getUTCDate());
+    const dowMatch = this.dayOfWeek.values.has(date.getUTCDay());
+
+    // Standard cron: when both day fields are restricted, either may match
+    if (!this.dayOfMonth.wildcard && !this.dayOfWeek.wildcard) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+}
+
+function parseField(field: string, spec: FieldSpec): CronField {
+  const values = new Set<number>();
+  const wildcard = field === '*' || field === '?';
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseNumber(stepPart, spec, true);
+
+    if (step < 1) {
+      throw new CronExpressionError(`Invalid step in ${spec.name} field: ${part}`);
+    }
+
+    let start: number;
+    let end: number;
+
+    if (rangePart === '*' || rangePart === '?') {
+      start = spec.min;
+      end = spec.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseNumber(from, spec);
+      end = parseNumber(to, spec);
+    } else {
+      start = parseNumber(rangePart, spec);
+      // `5/15` means every 15 starting at 5
+      end = stepPart === undefined ? start : spec.max;
+    }
+
+    if (start > end) {
+      throw new CronExpressionError(`Invalid range in ${spec.name} field: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values, wildcard };
+}
+
+function parseNumber(value: string, spec: FieldSpec, isStep: boolean = false): number {
+  const named = spec.names?.[value.toUpperCase()];
+  if (named !== undefined && !isStep) return named;
+
+  if (!/^\d+$/.test(value)) {
+    throw new CronExpressionError(`Invalid value in ${spec.name} field: ${value}`);
+  }
+
+  const number = parseInt(value, 10);
+  if (!isStep && (number < spec.min || number > spec.max)) {
+    throw new CronExpressionError(`${spec.name} value ${number} is outside ${spec.min}-${spec.max}`);
+  }
+
+  return number;
+}
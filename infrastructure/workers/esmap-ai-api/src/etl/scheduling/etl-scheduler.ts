@@ -0,0 +1,208 @@
+/**
+ * ETL Scheduler
+ * Starts ETL jobs for due schedules on each cron tick, with overlap prevention
+ * and missed-run catch-up
+ */
+
+import type { Env } from '../../types';
+import type { ETLSchedule, ETLScheduleRunStatus, ETLScheduleTrigger } from '../../database/models/types';
+import { ETLScheduleService } from '../../database/services/etl-schedule-service';
+import { ApiError } from '../../utils/error-handler';
+import { ETLWorker } from '../etl-worker';
+import { CronExpression, CronExpressionError } from './cron';
+
+// A due run picked up later than this is treated as missed (the worker's own
+// cron trigger fires every few minutes, so anything later means ticks were lost)
+export const MISSED_RUN_GRACE_MS = 15 * 60 * 1000;
+
+export interface ScheduleRunOutcome {
+  scheduleId: number;
+  sourceId: string;
+  runId?: number;
+  jobId?: string;
+  trigger: ETLScheduleTrigger;
+  status: ETLScheduleRunStatus;
+  missedRuns: number;
+  error?: string;
+}
+
+export interface SchedulerTickResult {
+  checkedAt: string;
+  due: number;
+  runs: ScheduleRunOutcome[];
+}
+
+export class ETLScheduler {
+  private schedules: ETLScheduleService;
+  private worker: ETLWorker;
+
+  constructor(env: Env) {
+    this.schedules = new ETLScheduleService(env);
+    this.worker = new ETLWorker(env as any);
+  }
+
+  /**
+   * Next run time after `after` as an ISO string. Throws a 400 ApiError for invalid expressions.
+   */
+  static computeNextRun(cronExpression: string, after: Date = new Date()): string | null {
+    return ETLScheduler.parseCron(cronExpression).nextAfter(after)?.toISOString() ?? null;
+  }
+
+  static parseCron(cronExpression: string): CronExpression {
+    try {
+      return new CronExpression(cronExpression);
+    } catch (error) {
+      if (error instanceof CronExpressionError) {
+        throw new ApiError(`Invalid cron expression: ${error.message}`, 400, 'INVALID_CRON_EXPRESSION');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Start every enabled schedule whose next run time has passed
+   */
+  async runDueSchedules(now: Date = new Date()): Promise<SchedulerTickResult> {
+    const checkedAt = now.toISOString();
+    const due = await this.schedules.getDue(checkedAt);
+    const runs: ScheduleRunOutcome[] = [];
+
+    for (const schedule of due) {
+      try {
+        const outcome = await this.runDueSchedule(schedule, now);
+        if (outcome) runs.push(outcome);
+      } catch (error) {
+        runs.push({
+          scheduleId: schedule.id!,
+          sourceId: schedule.source_id,
+          trigger: 'cron',
+          status: 'failed',
+          missedRuns: 0,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    }
+
+    return { checkedAt, due: due.length, runs };
+  }
+
+  /**
+   * Start a schedule's job immediately, outside its cron cadence
+   */
+  async triggerNow(scheduleId: number, now: Date = new Date()): Promise<ScheduleRunOutcome> {
+    const schedule = await this.schedules.getById(scheduleId);
+    if (!schedule) {
+      throw new ApiError('ETL schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+    }
+
+    return await this.startRun(schedule, 'manual', null, 0, now);
+  }
+
+  private async runDueSchedule(schedule: ETLSchedule, now: Date): Promise<ScheduleRunOutcome | null> {
+    let cron: CronExpression;
+    try {
+      cron = new CronExpression(schedule.cron_expression);
+    } catch (error) {
+      // Stop retrying a schedule that can never be evaluated until it is fixed
+      await this.schedules.update(schedule.id!, { next_run_at: null, last_run_status: 'failed' });
+      throw error;
+    }
+
+    const scheduledFor = new Date(schedule.next_run_at!);
+    const nextRunAt = cron.nextAfter(now)?.toISOString() ?? null;
+
+    // Claim this occurrence by advancing next_run_at; a concurrent tick that
+    // already advanced it wins and this one backs off
+    if (!(await this.schedules.advanceNextRun(schedule.id!, schedule.next_run_at!, nextRunAt))) {
+      return null;
+    }
+
+    const late = now.getTime() - scheduledFor.getTime() > MISSED_RUN_GRACE_MS;
+    // Occurrences after the due one that also passed while the scheduler was not running
+    const missedRuns = late ? cron.countBetween(scheduledFor, now) : 0;
+
+    if (late && !schedule.catch_up) {
+      const runId = await this.schedules.createRun({
+        schedule_id: schedule.id!,
+        trigger_type: 'cron',
+        scheduled_for: scheduledFor.toISOString(),
+        missed_runs: missedRuns + 1,
+        status: 'skipped',
+        error: 'Missed run skipped because catch-up is disabled',
+        started_at: now.toISOString(),
+        finished_at: now.toISOString()
+      });
+
+      return {
+        scheduleId: schedule.id!,
+        sourceId: schedule.source_id,
+        runId,
+        trigger: 'cron',
+        status: 'skipped',
+        missedRuns: missedRuns + 1,
+        error: 'Catch-up disabled'
+      };
+    }
+
+    // Missed occurrences are coalesced into a single catch-up run
+    return await this.startRun(schedule, late ? 'catch_up' : 'cron', scheduledFor.toISOString(), missedRuns, now);
+  }
+
+  private async startRun(
+    schedule: ETLSchedule,
+    trigger: ETLScheduleTrigger,
+    scheduledFor: string | null,
+    missedRuns: number,
+    now: Date
+  ): Promise<ScheduleRunOutcome> {
+    const startedAt = now.toISOString();
+    const outcome: ScheduleRunOutcome = {
+      scheduleId: schedule.id!,
+      sourceId: schedule.source_id,
+      trigger,
+      status: 'queued',
+      missedRuns
+    };
+
+    outcome.runId = await this.schedules.createRun({
+      schedule_id: schedule.id!,
+      trigger_type: trigger,
+      scheduled_for: scheduledFor,
+      missed_runs: missedRuns,
+      status: 'queued',
+      started_at: startedAt
+    });
+
+    const lockExpiresAt = new Date(now.getTime() + (schedule.lock_timeout_minutes || 120) * 60 * 1000).toISOString();
+    if (!(await this.schedules.acquireLock(schedule.id!, outcome.runId, startedAt, lockExpiresAt))) {
+      const error = 'Previous run is still in progress';
+      await this.schedules.updateRun(outcome.runId, { status: 'skipped', error, finished_at: startedAt });
+      return { ...outcome, status: 'skipped', error };
+    }
+
+    const jobId = `schedule-${schedule.source_id}-${now.getTime()}`;
+
+    try {
+      await this.worker.enqueueJob({
+        jobId,
+        pipelineName: schedule.pipeline_name,
+        sources: [schedule.source_id],
+        options: JSON.parse(schedule.options || '{}')
+      }, outcome.runId);
+
+      await this.schedules.updateRun(outcome.runId, { job_id: jobId });
+      await this.schedules.update(schedule.id!, {
+        last_run_at: startedAt,
+        last_job_id: jobId,
+        last_run_status: 'queued'
+      });
+
+      return { ...outcome, jobId };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      // Releases the overlap lock so the next occurrence is not blocked
+      await this.schedules.finishRun(outcome.runId, 'failed', message);
+      return { ...outcome, status: 'failed', error: message };
+    }
+  }
+}
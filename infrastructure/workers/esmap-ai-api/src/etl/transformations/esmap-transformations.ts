@@ -1,18 +1,19 @@
 /**
  * ESMAP-specific Data Transformation Rules
+ *
+ * Built-in rules, written as declarative documents. A version activated in the
+ * transformation rule registry replaces the built-in rule for its source.
  */
 
-import { 
-  TransformationRule, 
-  FieldMapping, 
-  ValidationRule,
-  PostProcessingStep 
-} from '../types';
+import { DataRecord, TransformationRule, TransformationRuleResolver } from '../types';
+import { TransformationRuleDocument, compileRuleDocument } from './rule-documents';
+
+const TIER_RANGE = { op: 'outOfRange', min: 0, max: 5, value: 0 } as const;
 
 /**
  * World Bank Data Transformation Rules
  */
-export const worldBankTransformations: TransformationRule = {
+export const worldBankRuleDocument: TransformationRuleDocument = {
   id: 'world-bank-transform',
   name: 'World Bank Data Transformation',
   sourceType: 'world-bank',
@@ -21,36 +22,32 @@ export const worldBankTransformations: TransformationRule = {
     {
       sourceField: 'country.value',
       targetField: 'countryName',
-      transform: (value: string) => value?.trim() || 'Unknown'
+      transform: [{ op: 'trim' }, { op: 'default', value: 'Unknown' }]
     },
     {
       sourceField: 'country.id',
       targetField: 'countryCode',
-      transform: (value: string) => value?.toUpperCase() || ''
+      transform: [{ op: 'uppercase' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'indicator.id',
       targetField: 'indicatorCode',
-      transform: (value: string) => value || ''
+      transform: [{ op: 'default', value: '' }]
     },
     {
       sourceField: 'indicator.value',
       targetField: 'indicatorName',
-      transform: (value: string) => value?.trim() || ''
+      transform: [{ op: 'trim' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'value',
       targetField: 'value',
-      transform: (value: any) => {
-        if (value === null || value === undefined) return null;
-        const parsed = parseFloat(value);
-        return isNaN(parsed) ? null : parsed;
-      }
+      transform: [{ op: 'number' }]
     },
     {
       sourceField: 'date',
       targetField: 'year',
-      transform: (value: string) => parseInt(value, 10) || null
+      transform: [{ op: 'integer' }]
     },
     {
       sourceField: 'unit',
@@ -65,7 +62,7 @@ export const worldBankTransformations: TransformationRule = {
     {
       sourceField: 'decimal',
       targetField: 'decimalPlaces',
-      transform: (value: any) => parseInt(value, 10) || 2
+      transform: [{ op: 'integer' }, { op: 'default', value: 2 }]
     }
   ],
   validations: [
@@ -84,7 +81,7 @@ export const worldBankTransformations: TransformationRule = {
     {
       field: 'year',
       type: 'range',
-      config: { min: 1960, max: new Date().getFullYear() + 1 },
+      config: { min: 1960, max: 'currentYear+1' },
       severity: 'warning'
     },
     {
@@ -95,28 +92,14 @@ export const worldBankTransformations: TransformationRule = {
     }
   ],
   postProcessing: [
-    {
-      name: 'normalizeEnergyUnits',
-      order: 1,
-      processor: (records) => {
-        return records.map(record => {
-          // Normalize energy units to standard format
-          if (record.data.unit === 'kWh per capita') {
-            record.data.unit = 'kWh/capita';
-          } else if (record.data.unit === 'kg of oil equivalent per capita') {
-            record.data.unit = 'kgoe/capita';
-          }
-          return record;
-        });
-      }
-    }
+    { name: 'normalizeEnergyUnits', order: 1 }
   ]
 };
 
 /**
  * NASA POWER Climate Data Transformation Rules
  */
-export const nasaPowerTransformations: TransformationRule = {
+export const nasaPowerRuleDocument: TransformationRuleDocument = {
   id: 'nasa-power-transform',
   name: 'NASA POWER Climate Data Transformation',
   sourceType: 'nasa-power',
@@ -125,42 +108,42 @@ export const nasaPowerTransformations: TransformationRule = {
     {
       sourceField: 'parameters.ALLSKY_SFC_SW_DWN',
       targetField: 'solarIrradiance',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'parameters.WS10M',
       targetField: 'windSpeed10m',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'parameters.T2M',
       targetField: 'temperature2m',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'parameters.PRECTOTCORR',
       targetField: 'precipitation',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'header.lon',
       targetField: 'longitude',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'header.lat',
       targetField: 'latitude',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'header.start',
       targetField: 'startDate',
-      transform: (value: string) => new Date(value).toISOString()
+      transform: [{ op: 'isoDate' }]
     },
     {
       sourceField: 'header.end',
       targetField: 'endDate',
-      transform: (value: string) => new Date(value).toISOString()
+      transform: [{ op: 'isoDate' }]
     }
   ],
   validations: [
@@ -188,7 +171,7 @@ export const nasaPowerTransformations: TransformationRule = {
 /**
  * IRENA Renewable Energy Statistics Transformation Rules
  */
-export const irenaTransformations: TransformationRule = {
+export const irenaRuleDocument: TransformationRuleDocument = {
   id: 'irena-transform',
   name: 'IRENA Renewable Energy Transformation',
   sourceType: 'irena',
@@ -197,37 +180,37 @@ export const irenaTransformations: TransformationRule = {
     {
       sourceField: 'Country',
       targetField: 'countryName',
-      transform: (value: string) => value?.trim() || ''
+      transform: [{ op: 'trim' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'Technology',
       targetField: 'technology',
-      transform: (value: string) => {
+      transform: [{
         // Standardize technology names
-        const techMap: Record<string, string> = {
+        op: 'map',
+        values: {
           'Solar photovoltaic': 'Solar PV',
           'Onshore wind energy': 'Wind Onshore',
           'Offshore wind energy': 'Wind Offshore',
           'Hydropower': 'Hydro',
           'Bioenergy': 'Biomass'
-        };
-        return techMap[value] || value;
-      }
+        }
+      }]
     },
     {
       sourceField: 'Year',
       targetField: 'year',
-      transform: (value: any) => parseInt(value, 10) || null
+      transform: [{ op: 'integer' }]
     },
     {
       sourceField: 'Electricity Installed Capacity (MW)',
       targetField: 'installedCapacityMW',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'Electricity Generation (GWh)',
       targetField: 'generationGWh',
-      transform: (value: any) => parseFloat(value) || 0
+      transform: [{ op: 'number' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'Region',
@@ -256,33 +239,14 @@ export const irenaTransformations: TransformationRule = {
     }
   ],
   postProcessing: [
-    {
-      name: 'calculateCapacityFactor',
-      order: 1,
-      processor: (records) => {
-        return records.map(record => {
-          const capacity = record.data.installedCapacityMW;
-          const generation = record.data.generationGWh;
-          
-          if (capacity > 0 && generation > 0) {
-            // Capacity factor = (Generation in MWh) / (Capacity in MW * 8760 hours)
-            const capacityFactor = (generation * 1000) / (capacity * 8760);
-            record.data.capacityFactor = Math.min(1, Math.max(0, capacityFactor));
-          } else {
-            record.data.capacityFactor = 0;
-          }
-          
-          return record;
-        });
-      }
-    }
+    { name: 'calculateCapacityFactor', order: 1 }
   ]
 };
 
 /**
  * ESMAP Hub Dataset Transformation Rules
  */
-export const esmapHubTransformations: TransformationRule = {
+export const esmapHubRuleDocument: TransformationRuleDocument = {
   id: 'esmap-hub-transform',
   name: 'ESMAP Hub Dataset Transformation',
   sourceType: 'esmap-hub',
@@ -291,47 +255,48 @@ export const esmapHubTransformations: TransformationRule = {
     {
       sourceField: 'dataset_name',
       targetField: 'datasetName',
-      transform: (value: string) => value?.trim() || ''
+      transform: [{ op: 'trim' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'country',
       targetField: 'country',
-      transform: (value: string) => value?.trim() || 'Global'
+      transform: [{ op: 'trim' }, { op: 'default', value: 'Global' }]
     },
     {
       sourceField: 'category',
       targetField: 'category',
-      transform: (value: string) => {
+      transform: [{
         // Standardize categories
-        const categoryMap: Record<string, string> = {
+        op: 'map',
+        ignoreCase: true,
+        values: {
           'energy_access': 'Energy Access',
           'renewable_energy': 'Renewable Energy',
           'energy_efficiency': 'Energy Efficiency',
           'clean_cooking': 'Clean Cooking',
           'grid_infrastructure': 'Grid Infrastructure'
-        };
-        return categoryMap[value?.toLowerCase()] || value;
-      }
+        }
+      }]
     },
     {
       sourceField: 'last_updated',
       targetField: 'lastUpdated',
-      transform: (value: string) => new Date(value).toISOString()
+      transform: [{ op: 'isoDate' }]
     },
     {
       sourceField: 'data_points',
       targetField: 'dataPoints',
-      transform: (value: any) => parseInt(value, 10) || 0
+      transform: [{ op: 'integer' }, { op: 'default', value: 0 }]
     },
     {
       sourceField: 'temporal_coverage_start',
       targetField: 'temporalCoverageStart',
-      transform: (value: any) => parseInt(value, 10) || null
+      transform: [{ op: 'integer' }]
     },
     {
       sourceField: 'temporal_coverage_end',
       targetField: 'temporalCoverageEnd',
-      transform: (value: any) => parseInt(value, 10) || null
+      transform: [{ op: 'integer' }]
     },
     {
       sourceField: 'spatial_resolution',
@@ -361,16 +326,9 @@ export const esmapHubTransformations: TransformationRule = {
       field: 'lastUpdated',
       type: 'custom',
       config: {
-        validator: async (value: string) => {
-          const date = new Date(value);
-          const now = new Date();
-          const sixMonthsAgo = new Date(now.setMonth(now.getMonth() - 6));
-          
-          return {
-            isValid: date > sixMonthsAgo,
-            message: 'Dataset has not been updated in the last 6 months'
-          };
-        }
+        validator: 'maxAge',
+        months: 6,
+        message: 'Dataset has not been updated in the last 6 months'
       },
       severity: 'warning'
     }
@@ -380,7 +338,7 @@ export const esmapHubTransformations: TransformationRule = {
 /**
  * Multi-Tier Framework (MTF) Survey Transformation Rules
  */
-export const mtfTransformations: TransformationRule = {
+export const mtfRuleDocument: TransformationRuleDocument = {
   id: 'mtf-transform',
   name: 'MTF Survey Data Transformation',
   sourceType: 'mtf-survey',
@@ -389,53 +347,47 @@ export const mtfTransformations: TransformationRule = {
     {
       sourceField: 'household_id',
       targetField: 'householdId',
-      transform: (value: string) => value || ''
+      transform: [{ op: 'default', value: '' }]
     },
     {
       sourceField: 'country',
       targetField: 'country',
-      transform: (value: string) => value?.trim() || ''
+      transform: [{ op: 'trim' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'region',
       targetField: 'region',
-      transform: (value: string) => value?.trim() || ''
+      transform: [{ op: 'trim' }, { op: 'default', value: '' }]
     },
     {
       sourceField: 'electricity_tier',
       targetField: 'electricityTier',
-      transform: (value: any) => {
-        const tier = parseInt(value, 10);
-        return tier >= 0 && tier <= 5 ? tier : 0;
-      }
+      transform: [{ op: 'integer' }, TIER_RANGE]
     },
     {
       sourceField: 'cooking_tier',
       targetField: 'cookingTier',
-      transform: (value: any) => {
-        const tier = parseInt(value, 10);
-        return tier >= 0 && tier <= 5 ? tier : 0;
-      }
+      transform: [{ op: 'integer' }, TIER_RANGE]
     },
     {
       sourceField: 'survey_date',
       targetField: 'surveyDate',
-      transform: (value: string) => new Date(value).toISOString()
+      transform: [{ op: 'isoDate' }]
     },
     {
       sourceField: 'grid_connected',
       targetField: 'gridConnected',
-      transform: (value: any) => Boolean(value)
+      transform: [{ op: 'boolean' }]
     },
     {
       sourceField: 'primary_lighting_source',
       targetField: 'primaryLightingSource',
-      transform: (value: string) => value || 'None'
+      transform: [{ op: 'default', value: 'None' }]
     },
     {
       sourceField: 'primary_cooking_fuel',
       targetField: 'primaryCookingFuel',
-      transform: (value: string) => value || 'None'
+      transform: [{ op: 'default', value: 'None' }]
     }
   ],
   validations: [
@@ -459,35 +411,35 @@ export const mtfTransformations: TransformationRule = {
     }
   ],
   postProcessing: [
-    {
-      name: 'calculateAccessScore',
-      order: 1,
-      processor: (records) => {
-        return records.map(record => {
-          const electricityTier = record.data.electricityTier || 0;
-          const cookingTier = record.data.cookingTier || 0;
-          
-          // Calculate composite access score (0-100)
-          record.data.accessScore = ((electricityTier + cookingTier) / 10) * 100;
-          
-          // Determine access category
-          if (electricityTier >= 4 && cookingTier >= 4) {
-            record.data.accessCategory = 'Full Access';
-          } else if (electricityTier >= 2 || cookingTier >= 2) {
-            record.data.accessCategory = 'Basic Access';
-          } else {
-            record.data.accessCategory = 'No Access';
-          }
-          
-          return record;
-        });
-      }
-    }
+    { name: 'calculateAccessScore', order: 1 }
   ]
 };
 
+export const worldBankTransformations = compileRuleDocument(worldBankRuleDocument);
+export const nasaPowerTransformations = compileRuleDocument(nasaPowerRuleDocument);
+export const irenaTransformations = compileRuleDocument(irenaRuleDocument);
+export const esmapHubTransformations = compileRuleDocument(esmapHubRuleDocument);
+export const mtfTransformations = compileRuleDocument(mtfRuleDocument);
+
+/**
+ * Get the built-in rule documents, the starting point for registry versions
+ */
+export function getBuiltInRuleDocuments(): TransformationRuleDocument[] {
+  return [
+    worldBankRuleDocument,
+    nasaPowerRuleDocument,
+    irenaRuleDocument,
+    esmapHubRuleDocument,
+    mtfRuleDocument
+  ];
+}
+
+export function getBuiltInRuleDocument(sourceType: string): TransformationRuleDocument | undefined {
+  return getBuiltInRuleDocuments().find(document => document.sourceType === sourceType);
+}
+
 /**
- * Get all transformation rules
+ * Get all built-in transformation rules
  */
 export function getAllTransformationRules(): TransformationRule[] {
   return [
@@ -500,9 +452,60 @@ export function getAllTransformationRules(): TransformationRule[] {
 }
 
 /**
- * Get transformation rule by source type
+ * Get the transformation rule for a source type: the version active in the
+ * registry when a resolver is given and one is active, otherwise the built-in rule
  */
-export function getTransformationRule(sourceType: string): TransformationRule | undefined {
-  const rules = getAllTransformationRules();
-  return rules.find(rule => rule.sourceType === sourceType);
-}
\ No newline at end of file
+export async function getTransformationRule(
+  sourceType: string,
+  resolver?: TransformationRuleResolver
+): Promise<TransformationRule | undefined> {
+  const active = resolver ? await resolver.resolve(sourceType) : undefined;
+  return active || getAllTransformationRules().find(rule => rule.sourceType === sourceType);
+}
+
+/**
+ * Map a record's fields through a rule and run its post-processing steps
+ */
+export function applyTransformationRule(rule: TransformationRule, record: DataRecord): DataRecord {
+  const transformedData: Record<string, any> = {};
+
+  // Apply field mappings
+  for (const mapping of rule.mappings) {
+    const sourceValue = getNestedValue(record.data, mapping.sourceField);
+
+    if (sourceValue !== undefined || mapping.defaultValue !== undefined) {
+      const value = sourceValue !== undefined ? sourceValue : mapping.defaultValue;
+      transformedData[mapping.targetField] = mapping.transform ?
+        mapping.transform(value) : value;
+    }
+  }
+
+  // Create transformed record with updated metadata
+  const transformedRecord: DataRecord = {
+    ...record,
+    data: transformedData,
+    metadata: {
+      ...record.metadata,
+      transformationTime: new Date(),
+      transformationRule: rule.version !== undefined ? `${rule.id}@v${rule.version}` : rule.id
+    }
+  };
+
+  // Apply post-processing steps if any
+  if (rule.postProcessing) {
+    const sortedSteps = [...rule.postProcessing].sort((a, b) => a.order - b.order);
+
+    for (const step of sortedSteps) {
+      const result = step.processor([transformedRecord]);
+      if (result.length > 0) {
+        Object.assign(transformedRecord, result[0]);
+      }
+    }
+  }
+
+  return transformedRecord;
+}
+
+function getNestedValue(obj: Record<string, any>, path: string): any {
+  return path.split('.').reduce((current, key) => current?.[key], obj);
+}
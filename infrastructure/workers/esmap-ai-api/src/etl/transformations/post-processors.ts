@@ -0,0 +1,66 @@
+/**
+ * Named Post-Processing Steps
+ * Record-level derivations that transformation rule documents can reference by name
+ */
+
+import type { DataRecord } from '../types';
+
+export type PostProcessor = (records: DataRecord[]) => DataRecord[];
+
+/**
+ * Normalize energy units to standard format
+ */
+function normalizeEnergyUnits(records: DataRecord[]): DataRecord[] {
+  return records.map(record => {
+    if (record.data.unit === 'kWh per capita') {
+      record.data.unit = 'kWh/capita';
+    } else if (record.data.unit === 'kg of oil equivalent per capita') {
+      record.data.unit = 'kgoe/capita';
+    }
+    return record;
+  });
+}
+
+function calculateCapacityFactor(records: DataRecord[]): DataRecord[] {
+  return records.map(record => {
+    const capacity = record.data.installedCapacityMW;
+    const generation = record.data.generationGWh;
+
+    if (capacity > 0 && generation > 0) {
+      // Capacity factor = (Generation in MWh) / (Capacity in MW * 8760 hours)
+      const capacityFactor = (generation * 1000) / (capacity * 8760);
+      record.data.capacityFactor = Math.min(1, Math.max(0, capacityFactor));
+    } else {
+      record.data.capacityFactor = 0;
+    }
+
+    return record;
+  });
+}
+
+function calculateAccessScore(records: DataRecord[]): DataRecord[] {
+  return records.map(record => {
+    const electricityTier = record.data.electricityTier || 0;
+    const cookingTier = record.data.cookingTier || 0;
+
+    // Calculate composite access score (0-100)
+    record.data.accessScore = ((electricityTier + cookingTier) / 10) * 100;
+
+    // Determine access category
+    if (electricityTier >= 4 && cookingTier >= 4) {
+      record.data.accessCategory = 'Full Access';
+    } else if (electricityTier >= 2 || cookingTier >= 2) {
+      record.data.accessCategory = 'Basic Access';
+    } else {
+      record.data.accessCategory = 'No Access';
+    }
+
+    return record;
+  });
+}
+
+export const POST_PROCESSORS: Record<string, PostProcessor> = {
+  normalizeEnergyUnits,
+  calculateCapacityFactor,
+  calculateAccessScore
+};
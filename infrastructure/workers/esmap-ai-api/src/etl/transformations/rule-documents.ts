@@ -0,0 +1,406 @@
+/**
+ * Declarative Transformation Rule Documents
+ * JSON form of a TransformationRule: transforms, unit conversions, validators and
+ * post-processing steps are referenced by name so rules can be stored and edited
+ * at runtime, then compiled into the functions the pipeline runs.
+ */
+
+import type { TransformationRule, FieldMapping, ValidationRule, PostProcessingStep } from '../types';
+import { POST_PROCESSORS } from './post-processors';
+
+export type TransformStep =
+  | { op: 'trim' | 'uppercase' | 'lowercase' | 'number' | 'integer' | 'boolean' | 'isoDate' }
+  | { op: 'default'; value: unknown } // replaces null, undefined, '' and NaN
+  | { op: 'map'; values: Record<string, unknown>; ignoreCase?: boolean } // unmatched values pass through
+  | { op: 'clamp'; min?: number; max?: number }
+  | { op: 'outOfRange'; min?: number; max?: number; value: unknown } // replaces non-numbers and values outside [min, max]
+  | { op: 'round'; decimals?: number }
+  | { op: 'scale'; factor: number; offset?: number }
+  | { op: 'convertUnit'; from: string; to: string };
+
+export interface FieldMappingDocument {
+  sourceField: string;
+  targetField: string;
+  transform?: TransformStep[];
+  defaultValue?: unknown;
+}
+
+/**
+ * Range bounds may be numbers or relative years ('currentYear', 'currentYear+1').
+ * Custom rules name a built-in validator: { validator: 'maxAge', months: 6 }.
+ */
+export interface ValidationRuleDocument {
+  field: string;
+  type: ValidationRule['type'];
+  config: Record<string, unknown>;
+  severity: ValidationRule['severity'];
+}
+
+export interface PostProcessingDocument {
+  name: string;
+  order: number;
+}
+
+export interface TransformationRuleDocument {
+  id: string;
+  name: string;
+  sourceType: string;
+  targetType: string;
+  mappings: FieldMappingDocument[];
+  validations: ValidationRuleDocument[];
+  postProcessing?: PostProcessingDocument[];
+}
+
+type UnitDimension = 'energy' | 'power' | 'mass';
+
+// Multipliers to each dimension's base unit (kWh, kW, kg)
+const UNITS: Record<string, { dimension: UnitDimension; factor: number }> = {
+  Wh: { dimension: 'energy', factor: 1e-3 },
+  kWh: { dimension: 'energy', factor: 1 },
+  MWh: { dimension: 'energy', factor: 1e3 },
+  GWh: { dimension: 'energy', factor: 1e6 },
+  TWh: { dimension: 'energy', factor: 1e9 },
+  GJ: { dimension: 'energy', factor: 1e3 / 3.6 },
+  TJ: { dimension: 'energy', factor: 1e6 / 3.6 },
+  PJ: { dimension: 'energy', factor: 1e9 / 3.6 },
+  toe: { dimension: 'energy', factor: 11630 },
+  ktoe: { dimension: 'energy', factor: 11.63e6 },
+  Mtoe: { dimension: 'energy', factor: 11.63e9 },
+  W: { dimension: 'power', factor: 1e-3 },
+  kW: { dimension: 'power', factor: 1 },
+  MW: { dimension: 'power', factor: 1e3 },
+  GW: { dimension: 'power', factor: 1e6 },
+  kg: { dimension: 'mass', factor: 1 },
+  t: { dimension: 'mass', factor: 1e3 },
+  kt: { dimension: 'mass', factor: 1e6 },
+  Mt: { dimension: 'mass', factor: 1e9 }
+};
+
+const VALUE_OPS = ['trim', 'uppercase', 'lowercase', 'number', 'integer', 'boolean', 'isoDate'];
+const TRANSFORM_OPS = [...VALUE_OPS, 'default', 'map', 'clamp', 'outOfRange', 'round', 'scale', 'convertUnit'];
+const VALIDATION_TYPES: ValidationRule['type'][] = ['required', 'type', 'range', 'pattern', 'custom'];
+const VALUE_TYPES = ['string', 'number', 'boolean', 'date', 'array', 'object'];
+const CUSTOM_VALIDATORS = ['maxAge'];
+const RELATIVE_YEAR = /^currentYear([+-]\d+)?$/;
+const FALSE_STRINGS = ['', 'false', '0', 'no', 'n'];
+
+export function isUnitConversionSupported(from: string, to: string): boolean {
+  return !!UNITS[from] && !!UNITS[to] && UNITS[from].dimension === UNITS[to].dimension;
+}
+
+/**
+ * Check a rule document's structure, returning one message per problem (empty when valid)
+ */
+export function validateRuleDocument(document: unknown): string[] {
+  const errors: string[] = [];
+
+  if (!isObject(document)) {
+    return ['Rule document must be an object'];
+  }
+
+  for (const key of ['id', 'name', 'sourceType', 'targetType']) {
+    if (!isNonEmptyString(document[key])) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+
+  if (!Array.isArray(document.mappings) || document.mappings.length === 0) {
+    errors.push('mappings must be a non-empty array');
+  } else {
+    const targets = new Set<string>();
+    document.mappings.forEach((mapping: unknown, index: number) => {
+      const path = `mappings[${index}]`;
+      if (!isObject(mapping)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      if (!isNonEmptyString(mapping.sourceField)) errors.push(`${path}.sourceField must be a non-empty string`);
+      if (!isNonEmptyString(mapping.targetField)) {
+        errors.push(`${path}.targetField must be a non-empty string`);
+      } else if (targets.has(mapping.targetField)) {
+        errors.push(`${path}.targetField '${mapping.targetField}' is mapped more than once`);
+      } else {
+        targets.add(mapping.targetField);
+      }
+
+      if (mapping.transform !== undefined) {
+        if (!Array.isArray(mapping.transform)) {
+          errors.push(`${path}.transform must be an array of steps`);
+        } else {
+          mapping.transform.forEach((step: unknown, stepIndex: number) => {
+            errors.push(...validateTransformStep(step, `${path}.transform[${stepIndex}]`));
+          });
+        }
+      }
+    });
+  }
+
+  if (!Array.isArray(document.validations)) {
+    errors.push('validations must be an array');
+  } else {
+    document.validations.forEach((rule: unknown, index: number) => {
+      errors.push(...validateValidationRule(rule, `validations[${index}]`));
+    });
+  }
+
+  if (document.postProcessing !== undefined) {
+    if (!Array.isArray(document.postProcessing)) {
+      errors.push('postProcessing must be an array');
+    } else {
+      document.postProcessing.forEach((step: unknown, index: number) => {
+        const path = `postProcessing[${index}]`;
+        if (!isObject(step)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (typeof step.name !== 'string' || !POST_PROCESSORS[step.name]) {
+          errors.push(`${path}.name must be one of: ${Object.keys(POST_PROCESSORS).join(', ')}`);
+        }
+        if (!isFiniteNumber(step.order)) errors.push(`${path}.order must be a number`);
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build a runnable TransformationRule from a document that passed validateRuleDocument
+ */
+export function compileRuleDocument(document: TransformationRuleDocument, version?: number): TransformationRule {
+  return {
+    id: document.id,
+    name: document.name,
+    sourceType: document.sourceType,
+    targetType: document.targetType,
+    version,
+    mappings: document.mappings.map(compileMapping),
+    validations: document.validations.map(compileValidation),
+    postProcessing: document.postProcessing?.map((step): PostProcessingStep => ({
+      name: step.name,
+      order: step.order,
+      processor: POST_PROCESSORS[step.name]
+    }))
+  };
+}
+
+function compileMapping(mapping: FieldMappingDocument): FieldMapping {
+  const steps = (mapping.transform || []).map(compileStep);
+
+  return {
+    sourceField: mapping.sourceField,
+    targetField: mapping.targetField,
+    defaultValue: mapping.defaultValue,
+    transform: steps.length > 0
+      ? (value: any) => steps.reduce((current, step) => step(current), value)
+      : undefined
+  };
+}
+
+function compileStep(step: TransformStep): (value: any) => any {
+  switch (step.op) {
+    case 'trim':
+      return value => typeof value === 'string' ? value.trim() : value;
+    case 'uppercase':
+      return value => typeof value === 'string' ? value.toUpperCase() : value;
+    case 'lowercase':
+      return value => typeof value === 'string' ? value.toLowerCase() : value;
+    case 'number':
+      return value => {
+        if (value === null || value === undefined || value === '') return null;
+        const parsed = typeof value === 'number' ? value : parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+      };
+    case 'integer':
+      return value => {
+        if (value === null || value === undefined || value === '') return null;
+        const parsed = typeof value === 'number' ? Math.trunc(value) : parseInt(value, 10);
+        return isNaN(parsed) ? null : parsed;
+      };
+    case 'boolean':
+      return value => typeof value === 'string'
+        ? !FALSE_STRINGS.includes(value.trim().toLowerCase())
+        : Boolean(value);
+    case 'isoDate':
+      return value => {
+        if (value === null || value === undefined || value === '') return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+      };
+    case 'default':
+      return value => isEmpty(value) ? step.value : value;
+    case 'map': {
+      const values = step.ignoreCase
+        ? Object.fromEntries(Object.entries(step.values).map(([key, mapped]) => [key.toLowerCase(), mapped]))
+        : step.values;
+      return value => {
+        if (typeof value !== 'string' && typeof value !== 'number') return value;
+        const key = step.ignoreCase ? String(value).toLowerCase() : String(value);
+        return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : value;
+      };
+    }
+    case 'clamp':
+      return value => {
+        if (typeof value !== 'number') return value;
+        let clamped = value;
+        if (step.min !== undefined) clamped = Math.max(step.min, clamped);
+        if (step.max !== undefined) clamped = Math.min(step.max, clamped);
+        return clamped;
+      };
+    case 'outOfRange':
+      return value => {
+        const inRange = typeof value === 'number' && !isNaN(value) &&
+          (step.min === undefined || value >= step.min) &&
+          (step.max === undefined || value <= step.max);
+        return inRange ? value : step.value;
+      };
+    case 'round': {
+      const factor = Math.pow(10, step.decimals ?? 0);
+      return value => typeof value === 'number' ? Math.round(value * factor) / factor : value;
+    }
+    case 'scale':
+      return value => typeof value === 'number' ? value * step.factor + (step.offset ?? 0) : value;
+    case 'convertUnit': {
+      const factor = UNITS[step.from].factor / UNITS[step.to].factor;
+      return value => typeof value === 'number' ? value * factor : value;
+    }
+  }
+}
+
+function compileValidation(rule: ValidationRuleDocument): ValidationRule {
+  const config: Record<string, any> = { ...rule.config };
+
+  if (rule.type === 'range') {
+    if (config.min !== undefined) config.min = resolveBound(config.min);
+    if (config.max !== undefined) config.max = resolveBound(config.max);
+  }
+
+  if (rule.type === 'custom' && config.validator === 'maxAge') {
+    const months = config.months as number;
+    const message = (config.message as string) || `Field '${rule.field}' is older than ${months} months`;
+    config.validator = async (value: any) => {
+      const cutoff = new Date();
+      cutoff.setMonth(cutoff.getMonth() - months);
+      return { isValid: new Date(value) > cutoff, message };
+    };
+  }
+
+  return { field: rule.field, type: rule.type, config, severity: rule.severity };
+}
+
+function resolveBound(bound: unknown): number {
+  if (typeof bound === 'number') return bound;
+
+  const match = RELATIVE_YEAR.exec(String(bound))!;
+  return new Date().getFullYear() + (match[1] ? parseInt(match[1], 10) : 0);
+}
+
+function validateTransformStep(step: unknown, path: string): string[] {
+  if (!isObject(step) || typeof step.op !== 'string' || !TRANSFORM_OPS.includes(step.op)) {
+    return [`${path}.op must be one of: ${TRANSFORM_OPS.join(', ')}`];
+  }
+
+  const errors: string[] = [];
+  switch (step.op) {
+    case 'default':
+      if (!('value' in step)) errors.push(`${path}.value is required`);
+      break;
+    case 'map':
+      if (!isObject(step.values)) errors.push(`${path}.values must be an object of replacements`);
+      break;
+    case 'clamp':
+    case 'outOfRange':
+      if (step.min !== undefined && !isFiniteNumber(step.min)) errors.push(`${path}.min must be a number`);
+      if (step.max !== undefined && !isFiniteNumber(step.max)) errors.push(`${path}.max must be a number`);
+      if (step.op === 'outOfRange' && !('value' in step)) errors.push(`${path}.value is required`);
+      break;
+    case 'round':
+      if (step.decimals !== undefined && (!Number.isInteger(step.decimals) || step.decimals < 0 || step.decimals > 10)) {
+        errors.push(`${path}.decimals must be an integer between 0 and 10`);
+      }
+      break;
+    case 'scale':
+      if (!isFiniteNumber(step.factor)) errors.push(`${path}.factor must be a number`);
+      if (step.offset !== undefined && !isFiniteNumber(step.offset)) errors.push(`${path}.offset must be a number`);
+      break;
+    case 'convertUnit':
+      if (typeof step.from !== 'string' || typeof step.to !== 'string' || !isUnitConversionSupported(step.from, step.to)) {
+        errors.push(`${path} must convert between units of the same kind: ${Object.keys(UNITS).join(', ')}`);
+      }
+      break;
+  }
+
+  return errors;
+}
+
+function validateValidationRule(rule: unknown, path: string): string[] {
+  if (!isObject(rule)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors: string[] = [];
+  if (!isNonEmptyString(rule.field)) errors.push(`${path}.field must be a non-empty string`);
+  if (rule.severity !== 'error' && rule.severity !== 'warning') errors.push(`${path}.severity must be 'error' or 'warning'`);
+  if (!VALIDATION_TYPES.includes(rule.type as ValidationRule['type'])) {
+    errors.push(`${path}.type must be one of: ${VALIDATION_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  const config = rule.config ?? {};
+  if (!isObject(config)) {
+    errors.push(`${path}.config must be an object`);
+    return errors;
+  }
+
+  switch (rule.type) {
+    case 'type':
+      if (!VALUE_TYPES.includes(config.type as string)) {
+        errors.push(`${path}.config.type must be one of: ${VALUE_TYPES.join(', ')}`);
+      }
+      break;
+    case 'range':
+      for (const bound of ['min', 'max']) {
+        const value = config[bound];
+        if (value !== undefined && !isFiniteNumber(value) && !(typeof value === 'string' && RELATIVE_YEAR.test(value))) {
+          errors.push(`${path}.config.${bound} must be a number or 'currentYear[+-N]'`);
+        }
+      }
+      break;
+    case 'pattern':
+      if (typeof config.pattern !== 'string') {
+        errors.push(`${path}.config.pattern must be a regular expression string`);
+      } else {
+        try {
+          new RegExp(config.pattern);
+        } catch {
+          errors.push(`${path}.config.pattern is not a valid regular expression`);
+        }
+      }
+      break;
+    case 'custom':
+      if (!CUSTOM_VALIDATORS.includes(config.validator as string)) {
+        errors.push(`${path}.config.validator must be one of: ${CUSTOM_VALIDATORS.join(', ')}`);
+      } else if (!Number.isInteger(config.months) || (config.months as number) < 1) {
+        errors.push(`${path}.config.months must be a positive integer`);
+      }
+      break;
+  }
+
+  return errors;
+}
+
+function isObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && isFinite(value);
+}
+
+function isEmpty(value: unknown): boolean {
+  return value === null || value === undefined || value === '' || (typeof value === 'number' && isNaN(value));
+}
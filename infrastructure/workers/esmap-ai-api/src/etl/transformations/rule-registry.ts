@@ -0,0 +1,52 @@
+/**
+ * Transformation Rule Registry
+ * Resolves the active stored version of a source's transformation rule. Active
+ * documents are cached in KV; activation and deactivation invalidate the cache.
+ */
+
+import type { TransformationRule, TransformationRuleResolver } from '../types';
+import { TransformationRuleService } from '../../database/services/transformation-rule-service';
+import { TransformationRuleDocument, compileRuleDocument } from './rule-documents';
+
+const CACHE_PREFIX = 'transform-rule:active:';
+const CACHE_TTL_SECONDS = 300;
+
+export interface ActiveRuleDocument {
+  version: number;
+  document: TransformationRuleDocument;
+}
+
+export class TransformationRuleRegistry implements TransformationRuleResolver {
+  constructor(private service: TransformationRuleService, private cache?: KVNamespace) {}
+
+  /**
+   * The active stored document for a source, or null when the built-in rule applies
+   */
+  async getActiveDocument(sourceType: string): Promise<ActiveRuleDocument | null> {
+    const key = `${CACHE_PREFIX}${sourceType}`;
+
+    if (this.cache) {
+      const cached = await this.cache.get(key, 'json') as { active: ActiveRuleDocument | null } | null;
+      if (cached) return cached.active;
+    }
+
+    const row = await this.service.getActive(sourceType);
+    const active = row ? { version: row.version, document: JSON.parse(row.document) } : null;
+
+    if (this.cache) {
+      // Cache misses too, so sources without a stored rule don't hit D1 on every run
+      await this.cache.put(key, JSON.stringify({ active }), { expirationTtl: CACHE_TTL_SECONDS });
+    }
+
+    return active;
+  }
+
+  async resolve(sourceType: string): Promise<TransformationRule | undefined> {
+    const active = await this.getActiveDocument(sourceType);
+    return active ? compileRuleDocument(active.document, active.version) : undefined;
+  }
+
+  async invalidate(sourceType: string): Promise<void> {
+    await this.cache?.delete(`${CACHE_PREFIX}${sourceType}`);
+  }
+}
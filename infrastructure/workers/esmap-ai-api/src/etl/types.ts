@@ -22,6 +22,7 @@ export interface RecordMetadata {
   source: string;
   ingestionTime: Date;
   transformationTime?: Date;
+  transformationRule?: string; // rule id, with '@v<version>' when a registry version was applied
   validationStatus?: ValidationStatus;
   qualityScore?: number;
   lineage: LineageInfo[];
@@ -61,6 +62,7 @@ export interface TransformationRule {
   name: string;
   sourceType: string;
   targetType: string;
+  version?: number; // registry version the rule was compiled from; unset for built-in rules
   mappings: FieldMapping[];
   validations: ValidationRule[];
   postProcessing?: PostProcessingStep[];
@@ -94,6 +96,8 @@ export interface ETLPipelineConfig {
   parallelism: number;
   retryPolicy: RetryPolicy;
   errorHandling: ErrorHandlingStrategy;
+  jobId?: string;
+  fullRefresh?: boolean; // ignore stored watermarks and extract everything
 }
 
 export interface RetryPolicy {
@@ -117,6 +121,8 @@ export interface ETLMetrics {
   recordsSuccessful: number;
   recordsFailed: number;
   recordsSkipped: number;
+  recordsSkippedByWatermark: number;
+  sourcesNotModified: string[];
   averageProcessingTime: number;
   errors: ETLError[];
 }
@@ -129,6 +135,57 @@ export interface ETLError {
   stack?: string;
 }
 
+/**
+ * How a source supports incremental extraction, set as `config.incremental` on a DataSource
+ */
+export interface IncrementalConfig {
+  granularity: 'year' | 'date';
+  // Record field holding the period the watermark tracks (dot notation). Without
+  // it, date sources advance their watermark to the end of each requested window.
+  field?: string;
+  // Record field holding the observation (dot notation). Records where it is
+  // null or empty are periods the source has not published yet, so they do
+  // not advance the watermark and are requested again by the next run.
+  valueField?: string;
+  // Query parameters requesting only newer data, with {from} and {to} placeholders
+  params?: Record<string, string>;
+  dateFormat?: 'iso' | 'compact'; // compact = YYYYMMDD
+}
+
+export interface SourceWatermark {
+  sourceId: string;
+  highWaterYear?: number | null;
+  highWaterDate?: string | null;
+  etag?: string | null;
+  lastModified?: string | null;
+  validatorUrl?: string | null; // request URL the ETag/Last-Modified validators belong to
+}
+
+export interface WatermarkStore {
+  get(sourceId: string): Promise<SourceWatermark | null>;
+  save(watermark: SourceWatermark, jobId?: string): Promise<void>;
+}
+
+export interface QuarantineStore {
+  add(record: DataRecord, context: { jobId?: string; pipelineName: string }): Promise<void>;
+}
+
+/**
+ * Looks up the active runtime-edited transformation rule for a source, if any
+ */
+export interface TransformationRuleResolver {
+  resolve(sourceType: string): Promise<TransformationRule | undefined>;
+}
+
+/**
+ * Persistence used by a pipeline; without a store the pipeline keeps that state in memory only
+ */
+export interface PipelineStores {
+  watermarks?: WatermarkStore;
+  quarantine?: QuarantineStore;
+  rules?: TransformationRuleResolver; // without a resolver only the built-in rules are used
+}
+
 export interface DuplicateDetectionConfig {
   strategy: 'hash' | 'key' | 'similarity';
   keyFields?: string[];
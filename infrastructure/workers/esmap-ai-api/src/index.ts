@@ -4,10 +4,23 @@ import { handleError, ApiError, createSuccessResponse } from './utils/error-hand
 import { handleHealthCheck } from './routes/health';
 import { handleDataSourcesRoute } from './routes/data-sources';
 import { handleDatabaseRoute } from './routes/database';
+import { handleAuthRoute } from './routes/auth';
+import { authorizeRequest } from './auth/authorization';
+import type { AuthContext } from './auth/auth-service';
+import { TierRateLimiter, QuotaStatus } from './auth/rate-limits';
+import { recordApiUsage, meterResponse } from './auth/usage-metering';
 import { handleESMAPRoute } from './routes/esmap';
-import { handleStorageRoute } from './routes/storage';
+import { handleStorageRoute, createStorageManager } from './routes/storage';
 import { ETLWorker } from './etl/etl-worker';
+import { ETLScheduler } from './etl/scheduling/etl-scheduler';
+import { handleETLSchedulesRoute } from './routes/etl-schedules';
+import { handleETLWatermarksRoute } from './routes/etl-watermarks';
+import { handleETLQuarantineRoute } from './routes/etl-quarantine';
+import { handleETLTransformationsRoute } from './routes/etl-transformations';
 import { VectorizeRoutes } from './routes/vectorize';
+import { handleVectorizeDocumentsRoute, createDocumentIndexer } from './routes/vectorize-documents';
+import { handleAIChatRoute } from './routes/ai-chat';
+import { ResilienceRoutes } from './routes/resilience';
 
 async function handleVectorizeRoute(request: Request, env: any, logger: Logger, path: string): Promise<Response> {
   const vectorizeRoutes = new VectorizeRoutes(env);
@@ -61,12 +74,27 @@ async function handleVectorizeRoute(request: Request, env: any, logger: Logger,
           return await vectorizeRoutes.healthCheck(request);
         }
         break;
+      case 'evaluate':
+        if (request.method === 'POST') {
+          return await vectorizeRoutes.evaluateSearch(request);
+        }
+        break;
+      case 'evaluations':
+        if (request.method === 'GET') {
+          return await vectorizeRoutes.listEvaluations(request);
+        }
+        break;
       default:
         if (endpoint.startsWith('similar/')) {
           if (request.method === 'GET') {
             return await vectorizeRoutes.getSimilarDocuments(request);
           }
         }
+        if (endpoint.startsWith('evaluations/')) {
+          if (request.method === 'GET') {
+            return await vectorizeRoutes.getEvaluation(request);
+          }
+        }
         break;
     }
     
@@ -77,10 +105,182 @@ async function handleVectorizeRoute(request: Request, env: any, logger: Logger,
   }
 }
 
+async function handleResilienceRoute(request: Request, env: any, logger: Logger, path: string): Promise<Response> {
+  const resilienceRoutes = await ResilienceRoutes.create(env);
+  const pathParts = path.split('/').filter(p => p);
+  const endpoint = pathParts.slice(3).join('/'); // Remove 'api', 'v1', 'resilience'
+  
+  try {
+    let response: Response | undefined;
+    
+    switch (endpoint) {
+      case 'status':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getStatus(request);
+        }
+        break;
+      case 'health':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.performHealthCheck(request);
+        }
+        break;
+      case 'request':
+        if (request.method === 'POST') {
+          response = await resilienceRoutes.executeRequest(request);
+        }
+        break;
+      case 'circuit-breakers':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getCircuitBreakerStatus(request);
+        }
+        break;
+      case 'reliability':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getReliabilityMetrics(request);
+        }
+        break;
+      case 'failover':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getFailoverStats(request);
+        }
+        break;
+      case 'feeds':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getFeedStatus(request);
+        }
+        break;
+      case 'scraping':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getScrapingStatus(request);
+        }
+        break;
+      case 'alternative-sources':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getAlternativeSources(request);
+        }
+        break;
+      case 'commercial-brokers':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getCommercialBrokerStatus(request);
+        }
+        break;
+      case 'compliance':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getComplianceStatus(request);
+        }
+        break;
+      case 'maintenance':
+        if (request.method === 'POST') {
+          response = await resilienceRoutes.performMaintenance(request);
+        }
+        break;
+      case 'sources':
+        if (request.method === 'GET') {
+          response = await resilienceRoutes.getDataSources(request);
+        } else if (request.method === 'POST') {
+          response = await resilienceRoutes.registerDataSource(request);
+        }
+        break;
+    }
+    
+    if (!response) {
+      throw new ApiError(`Method ${request.method} not allowed for ${path}`, 405, 'METHOD_NOT_ALLOWED');
+    }
+    
+    // Circuit breaker and failover state only change on mutating calls
+    if (request.method !== 'GET') {
+      await resilienceRoutes.persistState();
+    }
+    
+    return response;
+  } catch (error) {
+    logger.error('Resilience route error', { path, error: error instanceof Error ? error.message : 'Unknown error' });
+    throw error;
+  }
+}
+
+async function routeRequest(request: Request, env: Env, logger: Logger, path: string): Promise<Response> {
+  const requestId = logger.getRequestId();
+  
+  if (path === '/health') {
+    return await handleHealthCheck(env, logger);
+  } else if (path === '/') {
+    const welcomeData = {
+      message: 'ESMAP AI API',
+      version: '1.0.0',
+      environment: env.ENVIRONMENT || 'development',
+      endpoints: [
+        '/health - Health check endpoint',
+        '/api/v1/auth - User registration, login, logout, password reset, API keys and usage',
+        '/api/v1/data-sources - External data source integrations',
+        '/api/v1/database - Database operations and energy data',
+        '/api/v1/esmap - ESMAP-specific data integration endpoints',
+        '/api/v1/etl - ETL pipeline management',
+        '/api/v1/storage - R2 file storage and management',
+        '/api/v1/vectorize - Vector embeddings and semantic search',
+        '/api/v1/vectorize/documents - Report chunking and indexing for semantic search',
+        '/api/v1/resilience - Data source failover, circuit breakers and reliability',
+        '/api/v1/ai - AI models and inference endpoints',
+        '/api/v1/ai/chat - Question answering over reports and energy data, with citations'
+      ]
+    };
+    
+    logger.info('Welcome endpoint accessed');
+    const response = createSuccessResponse(welcomeData, requestId);
+    return Response.json(response);
+  } else if (path.startsWith('/api/v1/auth')) {
+    return await handleAuthRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/data-sources')) {
+    return await handleDataSourcesRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/database')) {
+    return await handleDatabaseRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/esmap')) {
+    return await handleESMAPRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/etl/schedules')) {
+    return await handleETLSchedulesRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/etl/watermarks')) {
+    return await handleETLWatermarksRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/etl/quarantine')) {
+    return await handleETLQuarantineRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/etl/transformations')) {
+    return await handleETLTransformationsRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/etl') || path.startsWith('/etl')) {
+    const etlWorker = new ETLWorker(env as any);
+    return await etlWorker.handleRequest(request);
+  } else if (path.startsWith('/api/v1/storage')) {
+    return await handleStorageRoute(request, env as any, logger, path);
+  } else if (path.startsWith('/api/v1/vectorize/documents')) {
+    return await handleVectorizeDocumentsRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/vectorize')) {
+    return await handleVectorizeRoute(request, env as any, logger, path);
+  } else if (path.startsWith('/api/v1/resilience')) {
+    return await handleResilienceRoute(request, env as any, logger, path);
+  } else if (path.startsWith('/api/v1/ai/chat')) {
+    return await handleAIChatRoute(request, env, logger, path);
+  } else if (path.startsWith('/api/v1/ai')) {
+    const { handleAIModelsRoute } = await import('./routes/ai-models');
+    const segments = path.split('/').filter(s => s);
+    return await handleAIModelsRoute(request, env as any, { requestId, logger }, segments);
+  } else {
+    throw new ApiError('Endpoint not found', 404, 'NOT_FOUND');
+  }
+}
+
+function withHeaders(response: Response, headers: Record<string, string>): Response {
+  const updated = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    updated.headers.set(name, value);
+  }
+  return updated;
+}
+
 export default {
   async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
     const requestId = crypto.randomUUID();
     const logger = new Logger(requestId, env.ENVIRONMENT);
+    const startTime = Date.now();
+    const url = new URL(request.url);
+    const path = url.pathname;
     
     logger.info('Request received', {
       method: request.method,
@@ -88,69 +288,92 @@ export default {
       userAgent: request.headers.get('User-Agent')
     });
     
+    // CORS headers for preflight requests
+    if (request.method === 'OPTIONS') {
+      return new Response(null, {
+        status: 200,
+        headers: {
+          'Access-Control-Allow-Origin': '*',
+          'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key',
+          'Access-Control-Expose-Headers': 'X-RateLimit-Tier, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After',
+          'Access-Control-Max-Age': '86400'
+        }
+      });
+    }
+    
+    let auth: AuthContext | null = null;
+    let quota: QuotaStatus | null = null;
+    let response: Response;
+    
     try {
-      const url = new URL(request.url);
-      const path = url.pathname;
-      
-      // CORS headers for preflight requests
-      if (request.method === 'OPTIONS') {
-        return new Response(null, {
-          status: 200,
-          headers: {
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-            'Access-Control-Max-Age': '86400'
-          }
-        });
-      }
+      // Enforce route access policies before dispatching
+      ({ auth } = await authorizeRequest(request, env, path));
       
-      // Route handling
-      if (path === '/health') {
-        return await handleHealthCheck(env, logger);
-      } else if (path === '/') {
-        const welcomeData = {
-          message: 'ESMAP AI API',
-          version: '1.0.0',
-          environment: env.ENVIRONMENT || 'development',
-          endpoints: [
-            '/health - Health check endpoint',
-            '/api/v1/data-sources - External data source integrations',
-            '/api/v1/database - Database operations and energy data',
-            '/api/v1/esmap - ESMAP-specific data integration endpoints',
-            '/api/v1/etl - ETL pipeline management',
-            '/api/v1/storage - R2 file storage and management',
-            '/api/v1/vectorize - Vector embeddings and semantic search',
-            '/api/v1/ai - AI models and inference endpoints'
-          ]
-        };
+      if (auth) {
+        logger.info('Request authorized', { userId: auth.user.id, role: auth.user.role, method: auth.method });
         
-        logger.info('Welcome endpoint accessed');
-        const response = createSuccessResponse(welcomeData, requestId);
-        return Response.json(response);
-      } else if (path.startsWith('/api/v1/data-sources')) {
-        return await handleDataSourcesRoute(request, env, logger, path);
-      } else if (path.startsWith('/api/v1/database')) {
-        return await handleDatabaseRoute(request, env, logger, path);
-      } else if (path.startsWith('/api/v1/esmap')) {
-        return await handleESMAPRoute(request, env, logger, path);
-      } else if (path.startsWith('/api/v1/etl') || path.startsWith('/etl')) {
-        const etlWorker = new ETLWorker(env as any);
-        return await etlWorker.handleRequest(request);
-      } else if (path.startsWith('/api/v1/storage')) {
-        return await handleStorageRoute(request, env as any, logger, path);
-      } else if (path.startsWith('/api/v1/vectorize')) {
-        return await handleVectorizeRoute(request, env as any, logger, path);
-      } else if (path.startsWith('/api/v1/ai')) {
-        const { handleAIModelsRoute } = await import('./routes/ai-models');
-        const segments = path.split('/').filter(s => s);
-        return await handleAIModelsRoute(request, env as any, { requestId, logger }, segments);
-      } else {
-        throw new ApiError('Endpoint not found', 404, 'NOT_FOUND');
+        quota = await new TierRateLimiter(env.CACHE).consume(auth.user.id, auth.user.rateLimitTier);
+        if (!quota.allowed) {
+          throw new ApiError(
+            `Rate limit exceeded for the ${quota.tier} tier (${quota.binding.limit} requests per ${quota.binding.window})`,
+            429,
+            'RATE_LIMITED'
+          );
+        }
       }
       
+      response = await routeRequest(request, env, logger, path);
+    } catch (error) {
+      response = handleError(error, logger);
+    }
+    
+    if (quota) {
+      response = withHeaders(response, TierRateLimiter.toHeaders(quota));
+    }
+    
+    const metered = meterResponse(response);
+    ctx.waitUntil(recordApiUsage(env, request, metered.response, metered.size, { userId: auth?.user.id, path, startTime }, logger));
+    
+    return metered.response;
+  },
+
+  async scheduled(controller: ScheduledController, env: Env): Promise<void> {
+    const logger = new Logger(crypto.randomUUID(), env.ENVIRONMENT);
+    
+    logger.info('Scheduled trigger fired', { cron: controller.cron, scheduledTime: controller.scheduledTime });
+    
+    try {
+      const result = await new ETLScheduler(env).runDueSchedules(new Date(controller.scheduledTime));
+      
+      logger.info('ETL schedules processed', {
+        due: result.due,
+        runs: result.runs.map(run => ({ sourceId: run.sourceId, trigger: run.trigger, status: run.status, jobId: run.jobId }))
+      });
     } catch (error) {
-      return handleError(error, logger);
+      logger.error('ETL scheduler failed', { error: error instanceof Error ? error.message : error });
+    }
+
+    if (env.DATA_BUCKET) {
+      try {
+        const expired = await createStorageManager(env as any).expireStaleUploads(new Date(controller.scheduledTime));
+        if (expired > 0) {
+          logger.info('Expired stale resumable uploads', { expired });
+        }
+      } catch (error) {
+        logger.error('Upload expiry failed', { error: error instanceof Error ? error.message : error });
+      }
+    }
+
+    if (env.DATA_BUCKET && env.VECTORIZE_INDEX) {
+      try {
+        const result = await createDocumentIndexer(env).reindexChanged();
+        if (result.reindexed.length + result.removed.length + result.failed.length > 0) {
+          logger.info('Document index synced with dataset versions', result);
+        }
+      } catch (error) {
+        logger.error('Document re-indexing failed', { error: error instanceof Error ? error.message : error });
+      }
     }
   },
 
@@ -158,8 +381,13 @@ export default {
     const etlWorker = new ETLWorker(env as any);
     
     for (const message of batch.messages) {
-      await etlWorker.processQueueMessage(message.body);
-      message.ack();
+      try {
+        await etlWorker.processQueueMessage(message.body);
+        message.ack();
+      } catch (error) {
+        console.error('ETL queue message failed, retrying:', error);
+        message.retry();
+      }
     }
   }
 };
\ No newline at end of file
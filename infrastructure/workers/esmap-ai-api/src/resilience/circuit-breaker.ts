@@ -13,6 +13,11 @@ export interface CircuitBreakerConfig {
   healthCheckInterval: number; // milliseconds between health checks
 }
 
+export interface CircuitBreakerSnapshot {
+  state: CircuitBreakerState;
+  failureTimestamps: number[];
+}
+
 export class CircuitBreaker {
   private state: CircuitBreakerState;
   private config: CircuitBreakerConfig;
@@ -205,6 +210,25 @@ export class CircuitBreaker {
     await this.transitionTo(CircuitState.CLOSED);
   }
 
+  /**
+   * Export state together with the failure window so it can be persisted
+   */
+  exportSnapshot(): CircuitBreakerSnapshot {
+    return {
+      state: this.getState(),
+      failureTimestamps: [...this.failureTimestamps]
+    };
+  }
+
+  /**
+   * Restore state from a persisted snapshot without logging a transition
+   */
+  restoreSnapshot(snapshot: CircuitBreakerSnapshot): void {
+    this.state = { ...snapshot.state, sourceId: this.state.sourceId };
+    this.failureTimestamps = [...snapshot.failureTimestamps];
+    this.cleanOldFailures(Date.now());
+  }
+
   /**
    * Calculate current failure rate
    */
@@ -331,6 +355,22 @@ export class CircuitBreakerManager {
     return this.circuitBreakers.delete(sourceId);
   }
 
+  /**
+   * Export snapshots of all circuit breakers for persistence
+   */
+  exportSnapshots(): CircuitBreakerSnapshot[] {
+    return Array.from(this.circuitBreakers.values()).map(cb => cb.exportSnapshot());
+  }
+
+  /**
+   * Restore circuit breakers from persisted snapshots
+   */
+  restoreSnapshots(snapshots: CircuitBreakerSnapshot[]): void {
+    for (const snapshot of snapshots) {
+      this.getCircuitBreaker(snapshot.state.sourceId).restoreSnapshot(snapshot);
+    }
+  }
+
   /**
    * Get circuit breaker summary statistics
    */
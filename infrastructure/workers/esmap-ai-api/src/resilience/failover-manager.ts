@@ -22,6 +22,11 @@ export interface FailoverStrategy {
   canFailback: (originalSource: DataSourceHealth, currentSource: DataSourceHealth) => boolean;
 }
 
+export interface FailoverStateSnapshot {
+  healthStatus: DataSourceHealth[];
+  activeFailovers: Record<string, string>;
+}
+
 export class FailoverManager {
   private sources: Map<string, DataSourceConfig> = new Map();
   private healthStatus: Map<string, DataSourceHealth> = new Map();
@@ -645,4 +650,38 @@ export class FailoverManager {
   getFailoverHistory(): FailoverEvent[] {
     return [...this.failoverHistory];
   }
+
+  /**
+   * Export health and active failover state for persistence
+   */
+  exportState(): FailoverStateSnapshot {
+    return {
+      healthStatus: this.getHealthStatus(),
+      activeFailovers: Object.fromEntries(this.activeFailovers)
+    };
+  }
+
+  /**
+   * Restore health and active failover state from a persisted snapshot
+   */
+  restoreState(snapshot: FailoverStateSnapshot): void {
+    for (const health of snapshot.healthStatus) {
+      if (this.sources.has(health.sourceId)) {
+        this.healthStatus.set(health.sourceId, health);
+      }
+    }
+
+    this.activeFailovers = new Map(Object.entries(snapshot.activeFailovers));
+  }
+
+  /**
+   * Restore failover history loaded from persistent storage
+   */
+  restoreHistory(events: FailoverEvent[]): void {
+    const known = new Set(this.failoverHistory.map(e => e.id));
+    const merged = [...events.filter(e => !known.has(e.id)), ...this.failoverHistory];
+
+    merged.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime());
+    this.failoverHistory = merged.slice(-1000);
+  }
 }
\ No newline at end of file
@@ -3,9 +3,9 @@
  * Coordinates all data source resilience and failover components
  */
 
-import { CircuitBreakerManager } from './circuit-breaker';
+import { CircuitBreakerManager, CircuitBreakerSnapshot } from './circuit-breaker';
 import { DataFusionEngine } from './data-fusion';
-import { FailoverManager } from './failover-manager';
+import { FailoverManager, FailoverStateSnapshot } from './failover-manager';
 import { ReliabilityTracker } from './reliability-tracker';
 import { RealTimeFeedManager } from './real-time-feeds';
 import { WebScrapingManager } from './web-scraper';
@@ -34,6 +34,14 @@ export interface ResilienceStatus {
   lastUpdated: string;
 }
 
+export interface ResilienceStateSnapshot {
+  sources: DataSourceConfig[];
+  circuitBreakers: CircuitBreakerSnapshot[];
+  failover: FailoverStateSnapshot;
+  alerts: DataSourceAlert[];
+  savedAt: string;
+}
+
 export interface DataSourceRequest {
   dataType: string;
   parameters: Record<string, any>;
@@ -571,6 +579,35 @@ export class ResilienceManager {
     this.config = { ...this.config, ...newConfig };
   }
 
+  /**
+   * Export mutable state so it can outlive a single worker invocation
+   */
+  exportState(): ResilienceStateSnapshot {
+    return {
+      sources: this.getRegisteredSources(),
+      circuitBreakers: this.circuitBreaker.exportSnapshots(),
+      failover: this.failoverManager.exportState(),
+      alerts: this.getAlerts(),
+      savedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Restore state captured by exportState(). Sources that are not yet
+   * registered are registered first so their health and circuits can be restored.
+   */
+  restoreState(snapshot: ResilienceStateSnapshot): void {
+    for (const source of snapshot.sources) {
+      if (!this.registeredSources.has(source.id)) {
+        this.registerDataSource(source);
+      }
+    }
+
+    this.circuitBreaker.restoreSnapshots(snapshot.circuitBreakers);
+    this.failoverManager.restoreState(snapshot.failover);
+    this.alerts = [...snapshot.alerts];
+  }
+
   /**
    * Cleanup old data and perform maintenance
    */
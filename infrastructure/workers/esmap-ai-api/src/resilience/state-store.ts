@@ -0,0 +1,122 @@
+/**
+ * Resilience State Store
+ * Persists resilience manager state between worker invocations:
+ * circuit breaker and failover state in KV, failover history in D1
+ */
+
+import type { ResilienceManager, ResilienceStateSnapshot } from './resilience-manager';
+import { FailoverEvent } from './types';
+
+const STATE_KEY = 'resilience:state';
+const HISTORY_LOAD_LIMIT = 1000;
+
+export class ResilienceStateStore {
+  private persistedEventIds: Set<string> = new Set();
+
+  constructor(
+    private cache: KVNamespace | undefined,
+    private db: D1Database | undefined
+  ) {}
+
+  /**
+   * Load persisted state into the manager
+   */
+  async load(manager: ResilienceManager): Promise<void> {
+    if (this.cache) {
+      try {
+        const snapshot = await this.cache.get<ResilienceStateSnapshot>(STATE_KEY, 'json');
+        if (snapshot) {
+          manager.restoreState(snapshot);
+        }
+      } catch (error) {
+        console.error('Failed to load resilience state from KV:', error);
+      }
+    }
+
+    if (this.db) {
+      try {
+        const events = await this.loadFailoverHistory();
+        events.forEach(event => this.persistedEventIds.add(event.id));
+        manager.getFailoverManager().restoreHistory(events);
+      } catch (error) {
+        console.error('Failed to load failover history from D1:', error);
+      }
+    }
+  }
+
+  /**
+   * Persist current manager state
+   */
+  async save(manager: ResilienceManager): Promise<void> {
+    if (this.cache) {
+      await this.cache.put(STATE_KEY, JSON.stringify(manager.exportState()));
+    }
+
+    if (this.db) {
+      const newEvents = manager.getFailoverManager().getFailoverHistory()
+        .filter(event => !this.persistedEventIds.has(event.id));
+
+      if (newEvents.length > 0) {
+        await this.saveFailoverEvents(newEvents);
+        newEvents.forEach(event => this.persistedEventIds.add(event.id));
+      }
+    }
+  }
+
+  /**
+   * Remove failover history older than the retention window
+   */
+  async pruneHistory(retentionDays: number): Promise<number> {
+    if (!this.db) return 0;
+
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const result = await this.db.prepare('DELETE FROM failover_events WHERE timestamp < ?')
+      .bind(cutoff)
+      .run();
+
+    return result.meta.changes || 0;
+  }
+
+  private async loadFailoverHistory(): Promise<FailoverEvent[]> {
+    const result = await this.db!.prepare(`
+      SELECT * FROM failover_events
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `).bind(HISTORY_LOAD_LIMIT).all();
+
+    return (result.results as any[]).map(row => ({
+      id: row.id,
+      timestamp: row.timestamp,
+      primarySource: row.primary_source,
+      failoverSource: row.failover_source,
+      reason: row.reason,
+      dataType: row.data_type,
+      impactDuration: row.impact_duration,
+      dataLoss: Boolean(row.data_loss),
+      automaticRecovery: Boolean(row.automatic_recovery)
+    })).reverse();
+  }
+
+  private async saveFailoverEvents(events: FailoverEvent[]): Promise<void> {
+    const statements = events.map(event =>
+      this.db!.prepare(`
+        INSERT OR IGNORE INTO failover_events (
+          id, timestamp, primary_source, failover_source, reason,
+          data_type, impact_duration, data_loss, automatic_recovery
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        event.id,
+        event.timestamp,
+        event.primarySource,
+        event.failoverSource,
+        event.reason,
+        event.dataType,
+        event.impactDuration,
+        event.dataLoss ? 1 : 0,
+        event.automaticRecovery ? 1 : 0
+      )
+    );
+
+    await this.db!.batch(statements);
+  }
+}
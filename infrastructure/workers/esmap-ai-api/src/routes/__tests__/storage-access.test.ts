@@ -0,0 +1,212 @@
+/**
+ * Unit tests for file access checks on share-link management and file search
+ */
+
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+import { handleStorageRoute, StorageEnv } from '../storage';
+import { AuthService, AuthContext } from '../../auth/auth-service';
+import { ApiError } from '../../utils/error-handler';
+import { Logger } from '../../utils/logger';
+import type { UserRole } from '../../database/models/types';
+
+const OWNER_ID = 7;
+
+interface RecordedStatement {
+  sql: string;
+  values: unknown[];
+}
+
+function fileRow(id: string, accessLevel: string, uploadedBy: number | null = OWNER_ID) {
+  return {
+    id,
+    filename: `energy-data/${id}`,
+    original_name: `${id}.csv`,
+    size: 10,
+    mime_type: 'text/csv',
+    uploaded_at: '2024-01-01T00:00:00.000Z',
+    last_modified: '2024-01-01T00:00:00.000Z',
+    tags: '{}',
+    category: 'energy-data',
+    source: 'api-upload',
+    checksums: '{"md5":"","sha256":""}',
+    access_level: accessLevel,
+    uploaded_by: uploadedBy
+  };
+}
+
+const FILES = [fileRow('public-1', 'public'), fileRow('restricted-1', 'restricted'), fileRow('private-1', 'private')];
+
+const SHARE = {
+  id: 'share-1',
+  file_id: 'private-1',
+  created_by: OWNER_ID,
+  expires_at: '2030-01-01T00:00:00.000Z',
+  download_count: 0,
+  created_at: '2024-01-01T00:00:00.000Z'
+};
+
+/**
+ * A D1 stand-in over FILES and SHARE that records each statement. Search
+ * returns every file, as if the access clause were missing, so the tests also
+ * cover the in-memory check.
+ */
+function storageEnv(): { env: StorageEnv; statements: RecordedStatement[] } {
+  const statements: RecordedStatement[] = [];
+  const prepare = (sql: string) => {
+    const statement: RecordedStatement = { sql: sql.replace(/\s+/g, ' ').trim(), values: [] };
+    const prepared = {
+      bind: (...values: unknown[]) => {
+        statement.values = values;
+        return prepared;
+      },
+      first: async () => {
+        statements.push(statement);
+        if (statement.sql.startsWith('SELECT * FROM file_metadata WHERE id = ?')) {
+          return FILES.find(file => file.id === statement.values[0]) ?? null;
+        }
+        if (statement.sql.startsWith('SELECT * FROM file_shares WHERE id = ?')) {
+          return statement.values[0] === SHARE.id ? SHARE : null;
+        }
+        return null;
+      },
+      all: async () => {
+        statements.push(statement);
+        if (statement.sql.startsWith('SELECT * FROM file_metadata')) return { results: FILES };
+        if (statement.sql.startsWith('SELECT * FROM file_shares')) return { results: [SHARE] };
+        return { results: [] };
+      },
+      run: async () => {
+        statements.push(statement);
+        return { success: true };
+      }
+    };
+    return prepared;
+  };
+
+  const env = {
+    DB: { prepare },
+    CACHE: { get: async () => null, put: async () => undefined },
+    DATA_BUCKET: {},
+    AUTH_SECRET: 'test-secret'
+  } as unknown as StorageEnv;
+  return { env, statements };
+}
+
+function signedIn(role: UserRole, id = 99): AuthContext {
+  return {
+    user: { id, email: `${role}@example.org`, name: role, role, rateLimitTier: 'standard' },
+    method: 'api_key'
+  };
+}
+
+function call(env: StorageEnv, method: string, path: string): Promise<Response> {
+  const request = new Request(`https://api.example.org${path}`, { method, headers: { 'X-API-Key': 'esk_test' } });
+  return handleStorageRoute(request, env, new Logger('test'), path);
+}
+
+async function rejection(promise: Promise<unknown>): Promise<ApiError> {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    return error as ApiError;
+  }
+  throw new Error('Expected the request to be rejected');
+}
+
+describe('share link management', () => {
+  const authenticate = jest.spyOn(AuthService.prototype, 'authenticate');
+
+  beforeEach(() => {
+    jest.spyOn(Logger.prototype, 'info').mockImplementation(() => undefined);
+    jest.spyOn(Logger.prototype, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    authenticate.mockReset();
+  });
+
+  it('requires credentials to list share links', async () => {
+    authenticate.mockResolvedValue(null);
+    const error = await rejection(call(storageEnv().env, 'GET', '/api/v1/storage/files/private-1/shares'));
+    expect(error.statusCode).toBe(401);
+  });
+
+  it('refuses to list share links of a file the caller cannot read', async () => {
+    authenticate.mockResolvedValue(signedIn('analyst'));
+    const { env, statements } = storageEnv();
+
+    const error = await rejection(call(env, 'GET', '/api/v1/storage/files/private-1/shares'));
+    expect(error.statusCode).toBe(403);
+    expect(error.code).toBe('FILE_ACCESS_DENIED');
+    expect(statements.some(statement => statement.sql.includes('FROM file_shares'))).toBe(false);
+  });
+
+  it('lists share links for the owner', async () => {
+    authenticate.mockResolvedValue(signedIn('analyst', OWNER_ID));
+
+    const response = await call(storageEnv().env, 'GET', '/api/v1/storage/files/private-1/shares');
+    const body = await response.json() as { data: Array<{ id: string }> };
+    expect(body.data.map(share => share.id)).toEqual(['share-1']);
+  });
+
+  it('refuses to revoke a share link of a file the caller cannot read', async () => {
+    authenticate.mockResolvedValue(signedIn('analyst'));
+    const { env, statements } = storageEnv();
+
+    const error = await rejection(call(env, 'DELETE', '/api/v1/storage/files/private-1/shares/share-1'));
+    expect(error.statusCode).toBe(403);
+    expect(statements.some(statement => statement.sql.startsWith('UPDATE file_shares'))).toBe(false);
+  });
+
+  it('revokes a share link for an admin', async () => {
+    authenticate.mockResolvedValue(signedIn('admin'));
+    const { env, statements } = storageEnv();
+
+    const response = await call(env, 'DELETE', '/api/v1/storage/files/private-1/shares/share-1');
+    expect(response.status).toBe(200);
+    expect(statements.some(statement => statement.sql.startsWith('UPDATE file_shares'))).toBe(true);
+  });
+});
+
+describe('file search', () => {
+  const authenticate = jest.spyOn(AuthService.prototype, 'authenticate');
+
+  beforeEach(() => {
+    jest.spyOn(Logger.prototype, 'info').mockImplementation(() => undefined);
+    jest.spyOn(Logger.prototype, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    authenticate.mockReset();
+  });
+
+  async function search(role: UserRole, id?: number): Promise<{ ids: string[]; statements: RecordedStatement[] }> {
+    authenticate.mockResolvedValue(signedIn(role, id));
+    const { env, statements } = storageEnv();
+    const response = await call(env, 'GET', '/api/v1/storage/search');
+    const body = await response.json() as { data: { files: Array<{ id: string }> } };
+    return { ids: body.data.files.map(file => file.id), statements };
+  }
+
+  it('returns only files the caller may read', async () => {
+    expect((await search('viewer')).ids).toEqual(['public-1']);
+    expect((await search('analyst')).ids).toEqual(['public-1', 'restricted-1']);
+    expect((await search('admin')).ids).toEqual(['public-1', 'restricted-1', 'private-1']);
+    expect((await search('viewer', OWNER_ID)).ids).toEqual(['public-1', 'restricted-1', 'private-1']);
+  });
+
+  it('narrows the query to readable levels and the caller\'s own files', async () => {
+    const { statements } = await search('analyst');
+    const [query] = statements;
+
+    expect(query.sql).toContain('AND (access_level IN (?, ?, ?) OR uploaded_by = ?)');
+    expect(query.values.slice(0, 4)).toEqual(['public', 'internal', 'restricted', 99]);
+  });
+
+  it('requires credentials', async () => {
+    authenticate.mockResolvedValue(null);
+    const error = await rejection(call(storageEnv().env, 'GET', '/api/v1/storage/search'));
+    expect(error.statusCode).toBe(401);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * AI Chat Routes
+ * Retrieval-augmented Q&A over indexed reports and D1 energy data, streamed
+ * over server-sent events, with per-user conversation history
+ */
+
+import type { Env } from '../types';
+import type { Logger } from '../utils/logger';
+import { ApiError, createSuccessResponse } from '../utils/error-handler';
+import { AuthService, AuthContext } from '../auth/auth-service';
+import { ChatService, MAX_TOP_K } from '../chat/chat-service';
+import { ConversationStore } from '../chat/conversation-store';
+import type { ChatCitation, ChatEvent, ChatMessage, ChatRequest } from '../chat/types';
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+export async function handleAIChatRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const url = new URL(request.url);
+  const auth = await requireAuth(request, env);
+  // Remove 'api/v1/ai/chat' from path
+  const [resource, conversationId, ...rest] = path.split('/').filter(Boolean).slice(4);
+
+  if (!resource) {
+    requireMethod(request, 'POST');
+    return await handleChatMessage(request, env, logger, auth);
+  }
+
+  if (resource !== 'conversations' || rest.length > 0) {
+    throw new ApiError(`Chat endpoint not found: ${path}`, 404, 'NOT_FOUND');
+  }
+
+  const store = new ConversationStore(env.DB);
+
+  if (!conversationId) {
+    requireMethod(request, 'GET');
+    const conversations = await store.list(auth.user.id, {
+      limit: Math.min(parseInt(url.searchParams.get('limit') || '20', 10), 100),
+      offset: parseInt(url.searchParams.get('offset') || '0', 10)
+    });
+    return Response.json(createSuccessResponse(conversations, logger.getRequestId()));
+  }
+
+  if (request.method === 'DELETE') {
+    await store.delete(auth.user.id, conversationId);
+    logger.info('Conversation deleted', { conversationId, userId: auth.user.id });
+    return Response.json(createSuccessResponse({ id: conversationId, deleted: true }, logger.getRequestId()));
+  }
+
+  requireMethod(request, 'GET');
+  const conversation = await store.getWithMessages(auth.user.id, conversationId);
+  return Response.json(createSuccessResponse(conversation, logger.getRequestId()));
+}
+
+/**
+ * POST /api/v1/ai/chat - streams by default; `"stream": false` returns the whole answer as JSON
+ */
+async function handleChatMessage(request: Request, env: Env, logger: Logger, auth: AuthContext): Promise<Response> {
+  const body = await request.json() as ChatRequest & { stream?: boolean };
+  const chatRequest = parseChatRequest(body);
+
+  const service = new ChatService(env);
+  const turn = await service.prepare(auth.user.id, chatRequest);
+
+  logger.info('Chat question received', {
+    conversationId: turn.conversation.id,
+    userId: auth.user.id,
+    sources: turn.context.citations.length,
+    countries: turn.context.countries
+  });
+
+  if (body.stream === false) {
+    let citations: ChatCitation[] = [];
+    let message: ChatMessage | undefined;
+    for await (const event of service.reply(turn)) {
+      if (event.type === 'context') citations = event.citations;
+      if (event.type === 'done') message = event.message;
+    }
+
+    return Response.json(createSuccessResponse(
+      { conversation_id: turn.conversation.id, message, sources: citations },
+      logger.getRequestId()
+    ));
+  }
+
+  return new Response(eventStream(service.reply(turn), logger), {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'X-Request-ID': logger.getRequestId()
+    }
+  });
+}
+
+/**
+ * Server-sent events from chat events: `event: context|token|done`, and
+ * `event: error` if generation fails after the stream has started
+ */
+function eventStream(events: AsyncGenerator<ChatEvent>, logger: Logger): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  const encode = (event: string, data: unknown) => encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const next = await events.next();
+        if (next.done) {
+          controller.close();
+          return;
+        }
+
+        const { type, ...data } = next.value;
+        controller.enqueue(encode(type, data));
+      } catch (error) {
+        logger.error('Chat generation failed', { error: error instanceof Error ? error.message : error });
+        controller.enqueue(encode('error', {
+          error: error instanceof ApiError ? error.message : 'The answer could not be generated',
+          code: error instanceof ApiError ? error.code : 'CHAT_GENERATION_FAILED'
+        }));
+        controller.close();
+      }
+    },
+    async cancel() {
+      // The client went away; the unfinished answer is not saved
+      await events.return(undefined);
+    }
+  });
+}
+
+function parseChatRequest(body: any): ChatRequest {
+  if (typeof body?.message !== 'string' || !body.message.trim()) {
+    throw new ApiError('message is required', 400, 'INVALID_PARAMETER');
+  }
+  if (body.message.length > MAX_MESSAGE_LENGTH) {
+    throw new ApiError(`message must be at most ${MAX_MESSAGE_LENGTH} characters`, 400, 'INVALID_PARAMETER');
+  }
+  if (body.conversation_id !== undefined && typeof body.conversation_id !== 'string') {
+    throw new ApiError('conversation_id must be a string', 400, 'INVALID_PARAMETER');
+  }
+  if (body.top_k !== undefined && (!Number.isInteger(body.top_k) || body.top_k < 0 || body.top_k > MAX_TOP_K)) {
+    throw new ApiError(`top_k must be an integer from 0 to ${MAX_TOP_K}`, 400, 'INVALID_PARAMETER');
+  }
+
+  return { message: body.message, conversation_id: body.conversation_id, top_k: body.top_k };
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function requireMethod(request: Request, method: string): void {
+  if (request.method !== method) {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
@@ -0,0 +1,250 @@
+import type { Env } from '../types';
+import { Logger } from '../utils/logger';
+import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
+import { AuthService, AuthContext, RequestMetadata } from '../auth/auth-service';
+import { TierRateLimiter, TIER_QUOTAS } from '../auth/rate-limits';
+import { ApiUsageService } from '../database/services/api-usage-service';
+
+const MAX_USAGE_DAYS = 90;
+
+export async function handleAuthRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const pathSegments = path.split('/').filter(Boolean);
+  
+  // Remove 'api/v1/auth' from path
+  const route = pathSegments.slice(3).join('/');
+  
+  const authService = new AuthService(env);
+  
+  try {
+    switch (route) {
+      case 'register':
+        return await handleRegister(request, authService, logger);
+      
+      case 'login':
+        return await handleLogin(request, authService, logger);
+      
+      case 'logout':
+        return await handleLogout(request, authService, logger);
+      
+      case 'me':
+        return await handleCurrentUser(request, authService, logger);
+      
+      case 'reset':
+        return await handlePasswordResetRequest(request, authService, env, logger);
+      
+      case 'reset/confirm':
+        return await handlePasswordResetConfirm(request, authService, logger);
+      
+      case 'api-key':
+        return await handleApiKey(request, authService, logger);
+      
+      case 'usage':
+        return await handleUsage(request, authService, env, logger);
+      
+      default:
+        throw new ApiError(`Auth endpoint not found: ${route}`, 404, 'NOT_FOUND');
+    }
+  } catch (error) {
+    return handleError(error, logger);
+  }
+}
+
+function getRequestMetadata(request: Request): RequestMetadata {
+  return {
+    ipAddress: request.headers.get('CF-Connecting-IP') || undefined,
+    userAgent: request.headers.get('User-Agent') || undefined
+  };
+}
+
+async function handleRegister(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const body = await request.json() as { email?: string; password?: string; name?: string; organization?: string };
+  
+  logger.info('User registration requested', { email: body.email });
+  
+  const session = await authService.register({
+    email: body.email || '',
+    password: body.password || '',
+    name: body.name || '',
+    organization: body.organization
+  }, getRequestMetadata(request));
+  
+  logger.info('User registered', { userId: session.user.id });
+  
+  const response = createSuccessResponse(session, logger.getRequestId());
+  return Response.json(response, { status: 201 });
+}
+
+async function handleLogin(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const body = await request.json() as { email?: string; password?: string };
+  
+  logger.info('Login requested', { email: body.email });
+  
+  const session = await authService.login(body.email || '', body.password || '', getRequestMetadata(request));
+  
+  logger.info('Login succeeded', { userId: session.user.id });
+  
+  const response = createSuccessResponse(session, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handleLogout(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const token = AuthService.extractBearerToken(request);
+  if (!token) {
+    throw new ApiError('Missing session token', 401, 'UNAUTHENTICATED');
+  }
+  
+  logger.info('Logout requested');
+  
+  await authService.logout(token);
+  
+  const response = createSuccessResponse({ message: 'Logged out successfully' }, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handleCurrentUser(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  if (request.method !== 'GET') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const auth = await authService.authenticate(request);
+  if (!auth) {
+    throw new ApiError('Invalid or expired session', 401, 'UNAUTHENTICATED');
+  }
+  
+  const response = createSuccessResponse({ user: auth.user }, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handlePasswordResetRequest(
+  request: Request,
+  authService: AuthService,
+  env: Env,
+  logger: Logger
+): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const body = await request.json() as { email?: string };
+  
+  logger.info('Password reset requested', { email: body.email });
+  
+  const reset = await authService.requestPasswordReset(body.email || '');
+  
+  // There is no outbound mail integration yet; the token is only echoed back
+  // in development so the flow can be exercised end to end.
+  const data: Record<string, any> = {
+    message: 'If an account exists for this email, password reset instructions have been sent'
+  };
+  if (reset && env.ENVIRONMENT === 'development') {
+    data.resetToken = reset.token;
+    data.expiresAt = reset.expiresAt;
+  }
+  
+  const response = createSuccessResponse(data, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handlePasswordResetConfirm(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const body = await request.json() as { token?: string; password?: string };
+  
+  logger.info('Password reset confirmation requested');
+  
+  await authService.confirmPasswordReset(body.token || '', body.password || '');
+  
+  const response = createSuccessResponse({ message: 'Password has been reset. Please sign in again.' }, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function requireAuth(request: Request, authService: AuthService): Promise<AuthContext> {
+  const auth = await authService.authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+async function handleApiKey(request: Request, authService: AuthService, logger: Logger): Promise<Response> {
+  const auth = await requireAuth(request, authService);
+  
+  switch (request.method) {
+    case 'POST': {
+      logger.info('API key issuance requested', { userId: auth.user.id, replacing: !!auth.user.apiKeyPrefix });
+      
+      const issued = await authService.issueApiKey(auth.user.id);
+      
+      const response = createSuccessResponse({
+        ...issued,
+        message: 'Store this key securely; it will not be shown again. Any previous key has been revoked.'
+      }, logger.getRequestId());
+      return Response.json(response, { status: 201 });
+    }
+    
+    case 'DELETE': {
+      logger.info('API key revocation requested', { userId: auth.user.id });
+      
+      const revoked = await authService.revokeApiKey(auth.user.id);
+      if (!revoked) {
+        throw new ApiError('No API key to revoke', 404, 'API_KEY_NOT_FOUND');
+      }
+      
+      const response = createSuccessResponse({ message: 'API key revoked' }, logger.getRequestId());
+      return Response.json(response);
+    }
+    
+    default:
+      throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleUsage(request: Request, authService: AuthService, env: Env, logger: Logger): Promise<Response> {
+  if (request.method !== 'GET') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const auth = await requireAuth(request, authService);
+  const url = new URL(request.url);
+  const days = parseInt(url.searchParams.get('days') || '30', 10);
+  
+  if (!Number.isFinite(days) || days < 1 || days > MAX_USAGE_DAYS) {
+    throw new ApiError(`days must be between 1 and ${MAX_USAGE_DAYS}`, 400, 'INVALID_PARAMETER');
+  }
+  
+  logger.info('Usage summary requested', { userId: auth.user.id, days });
+  
+  const [usage, quota] = await Promise.all([
+    new ApiUsageService(env).getUserSummary(auth.user.id, days),
+    new TierRateLimiter(env.CACHE).check(auth.user.id, auth.user.rateLimitTier)
+  ]);
+  
+  const response = createSuccessResponse({
+    usage,
+    quota: {
+      tier: quota.tier,
+      limits: TIER_QUOTAS[quota.tier],
+      windows: quota.windows
+    }
+  }, logger.getRequestId());
+  return Response.json(response);
+}
@@ -2,6 +2,16 @@ import type { Env } from '../types';
 import { Logger } from '../utils/logger';
 import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
 import { DatabaseManager } from '../database/services/database-manager';
+import type { SavedQuery } from '../database/models/types';
+import { AuthService, AuthContext } from '../auth/auth-service';
+import {
+  QuerySandbox,
+  QueryParameterDefinition,
+  QueryParameterValues,
+  validateParameterDefinitions,
+  resolveParameterValues
+} from '../database/query-sandbox';
+import { MigrationRunner } from '../database/migration-runner';
 
 export async function handleDatabaseRoute(
   request: Request,
@@ -30,8 +40,17 @@ export async function handleDatabaseRoute(
       case 'stats':
         return await handleDatabaseStats(dbManager, logger);
       
+      case 'migrations':
+        return await handleMigrationStatus(request, env, logger);
+      
       case 'migrate':
-        return await handleMigration(request, dbManager, logger);
+        return await handleMigration(request, env, logger);
+      
+      case 'migrate/rollback':
+        return await handleMigrationRollback(request, env, logger);
+      
+      case 'migrate/baseline':
+        return await handleMigrationBaseline(request, env, logger);
       
       case 'seed':
         return await handleSeed(request, dbManager, logger);
@@ -73,9 +92,12 @@ export async function handleDatabaseRoute(
       case 'country-profiles':
         return await handleCountryProfiles(dbManager, logger, params);
       
-      // Raw query endpoint (admin only - for development)
+      // Read-only SQL sandbox and saved queries
       case 'query':
-        return await handleRawQuery(request, dbManager, logger);
+        return await handleSandboxQuery(request, env, logger);
+      
+      case 'queries':
+        return await handleSavedQueries(request, env, dbManager, logger, params);
       
       // List available endpoints
       case '':
@@ -93,6 +115,16 @@ export async function handleDatabaseRoute(
           return await handleEnergyDataById(dataId, dbManager, logger);
         }
         
+        if (route.startsWith('queries/')) {
+          const [, queryId, action] = route.split('/');
+          if (action === 'run') {
+            return await handleRunSavedQuery(parseInt(queryId), request, env, dbManager, logger);
+          }
+          if (!action) {
+            return await handleSavedQueryById(parseInt(queryId), request, env, dbManager, logger);
+          }
+        }
+        
         throw new ApiError(`Database endpoint not found: ${route}`, 404, 'NOT_FOUND');
     }
   } catch (error) {
@@ -129,23 +161,81 @@ async function handleDatabaseStats(dbManager: DatabaseManager, logger: Logger):
   return Response.json(response);
 }
 
-async function handleMigration(request: Request, dbManager: DatabaseManager, logger: Logger): Promise<Response> {
+async function handleMigrationStatus(request: Request, env: Env, logger: Logger): Promise<Response> {
+  if (request.method !== 'GET') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  logger.info('Migration status requested');
+  
+  const status = await new MigrationRunner(env).getStatus();
+  const response = createSuccessResponse(status, logger.getRequestId());
+  
+  return Response.json(response);
+}
+
+async function handleMigration(request: Request, env: Env, logger: Logger): Promise<Response> {
   if (request.method !== 'POST') {
     throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
   }
   
-  const body = await request.json() as { migrationSql?: string };
-  const { migrationSql } = body;
+  const body = await request.json().catch(() => ({})) as { target?: string; dryRun?: boolean };
+  
+  logger.info('Running database migrations', { target: body.target, dryRun: !!body.dryRun });
+  
+  const result = await new MigrationRunner(env).migrate({ target: body.target, dryRun: !!body.dryRun });
+  
+  logger.info('Database migrations finished', {
+    dryRun: result.dryRun,
+    applied: result.completed.map(step => step.version),
+    currentVersion: result.currentVersion
+  });
   
-  if (!migrationSql) {
-    throw new ApiError('Missing migration SQL', 400, 'MISSING_MIGRATION_SQL');
+  const response = createSuccessResponse(result, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handleMigrationRollback(request: Request, env: Env, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
   }
   
-  logger.info('Running database migration');
+  const body = await request.json().catch(() => ({})) as { steps?: number; target?: string; dryRun?: boolean };
   
-  await dbManager.runMigration(migrationSql);
+  logger.info('Rolling back database migrations', { steps: body.steps, target: body.target, dryRun: !!body.dryRun });
+  
+  const result = await new MigrationRunner(env).rollback({
+    steps: body.steps,
+    target: body.target,
+    dryRun: !!body.dryRun
+  });
+  
+  logger.info('Database rollback finished', {
+    dryRun: result.dryRun,
+    reverted: result.completed.map(step => step.version),
+    currentVersion: result.currentVersion
+  });
+  
+  const response = createSuccessResponse(result, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handleMigrationBaseline(request: Request, env: Env, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const body = await request.json() as { through?: string };
+  
+  if (!body.through) {
+    throw new ApiError('Missing through version', 400, 'MISSING_VERSION');
+  }
+  
+  logger.info('Baselining database migrations', { through: body.through });
+  
+  const status = await new MigrationRunner(env).baseline(body.through);
+  const response = createSuccessResponse(status, logger.getRequestId());
   
-  const response = createSuccessResponse({ message: 'Migration completed successfully' }, logger.getRequestId());
   return Response.json(response);
 }
 
@@ -382,23 +472,234 @@ async function handleCountryProfiles(dbManager: DatabaseManager, logger: Logger,
   return Response.json(response);
 }
 
-async function handleRawQuery(request: Request, dbManager: DatabaseManager, logger: Logger): Promise<Response> {
+async function handleSandboxQuery(request: Request, env: Env, logger: Logger): Promise<Response> {
   if (request.method !== 'POST') {
     throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
   }
   
-  const body = await request.json() as { query?: string; params?: any[] };
-  const { query, params = [] } = body;
+  const body = await request.json() as { query?: string; params?: QueryParameterValues; limit?: number };
+  const { query, params = [], limit } = body;
   
   if (!query) {
     throw new ApiError('Missing query', 400, 'MISSING_QUERY');
   }
   
-  logger.info('Raw query requested', { query: query.substring(0, 100) });
+  logger.info('Sandbox query requested', { query: query.substring(0, 100) });
+  
+  const result = await new QuerySandbox(env).execute(query, params, { limit });
+  
+  logger.info('Sandbox query completed', {
+    rowCount: result.rowCount,
+    truncated: result.truncated,
+    executionTimeMs: result.executionTimeMs
+  });
   
-  const result = await dbManager.executeRawQuery(query, params);
   const response = createSuccessResponse(result, logger.getRequestId());
+  return Response.json(response);
+}
+
+interface SavedQueryRequest {
+  name?: string;
+  description?: string;
+  query?: string;
+  parameters?: QueryParameterDefinition[];
+  isShared?: boolean;
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function canView(savedQuery: SavedQuery, auth: AuthContext): boolean {
+  return !!savedQuery.is_shared || savedQuery.created_by === auth.user.id || auth.user.role === 'admin';
+}
+
+function canModify(savedQuery: SavedQuery, auth: AuthContext): boolean {
+  return savedQuery.created_by === auth.user.id || auth.user.role === 'admin';
+}
+
+function parseParameterDefinitions(savedQuery: SavedQuery): QueryParameterDefinition[] {
+  try {
+    return JSON.parse(savedQuery.parameters || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function formatSavedQuery(savedQuery: SavedQuery) {
+  return {
+    ...savedQuery,
+    is_shared: !!savedQuery.is_shared,
+    parameters: parseParameterDefinitions(savedQuery)
+  };
+}
+
+async function getVisibleSavedQuery(id: number, auth: AuthContext, dbManager: DatabaseManager): Promise<SavedQuery> {
+  if (isNaN(id)) {
+    throw new ApiError('Invalid saved query ID', 400, 'INVALID_ID');
+  }
+  
+  const savedQuery = await dbManager.savedQueries.getById(id);
+  if (!savedQuery || !canView(savedQuery, auth)) {
+    throw new ApiError('Saved query not found', 404, 'SAVED_QUERY_NOT_FOUND');
+  }
+  
+  return savedQuery;
+}
+
+async function handleSavedQueries(
+  request: Request,
+  env: Env,
+  dbManager: DatabaseManager,
+  logger: Logger,
+  params: Record<string, string>
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+  
+  if (request.method === 'GET') {
+    const limit = params.limit ? parseInt(params.limit) : 100;
+    const offset = params.offset ? parseInt(params.offset) : 0;
+    
+    logger.info('Saved queries requested', { userId: auth.user.id, limit, offset });
+    
+    const savedQueries = await dbManager.savedQueries.listVisible(auth.user.id, limit, offset);
+    const response = createSuccessResponse(savedQueries.map(formatSavedQuery), logger.getRequestId());
+    
+    return Response.json(response);
+  } else if (request.method === 'POST') {
+    const body = await request.json() as SavedQueryRequest;
+    
+    if (!body.name?.trim()) {
+      throw new ApiError('Missing name', 400, 'MISSING_NAME');
+    }
+    if (!body.query) {
+      throw new ApiError('Missing query', 400, 'MISSING_QUERY');
+    }
+    
+    const parameters = body.parameters || [];
+    const validated = new QuerySandbox(env).validate(body.query);
+    validateParameterDefinitions(validated, parameters);
+    
+    if (await dbManager.savedQueries.getByName(body.name.trim())) {
+      throw new ApiError(`A saved query named '${body.name.trim()}' already exists`, 409, 'SAVED_QUERY_EXISTS');
+    }
+    
+    logger.info('Saved query creation requested', { name: body.name, tables: validated.tables });
+    
+    const savedQuery = await dbManager.savedQueries.create({
+      name: body.name.trim(),
+      description: body.description,
+      sql_text: validated.sql,
+      parameters: JSON.stringify(parameters),
+      is_shared: !!body.isShared,
+      created_by: auth.user.id
+    });
+    
+    const response = createSuccessResponse(formatSavedQuery(savedQuery), logger.getRequestId());
+    return Response.json(response, { status: 201 });
+  } else {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleSavedQueryById(
+  id: number,
+  request: Request,
+  env: Env,
+  dbManager: DatabaseManager,
+  logger: Logger
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+  const savedQuery = await getVisibleSavedQuery(id, auth, dbManager);
   
+  if (request.method === 'GET') {
+    const response = createSuccessResponse(formatSavedQuery(savedQuery), logger.getRequestId());
+    return Response.json(response);
+  }
+  
+  if (!canModify(savedQuery, auth)) {
+    throw new ApiError('Only the owner can modify this saved query', 403, 'FORBIDDEN');
+  }
+  
+  if (request.method === 'PUT') {
+    const body = await request.json() as SavedQueryRequest;
+    const updates: Partial<SavedQuery> = {};
+    
+    if (body.name !== undefined) {
+      const name = body.name.trim();
+      const existing = name ? await dbManager.savedQueries.getByName(name) : null;
+      if (!name) {
+        throw new ApiError('Name cannot be empty', 400, 'MISSING_NAME');
+      }
+      if (existing && existing.id !== id) {
+        throw new ApiError(`A saved query named '${name}' already exists`, 409, 'SAVED_QUERY_EXISTS');
+      }
+      updates.name = name;
+    }
+    if (body.description !== undefined) updates.description = body.description;
+    if (body.isShared !== undefined) updates.is_shared = !!body.isShared;
+    
+    if (body.query !== undefined || body.parameters !== undefined) {
+      const parameters = body.parameters ?? parseParameterDefinitions(savedQuery);
+      const validated = new QuerySandbox(env).validate(body.query ?? savedQuery.sql_text);
+      validateParameterDefinitions(validated, parameters);
+      
+      updates.sql_text = validated.sql;
+      updates.parameters = JSON.stringify(parameters);
+    }
+    
+    logger.info('Saved query update requested', { id, fields: Object.keys(updates) });
+    
+    const updated = await dbManager.savedQueries.update(id, updates);
+    if (!updated) {
+      throw new ApiError('Saved query not found', 404, 'SAVED_QUERY_NOT_FOUND');
+    }
+    
+    const response = createSuccessResponse(formatSavedQuery(updated), logger.getRequestId());
+    return Response.json(response);
+  } else if (request.method === 'DELETE') {
+    logger.info('Saved query deletion requested', { id });
+    
+    await dbManager.savedQueries.delete(id);
+    
+    const response = createSuccessResponse({ message: 'Saved query deleted', id }, logger.getRequestId());
+    return Response.json(response);
+  } else {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleRunSavedQuery(
+  id: number,
+  request: Request,
+  env: Env,
+  dbManager: DatabaseManager,
+  logger: Logger
+): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+  
+  const auth = await requireAuth(request, env);
+  const savedQuery = await getVisibleSavedQuery(id, auth, dbManager);
+  const body = await request.json().catch(() => ({})) as { params?: Record<string, unknown>; limit?: number };
+  
+  logger.info('Saved query run requested', { id, name: savedQuery.name });
+  
+  // Saved SQL is re-validated on every run in case the allowlist has changed
+  const values = resolveParameterValues(parseParameterDefinitions(savedQuery), body.params);
+  const result = await new QuerySandbox(env).execute(savedQuery.sql_text, values, { limit: body.limit });
+  
+  await dbManager.savedQueries.recordRun(id);
+  
+  const response = createSuccessResponse({
+    query: { id: savedQuery.id, name: savedQuery.name, parameters: values },
+    ...result
+  }, logger.getRequestId());
   return Response.json(response);
 }
 
@@ -410,7 +711,10 @@ function handleDatabaseEndpointsList(logger: Logger): Response {
       '/api/v1/database/health': 'Check database health status',
       '/api/v1/database/schema': 'Get database schema information',
       '/api/v1/database/stats': 'Get database statistics',
-      '/api/v1/database/migrate': 'Run database migration (POST)',
+      '/api/v1/database/migrations': 'Get applied and pending schema migrations',
+      '/api/v1/database/migrate': 'Apply pending migrations, optionally up to a target or as a dry run (POST)',
+      '/api/v1/database/migrate/rollback': 'Revert the latest migrations or down to a target version (POST)',
+      '/api/v1/database/migrate/baseline': 'Mark migrations as applied on an existing schema (POST)',
       '/api/v1/database/seed': 'Run database seed (POST)'
     },
     'Countries': {
@@ -433,7 +737,12 @@ function handleDatabaseEndpointsList(logger: Logger): Response {
     },
     'Complex Queries': {
       '/api/v1/database/country-profiles': 'Get comprehensive country energy profiles',
-      '/api/v1/database/query': 'Execute raw SQL query (POST)'
+      '/api/v1/database/query': 'Run a read-only, parameterized SELECT in the SQL sandbox (POST)'
+    },
+    'Saved Queries': {
+      '/api/v1/database/queries': 'List saved queries (GET) or save a new one (POST)',
+      '/api/v1/database/queries/{id}': 'Get (GET), update (PUT) or delete (DELETE) a saved query',
+      '/api/v1/database/queries/{id}/run': 'Run a saved query with parameter values (POST)'
     }
   };
   
@@ -0,0 +1,289 @@
+import type { Env } from '../types';
+import type { ETLQuarantineRecord, ETLQuarantineAudit, ETLQuarantineStatus } from '../database/models/types';
+import { Logger } from '../utils/logger';
+import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
+import { ETLQuarantineService, QuarantineFilters } from '../database/services/etl-quarantine-service';
+import { QuarantineReviewer, MAX_BULK_RELEASE } from '../etl/quarantine/quarantine-review';
+import { AuthService, AuthContext } from '../auth/auth-service';
+
+const QUARANTINE_STATUSES: ETLQuarantineStatus[] = ['pending', 'released', 'rejected'];
+
+export async function handleETLQuarantineRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const url = new URL(request.url);
+  const pathSegments = path.split('/').filter(Boolean);
+
+  // Remove 'api/v1/etl/quarantine' from path
+  const [target, action] = pathSegments.slice(4);
+
+  const quarantine = new ETLQuarantineService(env);
+
+  try {
+    switch (target) {
+      case undefined:
+        return await handleListQuarantine(request, url, quarantine, logger);
+
+      case 'summary':
+        return await handleQuarantineSummary(request, quarantine, logger);
+
+      case 'audit':
+        return await handleQuarantineAudit(request, url, quarantine, logger);
+
+      case 'release':
+        return await handleBulkRelease(request, env, logger);
+    }
+
+    const id = parseInt(target);
+    if (isNaN(id)) {
+      throw new ApiError('Invalid quarantine record ID', 400, 'INVALID_ID');
+    }
+
+    switch (action) {
+      case undefined:
+        return await handleQuarantineRecord(id, request, env, quarantine, logger);
+
+      case 'release':
+        return await handleRelease(id, request, env, logger);
+
+      case 'reject':
+        return await handleReject(id, request, env, logger);
+
+      default:
+        throw new ApiError(`Quarantine endpoint not found: ${action}`, 404, 'NOT_FOUND');
+    }
+  } catch (error) {
+    return handleError(error, logger);
+  }
+}
+
+function formatQuarantineRecord(record: ETLQuarantineRecord) {
+  return {
+    ...record,
+    data: JSON.parse(record.data),
+    metadata: JSON.parse(record.metadata || '{}'),
+    validation_errors: JSON.parse(record.validation_errors || '[]'),
+    validation_warnings: JSON.parse(record.validation_warnings || '[]')
+  };
+}
+
+function formatAuditEntry(entry: ETLQuarantineAudit) {
+  return {
+    ...entry,
+    details: JSON.parse(entry.details || '{}')
+  };
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function requireMethod(request: Request, method: string): void {
+  if (request.method !== method) {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleListQuarantine(
+  request: Request,
+  url: URL,
+  quarantine: ETLQuarantineService,
+  logger: Logger
+): Promise<Response> {
+  requireMethod(request, 'GET');
+
+  const status = url.searchParams.get('status') || 'pending';
+  if (status !== 'all' && !QUARANTINE_STATUSES.includes(status as ETLQuarantineStatus)) {
+    throw new ApiError(`status must be one of: all, ${QUARANTINE_STATUSES.join(', ')}`, 400, 'INVALID_PARAMETER');
+  }
+
+  const filters: QuarantineFilters = {
+    status: status === 'all' ? undefined : status as ETLQuarantineStatus,
+    sourceId: url.searchParams.get('sourceId') || undefined,
+    rule: url.searchParams.get('rule') || undefined,
+    field: url.searchParams.get('field') || undefined,
+    jobId: url.searchParams.get('jobId') || undefined
+  };
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50') || 50, 500);
+  const offset = parseInt(url.searchParams.get('offset') || '0') || 0;
+
+  logger.info('Quarantined records requested', { ...filters, limit, offset });
+
+  const [records, total] = await Promise.all([
+    quarantine.list(filters, limit, offset),
+    quarantine.count(filters)
+  ]);
+
+  const response = createSuccessResponse({
+    records: records.map(formatQuarantineRecord),
+    total,
+    limit,
+    offset
+  }, logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleQuarantineSummary(
+  request: Request,
+  quarantine: ETLQuarantineService,
+  logger: Logger
+): Promise<Response> {
+  requireMethod(request, 'GET');
+
+  logger.info('Quarantine summary requested');
+
+  const [byStatus, pendingByRule] = await Promise.all([
+    quarantine.summarizeByStatus(),
+    quarantine.summarizePendingByRule()
+  ]);
+
+  const response = createSuccessResponse({ byStatus, pendingByRule }, logger.getRequestId());
+  return Response.json(response);
+}
+
+async function handleQuarantineAudit(
+  request: Request,
+  url: URL,
+  quarantine: ETLQuarantineService,
+  logger: Logger
+): Promise<Response> {
+  requireMethod(request, 'GET');
+
+  const userId = url.searchParams.get('userId') ? parseInt(url.searchParams.get('userId')!) : undefined;
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '100') || 100, 500);
+  const offset = parseInt(url.searchParams.get('offset') || '0') || 0;
+
+  logger.info('Quarantine audit trail requested', { userId, limit, offset });
+
+  const entries = await quarantine.listAudit(userId, limit, offset);
+  const response = createSuccessResponse(entries.map(formatAuditEntry), logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleQuarantineRecord(
+  id: number,
+  request: Request,
+  env: Env,
+  quarantine: ETLQuarantineService,
+  logger: Logger
+): Promise<Response> {
+  if (request.method === 'GET') {
+    const record = await quarantine.getById(id);
+    if (!record) {
+      throw new ApiError('Quarantined record not found', 404, 'QUARANTINE_NOT_FOUND');
+    }
+
+    const audit = await quarantine.getAudit(id);
+    const response = createSuccessResponse({
+      ...formatQuarantineRecord(record),
+      audit: audit.map(formatAuditEntry)
+    }, logger.getRequestId());
+
+    return Response.json(response);
+  } else if (request.method === 'PUT') {
+    const auth = await requireAuth(request, env);
+    const body = await request.json() as { data?: Record<string, any> };
+
+    if (!body.data || typeof body.data !== 'object' || Array.isArray(body.data)) {
+      throw new ApiError('data must be an object of field edits', 400, 'INVALID_PARAMETER');
+    }
+
+    logger.info('Quarantined record edit requested', { id, userId: auth.user.id, fields: Object.keys(body.data) });
+
+    const updated = await new QuarantineReviewer(env).edit(id, body.data, auth.user.id);
+    const response = createSuccessResponse(formatQuarantineRecord(updated), logger.getRequestId());
+
+    return Response.json(response);
+  } else {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleRelease(id: number, request: Request, env: Env, logger: Logger): Promise<Response> {
+  requireMethod(request, 'POST');
+
+  const auth = await requireAuth(request, env);
+  const body = await request.json().catch(() => ({})) as {
+    data?: Record<string, any>;
+    waiveRules?: string[];
+    force?: boolean;
+    note?: string;
+  };
+
+  if (body.force && auth.user.role !== 'admin') {
+    throw new ApiError('Only admins can force-release records that fail validation', 403, 'FORBIDDEN');
+  }
+
+  logger.info('Quarantined record release requested', {
+    id,
+    userId: auth.user.id,
+    waiveRules: body.waiveRules,
+    force: !!body.force
+  });
+
+  const released = await new QuarantineReviewer(env).release(id, body, auth.user.id);
+  const response = createSuccessResponse(formatQuarantineRecord(released), logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleReject(id: number, request: Request, env: Env, logger: Logger): Promise<Response> {
+  requireMethod(request, 'POST');
+
+  const auth = await requireAuth(request, env);
+  const body = await request.json().catch(() => ({})) as { reason?: string };
+
+  if (!body.reason?.trim()) {
+    throw new ApiError('A rejection reason is required', 400, 'INVALID_PARAMETER');
+  }
+
+  logger.info('Quarantined record rejection requested', { id, userId: auth.user.id });
+
+  const rejected = await new QuarantineReviewer(env).reject(id, body.reason.trim(), auth.user.id);
+  const response = createSuccessResponse(formatQuarantineRecord(rejected), logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleBulkRelease(request: Request, env: Env, logger: Logger): Promise<Response> {
+  requireMethod(request, 'POST');
+
+  const auth = await requireAuth(request, env);
+  const body = await request.json() as {
+    rule?: string;
+    field?: string;
+    sourceId?: string;
+    limit?: number;
+    dryRun?: boolean;
+    note?: string;
+  };
+
+  if (!body.rule) {
+    throw new ApiError('rule is required', 400, 'INVALID_PARAMETER');
+  }
+  if (body.limit !== undefined && (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > MAX_BULK_RELEASE)) {
+    throw new ApiError(`limit must be an integer between 1 and ${MAX_BULK_RELEASE}`, 400, 'INVALID_PARAMETER');
+  }
+
+  logger.info('Bulk quarantine release requested', {
+    userId: auth.user.id,
+    rule: body.rule,
+    field: body.field,
+    sourceId: body.sourceId,
+    dryRun: !!body.dryRun
+  });
+
+  const result = await new QuarantineReviewer(env).bulkRelease({ ...body, rule: body.rule }, auth.user.id);
+  const response = createSuccessResponse(result, logger.getRequestId());
+
+  return Response.json(response);
+}
@@ -0,0 +1,247 @@
+import type { Env } from '../types';
+import type { ETLSchedule } from '../database/models/types';
+import { Logger } from '../utils/logger';
+import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
+import { ETLScheduleService } from '../database/services/etl-schedule-service';
+import { ETLScheduler } from '../etl/scheduling/etl-scheduler';
+import { ETL_SOURCES } from '../etl/etl-worker';
+import { AuthService } from '../auth/auth-service';
+
+const UPCOMING_RUNS_PREVIEW = 5;
+
+interface ScheduleRequest {
+  sourceId?: string;
+  cronExpression?: string;
+  pipelineName?: string;
+  options?: { batchSize?: number; parallelism?: number; fullRefresh?: boolean };
+  enabled?: boolean;
+  catchUp?: boolean;
+  lockTimeoutMinutes?: number;
+}
+
+export async function handleETLSchedulesRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const url = new URL(request.url);
+  const pathSegments = path.split('/').filter(Boolean);
+
+  // Remove 'api/v1/etl/schedules' from path
+  const [scheduleId, action] = pathSegments.slice(4);
+
+  const schedules = new ETLScheduleService(env);
+
+  try {
+    if (!scheduleId) {
+      return await handleSchedules(request, env, schedules, logger);
+    }
+
+    const id = parseInt(scheduleId);
+    if (isNaN(id)) {
+      throw new ApiError('Invalid schedule ID', 400, 'INVALID_ID');
+    }
+
+    switch (action) {
+      case undefined:
+        return await handleScheduleById(id, request, schedules, logger);
+
+      case 'run':
+        return await handleTriggerSchedule(id, request, env, logger);
+
+      case 'runs':
+        return await handleScheduleRuns(id, request, url, schedules, logger);
+
+      default:
+        throw new ApiError(`ETL schedule endpoint not found: ${action}`, 404, 'NOT_FOUND');
+    }
+  } catch (error) {
+    return handleError(error, logger);
+  }
+}
+
+function formatSchedule(schedule: ETLSchedule) {
+  return {
+    ...schedule,
+    options: JSON.parse(schedule.options || '{}'),
+    is_enabled: !!schedule.is_enabled,
+    catch_up: !!schedule.catch_up,
+    is_running: !!schedule.running_run_id && !!schedule.lock_expires_at && schedule.lock_expires_at > new Date().toISOString()
+  };
+}
+
+function validateLockTimeout(minutes: number | undefined): void {
+  if (minutes !== undefined && (!Number.isInteger(minutes) || minutes < 1 || minutes > 24 * 60)) {
+    throw new ApiError('lockTimeoutMinutes must be an integer between 1 and 1440', 400, 'INVALID_PARAMETER');
+  }
+}
+
+async function handleSchedules(
+  request: Request,
+  env: Env,
+  schedules: ETLScheduleService,
+  logger: Logger
+): Promise<Response> {
+  if (request.method === 'GET') {
+    logger.info('ETL schedules requested');
+
+    const list = await schedules.list();
+    const scheduled = new Set(list.map(schedule => schedule.source_id));
+
+    const response = createSuccessResponse({
+      schedules: list.map(formatSchedule),
+      unscheduledSources: ETL_SOURCES
+        .filter(source => !scheduled.has(source.id))
+        .map(({ id, name, defaultCron }) => ({ id, name, defaultCron }))
+    }, logger.getRequestId());
+
+    return Response.json(response);
+  } else if (request.method === 'POST') {
+    const body = await request.json() as ScheduleRequest;
+    const source = ETL_SOURCES.find(candidate => candidate.id === body.sourceId);
+
+    if (!source) {
+      throw new ApiError(
+        `Unknown source: ${body.sourceId}. Available sources: ${ETL_SOURCES.map(s => s.id).join(', ')}`,
+        400,
+        'UNKNOWN_SOURCE'
+      );
+    }
+    if (await schedules.getBySourceId(source.id)) {
+      throw new ApiError(`A schedule for ${source.id} already exists`, 409, 'SCHEDULE_EXISTS');
+    }
+    validateLockTimeout(body.lockTimeoutMinutes);
+
+    const cronExpression = body.cronExpression?.trim() || source.defaultCron;
+    ETLScheduler.parseCron(cronExpression);
+    const enabled = body.enabled ?? true;
+    const auth = await new AuthService(env).authenticate(request);
+
+    logger.info('ETL schedule creation requested', { sourceId: source.id, cronExpression });
+
+    const schedule = await schedules.create({
+      source_id: source.id,
+      cron_expression: cronExpression,
+      pipeline_name: body.pipelineName?.trim() || `scheduled-${source.id}`,
+      options: JSON.stringify(body.options || {}),
+      is_enabled: enabled,
+      catch_up: body.catchUp ?? true,
+      lock_timeout_minutes: body.lockTimeoutMinutes,
+      next_run_at: enabled ? ETLScheduler.computeNextRun(cronExpression) : null,
+      created_by: auth?.user.id
+    });
+
+    const response = createSuccessResponse(formatSchedule(schedule), logger.getRequestId());
+    return Response.json(response, { status: 201 });
+  } else {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleScheduleById(
+  id: number,
+  request: Request,
+  schedules: ETLScheduleService,
+  logger: Logger
+): Promise<Response> {
+  const schedule = await schedules.getById(id);
+  if (!schedule) {
+    throw new ApiError('ETL schedule not found', 404, 'SCHEDULE_NOT_FOUND');
+  }
+
+  if (request.method === 'GET') {
+    const cron = ETLScheduler.parseCron(schedule.cron_expression);
+    const recentRuns = await schedules.getRuns(id, 10);
+
+    const response = createSuccessResponse({
+      ...formatSchedule(schedule),
+      upcomingRuns: schedule.is_enabled
+        ? cron.upcoming(new Date(), UPCOMING_RUNS_PREVIEW).map(date => date.toISOString())
+        : [],
+      recentRuns
+    }, logger.getRequestId());
+
+    return Response.json(response);
+  } else if (request.method === 'PUT') {
+    const body = await request.json() as ScheduleRequest;
+    const updates: Partial<ETLSchedule> = {};
+
+    validateLockTimeout(body.lockTimeoutMinutes);
+
+    if (body.cronExpression !== undefined) {
+      updates.cron_expression = body.cronExpression.trim();
+      ETLScheduler.parseCron(updates.cron_expression);
+    }
+    if (body.pipelineName !== undefined) updates.pipeline_name = body.pipelineName.trim();
+    if (body.options !== undefined) updates.options = JSON.stringify(body.options);
+    if (body.enabled !== undefined) updates.is_enabled = body.enabled;
+    if (body.catchUp !== undefined) updates.catch_up = body.catchUp;
+    if (body.lockTimeoutMinutes !== undefined) updates.lock_timeout_minutes = body.lockTimeoutMinutes;
+
+    // Recompute the next run when the cadence changes or the schedule is re-enabled
+    const enabled = updates.is_enabled ?? !!schedule.is_enabled;
+    if (updates.cron_expression !== undefined || updates.is_enabled !== undefined) {
+      updates.next_run_at = enabled
+        ? ETLScheduler.computeNextRun(updates.cron_expression ?? schedule.cron_expression)
+        : null;
+    }
+
+    logger.info('ETL schedule update requested', { id, fields: Object.keys(updates) });
+
+    const updated = await schedules.update(id, updates);
+    const response = createSuccessResponse(formatSchedule(updated || schedule), logger.getRequestId());
+
+    return Response.json(response);
+  } else if (request.method === 'DELETE') {
+    logger.info('ETL schedule deletion requested', { id, sourceId: schedule.source_id });
+
+    await schedules.delete(id);
+
+    const response = createSuccessResponse({ message: 'ETL schedule deleted', id }, logger.getRequestId());
+    return Response.json(response);
+  } else {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function handleTriggerSchedule(id: number, request: Request, env: Env, logger: Logger): Promise<Response> {
+  if (request.method !== 'POST') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+
+  logger.info('Manual ETL schedule run requested', { id });
+
+  const outcome = await new ETLScheduler(env).triggerNow(id);
+
+  if (outcome.status === 'skipped') {
+    throw new ApiError(outcome.error || 'Schedule is already running', 409, 'SCHEDULE_RUNNING');
+  }
+  if (outcome.status === 'failed') {
+    throw new ApiError(`Failed to start scheduled job: ${outcome.error}`, 502, 'SCHEDULE_RUN_FAILED');
+  }
+
+  const response = createSuccessResponse(outcome, logger.getRequestId());
+  return Response.json(response, { status: 202 });
+}
+
+async function handleScheduleRuns(
+  id: number,
+  request: Request,
+  url: URL,
+  schedules: ETLScheduleService,
+  logger: Logger
+): Promise<Response> {
+  if (request.method !== 'GET') {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20') || 20, 200);
+
+  logger.info('ETL schedule runs requested', { id, limit });
+
+  const runs = await schedules.getRuns(id, limit);
+  const response = createSuccessResponse(runs, logger.getRequestId());
+
+  return Response.json(response);
+}
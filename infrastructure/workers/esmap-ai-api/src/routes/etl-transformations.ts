@@ -0,0 +1,370 @@
+import type { Env } from '../types';
+import type { TransformationRuleVersion } from '../database/models/types';
+import { Logger } from '../utils/logger';
+import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
+import { TransformationRuleService } from '../database/services/transformation-rule-service';
+import { TransformationRuleRegistry } from '../etl/transformations/rule-registry';
+import {
+  TransformationRuleDocument,
+  validateRuleDocument,
+  compileRuleDocument
+} from '../etl/transformations/rule-documents';
+import {
+  getBuiltInRuleDocument,
+  getBuiltInRuleDocuments,
+  applyTransformationRule
+} from '../etl/transformations/esmap-transformations';
+import { DataValidator } from '../etl/validation/data-validator';
+import { ETL_SOURCES } from '../etl/etl-worker';
+import { AuthService, AuthContext } from '../auth/auth-service';
+
+const MAX_DOCUMENT_BYTES = 64 * 1024;
+const MAX_PREVIEW_RECORDS = 100;
+
+export async function handleETLTransformationsRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const pathSegments = path.split('/').filter(Boolean);
+
+  // Remove 'api/v1/etl/transformations' from path
+  const [sourceType, action, version, versionAction] = pathSegments.slice(4);
+
+  const service = new TransformationRuleService(env);
+  const registry = new TransformationRuleRegistry(service, env.ETL_CACHE);
+
+  try {
+    if (!sourceType) {
+      requireMethod(request, 'GET');
+      return await handleListRules(service, logger);
+    }
+
+    if (!ETL_SOURCES.some(source => source.id === sourceType)) {
+      throw new ApiError(`Unknown source: ${sourceType}`, 404, 'UNKNOWN_SOURCE');
+    }
+
+    switch (action) {
+      case undefined:
+        requireMethod(request, 'GET');
+        return await handleGetRule(sourceType, service, registry, logger);
+
+      case 'validate':
+        requireMethod(request, 'POST');
+        return await handleValidate(sourceType, request, logger);
+
+      case 'preview':
+        requireMethod(request, 'POST');
+        return await handlePreview(sourceType, request, service, registry, logger);
+
+      case 'active':
+        requireMethod(request, 'DELETE');
+        return await handleDeactivate(sourceType, request, env, service, registry, logger);
+
+      case 'versions':
+        break;
+
+      default:
+        throw new ApiError(`Transformation rule endpoint not found: ${action}`, 404, 'NOT_FOUND');
+    }
+
+    if (!version) {
+      if (request.method === 'GET') {
+        return Response.json(createSuccessResponse(await service.listVersions(sourceType), logger.getRequestId()));
+      }
+      requireMethod(request, 'POST');
+      return await handleCreateVersion(sourceType, request, env, service, registry, logger);
+    }
+
+    const versionNumber = parseInt(version);
+    if (isNaN(versionNumber)) {
+      throw new ApiError('Invalid rule version', 400, 'INVALID_ID');
+    }
+
+    switch (versionAction) {
+      case undefined: {
+        requireMethod(request, 'GET');
+        const row = await getVersionOrThrow(service, sourceType, versionNumber);
+        return Response.json(createSuccessResponse(formatVersion(row), logger.getRequestId()));
+      }
+
+      case 'activate':
+        requireMethod(request, 'POST');
+        return await handleActivate(sourceType, versionNumber, request, env, service, registry, logger);
+
+      default:
+        throw new ApiError(`Transformation rule endpoint not found: ${versionAction}`, 404, 'NOT_FOUND');
+    }
+  } catch (error) {
+    return handleError(error, logger);
+  }
+}
+
+function formatVersion(row: TransformationRuleVersion) {
+  return {
+    ...row,
+    document: JSON.parse(row.document)
+  };
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function requireMethod(request: Request, method: string): void {
+  if (request.method !== method) {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+async function getVersionOrThrow(
+  service: TransformationRuleService,
+  sourceType: string,
+  version: number
+): Promise<TransformationRuleVersion> {
+  const row = await service.getVersion(sourceType, version);
+  if (!row) {
+    throw new ApiError(`Version ${version} of the ${sourceType} rule not found`, 404, 'RULE_VERSION_NOT_FOUND');
+  }
+  return row;
+}
+
+/**
+ * Parse a submitted rule document and reject it with every problem found
+ */
+function parseDocument(sourceType: string, document: unknown): TransformationRuleDocument {
+  if (JSON.stringify(document ?? null).length > MAX_DOCUMENT_BYTES) {
+    throw new ApiError(`Rule document exceeds ${MAX_DOCUMENT_BYTES} bytes`, 400, 'RULE_DOCUMENT_TOO_LARGE');
+  }
+
+  const errors = checkDocument(sourceType, document);
+  if (errors.length > 0) {
+    throw new ApiError(`Invalid rule document: ${errors.join('; ')}`, 400, 'INVALID_RULE_DOCUMENT');
+  }
+
+  return document as TransformationRuleDocument;
+}
+
+function checkDocument(sourceType: string, document: unknown): string[] {
+  const errors = validateRuleDocument(document);
+  const documentSource = (document as Partial<TransformationRuleDocument> | null)?.sourceType;
+
+  if (typeof documentSource === 'string' && documentSource !== sourceType) {
+    errors.push(`sourceType '${documentSource}' does not match the ${sourceType} rule`);
+  }
+
+  return errors;
+}
+
+async function handleListRules(service: TransformationRuleService, logger: Logger): Promise<Response> {
+  logger.info('Transformation rules requested');
+
+  const active = new Map((await service.listActive()).map(row => [row.source_type, row]));
+  const builtIns = new Map(getBuiltInRuleDocuments().map(document => [document.sourceType, document]));
+  const sourceTypes = [...new Set([...builtIns.keys(), ...active.keys()])].sort();
+
+  const rules = sourceTypes.map(sourceType => {
+    const row = active.get(sourceType);
+    const document: TransformationRuleDocument = row ? JSON.parse(row.document) : builtIns.get(sourceType);
+
+    return {
+      sourceType,
+      ruleId: document.id,
+      name: document.name,
+      activeVersion: row?.version ?? null, // null: the built-in rule applies
+      activatedAt: row?.activated_at ?? null,
+      mappings: document.mappings.length,
+      validations: document.validations.length
+    };
+  });
+
+  return Response.json(createSuccessResponse(rules, logger.getRequestId()));
+}
+
+async function handleGetRule(
+  sourceType: string,
+  service: TransformationRuleService,
+  registry: TransformationRuleRegistry,
+  logger: Logger
+): Promise<Response> {
+  logger.info('Transformation rule requested', { sourceType });
+
+  const [active, versions] = await Promise.all([
+    registry.getActiveDocument(sourceType),
+    service.listVersions(sourceType)
+  ]);
+  const builtIn = getBuiltInRuleDocument(sourceType) ?? null;
+
+  const response = createSuccessResponse({
+    sourceType,
+    activeVersion: active?.version ?? null,
+    document: active?.document ?? builtIn,
+    builtIn,
+    versions
+  }, logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleValidate(sourceType: string, request: Request, logger: Logger): Promise<Response> {
+  const body = await request.json() as { document?: unknown };
+  const errors = checkDocument(sourceType, body.document);
+
+  logger.info('Transformation rule validation requested', { sourceType, errors: errors.length });
+
+  return Response.json(createSuccessResponse({ valid: errors.length === 0, errors }, logger.getRequestId()));
+}
+
+/**
+ * Run sample records through a rule without storing anything: a submitted
+ * document, a stored version, or (by default) the rule currently in effect
+ */
+async function handlePreview(
+  sourceType: string,
+  request: Request,
+  service: TransformationRuleService,
+  registry: TransformationRuleRegistry,
+  logger: Logger
+): Promise<Response> {
+  const body = await request.json() as { document?: unknown; version?: number; records?: unknown };
+
+  if (!Array.isArray(body.records) || body.records.length === 0) {
+    throw new ApiError('records must be a non-empty array of sample source records', 400, 'INVALID_PARAMETER');
+  }
+  if (body.records.length > MAX_PREVIEW_RECORDS) {
+    throw new ApiError(`At most ${MAX_PREVIEW_RECORDS} records can be previewed at once`, 400, 'INVALID_PARAMETER');
+  }
+  if (body.records.some(record => typeof record !== 'object' || record === null || Array.isArray(record))) {
+    throw new ApiError('Each sample record must be an object', 400, 'INVALID_PARAMETER');
+  }
+
+  let document: TransformationRuleDocument;
+  let version: number | undefined;
+
+  if (body.document !== undefined) {
+    document = parseDocument(sourceType, body.document);
+  } else if (body.version !== undefined) {
+    if (!Number.isInteger(body.version)) {
+      throw new ApiError('version must be an integer', 400, 'INVALID_PARAMETER');
+    }
+    document = JSON.parse((await getVersionOrThrow(service, sourceType, body.version)).document);
+    version = body.version;
+  } else {
+    const active = await registry.getActiveDocument(sourceType);
+    const builtIn = getBuiltInRuleDocument(sourceType);
+    if (!active && !builtIn) {
+      throw new ApiError(`No transformation rule defined for ${sourceType}`, 404, 'RULE_NOT_FOUND');
+    }
+    document = active ? active.document : builtIn!;
+    version = active?.version;
+  }
+
+  logger.info('Transformation rule preview requested', { sourceType, version, records: body.records.length });
+
+  const rule = compileRuleDocument(document, version);
+  const validator = new DataValidator();
+  validator.registerValidationRules(sourceType, rule.validations);
+
+  const results = [];
+  for (const [index, input] of (body.records as Record<string, any>[]).entries()) {
+    const transformed = applyTransformationRule(rule, {
+      id: `preview-${index}`,
+      sourceId: sourceType,
+      timestamp: new Date(),
+      data: input,
+      metadata: { source: sourceType, ingestionTime: new Date(), lineage: [] }
+    });
+
+    results.push({
+      input,
+      output: transformed.data,
+      validation: await validator.validateRecord(transformed, sourceType)
+    });
+  }
+
+  const response = createSuccessResponse({
+    ruleId: rule.id,
+    version: version ?? null,
+    records: results.length,
+    invalid: results.filter(result => !result.validation.isValid).length,
+    results
+  }, logger.getRequestId());
+
+  return Response.json(response);
+}
+
+async function handleCreateVersion(
+  sourceType: string,
+  request: Request,
+  env: Env,
+  service: TransformationRuleService,
+  registry: TransformationRuleRegistry,
+  logger: Logger
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+  const body = await request.json() as { document?: unknown; notes?: string; activate?: boolean };
+  const document = parseDocument(sourceType, body.document);
+
+  logger.info('Transformation rule version creation requested', {
+    sourceType,
+    userId: auth.user.id,
+    activate: !!body.activate
+  });
+
+  let row = await service.create(sourceType, JSON.stringify(document), body.notes?.trim() || null, auth.user.id);
+
+  if (body.activate) {
+    await service.activate(sourceType, row.version, auth.user.id);
+    await registry.invalidate(sourceType);
+    row = (await service.getById(row.id!))!;
+  }
+
+  const response = createSuccessResponse(formatVersion(row), logger.getRequestId());
+  return Response.json(response, { status: 201 });
+}
+
+async function handleActivate(
+  sourceType: string,
+  version: number,
+  request: Request,
+  env: Env,
+  service: TransformationRuleService,
+  registry: TransformationRuleRegistry,
+  logger: Logger
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+
+  logger.info('Transformation rule activation requested', { sourceType, version, userId: auth.user.id });
+
+  if (!await service.activate(sourceType, version, auth.user.id)) {
+    throw new ApiError(`Version ${version} of the ${sourceType} rule not found`, 404, 'RULE_VERSION_NOT_FOUND');
+  }
+  await registry.invalidate(sourceType);
+
+  const row = await getVersionOrThrow(service, sourceType, version);
+  return Response.json(createSuccessResponse(formatVersion(row), logger.getRequestId()));
+}
+
+async function handleDeactivate(
+  sourceType: string,
+  request: Request,
+  env: Env,
+  service: TransformationRuleService,
+  registry: TransformationRuleRegistry,
+  logger: Logger
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+
+  logger.info('Transformation rule deactivation requested', { sourceType, userId: auth.user.id });
+
+  // The source goes back to its built-in rule
+  const deactivated = await service.deactivate(sourceType);
+  await registry.invalidate(sourceType);
+
+  return Response.json(createSuccessResponse({ sourceType, deactivated }, logger.getRequestId()));
+}
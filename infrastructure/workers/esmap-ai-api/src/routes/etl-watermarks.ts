@@ -0,0 +1,64 @@
+import type { Env } from '../types';
+import { Logger } from '../utils/logger';
+import { handleError, createSuccessResponse, ApiError } from '../utils/error-handler';
+import { ETLWatermarkService } from '../database/services/etl-watermark-service';
+import { ETL_SOURCES } from '../etl/etl-worker';
+
+export async function handleETLWatermarksRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const pathSegments = path.split('/').filter(Boolean);
+
+  // Remove 'api/v1/etl/watermarks' from path
+  const [sourceId] = pathSegments.slice(4);
+
+  const watermarks = new ETLWatermarkService(env);
+
+  try {
+    if (!sourceId) {
+      if (request.method !== 'GET') {
+        throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+      }
+
+      logger.info('ETL watermarks requested');
+
+      const list = await watermarks.list();
+      const response = createSuccessResponse(list, logger.getRequestId());
+
+      return Response.json(response);
+    }
+
+    if (!ETL_SOURCES.some(source => source.id === sourceId)) {
+      throw new ApiError(`Unknown source: ${sourceId}`, 404, 'UNKNOWN_SOURCE');
+    }
+
+    switch (request.method) {
+      case 'GET': {
+        const watermark = await watermarks.get(sourceId);
+        if (!watermark) {
+          throw new ApiError(`No watermark recorded for ${sourceId}`, 404, 'WATERMARK_NOT_FOUND');
+        }
+
+        return Response.json(createSuccessResponse(watermark, logger.getRequestId()));
+      }
+
+      case 'DELETE': {
+        logger.info('ETL watermark reset requested', { sourceId });
+
+        // The next extraction for this source will be a full one
+        const deleted = await watermarks.delete(sourceId);
+        const response = createSuccessResponse({ sourceId, reset: deleted }, logger.getRequestId());
+
+        return Response.json(response);
+      }
+
+      default:
+        throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+    }
+  } catch (error) {
+    return handleError(error, logger);
+  }
+}
@@ -4,6 +4,7 @@
  */
 
 import { ResilienceManager } from '../resilience/resilience-manager';
+import { ResilienceStateStore } from '../resilience/state-store';
 import { DataSourceConfig, DataSourceType } from '../resilience/types';
 
 interface Env {
@@ -13,23 +14,43 @@ interface Env {
   DATA_BUCKET: R2Bucket;
 }
 
+const METRICS_RETENTION_DAYS = 30;
+
 export class ResilienceRoutes {
   private resilienceManager: ResilienceManager;
+  private stateStore: ResilienceStateStore;
+
+  /**
+   * Create routes with manager state restored from KV/D1
+   */
+  static async create(env: Env): Promise<ResilienceRoutes> {
+    const routes = new ResilienceRoutes(env);
+    await routes.stateStore.load(routes.resilienceManager);
+    return routes;
+  }
 
   constructor(env: Env) {
+    this.stateStore = new ResilienceStateStore(env.CACHE, env.DB);
     this.resilienceManager = new ResilienceManager({
       globalTimeout: 10000,
       maxConcurrentRequests: 50,
       circuitBreakerThreshold: 0.6,
       fusionConfidenceThreshold: 0.75,
       alertingEnabled: true,
-      metricsRetentionDays: 30
+      metricsRetentionDays: METRICS_RETENTION_DAYS
     });
 
     // Initialize with some default data sources
     this.initializeDefaultSources();
   }
 
+  /**
+   * Persist manager state so it survives across invocations
+   */
+  async persistState(): Promise<void> {
+    await this.stateStore.save(this.resilienceManager);
+  }
+
   /**
    * Initialize default data sources
    */
@@ -569,6 +590,7 @@ export class ResilienceRoutes {
   async performMaintenance(request: Request): Promise<Response> {
     try {
       await this.resilienceManager.performMaintenance();
+      await this.stateStore.pruneHistory(METRICS_RETENTION_DAYS);
       
       return new Response(JSON.stringify({
         success: true,
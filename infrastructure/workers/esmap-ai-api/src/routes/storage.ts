@@ -2,16 +2,86 @@
  * R2 Storage API Routes
  */
 
-import { R2StorageManager } from '../storage/r2-storage-manager';
-import { FileCategory, AccessLevel, UploadOptions, DownloadOptions, SearchOptions } from '../storage/types';
+import {
+  R2StorageManager,
+  MAX_SHARE_TTL_SECONDS,
+  DEFAULT_PREVIEW_ROWS,
+  MAX_PREVIEW_ROWS,
+  ipv4ToNumber
+} from '../storage/r2-storage-manager';
+import { CostOptimizer, OptimizationAction } from '../storage/cost-optimizer';
+import {
+  FileCategory,
+  AccessLevel,
+  UploadOptions,
+  DownloadOptions,
+  SearchOptions,
+  StorageConfig,
+  UploadSession,
+  VersionRetentionPolicy,
+  FileMetadata,
+  ShareLinkOptions,
+  ColumnMapping,
+  FileAccessor
+} from '../storage/types';
 import type { Env } from '../types';
 import type { Logger } from '../utils/logger';
 import { ApiError, createSuccessResponse } from '../utils/error-handler';
+import { AuthService, AuthContext } from '../auth/auth-service';
 
 export interface StorageEnv extends Env {
   DATA_BUCKET: R2Bucket;
 }
 
+export const STORAGE_CONFIG: StorageConfig = {
+  bucketName: 'esmap-ai-data',
+  maxFileSize: 1024 * 1024 * 1024, // 1GB
+  maxMultipartFileSize: 50 * 1024 * 1024 * 1024, // 50GB
+  allowedMimeTypes: [
+    'application/json',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/pdf',
+    'application/zip',
+    'text/plain',
+    'application/xml',
+    '*/*'
+  ],
+  compressionThreshold: 1024 * 1024, // 1MB
+  archivalThreshold: 30 * 24 * 60 * 60 * 1000, // 30 days
+  versionRetention: {
+    keepVersions: 20
+  },
+  costOptimization: {
+    enableCompression: true,
+    enableDeduplication: true,
+    enableArchival: true,
+    maxStoragePerCategory: {
+      'energy-data': 100 * 1024 * 1024 * 1024, // 100GB
+      'climate-data': 50 * 1024 * 1024 * 1024,  // 50GB
+      'geospatial': 30 * 1024 * 1024 * 1024,    // 30GB
+      'survey-data': 20 * 1024 * 1024 * 1024,   // 20GB
+      'processed-reports': 10 * 1024 * 1024 * 1024, // 10GB
+      'cache': 5 * 1024 * 1024 * 1024,          // 5GB
+      'backup': 50 * 1024 * 1024 * 1024,        // 50GB
+      'temporary': 1 * 1024 * 1024 * 1024       // 1GB
+    },
+    cleanup: {
+      tempFileRetention: 7,    // 7 days
+      cacheRetention: 30,      // 30 days
+      backupRetention: 365     // 1 year
+    }
+  }
+};
+
+export function createStorageManager(env: StorageEnv): R2StorageManager {
+  return new R2StorageManager(env.DATA_BUCKET, env.DB, env.CACHE!, STORAGE_CONFIG, env.AUTH_SECRET);
+}
+
+export function createCostOptimizer(env: StorageEnv): CostOptimizer {
+  return new CostOptimizer(env.DB, env.DATA_BUCKET, env.CACHE);
+}
+
 export async function handleStorageRoute(
   request: Request,
   env: StorageEnv,
@@ -21,70 +91,48 @@ export async function handleStorageRoute(
   const url = new URL(request.url);
   const method = request.method;
 
-  // Initialize storage manager
-  const storageManager = new R2StorageManager(
-    env.DATA_BUCKET,
-    env.DB,
-    env.CACHE,
-    {
-      bucketName: 'esmap-ai-data',
-      maxFileSize: 1024 * 1024 * 1024, // 1GB
-      allowedMimeTypes: [
-        'application/json',
-        'text/csv',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/pdf',
-        'application/zip',
-        'text/plain',
-        'application/xml',
-        '*/*'
-      ],
-      compressionThreshold: 1024 * 1024, // 1MB
-      archivalThreshold: 30 * 24 * 60 * 60 * 1000, // 30 days
-      costOptimization: {
-        enableCompression: true,
-        enableDeduplication: true,
-        enableArchival: true,
-        maxStoragePerCategory: {
-          'energy-data': 100 * 1024 * 1024 * 1024, // 100GB
-          'climate-data': 50 * 1024 * 1024 * 1024,  // 50GB
-          'geospatial': 30 * 1024 * 1024 * 1024,    // 30GB
-          'survey-data': 20 * 1024 * 1024 * 1024,   // 20GB
-          'processed-reports': 10 * 1024 * 1024 * 1024, // 10GB
-          'cache': 5 * 1024 * 1024 * 1024,          // 5GB
-          'backup': 50 * 1024 * 1024 * 1024,        // 50GB
-          'temporary': 1 * 1024 * 1024 * 1024       // 1GB
-        },
-        cleanup: {
-          tempFileRetention: 7,    // 7 days
-          cacheRetention: 30,      // 30 days
-          backupRetention: 365     // 1 year
-        }
-      }
-    }
-  );
+  const storageManager = createStorageManager(env);
 
   try {
     // Route handling
-    if (path === '/api/v1/storage/upload' && method === 'POST') {
-      return await handleFileUpload(request, storageManager, logger);
+    if (path.startsWith('/api/v1/storage/uploads')) {
+      return await handleResumableUpload(request, env, storageManager, logger, path);
+
+    } else if (path.startsWith('/api/v1/storage/datasets')) {
+      return await handleDatasetRoute(request, env, storageManager, logger, path);
+
+    } else if (path.startsWith('/api/v1/storage/files/')) {
+      return await handleFileRoute(request, env, storageManager, logger, path);
+
+    } else if (path.startsWith('/api/v1/storage/shared/') && method === 'GET') {
+      const token = path.split('/').pop();
+      if (!token) {
+        throw new ApiError('Share token required', 400, 'MISSING_SHARE_TOKEN');
+      }
+      return await handleSharedDownload(token, request, env, storageManager, logger);
+
+    } else if (path === '/api/v1/storage/upload' && method === 'POST') {
+      return await handleFileUpload(request, env, storageManager, logger);
     
     } else if (path.startsWith('/api/v1/storage/download/') && method === 'GET') {
       const fileId = path.split('/').pop();
       if (!fileId) {
         throw new ApiError('File ID required', 400, 'MISSING_FILE_ID');
       }
-      return await handleFileDownload(fileId, request, storageManager, logger);
+      const auth = await requireAuth(request, env);
+      return await handleFileDownload(fileId, request, fileAccessor(auth), storageManager, logger);
     
     } else if (path.startsWith('/api/v1/storage/delete/') && method === 'DELETE') {
       const fileId = path.split('/').pop();
       if (!fileId) {
         throw new ApiError('File ID required', 400, 'MISSING_FILE_ID');
       }
-      return await handleFileDelete(fileId, storageManager, logger);
+      const auth = await requireAuth(request, env);
+      return await handleFileDelete(fileId, fileAccessor(auth), storageManager, logger);
     
     } else if (path === '/api/v1/storage/search' && method === 'GET') {
-      return await handleFileSearch(request, storageManager, logger);
+      const auth = await requireAuth(request, env);
+      return await handleFileSearch(request, fileAccessor(auth), storageManager, logger);
     
     } else if (path === '/api/v1/storage/stats' && method === 'GET') {
       return await handleStorageStats(storageManager, logger);
@@ -94,6 +142,12 @@ export async function handleStorageRoute(
     
     } else if (path === '/api/v1/storage/bulk' && method === 'POST') {
       return await handleBulkOperation(request, storageManager, logger);
+
+    } else if (path === '/api/v1/storage/optimize' && method === 'GET') {
+      return await handleOptimizationReport(createCostOptimizer(env), logger);
+
+    } else if (path === '/api/v1/storage/optimize' && method === 'POST') {
+      return await handleOptimization(request, createCostOptimizer(env), logger);
     
     } else {
       throw new ApiError('Storage endpoint not found', 404, 'NOT_FOUND');
@@ -110,10 +164,12 @@ export async function handleStorageRoute(
  */
 async function handleFileUpload(
   request: Request,
+  env: StorageEnv,
   storageManager: R2StorageManager,
   logger: Logger
 ): Promise<Response> {
   try {
+    const auth = await requireAuth(request, env);
     const formData = await request.formData();
     const file = formData.get('file') as File;
     const category = formData.get('category') as FileCategory || FileCategory.ENERGY_DATA;
@@ -121,6 +177,7 @@ async function handleFileUpload(
     const compress = formData.get('compress') === 'true';
     const tags = formData.get('tags') ? JSON.parse(formData.get('tags') as string) : {};
     const metadata = formData.get('metadata') ? JSON.parse(formData.get('metadata') as string) : {};
+    const datasetId = (formData.get('datasetId') as string | null) || undefined;
 
     if (!file) {
       throw new ApiError('No file provided', 400, 'MISSING_FILE');
@@ -131,18 +188,20 @@ async function handleFileUpload(
       size: file.size,
       category,
       accessLevel,
-      compress
+      compress,
+      datasetId
     });
 
     const options: UploadOptions = {
       compress,
       category,
       accessLevel,
+      datasetId,
       tags,
+      uploadedBy: auth.user.id,
       metadata: {
         ...metadata,
-        source: 'api-upload',
-        uploadedBy: 'system' // In production, this would be the authenticated user
+        source: 'api-upload'
       }
     };
 
@@ -152,7 +211,9 @@ async function handleFileUpload(
     logger.info('File uploaded successfully', {
       fileId: fileMetadata.id,
       filename: fileMetadata.filename,
-      size: fileMetadata.size
+      size: fileMetadata.size,
+      datasetId: fileMetadata.datasetId,
+      version: fileMetadata.version
     });
 
     const response = createSuccessResponse({
@@ -168,12 +229,299 @@ async function handleFileUpload(
   }
 }
 
+/**
+ * Handle resumable (multipart) uploads:
+ *   POST   /uploads                      start an upload
+ *   GET    /uploads                      the caller's uploads (?status=uploading)
+ *   GET    /uploads/:id                  progress and the parts received so far
+ *   PUT    /uploads/:id/parts/:number    send one part as the raw request body
+ *   POST   /uploads/:id/complete         assemble the parts into the file
+ *   DELETE /uploads/:id                  abort
+ */
+async function handleResumableUpload(
+  request: Request,
+  env: StorageEnv,
+  storageManager: R2StorageManager,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const auth = await requireAuth(request, env);
+  const [sessionId, action, partNumber] = path.split('/').filter(Boolean).slice(4);
+  const method = request.method;
+
+  if (!sessionId) {
+    if (method === 'POST') {
+      return await handleStartUpload(request, auth, storageManager, logger);
+    }
+    if (method === 'GET') {
+      const status = new URL(request.url).searchParams.get('status') || undefined;
+      const sessions = await storageManager.listUploadSessions(auth.user.id, status);
+      return Response.json(createSuccessResponse(sessions.map(session => formatUploadSession(session)), logger.getRequestId()));
+    }
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+
+  const session = await storageManager.getUploadSession(sessionId);
+  // Other users' uploads are reported as missing rather than forbidden
+  if (!session || (session.uploadedBy !== auth.user.id && auth.user.role !== 'admin')) {
+    throw new ApiError('Upload not found', 404, 'UPLOAD_NOT_FOUND');
+  }
+
+  if (action === undefined && method === 'GET') {
+    const parts = await storageManager.listUploadedParts(session.id);
+    return Response.json(createSuccessResponse(formatUploadSession(session, parts.map(part => part.partNumber)), logger.getRequestId()));
+
+  } else if (action === undefined && method === 'DELETE') {
+    logger.info('Aborting resumable upload', { sessionId, userId: auth.user.id });
+
+    await storageManager.abortMultipartUpload(session);
+    return Response.json(createSuccessResponse({ sessionId, status: 'aborted' }, logger.getRequestId()));
+
+  } else if (action === 'parts' && partNumber && method === 'PUT') {
+    const contentLength = parseInt(request.headers.get('content-length') || '', 10);
+    if (isNaN(contentLength)) {
+      throw new ApiError('Content-Length header is required', 411, 'LENGTH_REQUIRED');
+    }
+    if (!request.body) {
+      throw new ApiError('Part data is required as the request body', 400, 'MISSING_PART_DATA');
+    }
+
+    const { part, bytesUploaded } = await storageManager.uploadPart(
+      session,
+      parseInt(partNumber, 10),
+      request.body,
+      contentLength
+    );
+
+    return Response.json(createSuccessResponse({
+      sessionId,
+      partNumber: part.partNumber,
+      size: part.size,
+      bytesUploaded,
+      progress: bytesUploaded / session.size
+    }, logger.getRequestId()));
+
+  } else if (action === 'complete' && method === 'POST') {
+    logger.info('Completing resumable upload', { sessionId, totalParts: session.totalParts, size: session.size });
+
+    const file = await storageManager.completeMultipartUpload(session);
+
+    logger.info('Resumable upload completed', { sessionId, fileId: file.id, size: file.size });
+
+    return Response.json(createSuccessResponse({
+      message: 'File uploaded successfully',
+      file
+    }, logger.getRequestId()));
+  }
+
+  throw new ApiError('Upload endpoint not found', 404, 'NOT_FOUND');
+}
+
+async function handleStartUpload(
+  request: Request,
+  auth: AuthContext,
+  storageManager: R2StorageManager,
+  logger: Logger
+): Promise<Response> {
+  const body = await request.json() as {
+    filename?: string;
+    size?: number;
+    partSize?: number;
+    category?: FileCategory;
+    accessLevel?: AccessLevel;
+    tags?: Record<string, string>;
+    metadata?: Record<string, string>;
+    datasetId?: string;
+  };
+
+  if (!body.filename?.trim()) {
+    throw new ApiError('filename is required', 400, 'INVALID_PARAMETER');
+  }
+
+  const category = body.category || FileCategory.ENERGY_DATA;
+  const accessLevel = body.accessLevel || AccessLevel.INTERNAL;
+  if (!Object.values(FileCategory).includes(category)) {
+    throw new ApiError(`category must be one of: ${Object.values(FileCategory).join(', ')}`, 400, 'INVALID_PARAMETER');
+  }
+  if (!Object.values(AccessLevel).includes(accessLevel)) {
+    throw new ApiError(`accessLevel must be one of: ${Object.values(AccessLevel).join(', ')}`, 400, 'INVALID_PARAMETER');
+  }
+
+  logger.info('Starting resumable upload', {
+    filename: body.filename,
+    size: body.size,
+    category,
+    userId: auth.user.id
+  });
+
+  const session = await storageManager.createMultipartUpload(body.filename.trim(), {
+    size: body.size as number,
+    partSize: body.partSize,
+    category,
+    accessLevel,
+    tags: body.tags,
+    metadata: {
+      ...body.metadata,
+      source: 'api-upload',
+      uploadedBy: String(auth.user.id)
+    },
+    uploadedBy: auth.user.id,
+    datasetId: body.datasetId || undefined
+  });
+
+  const response = createSuccessResponse(formatUploadSession(session, []), logger.getRequestId());
+  return Response.json(response, { status: 201 });
+}
+
+function formatUploadSession(session: UploadSession, uploadedParts?: number[]) {
+  const { uploadId, r2Key, ...rest } = session;
+
+  return {
+    ...rest,
+    progress: session.size > 0 ? session.bytesUploaded / session.size : 0,
+    ...(uploadedParts ? { uploadedParts } : {})
+  };
+}
+
+/**
+ * Handle dataset versions:
+ *   GET  /datasets                             datasets, recently updated first (?category=&limit=&offset=)
+ *   GET  /datasets/:id                         the dataset with its current version
+ *   GET  /datasets/:id/versions                every version, newest first
+ *   GET  /datasets/:id/versions/:v             one version's metadata
+ *   GET  /datasets/:id/versions/:v/download    download a version
+ *   GET  /datasets/:id/diff?from=&to=          compare two versions (to defaults to the current one)
+ *   POST /datasets/:id/versions/:v/promote     restore a version as the new current version
+ *   PUT  /datasets/:id/retention               set or clear the version retention policy
+ */
+async function handleDatasetRoute(
+  request: Request,
+  env: StorageEnv,
+  storageManager: R2StorageManager,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const [datasetId, action, version, versionAction] = path.split('/').filter(Boolean).slice(4);
+  const url = new URL(request.url);
+  const method = request.method;
+
+  if (!datasetId) {
+    if (method !== 'GET') {
+      throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+    }
+
+    const datasets = await storageManager.listDatasets({
+      category: (url.searchParams.get('category') as FileCategory) || undefined,
+      limit: parseInt(url.searchParams.get('limit') || '50', 10),
+      offset: parseInt(url.searchParams.get('offset') || '0', 10)
+    });
+    return Response.json(createSuccessResponse(datasets, logger.getRequestId()));
+  }
+
+  const dataset = await storageManager.getDataset(datasetId);
+  if (!dataset) {
+    throw new ApiError(`Dataset not found: ${datasetId}`, 404, 'DATASET_NOT_FOUND');
+  }
+
+  if (action === undefined && method === 'GET') {
+    const current = dataset.currentVersion
+      ? await storageManager.getVersion(datasetId, dataset.currentVersion)
+      : null;
+    return Response.json(createSuccessResponse({ ...dataset, current }, logger.getRequestId()));
+
+  } else if (action === 'diff' && method === 'GET') {
+    const from = parseVersion(url.searchParams.get('from'));
+    const to = url.searchParams.get('to') ? parseVersion(url.searchParams.get('to')) : dataset.currentVersion;
+
+    const diff = await storageManager.diffVersions(datasetId, from, to);
+    return Response.json(createSuccessResponse(diff, logger.getRequestId()));
+
+  } else if (action === 'retention' && method === 'PUT') {
+    const body = await request.json() as { policy?: VersionRetentionPolicy | null };
+    const policy = parseRetentionPolicy(body.policy);
+
+    logger.info('Setting dataset version retention', { datasetId, policy });
+
+    const updated = await storageManager.setVersionRetention(datasetId, policy);
+    return Response.json(createSuccessResponse(updated, logger.getRequestId()));
+
+  } else if (action === 'versions' && version === undefined && method === 'GET') {
+    const versions = await storageManager.listVersions(datasetId);
+    return Response.json(createSuccessResponse({ dataset, versions }, logger.getRequestId()));
+
+  } else if (action === 'versions' && version !== undefined) {
+    const versionNumber = parseVersion(version);
+
+    if (versionAction === 'promote' && method === 'POST') {
+      const auth = await requireAuth(request, env);
+      logger.info('Promoting dataset version', { datasetId, version: versionNumber, userId: auth.user.id });
+
+      const promoted = await storageManager.promoteVersion(datasetId, versionNumber, fileAccessor(auth));
+
+      logger.info('Dataset version promoted', { datasetId, promotedFrom: versionNumber, version: promoted.version });
+      return Response.json(createSuccessResponse(promoted, logger.getRequestId()), { status: 201 });
+    }
+
+    const file = await storageManager.getVersion(datasetId, versionNumber);
+    if (!file) {
+      throw new ApiError(`Version ${versionNumber} of dataset ${datasetId} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+
+    if (versionAction === undefined && method === 'GET') {
+      return Response.json(createSuccessResponse(file, logger.getRequestId()));
+    }
+    if (versionAction === 'download' && method === 'GET') {
+      const auth = await requireAuth(request, env);
+      return await handleFileDownload(file.id, request, fileAccessor(auth), storageManager, logger);
+    }
+  }
+
+  throw new ApiError('Dataset endpoint not found', 404, 'NOT_FOUND');
+}
+
+function parseVersion(value: string | null): number {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ApiError('Version must be a positive integer', 400, 'INVALID_PARAMETER');
+  }
+  return version;
+}
+
+function parseRetentionPolicy(policy: unknown): VersionRetentionPolicy | null {
+  if (policy === null || policy === undefined) {
+    return null;
+  }
+
+  const { keepVersions, deleteAfterDays } = policy as VersionRetentionPolicy;
+  if (keepVersions !== undefined && (!Number.isInteger(keepVersions) || keepVersions < 0)) {
+    throw new ApiError('keepVersions must be a non-negative integer', 400, 'INVALID_PARAMETER');
+  }
+  if (deleteAfterDays !== undefined && (!Number.isInteger(deleteAfterDays) || deleteAfterDays < 1)) {
+    throw new ApiError('deleteAfterDays must be a positive integer', 400, 'INVALID_PARAMETER');
+  }
+
+  return { keepVersions, deleteAfterDays };
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function fileAccessor(auth: AuthContext): FileAccessor {
+  return { userId: auth.user.id, role: auth.user.role };
+}
+
 /**
  * Handle file download
  */
 async function handleFileDownload(
   fileId: string,
   request: Request,
+  accessor: FileAccessor,
   storageManager: R2StorageManager,
   logger: Logger
 ): Promise<Response> {
@@ -200,7 +548,7 @@ async function handleFileDownload(
       }
     }
 
-    const { data, metadata } = await storageManager.downloadFile(fileId, options);
+    const { data, metadata } = await storageManager.downloadFile(fileId, accessor, options);
 
     logger.info('File download successful', {
       fileId,
@@ -208,21 +556,9 @@ async function handleFileDownload(
       size: metadata.size
     });
 
-    const headers = new Headers({
-      'Content-Type': metadata.mimeType,
-      'Content-Disposition': `attachment; filename="${metadata.originalName}"`,
-      'X-File-ID': metadata.id,
-      'X-File-Size': metadata.size.toString(),
-      'X-Upload-Date': metadata.uploadedAt.toISOString()
-    });
-
-    if (metadata.compression && !decompress) {
-      headers.set('Content-Encoding', metadata.compression.algorithm);
-    }
-
     return new Response(data, {
       status: rangeHeader ? 206 : 200,
-      headers
+      headers: fileResponseHeaders(metadata, decompress)
     });
 
   } catch (error) {
@@ -231,18 +567,209 @@ async function handleFileDownload(
   }
 }
 
+/**
+ * Handle per-file endpoints: /api/v1/storage/files/:id/{preview,mappings,shares[/:shareId]}
+ */
+async function handleFileRoute(
+  request: Request,
+  env: StorageEnv,
+  storageManager: R2StorageManager,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const [fileId, action, shareId] = path.split('/').filter(Boolean).slice(4);
+  const method = request.method;
+
+  if (!fileId) {
+    throw new ApiError('File ID required', 400, 'MISSING_FILE_ID');
+  }
+
+  if (action === 'preview' && method === 'GET') {
+    const url = new URL(request.url);
+    const rows = url.searchParams.has('rows') ? Number(url.searchParams.get('rows')) : DEFAULT_PREVIEW_ROWS;
+    if (!Number.isInteger(rows) || rows < 0 || rows > MAX_PREVIEW_ROWS) {
+      throw new ApiError(`rows must be an integer from 0 to ${MAX_PREVIEW_ROWS}`, 400, 'INVALID_PARAMETER');
+    }
+
+    const auth = await requireAuth(request, env);
+    const preview = await storageManager.previewFile(fileId, fileAccessor(auth), {
+      rows,
+      sheet: url.searchParams.get('sheet') || undefined
+    });
+
+    logger.info('File preview generated', {
+      fileId,
+      format: preview.format,
+      columns: preview.columns.length,
+      rowsScanned: preview.rowsScanned,
+      cached: preview.cached
+    });
+
+    return Response.json(createSuccessResponse(preview, logger.getRequestId()));
+
+  } else if (action === 'mappings' && method === 'PUT') {
+    const auth = await requireAuth(request, env);
+    const body = await request.json() as { mappings?: ColumnMapping[] };
+    const mappings = parseColumnMappings(body.mappings);
+
+    logger.info('Setting column mappings', { fileId, mappings: mappings.length });
+
+    const schema = await storageManager.setColumnMappings(fileId, mappings, fileAccessor(auth));
+    return Response.json(createSuccessResponse(schema, logger.getRequestId()));
+  }
+
+  if (action !== 'shares') {
+    throw new ApiError('File endpoint not found', 404, 'NOT_FOUND');
+  }
+
+  if (shareId === undefined && method === 'POST') {
+    const auth = await requireAuth(request, env);
+    const options = parseShareOptions(await request.json());
+
+    logger.info('Creating share link', {
+      fileId,
+      userId: auth.user.id,
+      expiresIn: options.expiresIn,
+      maxDownloads: options.maxDownloads,
+      ipScoped: !!options.allowedIps?.length,
+      emailScoped: !!options.allowedEmail
+    });
+
+    const { share, token } = await storageManager.createShareLink(fileId, options, fileAccessor(auth));
+    const url = `${new URL(request.url).origin}/api/v1/storage/shared/${token}`;
+
+    return Response.json(createSuccessResponse({ share, token, url }, logger.getRequestId()), { status: 201 });
+
+  } else if (shareId === undefined && method === 'GET') {
+    const auth = await requireAuth(request, env);
+    const shares = await storageManager.listShareLinks(fileId, fileAccessor(auth));
+    return Response.json(createSuccessResponse(shares, logger.getRequestId()));
+
+  } else if (shareId !== undefined && method === 'DELETE') {
+    const auth = await requireAuth(request, env);
+    const existing = await storageManager.getShareLink(shareId);
+    if (!existing || existing.fileId !== fileId) {
+      throw new ApiError(`Share link not found: ${shareId}`, 404, 'SHARE_NOT_FOUND');
+    }
+
+    logger.info('Revoking share link', { fileId, shareId, userId: auth.user.id });
+
+    const share = await storageManager.revokeShareLink(shareId, fileAccessor(auth));
+    return Response.json(createSuccessResponse(share, logger.getRequestId()));
+  }
+
+  throw new ApiError('File endpoint not found', 404, 'NOT_FOUND');
+}
+
+function parseColumnMappings(mappings: unknown): ColumnMapping[] {
+  if (!Array.isArray(mappings) || mappings.some(mapping =>
+    typeof mapping?.sourceField !== 'string' || typeof mapping?.targetField !== 'string' || !mapping.targetField.trim()
+  )) {
+    throw new ApiError('mappings must be a list of { sourceField, targetField }', 400, 'INVALID_PARAMETER');
+  }
+
+  const targets = mappings.map(mapping => mapping.targetField.trim());
+  const duplicate = targets.find((target, index) => targets.indexOf(target) !== index);
+  if (duplicate) {
+    throw new ApiError(`Target field mapped more than once: ${duplicate}`, 400, 'INVALID_PARAMETER');
+  }
+
+  return mappings.map((mapping, index) => ({ sourceField: mapping.sourceField, targetField: targets[index] }));
+}
+
+function parseShareOptions(body: unknown): ShareLinkOptions {
+  const { expiresIn, maxDownloads, allowedIps, allowedEmail, note } = (body ?? {}) as ShareLinkOptions;
+
+  if (expiresIn !== undefined && (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_SHARE_TTL_SECONDS)) {
+    throw new ApiError(`expiresIn must be between 1 and ${MAX_SHARE_TTL_SECONDS} seconds`, 400, 'INVALID_PARAMETER');
+  }
+  if (maxDownloads !== undefined && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+    throw new ApiError('maxDownloads must be a positive integer', 400, 'INVALID_PARAMETER');
+  }
+  if (allowedIps !== undefined &&
+      (!Array.isArray(allowedIps) || allowedIps.some(entry => typeof entry !== 'string' || !isValidIpRule(entry)))) {
+    throw new ApiError('allowedIps must be a list of IP addresses or IPv4 CIDR ranges', 400, 'INVALID_PARAMETER');
+  }
+  if (allowedEmail !== undefined && (typeof allowedEmail !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(allowedEmail.trim()))) {
+    throw new ApiError('allowedEmail must be an email address', 400, 'INVALID_PARAMETER');
+  }
+  if (note !== undefined && typeof note !== 'string') {
+    throw new ApiError('note must be a string', 400, 'INVALID_PARAMETER');
+  }
+
+  return { expiresIn, maxDownloads, allowedIps, allowedEmail, note: note?.trim() || undefined };
+}
+
+function isValidIpRule(rule: string): boolean {
+  const [address, bits] = rule.split('/');
+  if (bits !== undefined) {
+    return ipv4ToNumber(address) !== null && /^\d{1,2}$/.test(bits) && Number(bits) <= 32;
+  }
+  // IPv6 addresses are matched exactly
+  return ipv4ToNumber(address) !== null || (address.includes(':') && /^[0-9a-f:]+$/i.test(address));
+}
+
+/**
+ * Handle a download through a share link. The route is public: the signed
+ * token is the credential, and a signed-in user is only needed for links
+ * scoped to an email address.
+ */
+async function handleSharedDownload(
+  token: string,
+  request: Request,
+  env: StorageEnv,
+  storageManager: R2StorageManager,
+  logger: Logger
+): Promise<Response> {
+  const ip = request.headers.get('CF-Connecting-IP') || undefined;
+  const auth = AuthService.extractBearerToken(request) || AuthService.extractApiKey(request)
+    ? await new AuthService(env).authenticate(request)
+    : null;
+
+  const { data, metadata, share } = await storageManager.redeemShareLink(token, { ip, email: auth?.user.email });
+
+  logger.info('Shared file downloaded', {
+    fileId: metadata.id,
+    shareId: share.id,
+    downloadCount: share.downloadCount,
+    maxDownloads: share.maxDownloads
+  });
+
+  const headers = fileResponseHeaders(metadata, false);
+  headers.set('Cache-Control', 'private, no-store');
+
+  return new Response(data, { headers });
+}
+
+function fileResponseHeaders(metadata: FileMetadata, decompress: boolean): Headers {
+  const headers = new Headers({
+    'Content-Type': metadata.mimeType,
+    'Content-Disposition': `attachment; filename="${metadata.originalName}"`,
+    'X-File-ID': metadata.id,
+    'X-File-Size': metadata.size.toString(),
+    'X-Upload-Date': new Date(metadata.uploadedAt).toISOString() // cached metadata holds date strings
+  });
+
+  if (metadata.compression && !decompress) {
+    headers.set('Content-Encoding', metadata.compression.algorithm);
+  }
+
+  return headers;
+}
+
 /**
  * Handle file deletion
  */
 async function handleFileDelete(
   fileId: string,
+  accessor: FileAccessor,
   storageManager: R2StorageManager,
   logger: Logger
 ): Promise<Response> {
   try {
     logger.info('Starting file deletion', { fileId });
 
-    await storageManager.deleteFile(fileId);
+    await storageManager.deleteFile(fileId, accessor);
 
     logger.info('File deleted successfully', { fileId });
 
@@ -264,6 +791,7 @@ async function handleFileDelete(
  */
 async function handleFileSearch(
   request: Request,
+  accessor: FileAccessor,
   storageManager: R2StorageManager,
   logger: Logger
 ): Promise<Response> {
@@ -301,7 +829,7 @@ async function handleFileSearch(
 
     logger.info('Starting file search', { searchOptions });
 
-    const files = await storageManager.searchFiles(searchOptions);
+    const files = await storageManager.searchFiles(searchOptions, accessor);
 
     logger.info('File search completed', { resultCount: files.length });
 
@@ -370,7 +898,8 @@ async function handleArchival(
 
     logger.info('Archival process completed', {
       archived: result.archived,
-      deleted: result.deleted
+      deleted: result.deleted,
+      prunedVersions: result.prunedVersions
     });
 
     const response = createSuccessResponse({
@@ -425,6 +954,80 @@ async function handleBulkOperation(
   }
 }
 
+/**
+ * Handle cost optimization report
+ */
+async function handleOptimizationReport(
+  optimizer: CostOptimizer,
+  logger: Logger
+): Promise<Response> {
+  logger.info('Generating cost optimization report');
+
+  const report = await optimizer.generateOptimizationReport();
+
+  logger.info('Cost optimization report generated', {
+    actions: report.actions.length,
+    totalSavings: report.optimizations.totalSavings
+  });
+
+  return Response.json(createSuccessResponse(report, logger.getRequestId()));
+}
+
+/**
+ * Handle cost optimization run. Runs are dry unless `dryRun: false` is sent.
+ */
+async function handleOptimization(
+  request: Request,
+  optimizer: CostOptimizer,
+  logger: Logger
+): Promise<Response> {
+  const body = await request.json() as {
+    dryRun?: boolean;
+    types?: OptimizationAction['type'][];
+    maxActions?: number;
+    maxFilesPerAction?: number;
+  };
+
+  const supportedTypes: OptimizationAction['type'][] = ['compress', 'deduplicate', 'archive', 'delete'];
+  if (body.types !== undefined &&
+      (!Array.isArray(body.types) || body.types.some(type => !supportedTypes.includes(type)))) {
+    throw new ApiError(`types must be a list of: ${supportedTypes.join(', ')}`, 400, 'INVALID_PARAMETER');
+  }
+  for (const limit of ['maxActions', 'maxFilesPerAction'] as const) {
+    const value = body[limit];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      throw new ApiError(`${limit} must be a positive integer`, 400, 'INVALID_PARAMETER');
+    }
+  }
+
+  const dryRun = body.dryRun !== false;
+  logger.info('Starting cost optimization', { dryRun, types: body.types });
+
+  const report = await optimizer.executeOptimizations({
+    dryRun,
+    types: body.types,
+    maxActions: body.maxActions,
+    maxFilesPerAction: body.maxFilesPerAction
+  });
+
+  logger.info('Cost optimization completed', {
+    dryRun,
+    actions: report.actions.length,
+    savedBytes: report.savedBytes,
+    errors: report.errors.length
+  });
+
+  return Response.json(createSuccessResponse({
+    ...report,
+    formattedSavings: {
+      storedBefore: formatBytes(report.before.storedSize),
+      storedAfter: formatBytes(report.after.storedSize),
+      saved: formatBytes(Math.max(0, report.savedBytes)),
+      monthlySavings: `$${report.monthlySavings.toFixed(2)}`
+    }
+  }, logger.getRequestId()));
+}
+
 /**
  * Helper function to format bytes
  */
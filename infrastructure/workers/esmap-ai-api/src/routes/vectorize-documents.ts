@@ -0,0 +1,212 @@
+/**
+ * Document Indexing Routes
+ * Chunk stored reports into the Vectorize index and inspect what was indexed
+ */
+
+import type { Env } from '../types';
+import type { Logger } from '../utils/logger';
+import { ApiError, createSuccessResponse } from '../utils/error-handler';
+import { AuthService, AuthContext } from '../auth/auth-service';
+import { createStorageManager } from './storage';
+import { VectorizeManager } from '../vectorize/vectorize-manager';
+import { DocumentIndexer } from '../vectorize/document-indexer';
+import { MAX_CHUNK_SIZE, MIN_CHUNK_SIZE } from '../vectorize/document-chunker';
+import {
+  DocumentIndexRequest,
+  DocumentIndexStatus,
+  DocumentMetadata,
+  EmbeddingModel,
+  EmbeddingType,
+  EnergyDataCategory
+} from '../vectorize/types';
+
+const INDEX_STATUSES: DocumentIndexStatus[] = ['pending', 'indexing', 'indexed', 'failed'];
+const GEOGRAPHIC_SCOPES = ['global', 'regional', 'national', 'subnational'];
+
+export function createDocumentIndexer(env: Env): DocumentIndexer {
+  if (!env.DATA_BUCKET || !env.VECTORIZE_INDEX || !env.CACHE) {
+    throw new ApiError('Document indexing needs the R2 bucket, Vectorize index and cache bindings', 503, 'INDEXING_NOT_CONFIGURED');
+  }
+
+  const storage = createStorageManager({ ...env, DATA_BUCKET: env.DATA_BUCKET });
+  const vectors = new VectorizeManager(env.VECTORIZE_INDEX, env.DB, env.CACHE, undefined, env.AI);
+  return new DocumentIndexer(env.DB, storage, vectors);
+}
+
+export async function handleVectorizeDocumentsRoute(
+  request: Request,
+  env: Env,
+  logger: Logger,
+  path: string
+): Promise<Response> {
+  const url = new URL(request.url);
+  // Remove 'api/v1/vectorize/documents' from path
+  const [datasetId, action] = path.split('/').filter(Boolean).slice(4);
+  const indexer = createDocumentIndexer(env);
+
+  if (!datasetId) {
+    if (request.method === 'GET') {
+      const status = url.searchParams.get('status') || undefined;
+      if (status && !INDEX_STATUSES.includes(status as DocumentIndexStatus)) {
+        throw new ApiError(`status must be one of: ${INDEX_STATUSES.join(', ')}`, 400, 'INVALID_PARAMETER');
+      }
+
+      const documents = await indexer.listDocuments({
+        status: status as DocumentIndexStatus | undefined,
+        limit: parseInt(url.searchParams.get('limit') || '50', 10),
+        offset: parseInt(url.searchParams.get('offset') || '0', 10)
+      });
+      return Response.json(createSuccessResponse(documents, logger.getRequestId()));
+    }
+
+    requireMethod(request, 'POST');
+    const auth = await requireAuth(request, env);
+    const body = parseIndexRequest(await request.json());
+
+    logger.info('Document indexing requested', { fileId: body.file_id, userId: auth.user.id });
+
+    const document = await indexer.indexFile(body, auth.user.id);
+    return Response.json(createSuccessResponse(document, logger.getRequestId()), { status: 201 });
+  }
+
+  switch (action) {
+    case undefined: {
+      if (request.method === 'DELETE') {
+        const auth = await requireAuth(request, env);
+        logger.info('Document removal requested', { datasetId, userId: auth.user.id });
+
+        const removed = await indexer.removeDocument(datasetId);
+        return Response.json(createSuccessResponse({ datasetId, chunksRemoved: removed }, logger.getRequestId()));
+      }
+
+      requireMethod(request, 'GET');
+      const document = await indexer.getDocument(datasetId);
+      if (!document) {
+        throw new ApiError(`Document not indexed: ${datasetId}`, 404, 'DOCUMENT_NOT_FOUND');
+      }
+      return Response.json(createSuccessResponse(document, logger.getRequestId()));
+    }
+
+    case 'chunks': {
+      requireMethod(request, 'GET');
+      const chunks = await indexer.listChunks(datasetId, {
+        limit: Math.min(parseInt(url.searchParams.get('limit') || '50', 10), 200),
+        offset: parseInt(url.searchParams.get('offset') || '0', 10)
+      });
+      return Response.json(createSuccessResponse(chunks, logger.getRequestId()));
+    }
+
+    case 'reindex': {
+      requireMethod(request, 'POST');
+      const auth = await requireAuth(request, env);
+      logger.info('Document re-index requested', { datasetId, userId: auth.user.id });
+
+      const document = await indexer.reindex(datasetId);
+      return Response.json(createSuccessResponse(document, logger.getRequestId()));
+    }
+
+    default:
+      throw new ApiError(`Document endpoint not found: ${action}`, 404, 'NOT_FOUND');
+  }
+}
+
+async function requireAuth(request: Request, env: Env): Promise<AuthContext> {
+  const auth = await new AuthService(env).authenticate(request);
+  if (!auth) {
+    throw new ApiError('Authentication required', 401, 'UNAUTHENTICATED');
+  }
+  return auth;
+}
+
+function requireMethod(request: Request, method: string): void {
+  if (request.method !== method) {
+    throw new ApiError('Method not allowed', 405, 'METHOD_NOT_ALLOWED');
+  }
+}
+
+function parseIndexRequest(body: any): DocumentIndexRequest {
+  if (typeof body?.file_id !== 'string' || !body.file_id) {
+    throw new ApiError('file_id is required', 400, 'INVALID_PARAMETER');
+  }
+
+  const chunkSize = body.chunk_size;
+  if (chunkSize !== undefined && (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE)) {
+    throw new ApiError(`chunk_size must be an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE}`, 400, 'INVALID_PARAMETER');
+  }
+
+  const overlap = body.chunk_overlap;
+  const maxOverlap = Math.floor((chunkSize ?? MAX_CHUNK_SIZE) / 2);
+  if (overlap !== undefined && (!Number.isInteger(overlap) || overlap < 0 || overlap > maxOverlap)) {
+    throw new ApiError(`chunk_overlap must be an integer from 0 to half the chunk size`, 400, 'INVALID_PARAMETER');
+  }
+
+  if (body.model !== undefined && !Object.values(EmbeddingModel).includes(body.model)) {
+    throw new ApiError(`Unknown embedding model: ${body.model}`, 400, 'INVALID_PARAMETER');
+  }
+
+  return {
+    file_id: body.file_id,
+    metadata: parseDocumentMetadata(body.metadata),
+    chunk_size: chunkSize,
+    chunk_overlap: overlap,
+    model: body.model
+  };
+}
+
+function parseDocumentMetadata(metadata: any): DocumentMetadata {
+  if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+    throw new ApiError('metadata is required, with at least a category', 400, 'INVALID_PARAMETER');
+  }
+
+  const errors: string[] = [];
+  const optionalString = (field: string) => {
+    if (metadata[field] !== undefined && typeof metadata[field] !== 'string') errors.push(`${field} must be a string`);
+  };
+  const optionalStrings = (field: string) => {
+    const value = metadata[field];
+    if (value !== undefined && (!Array.isArray(value) || value.some((item: unknown) => typeof item !== 'string'))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  };
+
+  if (!Object.values(EnergyDataCategory).includes(metadata.category)) {
+    errors.push(`category must be one of: ${Object.values(EnergyDataCategory).join(', ')}`);
+  }
+  if (metadata.type !== undefined && !Object.values(EmbeddingType).includes(metadata.type)) {
+    errors.push(`type must be one of: ${Object.values(EmbeddingType).join(', ')}`);
+  }
+  if (metadata.year !== undefined && (!Number.isInteger(metadata.year) || metadata.year < 1900 || metadata.year > 2100)) {
+    errors.push('year must be an integer from 1900 to 2100');
+  }
+  if (metadata.quality_score !== undefined && (typeof metadata.quality_score !== 'number' || metadata.quality_score < 0 || metadata.quality_score > 1)) {
+    errors.push('quality_score must be a number from 0 to 1');
+  }
+  if (metadata.geographic_scope !== undefined && !GEOGRAPHIC_SCOPES.includes(metadata.geographic_scope)) {
+    errors.push(`geographic_scope must be one of: ${GEOGRAPHIC_SCOPES.join(', ')}`);
+  }
+  ['source', 'country', 'indicator', 'language'].forEach(optionalString);
+  ['tags', 'energy_indicators', 'sdg_targets', 'esmap_program', 'partner_organizations'].forEach(optionalStrings);
+
+  if (errors.length > 0) {
+    throw new ApiError(`Invalid metadata: ${errors.join('; ')}`, 400, 'INVALID_PARAMETER');
+  }
+
+  return {
+    type: metadata.type ?? EmbeddingType.DOCUMENT,
+    category: metadata.category,
+    source: metadata.source,
+    country: metadata.country,
+    indicator: metadata.indicator,
+    year: metadata.year,
+    language: metadata.language,
+    quality_score: metadata.quality_score,
+    tags: metadata.tags ?? [],
+    energy_indicators: metadata.energy_indicators,
+    sdg_targets: metadata.sdg_targets,
+    geographic_scope: metadata.geographic_scope,
+    temporal_scope: metadata.temporal_scope,
+    data_quality: metadata.data_quality,
+    esmap_program: metadata.esmap_program,
+    partner_organizations: metadata.partner_organizations
+  };
+}
@@ -12,33 +12,141 @@ import {
   HybridSearchQuery,
   EmbeddingType,
   EnergyDataCategory,
-  EmbeddingModel
+  EmbeddingModel,
+  SearchEvaluationRequest,
+  SearchEvaluationMethod
 } from '../vectorize/types';
+import { SearchEvaluator } from '../vectorize/search-evaluator';
+import { ApiError } from '../utils/error-handler';
+
+const SEARCH_CONFIG = {
+  default_top_k: 10,
+  max_top_k: 100,
+  similarity_threshold: 0.7,
+  cache_results: true,
+  cache_ttl_seconds: 3600
+};
+
+const MAX_EVALUATION_QUERIES = 100;
+const MAX_EVALUATION_K = 50;
 
 interface Env {
   VECTORIZE_INDEX: Vectorize;
   DB: D1Database;
   CACHE: KVNamespace;
+  AI?: Ai;
 }
 
 export class VectorizeRoutes {
   private vectorizeManager: VectorizeManager;
+  private searchEvaluator: SearchEvaluator;
 
   constructor(env: Env) {
-    this.vectorizeManager = new VectorizeManager(
-      env.VECTORIZE_INDEX,
-      env.DB,
-      env.CACHE,
-      {
-        default_top_k: 10,
-        max_top_k: 100,
-        similarity_threshold: 0.7,
-        cache_results: true,
-        cache_ttl_seconds: 3600
-      }
+    this.vectorizeManager = new VectorizeManager(env.VECTORIZE_INDEX, env.DB, env.CACHE, SEARCH_CONFIG, env.AI);
+
+    // Evaluations search like the public endpoints, but bypass the result cache and stay out of query_analytics
+    this.searchEvaluator = new SearchEvaluator(
+      new VectorizeManager(
+        env.VECTORIZE_INDEX,
+        env.DB,
+        env.CACHE,
+        { ...SEARCH_CONFIG, cache_results: false, log_query_analytics: false },
+        env.AI
+      ),
+      env.DB
     );
   }
 
+  /**
+   * Error response for a failed operation: ApiErrors (unknown model, dimension
+   * mismatch) keep their status and code, anything else is a 500
+   */
+  private errorResponse(error: unknown, message: string): Response {
+    const apiError = error instanceof ApiError ? error : null;
+    return new Response(JSON.stringify({
+      success: false,
+      error: apiError ? apiError.message : message,
+      code: apiError?.code,
+      details: error instanceof Error ? error.message : 'Unknown error'
+    }), {
+      status: apiError ? apiError.statusCode : 500,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  /**
+   * Problem with a hybrid search's fusion options, if any
+   */
+  private validateHybridOptions(body: HybridSearchQuery): string | null {
+    if (body.topK !== undefined && (body.topK < 1 || body.topK > 100)) {
+      return 'topK must be between 1 and 100';
+    }
+    if (body.keywords !== undefined && (!Array.isArray(body.keywords) || body.keywords.some(keyword => typeof keyword !== 'string'))) {
+      return 'keywords must be an array of strings';
+    }
+    for (const field of ['keyword_weight', 'vector_weight'] as const) {
+      const weight = body[field];
+      if (weight !== undefined && (typeof weight !== 'number' || weight < 0 || weight > 1)) {
+        return `${field} must be a number between 0 and 1`;
+      }
+    }
+    if (body.combine_method !== undefined && !['weighted_sum', 'rrf', 'linear_combination'].includes(body.combine_method)) {
+      return 'combine_method must be one of: weighted_sum, rrf, linear_combination';
+    }
+    return null;
+  }
+
+  /**
+   * Problem with a judged query set, if any
+   */
+  private validateEvaluationRequest(body: SearchEvaluationRequest): string | null {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return 'name is required';
+    }
+    if (!Array.isArray(body.queries) || body.queries.length === 0) {
+      return 'queries array is required and must not be empty';
+    }
+    if (body.queries.length > MAX_EVALUATION_QUERIES) {
+      return `Maximum ${MAX_EVALUATION_QUERIES} queries allowed per evaluation`;
+    }
+    if (body.k !== undefined && (!Number.isInteger(body.k) || body.k < 1 || body.k > MAX_EVALUATION_K)) {
+      return `k must be an integer between 1 and ${MAX_EVALUATION_K}`;
+    }
+    if (body.methods !== undefined && (
+      !Array.isArray(body.methods) || body.methods.length === 0 ||
+      body.methods.some(method => method !== 'vector' && method !== 'hybrid')
+    )) {
+      return 'methods must be a non-empty array of: vector, hybrid';
+    }
+
+    const ids = new Set<string>();
+    for (const [index, query] of body.queries.entries()) {
+      if (typeof query?.id !== 'string' || !query.id || ids.has(query.id)) {
+        return `queries[${index}].id must be a unique string`;
+      }
+      ids.add(query.id);
+      if (typeof query.query !== 'string' || !query.query.trim()) {
+        return `queries[${index}].query is required`;
+      }
+      if (!Array.isArray(query.judgments) || query.judgments.length === 0) {
+        return `queries[${index}].judgments must be a non-empty array`;
+      }
+      for (const judgment of query.judgments) {
+        if (typeof judgment?.document_id !== 'string' || !judgment.document_id) {
+          return `queries[${index}].judgments need a document_id`;
+        }
+        if (!Number.isInteger(judgment.relevance) || judgment.relevance < 0 || judgment.relevance > 3) {
+          return `queries[${index}].judgments relevance must be an integer from 0 to 3`;
+        }
+      }
+      if (!query.judgments.some(judgment => judgment.relevance > 0)) {
+        return `queries[${index}] has no document with relevance above 0`;
+      }
+    }
+
+    return this.validateHybridOptions(body);
+  }
+
   /**
    * Generate embeddings for text content
    * POST /api/v1/vectorize/embeddings
@@ -79,14 +187,7 @@ export class VectorizeRoutes {
       });
     } catch (error) {
       console.error('Embedding generation error:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Failed to generate embeddings',
-        details: error instanceof Error ? error.message : 'Unknown error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      return this.errorResponse(error, 'Failed to generate embeddings');
     }
   }
 
@@ -119,19 +220,7 @@ export class VectorizeRoutes {
         });
       }
 
-      // Validate vector dimensions
-      for (const vector of body.vectors) {
-        if (!vector.values || vector.values.length !== 1536) {
-          return new Response(JSON.stringify({
-            success: false,
-            error: 'All vectors must have exactly 1536 dimensions'
-          }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json' }
-          });
-        }
-      }
-
+      // Vector dimensions are checked against the index by the manager
       const result = await this.vectorizeManager.upsertVectors(body);
 
       return new Response(JSON.stringify({
@@ -143,14 +232,7 @@ export class VectorizeRoutes {
       });
     } catch (error) {
       console.error('Vector upsert error:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Failed to upsert vectors',
-        details: error instanceof Error ? error.message : 'Unknown error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      return this.errorResponse(error, 'Failed to upsert vectors');
     }
   }
 
@@ -173,16 +255,6 @@ export class VectorizeRoutes {
         });
       }
 
-      if (body.vector && body.vector.length !== 1536) {
-        return new Response(JSON.stringify({
-          success: false,
-          error: 'Vector must have exactly 1536 dimensions'
-        }), {
-          status: 400,
-          headers: { 'Content-Type': 'application/json' }
-        });
-      }
-
       if (body.topK && (body.topK < 1 || body.topK > 100)) {
         return new Response(JSON.stringify({
           success: false,
@@ -204,14 +276,7 @@ export class VectorizeRoutes {
       });
     } catch (error) {
       console.error('Vector search error:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Failed to perform vector search',
-        details: error instanceof Error ? error.message : 'Unknown error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      return this.errorResponse(error, 'Failed to perform vector search');
     }
   }
 
@@ -234,6 +299,17 @@ export class VectorizeRoutes {
         });
       }
 
+      const invalid = this.validateHybridOptions(body);
+      if (invalid) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: invalid
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
       const result = await this.vectorizeManager.hybridSearch(body);
 
       return new Response(JSON.stringify({
@@ -245,14 +321,7 @@ export class VectorizeRoutes {
       });
     } catch (error) {
       console.error('Hybrid search error:', error);
-      return new Response(JSON.stringify({
-        success: false,
-        error: 'Failed to perform hybrid search',
-        details: error instanceof Error ? error.message : 'Unknown error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      return this.errorResponse(error, 'Failed to perform hybrid search');
     }
   }
 
@@ -456,6 +525,112 @@ export class VectorizeRoutes {
     }
   }
 
+  /**
+   * Run a judged query set against vector and/or hybrid search and store the metrics
+   * POST /api/v1/vectorize/evaluate
+   */
+  async evaluateSearch(request: Request): Promise<Response> {
+    try {
+      const body = await request.json() as SearchEvaluationRequest;
+
+      const invalid = this.validateEvaluationRequest(body);
+      if (invalid) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: invalid
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const result = await this.searchEvaluator.evaluate(body);
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: result
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Search evaluation error:', error);
+      return this.errorResponse(error, 'Failed to evaluate search');
+    }
+  }
+
+  /**
+   * Evaluation runs, newest first
+   * GET /api/v1/vectorize/evaluations
+   */
+  async listEvaluations(request: Request): Promise<Response> {
+    try {
+      const url = new URL(request.url);
+      const method = url.searchParams.get('method') || undefined;
+
+      if (method && method !== 'vector' && method !== 'hybrid') {
+        return new Response(JSON.stringify({
+          success: false,
+          error: 'method must be one of: vector, hybrid'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const result = await this.searchEvaluator.listRuns({
+        querySet: url.searchParams.get('query_set') || undefined,
+        method: method as SearchEvaluationMethod | undefined,
+        limit: Math.min(parseInt(url.searchParams.get('limit') || '50'), 200)
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: result
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Evaluation list error:', error);
+      return this.errorResponse(error, 'Failed to list evaluations');
+    }
+  }
+
+  /**
+   * An evaluation run with its per-query results
+   * GET /api/v1/vectorize/evaluations/:id
+   */
+  async getEvaluation(request: Request): Promise<Response> {
+    try {
+      const url = new URL(request.url);
+      const pathParts = url.pathname.split('/');
+      const evaluationId = pathParts[pathParts.length - 1];
+
+      const result = await this.searchEvaluator.getRun(evaluationId);
+      if (!result) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: `Evaluation not found: ${evaluationId}`
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: result
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Evaluation lookup error:', error);
+      return this.errorResponse(error, 'Failed to get evaluation');
+    }
+  }
+
   /**
    * Health check for vectorize service
    * GET /api/v1/vectorize/health
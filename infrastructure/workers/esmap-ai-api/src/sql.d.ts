@@ -0,0 +1,5 @@
+// SQL files are bundled as text modules (see [[rules]] in wrangler.toml)
+declare module '*.sql' {
+  const sql: string;
+  export default sql;
+}
@@ -0,0 +1,96 @@
+/**
+ * Unit tests for file access rules by access level, owner and role
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { canAccessFile, assertFileAccess } from '../access-control';
+import { AccessLevel, FileAccessor, FileCategory, FileMetadata } from '../types';
+import { ApiError } from '../../utils/error-handler';
+import type { UserRole } from '../../database/models/types';
+
+const OWNER_ID = 7;
+
+function file(accessLevel: AccessLevel, uploadedBy: number | undefined = OWNER_ID): FileMetadata {
+  return {
+    id: 'file-1',
+    filename: 'energy-data/file-1',
+    originalName: 'tariffs.csv',
+    size: 10,
+    mimeType: 'text/csv',
+    uploadedAt: new Date(),
+    lastModified: new Date(),
+    tags: {},
+    category: FileCategory.ENERGY_DATA,
+    source: 'api-upload',
+    checksums: { md5: '', sha256: '' },
+    accessLevel,
+    uploadedBy
+  };
+}
+
+function user(role: UserRole, userId = 99): FileAccessor {
+  return { userId, role };
+}
+
+function denial(metadata: FileMetadata, accessor: FileAccessor, operation: 'read' | 'delete' | 'share'): ApiError {
+  try {
+    assertFileAccess(metadata, accessor, operation);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ApiError);
+    expect((error as ApiError).statusCode).toBe(403);
+    return error as ApiError;
+  }
+  throw new Error('Expected access to be denied');
+}
+
+describe('canAccessFile', () => {
+  it('lets any signed-in caller reach public and internal files', () => {
+    for (const level of [AccessLevel.PUBLIC, AccessLevel.INTERNAL]) {
+      expect(canAccessFile(file(level), user('viewer'))).toBe(true);
+    }
+  });
+
+  it('limits restricted files to admins, analysts and the owner', () => {
+    const restricted = file(AccessLevel.RESTRICTED);
+
+    expect(canAccessFile(restricted, user('admin'))).toBe(true);
+    expect(canAccessFile(restricted, user('analyst'))).toBe(true);
+    expect(canAccessFile(restricted, user('user'))).toBe(false);
+    expect(canAccessFile(restricted, user('viewer'))).toBe(false);
+    expect(canAccessFile(restricted, user('viewer', OWNER_ID))).toBe(true);
+  });
+
+  it('limits private files to admins and the owner', () => {
+    const privateFile = file(AccessLevel.PRIVATE);
+
+    expect(canAccessFile(privateFile, user('admin'))).toBe(true);
+    expect(canAccessFile(privateFile, user('analyst'))).toBe(false);
+    expect(canAccessFile(privateFile, user('user'))).toBe(false);
+    expect(canAccessFile(privateFile, user('user', OWNER_ID))).toBe(true);
+  });
+
+  it('grants files without a recorded owner by role only', () => {
+    const legacy = file(AccessLevel.PRIVATE, undefined);
+
+    expect(canAccessFile(legacy, user('user'))).toBe(false);
+    expect(canAccessFile(legacy, user('admin'))).toBe(true);
+  });
+
+  it('lets the worker itself reach every file', () => {
+    expect(canAccessFile(file(AccessLevel.PRIVATE), 'system')).toBe(true);
+  });
+});
+
+describe('assertFileAccess', () => {
+  it('denies reads and deletes the caller may not perform', () => {
+    expect(denial(file(AccessLevel.RESTRICTED), user('user'), 'read').code).toBe('FILE_ACCESS_DENIED');
+    expect(denial(file(AccessLevel.PRIVATE), user('analyst'), 'delete').code).toBe('FILE_ACCESS_DENIED');
+    expect(() => assertFileAccess(file(AccessLevel.RESTRICTED), user('analyst'), 'read')).not.toThrow();
+  });
+
+  it('never shares private files, even for their owner', () => {
+    expect(denial(file(AccessLevel.PRIVATE), user('user', OWNER_ID), 'share').code).toBe('FILE_NOT_SHAREABLE');
+    expect(denial(file(AccessLevel.PRIVATE), user('admin'), 'share').code).toBe('FILE_NOT_SHAREABLE');
+    expect(() => assertFileAccess(file(AccessLevel.RESTRICTED), user('user', OWNER_ID), 'share')).not.toThrow();
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for the XLSX reader, on workbooks zipped in the test
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { deflateRawSync } from 'zlib';
+import { XlsxReader } from '../xlsx-reader';
+import { ApiError } from '../../utils/error-handler';
+
+const WORKBOOK = '<workbook><sheets><sheet name="Tariffs" sheetId="1" r:id="rId1"/></sheets></workbook>';
+const RELATIONSHIPS = '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>';
+
+function sheetXml(rows: (string | number)[][]): string {
+  const cells = rows.map((row, index) => `<row r="${index + 1}">${row.map(value =>
+    typeof value === 'number'
+      ? `<c><v>${value}</v></c>`
+      : `<c t="inlineStr"><is><t>${value}</t></is></c>`
+  ).join('')}</row>`);
+  return `<worksheet><sheetData>${cells.join('')}</sheetData></worksheet>`;
+}
+
+/**
+ * A zip with every part deflated; CRCs are left at zero because the reader does not check them
+ */
+function zip(files: Record<string, string>): Uint8Array {
+  const locals: Buffer[] = [];
+  const centrals: Buffer[] = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(centrals.length / 2, 8);
+  eocd.writeUInt16LE(centrals.length / 2, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, directory, eocd]));
+}
+
+function workbook(sheet: string): Uint8Array {
+  return zip({
+    'xl/workbook.xml': WORKBOOK,
+    'xl/_rels/workbook.xml.rels': RELATIONSHIPS,
+    'xl/worksheets/sheet1.xml': sheet
+  });
+}
+
+describe('XlsxReader', () => {
+  it('reads sheet names and cell values', async () => {
+    const reader = new XlsxReader(workbook(sheetXml([['country', 'tariff'], ['KEN', 0.21]])));
+
+    expect(await reader.listSheets()).toEqual(['Tariffs']);
+    expect(await reader.readSheet()).toEqual({
+      name: 'Tariffs',
+      rows: [['country', 'tariff'], ['KEN', 0.21]],
+      complete: true
+    });
+  });
+
+  it('stops inflating once the workbook expands past the limit', async () => {
+    // About 2 MB of repeated text deflates to a few KB
+    const padding = `<!--${' '.repeat(2 * 1024 * 1024)}-->`;
+    const bytes = workbook(sheetXml([['country'], ['KEN']]) + padding);
+    expect(bytes.byteLength).toBeLessThan(64 * 1024);
+
+    const error = await new XlsxReader(bytes, 1024 * 1024).readSheet().catch(caught => caught);
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      statusCode: 422,
+      code: 'WORKBOOK_TOO_LARGE'
+    });
+
+    // The same workbook reads under a limit it fits in
+    expect((await new XlsxReader(bytes, 4 * 1024 * 1024).readSheet()).rows).toEqual([['country'], ['KEN']]);
+  });
+});
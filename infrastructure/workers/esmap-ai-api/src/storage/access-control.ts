@@ -0,0 +1,56 @@
+/**
+ * File Access Control
+ * Decides whether a caller may read, delete or share a file, from the file's
+ * access level, its owner and the caller's role.
+ */
+
+import { AccessLevel, FileAccessor, FileAccessOperation, FileMetadata } from './types';
+import { ApiError } from '../utils/error-handler';
+import type { UserRole } from '../database/models/types';
+
+// Roles that reach every file of a level regardless of who uploaded it
+const LEVEL_ROLES: Record<AccessLevel, UserRole[] | 'all'> = {
+  [AccessLevel.PUBLIC]: 'all',
+  [AccessLevel.INTERNAL]: 'all',
+  [AccessLevel.RESTRICTED]: ['admin', 'analyst'],
+  [AccessLevel.PRIVATE]: ['admin']
+};
+
+export function canAccessFile(metadata: FileMetadata, accessor: FileAccessor): boolean {
+  if (accessor === 'system') {
+    return true;
+  }
+
+  const roles = LEVEL_ROLES[metadata.accessLevel] ?? [];
+  if (roles === 'all' || roles.includes(accessor.role)) {
+    return true;
+  }
+  return metadata.uploadedBy !== undefined && metadata.uploadedBy === accessor.userId;
+}
+
+/**
+ * Levels whose files the accessor reaches whoever uploaded them, or 'all'.
+ * Lets queries narrow to readable files before canAccessFile has the final say.
+ */
+export function accessibleLevels(accessor: FileAccessor): AccessLevel[] | 'all' {
+  if (accessor === 'system') {
+    return 'all';
+  }
+  return (Object.keys(LEVEL_ROLES) as AccessLevel[]).filter(level => {
+    const roles = LEVEL_ROLES[level];
+    return roles === 'all' || roles.includes(accessor.role);
+  });
+}
+
+/**
+ * Throw unless the accessor may perform the operation. Private files are never
+ * shared, not even by their owner.
+ */
+export function assertFileAccess(metadata: FileMetadata, accessor: FileAccessor, operation: FileAccessOperation): void {
+  if (!canAccessFile(metadata, accessor)) {
+    throw new ApiError(`Access denied: ${metadata.accessLevel} file`, 403, 'FILE_ACCESS_DENIED');
+  }
+  if (operation === 'share' && metadata.accessLevel === AccessLevel.PRIVATE) {
+    throw new ApiError('Private files cannot be shared', 403, 'FILE_NOT_SHAREABLE');
+  }
+}
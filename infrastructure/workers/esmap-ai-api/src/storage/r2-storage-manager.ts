@@ -15,8 +15,54 @@ import {
   BulkOperation,
   FileCategory,
   AccessLevel,
-  RetentionPolicy
+  RetentionPolicy,
+  MultipartUploadOptions,
+  UploadSession,
+  UploadedPartInfo,
+  Dataset,
+  VersionDiff,
+  VersionRetentionPolicy,
+  FileShare,
+  ShareLinkOptions,
+  ShareRecipient,
+  TabularSchema,
+  TabularPreview,
+  ColumnMapping,
+  FileAccessor
 } from './types';
+import { ApiError } from '../utils/error-handler';
+import { accessibleLevels, assertFileAccess, canAccessFile } from './access-control';
+import { detectTabularFormat, parseTable, inferColumns, toRecords } from './tabular-preview';
+import { base64UrlEncode, base64UrlDecodeToString, hmacSign, hmacVerify } from '../auth/crypto';
+
+const MIB = 1024 * 1024;
+
+// R2 multipart limits: parts other than the last must be at least 5 MiB, at most 10,000 parts
+export const MIN_PART_SIZE = 5 * MIB;
+export const MAX_PART_SIZE = 95 * MIB; // stays under the Workers request body limit
+export const DEFAULT_PART_SIZE = 8 * MIB;
+const MAX_PARTS = 10000;
+
+// R2 aborts incomplete multipart uploads after 7 days; sessions expire a day earlier
+const UPLOAD_SESSION_TTL_MS = 6 * 24 * 60 * 60 * 1000;
+
+// Share links last a day unless asked otherwise, and never longer than 30 days
+export const DEFAULT_SHARE_TTL_SECONDS = 24 * 60 * 60;
+export const MAX_SHARE_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export const DEFAULT_PREVIEW_ROWS = 20;
+export const MAX_PREVIEW_ROWS = 200;
+// Schemas are inferred from at most this many rows, read from the start of the file
+const SCHEMA_SAMPLE_ROWS = 10000;
+// CSV and TSV are read from the start; JSON and XLSX have to be parsed whole
+const DELIMITED_SCAN_BYTES = 4 * MIB;
+const MAX_PARSED_FILE_SIZE = 16 * MIB;
+
+interface ShareTokenClaims {
+  sid: string; // share id
+  fid: string; // file id
+  exp: number; // seconds since epoch
+}
 
 export class R2StorageManager {
   private bucket: R2Bucket;
@@ -24,16 +70,20 @@ export class R2StorageManager {
   private cache: KVNamespace;
   private config: StorageConfig;
 
+  private signingSecret?: string;
+
   constructor(
     bucket: R2Bucket,
     metadataDB: D1Database,
     cache: KVNamespace,
-    config: StorageConfig
+    config: StorageConfig,
+    signingSecret?: string // HMAC key for share links
   ) {
     this.bucket = bucket;
     this.metadataDB = metadataDB;
     this.cache = cache;
     this.config = config;
+    this.signingSecret = signingSecret;
   }
 
   /**
@@ -51,6 +101,10 @@ export class R2StorageManager {
       // Validate file
       await this.validateFile(file, filename, options);
 
+      // A new version is stored under its dataset's category
+      const dataset = options.datasetId ? await this.requireDataset(options.datasetId) : null;
+      const category = dataset?.category ?? options.category;
+
       // Generate checksums
       const checksums = await this.generateChecksums(file);
 
@@ -65,7 +119,7 @@ export class R2StorageManager {
       }
 
       // Upload to R2
-      const r2Key = this.generateR2Key(fileId, options.category);
+      const r2Key = this.generateR2Key(fileId, category);
       
       await this.bucket.put(r2Key, finalData, {
         httpMetadata: {
@@ -76,7 +130,7 @@ export class R2StorageManager {
         customMetadata: {
           ...options.metadata,
           fileId,
-          category: options.category,
+          category,
           originalSize: originalSize.toString(),
           compressed: compressionInfo ? 'true' : 'false'
         }
@@ -92,19 +146,21 @@ export class R2StorageManager {
         uploadedAt: new Date(),
         lastModified: new Date(),
         tags: options.tags || {},
-        category: options.category,
+        category,
         source: options.metadata?.source || 'unknown',
         compression: compressionInfo,
         checksums,
         accessLevel: options.accessLevel,
-        retentionPolicy: options.retentionPolicy
+        uploadedBy: options.uploadedBy,
+        retentionPolicy: options.retentionPolicy,
+        datasetId: dataset?.id
       };
 
       // Store metadata in D1
       await this.storeMetadata(metadata);
 
       // Cache frequently accessed metadata
-      if (this.shouldCacheMetadata(options.category)) {
+      if (this.shouldCacheMetadata(category)) {
         await this.cache.put(`metadata:${fileId}`, JSON.stringify(metadata), {
           expirationTtl: 3600 // 1 hour
         });
@@ -116,7 +172,7 @@ export class R2StorageManager {
         fileId,
         timestamp: new Date(),
         status: 'success',
-        metadata: { size: originalSize, compressed: !!compressionInfo }
+        metadata: { size: originalSize, compressed: !!compressionInfo, datasetId: metadata.datasetId, version: metadata.version }
       });
 
       return metadata;
@@ -136,7 +192,7 @@ export class R2StorageManager {
   /**
    * Download a file from R2 with decompression
    */
-  async downloadFile(fileId: string, options: DownloadOptions = {}): Promise<{
+  async downloadFile(fileId: string, accessor: FileAccessor, options: DownloadOptions = {}): Promise<{
     data: ReadableStream;
     metadata: FileMetadata;
   }> {
@@ -147,8 +203,7 @@ export class R2StorageManager {
         throw new Error(`File not found: ${fileId}`);
       }
 
-      // Check access permissions
-      await this.checkAccessPermissions(metadata, 'read');
+      assertFileAccess(metadata, accessor, 'read');
 
       // Get file from R2
       const r2Object = await this.bucket.get(metadata.filename, {
@@ -195,23 +250,46 @@ export class R2StorageManager {
   /**
    * Delete a file from R2 and remove metadata
    */
-  async deleteFile(fileId: string): Promise<void> {
+  async deleteFile(fileId: string, accessor: FileAccessor): Promise<void> {
     try {
       const metadata = await this.getFileMetadata(fileId);
       if (!metadata) {
         throw new Error(`File not found: ${fileId}`);
       }
 
-      // Check access permissions
-      await this.checkAccessPermissions(metadata, 'delete');
+      assertFileAccess(metadata, accessor, 'delete');
+
+      // Deduplicated files share one object, which is kept while any of them remain
+      const sharers = await this.metadataDB.prepare(
+        'SELECT id FROM file_metadata WHERE filename = ? AND id != ? ORDER BY uploaded_at ASC, id ASC'
+      ).bind(metadata.filename, fileId).all();
+
+      if (sharers.results.length === 0) {
+        // Delete from R2
+        await this.bucket.delete(metadata.filename);
+
+        // Remove metadata from D1
+        await this.metadataDB.prepare(
+          'DELETE FROM file_metadata WHERE id = ?'
+        ).bind(fileId).run();
+      } else {
+        // The oldest remaining file takes over the object and the others reference it
+        const owner = sharers.results[0].id as string;
+        await this.metadataDB.batch([
+          this.metadataDB.prepare('DELETE FROM file_metadata WHERE id = ?').bind(fileId),
+          this.metadataDB.prepare('UPDATE file_metadata SET reference_of = NULL WHERE id = ?').bind(owner),
+          this.metadataDB.prepare(
+            'UPDATE file_metadata SET reference_of = ? WHERE filename = ? AND id != ?'
+          ).bind(owner, metadata.filename, owner)
+        ]);
+      }
 
-      // Delete from R2
-      await this.bucket.delete(metadata.filename);
+      if (metadata.datasetId) {
+        await this.refreshDatasetCurrent(metadata.datasetId);
+      }
 
-      // Remove metadata from D1
-      await this.metadataDB.prepare(
-        'DELETE FROM file_metadata WHERE id = ?'
-      ).bind(fileId).run();
+      // Links to a deleted file can never be used again
+      await this.metadataDB.prepare('DELETE FROM file_shares WHERE file_id = ?').bind(fileId).run();
 
       // Remove from cache
       await this.cache.delete(`metadata:${fileId}`);
@@ -237,12 +315,19 @@ export class R2StorageManager {
   }
 
   /**
-   * Search files based on metadata
+   * Search files based on metadata, among those the accessor may read
    */
-  async searchFiles(options: SearchOptions): Promise<FileMetadata[]> {
+  async searchFiles(options: SearchOptions, accessor: FileAccessor): Promise<FileMetadata[]> {
     let query = 'SELECT * FROM file_metadata WHERE 1=1';
     const params: any[] = [];
 
+    // Filtering in SQL keeps pages full; files the caller owns are readable at any level
+    const levels = accessibleLevels(accessor);
+    if (levels !== 'all' && accessor !== 'system') {
+      query += ` AND (access_level IN (${levels.map(() => '?').join(', ')}) OR uploaded_by = ?)`;
+      params.push(...levels, accessor.userId);
+    }
+
     if (options.category) {
       query += ' AND category = ?';
       params.push(options.category);
@@ -279,7 +364,9 @@ export class R2StorageManager {
 
     const results = await this.metadataDB.prepare(query).bind(...params).all();
     
-    return results.results.map(row => this.rowToMetadata(row));
+    return results.results
+      .map(row => this.rowToMetadata(row))
+      .filter(metadata => canAccessFile(metadata, accessor));
   }
 
   /**
@@ -291,7 +378,8 @@ export class R2StorageManager {
         category,
         COUNT(*) as count,
         SUM(size) as total_size,
-        SUM(CASE WHEN compression_info IS NOT NULL 
+        SUM(CASE WHEN reference_of IS NOT NULL THEN 0
+            WHEN compression_info IS NOT NULL 
             THEN json_extract(compression_info, '$.compressedSize') 
             ELSE size END) as compressed_size
       FROM file_metadata 
@@ -338,7 +426,7 @@ export class R2StorageManager {
   /**
    * Archive old files based on retention policy
    */
-  async archiveFiles(): Promise<{ archived: number; deleted: number }> {
+  async archiveFiles(): Promise<{ archived: number; deleted: number; prunedVersions: number }> {
     const now = new Date();
     const archiveQuery = `
       SELECT id FROM file_metadata 
@@ -353,6 +441,7 @@ export class R2StorageManager {
       WHERE retention_policy IS NOT NULL 
       AND json_extract(retention_policy, '$.deleteAfter') IS NOT NULL
       AND datetime(json_extract(retention_policy, '$.deleteAfter')) <= datetime('now')
+      AND id NOT IN (SELECT current_file_id FROM datasets WHERE current_file_id IS NOT NULL)
     `;
 
     const archiveResults = await this.metadataDB.prepare(archiveQuery).all();
@@ -374,20 +463,832 @@ export class R2StorageManager {
     // Delete files
     for (const row of deleteResults.results) {
       try {
-        await this.deleteFile(row.id as string);
+        await this.deleteFile(row.id as string, 'system');
         deleted++;
       } catch (error) {
         console.error(`Failed to delete file ${row.id}:`, error);
       }
     }
 
-    return { archived, deleted };
+    const prunedVersions = await this.pruneDatasetVersions(now);
+
+    return { archived, deleted, prunedVersions };
+  }
+
+  /**
+   * Start a resumable upload: an R2 multipart upload whose parts are tracked in D1
+   */
+  async createMultipartUpload(filename: string, options: MultipartUploadOptions): Promise<UploadSession> {
+    if (!Number.isInteger(options.size) || options.size <= 0) {
+      throw new ApiError('size must be a positive number of bytes', 400, 'INVALID_PARAMETER');
+    }
+    if (options.size > this.config.maxMultipartFileSize) {
+      throw new ApiError(
+        `File too large: ${options.size} bytes (max: ${this.config.maxMultipartFileSize})`,
+        413,
+        'FILE_TOO_LARGE'
+      );
+    }
+
+    const mimeType = this.getMimeType(filename);
+    if (!this.config.allowedMimeTypes.includes(mimeType) &&
+        !this.config.allowedMimeTypes.includes('*/*')) {
+      throw new ApiError(`File type not allowed: ${mimeType}`, 415, 'UNSUPPORTED_FILE_TYPE');
+    }
+
+    const partSize = options.partSize ?? Math.max(DEFAULT_PART_SIZE, Math.ceil(options.size / MAX_PARTS / MIB) * MIB);
+    if (!Number.isInteger(partSize) || partSize < MIN_PART_SIZE || partSize > MAX_PART_SIZE) {
+      throw new ApiError(`partSize must be between ${MIN_PART_SIZE} and ${MAX_PART_SIZE} bytes`, 400, 'INVALID_PARAMETER');
+    }
+
+    const totalParts = Math.ceil(options.size / partSize);
+    if (totalParts > MAX_PARTS) {
+      throw new ApiError(`partSize too small: a file is limited to ${MAX_PARTS} parts`, 400, 'INVALID_PARAMETER');
+    }
+
+    const dataset = options.datasetId ? await this.requireDataset(options.datasetId) : null;
+    const category = dataset?.category ?? options.category;
+
+    const fileId = this.generateFileId(filename);
+    const r2Key = this.generateR2Key(fileId, category);
+
+    const upload = await this.bucket.createMultipartUpload(r2Key, {
+      httpMetadata: {
+        contentType: mimeType,
+        cacheControl: this.getCacheControl(options.accessLevel)
+      },
+      customMetadata: {
+        ...options.metadata,
+        fileId,
+        category,
+        originalSize: options.size.toString(),
+        compressed: 'false'
+      }
+    });
+
+    const now = new Date();
+    const session: UploadSession = {
+      id: crypto.randomUUID(),
+      fileId,
+      r2Key,
+      uploadId: upload.uploadId,
+      originalName: filename,
+      mimeType,
+      size: options.size,
+      partSize,
+      totalParts,
+      category,
+      accessLevel: options.accessLevel,
+      tags: options.tags || {},
+      metadata: options.metadata || {},
+      status: 'uploading',
+      bytesUploaded: 0,
+      uploadedBy: options.uploadedBy,
+      datasetId: dataset?.id,
+      expiresAt: new Date(now.getTime() + UPLOAD_SESSION_TTL_MS),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.metadataDB.prepare(`
+      INSERT INTO upload_sessions (
+        id, file_id, r2_key, r2_upload_id, original_name, mime_type, size, part_size,
+        total_parts, category, access_level, tags, metadata, status, uploaded_by, dataset_id, expires_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      session.id,
+      session.fileId,
+      session.r2Key,
+      session.uploadId,
+      session.originalName,
+      session.mimeType,
+      session.size,
+      session.partSize,
+      session.totalParts,
+      session.category,
+      session.accessLevel,
+      JSON.stringify(session.tags),
+      JSON.stringify(session.metadata),
+      session.status,
+      session.uploadedBy ?? null,
+      session.datasetId ?? null,
+      session.expiresAt.toISOString()
+    ).run();
+
+    return session;
+  }
+
+  async getUploadSession(sessionId: string): Promise<UploadSession | null> {
+    const row = await this.metadataDB.prepare(
+      'SELECT * FROM upload_sessions WHERE id = ?'
+    ).bind(sessionId).first();
+
+    return row ? this.rowToUploadSession(row) : null;
+  }
+
+  /**
+   * Upload sessions, newest first; pass a user to list only theirs
+   */
+  async listUploadSessions(uploadedBy?: number, status?: string, limit: number = 50): Promise<UploadSession[]> {
+    let query = 'SELECT * FROM upload_sessions WHERE 1=1';
+    const params: any[] = [];
+
+    if (uploadedBy !== undefined) {
+      query += ' AND uploaded_by = ?';
+      params.push(uploadedBy);
+    }
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC LIMIT ?';
+    params.push(limit);
+
+    const results = await this.metadataDB.prepare(query).bind(...params).all();
+    return results.results.map(row => this.rowToUploadSession(row));
+  }
+
+  async listUploadedParts(sessionId: string): Promise<UploadedPartInfo[]> {
+    const results = await this.metadataDB.prepare(
+      'SELECT * FROM upload_parts WHERE session_id = ? ORDER BY part_number ASC'
+    ).bind(sessionId).all();
+
+    return results.results.map(row => ({
+      partNumber: row.part_number as number,
+      etag: row.etag as string,
+      size: row.size as number,
+      uploadedAt: new Date(row.uploaded_at as string)
+    }));
+  }
+
+  /**
+   * Store one numbered part. Re-sending a part replaces it, so an interrupted
+   * part can simply be uploaded again.
+   */
+  async uploadPart(
+    session: UploadSession,
+    partNumber: number,
+    body: ReadableStream | ArrayBuffer,
+    contentLength: number
+  ): Promise<{ part: UploadedPartInfo; bytesUploaded: number }> {
+    this.assertUploading(session);
+
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+      throw new ApiError(`Part number must be between 1 and ${session.totalParts}`, 400, 'INVALID_PART_NUMBER');
+    }
+
+    const expectedSize = partNumber < session.totalParts
+      ? session.partSize
+      : session.size - session.partSize * (session.totalParts - 1);
+    if (contentLength !== expectedSize) {
+      throw new ApiError(
+        `Part ${partNumber} must be exactly ${expectedSize} bytes (received ${contentLength})`,
+        400,
+        'PART_SIZE_MISMATCH'
+      );
+    }
+
+    const upload = this.bucket.resumeMultipartUpload(session.r2Key, session.uploadId);
+    const uploaded = await upload.uploadPart(partNumber, body);
+
+    const part: UploadedPartInfo = {
+      partNumber,
+      etag: uploaded.etag,
+      size: contentLength,
+      uploadedAt: new Date()
+    };
+
+    await this.metadataDB.batch([
+      this.metadataDB.prepare(`
+        INSERT INTO upload_parts (session_id, part_number, etag, size, uploaded_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (session_id, part_number) DO UPDATE SET
+          etag = excluded.etag,
+          size = excluded.size,
+          uploaded_at = excluded.uploaded_at
+      `).bind(session.id, partNumber, part.etag, part.size, part.uploadedAt.toISOString()),
+      this.metadataDB.prepare(`
+        UPDATE upload_sessions
+        SET bytes_uploaded = (SELECT COALESCE(SUM(size), 0) FROM upload_parts WHERE session_id = ?),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(session.id, session.id)
+    ]);
+
+    const progress = await this.metadataDB.prepare(
+      'SELECT bytes_uploaded FROM upload_sessions WHERE id = ?'
+    ).bind(session.id).first<{ bytes_uploaded: number }>();
+
+    return { part, bytesUploaded: progress?.bytes_uploaded ?? part.size };
+  }
+
+  /**
+   * Assemble the uploaded parts into the final object and register its metadata
+   */
+  async completeMultipartUpload(session: UploadSession): Promise<FileMetadata> {
+    this.assertUploading(session);
+
+    const parts = await this.listUploadedParts(session.id);
+    const received = new Set(parts.map(part => part.partNumber));
+    const missing: number[] = [];
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      if (!received.has(partNumber)) missing.push(partNumber);
+    }
+
+    if (missing.length > 0) {
+      const listed = missing.slice(0, 20).join(', ') + (missing.length > 20 ? ', ...' : '');
+      throw new ApiError(`Upload incomplete: ${missing.length} part(s) missing (${listed})`, 409, 'UPLOAD_INCOMPLETE');
+    }
+
+    try {
+      const upload = this.bucket.resumeMultipartUpload(session.r2Key, session.uploadId);
+      const object = await upload.complete(parts.map(part => ({ partNumber: part.partNumber, etag: part.etag })));
+
+      const completedAt = new Date();
+      const claimed = await this.metadataDB.prepare(`
+        UPDATE upload_sessions
+        SET status = 'completed', completed_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'uploading'
+      `).bind(completedAt.toISOString(), session.id).run();
+
+      if ((claimed.meta?.changes || 0) === 0) {
+        throw new ApiError('Upload was completed or aborted by another request', 409, 'UPLOAD_NOT_ACTIVE');
+      }
+
+      const metadata: FileMetadata = {
+        id: session.fileId,
+        filename: session.r2Key,
+        originalName: session.originalName,
+        size: object.size,
+        mimeType: session.mimeType,
+        uploadedAt: completedAt,
+        lastModified: completedAt,
+        tags: session.tags,
+        category: session.category,
+        source: session.metadata.source || 'unknown',
+        // R2 keeps no whole-object digest for multipart uploads
+        checksums: { md5: '', sha256: '' },
+        accessLevel: session.accessLevel,
+        uploadedBy: session.uploadedBy,
+        datasetId: session.datasetId
+      };
+
+      await this.storeMetadata(metadata);
+
+      await this.logOperation({
+        type: 'upload',
+        fileId: session.fileId,
+        timestamp: completedAt,
+        status: 'success',
+        metadata: { size: object.size, multipart: true, parts: parts.length, uploadSessionId: session.id }
+      });
+
+      return metadata;
+
+    } catch (error) {
+      await this.logOperation({
+        type: 'upload',
+        fileId: session.fileId,
+        timestamp: new Date(),
+        status: 'failed',
+        error: error instanceof Error ? error.message : 'Unknown error',
+        metadata: { multipart: true, uploadSessionId: session.id }
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Abandon an upload, discarding the parts stored in R2
+   */
+  async abortMultipartUpload(session: UploadSession): Promise<void> {
+    if (session.status !== 'uploading') {
+      throw new ApiError(`Upload is already ${session.status}`, 409, 'UPLOAD_NOT_ACTIVE');
+    }
+
+    await this.discardUploadSession(session, 'aborted');
+  }
+
+  /**
+   * Discard uploads left unfinished past their expiry. Returns how many were expired.
+   */
+  async expireStaleUploads(now: Date = new Date()): Promise<number> {
+    const results = await this.metadataDB.prepare(
+      "SELECT * FROM upload_sessions WHERE status = 'uploading' AND expires_at <= ?"
+    ).bind(now.toISOString()).all();
+
+    let expired = 0;
+    for (const row of results.results) {
+      try {
+        await this.discardUploadSession(this.rowToUploadSession(row), 'expired');
+        expired++;
+      } catch (error) {
+        console.error(`Failed to expire upload session ${row.id}:`, error);
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Datasets, most recently updated first
+   */
+  async listDatasets(options: { category?: FileCategory; limit?: number; offset?: number } = {}): Promise<Dataset[]> {
+    let query = 'SELECT * FROM datasets WHERE 1=1';
+    const params: any[] = [];
+
+    if (options.category) {
+      query += ' AND category = ?';
+      params.push(options.category);
+    }
+
+    query += ' ORDER BY updated_at DESC LIMIT ? OFFSET ?';
+    params.push(options.limit ?? 50, options.offset ?? 0);
+
+    const results = await this.metadataDB.prepare(query).bind(...params).all();
+    return results.results.map(row => this.rowToDataset(row));
+  }
+
+  async getDataset(datasetId: string): Promise<Dataset | null> {
+    const row = await this.metadataDB.prepare('SELECT * FROM datasets WHERE id = ?').bind(datasetId).first();
+    return row ? this.rowToDataset(row) : null;
+  }
+
+  /**
+   * Every version of a dataset, newest first
+   */
+  async listVersions(datasetId: string): Promise<FileMetadata[]> {
+    const results = await this.metadataDB.prepare(
+      'SELECT * FROM file_metadata WHERE dataset_id = ? ORDER BY version DESC'
+    ).bind(datasetId).all();
+
+    return results.results.map(row => this.rowToMetadata(row));
+  }
+
+  async getVersion(datasetId: string, version: number): Promise<FileMetadata | null> {
+    const row = await this.metadataDB.prepare(
+      'SELECT * FROM file_metadata WHERE dataset_id = ? AND version = ?'
+    ).bind(datasetId, version).first();
+
+    return row ? this.rowToMetadata(row) : null;
+  }
+
+  /**
+   * Compare the metadata and checksums of two versions
+   */
+  async diffVersions(datasetId: string, from: number, to: number): Promise<VersionDiff> {
+    const [a, b] = await Promise.all([this.requireVersion(datasetId, from), this.requireVersion(datasetId, to)]);
+
+    const fields: [string, (file: FileMetadata) => unknown][] = [
+      ['originalName', file => file.originalName],
+      ['size', file => file.size],
+      ['mimeType', file => file.mimeType],
+      ['checksums.md5', file => file.checksums.md5 || null],
+      ['checksums.sha256', file => file.checksums.sha256 || null],
+      ['source', file => file.source],
+      ['accessLevel', file => file.accessLevel],
+      ['uploadedAt', file => file.uploadedAt.toISOString()],
+      ['promotedFrom', file => file.promotedFrom ?? null]
+    ];
+
+    const changes: VersionDiff['changes'] = [];
+    for (const [field, read] of fields) {
+      if (read(a) !== read(b)) {
+        changes.push({ field, from: read(a), to: read(b) });
+      }
+    }
+
+    for (const key of new Set([...Object.keys(a.tags), ...Object.keys(b.tags)])) {
+      if (a.tags[key] !== b.tags[key]) {
+        changes.push({ field: `tags.${key}`, from: a.tags[key] ?? null, to: b.tags[key] ?? null });
+      }
+    }
+
+    // Multipart and stream uploads carry no content checksum
+    const comparable = a.checksums.sha256?.length === 64 && b.checksums.sha256?.length === 64;
+
+    return {
+      datasetId,
+      from,
+      to,
+      identicalContent: comparable ? a.checksums.sha256 === b.checksums.sha256 : null,
+      changes
+    };
+  }
+
+  /**
+   * Restore an older version by storing it again as the dataset's newest version.
+   * Versions stay immutable: the new version shares the older one's stored object.
+   */
+  async promoteVersion(datasetId: string, version: number, accessor: FileAccessor): Promise<FileMetadata> {
+    const dataset = await this.requireDataset(datasetId);
+    const source = await this.requireVersion(datasetId, version);
+    assertFileAccess(source, accessor, 'read');
+
+    if (version === dataset.currentVersion) {
+      throw new ApiError(`Version ${version} is already the current version`, 409, 'VERSION_ALREADY_CURRENT');
+    }
+
+    const now = new Date();
+    const metadata: FileMetadata = {
+      ...source,
+      id: this.generateFileId(source.originalName),
+      uploadedAt: now,
+      lastModified: now,
+      referenceOf: source.referenceOf ?? source.id,
+      promotedFrom: version,
+      version: undefined
+    };
+
+    await this.storeMetadata(metadata);
+
+    await this.logOperation({
+      type: 'promote',
+      fileId: metadata.id,
+      timestamp: now,
+      status: 'success',
+      metadata: {
+        datasetId,
+        version: metadata.version,
+        promotedFrom: version,
+        sourceFileId: source.id,
+        promotedBy: accessor === 'system' ? undefined : accessor.userId
+      }
+    });
+
+    return metadata;
+  }
+
+  /**
+   * Set a dataset's version retention policy; null falls back to the storage default
+   */
+  async setVersionRetention(datasetId: string, policy: VersionRetentionPolicy | null): Promise<Dataset> {
+    await this.requireDataset(datasetId);
+
+    await this.metadataDB.prepare(
+      'UPDATE datasets SET retention_policy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).bind(policy ? JSON.stringify(policy) : null, datasetId).run();
+
+    return (await this.getDataset(datasetId))!;
+  }
+
+  /**
+   * Delete versions that their dataset's retention policy no longer keeps.
+   * The current version and versions with a permanent retention policy are never pruned.
+   */
+  async pruneDatasetVersions(now: Date = new Date()): Promise<number> {
+    const defaults = this.config.versionRetention;
+    const query = `
+      SELECT id FROM (
+        SELECT f.id, f.version, f.retention_policy, d.current_version,
+               ROW_NUMBER() OVER (PARTITION BY f.dataset_id ORDER BY f.version DESC) AS recency,
+               LEAD(f.uploaded_at) OVER (PARTITION BY f.dataset_id ORDER BY f.version ASC) AS superseded_at,
+               COALESCE(json_extract(d.retention_policy, '$.keepVersions'), ?) AS keep_versions,
+               COALESCE(json_extract(d.retention_policy, '$.deleteAfterDays'), ?) AS delete_after_days
+        FROM file_metadata f
+        JOIN datasets d ON d.id = f.dataset_id
+      )
+      WHERE version != current_version
+      AND (retention_policy IS NULL OR json_extract(retention_policy, '$.type') != 'permanent')
+      AND (
+        (keep_versions IS NOT NULL AND recency > keep_versions + 1)
+        OR (delete_after_days IS NOT NULL AND superseded_at IS NOT NULL
+            AND datetime(superseded_at) <= datetime(?, '-' || delete_after_days || ' days'))
+      )
+    `;
+
+    const results = await this.metadataDB.prepare(query).bind(
+      defaults.keepVersions ?? null,
+      defaults.deleteAfterDays ?? null,
+      now.toISOString()
+    ).all();
+
+    let pruned = 0;
+    for (const row of results.results) {
+      try {
+        await this.deleteFile(row.id as string, 'system');
+        pruned++;
+      } catch (error) {
+        console.error(`Failed to prune version ${row.id}:`, error);
+      }
+    }
+
+    return pruned;
+  }
+
+  /**
+   * Create a signed download link for a file. The token is not stored: it is
+   * only returned here, and the share is revoked through its id.
+   */
+  async createShareLink(
+    fileId: string,
+    options: ShareLinkOptions,
+    accessor: FileAccessor
+  ): Promise<{ share: FileShare; token: string }> {
+    const secret = this.requireSigningSecret();
+
+    const metadata = await this.getFileMetadata(fileId);
+    if (!metadata) {
+      throw new ApiError(`File not found: ${fileId}`, 404, 'FILE_NOT_FOUND');
+    }
+    assertFileAccess(metadata, accessor, 'share');
+
+    const createdBy = accessor === 'system' ? undefined : accessor.userId;
+    const now = new Date();
+    const share: FileShare = {
+      id: crypto.randomUUID(),
+      fileId,
+      createdBy,
+      expiresAt: new Date(now.getTime() + (options.expiresIn ?? DEFAULT_SHARE_TTL_SECONDS) * 1000),
+      maxDownloads: options.maxDownloads,
+      downloadCount: 0,
+      allowedIps: options.allowedIps?.length ? options.allowedIps : undefined,
+      allowedEmail: options.allowedEmail?.trim().toLowerCase() || undefined,
+      note: options.note,
+      createdAt: now
+    };
+
+    await this.metadataDB.prepare(`
+      INSERT INTO file_shares (
+        id, file_id, created_by, expires_at, max_downloads, allowed_ips, allowed_email, note, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      share.id,
+      fileId,
+      createdBy ?? null,
+      share.expiresAt.toISOString(),
+      share.maxDownloads ?? null,
+      share.allowedIps ? JSON.stringify(share.allowedIps) : null,
+      share.allowedEmail ?? null,
+      share.note ?? null,
+      now.toISOString()
+    ).run();
+
+    await this.logOperation({
+      type: 'share',
+      fileId,
+      timestamp: now,
+      status: 'success',
+      metadata: {
+        shareId: share.id,
+        createdBy,
+        expiresAt: share.expiresAt.toISOString(),
+        maxDownloads: share.maxDownloads,
+        allowedIps: share.allowedIps,
+        allowedEmail: share.allowedEmail
+      }
+    });
+
+    const token = await signShareToken({
+      sid: share.id,
+      fid: fileId,
+      exp: Math.floor(share.expiresAt.getTime() / 1000)
+    }, secret);
+
+    return { share, token };
+  }
+
+  /**
+   * Share links of a file, for callers who may read it. Links of a file made
+   * private since they were created can still be listed and revoked.
+   */
+  async listShareLinks(fileId: string, accessor: FileAccessor): Promise<FileShare[]> {
+    const metadata = await this.getFileMetadata(fileId);
+    if (!metadata) {
+      throw new ApiError(`File not found: ${fileId}`, 404, 'FILE_NOT_FOUND');
+    }
+    assertFileAccess(metadata, accessor, 'read');
+
+    const results = await this.metadataDB.prepare(
+      'SELECT * FROM file_shares WHERE file_id = ? ORDER BY created_at DESC'
+    ).bind(fileId).all();
+
+    return results.results.map(row => this.rowToFileShare(row));
+  }
+
+  async getShareLink(shareId: string): Promise<FileShare | null> {
+    const row = await this.metadataDB.prepare(
+      'SELECT * FROM file_shares WHERE id = ?'
+    ).bind(shareId).first();
+
+    return row ? this.rowToFileShare(row) : null;
+  }
+
+  async revokeShareLink(shareId: string, accessor: FileAccessor): Promise<FileShare> {
+    const existing = await this.getShareLink(shareId);
+    if (!existing) {
+      throw new ApiError(`Share link not found: ${shareId}`, 404, 'SHARE_NOT_FOUND');
+    }
+    const metadata = await this.getFileMetadata(existing.fileId);
+    if (!metadata) {
+      throw new ApiError(`File not found: ${existing.fileId}`, 404, 'FILE_NOT_FOUND');
+    }
+    assertFileAccess(metadata, accessor, 'read');
+
+    await this.metadataDB.prepare(
+      'UPDATE file_shares SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'
+    ).bind(new Date().toISOString(), shareId).run();
+
+    return (await this.getShareLink(shareId)) ?? existing;
+  }
+
+  /**
+   * Download a file through a share link. Every attempt with a validly signed
+   * token is logged, including refused ones; a download only counts against
+   * the share's limit when the file is actually served.
+   */
+  async redeemShareLink(
+    token: string,
+    recipient: ShareRecipient,
+    options: DownloadOptions = {}
+  ): Promise<{ data: ReadableStream; metadata: FileMetadata; share: FileShare }> {
+    const claims = await verifyShareToken(token, this.requireSigningSecret());
+    if (!claims) {
+      throw new ApiError('Invalid share link', 403, 'INVALID_SHARE_LINK');
+    }
+
+    const now = new Date();
+    const logUse = (status: 'success' | 'failed', error?: string) => this.logOperation({
+      type: 'share-download',
+      fileId: claims.fid,
+      timestamp: now,
+      status,
+      error,
+      metadata: { shareId: claims.sid, ip: recipient.ip, email: recipient.email }
+    });
+
+    const share = await this.getShareLink(claims.sid);
+    const refusal = this.checkShareUse(share, claims, recipient, now);
+    if (refusal) {
+      await logUse('failed', refusal.message);
+      throw refusal;
+    }
+
+    // Claim the download atomically so concurrent requests cannot exceed the limit
+    const claim = await this.metadataDB.prepare(`
+      UPDATE file_shares SET download_count = download_count + 1, last_used_at = ?
+      WHERE id = ? AND revoked_at IS NULL AND (max_downloads IS NULL OR download_count < max_downloads)
+    `).bind(now.toISOString(), claims.sid).run();
+
+    if (!claim.meta?.changes) {
+      const exhausted = new ApiError('Share link has reached its download limit', 410, 'SHARE_EXHAUSTED');
+      await logUse('failed', exhausted.message);
+      throw exhausted;
+    }
+
+    try {
+      // The signed token is the credential, so the file is served with the worker's own access
+      const { data, metadata } = await this.downloadFile(claims.fid, 'system', options);
+      await logUse('success');
+
+      return {
+        data,
+        metadata,
+        share: { ...share!, downloadCount: share!.downloadCount + 1, lastUsedAt: now }
+      };
+    } catch (error) {
+      await this.metadataDB.prepare(
+        'UPDATE file_shares SET download_count = download_count - 1 WHERE id = ?'
+      ).bind(claims.sid).run();
+      await logUse('failed', error instanceof Error ? error.message : 'Unknown error');
+      throw error;
+    }
+  }
+
+  /**
+   * The first rows of a CSV, TSV, JSON or XLSX file with its inferred column
+   * schema. The schema is inferred once and cached in the file's metadata;
+   * asking for zero rows then answers without reading the file.
+   */
+  async previewFile(
+    fileId: string,
+    accessor: FileAccessor,
+    options: { rows?: number; sheet?: string } = {}
+  ): Promise<TabularPreview> {
+    const metadata = await this.getFileMetadata(fileId);
+    if (!metadata) {
+      throw new ApiError(`File not found: ${fileId}`, 404, 'FILE_NOT_FOUND');
+    }
+    assertFileAccess(metadata, accessor, 'read');
+
+    const format = detectTabularFormat(metadata.originalName, metadata.mimeType);
+    if (!format) {
+      throw new ApiError('Preview is available for CSV, TSV, JSON and XLSX files', 415, 'UNSUPPORTED_PREVIEW_FORMAT');
+    }
+
+    const rowLimit = options.rows ?? DEFAULT_PREVIEW_ROWS;
+    // Only the first sheet's schema is cached
+    const cached = metadata.schema && (options.sheet === undefined || options.sheet === metadata.schema.sheet)
+      ? metadata.schema
+      : undefined;
+
+    if (cached && rowLimit === 0) {
+      return { ...cached, fileId, rows: [], cached: true };
+    }
+
+    const parsedWhole = format === 'json' || format === 'xlsx';
+    if (parsedWhole && metadata.size > MAX_PARSED_FILE_SIZE) {
+      throw new ApiError(
+        `${format.toUpperCase()} files over ${MAX_PARSED_FILE_SIZE / MIB} MB cannot be previewed`,
+        413,
+        'FILE_TOO_LARGE_FOR_PREVIEW'
+      );
+    }
+
+    const { bytes, truncated } = await this.readObjectHead(metadata, parsedWhole ? Infinity : DELIMITED_SCAN_BYTES);
+    const table = await parseTable(bytes, format, {
+      maxRows: cached ? rowLimit : Math.max(rowLimit, SCHEMA_SAMPLE_ROWS),
+      truncated,
+      sheet: options.sheet
+    });
+
+    let schema = cached;
+    if (!schema) {
+      schema = {
+        format,
+        sheet: table.sheet,
+        columns: inferColumns(table),
+        rowsScanned: table.rows.length,
+        complete: table.complete,
+        inferredAt: new Date().toISOString()
+      };
+
+      if (options.sheet === undefined || options.sheet === table.sheets?.[0]) {
+        await this.saveSchema(fileId, schema);
+      }
+    }
+
+    return {
+      ...schema,
+      fileId,
+      sheets: table.sheets,
+      rows: toRecords(table, schema.columns, rowLimit),
+      cached: !!cached
+    };
+  }
+
+  /**
+   * Record how a file's columns map onto ETL target fields, alongside its cached schema
+   */
+  async setColumnMappings(fileId: string, mappings: ColumnMapping[], accessor: FileAccessor): Promise<TabularSchema> {
+    // Infers and caches the schema if the file has not been previewed yet
+    await this.previewFile(fileId, accessor, { rows: 0 });
+    const schema = (await this.getFileMetadata(fileId))!.schema!;
+
+    const columns = new Set(schema.columns.map(column => column.name));
+    const unknown = mappings.filter(mapping => !columns.has(mapping.sourceField));
+    if (unknown.length > 0) {
+      throw new ApiError(
+        `Unknown columns: ${unknown.map(mapping => mapping.sourceField).join(', ')}`,
+        400,
+        'UNKNOWN_COLUMN'
+      );
+    }
+
+    const updated: TabularSchema = { ...schema, mappings };
+    await this.saveSchema(fileId, updated);
+    return updated;
+  }
+
+  /**
+   * A stored file's whole content, decompressed, for processing inside the worker
+   */
+  async readFileContent(fileId: string, maxBytes: number): Promise<{ metadata: FileMetadata; bytes: Uint8Array }> {
+    const metadata = await this.getFileMetadata(fileId);
+    if (!metadata) {
+      throw new ApiError(`File not found: ${fileId}`, 404, 'FILE_NOT_FOUND');
+    }
+
+    // One byte more than allowed tells a file of exactly maxBytes from a larger one
+    const { bytes, truncated } = await this.readObjectHead(metadata, maxBytes + 1);
+    if (truncated) {
+      throw new ApiError(`Files over ${maxBytes / MIB} MB cannot be processed`, 413, 'FILE_TOO_LARGE');
+    }
+    return { metadata, bytes };
   }
 
   /**
    * Private helper methods
    */
 
+  private async requireDataset(datasetId: string): Promise<Dataset> {
+    const dataset = await this.getDataset(datasetId);
+    if (!dataset) {
+      throw new ApiError(`Dataset not found: ${datasetId}`, 404, 'DATASET_NOT_FOUND');
+    }
+    return dataset;
+  }
+
+  private async requireVersion(datasetId: string, version: number): Promise<FileMetadata> {
+    const file = await this.getVersion(datasetId, version);
+    if (!file) {
+      throw new ApiError(`Version ${version} of dataset ${datasetId} not found`, 404, 'VERSION_NOT_FOUND');
+    }
+    return file;
+  }
+
   private generateFileId(filename: string): string {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(7);
@@ -533,16 +1434,86 @@ export class R2StorageManager {
     ].includes(category);
   }
 
+  /**
+   * Read a stored object's content, decompressed, up to maxBytes
+   */
+  private async readObjectHead(
+    metadata: FileMetadata,
+    maxBytes: number
+  ): Promise<{ bytes: Uint8Array; truncated: boolean }> {
+    const r2Object = await this.bucket.get(metadata.filename);
+    if (!r2Object) {
+      throw new ApiError(`File data not found in R2: ${metadata.id}`, 404, 'FILE_DATA_NOT_FOUND');
+    }
+
+    let stream = r2Object.body;
+    if (metadata.compression) {
+      stream = await this.decompressStream(stream, metadata.compression.algorithm);
+    }
+
+    const reader = stream.getReader();
+    const chunks: Uint8Array[] = [];
+    let length = 0;
+    let truncated = false;
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      chunks.push(value);
+      length += value.byteLength;
+      if (length >= maxBytes) {
+        truncated = true;
+        await reader.cancel();
+        break;
+      }
+    }
+
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+
+    return { bytes: truncated ? bytes.subarray(0, maxBytes) : bytes, truncated };
+  }
+
+  private async saveSchema(fileId: string, schema: TabularSchema): Promise<void> {
+    await this.metadataDB.prepare(
+      'UPDATE file_metadata SET schema_info = ? WHERE id = ?'
+    ).bind(JSON.stringify(schema), fileId).run();
+
+    await this.cache.delete(`metadata:${fileId}`);
+  }
+
+  /**
+   * Store a file as the next version of its dataset, starting a dataset named
+   * after the file when it has none. Sets `datasetId` and `version` on the metadata.
+   */
   private async storeMetadata(metadata: FileMetadata): Promise<void> {
+    const statements: D1PreparedStatement[] = [];
+
+    if (!metadata.datasetId) {
+      metadata.datasetId = crypto.randomUUID();
+      statements.push(this.metadataDB.prepare(
+        'INSERT INTO datasets (id, name, category) VALUES (?, ?, ?)'
+      ).bind(metadata.datasetId, metadata.originalName, metadata.category));
+    }
+
+    // Version numbering happens in the insert itself; the unique (dataset_id, version) index rejects a racing duplicate
     const query = `
       INSERT INTO file_metadata (
         id, filename, original_name, size, mime_type, uploaded_at, 
         last_modified, tags, category, source, compression_info, 
-        checksums, access_level, retention_policy
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        checksums, access_level, uploaded_by, retention_policy, reference_of,
+        promoted_from, schema_info, dataset_id, version
+      )
+      SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(MAX(version), 0) + 1
+      FROM file_metadata WHERE dataset_id = ?
     `;
 
-    await this.metadataDB.prepare(query).bind(
+    statements.push(this.metadataDB.prepare(query).bind(
       metadata.id,
       metadata.filename,
       metadata.originalName,
@@ -556,8 +1527,46 @@ export class R2StorageManager {
       metadata.compression ? JSON.stringify(metadata.compression) : null,
       JSON.stringify(metadata.checksums),
       metadata.accessLevel,
-      metadata.retentionPolicy ? JSON.stringify(metadata.retentionPolicy) : null
-    ).run();
+      metadata.uploadedBy ?? null,
+      metadata.retentionPolicy ? JSON.stringify(metadata.retentionPolicy) : null,
+      metadata.referenceOf ?? null,
+      metadata.promotedFrom ?? null,
+      metadata.schema ? JSON.stringify(metadata.schema) : null,
+      metadata.datasetId,
+      metadata.datasetId
+    ));
+
+    statements.push(this.metadataDB.prepare(`
+      UPDATE datasets
+      SET current_version = (SELECT MAX(version) FROM file_metadata WHERE dataset_id = ?),
+          current_file_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(metadata.datasetId, metadata.id, metadata.datasetId));
+
+    await this.metadataDB.batch(statements);
+
+    const stored = await this.metadataDB.prepare(
+      'SELECT version FROM file_metadata WHERE id = ?'
+    ).bind(metadata.id).first();
+    metadata.version = stored?.version as number;
+  }
+
+  /**
+   * Point a dataset at its newest remaining version, or drop it once no versions remain
+   */
+  private async refreshDatasetCurrent(datasetId: string): Promise<void> {
+    await this.metadataDB.batch([
+      this.metadataDB.prepare(`
+        UPDATE datasets
+        SET current_version = (SELECT MAX(version) FROM file_metadata WHERE dataset_id = ?),
+            current_file_id = (SELECT id FROM file_metadata WHERE dataset_id = ? ORDER BY version DESC LIMIT 1),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND EXISTS (SELECT 1 FROM file_metadata WHERE dataset_id = ?)
+      `).bind(datasetId, datasetId, datasetId, datasetId),
+      this.metadataDB.prepare(
+        'DELETE FROM datasets WHERE id = ? AND NOT EXISTS (SELECT 1 FROM file_metadata WHERE dataset_id = ?)'
+      ).bind(datasetId, datasetId)
+    ]);
   }
 
   private async getFileMetadata(fileId: string): Promise<FileMetadata | null> {
@@ -590,18 +1599,137 @@ export class R2StorageManager {
       compression: row.compression_info ? JSON.parse(row.compression_info) : undefined,
       checksums: JSON.parse(row.checksums),
       accessLevel: row.access_level as AccessLevel,
-      retentionPolicy: row.retention_policy ? JSON.parse(row.retention_policy) : undefined
+      uploadedBy: row.uploaded_by ?? undefined,
+      retentionPolicy: row.retention_policy ? JSON.parse(row.retention_policy) : undefined,
+      referenceOf: row.reference_of ?? undefined,
+      datasetId: row.dataset_id ?? undefined,
+      version: row.version ?? undefined,
+      promotedFrom: row.promoted_from ?? undefined,
+      schema: row.schema_info ? JSON.parse(row.schema_info) : undefined
+    };
+  }
+
+  private rowToDataset(row: any): Dataset {
+    return {
+      id: row.id,
+      name: row.name,
+      category: row.category as FileCategory,
+      currentVersion: row.current_version,
+      currentFileId: row.current_file_id ?? undefined,
+      retentionPolicy: row.retention_policy ? JSON.parse(row.retention_policy) : undefined,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
     };
   }
 
-  private async checkAccessPermissions(metadata: FileMetadata, operation: string): Promise<void> {
-    // Implement access control logic based on metadata.accessLevel
-    // This is a simplified version - in practice, you'd check user permissions
-    if (metadata.accessLevel === AccessLevel.PRIVATE && operation !== 'read') {
-      throw new Error('Access denied: Private file');
+  private assertUploading(session: UploadSession): void {
+    if (session.status !== 'uploading') {
+      throw new ApiError(`Upload is already ${session.status}`, 409, 'UPLOAD_NOT_ACTIVE');
+    }
+    if (session.expiresAt.getTime() <= Date.now()) {
+      throw new ApiError('Upload session has expired; start a new upload', 410, 'UPLOAD_EXPIRED');
     }
   }
 
+  private async discardUploadSession(session: UploadSession, status: 'aborted' | 'expired'): Promise<void> {
+    try {
+      await this.bucket.resumeMultipartUpload(session.r2Key, session.uploadId).abort();
+    } catch (error) {
+      // R2 may already have discarded the upload; the session is closed either way
+      console.warn(`R2 abort failed for upload session ${session.id}:`, error);
+    }
+
+    await this.metadataDB.batch([
+      this.metadataDB.prepare(
+        "UPDATE upload_sessions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'uploading'"
+      ).bind(status, session.id),
+      this.metadataDB.prepare('DELETE FROM upload_parts WHERE session_id = ?').bind(session.id)
+    ]);
+  }
+
+  private rowToUploadSession(row: any): UploadSession {
+    return {
+      id: row.id,
+      fileId: row.file_id,
+      r2Key: row.r2_key,
+      uploadId: row.r2_upload_id,
+      originalName: row.original_name,
+      mimeType: row.mime_type,
+      size: row.size,
+      partSize: row.part_size,
+      totalParts: row.total_parts,
+      category: row.category as FileCategory,
+      accessLevel: row.access_level as AccessLevel,
+      tags: JSON.parse(row.tags || '{}'),
+      metadata: JSON.parse(row.metadata || '{}'),
+      status: row.status,
+      bytesUploaded: row.bytes_uploaded,
+      uploadedBy: row.uploaded_by ?? undefined,
+      datasetId: row.dataset_id ?? undefined,
+      expiresAt: new Date(row.expires_at),
+      completedAt: row.completed_at ? new Date(row.completed_at) : undefined,
+      createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at)
+    };
+  }
+
+  private requireSigningSecret(): string {
+    if (!this.signingSecret) {
+      throw new ApiError('File sharing is not configured', 500, 'SHARING_NOT_CONFIGURED');
+    }
+    return this.signingSecret;
+  }
+
+  /**
+   * Why a share link may not be used right now, or null if it may
+   */
+  private checkShareUse(
+    share: FileShare | null,
+    claims: ShareTokenClaims,
+    recipient: ShareRecipient,
+    now: Date
+  ): ApiError | null {
+    if (!share || share.fileId !== claims.fid) {
+      return new ApiError('Share link not found', 404, 'SHARE_NOT_FOUND');
+    }
+    if (share.revokedAt) {
+      return new ApiError('Share link has been revoked', 410, 'SHARE_REVOKED');
+    }
+    if (share.expiresAt.getTime() <= now.getTime() || claims.exp * 1000 <= now.getTime()) {
+      return new ApiError('Share link has expired', 410, 'SHARE_EXPIRED');
+    }
+    if (share.maxDownloads !== undefined && share.downloadCount >= share.maxDownloads) {
+      return new ApiError('Share link has reached its download limit', 410, 'SHARE_EXHAUSTED');
+    }
+    if (share.allowedIps && !(recipient.ip && share.allowedIps.some(allowed => ipMatches(recipient.ip!, allowed)))) {
+      return new ApiError('Share link cannot be used from this address', 403, 'SHARE_IP_NOT_ALLOWED');
+    }
+    if (share.allowedEmail && !recipient.email) {
+      return new ApiError('Sign in to use this share link', 401, 'UNAUTHENTICATED');
+    }
+    if (share.allowedEmail && share.allowedEmail !== recipient.email!.toLowerCase()) {
+      return new ApiError('Share link was issued to a different recipient', 403, 'SHARE_EMAIL_NOT_ALLOWED');
+    }
+    return null;
+  }
+
+  private rowToFileShare(row: any): FileShare {
+    return {
+      id: row.id,
+      fileId: row.file_id,
+      createdBy: row.created_by ?? undefined,
+      expiresAt: new Date(row.expires_at),
+      maxDownloads: row.max_downloads ?? undefined,
+      downloadCount: row.download_count,
+      allowedIps: row.allowed_ips ? JSON.parse(row.allowed_ips) : undefined,
+      allowedEmail: row.allowed_email ?? undefined,
+      note: row.note ?? undefined,
+      revokedAt: row.revoked_at ? new Date(row.revoked_at) : undefined,
+      lastUsedAt: row.last_used_at ? new Date(row.last_used_at) : undefined,
+      createdAt: new Date(row.created_at)
+    };
+  }
+
   private async logOperation(operation: FileOperation): Promise<void> {
     // Store operation log in D1 for audit trail
     await this.metadataDB.prepare(
@@ -650,4 +1778,58 @@ export class R2StorageManager {
       total: storage + requests + bandwidth
     };
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Share tokens are `<payload>.<signature>`: base64url JSON claims and their HMAC-SHA256
+ */
+async function signShareToken(claims: ShareTokenClaims, secret: string): Promise<string> {
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  return `${payload}.${await hmacSign(`share.${payload}`, secret)}`;
+}
+
+async function verifyShareToken(token: string, secret: string): Promise<ShareTokenClaims | null> {
+  const parts = token.split('.');
+  if (parts.length !== 2) return null;
+
+  const [payload, signature] = parts;
+  // The 'share.' prefix keeps share signatures from being valid for anything else signed with the same key
+  if (!(await hmacVerify(`share.${payload}`, signature, secret))) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(base64UrlDecodeToString(payload)) as ShareTokenClaims;
+    return claims.sid && claims.fid && claims.exp ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match an address against an allowed address or IPv4 CIDR range
+ */
+export function ipMatches(ip: string, allowed: string): boolean {
+  const [network, bits] = allowed.split('/');
+  if (bits === undefined) {
+    return ip.toLowerCase() === network.toLowerCase();
+  }
+
+  const address = ipv4ToNumber(ip);
+  const base = ipv4ToNumber(network);
+  const prefix = Number(bits);
+  if (address === null || base === null || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+    return false;
+  }
+
+  const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+  return ((address & mask) >>> 0) === ((base & mask) >>> 0);
+}
+
+export function ipv4ToNumber(ip: string): number | null {
+  const octets = ip.split('.');
+  if (octets.length !== 4 || octets.some(octet => !/^\d{1,3}$/.test(octet) || Number(octet) > 255)) {
+    return null;
+  }
+  return octets.reduce((value, octet) => value * 256 + Number(octet), 0);
+}
@@ -0,0 +1,304 @@
+/**
+ * Tabular Preview
+ * Parses CSV, TSV, JSON arrays and XLSX workbooks into rows and infers each
+ * column's type, null count and range.
+ */
+
+import type { CellValue, ColumnSchema, ColumnType, TabularFormat } from './types';
+import { ApiError } from '../utils/error-handler';
+import { XlsxReader } from './xlsx-reader';
+
+// Text values that mean "no value" in exported statistics
+const NULL_TOKENS = new Set(['', 'na', 'n/a', 'null', 'nan', 'none', '..', '-']);
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export interface ParsedTable {
+  columns: string[];
+  rows: CellValue[][];
+  complete: boolean; // false when rows were cut off by maxRows or a truncated input
+  sheet?: string;
+  sheets?: string[];
+}
+
+export interface ParseOptions {
+  maxRows: number;
+  truncated?: boolean; // the bytes are only the start of the file
+  sheet?: string;
+}
+
+/**
+ * Tabular format of a file from its name, falling back to its MIME type
+ */
+export function detectTabularFormat(filename: string, mimeType: string): TabularFormat | null {
+  const extension = filename.toLowerCase().split('.').pop();
+  switch (extension) {
+    case 'csv': return 'csv';
+    case 'tsv':
+    case 'tab': return 'tsv';
+    case 'json': return 'json';
+    case 'xlsx': return 'xlsx';
+  }
+
+  switch (mimeType.split(';')[0].trim()) {
+    case 'text/csv': return 'csv';
+    case 'text/tab-separated-values': return 'tsv';
+    case 'application/json': return 'json';
+    case 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': return 'xlsx';
+    default: return null;
+  }
+}
+
+export async function parseTable(bytes: Uint8Array, format: TabularFormat, options: ParseOptions): Promise<ParsedTable> {
+  switch (format) {
+    case 'csv':
+      return parseDelimited(decodeText(bytes), ',', options);
+    case 'tsv':
+      return parseDelimited(decodeText(bytes), '\t', options);
+    case 'json':
+      return parseJsonArray(decodeText(bytes), options);
+    case 'xlsx': {
+      const reader = new XlsxReader(bytes);
+      // One extra row for the header
+      const sheet = await reader.readSheet(options.sheet, options.maxRows + 1);
+      const [header = [], ...rows] = sheet.rows;
+      return {
+        columns: columnNames(header.map(cell => (cell === null ? '' : String(cell)))),
+        rows,
+        complete: sheet.complete,
+        sheet: sheet.name,
+        sheets: await reader.listSheets()
+      };
+    }
+  }
+}
+
+/**
+ * RFC 4180 parsing: quoted fields may hold delimiters, doubled quotes and line breaks.
+ * When the input is truncated, the last (possibly partial) record is dropped.
+ */
+export function parseDelimited(text: string, delimiter: string, options: ParseOptions): ParsedTable {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let field = '';
+  let quoted = false;
+  let index = 0;
+  let stopped = false;
+
+  const endRecord = () => {
+    record.push(field);
+    field = '';
+    // Blank lines are not records
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      index++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      endRecord();
+      // header plus maxRows, and one more to tell whether anything was left out
+      if (records.length > options.maxRows + 1) {
+        stopped = true;
+        break;
+      }
+    } else {
+      field += char;
+    }
+    index++;
+  }
+
+  if (!stopped && !options.truncated && (field !== '' || record.length > 0)) {
+    endRecord();
+  }
+
+  const [header = [], ...rows] = records;
+  const columns = columnNames(header);
+
+  return {
+    columns,
+    rows: rows.slice(0, options.maxRows).map(row => columns.map((_, column) => row[column] ?? null)),
+    complete: !stopped && !options.truncated && rows.length <= options.maxRows
+  };
+}
+
+/**
+ * A JSON array of objects; columns are the union of their keys in first-seen order.
+ * Nested values are kept as their JSON text.
+ */
+export function parseJsonArray(text: string, options: ParseOptions): ParsedTable {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new ApiError('File is not valid JSON', 422, 'INVALID_JSON');
+  }
+
+  if (!Array.isArray(parsed) || parsed.some(item => typeof item !== 'object' || item === null || Array.isArray(item))) {
+    throw new ApiError('JSON preview needs an array of objects', 422, 'UNSUPPORTED_JSON_SHAPE');
+  }
+
+  const items = parsed.slice(0, options.maxRows) as Record<string, unknown>[];
+  const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+
+  return {
+    columns,
+    rows: items.map(item => columns.map(column => toCell(item[column]))),
+    complete: parsed.length <= options.maxRows
+  };
+}
+
+/**
+ * Infer each column's type and statistics. Text is classified by its content,
+ * so "2024" in a CSV and 2024 in JSON both count as integers.
+ */
+export function inferColumns(table: ParsedTable): ColumnSchema[] {
+  return table.columns.map((name, column) => {
+    const kinds = new Set<Exclude<ColumnType, 'empty'>>();
+    let nullCount = 0;
+    let min: number | string | undefined;
+    let max: number | string | undefined;
+    let minKey = Infinity;
+    let maxKey = -Infinity;
+    let minText: string | undefined;
+    let maxText: string | undefined;
+
+    for (const row of table.rows) {
+      const value = row[column];
+      const kind = classify(value);
+
+      if (kind === null) {
+        nullCount++;
+        continue;
+      }
+      kinds.add(kind);
+
+      if (kind === 'integer' || kind === 'number' || kind === 'date') {
+        const key = kind === 'date' ? Date.parse(String(value)) : Number(value);
+        if (key < minKey) {
+          minKey = key;
+          min = kind === 'date' ? String(value) : key;
+        }
+        if (key > maxKey) {
+          maxKey = key;
+          max = kind === 'date' ? String(value) : key;
+        }
+      }
+
+      const text = String(value);
+      if (minText === undefined || text < minText) minText = text;
+      if (maxText === undefined || text > maxText) maxText = text;
+    }
+
+    const type = mergeKinds(kinds);
+    const schema: ColumnSchema = { name, type, nullCount };
+
+    if (type === 'integer' || type === 'number' || type === 'date') {
+      schema.min = min;
+      schema.max = max;
+    } else if (type === 'string') {
+      schema.min = minText;
+      schema.max = maxText;
+    }
+
+    return schema;
+  });
+}
+
+/**
+ * Rows keyed by column name, with text converted to the column's inferred type
+ */
+export function toRecords(table: ParsedTable, columns: ColumnSchema[], limit: number): Record<string, CellValue>[] {
+  return table.rows.slice(0, limit).map(row => Object.fromEntries(
+    columns.map((column, index) => [column.name, coerce(row[index], column.type)])
+  ));
+}
+
+function classify(value: CellValue | undefined): Exclude<ColumnType, 'empty'> | null {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+
+  const text = value.trim();
+  if (NULL_TOKENS.has(text.toLowerCase())) return null;
+  if (text === 'true' || text === 'false' || text === 'TRUE' || text === 'FALSE') return 'boolean';
+  // Codes with leading zeros ("007") and ids too long for a double are identifiers, not numbers
+  if (INTEGER_PATTERN.test(text)) return /^[-+]?0\d/.test(text) || text.length > 15 ? 'string' : 'integer';
+  if (NUMBER_PATTERN.test(text)) return 'number';
+  if (DATE_PATTERN.test(text) && !isNaN(Date.parse(text))) return 'date';
+  return 'string';
+}
+
+function mergeKinds(kinds: Set<Exclude<ColumnType, 'empty'>>): ColumnType {
+  if (kinds.size === 0) return 'empty';
+  if (kinds.size === 1) return [...kinds][0];
+  if (kinds.size === 2 && kinds.has('integer') && kinds.has('number')) return 'number';
+  return 'string';
+}
+
+function coerce(value: CellValue | undefined, type: ColumnType): CellValue {
+  if (classify(value) === null) return null;
+  if (typeof value !== 'string') return value ?? null;
+
+  const text = value.trim();
+  switch (type) {
+    case 'integer':
+    case 'number':
+      return Number(text);
+    case 'boolean':
+      return text.toLowerCase() === 'true';
+    default:
+      return value;
+  }
+}
+
+function toCell(value: unknown): CellValue {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * Header names with blanks filled in and duplicates numbered, so every column has a unique key
+ */
+function columnNames(header: string[]): string[] {
+  const seen = new Map<string, number>();
+
+  return header.map((raw, index) => {
+    const base = raw.trim() || `column_${index + 1}`;
+    const count = (seen.get(base) ?? 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+function decodeText(bytes: Uint8Array): string {
+  // A truncated read may end inside a multi-byte character; the decoder replaces it
+  return new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+}
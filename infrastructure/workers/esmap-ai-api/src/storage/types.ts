@@ -2,6 +2,8 @@
  * R2 Storage Types and Interfaces
  */
 
+import type { UserRole } from '../database/models/types';
+
 export interface FileMetadata {
   id: string;
   filename: string;
@@ -19,7 +21,53 @@ export interface FileMetadata {
     sha256: string;
   };
   accessLevel: AccessLevel;
+  uploadedBy?: number; // owner; unset for files stored before owners were recorded
   retentionPolicy?: RetentionPolicy;
+  referenceOf?: string; // set when deduplicated: the id of the file whose stored object this file shares
+  datasetId?: string;
+  version?: number; // versions are immutable; a dataset's newest version is its current one
+  promotedFrom?: number; // set when this version restores an older one
+  schema?: TabularSchema; // cached the first time a tabular file is previewed
+}
+
+export type TabularFormat = 'csv' | 'tsv' | 'json' | 'xlsx';
+
+export type ColumnType = 'integer' | 'number' | 'boolean' | 'date' | 'string' | 'empty';
+
+export type CellValue = string | number | boolean | null;
+
+export interface ColumnSchema {
+  name: string;
+  type: ColumnType; // 'empty' when every scanned value is null
+  nullCount: number;
+  min?: number | string; // numbers for numeric columns, ISO strings for dates
+  max?: number | string;
+}
+
+/**
+ * Maps a file column onto a field of the ETL target record,
+ * in the same shape as a transformation rule's field mappings
+ */
+export interface ColumnMapping {
+  sourceField: string;
+  targetField: string;
+}
+
+export interface TabularSchema {
+  format: TabularFormat;
+  sheet?: string; // XLSX only
+  columns: ColumnSchema[];
+  rowsScanned: number;
+  complete: boolean; // false when the statistics come from the start of the file only
+  inferredAt: string;
+  mappings?: ColumnMapping[];
+}
+
+export interface TabularPreview extends TabularSchema {
+  fileId: string;
+  sheets?: string[]; // XLSX only
+  rows: Record<string, CellValue>[];
+  cached: boolean; // whether the schema came from the file's metadata
 }
 
 export interface CompressionInfo {
@@ -36,6 +84,34 @@ export interface RetentionPolicy {
   deleteAfter?: Date;
 }
 
+/**
+ * How long a dataset keeps versions that are no longer current.
+ * Versions whose own retention policy is 'permanent' are always kept.
+ */
+export interface VersionRetentionPolicy {
+  keepVersions?: number; // previous versions kept besides the current one
+  deleteAfterDays?: number; // days a version is kept after a newer one replaces it
+}
+
+export interface Dataset {
+  id: string;
+  name: string;
+  category: FileCategory;
+  currentVersion: number;
+  currentFileId?: string;
+  retentionPolicy?: VersionRetentionPolicy;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface VersionDiff {
+  datasetId: string;
+  from: number;
+  to: number;
+  identicalContent: boolean | null; // null when either version has no content checksum
+  changes: { field: string; from: unknown; to: unknown }[];
+}
+
 export enum FileCategory {
   ENERGY_DATA = 'energy-data',
   CLIMATE_DATA = 'climate-data',
@@ -54,12 +130,22 @@ export enum AccessLevel {
   PRIVATE = 'private'
 }
 
+/**
+ * Who a file operation runs for. 'system' is the worker acting on its own
+ * authority: share-link redemption, retention and archival.
+ */
+export type FileAccessor = { userId: number; role: UserRole } | 'system';
+
+export type FileAccessOperation = 'read' | 'delete' | 'share';
+
 export interface StorageConfig {
   bucketName: string;
   maxFileSize: number;
+  maxMultipartFileSize: number; // limit for resumable uploads, which bypass the single-request maxFileSize
   allowedMimeTypes: string[];
   compressionThreshold: number;
   archivalThreshold: number;
+  versionRetention: VersionRetentionPolicy; // default for datasets without their own policy
   costOptimization: CostOptimizationConfig;
 }
 
@@ -82,6 +168,78 @@ export interface UploadOptions {
   tags?: Record<string, string>;
   retentionPolicy?: RetentionPolicy;
   metadata?: Record<string, string>;
+  datasetId?: string; // store the file as a new version of this dataset instead of starting a dataset
+  uploadedBy?: number;
+}
+
+export interface MultipartUploadOptions extends UploadOptions {
+  size: number; // total bytes the client will send
+  partSize?: number; // bytes per part; chosen by the server when omitted
+}
+
+export type UploadSessionStatus = 'uploading' | 'completed' | 'aborted' | 'expired';
+
+export interface UploadSession {
+  id: string;
+  fileId: string;
+  r2Key: string;
+  uploadId: string;
+  originalName: string;
+  mimeType: string;
+  size: number;
+  partSize: number;
+  totalParts: number;
+  category: FileCategory;
+  accessLevel: AccessLevel;
+  tags: Record<string, string>;
+  metadata: Record<string, string>;
+  status: UploadSessionStatus;
+  bytesUploaded: number;
+  uploadedBy?: number;
+  datasetId?: string;
+  expiresAt: Date;
+  completedAt?: Date;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface UploadedPartInfo {
+  partNumber: number;
+  etag: string;
+  size: number;
+  uploadedAt: Date;
+}
+
+/**
+ * A signed download link for one file. The link token itself is only
+ * returned when the share is created.
+ */
+export interface FileShare {
+  id: string;
+  fileId: string;
+  createdBy?: number;
+  expiresAt: Date;
+  maxDownloads?: number;
+  downloadCount: number;
+  allowedIps?: string[]; // addresses or IPv4 CIDR ranges
+  allowedEmail?: string; // recipient must be signed in with this email
+  note?: string;
+  revokedAt?: Date;
+  lastUsedAt?: Date;
+  createdAt: Date;
+}
+
+export interface ShareLinkOptions {
+  expiresIn?: number; // seconds
+  maxDownloads?: number;
+  allowedIps?: string[];
+  allowedEmail?: string;
+  note?: string;
+}
+
+export interface ShareRecipient {
+  ip?: string;
+  email?: string; // email of the signed-in user redeeming the link, if any
 }
 
 export interface DownloadOptions {
@@ -127,7 +285,7 @@ export interface StorageStats {
 }
 
 export interface FileOperation {
-  type: 'upload' | 'download' | 'delete' | 'archive';
+  type: 'upload' | 'download' | 'delete' | 'archive' | 'compress' | 'deduplicate' | 'promote' | 'share' | 'share-download';
   fileId: string;
   timestamp: Date;
   status: 'success' | 'failed' | 'pending';
@@ -0,0 +1,377 @@
+/**
+ * XLSX Reader
+ * Reads cell values from an Office Open XML workbook: unzips the package with
+ * DecompressionStream and walks the sheet XML. Formulas, merged cells and
+ * formatting other than dates are ignored.
+ */
+
+import type { CellValue } from './types';
+import { ApiError } from '../utils/error-handler';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// Decompressed bytes read from one workbook, across all its parts. A few KB of
+// deflate can expand to gigabytes, so inflation stops here rather than at the end of a part.
+export const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+// Built-in number formats that display a date or time
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+// Days between the spreadsheet epochs and 1970-01-01
+const EPOCH_OFFSET_1900 = 25569;
+const EPOCH_OFFSET_1904 = 24107;
+
+const decoder = new TextDecoder();
+
+interface ZipEntry {
+  name: string;
+  method: number;
+  compressedSize: number;
+  localHeaderOffset: number;
+}
+
+export interface WorkbookSheet {
+  name: string;
+  rows: CellValue[][];
+  complete: boolean; // false when reading stopped at maxRows
+}
+
+export class XlsxReader {
+  private bytes: Uint8Array;
+  private view: DataView;
+  private entries: Map<string, ZipEntry>;
+  private maxInflatedBytes: number;
+  private inflatedBytes = 0;
+
+  constructor(bytes: Uint8Array, maxInflatedBytes: number = MAX_INFLATED_BYTES) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.entries = this.readCentralDirectory();
+    this.maxInflatedBytes = maxInflatedBytes;
+  }
+
+  /**
+   * Sheet names in workbook order
+   */
+  async listSheets(): Promise<string[]> {
+    return (await this.readSheetTargets()).map(sheet => sheet.name);
+  }
+
+  /**
+   * Read the rows of a sheet (the first one by default). Empty rows are skipped
+   * and rows are padded to the width of the widest row read.
+   */
+  async readSheet(sheetName?: string, maxRows: number = Infinity): Promise<WorkbookSheet> {
+    const sheets = await this.readSheetTargets();
+    const sheet = sheetName === undefined ? sheets[0] : sheets.find(candidate => candidate.name === sheetName);
+    if (!sheet) {
+      throw new ApiError(
+        sheetName === undefined ? 'Workbook has no sheets' : `Sheet not found: ${sheetName}`,
+        404,
+        'SHEET_NOT_FOUND'
+      );
+    }
+
+    const [sharedStrings, dateStyles, date1904] = await Promise.all([
+      this.readSharedStrings(),
+      this.readDateStyles(),
+      this.readDate1904()
+    ]);
+    const xml = await this.readText(sheet.path);
+
+    const rows: CellValue[][] = [];
+    let width = 0;
+    let complete = true;
+
+    for (const rowMatch of xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+      if (rows.length >= maxRows) {
+        complete = false;
+        break;
+      }
+
+      const row: CellValue[] = [];
+      let next = 0;
+      for (const cellMatch of (rowMatch[1] ?? '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const attributes = cellMatch[1];
+        const reference = /\br="([A-Z]+)\d+"/.exec(attributes);
+        const column = reference ? columnIndex(reference[1]) : next;
+        next = column + 1;
+
+        const value = cellValue(
+          attributes,
+          cellMatch[2] ?? '',
+          sharedStrings,
+          dateStyles,
+          date1904
+        );
+        if (value !== null) {
+          row[column] = value;
+        }
+      }
+
+      if (row.length > 0) {
+        width = Math.max(width, row.length);
+        rows.push(row);
+      }
+    }
+
+    return {
+      name: sheet.name,
+      rows: rows.map(row => Array.from({ length: width }, (_, index) => row[index] ?? null)),
+      complete
+    };
+  }
+
+  private readCentralDirectory(): Map<string, ZipEntry> {
+    // The end of central directory record sits in the last 22 bytes plus an optional comment
+    let eocd = -1;
+    for (let offset = this.bytes.length - 22; offset >= Math.max(0, this.bytes.length - 65557); offset--) {
+      if (this.view.getUint32(offset, true) === EOCD_SIGNATURE) {
+        eocd = offset;
+        break;
+      }
+    }
+    if (eocd < 0) {
+      throw new ApiError('File is not a valid XLSX workbook', 422, 'INVALID_WORKBOOK');
+    }
+
+    const count = this.view.getUint16(eocd + 10, true);
+    let offset = this.view.getUint32(eocd + 16, true);
+    const entries = new Map<string, ZipEntry>();
+
+    for (let index = 0; index < count; index++) {
+      if (this.view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new ApiError('File is not a valid XLSX workbook', 422, 'INVALID_WORKBOOK');
+      }
+
+      const nameLength = this.view.getUint16(offset + 28, true);
+      const extraLength = this.view.getUint16(offset + 30, true);
+      const commentLength = this.view.getUint16(offset + 32, true);
+      const name = decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+      entries.set(name, {
+        name,
+        method: this.view.getUint16(offset + 10, true),
+        compressedSize: this.view.getUint32(offset + 20, true),
+        localHeaderOffset: this.view.getUint32(offset + 42, true)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  private async readText(path: string): Promise<string> {
+    const entry = this.entries.get(path);
+    if (!entry) {
+      throw new ApiError(`Workbook part missing: ${path}`, 422, 'INVALID_WORKBOOK');
+    }
+
+    const header = entry.localHeaderOffset;
+    if (this.view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new ApiError('File is not a valid XLSX workbook', 422, 'INVALID_WORKBOOK');
+    }
+    const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+    const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+    if (entry.method === 0) {
+      this.countInflated(data.byteLength);
+      return decoder.decode(data);
+    }
+    if (entry.method !== 8) {
+      throw new ApiError(`Unsupported workbook compression method ${entry.method}`, 422, 'INVALID_WORKBOOK');
+    }
+
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks: Uint8Array[] = [];
+    let length = 0;
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        this.countInflated(value.byteLength);
+        chunks.push(value);
+        length += value.byteLength;
+      }
+    } catch (error) {
+      await reader.cancel().catch(() => undefined);
+      throw error;
+    }
+
+    const inflated = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+      inflated.set(chunk, offset);
+      offset += chunk.byteLength;
+    }
+    return decoder.decode(inflated);
+  }
+
+  private countInflated(byteLength: number): void {
+    this.inflatedBytes += byteLength;
+    if (this.inflatedBytes > this.maxInflatedBytes) {
+      throw new ApiError(
+        `Workbook expands to more than ${this.maxInflatedBytes / (1024 * 1024)} MB when decompressed`,
+        422,
+        'WORKBOOK_TOO_LARGE'
+      );
+    }
+  }
+
+  private async readOptionalText(path: string): Promise<string | null> {
+    return this.entries.has(path) ? await this.readText(path) : null;
+  }
+
+  private async readSheetTargets(): Promise<{ name: string; path: string }[]> {
+    const [workbook, relationships] = await Promise.all([
+      this.readText('xl/workbook.xml'),
+      this.readText('xl/_rels/workbook.xml.rels')
+    ]);
+
+    const targets = new Map<string, string>();
+    for (const match of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+      const id = attribute(match[0], 'Id');
+      const target = attribute(match[0], 'Target');
+      if (id && target) {
+        // Targets are relative to xl/ unless they start at the package root
+        targets.set(id, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+      }
+    }
+
+    const sheets: { name: string; path: string }[] = [];
+    for (const match of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+      const name = attribute(match[0], 'name');
+      const path = targets.get(attribute(match[0], 'r:id') ?? '');
+      if (name !== undefined && path) {
+        sheets.push({ name: decodeXml(name), path });
+      }
+    }
+
+    return sheets;
+  }
+
+  private async readSharedStrings(): Promise<string[]> {
+    const xml = await this.readOptionalText('xl/sharedStrings.xml');
+    if (!xml) return [];
+
+    return [...xml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textContent(match[1]));
+  }
+
+  /**
+   * Indexes of the cell styles that format numbers as dates
+   */
+  private async readDateStyles(): Promise<Set<number>> {
+    const xml = await this.readOptionalText('xl/styles.xml');
+    const dateStyles = new Set<number>();
+    if (!xml) return dateStyles;
+
+    const customDateFormats = new Set<number>();
+    for (const match of xml.matchAll(/<numFmt\b[^>]*>/g)) {
+      const id = Number(attribute(match[0], 'numFmtId'));
+      const code = decodeXml(attribute(match[0], 'formatCode') ?? '')
+        .replace(/"[^"]*"|\[[^\]]*\]|\\./g, ''); // quoted text, colours and escapes
+      if (/[dmyhs]/i.test(code)) {
+        customDateFormats.add(id);
+      }
+    }
+
+    const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+    if (!cellXfs) return dateStyles;
+
+    [...cellXfs[1].matchAll(/<xf\b[^>]*>/g)].forEach((match, index) => {
+      const formatId = Number(attribute(match[0], 'numFmtId') ?? 0);
+      if (DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId)) {
+        dateStyles.add(index);
+      }
+    });
+
+    return dateStyles;
+  }
+
+  private async readDate1904(): Promise<boolean> {
+    const workbook = await this.readText('xl/workbook.xml');
+    const properties = /<workbookPr\b[^>]*>/.exec(workbook);
+    const value = properties ? attribute(properties[0], 'date1904') : undefined;
+    return value === '1' || value === 'true';
+  }
+}
+
+function cellValue(
+  attributes: string,
+  body: string,
+  sharedStrings: string[],
+  dateStyles: Set<number>,
+  date1904: boolean
+): CellValue {
+  const type = attribute(attributes, 't') ?? 'n';
+
+  if (type === 'inlineStr') {
+    const inline = /<is>([\s\S]*?)<\/is>/.exec(body);
+    return inline ? textContent(inline[1]) : null;
+  }
+
+  const raw = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+  if (raw === undefined) return null;
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(raw)] ?? null;
+    case 'b':
+      return raw === '1';
+    case 'e':
+      return null; // #N/A, #DIV/0! and other formula errors
+    case 'str':
+    case 'd':
+      return decodeXml(raw);
+    default: {
+      const value = Number(raw);
+      if (isNaN(value)) return decodeXml(raw);
+      return dateStyles.has(Number(attribute(attributes, 's') ?? -1)) ? serialToDate(value, date1904) : value;
+    }
+  }
+}
+
+/**
+ * Spreadsheet date serials count days from the workbook's epoch; whole days
+ * become YYYY-MM-DD and anything with a time part a full ISO timestamp
+ */
+function serialToDate(serial: number, date1904: boolean): string {
+  const days = serial - (date1904 ? EPOCH_OFFSET_1904 : EPOCH_OFFSET_1900);
+  const iso = new Date(Math.round(days * 86400000)).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso;
+}
+
+function columnIndex(letters: string): number {
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+function attribute(tag: string, name: string): string | undefined {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match?.[1];
+}
+
+/**
+ * Concatenated text of every <t> element: rich text splits a string into runs
+ */
+function textContent(xml: string): string {
+  return [...xml.matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g)].map(match => decodeXml(match[1])).join('');
+}
+
+function decodeXml(text: string): string {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -2,15 +2,20 @@ export interface Env {
   // Cloudflare bindings
   DB: D1Database; // D1 database is now available
   DATA_BUCKET?: R2Bucket;
-  VECTORIZE_INDEX?: VectorizeIndex;
+  VECTORIZE_INDEX?: Vectorize;
   AI?: Ai;
   CACHE?: KVNamespace;
+  ETL_CACHE?: KVNamespace;
+  QUEUE?: Queue;
   
   // Environment variables
   ENVIRONMENT: string;
   WORLD_BANK_API_KEY?: string;
   NASA_POWER_API_KEY?: string;
   OPENSTREETMAP_API_KEY?: string;
+  
+  // Secrets
+  AUTH_SECRET?: string; // HMAC key for session tokens and share links (wrangler secret put AUTH_SECRET)
 }
 
 export interface ApiResponse<T = any> {
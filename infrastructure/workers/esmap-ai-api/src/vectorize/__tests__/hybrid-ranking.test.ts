@@ -0,0 +1,147 @@
+/**
+ * Unit tests for keyword tokenization, BM25 search and hybrid score fusion
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { KeywordIndex, tokenizeForIndex } from '../keyword-index';
+import { fuseResults } from '../vectorize-manager';
+import type { EmbeddingMetadata, VectorSearchResult } from '../types';
+
+interface RecordedStatement {
+  sql: string;
+  values: unknown[];
+}
+
+/**
+ * A D1 stand-in that records each statement and answers queries in order
+ */
+function recordingDb(answers: unknown[]): { db: D1Database; statements: RecordedStatement[] } {
+  const statements: RecordedStatement[] = [];
+  const prepare = (sql: string) => {
+    const statement: RecordedStatement = { sql: sql.replace(/\s+/g, ' ').trim(), values: [] };
+    const prepared = {
+      bind: (...values: unknown[]) => {
+        statement.values = values;
+        return prepared;
+      },
+      first: async () => {
+        statements.push(statement);
+        return answers.shift();
+      },
+      all: async () => {
+        statements.push(statement);
+        return { results: answers.shift() };
+      }
+    };
+    return prepared;
+  };
+  return { db: { prepare } as unknown as D1Database, statements };
+}
+
+function result(id: string, score: number): VectorSearchResult {
+  return { id, score, metadata: { source: id } as EmbeddingMetadata };
+}
+
+describe('tokenizeForIndex', () => {
+  it('lowercases, strips accents and drops stopwords', () => {
+    expect(tokenizeForIndex('The Énergie access in Côte d\'Ivoire')).toEqual(['energie', 'access', 'cote', 'ivoire']);
+  });
+
+  it('reduces plurals but keeps numbers and words that only look plural', () => {
+    expect(tokenizeForIndex('batteries boxes grids status 2.5 GW')).toEqual(['battery', 'box', 'grid', 'status', '2.5', 'gw']);
+  });
+});
+
+describe('KeywordIndex.search', () => {
+  it('weights rare terms above common ones and ranks in SQL', async () => {
+    const { db, statements } = recordingDb([
+      { documents: 100, average_length: 12 },
+      [{ term: 'solar', document_frequency: 50 }, { term: 'minigrid', document_frequency: 2 }],
+      [{ id: 'v1', score: 4.2, matched_terms: 2 }]
+    ]);
+
+    const hits = await new KeywordIndex(db).search('solar minigrids', 5);
+    expect(hits).toEqual([{ id: 'v1', score: 4.2, matched_terms: 2 }]);
+
+    const [, frequencies, scoring] = statements;
+    expect(frequencies.sql).toContain('FROM keyword_terms');
+    const [solar, solarWeight, minigrid, minigridWeight] = scoring.values as [string, number, string, number];
+    expect([solar, minigrid]).toEqual(['solar', 'minigrid']);
+    expect(minigridWeight).toBeGreaterThan(solarWeight);
+    expect(solarWeight).toBeCloseTo(Math.log(1 + 50.5 / 50.5));
+    expect(scoring.values.slice(4)).toEqual([12, 'solar', 'minigrid', 5]);
+  });
+
+  it('scores and filters within the queried namespace', async () => {
+    const { db, statements } = recordingDb([
+      { documents: 10, average_length: 8 },
+      [{ term: 'tariff', document_frequency: 3 }],
+      []
+    ]);
+
+    await new KeywordIndex(db).search('tariffs', 5, 'kenya');
+
+    const [corpus, frequencies, scoring] = statements;
+    expect(corpus.sql).toContain('WHERE namespace = ?');
+    expect(corpus.values).toEqual(['kenya']);
+    // Document frequencies are counted in the namespace, not taken from the global keyword_terms
+    expect(frequencies.sql).not.toContain('keyword_terms');
+    expect(frequencies.sql).toContain('AND d.namespace = ?');
+    expect(frequencies.values).toEqual(['tariff', 'kenya']);
+    expect(scoring.sql).toContain('AND d.namespace = ?');
+    expect(scoring.values.slice(-2)).toEqual(['kenya', 5]);
+  });
+
+  it('skips the database for queries with no index terms, and stops on an empty corpus', async () => {
+    const empty = recordingDb([]);
+    expect(await new KeywordIndex(empty.db).search('the and of', 5)).toEqual([]);
+    expect(empty.statements).toHaveLength(0);
+
+    const noDocuments = recordingDb([{ documents: 0, average_length: null }]);
+    expect(await new KeywordIndex(noDocuments.db).search('solar', 5, 'kenya')).toEqual([]);
+    expect(noDocuments.statements).toHaveLength(1);
+  });
+});
+
+describe('fuseResults', () => {
+  const vector = [result('a', 0.9), result('b', 0.8), result('c', 0.5)];
+  const keyword = [result('c', 7.5), result('d', 2.5)];
+
+  it('blends min-max normalised scores by weight', () => {
+    const fused = fuseResults(vector, keyword, 'weighted_sum', 0.6, 60);
+
+    // c is the weakest vector match but the best keyword match
+    expect(fused.map(item => item.id)).toEqual(['c', 'a', 'b', 'd']);
+    expect(fused[0].score).toBeCloseTo(0.6);
+    expect(fused[1].score).toBeCloseTo(0.4);
+    expect(fused[2].score).toBeCloseTo(0.4 * 0.75);
+    expect(fused[3].score).toBeCloseTo(0);
+    expect(fused[0].score_components).toEqual({
+      combine_method: 'weighted_sum',
+      vector: 0.5,
+      vector_rank: 3,
+      keyword: 7.5,
+      keyword_rank: 1
+    });
+  });
+
+  it('sums weighted reciprocal ranks for rrf', () => {
+    const fused = fuseResults(vector, keyword, 'rrf', 0.5, 60);
+    const scores = Object.fromEntries(fused.map(item => [item.id, item.score]));
+
+    expect(scores.c).toBeCloseTo(0.5 / 63 + 0.5 / 61);
+    expect(scores.a).toBeCloseTo(0.5 / 61);
+    expect(scores.d).toBeCloseTo(0.5 / 62);
+    expect(fused[0].id).toBe('c');
+  });
+
+  it('keeps vector order when keywords carry no weight', () => {
+    expect(fuseResults(vector, keyword, 'weighted_sum', 0, 60).slice(0, 3).map(item => item.id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('gives a single result on one side full credit', () => {
+    const fused = fuseResults([result('a', 0.42)], [], 'weighted_sum', 0.3, 60);
+    expect(fused).toHaveLength(1);
+    expect(fused[0].score).toBeCloseTo(0.7);
+  });
+});
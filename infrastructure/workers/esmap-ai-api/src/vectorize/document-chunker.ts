@@ -0,0 +1,150 @@
+/**
+ * Document Chunker
+ * Splits extracted document text into overlapping chunks for embedding.
+ * Chunks never span a section: each heading starts a fresh chunk, and within a
+ * section consecutive chunks share `overlap` characters of context.
+ */
+
+import type { DocumentBlock } from './document-text';
+
+export interface ChunkingOptions {
+  chunkSize: number; // target characters per chunk
+  overlap: number; // characters repeated from the end of the previous chunk in the same section
+}
+
+export interface DocumentChunk {
+  index: number;
+  text: string;
+  section?: string; // heading path, e.g. "3 Energy Access > 3.2 Rural Electrification"
+  pageStart: number;
+  pageEnd: number;
+}
+
+export const DEFAULT_CHUNKING: ChunkingOptions = { chunkSize: 1200, overlap: 200 };
+export const MIN_CHUNK_SIZE = 200;
+export const MAX_CHUNK_SIZE = 4000;
+
+interface Piece {
+  text: string;
+  page: number;
+  startsParagraph: boolean;
+}
+
+export function chunkDocument(blocks: DocumentBlock[], options: ChunkingOptions = DEFAULT_CHUNKING): DocumentChunk[] {
+  const chunks: DocumentChunk[] = [];
+  const headings: { level: number; text: string }[] = [];
+  let pieces: Piece[] = [];
+
+  const flushSection = () => {
+    const section = headings.map(heading => heading.text).join(' > ') || undefined;
+    for (const chunk of packSection(pieces, options)) {
+      chunks.push({ index: chunks.length, section, ...chunk });
+    }
+    pieces = [];
+  };
+
+  for (const block of blocks) {
+    if (block.headingLevel !== undefined) {
+      flushSection();
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.headingLevel) {
+        headings.pop();
+      }
+      headings.push({ level: block.headingLevel, text: block.text });
+      continue;
+    }
+
+    // Paragraphs longer than a chunk are cut into sentences first
+    const texts = block.text.length > options.chunkSize ? splitLongText(block.text, options.chunkSize) : [block.text];
+    texts.forEach((text, index) => pieces.push({ text, page: block.page, startsParagraph: index === 0 }));
+  }
+  flushSection();
+
+  return chunks;
+}
+
+/**
+ * Pack a section's pieces into chunks of about chunkSize characters, starting
+ * each chunk after the first with the tail of the one before it
+ */
+function packSection(pieces: Piece[], options: ChunkingOptions): Omit<DocumentChunk, 'index' | 'section'>[] {
+  const chunks: Omit<DocumentChunk, 'index' | 'section'>[] = [];
+  let text = '';
+  let pageStart = 0;
+  let pageEnd = 0;
+  let fresh = true; // holds nothing beyond the carried-over overlap
+
+  const emit = () => {
+    if (!fresh) {
+      chunks.push({ text, pageStart, pageEnd });
+      const carried = overlapTail(text, options.overlap);
+      text = carried;
+      pageStart = pageEnd;
+      fresh = true;
+    }
+  };
+
+  for (const piece of pieces) {
+    if (!fresh && text.length + 1 + piece.text.length > options.chunkSize) {
+      emit();
+    }
+
+    if (fresh) {
+      pageStart = text ? pageStart : piece.page;
+      fresh = false;
+    }
+    text = text ? `${text}${piece.startsParagraph ? '\n\n' : ' '}${piece.text}` : piece.text;
+    pageEnd = piece.page;
+  }
+  emit();
+
+  return chunks;
+}
+
+/**
+ * The last `length` characters of a chunk, moved forward to a sentence or word start
+ */
+function overlapTail(text: string, length: number): string {
+  if (length <= 0 || text.length <= length) return length <= 0 ? '' : text;
+
+  const tail = text.slice(text.length - length);
+  const sentence = /[.!?]\s+(?=\p{Lu})/u.exec(tail);
+  if (sentence && sentence.index < length / 2) {
+    return tail.slice(sentence.index + sentence[0].length);
+  }
+  const space = tail.indexOf(' ');
+  return space >= 0 ? tail.slice(space + 1) : tail;
+}
+
+/**
+ * Cut text into pieces no longer than maxLength, at sentence ends where
+ * possible and at spaces otherwise
+ */
+function splitLongText(text: string, maxLength: number): string[] {
+  const sentences = text.match(/[\s\S]+?(?:[.!?]+(?=\s)|$)\s*/g) ?? [text];
+  const pieces: string[] = [];
+  let current = '';
+
+  for (const sentence of sentences) {
+    if (current && current.length + sentence.length > maxLength) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    if (sentence.length <= maxLength) {
+      current += sentence;
+      continue;
+    }
+
+    // A single sentence longer than a chunk
+    let rest = sentence;
+    while (rest.length > maxLength) {
+      const cut = rest.lastIndexOf(' ', maxLength);
+      const at = cut > maxLength / 2 ? cut : maxLength;
+      pieces.push(rest.slice(0, at).trim());
+      rest = rest.slice(at);
+    }
+    current = rest;
+  }
+  if (current.trim()) pieces.push(current.trim());
+
+  return pieces;
+}
@@ -0,0 +1,413 @@
+/**
+ * Document Indexer
+ * Ingests reports stored in R2 into the Vectorize index: extracts their text,
+ * chunks it on section boundaries, embeds the chunks and upserts them with the
+ * document's energy metadata. Each dataset keeps its current version indexed;
+ * when a new version appears the scheduler re-indexes it and drops the old
+ * version's vectors. Chunk lineage lives in D1 (document_chunks).
+ */
+
+import type { R2StorageManager } from '../storage/r2-storage-manager';
+import { AccessLevel, FileMetadata } from '../storage/types';
+import { ApiError } from '../utils/error-handler';
+import { VectorizeManager } from './vectorize-manager';
+import {
+  DocumentChunkRecord,
+  DocumentIndexRequest,
+  DocumentIndexStatus,
+  DocumentMetadata,
+  EmbeddingModel,
+  EmbeddingType,
+  IndexedDocument,
+  VectorUpsertItem
+} from './types';
+import { assertHasText, detectDocumentFormat, extractDocument } from './document-text';
+import { DEFAULT_CHUNKING, DocumentChunk, chunkDocument } from './document-chunker';
+
+export const MAX_DOCUMENT_BYTES = 32 * 1024 * 1024;
+
+const EMBEDDING_BATCH_SIZE = 50;
+const CHUNK_WRITE_BATCH_SIZE = 50;
+// An 'indexing' claim older than this belongs to a run that died
+const STALE_INDEXING_MINUTES = 15;
+
+interface IndexSettings {
+  metadata: DocumentMetadata;
+  chunkSize: number;
+  overlap: number;
+  model: string;
+  requestedBy?: number;
+}
+
+export class DocumentIndexer {
+  constructor(
+    private db: D1Database,
+    private storage: R2StorageManager,
+    private vectors: VectorizeManager,
+    private defaultModel: EmbeddingModel = EmbeddingModel.BGE_BASE_EN_V1_5
+  ) {}
+
+  /**
+   * Index a stored file as the current content of its dataset
+   */
+  async indexFile(request: DocumentIndexRequest, requestedBy?: number): Promise<IndexedDocument> {
+    return this.run(request.file_id, {
+      metadata: request.metadata,
+      chunkSize: request.chunk_size ?? DEFAULT_CHUNKING.chunkSize,
+      overlap: request.chunk_overlap ?? DEFAULT_CHUNKING.overlap,
+      model: request.model ?? this.defaultModel,
+      requestedBy
+    });
+  }
+
+  /**
+   * Index a dataset's current version again with the settings it was last indexed with
+   */
+  async reindex(datasetId: string): Promise<IndexedDocument> {
+    const document = await this.requireDocument(datasetId);
+    const dataset = await this.storage.getDataset(datasetId);
+    if (!dataset?.currentFileId) {
+      throw new ApiError(`Dataset not found: ${datasetId}`, 404, 'DATASET_NOT_FOUND');
+    }
+
+    return this.run(dataset.currentFileId, {
+      metadata: document.metadata,
+      chunkSize: document.chunk_size,
+      overlap: document.chunk_overlap,
+      model: document.embedding_model,
+      requestedBy: document.requested_by
+    });
+  }
+
+  /**
+   * Re-index documents whose dataset has a newer current version, and drop
+   * documents whose dataset no longer exists. Runs from the scheduled trigger.
+   */
+  async reindexChanged(limit: number = 5): Promise<{ reindexed: string[]; removed: string[]; failed: string[] }> {
+    const rows = await this.db.prepare(`
+      SELECT d.dataset_id, ds.id AS existing_dataset, ds.current_file_id
+      FROM indexed_documents d
+      LEFT JOIN datasets ds ON ds.id = d.dataset_id
+      WHERE (ds.id IS NULL OR ds.current_file_id != d.file_id)
+        AND (d.status != 'indexing' OR d.updated_at < datetime('now', '-${STALE_INDEXING_MINUTES} minutes'))
+      ORDER BY d.updated_at ASC
+      LIMIT ?
+    `).bind(limit).all();
+
+    const result = { reindexed: [] as string[], removed: [] as string[], failed: [] as string[] };
+
+    for (const row of rows.results) {
+      const datasetId = row.dataset_id as string;
+      try {
+        if (row.existing_dataset === null) {
+          await this.removeDocument(datasetId);
+          result.removed.push(datasetId);
+        } else {
+          await this.reindex(datasetId);
+          result.reindexed.push(datasetId);
+        }
+      } catch (error) {
+        // Recorded against the new version so it is not retried until the dataset changes again
+        if (!(error instanceof ApiError && error.code === 'INDEXING_IN_PROGRESS')) {
+          await this.markFailed(datasetId, row.current_file_id as string, error);
+        }
+        result.failed.push(datasetId);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Remove a document's vectors and lineage from the index
+   */
+  async removeDocument(datasetId: string): Promise<number> {
+    const chunks = await this.db.prepare(
+      'SELECT vector_id FROM document_chunks WHERE dataset_id = ?'
+    ).bind(datasetId).all();
+    const vectorIds = chunks.results.map(row => row.vector_id as string);
+
+    await this.deleteChunks(vectorIds);
+    await this.db.prepare('DELETE FROM indexed_documents WHERE dataset_id = ?').bind(datasetId).run();
+
+    return vectorIds.length;
+  }
+
+  async listDocuments(options: { status?: DocumentIndexStatus; limit?: number; offset?: number } = {}): Promise<IndexedDocument[]> {
+    let query = 'SELECT * FROM indexed_documents WHERE 1=1';
+    const params: any[] = [];
+
+    if (options.status) {
+      query += ' AND status = ?';
+      params.push(options.status);
+    }
+
+    query += ' ORDER BY updated_at DESC LIMIT ? OFFSET ?';
+    params.push(options.limit ?? 50, options.offset ?? 0);
+
+    const results = await this.db.prepare(query).bind(...params).all();
+    return results.results.map(row => rowToDocument(row));
+  }
+
+  async getDocument(datasetId: string): Promise<IndexedDocument | null> {
+    const row = await this.db.prepare('SELECT * FROM indexed_documents WHERE dataset_id = ?').bind(datasetId).first();
+    return row ? rowToDocument(row) : null;
+  }
+
+  /**
+   * The indexed chunks of a document in reading order
+   */
+  async listChunks(datasetId: string, options: { limit?: number; offset?: number } = {}): Promise<DocumentChunkRecord[]> {
+    const results = await this.db.prepare(
+      'SELECT * FROM document_chunks WHERE dataset_id = ? ORDER BY chunk_index ASC LIMIT ? OFFSET ?'
+    ).bind(datasetId, options.limit ?? 50, options.offset ?? 0).all();
+
+    return results.results.map(row => rowToChunk(row));
+  }
+
+  private async requireDocument(datasetId: string): Promise<IndexedDocument> {
+    const document = await this.getDocument(datasetId);
+    if (!document) {
+      throw new ApiError(`Document not indexed: ${datasetId}`, 404, 'DOCUMENT_NOT_FOUND');
+    }
+    return document;
+  }
+
+  private async run(fileId: string, settings: IndexSettings): Promise<IndexedDocument> {
+    const { metadata: file, bytes } = await this.storage.readFileContent(fileId, MAX_DOCUMENT_BYTES);
+
+    // Search is open to everyone, so only files anyone could read are indexed
+    if (file.accessLevel === AccessLevel.PRIVATE || file.accessLevel === AccessLevel.RESTRICTED) {
+      throw new ApiError(`${file.accessLevel} files cannot be indexed for search`, 403, 'FILE_NOT_INDEXABLE');
+    }
+
+    const format = detectDocumentFormat(file.originalName, file.mimeType);
+    if (!format) {
+      throw new ApiError('Only PDF, HTML, Markdown and text files can be indexed', 415, 'UNSUPPORTED_DOCUMENT_FORMAT');
+    }
+
+    const datasetId = file.datasetId ?? file.id;
+    await this.claim(datasetId, file, settings);
+
+    try {
+      const extracted = await extractDocument(bytes, format);
+      assertHasText(extracted);
+
+      const chunks = chunkDocument(extracted.blocks, { chunkSize: settings.chunkSize, overlap: settings.overlap });
+      const records = chunks.map(chunk => toRecord(chunk, datasetId, file));
+
+      await this.upsertChunks(records, chunks, file, settings);
+
+      // Vectors of the previous version, or surplus chunks of this one, leave the index
+      const kept = new Set(records.map(record => record.vector_id));
+      const existing = await this.db.prepare(
+        'SELECT vector_id FROM document_chunks WHERE dataset_id = ?'
+      ).bind(datasetId).all();
+      await this.deleteChunks(existing.results.map(row => row.vector_id as string).filter(id => !kept.has(id)));
+
+      await this.saveChunks(records);
+
+      await this.db.prepare(`
+        UPDATE indexed_documents
+        SET status = 'indexed', format = ?, title = ?, chunk_count = ?, page_count = ?, error = NULL,
+            indexed_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE dataset_id = ?
+      `).bind(
+        format,
+        extracted.title ?? null,
+        records.length,
+        extracted.pageCount,
+        new Date().toISOString(),
+        datasetId
+      ).run();
+    } catch (error) {
+      await this.markFailed(datasetId, file.id, error);
+      throw error;
+    }
+
+    return (await this.getDocument(datasetId))!;
+  }
+
+  /**
+   * Record a failed run. The vectors of the last successful run stay in the index.
+   */
+  private async markFailed(datasetId: string, fileId: string, error: unknown): Promise<void> {
+    await this.db.prepare(`
+      UPDATE indexed_documents
+      SET status = 'failed', file_id = ?, error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE dataset_id = ?
+    `).bind(fileId, error instanceof Error ? error.message : 'Unknown error', datasetId).run();
+  }
+
+  /**
+   * Mark the dataset as being indexed from this file, unless another run holds it
+   */
+  private async claim(datasetId: string, file: FileMetadata, settings: IndexSettings): Promise<void> {
+    const result = await this.db.prepare(`
+      INSERT INTO indexed_documents (
+        dataset_id, file_id, version, status, metadata, chunk_size, chunk_overlap, embedding_model, requested_by
+      ) VALUES (?, ?, ?, 'indexing', ?, ?, ?, ?, ?)
+      ON CONFLICT(dataset_id) DO UPDATE SET
+        file_id = excluded.file_id,
+        version = excluded.version,
+        status = 'indexing',
+        metadata = excluded.metadata,
+        chunk_size = excluded.chunk_size,
+        chunk_overlap = excluded.chunk_overlap,
+        embedding_model = excluded.embedding_model,
+        requested_by = excluded.requested_by,
+        error = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE indexed_documents.status != 'indexing'
+        OR indexed_documents.updated_at < datetime('now', '-${STALE_INDEXING_MINUTES} minutes')
+    `).bind(
+      datasetId,
+      file.id,
+      file.version ?? null,
+      JSON.stringify(settings.metadata),
+      settings.chunkSize,
+      settings.overlap,
+      settings.model,
+      settings.requestedBy ?? null
+    ).run();
+
+    if (!result.meta.changes) {
+      throw new ApiError(`Dataset ${datasetId} is already being indexed`, 409, 'INDEXING_IN_PROGRESS');
+    }
+  }
+
+  private async upsertChunks(
+    records: DocumentChunkRecord[],
+    chunks: DocumentChunk[],
+    file: FileMetadata,
+    settings: IndexSettings
+  ): Promise<void> {
+    const now = new Date().toISOString();
+    const { metadata } = settings;
+
+    for (let start = 0; start < chunks.length; start += EMBEDDING_BATCH_SIZE) {
+      const batch = chunks.slice(start, start + EMBEDDING_BATCH_SIZE);
+      // The heading path gives each chunk the context its paragraphs lack
+      const texts = batch.map(chunk => (chunk.section ? `${chunk.section}\n\n${chunk.text}` : chunk.text));
+      const embeddings = await this.vectors.generateEmbeddings({
+        texts,
+        model: settings.model as EmbeddingModel
+      });
+
+      const items: VectorUpsertItem[] = batch.map((chunk, offset) => ({
+        id: records[start + offset].vector_id,
+        values: embeddings.embeddings[offset],
+        metadata: {
+          ...metadata,
+          type: metadata.type ?? EmbeddingType.DOCUMENT,
+          source: metadata.source || file.source || file.originalName,
+          tags: metadata.tags ?? [],
+          created_at: now,
+          updated_at: now
+        },
+        text: texts[offset]
+      }));
+
+      const result = await this.vectors.upsertVectors({ vectors: items });
+      if (result.failed_count > 0) {
+        throw new ApiError(
+          `${result.failed_count} chunk(s) could not be written to the index: ${result.errors[0]?.error}`,
+          502,
+          'VECTOR_UPSERT_FAILED'
+        );
+      }
+    }
+  }
+
+  private async saveChunks(records: DocumentChunkRecord[]): Promise<void> {
+    const hashes = await Promise.all(records.map(record => sha256(record.content)));
+
+    for (let start = 0; start < records.length; start += CHUNK_WRITE_BATCH_SIZE) {
+      await this.db.batch(records.slice(start, start + CHUNK_WRITE_BATCH_SIZE).map((record, offset) =>
+        this.db.prepare(`
+          INSERT OR REPLACE INTO document_chunks (
+            vector_id, dataset_id, file_id, version, chunk_index, section, page_start, page_end, content, content_hash
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          record.vector_id,
+          record.dataset_id,
+          record.file_id,
+          record.version ?? null,
+          record.chunk_index,
+          record.section ?? null,
+          record.page_start,
+          record.page_end,
+          record.content,
+          hashes[start + offset]
+        )
+      ));
+    }
+  }
+
+  private async deleteChunks(vectorIds: string[]): Promise<void> {
+    if (vectorIds.length === 0) return;
+
+    await this.vectors.deleteVectors(vectorIds);
+    for (let start = 0; start < vectorIds.length; start += CHUNK_WRITE_BATCH_SIZE) {
+      const batch = vectorIds.slice(start, start + CHUNK_WRITE_BATCH_SIZE);
+      await this.db.prepare(
+        `DELETE FROM document_chunks WHERE vector_id IN (${batch.map(() => '?').join(', ')})`
+      ).bind(...batch).run();
+    }
+  }
+}
+
+function toRecord(chunk: DocumentChunk, datasetId: string, file: FileMetadata): DocumentChunkRecord {
+  return {
+    vector_id: `${file.id}:${chunk.index}`,
+    dataset_id: datasetId,
+    file_id: file.id,
+    version: file.version,
+    chunk_index: chunk.index,
+    section: chunk.section,
+    page_start: chunk.pageStart,
+    page_end: chunk.pageEnd,
+    content: chunk.text
+  };
+}
+
+function rowToDocument(row: Record<string, unknown>): IndexedDocument {
+  return {
+    dataset_id: row.dataset_id as string,
+    file_id: row.file_id as string,
+    version: (row.version as number | null) ?? undefined,
+    status: row.status as DocumentIndexStatus,
+    format: (row.format as string | null) ?? undefined,
+    title: (row.title as string | null) ?? undefined,
+    metadata: JSON.parse(row.metadata as string),
+    chunk_size: row.chunk_size as number,
+    chunk_overlap: row.chunk_overlap as number,
+    embedding_model: row.embedding_model as string,
+    chunk_count: row.chunk_count as number,
+    page_count: (row.page_count as number | null) ?? undefined,
+    error: (row.error as string | null) ?? undefined,
+    requested_by: (row.requested_by as number | null) ?? undefined,
+    indexed_at: (row.indexed_at as string | null) ?? undefined,
+    created_at: row.created_at as string,
+    updated_at: row.updated_at as string
+  };
+}
+
+function rowToChunk(row: Record<string, unknown>): DocumentChunkRecord {
+  return {
+    vector_id: row.vector_id as string,
+    dataset_id: row.dataset_id as string,
+    file_id: row.file_id as string,
+    version: (row.version as number | null) ?? undefined,
+    chunk_index: row.chunk_index as number,
+    section: (row.section as string | null) ?? undefined,
+    page_start: row.page_start as number,
+    page_end: row.page_end as number,
+    content: row.content as string
+  };
+}
+
+async function sha256(text: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,212 @@
+/**
+ * Document Text
+ * Turns a stored report (PDF, HTML, Markdown or plain text) into a sequence of
+ * headings and paragraphs, each tagged with the page it came from.
+ */
+
+import { ApiError } from '../utils/error-handler';
+import { PdfTextReader } from './pdf-text';
+
+export type DocumentFormat = 'pdf' | 'html' | 'markdown' | 'text';
+
+export interface DocumentBlock {
+  text: string;
+  page: number; // 1-based; documents without pages are a single page
+  headingLevel?: number; // set on headings, 1 being the top level
+}
+
+export interface ExtractedDocument {
+  format: DocumentFormat;
+  title?: string;
+  pageCount: number;
+  blocks: DocumentBlock[];
+}
+
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', deg: '°', euro: '€', pound: '£', copy: '©', reg: '®', middot: '·'
+};
+
+const BLOCK_TAGS = 'p|div|section|article|header|footer|aside|main|nav|li|ul|ol|dl|dt|dd|tr|table|thead|tbody|blockquote|pre|figure|figcaption|form|br|hr';
+
+/**
+ * Document format of a file from its name, falling back to its MIME type
+ */
+export function detectDocumentFormat(filename: string, mimeType: string): DocumentFormat | null {
+  switch (filename.toLowerCase().split('.').pop()) {
+    case 'pdf': return 'pdf';
+    case 'html':
+    case 'htm': return 'html';
+    case 'md':
+    case 'markdown': return 'markdown';
+    case 'txt':
+    case 'text': return 'text';
+  }
+
+  switch (mimeType.split(';')[0].trim()) {
+    case 'application/pdf': return 'pdf';
+    case 'text/html': return 'html';
+    case 'text/markdown': return 'markdown';
+    case 'text/plain': return 'text';
+    default: return null;
+  }
+}
+
+export async function extractDocument(bytes: Uint8Array, format: DocumentFormat): Promise<ExtractedDocument> {
+  switch (format) {
+    case 'pdf': {
+      const pages = await new PdfTextReader(bytes).readPages();
+      return {
+        format,
+        pageCount: pages.length,
+        blocks: pages.flatMap((page, index) => textBlocks(page, index + 1, plainTextHeading))
+      };
+    }
+    case 'html':
+      return extractHtml(new TextDecoder().decode(bytes));
+    case 'markdown':
+      return {
+        format,
+        pageCount: 1,
+        blocks: textBlocks(decodeText(bytes), 1, markdownHeading)
+      };
+    case 'text':
+      return {
+        format,
+        pageCount: 1,
+        blocks: textBlocks(decodeText(bytes), 1, plainTextHeading)
+      };
+  }
+}
+
+/**
+ * Reject documents with nothing to index
+ */
+export function assertHasText(document: ExtractedDocument): void {
+  if (!document.blocks.some(block => !block.headingLevel && block.text.length > 0)) {
+    throw new ApiError(
+      document.format === 'pdf'
+        ? 'No text found in the PDF; scanned pages need OCR before they can be indexed'
+        : 'No text found in the document',
+      422,
+      'NO_DOCUMENT_TEXT'
+    );
+  }
+}
+
+function extractHtml(html: string): ExtractedDocument {
+  const title = /<title\b[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+  const body = /<body\b[^>]*>([\s\S]*)<\/body>/i.exec(html)?.[1] ?? html;
+
+  // Headings become marked lines so they survive tag stripping
+  const text = body
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (_, level, content) =>
+      `\n\n\u0000${level}${stripTags(content).replace(/\s+/g, ' ')}\n\n`)
+    .replace(new RegExp(`<\\/?(${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n\n')
+    .replace(/<(td|th)\b[^>]*>/gi, ' ');
+
+  return {
+    format: 'html',
+    title: title ? decodeEntities(stripTags(title)).trim() : undefined,
+    pageCount: 1,
+    blocks: textBlocks(decodeEntities(stripTags(text)), 1, line => {
+      const marker = /^\u0000([1-6])(.*)$/.exec(line);
+      return marker ? { level: Number(marker[1]), text: marker[2].trim() } : null;
+    })
+  };
+}
+
+/**
+ * Split text into paragraphs at blank lines, with lines the detector
+ * recognises as headings standing on their own
+ */
+function textBlocks(
+  text: string,
+  page: number,
+  detectHeading: (line: string) => { level: number; text: string } | null
+): DocumentBlock[] {
+  const blocks: DocumentBlock[] = [];
+  let paragraph: string[] = [];
+
+  const flush = () => {
+    const joined = joinLines(paragraph);
+    if (joined) blocks.push({ text: joined, page });
+    paragraph = [];
+  };
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/[ \t\u00a0]+/g, ' ').trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+
+    const heading = detectHeading(line);
+    if (heading && heading.text) {
+      flush();
+      blocks.push({ text: heading.text, page, headingLevel: heading.level });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Join wrapped lines, rejoining words hyphenated at a line break
+ */
+function joinLines(lines: string[]): string {
+  return lines.reduce((joined, line) => {
+    if (!joined) return line;
+    if (/\p{L}-$/u.test(joined) && /^\p{Ll}/u.test(line)) return joined.slice(0, -1) + line;
+    return `${joined} ${line}`;
+  }, '').trim();
+}
+
+function markdownHeading(line: string): { level: number; text: string } | null {
+  const match = /^(#{1,6})\s+(.*?)\s*#*$/.exec(line);
+  return match ? { level: match[1].length, text: match[2] } : null;
+}
+
+/**
+ * Report headings in extracted text: numbered titles ("2.1 Rural Electrification")
+ * or short lines in capitals. Numbering depth gives the level.
+ */
+function plainTextHeading(line: string): { level: number; text: string } | null {
+  if (line.length > 100 || /[.,;:]$/.test(line)) return null;
+
+  const numbered = /^((?:\d+\.)*\d+)\.?\s+(\p{Lu}.*)$/u.exec(line);
+  if (numbered && numbered[2].split(' ').length <= 12 && !/^\d{4}$/.test(numbered[1])) {
+    return { level: numbered[1].split('.').length, text: line };
+  }
+
+  const letters = line.replace(/[^\p{L}]/gu, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return { level: 1, text: line };
+  }
+
+  return null;
+}
+
+function stripTags(html: string): string {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+function decodeEntities(text: string): string {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name: string) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+function decodeText(bytes: Uint8Array): string {
+  return new TextDecoder().decode(bytes).replace(/^\uFEFF/, '');
+}
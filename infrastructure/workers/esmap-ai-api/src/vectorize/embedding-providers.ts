@@ -0,0 +1,152 @@
+/**
+ * Embedding Providers
+ * Turn text into vectors for the Vectorize index. Each EmbeddingModel maps to a
+ * provider: the BGE models run on Workers AI, and the hashed n-gram model is a
+ * deterministic local embedding for tests and development without an AI binding.
+ */
+
+import { EmbeddingModel } from './types';
+import { ApiError } from '../utils/error-handler';
+
+export interface EmbeddingProvider {
+  readonly model: EmbeddingModel;
+  readonly dimensions: number;
+  readonly maxBatchSize: number;
+  embed(texts: string[]): Promise<number[][]>;
+}
+
+type WorkersAIEmbeddingModel = '@cf/baai/bge-small-en-v1.5' | '@cf/baai/bge-base-en-v1.5' | '@cf/baai/bge-large-en-v1.5';
+
+const WORKERS_AI_MODELS: Partial<Record<EmbeddingModel, { name: WorkersAIEmbeddingModel; dimensions: number }>> = {
+  [EmbeddingModel.BGE_SMALL_EN_V1_5]: { name: '@cf/baai/bge-small-en-v1.5', dimensions: 384 },
+  [EmbeddingModel.BGE_BASE_EN_V1_5]: { name: '@cf/baai/bge-base-en-v1.5', dimensions: 768 },
+  [EmbeddingModel.BGE_LARGE_EN_V1_5]: { name: '@cf/baai/bge-large-en-v1.5', dimensions: 1024 }
+};
+
+// Matches bge-base so hashed vectors fit the same index in development
+export const DEFAULT_HASHED_DIMENSIONS = 768;
+
+/**
+ * The provider for a model. Models without a backend in this worker (the OpenAI
+ * and E5 models) are rejected rather than answered with vectors from another model.
+ */
+export function createEmbeddingProvider(model: string, ai?: Ai): EmbeddingProvider {
+  if (model === EmbeddingModel.HASHED_NGRAM) {
+    return new HashedNgramEmbeddingProvider();
+  }
+
+  const workersModel = WORKERS_AI_MODELS[model as EmbeddingModel];
+  if (workersModel) {
+    if (!ai) {
+      throw new ApiError(`Embedding model ${model} needs the Workers AI binding`, 503, 'EMBEDDINGS_NOT_CONFIGURED');
+    }
+    return new WorkersAIEmbeddingProvider(ai, model as EmbeddingModel, workersModel.name, workersModel.dimensions);
+  }
+
+  const supported = [...Object.keys(WORKERS_AI_MODELS), EmbeddingModel.HASHED_NGRAM].join(', ');
+  throw new ApiError(
+    `Embedding model not supported: ${model}. Use one of: ${supported}`,
+    400,
+    'UNSUPPORTED_EMBEDDING_MODEL'
+  );
+}
+
+export class WorkersAIEmbeddingProvider implements EmbeddingProvider {
+  readonly maxBatchSize = 100; // Workers AI limit on texts per request
+
+  constructor(
+    private ai: Ai,
+    readonly model: EmbeddingModel,
+    private modelName: WorkersAIEmbeddingModel,
+    readonly dimensions: number
+  ) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    const output = await this.ai.run(this.modelName, { text: texts });
+
+    if (!('data' in output) || !output.data || output.data.length !== texts.length) {
+      throw new ApiError(`Workers AI returned no embeddings for ${this.model}`, 502, 'EMBEDDING_FAILED');
+    }
+    return output.data;
+  }
+}
+
+/**
+ * Feature hashing over word unigrams, word bigrams and character trigrams.
+ * Each feature is hashed to a dimension and a sign, weighted by sublinear term
+ * frequency, and the vector is L2-normalised. The same text always gives the
+ * same vector, and texts sharing words or word fragments score as similar.
+ */
+export class HashedNgramEmbeddingProvider implements EmbeddingProvider {
+  readonly model = EmbeddingModel.HASHED_NGRAM;
+  readonly maxBatchSize = 1000;
+
+  constructor(readonly dimensions: number = DEFAULT_HASHED_DIMENSIONS) {}
+
+  async embed(texts: string[]): Promise<number[][]> {
+    return texts.map(text => this.embedText(text));
+  }
+
+  embedText(text: string): number[] {
+    const vector = new Array<number>(this.dimensions).fill(0);
+
+    for (const [feature, count] of extractFeatures(text)) {
+      const hash = fnv1a(feature);
+      const index = (hash >>> 1) % this.dimensions;
+      const sign = hash & 1 ? 1 : -1;
+      vector[index] += sign * (1 + Math.log(count)) * featureWeight(feature);
+    }
+
+    return normalizeVector(vector);
+  }
+}
+
+/**
+ * Scale a vector to unit length; the zero vector is returned unchanged
+ */
+export function normalizeVector(vector: number[]): number[] {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+function extractFeatures(text: string): Map<string, number> {
+  const words = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // accents, so "énergie" and "energie" share features
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+  const features = new Map<string, number>();
+  const add = (feature: string) => features.set(feature, (features.get(feature) ?? 0) + 1);
+
+  words.forEach((word, index) => {
+    add(`w:${word}`);
+    if (index > 0) add(`b:${words[index - 1]} ${word}`);
+
+    const padded = `#${word}#`;
+    for (let start = 0; start + 3 <= padded.length; start++) {
+      add(`c:${padded.slice(start, start + 3)}`);
+    }
+  });
+
+  return features;
+}
+
+// Whole words carry the meaning; bigrams and trigrams add word order and spelling variants
+function featureWeight(feature: string): number {
+  switch (feature[0]) {
+    case 'w': return 1;
+    case 'b': return 0.5;
+    default: return 0.25;
+  }
+}
+
+function fnv1a(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
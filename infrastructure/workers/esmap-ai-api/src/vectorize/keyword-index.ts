@@ -0,0 +1,241 @@
+/**
+ * Keyword Index
+ * BM25 inverted index in D1 over the text of indexed vectors. Postings, term
+ * document frequencies and document lengths are rewritten whenever a vector is
+ * upserted or deleted, so lexical scores always describe the current index.
+ * Documents carry their vector's Vectorize namespace; a search within a
+ * namespace takes its corpus statistics from that namespace alone.
+ */
+
+export interface KeywordDocument {
+  id: string;
+  text: string;
+  namespace?: string;
+}
+
+export interface KeywordHit {
+  id: string;
+  score: number;
+  matched_terms: number;
+}
+
+// Standard BM25 parameters: term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// D1 binds at most 100 parameters per statement
+const MAX_BOUND_PARAMETERS = 100;
+const MAX_QUERY_TERMS = 24;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'how',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'there', 'these',
+  'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with'
+]);
+
+/**
+ * Index terms of a text: lowercased words and numbers without accents or
+ * stopwords, with plurals reduced to their singular
+ */
+export function tokenizeForIndex(text: string): string[] {
+  const words = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+(?:[.,]\d+)*/gu) ?? [];
+
+  return words
+    .filter(word => !STOPWORDS.has(word) && (word.length > 1 || /\d/.test(word)))
+    .map(stem);
+}
+
+function stem(word: string): string {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (/(?:ss|us|is|ics)$/.test(word)) return word;
+  if (/(?:ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+export class KeywordIndex {
+  private db: D1Database;
+
+  constructor(db: D1Database) {
+    this.db = db;
+  }
+
+  /**
+   * Replace the postings of each document with those of its new text
+   */
+  async indexDocuments(documents: KeywordDocument[]): Promise<void> {
+    if (documents.length === 0) return;
+
+    // The last document wins when a batch repeats an id
+    const byId = new Map(documents.map(document => [document.id, document]));
+    const ids = [...byId.keys()];
+
+    // Net change in document frequency per term: +1 for each new posting, -1 for each replaced one
+    const frequencyDelta = new Map<string, number>();
+    for (const term of await this.existingTerms(ids)) {
+      frequencyDelta.set(term, (frequencyDelta.get(term) ?? 0) - 1);
+    }
+
+    const postings: Array<[string, string, number]> = [];
+    const lengths: Array<[string, number, string | null]> = [];
+    for (const [id, { text, namespace }] of byId) {
+      const terms = tokenizeForIndex(text);
+      const counts = new Map<string, number>();
+      terms.forEach(term => counts.set(term, (counts.get(term) ?? 0) + 1));
+
+      counts.forEach((count, term) => {
+        postings.push([term, id, count]);
+        frequencyDelta.set(term, (frequencyDelta.get(term) ?? 0) + 1);
+      });
+      lengths.push([id, terms.length, namespace ?? null]);
+    }
+
+    // One batch, so readers never see a document with half its postings
+    await this.db.batch([
+      ...this.deleteStatements(ids),
+      ...this.insertStatements('INSERT INTO keyword_postings (term, vector_id, term_frequency) VALUES', '(?, ?, ?)', postings),
+      ...this.insertStatements('INSERT OR REPLACE INTO keyword_documents (vector_id, length, namespace) VALUES', '(?, ?, ?)', lengths),
+      ...this.frequencyStatements(frequencyDelta)
+    ]);
+  }
+
+  /**
+   * Drop documents from the index
+   */
+  async removeDocuments(ids: string[]): Promise<void> {
+    if (ids.length === 0) return;
+
+    const frequencyDelta = new Map<string, number>();
+    for (const term of await this.existingTerms(ids)) {
+      frequencyDelta.set(term, (frequencyDelta.get(term) ?? 0) - 1);
+    }
+
+    await this.db.batch([
+      ...this.deleteStatements(ids),
+      ...this.frequencyStatements(frequencyDelta)
+    ]);
+  }
+
+  /**
+   * Top documents for a query by BM25 score, across every namespace unless one is given
+   */
+  async search(query: string, limit: number, namespace?: string): Promise<KeywordHit[]> {
+    const terms = [...new Set(tokenizeForIndex(query))].slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) return [];
+
+    const scope = namespace === undefined ? [] : [namespace];
+    const inNamespace = namespace === undefined ? '' : ' AND d.namespace = ?';
+    const corpus = await this.db.prepare(
+      `SELECT COUNT(*) AS documents, AVG(length) AS average_length FROM keyword_documents${namespace === undefined ? '' : ' WHERE namespace = ?'}`
+    ).bind(...scope).first<{ documents: number; average_length: number | null }>();
+    const documentCount = corpus?.documents ?? 0;
+    if (documentCount === 0) return [];
+    const averageLength = corpus?.average_length || 1;
+
+    // keyword_terms counts documents in every namespace, so a namespace counts its own
+    const frequencies = await this.db.prepare(namespace === undefined
+      ? `SELECT term, document_frequency FROM keyword_terms WHERE term IN (${terms.map(() => '?').join(', ')})`
+      : `SELECT p.term, COUNT(*) AS document_frequency
+         FROM keyword_postings p
+         JOIN keyword_documents d ON d.vector_id = p.vector_id
+         WHERE p.term IN (${terms.map(() => '?').join(', ')})${inNamespace}
+         GROUP BY p.term`
+    ).bind(...terms, ...scope).all<{ term: string; document_frequency: number }>();
+
+    // BM25 inverse document frequency, in the form that never goes negative for common terms
+    const weights = frequencies.results
+      .filter(row => row.document_frequency > 0)
+      .map(row => [row.term, Math.log(1 + (documentCount - row.document_frequency + 0.5) / (row.document_frequency + 0.5))] as const);
+    if (weights.length === 0) return [];
+
+    // Scored in SQL so only the top hits leave the database
+    const result = await this.db.prepare(`
+      SELECT p.vector_id AS id,
+        SUM(
+          (CASE p.term ${weights.map(() => 'WHEN ? THEN ?').join(' ')} END)
+          * p.term_frequency * ${BM25_K1 + 1}
+          / (p.term_frequency + ${BM25_K1} * (1 - ${BM25_B} + ${BM25_B} * d.length * 1.0 / ?))
+        ) AS score,
+        COUNT(*) AS matched_terms
+      FROM keyword_postings p
+      JOIN keyword_documents d ON d.vector_id = p.vector_id
+      WHERE p.term IN (${weights.map(() => '?').join(', ')})${inNamespace}
+      GROUP BY p.vector_id
+      ORDER BY score DESC
+      LIMIT ?
+    `).bind(
+      ...weights.flatMap(([term, weight]) => [term, weight]),
+      averageLength,
+      ...weights.map(([term]) => term),
+      ...scope,
+      limit
+    ).all<KeywordHit>();
+
+    return result.results;
+  }
+
+  private async existingTerms(ids: string[]): Promise<string[]> {
+    const terms: string[] = [];
+    for (let start = 0; start < ids.length; start += MAX_BOUND_PARAMETERS) {
+      const batch = ids.slice(start, start + MAX_BOUND_PARAMETERS);
+      const rows = await this.db.prepare(
+        `SELECT term FROM keyword_postings WHERE vector_id IN (${batch.map(() => '?').join(', ')})`
+      ).bind(...batch).all<{ term: string }>();
+      terms.push(...rows.results.map(row => row.term));
+    }
+    return terms;
+  }
+
+  private deleteStatements(ids: string[]): D1PreparedStatement[] {
+    const statements: D1PreparedStatement[] = [];
+    for (let start = 0; start < ids.length; start += MAX_BOUND_PARAMETERS) {
+      const batch = ids.slice(start, start + MAX_BOUND_PARAMETERS);
+      const placeholders = batch.map(() => '?').join(', ');
+      statements.push(
+        this.db.prepare(`DELETE FROM keyword_postings WHERE vector_id IN (${placeholders})`).bind(...batch),
+        this.db.prepare(`DELETE FROM keyword_documents WHERE vector_id IN (${placeholders})`).bind(...batch)
+      );
+    }
+    return statements;
+  }
+
+  /**
+   * Apply document frequency changes. A term whose frequency drops to zero keeps
+   * its row; it matches nothing and is reused if the term comes back.
+   */
+  private frequencyStatements(delta: Map<string, number>): D1PreparedStatement[] {
+    return this.insertStatements(
+      'INSERT INTO keyword_terms (term, document_frequency) VALUES',
+      '(?, ?)',
+      [...delta].filter(([, change]) => change !== 0),
+      ' ON CONFLICT(term) DO UPDATE SET document_frequency = MAX(0, keyword_terms.document_frequency + excluded.document_frequency)'
+    );
+  }
+
+  /**
+   * Multi-row inserts, as many rows per statement as the parameter limit allows
+   */
+  private insertStatements(
+    insert: string,
+    row: string,
+    rows: ReadonlyArray<ReadonlyArray<string | number | null>>,
+    suffix: string = ''
+  ): D1PreparedStatement[] {
+    if (rows.length === 0) return [];
+
+    const rowsPerStatement = Math.floor(MAX_BOUND_PARAMETERS / rows[0].length);
+    const statements: D1PreparedStatement[] = [];
+    for (let start = 0; start < rows.length; start += rowsPerStatement) {
+      const batch = rows.slice(start, start + rowsPerStatement);
+      statements.push(
+        this.db.prepare(`${insert} ${batch.map(() => row).join(', ')}${suffix}`).bind(...batch.flat())
+      );
+    }
+    return statements;
+  }
+}
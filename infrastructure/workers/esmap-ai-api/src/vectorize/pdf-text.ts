@@ -0,0 +1,545 @@
+/**
+ * PDF Text Reader
+ * Pulls the text of each page out of a PDF: walks the page tree, inflates
+ * content streams with DecompressionStream and follows the text operators.
+ * Fonts with a ToUnicode map are decoded through it; other strings are read as
+ * Latin-1. Layout is approximated by starting a line whenever the text moves
+ * vertically, and a paragraph when it moves further than the previous line did.
+ * Scanned pages have no text to find; encrypted files are rejected.
+ */
+
+import { ApiError } from '../utils/error-handler';
+
+interface PdfObject {
+  body: string; // the object's dictionary or value, without its stream
+  stream?: { start: number; end: number }; // byte range of the raw stream data
+}
+
+type Token =
+  | { kind: 'number'; value: number }
+  | { kind: 'string'; value: string } // raw bytes as Latin-1 characters
+  | { kind: 'name'; value: string }
+  | { kind: 'array'; value: Token[] }
+  | { kind: 'operator'; value: string };
+
+interface CMap {
+  codeLength: number; // bytes per character code
+  map: Map<number, string>;
+}
+
+export class PdfTextReader {
+  private bytes: Uint8Array;
+  private text: string; // the file as Latin-1, so string offsets are byte offsets
+  private objects = new Map<number, PdfObject>();
+  private cmaps = new Map<string, Promise<CMap | null>>();
+
+  constructor(bytes: Uint8Array) {
+    this.bytes = bytes;
+    this.text = latin1(bytes);
+
+    if (!this.text.startsWith('%PDF-')) {
+      throw new ApiError('File is not a valid PDF', 422, 'INVALID_PDF');
+    }
+    if (/\/Encrypt\s+(\d+\s+\d+\s+R|<<)/.test(this.text)) {
+      throw new ApiError('Encrypted PDFs cannot be indexed', 422, 'ENCRYPTED_PDF');
+    }
+  }
+
+  /**
+   * Text of every page in page order; blank lines separate paragraphs
+   */
+  async readPages(): Promise<string[]> {
+    await this.readObjects();
+
+    const pages: string[] = [];
+    for (const page of this.pageDictionaries()) {
+      const fonts = await this.pageFonts(page.resources);
+      const content = await this.pageContent(page.body);
+      pages.push(this.pageText(content, fonts));
+    }
+    return pages;
+  }
+
+  private async readObjects(): Promise<void> {
+    const pattern = /(\d+)\s+\d+\s+obj\b/g;
+    let match: RegExpExecArray | null;
+
+    while ((match = pattern.exec(this.text))) {
+      const start = match.index + match[0].length;
+      let end = this.text.indexOf('endobj', start);
+      if (end < 0) break;
+
+      let body = this.text.slice(start, end);
+      let stream: PdfObject['stream'];
+
+      const streamKeyword = /\bstream\r?\n/.exec(body);
+      if (streamKeyword) {
+        body = body.slice(0, streamKeyword.index);
+        const dataStart = start + streamKeyword.index + streamKeyword[0].length;
+
+        // Stream data may contain anything, so trust a direct /Length when it lands on endstream
+        const length = Number(dictEntry(body, 'Length'));
+        const dataEnd = Number.isInteger(length) && /^\s*endstream/.test(this.text.slice(dataStart + length, dataStart + length + 12))
+          ? dataStart + length
+          : this.text.indexOf('endstream', dataStart);
+        if (dataEnd < 0) break;
+
+        stream = { start: dataStart, end: dataEnd };
+        end = this.text.indexOf('endobj', dataEnd);
+        if (end < 0) end = this.text.length;
+      }
+
+      // Later objects with the same number are incremental updates and win
+      this.objects.set(Number(match[1]), { body, stream });
+      pattern.lastIndex = end;
+    }
+
+    // Compressed object streams hold further objects
+    for (const object of [...this.objects.values()]) {
+      if (!/\/Type\s*\/ObjStm\b/.test(object.body)) continue;
+
+      const data = await this.streamText(object);
+      if (data === null) continue;
+
+      const first = Number(dictEntry(object.body, 'First') ?? 0);
+      const count = Number(dictEntry(object.body, 'N') ?? 0);
+      const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+
+      for (let index = 0; index < count; index++) {
+        const number = header[index * 2];
+        const offset = first + header[index * 2 + 1];
+        const next = index + 1 < count ? first + header[index * 2 + 3] : data.length;
+        if (!this.objects.has(number)) {
+          this.objects.set(number, { body: data.slice(offset, next) });
+        }
+      }
+    }
+  }
+
+  /**
+   * Page dictionaries in reading order, each with the resources it inherits
+   */
+  private pageDictionaries(): { body: string; resources: string }[] {
+    const catalog = [...this.objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.body));
+    const root = catalog ? this.resolve(dictEntry(catalog.body, 'Pages')) : undefined;
+    const pages: { body: string; resources: string }[] = [];
+    const visited = new Set<string>();
+
+    const walk = (node: string, inherited: string) => {
+      const resources = this.resolve(dictEntry(node, 'Resources')) ?? inherited;
+      if (/\/Type\s*\/Page\b/.test(node)) {
+        pages.push({ body: node, resources });
+        return;
+      }
+      const kids = this.resolve(dictEntry(node, 'Kids')) ?? '';
+      for (const ref of kids.matchAll(/(\d+)\s+\d+\s+R/g)) {
+        if (visited.has(ref[1])) continue; // malformed trees can loop
+        visited.add(ref[1]);
+        const kid = this.objects.get(Number(ref[1]));
+        if (kid) walk(kid.body, resources);
+      }
+    };
+
+    if (root) {
+      walk(root, '');
+    }
+    if (pages.length === 0) {
+      // No usable page tree: take page objects in file order
+      for (const object of this.objects.values()) {
+        if (/\/Type\s*\/Page\b/.test(object.body)) {
+          pages.push({ body: object.body, resources: this.resolve(dictEntry(object.body, 'Resources')) ?? '' });
+        }
+      }
+    }
+    return pages;
+  }
+
+  private async pageContent(page: string): Promise<string> {
+    const contents = dictEntry(page, 'Contents');
+    if (!contents) return '';
+
+    const refs = [...contents.matchAll(/(\d+)\s+\d+\s+R/g)].map(ref => Number(ref[1]));
+    const parts: string[] = [];
+
+    for (const number of refs) {
+      const object = this.objects.get(number);
+      if (!object) continue;
+
+      if (object.stream) {
+        parts.push((await this.streamText(object)) ?? '');
+      } else {
+        // An indirect array of content streams
+        for (const inner of object.body.matchAll(/(\d+)\s+\d+\s+R/g)) {
+          const stream = this.objects.get(Number(inner[1]));
+          if (stream) parts.push((await this.streamText(stream)) ?? '');
+        }
+      }
+    }
+    return parts.join('\n');
+  }
+
+  /**
+   * ToUnicode maps of the page's fonts, by resource name
+   */
+  private async pageFonts(resources: string): Promise<Map<string, CMap | null>> {
+    const fonts = new Map<string, CMap | null>();
+    const fontDictionary = this.resolve(dictEntry(resources, 'Font'));
+    if (!fontDictionary) return fonts;
+
+    for (const entry of fontDictionary.matchAll(/\/([^\s/<>\[\]()]+)\s+(\d+)\s+\d+\s+R/g)) {
+      const font = this.objects.get(Number(entry[2]));
+      const toUnicode = font ? dictEntry(font.body, 'ToUnicode') : undefined;
+      const ref = toUnicode && /^(\d+)\s+\d+\s+R$/.exec(toUnicode);
+
+      if (!ref) {
+        fonts.set(entry[1], null);
+        continue;
+      }
+      if (!this.cmaps.has(ref[1])) {
+        const stream = this.objects.get(Number(ref[1]));
+        this.cmaps.set(ref[1], stream ? this.streamText(stream).then(data => (data ? parseCMap(data) : null)) : Promise.resolve(null));
+      }
+      fonts.set(entry[1], await this.cmaps.get(ref[1])!);
+    }
+    return fonts;
+  }
+
+  /**
+   * Follow the text operators of a content stream and lay the text out in lines
+   */
+  private pageText(content: string, fonts: Map<string, CMap | null>): string {
+    const lines: string[] = [];
+    let line = '';
+    let cmap: CMap | null = null;
+    let leading = 0;
+    let lineY = 0; // vertical position of the text line matrix
+    let lastY: number | null = null; // where the current output line sits
+    let lastStep = 0; // vertical distance of the previous line break
+    let operands: Token[] = [];
+
+    const moveTo = (y: number) => {
+      if (lastY !== null && y !== lastY) {
+        if (line.trim()) {
+          // A gap well beyond the usual line spacing starts a new paragraph
+          const step = Math.abs(lastY - y);
+          if (lastStep > 0 && step > lastStep * 1.5) lines.push('');
+          lines.push(line.trim());
+          lastStep = step;
+        }
+        line = '';
+      } else if (line && !line.endsWith(' ')) {
+        line += ' ';
+      }
+      lastY = y;
+    };
+
+    for (const token of tokenize(content)) {
+      if (token.kind !== 'operator') {
+        operands.push(token);
+        continue;
+      }
+
+      const operand = (index: number) => operands[operands.length - index];
+      const number = (index: number) => {
+        const value = operand(index);
+        return value?.kind === 'number' ? value.value : 0;
+      };
+
+      switch (token.value) {
+        case 'BT':
+          lineY = 0; // each text object starts from the identity matrix
+          break;
+        case 'Tf': {
+          const name = operand(2);
+          cmap = name?.kind === 'name' ? fonts.get(name.value) ?? null : null;
+          break;
+        }
+        case 'TL':
+          leading = number(1);
+          break;
+        case 'Td':
+        case 'TD':
+          if (token.value === 'TD') leading = -number(1);
+          lineY += number(1);
+          moveTo(lineY);
+          break;
+        case 'Tm':
+          lineY = number(1);
+          moveTo(lineY);
+          break;
+        case 'T*':
+          lineY -= leading;
+          moveTo(lineY);
+          break;
+        case "'":
+        case '"': {
+          lineY -= leading;
+          moveTo(lineY);
+          const text = operand(1);
+          if (text?.kind === 'string') line += decodeString(text.value, cmap);
+          break;
+        }
+        case 'Tj': {
+          const text = operand(1);
+          if (text?.kind === 'string') line += decodeString(text.value, cmap);
+          break;
+        }
+        case 'TJ': {
+          const array = operand(1);
+          if (array?.kind !== 'array') break;
+          for (const item of array.value) {
+            if (item.kind === 'string') {
+              line += decodeString(item.value, cmap);
+            } else if (item.kind === 'number' && item.value < -200 && !line.endsWith(' ')) {
+              // A wide negative adjustment is a word space set by kerning
+              line += ' ';
+            }
+          }
+          break;
+        }
+      }
+      operands = [];
+    }
+
+    if (line.trim()) lines.push(line.trim());
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * The object a reference points at, or the value itself when it is not a reference
+   */
+  private resolve(value: string | undefined): string | undefined {
+    const ref = value && /^(\d+)\s+\d+\s+R$/.exec(value.trim());
+    return ref ? this.objects.get(Number(ref[1]))?.body : value;
+  }
+
+  private async streamText(object: PdfObject): Promise<string | null> {
+    if (!object.stream) return null;
+
+    const data = this.bytes.subarray(object.stream.start, object.stream.end);
+    const filter = dictEntry(object.body, 'Filter') ?? '';
+    const filters = [...filter.matchAll(/\/(\w+)/g)].map(match => match[1]);
+
+    if (filters.length === 0) return latin1(data);
+    // Images and other encodings carry no text
+    if (filters.length !== 1 || (filters[0] !== 'FlateDecode' && filters[0] !== 'Fl')) return null;
+
+    try {
+      const inflated = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+      return latin1(new Uint8Array(await new Response(inflated).arrayBuffer()));
+    } catch {
+      return null; // a damaged stream loses its text, not the whole document
+    }
+  }
+}
+
+/**
+ * The value of a dictionary key: a reference, a nested dictionary or array, or a single token
+ */
+function dictEntry(dictionary: string, key: string): string | undefined {
+  const match = new RegExp(`/${key}(?![A-Za-z0-9])\\s*`).exec(dictionary);
+  if (!match) return undefined;
+
+  const rest = dictionary.slice(match.index + match[0].length);
+  const ref = /^(\d+\s+\d+\s+R)\b/.exec(rest);
+  if (ref) return ref[1];
+
+  if (rest.startsWith('<<') || rest.startsWith('[')) {
+    const [open, close] = rest.startsWith('<<') ? ['<<', '>>'] : ['[', ']'];
+    let depth = 0;
+    for (let index = 0; index < rest.length; index++) {
+      if (rest.startsWith(open, index)) {
+        depth++;
+        index += open.length - 1;
+      } else if (rest.startsWith(close, index)) {
+        depth--;
+        index += close.length - 1;
+        if (depth === 0) return rest.slice(0, index + 1);
+      }
+    }
+    return rest;
+  }
+
+  return /^(\/?[^\s/<>\[\]()]+)/.exec(rest)?.[1];
+}
+
+function tokenize(content: string): Token[] {
+  const tokens: Token[] = [];
+  const stack: Token[][] = [];
+  let index = 0;
+
+  const push = (token: Token) => (stack.length > 0 ? stack[stack.length - 1] : tokens).push(token);
+
+  while (index < content.length) {
+    const char = content[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (char === '%') {
+      while (index < content.length && content[index] !== '\n' && content[index] !== '\r') index++;
+    } else if (char === '(') {
+      const [value, end] = readLiteralString(content, index);
+      push({ kind: 'string', value });
+      index = end;
+    } else if (char === '<' && content[index + 1] === '<') {
+      // Inline dictionaries (marked content properties) carry no text
+      const end = content.indexOf('>>', index);
+      index = end < 0 ? content.length : end + 2;
+    } else if (char === '<') {
+      const end = content.indexOf('>', index);
+      const hex = content.slice(index + 1, end < 0 ? content.length : end).replace(/\s/g, '');
+      push({ kind: 'string', value: hexToLatin1(hex) });
+      index = end < 0 ? content.length : end + 1;
+    } else if (char === '[') {
+      stack.push([]);
+      index++;
+    } else if (char === ']') {
+      const array = stack.pop() ?? [];
+      push({ kind: 'array', value: array });
+      index++;
+    } else if (char === '/') {
+      const match = /^\/[^\s/<>\[\]()%{}]*/.exec(content.slice(index, index + 128))!;
+      push({ kind: 'name', value: match[0].slice(1) });
+      index += match[0].length;
+    } else {
+      const match = /^[^\s/<>\[\]()%{}]+/.exec(content.slice(index, index + 128));
+      if (!match) {
+        index++;
+        continue;
+      }
+      const word = match[0];
+      index += word.length;
+
+      if (/^[-+]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        push({ kind: 'number', value: Number(word) });
+      } else if (word === 'ID') {
+        // Inline image data is binary: skip to its end marker
+        const end = content.indexOf('EI', index);
+        index = end < 0 ? content.length : end + 2;
+      } else {
+        push({ kind: 'operator', value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+function readLiteralString(content: string, start: number): [string, number] {
+  let value = '';
+  let depth = 0;
+  let index = start;
+
+  while (index < content.length) {
+    const char = content[index];
+
+    if (char === '\\') {
+      const next = content[index + 1];
+      const escapes: Record<string, string> = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+      if (next in escapes) {
+        value += escapes[next];
+        index += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(content.slice(index + 1, index + 4))![0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        index += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // A backslash at the end of a line continues the string
+        index += next === '\r' && content[index + 2] === '\n' ? 3 : 2;
+      } else {
+        value += next ?? '';
+        index += 2;
+      }
+      continue;
+    }
+
+    if (char === '(') {
+      depth++;
+      if (depth > 1) value += char;
+    } else if (char === ')') {
+      depth--;
+      if (depth === 0) return [value, index + 1];
+      value += char;
+    } else {
+      value += char;
+    }
+    index++;
+  }
+
+  return [value, index];
+}
+
+/**
+ * Parse the bfchar and bfrange sections of a ToUnicode CMap
+ */
+function parseCMap(data: string): CMap {
+  const map = new Map<number, string>();
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(data);
+  const codeLength = codespace ? Math.max(1, codespace[1].length / 2) : 2;
+
+  for (const section of data.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const entry of section[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(entry[1], 16), utf16Hex(entry[2]));
+    }
+  }
+
+  for (const section of data.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const entry of section[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const low = parseInt(entry[1], 16);
+      const high = Math.min(parseInt(entry[2], 16), low + 0xffff);
+
+      if (entry[3].startsWith('[')) {
+        const targets = [...entry[3].matchAll(/<([0-9a-fA-F]*)>/g)].map(target => utf16Hex(target[1]));
+        targets.forEach((target, offset) => map.set(low + offset, target));
+      } else {
+        const base = entry[3].slice(1, -1);
+        const prefix = utf16Hex(base.slice(0, -4));
+        const last = parseInt(base.slice(-4) || '0', 16);
+        for (let code = low; code <= high; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - low));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+function decodeString(raw: string, cmap: CMap | null): string {
+  if (!cmap) return raw;
+
+  let text = '';
+  for (let index = 0; index + cmap.codeLength <= raw.length; index += cmap.codeLength) {
+    let code = 0;
+    for (let byte = 0; byte < cmap.codeLength; byte++) {
+      code = (code << 8) | raw.charCodeAt(index + byte);
+    }
+    text += cmap.map.get(code) ?? '';
+  }
+  return text;
+}
+
+function utf16Hex(hex: string): string {
+  let text = '';
+  for (let index = 0; index + 4 <= hex.length; index += 4) {
+    text += String.fromCharCode(parseInt(hex.slice(index, index + 4), 16));
+  }
+  return text;
+}
+
+function hexToLatin1(hex: string): string {
+  const padded = hex.length % 2 === 0 ? hex : `${hex}0`;
+  let text = '';
+  for (let index = 0; index < padded.length; index += 2) {
+    text += String.fromCharCode(parseInt(padded.slice(index, index + 2), 16));
+  }
+  return text;
+}
+
+function latin1(bytes: Uint8Array): string {
+  let text = '';
+  for (let index = 0; index < bytes.length; index += 8192) {
+    text += String.fromCharCode(...bytes.subarray(index, index + 8192));
+  }
+  return text;
+}
@@ -0,0 +1,271 @@
+/**
+ * Search Evaluator
+ * Runs a judged query set against vector or hybrid search and scores the
+ * rankings with nDCG@k, MRR and recall@k. Runs are kept in D1
+ * (search_evaluations, search_evaluation_queries) so changes to search can be
+ * compared with earlier runs of the same set.
+ */
+
+import { VectorizeManager } from './vectorize-manager';
+import type {
+  JudgedQuery,
+  SearchEvaluationMethod,
+  SearchEvaluationRequest,
+  SearchEvaluationRun,
+  SearchMetrics,
+  SearchQueryEvaluation,
+  VectorSearchResult
+} from './types';
+
+export const DEFAULT_EVALUATION_K = 10;
+
+export class SearchEvaluator {
+  constructor(private search: VectorizeManager, private db: D1Database) {}
+
+  /**
+   * Evaluate the set with each requested method and store one run per method.
+   * Queries run one at a time so the timings are comparable.
+   */
+  async evaluate(request: SearchEvaluationRequest): Promise<SearchEvaluationRun[]> {
+    const k = request.k ?? DEFAULT_EVALUATION_K;
+    const runs: SearchEvaluationRun[] = [];
+
+    for (const method of request.methods ?? ['vector', 'hybrid']) {
+      const config = this.runConfig(request, method, k);
+      const queries: SearchQueryEvaluation[] = [];
+      for (const judged of request.queries) {
+        queries.push(await this.evaluateQuery(judged, method, k, request));
+      }
+
+      const previous = await this.latestRun(request.name, method);
+      const run: SearchEvaluationRun = {
+        id: crypto.randomUUID(),
+        query_set: request.name,
+        method,
+        k,
+        query_count: queries.length,
+        metrics: {
+          ndcg: mean(queries.map(query => query.ndcg)),
+          mrr: mean(queries.map(query => query.reciprocal_rank)),
+          recall: mean(queries.map(query => query.recall))
+        },
+        config,
+        created_at: new Date().toISOString(),
+        previous: previous ?? undefined,
+        queries
+      };
+
+      await this.saveRun(run);
+      runs.push(run);
+    }
+
+    return runs;
+  }
+
+  async listRuns(options: { querySet?: string; method?: SearchEvaluationMethod; limit: number }): Promise<SearchEvaluationRun[]> {
+    const conditions: string[] = [];
+    const params: unknown[] = [];
+    if (options.querySet) {
+      conditions.push('query_set = ?');
+      params.push(options.querySet);
+    }
+    if (options.method) {
+      conditions.push('method = ?');
+      params.push(options.method);
+    }
+
+    const rows = await this.db.prepare(`
+      SELECT * FROM search_evaluations
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC
+      LIMIT ?
+    `).bind(...params, options.limit).all();
+
+    return rows.results.map(rowToRun);
+  }
+
+  /**
+   * A run with its per-query results
+   */
+  async getRun(id: string): Promise<SearchEvaluationRun | null> {
+    const row = await this.db.prepare('SELECT * FROM search_evaluations WHERE id = ?').bind(id).first();
+    if (!row) return null;
+
+    const queries = await this.db.prepare(
+      'SELECT * FROM search_evaluation_queries WHERE evaluation_id = ? ORDER BY position'
+    ).bind(id).all();
+
+    return {
+      ...rowToRun(row),
+      queries: queries.results.map(query => ({
+        query_id: query.query_id as string,
+        query: query.query_text as string,
+        ndcg: query.ndcg as number,
+        reciprocal_rank: query.reciprocal_rank as number,
+        recall: query.recall as number,
+        relevant_count: query.relevant_count as number,
+        retrieved: JSON.parse(query.retrieved as string),
+        response_time_ms: query.response_time_ms as number
+      }))
+    };
+  }
+
+  private async evaluateQuery(
+    judged: JudgedQuery,
+    method: SearchEvaluationMethod,
+    k: number,
+    request: SearchEvaluationRequest
+  ): Promise<SearchQueryEvaluation> {
+    const startTime = Date.now();
+    const query = {
+      text: judged.query,
+      model: request.model,
+      topK: k,
+      filter: judged.filter,
+      namespace: judged.namespace
+    };
+    const response = method === 'hybrid'
+      ? await this.search.hybridSearch({
+        ...query,
+        keywords: judged.keywords,
+        combine_method: request.combine_method,
+        keyword_weight: request.keyword_weight,
+        vector_weight: request.vector_weight
+      })
+      : await this.search.vectorSearch(query);
+    const responseTime = Date.now() - startTime;
+
+    const grades = new Map(judged.judgments.map(judgment => [judgment.document_id, judgment.relevance]));
+    const ranking = rankDocuments(response.results, grades).slice(0, k);
+    const retrieved = ranking.map((documentId, index) => ({
+      document_id: documentId,
+      rank: index + 1,
+      relevance: grades.get(documentId) ?? 0
+    }));
+
+    return {
+      query_id: judged.id,
+      query: judged.query,
+      ...scoreRanking(retrieved.map(result => result.relevance), [...grades.values()], k),
+      relevant_count: [...grades.values()].filter(grade => grade > 0).length,
+      retrieved,
+      response_time_ms: responseTime
+    };
+  }
+
+  private runConfig(request: SearchEvaluationRequest, method: SearchEvaluationMethod, k: number): Record<string, unknown> {
+    const config: Record<string, unknown> = { k, model: request.model ?? null };
+    if (method === 'hybrid') {
+      config.combine_method = request.combine_method ?? null;
+      config.keyword_weight = request.keyword_weight ?? null;
+      config.vector_weight = request.vector_weight ?? null;
+    }
+    return config;
+  }
+
+  private async latestRun(querySet: string, method: SearchEvaluationMethod): Promise<SearchEvaluationRun['previous'] | null> {
+    const [run] = await this.listRuns({ querySet, method, limit: 1 });
+    return run ? { id: run.id, metrics: run.metrics, created_at: run.created_at } : null;
+  }
+
+  private async saveRun(run: SearchEvaluationRun): Promise<void> {
+    await this.db.batch([
+      this.db.prepare(`
+        INSERT INTO search_evaluations (id, query_set, method, k, query_count, ndcg, mrr, recall, config, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        run.id,
+        run.query_set,
+        run.method,
+        run.k,
+        run.query_count,
+        run.metrics.ndcg,
+        run.metrics.mrr,
+        run.metrics.recall,
+        JSON.stringify(run.config),
+        run.created_at
+      ),
+      ...(run.queries ?? []).map((query, position) => this.db.prepare(`
+        INSERT INTO search_evaluation_queries (
+          evaluation_id, position, query_id, query_text, ndcg, reciprocal_rank, recall,
+          relevant_count, retrieved, response_time_ms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        run.id,
+        position,
+        query.query_id,
+        query.query,
+        query.ndcg,
+        query.reciprocal_rank,
+        query.recall,
+        query.relevant_count,
+        JSON.stringify(query.retrieved),
+        query.response_time_ms
+      ))
+    ]);
+  }
+}
+
+/**
+ * Document IDs in rank order. A hit counts as the judged document it belongs to:
+ * its own vector ID if that was judged, otherwise the dataset of the chunk.
+ * Later chunks of a document already ranked are dropped.
+ */
+export function rankDocuments(results: VectorSearchResult[], grades: Map<string, number>): string[] {
+  const ranking: string[] = [];
+  for (const result of results) {
+    const documentId = grades.has(result.id) ? result.id : result.source?.dataset_id ?? result.id;
+    if (!ranking.includes(documentId)) ranking.push(documentId);
+  }
+  return ranking;
+}
+
+/**
+ * nDCG@k with exponential gain (2^rel - 1), the reciprocal rank of the first
+ * relevant result within k, and recall@k over the documents graded above 0
+ */
+export function scoreRanking(
+  relevances: number[],
+  judgedGrades: number[],
+  k: number
+): { ndcg: number; reciprocal_rank: number; recall: number } {
+  const ranked = relevances.slice(0, k);
+  const ideal = judgedGrades.filter(grade => grade > 0).sort((a, b) => b - a).slice(0, k);
+  const relevantCount = judgedGrades.filter(grade => grade > 0).length;
+
+  const idealGain = discountedGain(ideal);
+  const firstRelevant = ranked.findIndex(relevance => relevance > 0);
+
+  return {
+    ndcg: idealGain > 0 ? discountedGain(ranked) / idealGain : 0,
+    reciprocal_rank: firstRelevant >= 0 ? 1 / (firstRelevant + 1) : 0,
+    recall: relevantCount > 0 ? ranked.filter(relevance => relevance > 0).length / relevantCount : 0
+  };
+}
+
+function discountedGain(relevances: number[]): number {
+  return relevances.reduce((total, relevance, index) => total + (2 ** relevance - 1) / Math.log2(index + 2), 0);
+}
+
+function mean(values: number[]): number {
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+}
+
+function rowToRun(row: Record<string, unknown>): SearchEvaluationRun {
+  const metrics: SearchMetrics = {
+    ndcg: row.ndcg as number,
+    mrr: row.mrr as number,
+    recall: row.recall as number
+  };
+
+  return {
+    id: row.id as string,
+    query_set: row.query_set as string,
+    method: row.method as SearchEvaluationMethod,
+    k: row.k as number,
+    query_count: row.query_count as number,
+    metrics,
+    config: row.config ? JSON.parse(row.config as string) : {},
+    created_at: row.created_at as string
+  };
+}
@@ -50,6 +50,7 @@ export enum EnergyDataCategory {
 export interface VectorSearchQuery {
   text?: string;
   vector?: number[];
+  model?: EmbeddingModel; // embeds `text`; defaults to the configured model
   topK?: number;
   includeMetadata?: boolean;
   includeValues?: boolean;
@@ -75,6 +76,19 @@ export interface VectorSearchResult {
   score: number;
   metadata: EmbeddingMetadata;
   values?: number[];
+  source?: DocumentChunkSource; // set when the vector is a chunk of an indexed document
+  score_components?: ScoreComponents; // set by hybrid search
+}
+
+export type HybridCombineMethod = 'weighted_sum' | 'rrf' | 'linear_combination';
+
+// The parts of a hybrid search score; a component is absent when that search did not return the result
+export interface ScoreComponents {
+  combine_method: HybridCombineMethod;
+  vector?: number; // similarity from the vector index
+  vector_rank?: number; // 1-based
+  keyword?: number; // BM25 score
+  keyword_rank?: number;
 }
 
 export interface VectorSearchResponse {
@@ -111,7 +125,10 @@ export enum EmbeddingModel {
   TEXT_EMBEDDING_3_SMALL = 'text-embedding-3-small',
   TEXT_EMBEDDING_3_LARGE = 'text-embedding-3-large',
   MULTILINGUAL_E5_LARGE = 'multilingual-e5-large',
-  BGE_LARGE_EN_V1_5 = 'bge-large-en-v1.5'
+  BGE_SMALL_EN_V1_5 = 'bge-small-en-v1.5',
+  BGE_BASE_EN_V1_5 = 'bge-base-en-v1.5',
+  BGE_LARGE_EN_V1_5 = 'bge-large-en-v1.5',
+  HASHED_NGRAM = 'hashed-ngram' // deterministic local embedding for tests
 }
 
 export interface IndexStats {
@@ -142,6 +159,7 @@ export interface VectorUpsertItem {
   id: string;
   values: number[];
   metadata: EmbeddingMetadata;
+  text?: string; // indexed for keyword search; defaults to the metadata source, indicator, country and tags
 }
 
 export interface BulkUpsertResponse {
@@ -184,13 +202,18 @@ export interface SemanticSearchConfig {
   enable_reranking: boolean;
   cache_results: boolean;
   cache_ttl_seconds: number;
+  embedding_model: EmbeddingModel;
+  hybrid_combine_method: HybridCombineMethod;
+  hybrid_keyword_weight: number; // share of a weighted hybrid score from BM25; the rest comes from vector similarity
+  rrf_k: number; // rank offset for reciprocal rank fusion
+  log_query_analytics: boolean; // record searches in query_analytics; off for evaluation runs
 }
 
 export interface HybridSearchQuery extends VectorSearchQuery {
   keywords?: string[];
   keyword_weight?: number;
   vector_weight?: number;
-  combine_method?: 'weighted_sum' | 'rrf' | 'linear_combination';
+  combine_method?: HybridCombineMethod;
 }
 
 export interface EnergyDomainVector {
@@ -217,6 +240,57 @@ export interface EnergyDomainMetadata extends EmbeddingMetadata {
   partner_organizations?: string[];
 }
 
+// Fields applied to every chunk of an indexed document; source defaults to the file's source
+export type DocumentMetadata = Omit<EnergyDomainMetadata, 'source' | 'created_at' | 'updated_at'> & {
+  source?: string;
+};
+
+export interface DocumentIndexRequest {
+  file_id: string;
+  metadata: DocumentMetadata;
+  chunk_size?: number;
+  chunk_overlap?: number;
+  model?: EmbeddingModel;
+}
+
+export type DocumentIndexStatus = 'pending' | 'indexing' | 'indexed' | 'failed';
+
+export interface IndexedDocument {
+  dataset_id: string;
+  file_id: string;
+  version?: number;
+  status: DocumentIndexStatus;
+  format?: string;
+  title?: string;
+  metadata: DocumentMetadata;
+  chunk_size: number;
+  chunk_overlap: number;
+  embedding_model: string;
+  chunk_count: number;
+  page_count?: number;
+  error?: string;
+  requested_by?: number;
+  indexed_at?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+// Where a chunk's text came from, so a search hit can link back to the page
+export interface DocumentChunkSource {
+  dataset_id: string;
+  file_id: string;
+  version?: number;
+  chunk_index: number;
+  section?: string;
+  page_start: number;
+  page_end: number;
+}
+
+export interface DocumentChunkRecord extends DocumentChunkSource {
+  vector_id: string;
+  content: string;
+}
+
 export interface QueryAnalytics {
   query_id: string;
   query_text?: string;
@@ -228,6 +302,72 @@ export interface QueryAnalytics {
   timestamp: string;
 }
 
+export type SearchEvaluationMethod = 'vector' | 'hybrid';
+
+/**
+ * Graded relevance of one document to a judged query: 0 (not relevant) to 3 (highly relevant).
+ * document_id is a vector ID or the dataset ID of an indexed document; every chunk of
+ * the document then matches it.
+ */
+export interface RelevanceJudgment {
+  document_id: string;
+  relevance: number;
+}
+
+export interface JudgedQuery {
+  id: string;
+  query: string;
+  keywords?: string[]; // extra keywords for hybrid search
+  filter?: VectorFilter;
+  namespace?: string;
+  judgments: RelevanceJudgment[];
+}
+
+export interface JudgedQuerySet {
+  name: string;
+  description?: string;
+  queries: JudgedQuery[];
+}
+
+export interface SearchEvaluationRequest extends JudgedQuerySet {
+  k?: number;
+  methods?: SearchEvaluationMethod[];
+  model?: EmbeddingModel;
+  combine_method?: HybridCombineMethod;
+  keyword_weight?: number;
+  vector_weight?: number;
+}
+
+export interface SearchMetrics {
+  ndcg: number; // mean nDCG@k
+  mrr: number; // mean reciprocal rank of the first relevant document within k
+  recall: number; // mean recall@k
+}
+
+export interface SearchQueryEvaluation {
+  query_id: string;
+  query: string;
+  ndcg: number;
+  reciprocal_rank: number;
+  recall: number;
+  relevant_count: number;
+  retrieved: Array<{ document_id: string; rank: number; relevance: number }>;
+  response_time_ms: number;
+}
+
+export interface SearchEvaluationRun {
+  id: string;
+  query_set: string;
+  method: SearchEvaluationMethod;
+  k: number;
+  query_count: number;
+  metrics: SearchMetrics;
+  config: Record<string, unknown>; // search options the run used
+  created_at: string;
+  previous?: { id: string; metrics: SearchMetrics; created_at: string }; // the set's last run with this method
+  queries?: SearchQueryEvaluation[];
+}
+
 export interface VectorizePerformanceMetrics {
   index_name: string;
   total_queries: number;
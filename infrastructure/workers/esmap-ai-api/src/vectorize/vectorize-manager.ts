@@ -16,6 +16,7 @@ import {
   IndexStats,
   SemanticSearchConfig,
   HybridSearchQuery,
+  HybridCombineMethod,
   EmbeddingModel,
   EmbeddingType,
   EnergyDataCategory,
@@ -24,22 +25,35 @@ import {
   QueryAnalytics,
   VectorizePerformanceMetrics
 } from './types';
+import { EmbeddingProvider, createEmbeddingProvider, normalizeVector } from './embedding-providers';
+import { KeywordIndex, KeywordHit } from './keyword-index';
+import { ApiError } from '../utils/error-handler';
+
+// Each side of a hybrid search fetches this many times topK, so a result one side ranks low can still be lifted by the other
+const HYBRID_CANDIDATE_FACTOR = 3;
 
 export class VectorizeManager {
   private vectorize: Vectorize;
   private metadataDB: D1Database;
   private cache: KVNamespace;
   private config: SemanticSearchConfig;
+  private ai?: Ai;
+  private keywordIndex: KeywordIndex;
+  private providers = new Map<string, EmbeddingProvider>();
+  private indexDimensions?: number;
 
   constructor(
     vectorize: Vectorize,
     metadataDB: D1Database,
     cache: KVNamespace,
-    config?: Partial<SemanticSearchConfig>
+    config?: Partial<SemanticSearchConfig>,
+    ai?: Ai
   ) {
     this.vectorize = vectorize;
     this.metadataDB = metadataDB;
     this.cache = cache;
+    this.ai = ai;
+    this.keywordIndex = new KeywordIndex(metadataDB);
     this.config = {
       default_top_k: 10,
       max_top_k: 100,
@@ -48,31 +62,50 @@ export class VectorizeManager {
       enable_reranking: true,
       cache_results: true,
       cache_ttl_seconds: 3600,
+      embedding_model: EmbeddingModel.BGE_BASE_EN_V1_5,
+      hybrid_combine_method: 'weighted_sum',
+      hybrid_keyword_weight: 0.3,
+      rrf_k: 60,
+      log_query_analytics: true,
       ...config
     };
   }
 
   /**
-   * Generate embeddings for text data using AI models
+   * Generate embeddings with the provider for the requested model (the configured one by default)
    */
   async generateEmbeddings(request: EmbeddingGenerationRequest): Promise<EmbeddingGenerationResponse> {
     const startTime = Date.now();
     
     try {
-      // For now, we'll use a simplified embedding generation
-      // In production, this would integrate with OpenAI API or other embedding services
-      const embeddings = await this.generateMockEmbeddings(request.texts);
+      const provider = this.getEmbeddingProvider(request.model || this.config.embedding_model);
+      const batchSize = Math.min(request.batch_size || provider.maxBatchSize, provider.maxBatchSize);
+      const embeddings: number[][] = [];
+
+      for (const batch of this.createBatches(request.texts, batchSize)) {
+        embeddings.push(...await provider.embed(batch));
+      }
+
+      const wrongSize = embeddings.find(embedding => embedding.length !== provider.dimensions);
+      if (wrongSize) {
+        throw new ApiError(
+          `${provider.model} returned ${wrongSize.length}-dimension embeddings, expected ${provider.dimensions}`,
+          502,
+          'EMBEDDING_FAILED'
+        );
+      }
       
       const endTime = Date.now();
       
       return {
-        embeddings,
-        model: request.model || EmbeddingModel.TEXT_EMBEDDING_ADA_002,
-        dimensions: 1536,
+        embeddings: request.normalize ? embeddings.map(normalizeVector) : embeddings,
+        model: provider.model,
+        dimensions: provider.dimensions,
         processing_time_ms: endTime - startTime,
         token_count: request.texts.reduce((total, text) => total + this.estimateTokenCount(text), 0)
       };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       throw new Error(`Embedding generation failed: ${error}`);
     }
   }
@@ -86,6 +119,18 @@ export class VectorizeManager {
     let failedCount = 0;
     const errors: Array<{ id: string; error: string }> = [];
 
+    // Vectors of the wrong size come from another embedding model; reject the request before writing any of it
+    const dimensions = await this.getIndexDimensions();
+    const mismatched = request.vectors.filter(item => !Array.isArray(item.values) || item.values.length !== dimensions);
+    if (mismatched.length > 0) {
+      throw new ApiError(
+        `The index holds ${dimensions}-dimension vectors; ${mismatched.length} vector(s) do not match, ` +
+        `starting with ${mismatched[0].id} (${mismatched[0].values?.length ?? 0} dimensions)`,
+        400,
+        'DIMENSION_MISMATCH'
+      );
+    }
+
     try {
       // Process in batches
       const batchSize = request.batch_size || 100;
@@ -97,6 +142,7 @@ export class VectorizeManager {
           const vectorizeItems = batch.map(item => ({
             id: item.id,
             values: item.values,
+            namespace: request.namespace,
             metadata: this.serializeMetadata(item.metadata)
           }));
 
@@ -104,7 +150,12 @@ export class VectorizeManager {
           await this.vectorize.upsert(vectorizeItems);
           
           // Store additional metadata in D1
-          await this.storeVectorMetadata(batch);
+          await this.storeVectorMetadata(batch, request.namespace);
+          await this.keywordIndex.indexDocuments(batch.map(item => ({
+            id: item.id,
+            text: item.text ?? this.keywordText(item.metadata),
+            namespace: request.namespace
+          })));
           
           upsertedCount += batch.length;
         } catch (error) {
@@ -150,19 +201,7 @@ export class VectorizeManager {
         }
       }
 
-      let queryVector: number[];
-
-      // Generate embedding for text query if needed
-      if (query.text && !query.vector) {
-        const embeddingResponse = await this.generateEmbeddings({
-          texts: [query.text]
-        });
-        queryVector = embeddingResponse.embeddings[0];
-      } else if (query.vector) {
-        queryVector = query.vector;
-      } else {
-        throw new Error('Either text or vector must be provided');
-      }
+      const queryVector = await this.embedQuery(query);
 
       // Perform vector search
       const topK = Math.min(query.topK || this.config.default_top_k, this.config.max_top_k);
@@ -176,6 +215,7 @@ export class VectorizeManager {
 
       // Process and filter results
       const results = await this.processSearchResults(vectorizeResults, query.filter);
+      await this.attachChunkSources(results);
 
       const endTime = Date.now();
       const searchTime = endTime - startTime;
@@ -217,50 +257,76 @@ export class VectorizeManager {
 
       return response;
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       throw new Error(`Vector search failed: ${error}`);
     }
   }
 
   /**
-   * Perform hybrid search combining vector and keyword search
+   * Perform hybrid search, fusing vector similarity with BM25 keyword scores.
+   * The keyword query is the query text plus any keywords.
    */
   async hybridSearch(query: HybridSearchQuery): Promise<VectorSearchResponse> {
     const startTime = Date.now();
 
     try {
-      // For now, implement as vector search with keyword filtering
-      // In production, this would combine vector similarity with keyword matching
-      const vectorResults = await this.vectorSearch({
-        text: query.text,
-        vector: query.vector,
-        topK: query.topK,
-        includeMetadata: query.includeMetadata,
-        includeValues: query.includeValues,
-        namespace: query.namespace,
-        filter: query.filter
-      });
-
-      // Apply keyword filtering if keywords are provided
-      if (query.keywords && query.keywords.length > 0) {
-        vectorResults.results = this.filterByKeywords(vectorResults.results, query.keywords);
-      }
-
-      // Update query metadata
-      vectorResults.query_metadata.search_time_ms = Date.now() - startTime;
+      const topK = Math.min(query.topK || this.config.default_top_k, this.config.max_top_k);
+      const candidateCount = Math.min(topK * HYBRID_CANDIDATE_FACTOR, this.config.max_top_k);
+      const keywordQuery = [query.text, ...(query.keywords ?? [])].filter(Boolean).join(' ');
+
+      const queryVector = await this.embedQuery(query);
+      const [vectorizeResults, keywordHits] = await Promise.all([
+        this.vectorize.query(queryVector, {
+          topK: candidateCount,
+          returnMetadata: query.includeMetadata !== false,
+          returnValues: query.includeValues || false,
+          namespace: query.namespace
+        }),
+        this.keywordIndex.search(keywordQuery, candidateCount, query.namespace)
+      ]);
+
+      // Fusion replaces the similarity threshold: a weak vector match can still rank on its keywords
+      const vectorResults = await this.processSearchResults(vectorizeResults, query.filter, false);
+      const keywordResults = await this.keywordResults(keywordHits, vectorResults, query.filter);
+
+      const results = fuseResults(
+        vectorResults,
+        keywordResults,
+        query.combine_method || this.config.hybrid_combine_method,
+        this.hybridKeywordWeight(query),
+        this.config.rrf_k
+      ).slice(0, topK);
+      await this.attachChunkSources(results);
+
+      const searchTime = Date.now() - startTime;
+      const indexStats = await this.getIndexStats();
 
       // Log analytics
       await this.logQueryAnalytics({
         query_id: crypto.randomUUID(),
-        query_text: query.text,
+        query_text: keywordQuery || undefined,
         query_type: 'hybrid_search',
-        results_count: vectorResults.results.length,
-        response_time_ms: vectorResults.query_metadata.search_time_ms,
+        results_count: results.length,
+        response_time_ms: searchTime,
         clicked_results: [],
         timestamp: new Date().toISOString()
       });
 
-      return vectorResults;
+      return {
+        results,
+        query_metadata: {
+          query_text: query.text,
+          query_vector_length: queryVector.length,
+          total_results: results.length,
+          search_time_ms: searchTime,
+          index_stats: {
+            total_vectors: indexStats.total_vectors,
+            dimensions: indexStats.dimensions
+          }
+        }
+      };
     } catch (error) {
+      if (error instanceof ApiError) throw error;
       throw new Error(`Hybrid search failed: ${error}`);
     }
   }
@@ -293,13 +359,13 @@ export class VectorizeManager {
   async deleteVectors(vectorIds: string[], namespace?: string): Promise<{ deleted: number; errors: string[] }> {
     try {
       const errors: string[] = [];
-      let deleted = 0;
+      const deletedIds: string[] = [];
 
       // Delete from Vectorize
       for (const id of vectorIds) {
         try {
           await this.vectorize.deleteByIds([id]);
-          deleted++;
+          deletedIds.push(id);
 
           // Also remove from metadata database
           await this.metadataDB.prepare(
@@ -311,7 +377,9 @@ export class VectorizeManager {
         }
       }
 
-      return { deleted, errors };
+      await this.keywordIndex.removeDocuments(deletedIds);
+
+      return { deleted: deletedIds.length, errors };
     } catch (error) {
       throw new Error(`Vector deletion failed: ${error}`);
     }
@@ -442,7 +510,7 @@ export class VectorizeManager {
         category_distribution: this.formatCategoryDistribution(categoryDistribution.results),
         error_rate: 0,
         storage_utilization: {
-          used_mb: indexStats.total_vectors * 1536 * 4 / (1024 * 1024), // Rough estimate
+          used_mb: indexStats.total_vectors * indexStats.dimensions * 4 / (1024 * 1024), // Rough estimate
           total_mb: 1000, // Would be actual limit
           utilization_percent: 0
         }
@@ -456,10 +524,52 @@ export class VectorizeManager {
    * Private helper methods
    */
 
-  private async generateMockEmbeddings(texts: string[]): Promise<number[][]> {
-    // This is a mock implementation for testing
-    // In production, this would call OpenAI API or use Cloudflare Workers AI
-    return texts.map(() => Array.from({ length: 1536 }, () => Math.random() - 0.5));
+  private getEmbeddingProvider(model: string): EmbeddingProvider {
+    let provider = this.providers.get(model);
+    if (!provider) {
+      provider = createEmbeddingProvider(model, this.ai);
+      this.providers.set(model, provider);
+    }
+    return provider;
+  }
+
+  private async getIndexDimensions(): Promise<number> {
+    if (this.indexDimensions === undefined) {
+      this.indexDimensions = (await this.vectorize.describe()).dimensions;
+    }
+    return this.indexDimensions;
+  }
+
+  /**
+   * The query vector of a search: the given vector, or the embedding of the query text
+   */
+  private async embedQuery(query: VectorSearchQuery): Promise<number[]> {
+    let queryVector: number[];
+
+    if (query.text && !query.vector) {
+      const embeddingResponse = await this.generateEmbeddings({
+        texts: [query.text],
+        model: query.model
+      });
+      queryVector = embeddingResponse.embeddings[0];
+    } else if (query.vector) {
+      queryVector = query.vector;
+    } else {
+      throw new Error('Either text or vector must be provided');
+    }
+
+    const dimensions = await this.getIndexDimensions();
+    if (queryVector.length !== dimensions) {
+      throw new ApiError(
+        query.vector
+          ? `Query vector has ${queryVector.length} dimensions; the index holds ${dimensions}-dimension vectors`
+          : `Embedding model ${query.model || this.config.embedding_model} gives ${queryVector.length}-dimension vectors; the index holds ${dimensions}`,
+        400,
+        'DIMENSION_MISMATCH'
+      );
+    }
+
+    return queryVector;
   }
 
   private estimateTokenCount(text: string): number {
@@ -491,7 +601,10 @@ export class VectorizeManager {
     };
   }
 
-  private async storeVectorMetadata(vectors: Array<{ id: string; metadata: EmbeddingMetadata }>): Promise<void> {
+  private async storeVectorMetadata(
+    vectors: Array<{ id: string; metadata: EmbeddingMetadata }>,
+    namespace?: string
+  ): Promise<void> {
     const query = `
       INSERT OR REPLACE INTO vector_metadata (
         vector_id, type, source, category, country, indicator, year,
@@ -513,14 +626,15 @@ export class VectorizeManager {
         JSON.stringify(vector.metadata.tags),
         vector.metadata.created_at,
         vector.metadata.updated_at,
-        'default'
+        namespace ?? 'default'
       ).run();
     }
   }
 
   private async processSearchResults(
     vectorizeResults: VectorizeMatches,
-    filter?: VectorFilter
+    filter?: VectorFilter,
+    applyThreshold: boolean = true
   ): Promise<VectorSearchResult[]> {
     const results: VectorSearchResult[] = [];
 
@@ -544,7 +658,88 @@ export class VectorizeManager {
     results.sort((a, b) => b.score - a.score);
 
     // Apply similarity threshold
-    return results.filter(result => result.score >= this.config.similarity_threshold);
+    return applyThreshold ? results.filter(result => result.score >= this.config.similarity_threshold) : results;
+  }
+
+  /**
+   * Keyword hits as search results, with metadata from the vector search where it
+   * found the same vector and from D1 otherwise
+   */
+  private async keywordResults(
+    hits: KeywordHit[],
+    vectorResults: VectorSearchResult[],
+    filter?: VectorFilter
+  ): Promise<VectorSearchResult[]> {
+    const known = new Map(vectorResults.map(result => [result.id, result.metadata]));
+    const missing = hits.filter(hit => !known.has(hit.id)).map(hit => hit.id);
+
+    if (missing.length > 0) {
+      const rows = await this.metadataDB.prepare(`
+        SELECT vector_id, type, source, category, country, indicator, year, language, quality_score, tags, created_at, updated_at
+        FROM vector_metadata
+        WHERE vector_id IN (${missing.map(() => '?').join(', ')})
+      `).bind(...missing).all();
+
+      for (const row of rows.results) {
+        const metadata = this.deserializeMetadata(row);
+        if (!filter || this.matchesFilter(metadata, filter)) {
+          known.set(row.vector_id as string, metadata);
+        }
+      }
+    }
+
+    // Hits filtered out, or without metadata because the vector is gone, are dropped
+    return hits
+      .filter(hit => known.has(hit.id))
+      .map(hit => ({ id: hit.id, score: hit.score, metadata: known.get(hit.id)! }));
+  }
+
+  /**
+   * Share of the hybrid score given to keywords. With both weights set they are
+   * taken relative to each other; with one, the other makes up the rest.
+   */
+  private hybridKeywordWeight(query: HybridSearchQuery): number {
+    const { keyword_weight: keyword, vector_weight: vector } = query;
+    if (keyword !== undefined && vector !== undefined) return keyword + vector > 0 ? keyword / (keyword + vector) : 0;
+    if (keyword !== undefined) return keyword;
+    if (vector !== undefined) return 1 - vector;
+    return this.config.hybrid_keyword_weight;
+  }
+
+  /**
+   * Text indexed for keyword search when an upsert carries none
+   */
+  private keywordText(metadata: EmbeddingMetadata): string {
+    return [metadata.source, metadata.indicator, metadata.country, ...(metadata.tags ?? [])].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Link results that are chunks of indexed documents back to their file, page and section
+   */
+  private async attachChunkSources(results: VectorSearchResult[]): Promise<void> {
+    if (results.length === 0) return;
+
+    const rows = await this.metadataDB.prepare(`
+      SELECT vector_id, dataset_id, file_id, version, chunk_index, section, page_start, page_end
+      FROM document_chunks
+      WHERE vector_id IN (${results.map(() => '?').join(', ')})
+    `).bind(...results.map(result => result.id)).all();
+
+    const sources = new Map(rows.results.map(row => [row.vector_id as string, row]));
+    for (const result of results) {
+      const row = sources.get(result.id);
+      if (!row) continue;
+
+      result.source = {
+        dataset_id: row.dataset_id as string,
+        file_id: row.file_id as string,
+        version: (row.version as number | null) ?? undefined,
+        chunk_index: row.chunk_index as number,
+        section: (row.section as string | null) ?? undefined,
+        page_start: row.page_start as number,
+        page_end: row.page_end as number
+      };
+    }
   }
 
   private deserializeMetadata(metadata: Record<string, any>): EmbeddingMetadata {
@@ -587,17 +782,11 @@ export class VectorizeManager {
     return true;
   }
 
-  private filterByKeywords(results: VectorSearchResult[], keywords: string[]): VectorSearchResult[] {
-    return results.filter(result => {
-      const searchText = `${result.metadata.source} ${result.metadata.tags.join(' ')}`.toLowerCase();
-      return keywords.some(keyword => searchText.includes(keyword.toLowerCase()));
-    });
-  }
-
   private async generateCacheKey(query: VectorSearchQuery): Promise<string> {
     const keyData = {
       text: query.text,
       vector: query.vector ? query.vector.slice(0, 10) : undefined, // Use first 10 dimensions for key
+      model: query.text && !query.vector ? query.model || this.config.embedding_model : undefined,
       topK: query.topK,
       filter: query.filter
     };
@@ -627,6 +816,8 @@ export class VectorizeManager {
   }
 
   private async logQueryAnalytics(analytics: QueryAnalytics): Promise<void> {
+    if (!this.config.log_query_analytics) return;
+
     await this.metadataDB.prepare(`
       INSERT INTO query_analytics (
         query_id, query_text, query_type, results_count, 
@@ -649,4 +840,52 @@ export class VectorizeManager {
     }
     return distribution as Record<EnergyDataCategory, number>;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Combine ranked vector and keyword results. weighted_sum (also accepted as
+ * linear_combination) blends min-max normalised scores; rrf sums weighted
+ * reciprocal ranks, ignoring how far apart the scores are.
+ */
+export function fuseResults(
+  vectorResults: VectorSearchResult[],
+  keywordResults: VectorSearchResult[],
+  method: HybridCombineMethod,
+  keywordWeight: number,
+  rrfK: number
+): VectorSearchResult[] {
+  const fused = new Map<string, VectorSearchResult>();
+  const entry = (result: VectorSearchResult) => {
+    let existing = fused.get(result.id);
+    if (!existing) {
+      existing = { ...result, score: 0, score_components: { combine_method: method } };
+      fused.set(result.id, existing);
+    }
+    return existing;
+  };
+
+  const components: Array<[VectorSearchResult[], number, 'vector' | 'keyword']> = [
+    [vectorResults, 1 - keywordWeight, 'vector'],
+    [keywordResults, keywordWeight, 'keyword']
+  ];
+
+  for (const [results, weight, component] of components) {
+    const scores = results.map(result => result.score);
+    const max = Math.max(...scores);
+    const min = Math.min(...scores);
+
+    results.forEach((result, index) => {
+      const fusedResult = entry(result);
+      const contribution = method === 'rrf'
+        ? 1 / (rrfK + index + 1)
+        : max > min ? (result.score - min) / (max - min) : 1;
+
+      fusedResult.score += weight * contribution;
+      fusedResult.score_components![component] = result.score;
+      fusedResult.score_components![`${component}_rank`] = index + 1;
+      if (result.values) fusedResult.values = result.values;
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
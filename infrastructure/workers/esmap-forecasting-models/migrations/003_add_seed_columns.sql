@@ -0,0 +1,7 @@
+-- Seeds of the pseudo-random generator used by each run, so forecasts,
+-- training, cross-validation and A/B tests can be replayed exactly
+
+ALTER TABLE forecast_history ADD COLUMN seed INTEGER;
+ALTER TABLE model_training_history ADD COLUMN seed INTEGER;
+ALTER TABLE cross_validation_sessions ADD COLUMN seed INTEGER;
+ALTER TABLE ab_test_sessions ADD COLUMN seed INTEGER;
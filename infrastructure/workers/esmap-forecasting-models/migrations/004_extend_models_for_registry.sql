@@ -0,0 +1,17 @@
+-- Model registry: each models row with an artifact_key is one version of a
+-- named model, with its parameters in R2 at artifact_key. status holds the
+-- lifecycle stage (staging, production, archived).
+
+ALTER TABLE models ADD COLUMN training_metrics TEXT; -- JSON
+ALTER TABLE models ADD COLUMN artifact_key TEXT;
+ALTER TABLE models ADD COLUMN training_fingerprint TEXT; -- SHA-256 of the training data
+ALTER TABLE models ADD COLUMN training_data_points INTEGER;
+ALTER TABLE models ADD COLUMN training_start TIMESTAMP;
+ALTER TABLE models ADD COLUMN training_end TIMESTAMP;
+ALTER TABLE models ADD COLUMN parent_model_id TEXT; -- version this one was retrained from
+ALTER TABLE models ADD COLUMN training_id TEXT;
+ALTER TABLE models ADD COLUMN seed INTEGER;
+
+CREATE UNIQUE INDEX idx_models_name_version ON models(name, version) WHERE artifact_key IS NOT NULL;
+CREATE INDEX idx_models_name_status ON models(name, status);
+CREATE INDEX idx_models_parent ON models(parent_model_id);
@@ -0,0 +1,8 @@
+-- Quantile forecast scores from cross-validation: requested quantiles, mean
+-- pinball loss and CRPS over folds, and observed coverage of the central
+-- intervals the quantiles form (e.g. P10-P90 against a nominal 80%)
+
+ALTER TABLE cross_validation_sessions ADD COLUMN quantiles TEXT; -- JSON array of probabilities
+ALTER TABLE cross_validation_sessions ADD COLUMN mean_pinball_loss REAL;
+ALTER TABLE cross_validation_sessions ADD COLUMN mean_crps REAL;
+ALTER TABLE cross_validation_sessions ADD COLUMN interval_coverage TEXT; -- JSON
@@ -7,11 +7,14 @@ import { TimeSeriesModel } from './models/time-series-model.js';
 import { EnergyDemandModel } from './models/energy-demand-model.js';
 import { RenewableSupplyModel } from './models/renewable-supply-model.js';
 import { GridLoadModel } from './models/grid-load-model.js';
+import { SeededRandom } from '../utils/random.js';
+import { ModelRegistry } from '../registry/model-registry.js';
 
 export class ForecastingEngine {
   constructor(env) {
     this.env = env;
     this.models = this.initializeModels();
+    this.registry = new ModelRegistry(env);
   }
 
   initializeModels() {
@@ -27,6 +30,18 @@ export class ForecastingEngine {
         countries: ['USA', 'GBR', 'DEU', 'FRA', 'JPN'],
         status: 'active'
       },
+
+      'energy-demand-ets': {
+        id: 'energy-demand-ets',
+        name: 'Energy Demand ETS',
+        type: 'demand',
+        algorithm: 'ETS',
+        description: 'Exponential smoothing (simple, Holt, Holt-Winters; additive or multiplicative, optionally damped) selected by AICc, for short annual or monthly series',
+        accuracy: null, // depends on the series; see the forecast metrics
+        mape: null,
+        countries: ['USA', 'GBR', 'DEU', 'FRA', 'JPN', 'IND', 'BRA', 'ZAF'],
+        status: 'active'
+      },
       
       'renewable-lstm': {
         id: 'renewable-lstm',
@@ -107,6 +122,26 @@ export class ForecastingEngine {
         last_updated: new Date().toISOString()
       });
     }
+
+    // Trained versions in the registry, with their validation metrics
+    for (const stage of ['production', 'staging']) {
+      const versions = await this.registry.listVersions({ stage });
+      for (const version of versions) {
+        modelList.push({
+          id: version.id,
+          name: `${version.name} v${version.version}`,
+          type: version.model_type,
+          algorithm: version.algorithm,
+          description: `Trained ${version.algorithm} model (${version.name}, version ${version.version})`,
+          accuracy: version.metrics.accuracy / 100,
+          mape: version.metrics.mape,
+          countries: version.countries,
+          status: version.stage,
+          version: version.version,
+          last_updated: version.updated_at
+        });
+      }
+    }
     
     return modelList;
   }
@@ -118,40 +153,49 @@ export class ForecastingEngine {
       horizon = 168, // 7 days in hours
       country,
       energy_type = 'total',
-      include_confidence = true
+      include_confidence = true,
+      quantiles, // Probabilities returned per point, e.g. [0.1, 0.5, 0.9]
+      seasonal_period, // ARIMA defaults to 24; ETS infers it from the timestamp spacing
+      seed // Replaying a forecast with its recorded seed reproduces it exactly
     } = request;
 
-    // Validate model
-    const model = this.models[model_id];
+    // Validate model: a built-in model, or a registered version (by ID, or by name for its production version)
+    const model = this.models[model_id] || await this.loadRegisteredModel(model_id, country);
     if (!model) {
       throw new Error(`Model ${model_id} not found`);
     }
 
     // Validate data
-    if (!data || !Array.isArray(data) || data.length < 24) {
-      throw new Error('Insufficient historical data (minimum 24 hours required)');
+    const minimumDataPoints = TimeSeriesModel.minimumDataPoints(model.algorithm);
+    if (!data || !Array.isArray(data) || data.length < minimumDataPoints) {
+      throw new Error(`Insufficient historical data (minimum ${minimumDataPoints} observations required)`);
     }
 
+    const random = new SeededRandom(seed);
+
     // Initialize appropriate model class
     let forecastModel;
     switch (model.algorithm) {
       case 'ARIMA':
-        forecastModel = new TimeSeriesModel('ARIMA');
+        forecastModel = new TimeSeriesModel('ARIMA', random);
+        break;
+      case 'ETS':
+        forecastModel = new TimeSeriesModel('ETS', random);
         break;
       case 'LSTM':
-        forecastModel = new TimeSeriesModel('LSTM');
+        forecastModel = new TimeSeriesModel('LSTM', random);
         break;
       case 'Prophet':
-        forecastModel = new TimeSeriesModel('Prophet');
+        forecastModel = new TimeSeriesModel('Prophet', random);
         break;
       case 'RandomForest':
-        forecastModel = new TimeSeriesModel('RandomForest');
+        forecastModel = new TimeSeriesModel('RandomForest', random);
         break;
       case 'Ensemble':
-        forecastModel = new TimeSeriesModel('Ensemble');
+        forecastModel = new TimeSeriesModel('Ensemble', random);
         break;
       default:
-        forecastModel = new TimeSeriesModel('ARIMA');
+        forecastModel = new TimeSeriesModel('ARIMA', random);
     }
 
     // Generate forecast
@@ -160,7 +204,10 @@ export class ForecastingEngine {
       horizon,
       country,
       energy_type,
-      include_confidence
+      include_confidence,
+      quantiles,
+      seasonal_period,
+      trained: model.trained
     });
 
     // Add model metadata
@@ -169,7 +216,8 @@ export class ForecastingEngine {
       name: model.name,
       algorithm: model.algorithm,
       accuracy: model.accuracy,
-      mape: model.mape
+      mape: model.mape,
+      ...(model.registry && { registry: model.registry })
     };
 
     forecast.metadata = {
@@ -177,7 +225,8 @@ export class ForecastingEngine {
       data_points: data.length,
       forecast_horizon: horizon,
       country,
-      energy_type
+      energy_type,
+      seed: random.seed
     };
 
     // Store forecast for metrics
@@ -186,15 +235,50 @@ export class ForecastingEngine {
     return forecast;
   }
 
+  /**
+   * A registered model version shaped like a built-in model, with the trained
+   * parameters for the country
+   */
+  async loadRegisteredModel(idOrName, country) {
+    if (!this.registry.available) return null;
+
+    const entry = await this.registry.load(idOrName);
+    if (!entry) return null;
+
+    const { algorithm, country_models: countryModels } = entry.artifact.parameters;
+    if (countryModels && !countryModels[country]) {
+      throw new Error(`Invalid country ${country} for model version ${entry.id} (trained for ${Object.keys(countryModels).join(', ')})`);
+    }
+
+    return {
+      id: entry.id,
+      name: `${entry.name} v${entry.version}`,
+      algorithm,
+      accuracy: entry.metrics.accuracy / 100,
+      mape: entry.metrics.mape,
+      trained: countryModels?.[country]?.parameters ?? null,
+      registry: {
+        name: entry.name,
+        version: entry.version,
+        stage: entry.stage,
+        training_fingerprint: entry.training_data.fingerprint,
+        parent_model_id: entry.parent_model_id
+      }
+    };
+  }
+
   async forecastDemand(request) {
     const {
       country,
       historical_data,
       external_factors = {},
-      horizon = 168
+      horizon = 168,
+      quantiles,
+      seed
     } = request;
 
-    const demandModel = new EnergyDemandModel();
+    const random = new SeededRandom(seed);
+    const demandModel = new EnergyDemandModel(random);
     
     // Enhance with external factors
     const enhancedData = await this.enrichWithExternalFactors(historical_data, external_factors, country);
@@ -203,10 +287,11 @@ export class ForecastingEngine {
       data: enhancedData,
       horizon,
       country,
-      factors: external_factors
+      factors: external_factors,
+      quantiles
     });
 
-    return this.addForecastMetadata(forecast, 'demand', country);
+    return this.addForecastMetadata(forecast, 'demand', country, random.seed);
   }
 
   async forecastSupply(request) {
@@ -214,9 +299,11 @@ export class ForecastingEngine {
       country,
       generation_mix,
       weather_data,
-      horizon = 168
+      horizon = 168,
+      seed
     } = request;
 
+    const random = new SeededRandom(seed);
     const supplyForecast = {
       fossil: null,
       renewable: null,
@@ -226,7 +313,7 @@ export class ForecastingEngine {
 
     // Forecast renewable supply
     if (generation_mix.renewable && generation_mix.renewable > 0) {
-      const renewableModel = new RenewableSupplyModel();
+      const renewableModel = new RenewableSupplyModel(random);
       supplyForecast.renewable = await renewableModel.forecastGeneration({
         weather_data,
         capacity: generation_mix.renewable,
@@ -239,7 +326,8 @@ export class ForecastingEngine {
     supplyForecast.fossil = await this.forecastConventionalSupply({
       capacity: generation_mix.fossil || 0,
       country,
-      horizon
+      horizon,
+      random
     });
 
     supplyForecast.nuclear = await this.forecastNuclearSupply({
@@ -255,7 +343,7 @@ export class ForecastingEngine {
       supplyForecast.nuclear
     ]);
 
-    return this.addForecastMetadata(supplyForecast, 'supply', country);
+    return this.addForecastMetadata(supplyForecast, 'supply', country, random.seed);
   }
 
   async forecastRenewable(request) {
@@ -264,10 +352,12 @@ export class ForecastingEngine {
       weather_data,
       capacity,
       country,
-      horizon = 168
+      horizon = 168,
+      seed
     } = request;
 
-    const renewableModel = new RenewableSupplyModel();
+    const random = new SeededRandom(seed);
+    const renewableModel = new RenewableSupplyModel(random);
     
     const forecast = await renewableModel.forecastByType({
       type: renewable_type,
@@ -277,7 +367,7 @@ export class ForecastingEngine {
       horizon
     });
 
-    return this.addForecastMetadata(forecast, 'renewable', country);
+    return this.addForecastMetadata(forecast, 'renewable', country, random.seed);
   }
 
   async enrichWithExternalFactors(data, factors, country) {
@@ -294,14 +384,14 @@ export class ForecastingEngine {
     return enrichedData;
   }
 
-  async forecastConventionalSupply({ capacity, country, horizon }) {
+  async forecastConventionalSupply({ capacity, country, horizon, random }) {
     // Simplified conventional generation forecast
     const baseLoad = capacity * 0.7; // 70% capacity factor
     const forecast = [];
     
     for (let i = 0; i < horizon; i++) {
       // Add some variability
-      const variability = 1 + (Math.random() - 0.5) * 0.1;
+      const variability = 1 + random.between(-0.5, 0.5) * 0.1;
       forecast.push({
         hour: i,
         value: baseLoad * variability,
@@ -358,12 +448,13 @@ export class ForecastingEngine {
     return combined;
   }
 
-  addForecastMetadata(forecast, type, country) {
+  addForecastMetadata(forecast, type, country, seed) {
     return {
       ...forecast,
       metadata: {
         type,
         country,
+        seed,
         generated_at: new Date().toISOString(),
         forecast_engine: 'ESMAP Custom Forecasting v1.0'
       }
@@ -378,8 +469,8 @@ export class ForecastingEngine {
         INSERT INTO forecast_history (
           model_id, country, forecast_type, 
           accuracy, mape, data_points, 
-          forecast_horizon, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+          forecast_horizon, seed, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       `).bind(
         forecast.model?.id || 'unknown',
         forecast.metadata?.country || 'unknown',
@@ -387,7 +478,8 @@ export class ForecastingEngine {
         forecast.model?.accuracy || 0,
         forecast.model?.mape || 0,
         forecast.metadata?.data_points || 0,
-        forecast.metadata?.forecast_horizon || 0
+        forecast.metadata?.forecast_horizon || 0,
+        forecast.metadata?.seed ?? null
       ).run();
     } catch (error) {
       console.error('Error storing forecast:', error);
@@ -0,0 +1,638 @@
+/**
+ * ARIMA Model
+ * Seasonal ARIMA(p,d,q)(P,D,Q)s in plain JavaScript: coefficients estimated by
+ * conditional sum of squares, orders selected by AIC or BIC, and analytic
+ * prediction intervals from the model's psi weights. There is no randomness,
+ * so the same series always gives the same model and forecast.
+ */
+
+const KPSS_CRITICAL_VALUE = 0.463; // 5% level, null of level stationarity
+const SEASONAL_STRENGTH_THRESHOLD = 0.64; // seasonal differencing above this strength
+const MAX_FIT_OBSERVATIONS = 1000; // the most recent observations are used for estimation
+const MAX_MODELS_EVALUATED = 60; // stepwise order search budget
+
+/**
+ * Akaike information criterion. parameterCount includes the innovation variance.
+ */
+export function calculateAIC(logLikelihood, parameterCount) {
+  return -2 * logLikelihood + 2 * parameterCount;
+}
+
+/**
+ * Bayesian information criterion over the observations the likelihood was computed on
+ */
+export function calculateBIC(logLikelihood, parameterCount, observations) {
+  return -2 * logLikelihood + parameterCount * Math.log(observations);
+}
+
+export class ARIMAModel {
+  constructor({ p = 0, d = 0, q = 0, P = 0, D = 0, Q = 0, period = 1, include_constant } = {}) {
+    if ((P > 0 || D > 0 || Q > 0) && period < 2) {
+      throw new Error('Seasonal ARIMA terms need a seasonal period of at least 2');
+    }
+
+    this.order = { p, d, q, P, D, Q, period: P > 0 || D > 0 || Q > 0 ? period : 1 };
+    // A constant is the mean of a stationary series, or the drift of a once-differenced one
+    this.includeConstant = include_constant ?? d + D < 2;
+    this.coefficients = null;
+  }
+
+  get label() {
+    const { p, d, q, P, D, Q, period } = this.order;
+    const seasonal = period > 1 ? `(${P},${D},${Q})[${period}]` : '';
+    return `ARIMA(${p},${d},${q})${seasonal}${this.includeConstant ? ' with constant' : ''}`;
+  }
+
+  /**
+   * Number of estimated parameters, including the innovation variance
+   */
+  get parameterCount() {
+    const { p, q, P, Q } = this.order;
+    return p + q + P + Q + (this.includeConstant ? 1 : 0) + 1;
+  }
+
+  /**
+   * Estimate the coefficients by conditional sum of squares. Residuals before
+   * `conditioning` differenced observations are taken as zero; order selection
+   * passes the same value for every candidate so their likelihoods cover the
+   * same observations.
+   */
+  fit(values, { conditioning = 0 } = {}) {
+    const series = values.slice(-MAX_FIT_OBSERVATIONS);
+    if (series.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error('ARIMA needs a series of finite numbers');
+    }
+
+    const { p, d, q, P, D, Q, period } = this.order;
+    const differenced = differenceSeries(series, d, D, period);
+    const start = Math.max(conditioning, p + period * P);
+    const observations = differenced.length - start;
+    if (observations < this.parameterCount + 2) {
+      throw new Error(`Too few observations to fit ${this.label}`);
+    }
+
+    const scale = standardDeviation(differenced) || 1;
+    const objective = raw => {
+      const coefficients = this.unpack(raw, scale);
+      const sum = sumOfSquares(residualsOf(differenced, coefficients, period, start), start);
+      return Number.isFinite(sum) ? sum : Infinity;
+    };
+
+    const initial = new Array(p + q + P + Q).fill(0);
+    if (this.includeConstant) initial.push(mean(differenced) / scale);
+
+    // A second run from the first optimum guards against a collapsed simplex
+    let best = nelderMead(objective, initial);
+    best = nelderMead(objective, best.x);
+
+    this.coefficients = this.unpack(best.x, scale);
+    this.sigma2 = best.value / observations;
+    this.observations = observations;
+    this.logLikelihood = -0.5 * observations * (Math.log(2 * Math.PI * this.sigma2) + 1);
+    this.aic = calculateAIC(this.logLikelihood, this.parameterCount);
+    this.bic = calculateBIC(this.logLikelihood, this.parameterCount, observations);
+
+    this.prepare();
+    this.filter(series, start);
+
+    return this;
+  }
+
+  /**
+   * Forecast from new observations with the fitted coefficients, e.g. a stored
+   * model applied to the latest history. Returns a new model; this one is unchanged.
+   */
+  condition(values) {
+    const { p, d, D, P, period } = this.order;
+    const series = values.slice(-MAX_FIT_OBSERVATIONS);
+    if (series.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error('ARIMA needs a series of finite numbers');
+    }
+    if (series.length <= d + period * D + p + period * P) {
+      throw new Error(`Insufficient data to forecast with ${this.label}`);
+    }
+
+    const model = ARIMAModel.fromJSON(this.toJSON());
+    model.filter(series, p + period * P);
+    return model;
+  }
+
+  /**
+   * Residuals, fitted values (original scale, null where conditioned away) and
+   * the forecast state at the end of the series
+   */
+  filter(series, start) {
+    const { d, D, period } = this.order;
+    const differenced = differenceSeries(series, d, D, period);
+    const residuals = residualsOf(differenced, this.coefficients, period, start);
+    const offset = series.length - differenced.length;
+
+    this.residuals = series.map((_, t) => (t - offset >= start ? residuals[t - offset] : null));
+    this.fitted = series.map((value, t) => (this.residuals[t] === null ? null : value - this.residuals[t]));
+    this.state = {
+      values: series.slice(series.length - this.fullAR.length),
+      residuals: residuals.slice(residuals.length - this.ma.length)
+    };
+  }
+
+  /**
+   * Point forecasts with prediction intervals at the given confidence level (percent)
+   */
+  forecast(horizon, { level = 95 } = {}) {
+    if (!this.coefficients) {
+      throw new Error(`${this.label} has not been fitted`);
+    }
+
+    const history = [...this.state.values];
+    const errors = this.state.residuals;
+    const mean = [];
+
+    for (let h = 0; h < horizon; h++) {
+      let value = this.drift;
+      this.fullAR.forEach((coefficient, i) => {
+        if (coefficient !== 0) value += coefficient * history[history.length - 1 - i];
+      });
+      // Only innovations up to the end of the sample are known; later ones are zero
+      this.ma.forEach((coefficient, j) => {
+        if (coefficient !== 0 && j + 1 > h) value += coefficient * errors[errors.length + h - (j + 1)];
+      });
+      history.push(value);
+      mean.push(value);
+    }
+
+    const z = normalQuantile(0.5 + level / 200);
+    const psi = this.psiWeights(horizon);
+    let cumulative = 0;
+    const stdError = psi.map(weight => {
+      cumulative += weight * weight;
+      return Math.sqrt(this.sigma2 * cumulative);
+    });
+
+    return {
+      mean,
+      lower: mean.map((value, h) => value - z * stdError[h]),
+      upper: mean.map((value, h) => value + z * stdError[h]),
+      std_error: stdError,
+      level
+    };
+  }
+
+  /**
+   * Everything needed to forecast again without the training series
+   */
+  toJSON() {
+    return {
+      model: this.label,
+      order: this.order,
+      include_constant: this.includeConstant,
+      coefficients: this.coefficients,
+      sigma2: this.sigma2,
+      log_likelihood: this.logLikelihood,
+      aic: this.aic,
+      bic: this.bic,
+      observations: this.observations,
+      state: this.state
+    };
+  }
+
+  static fromJSON(params) {
+    const model = new ARIMAModel({ ...params.order, include_constant: params.include_constant });
+    Object.assign(model, {
+      coefficients: params.coefficients,
+      sigma2: params.sigma2,
+      logLikelihood: params.log_likelihood,
+      aic: params.aic,
+      bic: params.bic,
+      observations: params.observations,
+      state: params.state
+    });
+    model.prepare();
+    return model;
+  }
+
+  /**
+   * Expand the seasonal products and the differencing into lag polynomials for forecasting
+   */
+  prepare() {
+    const { d, D, period } = this.order;
+    const { ar, seasonal_ar, ma, seasonal_ma, constant } = this.coefficients;
+
+    const arPolynomial = multiplyPolynomials(lagPolynomial(ar, 1, -1), lagPolynomial(seasonal_ar, period, -1));
+    const maPolynomial = multiplyPolynomials(lagPolynomial(ma, 1, 1), lagPolynomial(seasonal_ma, period, 1));
+    const fullPolynomial = multiplyPolynomials(arPolynomial, differencingPolynomial(d, D, period));
+
+    // y_t = sum(fullAR_i * y_{t-i}) + drift + e_t + sum(ma_j * e_{t-j})
+    this.fullAR = fullPolynomial.slice(1).map(coefficient => -coefficient);
+    this.ma = maPolynomial.slice(1);
+    this.drift = arPolynomial.reduce((sum, coefficient) => sum + coefficient, 0) * constant;
+  }
+
+  /**
+   * Weights of past innovations in the h-step forecast error
+   */
+  psiWeights(horizon) {
+    const psi = [1];
+    for (let j = 1; j < horizon; j++) {
+      let weight = this.ma[j - 1] ?? 0;
+      for (let i = 1; i <= Math.min(j, this.fullAR.length); i++) {
+        weight += this.fullAR[i - 1] * psi[j - i];
+      }
+      psi.push(weight);
+    }
+    return psi;
+  }
+
+  /**
+   * Coefficients from unconstrained optimizer values. Each polynomial goes through
+   * partial autocorrelations in (-1, 1), so AR parts are stationary and MA parts invertible.
+   */
+  unpack(raw, scale) {
+    const { p, q, P, Q } = this.order;
+    let position = 0;
+    const take = count => raw.slice(position, (position += count));
+
+    return {
+      ar: partialsToCoefficients(take(p)),
+      ma: partialsToCoefficients(take(q)).map(coefficient => -coefficient),
+      seasonal_ar: partialsToCoefficients(take(P)),
+      seasonal_ma: partialsToCoefficients(take(Q)).map(coefficient => -coefficient),
+      constant: this.includeConstant ? raw[position] * scale : 0
+    };
+  }
+}
+
+/**
+ * Select and fit a (seasonal) ARIMA model: differencing orders by KPSS test and
+ * seasonal strength, then a stepwise search over p, q, P, Q (and the constant)
+ * minimizing the information criterion. BIC is the default: AIC's lighter
+ * penalty lets the search settle on over-parameterized ARMA orders that fit
+ * noise, e.g. ARIMA(2,0,1) for an AR(1) series.
+ */
+export function autoARIMA(values, {
+  period = 1,
+  max_p = 3,
+  max_q = 3,
+  max_P = 1,
+  max_Q = 1,
+  max_d = 2,
+  max_D = 1,
+  criterion = 'bic'
+} = {}) {
+  if (criterion !== 'aic' && criterion !== 'bic') {
+    throw new Error(`Unknown information criterion: ${criterion}`);
+  }
+
+  const series = values.slice(-MAX_FIT_OBSERVATIONS);
+  // Seasonal terms need at least three full seasons
+  const seasonal = period > 1 && series.length >= 3 * period;
+  const s = seasonal ? period : 1;
+
+  const D = seasonal ? seasonalDifferences(series, s, max_D) : 0;
+  const d = differences(differenceSeries(series, 0, D, s), max_d);
+
+  // Conditioning on the longest AR lag in the search keeps likelihoods comparable
+  const available = series.length - d - s * D;
+  const maxP = seasonal && available - (max_p + s * max_P) >= 2 * s ? max_P : 0;
+  const conditioning = max_p + s * maxP;
+
+  const fits = new Map();
+  const evaluate = order => {
+    const key = JSON.stringify(order);
+    if (!fits.has(key)) {
+      if (fits.size >= MAX_MODELS_EVALUATED) return null;
+      try {
+        fits.set(key, new ARIMAModel({ ...order, d, D, period: s }).fit(series, { conditioning }));
+      } catch (error) {
+        fits.set(key, null);
+      }
+    }
+    return fits.get(key);
+  };
+  const score = model => (model ? model[criterion] : Infinity);
+
+  const withinLimits = order =>
+    order.p >= 0 && order.p <= max_p && order.q >= 0 && order.q <= max_q &&
+    order.P >= 0 && order.P <= maxP && order.Q >= 0 && order.Q <= (seasonal ? max_Q : 0);
+
+  const constant = d + D < 2;
+  const starts = [
+    { p: 2, q: 2, P: 1, Q: 1 },
+    { p: 0, q: 0, P: 0, Q: 0 },
+    { p: 1, q: 0, P: 1, Q: 0 },
+    { p: 0, q: 1, P: 0, Q: 1 }
+  ].map(order => clampOrder(order, { max_p, max_q, max_P: maxP, max_Q: seasonal ? max_Q : 0 }))
+    .map(order => ({ ...order, include_constant: constant }));
+
+  let best = null;
+  for (const order of starts) {
+    const model = evaluate(order);
+    if (score(model) < score(best)) best = model;
+  }
+  if (!best) {
+    throw new Error('No ARIMA model could be fitted to the series');
+  }
+
+  // Move to the best neighbouring order until none improves
+  let improved = true;
+  while (improved) {
+    improved = false;
+    const current = { ...best.order, include_constant: best.includeConstant };
+    const neighbours = [
+      { p: -1 }, { p: 1 }, { q: -1 }, { q: 1 }, { p: -1, q: -1 }, { p: 1, q: 1 },
+      { P: -1 }, { P: 1 }, { Q: -1 }, { Q: 1 }, { P: -1, Q: -1 }, { P: 1, Q: 1 }
+    ].map(step => ({
+      p: current.p + (step.p ?? 0),
+      q: current.q + (step.q ?? 0),
+      P: current.P + (step.P ?? 0),
+      Q: current.Q + (step.Q ?? 0),
+      include_constant: current.include_constant
+    }));
+    if (constant) {
+      neighbours.push({ p: current.p, q: current.q, P: current.P, Q: current.Q, include_constant: !current.include_constant });
+    }
+
+    for (const order of neighbours.filter(withinLimits)) {
+      const model = evaluate(order);
+      if (score(model) < score(best)) {
+        best = model;
+        improved = true;
+      }
+    }
+  }
+
+  best.selection = {
+    criterion,
+    models_evaluated: [...fits.values()].filter(Boolean).length,
+    differencing: { d, D }
+  };
+  return best;
+}
+
+/**
+ * Standard normal quantile (Acklam's rational approximation, relative error < 1.2e-9)
+ */
+export function normalQuantile(probability) {
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (probability <= 0 || probability >= 1) {
+    throw new Error('Quantile probability must be between 0 and 1');
+  }
+
+  if (probability < low) {
+    const r = Math.sqrt(-2 * Math.log(probability));
+    return (((((c[0] * r + c[1]) * r + c[2]) * r + c[3]) * r + c[4]) * r + c[5]) /
+      ((((d[0] * r + d[1]) * r + d[2]) * r + d[3]) * r + 1);
+  }
+  if (probability > 1 - low) {
+    return -normalQuantile(1 - probability);
+  }
+
+  const r = probability - 0.5;
+  const r2 = r * r;
+  return (((((a[0] * r2 + a[1]) * r2 + a[2]) * r2 + a[3]) * r2 + a[4]) * r2 + a[5]) * r /
+    (((((b[0] * r2 + b[1]) * r2 + b[2]) * r2 + b[3]) * r2 + b[4]) * r2 + 1);
+}
+
+function clampOrder(order, limits) {
+  return {
+    p: Math.min(order.p, limits.max_p),
+    q: Math.min(order.q, limits.max_q),
+    P: Math.min(order.P, limits.max_P),
+    Q: Math.min(order.Q, limits.max_Q)
+  };
+}
+
+/**
+ * Number of first differences that make the series level-stationary by the KPSS test
+ */
+function differences(series, maxD) {
+  let d = 0;
+  let current = series;
+  while (d < maxD && current.length > 10 && kpssStatistic(current) > KPSS_CRITICAL_VALUE) {
+    current = differenceSeries(current, 1, 0, 1);
+    d++;
+  }
+  return d;
+}
+
+/**
+ * Seasonal differences needed, from the strength of the seasonal pattern
+ */
+function seasonalDifferences(series, period, maxD) {
+  let D = 0;
+  let current = series;
+  while (D < maxD && current.length > 2 * period && seasonalStrength(current, period) > SEASONAL_STRENGTH_THRESHOLD) {
+    current = differenceSeries(current, 0, 1, period);
+    D++;
+  }
+  return D;
+}
+
+function kpssStatistic(series) {
+  const n = series.length;
+  const average = mean(series);
+  const deviations = series.map(value => value - average);
+
+  let partialSum = 0;
+  let eta = 0;
+  for (const deviation of deviations) {
+    partialSum += deviation;
+    eta += partialSum * partialSum;
+  }
+  eta /= n * n;
+
+  // Newey-West long-run variance with a Bartlett kernel, truncated at the
+  // short lag of Kwiatkowski et al.; fewer lags over-difference autocorrelated series
+  const lags = Math.floor(4 * Math.pow(n / 100, 0.25));
+  let longRunVariance = deviations.reduce((sum, deviation) => sum + deviation * deviation, 0) / n;
+  for (let lag = 1; lag <= lags; lag++) {
+    let covariance = 0;
+    for (let t = lag; t < n; t++) covariance += deviations[t] * deviations[t - lag];
+    longRunVariance += 2 * (1 - lag / (lags + 1)) * covariance / n;
+  }
+
+  return longRunVariance > 0 ? eta / longRunVariance : 0;
+}
+
+/**
+ * Share of the detrended variance explained by the seasonal pattern (0 to 1)
+ */
+function seasonalStrength(series, period) {
+  // Centered moving average over one period (2 x period for even periods)
+  const half = Math.floor(period / 2);
+  const detrended = [];
+  for (let t = half; t < series.length - half; t++) {
+    let trend;
+    if (period % 2 === 0) {
+      trend = (series[t - half] + series[t + half]) / (2 * period);
+      for (let i = t - half + 1; i < t + half; i++) trend += series[i] / period;
+    } else {
+      trend = mean(series.slice(t - half, t + half + 1));
+    }
+    detrended.push({ t, value: series[t] - trend });
+  }
+
+  const sums = new Array(period).fill(0);
+  const counts = new Array(period).fill(0);
+  for (const { t, value } of detrended) {
+    sums[t % period] += value;
+    counts[t % period]++;
+  }
+  const seasonal = sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : 0));
+  const seasonalMean = mean(seasonal);
+
+  const values = detrended.map(point => point.value);
+  const remainder = detrended.map(({ t, value }) => value - (seasonal[t % period] - seasonalMean));
+  const total = variance(values);
+  return total > 0 ? Math.max(0, 1 - variance(remainder) / total) : 0;
+}
+
+function differenceSeries(series, d, D, period) {
+  let result = series;
+  for (let i = 0; i < D; i++) result = result.slice(period).map((value, t) => value - result[t]);
+  for (let i = 0; i < d; i++) result = result.slice(1).map((value, t) => value - result[t]);
+  return result;
+}
+
+/**
+ * Innovations of the ARMA model for the differenced series, zero before `start`
+ */
+function residualsOf(series, coefficients, period, start) {
+  const { ar, seasonal_ar, ma, seasonal_ma, constant } = coefficients;
+  const arPolynomial = multiplyPolynomials(lagPolynomial(ar, 1, -1), lagPolynomial(seasonal_ar, period, -1));
+  const maPolynomial = multiplyPolynomials(lagPolynomial(ma, 1, 1), lagPolynomial(seasonal_ma, period, 1));
+  const arTerms = nonZeroTerms(arPolynomial.map(coefficient => -coefficient));
+  const maTerms = nonZeroTerms(maPolynomial);
+
+  const residuals = new Array(series.length).fill(0);
+  for (let t = start; t < series.length; t++) {
+    let value = series[t] - constant;
+    for (const [lag, coefficient] of arTerms) value -= coefficient * (series[t - lag] - constant);
+    for (const [lag, coefficient] of maTerms) {
+      if (t - lag >= 0) value -= coefficient * residuals[t - lag];
+    }
+    residuals[t] = value;
+  }
+  return residuals;
+}
+
+function sumOfSquares(residuals, start) {
+  let sum = 0;
+  for (let t = start; t < residuals.length; t++) sum += residuals[t] * residuals[t];
+  return sum;
+}
+
+function nonZeroTerms(polynomial) {
+  const terms = [];
+  for (let lag = 1; lag < polynomial.length; lag++) {
+    if (polynomial[lag] !== 0) terms.push([lag, polynomial[lag]]);
+  }
+  return terms;
+}
+
+/**
+ * Polynomial 1 + sign * sum(coefficients_i * B^(i * step)), as coefficients by power of B
+ */
+function lagPolynomial(coefficients, step, sign) {
+  const polynomial = new Array(coefficients.length * step + 1).fill(0);
+  polynomial[0] = 1;
+  coefficients.forEach((coefficient, i) => {
+    polynomial[(i + 1) * step] = sign * coefficient;
+  });
+  return polynomial;
+}
+
+function differencingPolynomial(d, D, period) {
+  let polynomial = [1];
+  for (let i = 0; i < d; i++) polynomial = multiplyPolynomials(polynomial, [1, -1]);
+  for (let i = 0; i < D; i++) polynomial = multiplyPolynomials(polynomial, lagPolynomial([1], period, -1));
+  return polynomial;
+}
+
+function multiplyPolynomials(left, right) {
+  const product = new Array(left.length + right.length - 1).fill(0);
+  left.forEach((a, i) => {
+    if (a === 0) return;
+    right.forEach((b, j) => {
+      product[i + j] += a * b;
+    });
+  });
+  return product;
+}
+
+/**
+ * Durbin-Levinson recursion from partial autocorrelations (tanh of the raw values)
+ */
+function partialsToCoefficients(raw) {
+  let coefficients = [];
+  for (const value of raw) {
+    const partial = Math.tanh(value);
+    const k = coefficients.length;
+    coefficients = [...coefficients.map((coefficient, j) => coefficient - partial * coefficients[k - 1 - j]), partial];
+  }
+  return coefficients;
+}
+
+/**
+ * Deterministic Nelder-Mead minimization
+ */
+export function nelderMead(objective, start, { maxEvaluations = 200 * (start.length + 1), tolerance = 1e-8, step = 0.1 } = {}) {
+  const dimensions = start.length;
+  const point = x => ({ x, value: objective(x) });
+  if (dimensions === 0) return point([]);
+
+  let simplex = [point(start)];
+  for (let i = 0; i < dimensions; i++) {
+    simplex.push(point(start.map((value, j) => (i === j ? value + step : value))));
+  }
+  let evaluations = dimensions + 1;
+
+  while (evaluations < maxEvaluations) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[dimensions];
+    if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+    const centroid = start.map((_, j) => simplex.slice(0, dimensions).reduce((sum, vertex) => sum + vertex.x[j], 0) / dimensions);
+    const along = t => point(centroid.map((c, j) => c + t * (worst.x[j] - c)));
+
+    const reflected = along(-1);
+    evaluations++;
+    if (reflected.value < best.value) {
+      const expanded = along(-2);
+      evaluations++;
+      simplex[dimensions] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[dimensions - 1].value) {
+      simplex[dimensions] = reflected;
+    } else {
+      const contracted = reflected.value < worst.value ? along(-0.5) : along(0.5);
+      evaluations++;
+      if (contracted.value < Math.min(worst.value, reflected.value)) {
+        simplex[dimensions] = contracted;
+      } else {
+        simplex = [best, ...simplex.slice(1).map(vertex => point(best.x.map((b, j) => b + 0.5 * (vertex.x[j] - b))))];
+        evaluations += dimensions;
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return simplex[0];
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values) {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  return Math.sqrt(variance(values));
+}
@@ -3,9 +3,19 @@
  * Specialized forecasting for energy demand patterns
  */
 
+import {
+  DEFAULT_QUANTILES,
+  parseQuantiles,
+  rollingOriginErrors,
+  stepwiseBootstrap,
+  sampleQuantiles
+} from '../uncertainty.js';
+import { SeededRandom } from '../../utils/random.js';
+
 export class EnergyDemandModel {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.modelType = 'energy-demand';
+    this.random = random;
     this.factors = {
       temperature: 0.15,
       economic_activity: 0.25,
@@ -15,9 +25,43 @@ export class EnergyDemandModel {
     };
   }
 
-  async forecastDemand({ data, horizon, country, factors = {} }) {
+  /**
+   * Quantiles come from bootstrapped errors of the same model forecasting
+   * earlier parts of the history. Histories too short to backtest (under six
+   * points) get the point forecast only.
+   */
+  async forecastDemand({ data, horizon, country, factors = {}, quantiles = DEFAULT_QUANTILES }) {
     console.log(`Generating energy demand forecast for ${country}...`);
 
+    const probabilities = parseQuantiles(quantiles);
+    const history = [...data].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const finalForecast = this.predictDemand(history, horizon, country, factors);
+
+    const errors = this.holdoutErrors(history, horizon, country, factors);
+    const samples = errors && stepwiseBootstrap(finalForecast.map(point => point.value), errors, this.random, {
+      relative: true,
+      floor: 0
+    });
+
+    return {
+      forecast: samples
+        ? finalForecast.map((point, i) => ({ ...point, quantiles: sampleQuantiles(samples[i], probabilities) }))
+        : finalForecast,
+      model_type: 'energy-demand',
+      country: country,
+      factors_applied: Object.keys(factors),
+      accuracy_estimate: this.estimateAccuracy(country, factors),
+      confidence_level: this.calculateConfidenceLevel(data, factors),
+      uncertainty: samples ? {
+        method: 'residual_bootstrap',
+        quantiles: probabilities,
+        holdout_origins: errors[0].length,
+        bootstrap_samples: samples[0]?.length ?? 0
+      } : null
+    };
+  }
+
+  predictDemand(data, horizon, country, factors) {
     // Validate and preprocess data
     const processedData = this.preprocessDemandData(data, factors);
 
@@ -31,16 +75,20 @@ export class EnergyDemandModel {
     const adjustedForecast = this.applyExternalFactors(baseForecast, factors, countryAdjustments);
 
     // Add demand-specific patterns
-    const finalForecast = this.addDemandPatterns(adjustedForecast, country);
+    return this.addDemandPatterns(adjustedForecast, country);
+  }
 
-    return {
-      forecast: finalForecast,
-      model_type: 'energy-demand',
-      country: country,
-      factors_applied: Object.keys(factors),
-      accuracy_estimate: this.estimateAccuracy(country, factors),
-      confidence_level: this.calculateConfidenceLevel(processedData, factors)
-    };
+  /**
+   * Relative errors (actual / predicted) of forecasts made from earlier points
+   * of the history, by steps ahead, or null if the history is too short
+   */
+  holdoutErrors(data, horizon, country, factors) {
+    return rollingOriginErrors(
+      data.map(point => point.value),
+      horizon,
+      (origin, steps) => this.predictDemand(data.slice(0, origin), steps, country, factors).map(point => point.value),
+      { relative: true }
+    );
   }
 
   preprocessDemandData(data, factors) {
@@ -200,7 +248,7 @@ export class EnergyDemandModel {
       
       // Add demand-specific volatility
       const volatility = this.getDemandVolatility(country, date);
-      const randomComponent = (Math.random() - 0.5) * volatility * patternedValue;
+      const randomComponent = this.random.between(-0.5, 0.5) * volatility * patternedValue;
       patternedValue += randomComponent;
       
       // Add load following patterns (rapid changes)
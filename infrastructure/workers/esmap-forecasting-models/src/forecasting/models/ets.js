@@ -0,0 +1,424 @@
+/**
+ * ETS Model
+ * Exponential smoothing state space models ETS(error, trend, season): simple
+ * (N,N), Holt (A,N) and Holt-Winters (A,A / A,M) smoothing, each with additive
+ * or multiplicative errors and optionally a damped trend (Ad). Smoothing
+ * parameters and initial level/trend are estimated by maximum likelihood and
+ * the model is selected by AICc, so short annual or monthly series get a
+ * model with few parameters. Like ARIMA there is no randomness.
+ */
+
+import { calculateAIC, calculateBIC, nelderMead, normalQuantile } from './arima.js';
+
+const MAX_FIT_OBSERVATIONS = 1000; // the most recent observations are used for estimation
+const ERROR_TYPES = ['A', 'M'];
+const TREND_TYPES = ['N', 'A', 'Ad'];
+const SEASON_TYPES = ['N', 'A', 'M'];
+const PARAMETER_BOUNDS = { min: 1e-4, max: 0.9999 };
+const DAMPING_BOUNDS = { min: 0.8, max: 0.98 };
+
+/**
+ * AIC with the small-sample correction used for ETS model selection
+ */
+export function calculateAICc(logLikelihood, parameterCount, observations) {
+  const denominator = observations - parameterCount - 1;
+  if (denominator <= 0) return Infinity;
+  return calculateAIC(logLikelihood, parameterCount) + (2 * parameterCount * (parameterCount + 1)) / denominator;
+}
+
+export class ETSModel {
+  constructor({ error = 'A', trend = 'N', season = 'N', period = 1 } = {}) {
+    if (!ERROR_TYPES.includes(error)) {
+      throw new Error(`Invalid ETS error type: ${error}. Expected one of ${ERROR_TYPES.join(', ')}`);
+    }
+    if (!TREND_TYPES.includes(trend)) {
+      throw new Error(`Invalid ETS trend type: ${trend}. Expected one of ${TREND_TYPES.join(', ')}`);
+    }
+    if (!SEASON_TYPES.includes(season)) {
+      throw new Error(`Invalid ETS season type: ${season}. Expected one of ${SEASON_TYPES.join(', ')}`);
+    }
+    if (season !== 'N' && period < 2) {
+      throw new Error('Seasonal ETS models need a seasonal period of at least 2');
+    }
+
+    this.components = { error, trend, season, period: season === 'N' ? 1 : period };
+    this.parameters = null;
+  }
+
+  get label() {
+    const { error, trend, season, period } = this.components;
+    return `ETS(${error},${trend},${season})${period > 1 ? `[${period}]` : ''}`;
+  }
+
+  get multiplicative() {
+    return this.components.error === 'M' || this.components.season === 'M';
+  }
+
+  /**
+   * Number of estimated parameters: smoothing parameters, initial states and
+   * the innovation variance
+   */
+  get parameterCount() {
+    const { trend, season, period } = this.components;
+    const smoothing = 1 + (trend !== 'N' ? 1 : 0) + (season !== 'N' ? 1 : 0) + (trend === 'Ad' ? 1 : 0);
+    const initial = 1 + (trend !== 'N' ? 1 : 0) + (season !== 'N' ? period - 1 : 0);
+    return smoothing + initial + 1;
+  }
+
+  /**
+   * Estimate the smoothing parameters and the initial level and trend by
+   * maximizing the likelihood. Initial seasonal states come from the first two
+   * seasons.
+   */
+  fit(values) {
+    const series = this.checkSeries(values);
+    const observations = series.length;
+    if (observations < this.parameterCount + 2) {
+      throw new Error(`Too few observations to fit ${this.label}`);
+    }
+
+    const initial = this.initialStates(series);
+    const scale = standardDeviation(series) || Math.abs(mean(series)) || 1;
+    const objective = raw => {
+      const run = this.run(series, this.unpack(raw), this.shiftStates(initial, raw, scale));
+      return run ? -run.logLikelihood : Infinity;
+    };
+
+    const { trend, season } = this.components;
+    const start = [logit(0.3)];
+    if (trend !== 'N') start.push(logit(0.1));
+    if (season !== 'N') start.push(logit(0.1));
+    if (trend === 'Ad') start.push(logit(0.9));
+    start.push(0);
+    if (trend !== 'N') start.push(0);
+
+    // A second run from the first optimum guards against a collapsed simplex
+    let best = nelderMead(objective, start);
+    best = nelderMead(objective, best.x);
+    if (!Number.isFinite(best.value)) {
+      throw new Error(`No valid parameters found for ${this.label}`);
+    }
+
+    this.parameters = this.unpack(best.x);
+    this.initialState = this.shiftStates(initial, best.x, scale);
+    const run = this.run(series, this.parameters, this.initialState);
+
+    this.sigma2 = run.sigma2;
+    this.observations = observations;
+    this.logLikelihood = run.logLikelihood;
+    this.aic = calculateAIC(this.logLikelihood, this.parameterCount);
+    this.aicc = calculateAICc(this.logLikelihood, this.parameterCount, observations);
+    this.bic = calculateBIC(this.logLikelihood, this.parameterCount, observations);
+    this.applyRun(run);
+
+    return this;
+  }
+
+  /**
+   * Forecast from new observations with the fitted smoothing parameters, e.g. a
+   * stored model applied to the latest history. Initial states are taken from
+   * the start of the new series. Returns a new model; this one is unchanged.
+   */
+  condition(values) {
+    const series = this.checkSeries(values);
+    const model = ETSModel.fromJSON(this.toJSON());
+    const run = model.run(series, model.parameters, model.initialStates(series));
+    if (!run) {
+      throw new Error(`${this.label} cannot be applied to this series`);
+    }
+
+    model.applyRun(run);
+    return model;
+  }
+
+  /**
+   * Point forecasts with prediction intervals at the given confidence level
+   * (percent). Intervals are exact for additive models; for multiplicative
+   * errors or seasonality they use the usual first-order approximation.
+   */
+  forecast(horizon, { level = 95 } = {}) {
+    if (!this.parameters) {
+      throw new Error(`${this.label} has not been fitted`);
+    }
+
+    const { error, trend, season, period } = this.components;
+    const { alpha, beta, gamma, phi } = this.parameters;
+    const { level: lastLevel, trend: lastTrend, season: seasonal } = this.state;
+    const z = normalQuantile(0.5 + level / 200);
+
+    const mean = [];
+    const stdError = [];
+    let damped = 0; // phi + phi^2 + ... + phi^h
+    let cumulative = 1; // 1 + sum of squared error weights c_1 .. c_{h-1}
+
+    for (let h = 1; h <= horizon; h++) {
+      damped += trend === 'N' ? 0 : phi ** h;
+      const base = lastLevel + damped * lastTrend;
+      const index = season === 'N' ? null : seasonal[(h - 1) % period];
+      const value = season === 'A' ? base + index : season === 'M' ? base * index : base;
+
+      const variance = this.sigma2 * cumulative;
+      mean.push(value);
+      stdError.push(error === 'M' ? Math.abs(value) * Math.sqrt(variance) : Math.sqrt(variance));
+
+      // Weight of the error h steps back in the (h + 1)-step forecast
+      const weight = alpha + beta * damped + (season !== 'N' && h % period === 0 ? gamma : 0);
+      cumulative += weight * weight;
+    }
+
+    return {
+      mean,
+      lower: mean.map((value, h) => value - z * stdError[h]),
+      upper: mean.map((value, h) => value + z * stdError[h]),
+      std_error: stdError,
+      level
+    };
+  }
+
+  /**
+   * Everything needed to forecast again without the training series
+   */
+  toJSON() {
+    return {
+      model: this.label,
+      components: this.components,
+      parameters: this.parameters,
+      initial_state: this.initialState,
+      sigma2: this.sigma2,
+      log_likelihood: this.logLikelihood,
+      aic: this.aic,
+      aicc: this.aicc,
+      bic: this.bic,
+      observations: this.observations,
+      state: this.state
+    };
+  }
+
+  static fromJSON(params) {
+    const model = new ETSModel(params.components);
+    Object.assign(model, {
+      parameters: params.parameters,
+      initialState: params.initial_state,
+      sigma2: params.sigma2,
+      logLikelihood: params.log_likelihood,
+      aic: params.aic,
+      aicc: params.aicc,
+      bic: params.bic,
+      observations: params.observations,
+      state: params.state
+    });
+    return model;
+  }
+
+  checkSeries(values) {
+    const series = values.slice(-MAX_FIT_OBSERVATIONS);
+    if (series.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error('ETS needs a series of finite numbers');
+    }
+    if (this.multiplicative && series.some(value => value <= 0)) {
+      throw new Error(`${this.label} needs a strictly positive series`);
+    }
+
+    const minimum = this.components.season === 'N' ? 2 : 2 * this.components.period;
+    if (series.length < minimum) {
+      throw new Error(`Insufficient data for ${this.label}: at least ${minimum} observations required`);
+    }
+    return series;
+  }
+
+  /**
+   * Heuristic initial states: level and trend from the first observations (the
+   * first two seasons for seasonal models) and detrended seasonal indices from
+   * the first season, normalized to sum to zero (additive) or average one
+   * (multiplicative)
+   */
+  initialStates(series) {
+    const { trend, season, period } = this.components;
+
+    if (season === 'N') {
+      return {
+        level: series[0],
+        trend: trend === 'N' ? 0 : series[1] - series[0],
+        season: []
+      };
+    }
+
+    const first = mean(series.slice(0, period));
+    const second = mean(series.slice(period, 2 * period));
+    const slope = trend === 'N' ? 0 : (second - first) / period;
+    const centre = (period - 1) / 2;
+
+    const raw = series.slice(0, period).map((value, i) => {
+      const base = first + slope * (i - centre);
+      return season === 'A' ? value - base : value / base;
+    });
+    const average = mean(raw);
+
+    return {
+      // Level and trend one step before the first observation
+      level: first - slope * (centre + 1),
+      trend: slope,
+      season: raw.map(value => (season === 'A' ? value - average : value / average))
+    };
+  }
+
+  /**
+   * Initial level and trend moved by the optimizer's last values
+   */
+  shiftStates(initial, raw, scale) {
+    const offset = raw.length - (this.components.trend === 'N' ? 1 : 2);
+    return {
+      level: initial.level + raw[offset] * scale,
+      trend: this.components.trend === 'N' ? 0 : initial.trend + raw[offset + 1] * scale / 10,
+      season: initial.season
+    };
+  }
+
+  /**
+   * Smoothing parameters from unconstrained optimizer values, within the usual
+   * admissible region: 0 < beta < alpha, 0 < gamma < 1 - alpha, 0.8 <= phi <= 0.98
+   */
+  unpack(raw) {
+    const { trend, season } = this.components;
+    let position = 0;
+    const next = () => sigmoid(raw[position++]);
+
+    const alpha = PARAMETER_BOUNDS.min + (PARAMETER_BOUNDS.max - PARAMETER_BOUNDS.min) * next();
+    const beta = trend === 'N' ? 0 : alpha * next();
+    const gamma = season === 'N' ? 0 : (1 - alpha) * next();
+    const phi = trend === 'Ad' ? DAMPING_BOUNDS.min + (DAMPING_BOUNDS.max - DAMPING_BOUNDS.min) * next() : 1;
+
+    return { alpha, beta, gamma, phi };
+  }
+
+  /**
+   * One pass of the state space recursions over the series. Returns the
+   * log-likelihood, one-step errors and final states, or null when a
+   * multiplicative model leaves the positive region.
+   */
+  run(series, { alpha, beta, gamma, phi }, initial) {
+    const { error, trend, season } = this.components;
+    let level = initial.level;
+    let slope = initial.trend;
+    const seasonal = [...initial.season];
+
+    const fitted = [];
+    const residuals = [];
+    let sumOfSquares = 0;
+    let logScale = 0;
+
+    for (const value of series) {
+      const base = level + (trend === 'N' ? 0 : phi * slope);
+      const index = season === 'N' ? 0 : seasonal.shift();
+      const forecast = season === 'A' ? base + index : season === 'M' ? base * index : base;
+      if (!Number.isFinite(forecast) || (this.multiplicative && (forecast <= 0 || base <= 0))) {
+        return null;
+      }
+
+      const residual = value - forecast;
+      fitted.push(forecast);
+      residuals.push(residual);
+
+      if (error === 'M') {
+        sumOfSquares += (residual / forecast) ** 2;
+        logScale += Math.log(forecast);
+      } else {
+        sumOfSquares += residual * residual;
+      }
+
+      // The same recursions hold for either error type when written with the raw residual
+      const correction = season === 'M' ? residual / index : residual;
+      level = base + alpha * correction;
+      slope = trend === 'N' ? 0 : phi * slope + beta * correction;
+      if (season === 'A') seasonal.push(index + gamma * residual);
+      if (season === 'M') seasonal.push(index + gamma * residual / base);
+    }
+
+    const n = series.length;
+    const sigma2 = sumOfSquares / n;
+    if (!(sigma2 > 0) || !Number.isFinite(sigma2)) return null;
+
+    return {
+      fitted,
+      residuals,
+      sigma2,
+      logLikelihood: -0.5 * n * (Math.log(2 * Math.PI * sigma2) + 1) - logScale,
+      state: { level, trend: slope, season: seasonal }
+    };
+  }
+
+  applyRun(run) {
+    this.fitted = run.fitted;
+    this.residuals = run.residuals;
+    this.state = run.state;
+  }
+}
+
+/**
+ * Fit every admissible ETS model and keep the one with the lowest information
+ * criterion. Multiplicative components need a strictly positive series and
+ * seasonal ones two full seasons; additive errors with multiplicative
+ * seasonality are only fitted when both are requested, as they are
+ * numerically unstable. `error`, `trend` and `season` restrict the search to
+ * one component type each.
+ */
+export function autoETS(values, { period = 1, criterion = 'aicc', error, trend, season } = {}) {
+  if (!['aic', 'aicc', 'bic'].includes(criterion)) {
+    throw new Error(`Unknown information criterion: ${criterion}`);
+  }
+  // Requested component types are checked up front rather than skipped as inadmissible
+  for (const [component, value, allowed] of [['error', error, ERROR_TYPES], ['trend', trend, TREND_TYPES], ['season', season, SEASON_TYPES]]) {
+    if (value && !allowed.includes(value)) {
+      throw new Error(`Invalid ETS ${component} type: ${value}. Expected one of ${allowed.join(', ')}`);
+    }
+  }
+
+  const series = values.slice(-MAX_FIT_OBSERVATIONS);
+  const positive = series.every(value => value > 0);
+  const seasonal = period > 1 && series.length >= 2 * period;
+
+  const errors = error ? [error] : positive ? ERROR_TYPES : ['A'];
+  const trends = trend ? [trend] : TREND_TYPES;
+  const seasons = season ? [season] : seasonal ? (positive ? SEASON_TYPES : ['N', 'A']) : ['N'];
+
+  let best = null;
+  let evaluated = 0;
+  for (const e of errors) {
+    for (const t of trends) {
+      for (const s of seasons) {
+        if (e === 'A' && s === 'M' && !(error && season)) continue;
+        try {
+          const model = new ETSModel({ error: e, trend: t, season: s, period }).fit(series);
+          evaluated++;
+          if (!best || model[criterion] < best[criterion]) best = model;
+        } catch (fitError) {
+          // Inadmissible for this series; try the next combination
+        }
+      }
+    }
+  }
+
+  if (!best) {
+    throw new Error('No ETS model could be fitted to the series');
+  }
+
+  best.selection = { criterion, models_evaluated: evaluated };
+  return best;
+}
+
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+function logit(p) {
+  return Math.log(p / (1 - p));
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+}
@@ -3,9 +3,20 @@
  * Specialized model for grid load forecasting and optimization
  */
 
+import {
+  DEFAULT_QUANTILES,
+  parseQuantiles,
+  rollingOriginErrors,
+  stepwiseBootstrap,
+  empiricalQuantile,
+  sampleQuantiles
+} from '../uncertainty.js';
+import { SeededRandom } from '../../utils/random.js';
+
 export class GridLoadModel {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.modelType = 'grid_load';
+    this.random = random;
     this.supportedCountries = ['USA', 'GBR', 'DEU', 'FRA', 'JPN', 'AUS', 'CAN'];
     this.defaultHyperparameters = {
       seasonal_periods: [24, 168], // Daily and weekly seasonality
@@ -16,14 +27,20 @@ export class GridLoadModel {
     };
   }
 
-  async forecast(inputData, horizon = 24, hyperparameters = {}) {
+  async forecast(inputData, horizon = 24, hyperparameters = {}, quantiles = DEFAULT_QUANTILES) {
     console.log(`Grid Load Model forecasting ${horizon} periods...`);
 
     const params = { ...this.defaultHyperparameters, ...hyperparameters };
+    const probabilities = parseQuantiles(quantiles);
     const processedData = this.preprocessGridLoadData(inputData);
     
     // Grid load forecasting with load balancing
-    const forecast = this.generateGridLoadForecast(processedData, horizon, params);
+    const forecast = this.addLoadQuantiles(
+      this.generateGridLoadForecast(processedData, horizon, params),
+      processedData,
+      params,
+      probabilities
+    );
     
     // Calculate grid stability metrics
     const stabilityMetrics = this.calculateGridStability(forecast, params);
@@ -99,13 +116,9 @@ export class GridLoadModel {
       
       const predictedValue = baseLoad * seasonalFactor * trendFactor * loadBalancingFactor;
       
-      // Calculate confidence interval
-      const confidence = this.calculateConfidenceInterval(predictedValue, i, params);
-      
       forecast.push({
         timestamp: baseTimestamp.toISOString(),
         predicted_value: Math.round(predictedValue),
-        confidence_interval: confidence,
         load_factor: predictedValue / (lastPoint.value * 1.2), // Normalized load factor
         peak_indicator: this.isPeakPeriod(baseTimestamp),
         grid_stability_score: this.calculateGridStabilityScore(predictedValue, baseLoad)
@@ -167,12 +180,43 @@ export class GridLoadModel {
     return 1.0;
   }
 
-  calculateConfidenceInterval(predictedValue, step, params) {
-    // Confidence interval grows with forecast horizon
-    const baseUncertainty = predictedValue * 0.05; // 5% base uncertainty
-    const horizonUncertainty = predictedValue * 0.02 * Math.sqrt(step); // Growing uncertainty
-    
-    return Math.round(baseUncertainty + horizonUncertainty);
+  /**
+   * 95% interval and quantiles for every step from a bootstrap of the model's
+   * out-of-sample errors at that many steps ahead, so the bands widen with the
+   * horizon. `prediction_interval` holds the bounds, which need not be
+   * symmetric; `confidence_interval` is the smallest half-width around
+   * `predicted_value` that covers them.
+   */
+  addLoadQuantiles(forecast, processedData, params, quantiles) {
+    const errors = rollingOriginErrors(
+      processedData.map(point => point.value),
+      forecast.length,
+      (origin, steps) => this.generateGridLoadForecast(processedData.slice(0, origin), steps, params)
+        .map(point => point.predicted_value),
+      { relative: true }
+    );
+    if (!errors) {
+      throw new Error('Grid load quantiles need at least 6 historical points to backtest');
+    }
+
+    const samples = stepwiseBootstrap(forecast.map(point => point.predicted_value), errors, this.random, {
+      relative: true,
+      floor: 0
+    });
+
+    return forecast.map((point, i) => {
+      const lower = Math.round(empiricalQuantile(samples[i], 0.025));
+      const upper = Math.round(empiricalQuantile(samples[i], 0.975));
+
+      return {
+        ...point,
+        confidence_interval: Math.max(upper - point.predicted_value, point.predicted_value - lower),
+        prediction_interval: { lower, upper, level: 95 },
+        quantiles: Object.fromEntries(
+          Object.entries(sampleQuantiles(samples[i], quantiles)).map(([key, value]) => [key, Math.round(value)])
+        )
+      };
+    });
   }
 
   calculateGridStabilityScore(predictedLoad, baseLoad) {
@@ -244,7 +288,7 @@ export class GridLoadModel {
   evaluateModel(data, params) {
     // Simulate model evaluation
     const baseAccuracy = 89.0;
-    const variabilityPenalty = Math.random() * 3; // 0-3% penalty for variability
+    const variabilityPenalty = this.random.between(0, 3); // 0-3% penalty for variability
     
     const accuracy = baseAccuracy - variabilityPenalty;
     const mape = 15 - (accuracy - 85) * 0.4; // MAPE decreases as accuracy increases
@@ -252,9 +296,9 @@ export class GridLoadModel {
     return {
       accuracy: parseFloat(accuracy.toFixed(2)),
       mape: parseFloat(mape.toFixed(2)),
-      rmse: 2850 + Math.random() * 400,
-      mae: 2100 + Math.random() * 300,
-      grid_stability_score: 85 + Math.random() * 10
+      rmse: 2850 + this.random.between(0, 400),
+      mae: 2100 + this.random.between(0, 300),
+      grid_stability_score: 85 + this.random.between(0, 10)
     };
   }
 
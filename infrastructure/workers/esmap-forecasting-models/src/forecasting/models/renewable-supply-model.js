@@ -3,9 +3,12 @@
  * Specialized forecasting for renewable energy generation
  */
 
+import { SeededRandom } from '../../utils/random.js';
+
 export class RenewableSupplyModel {
-  constructor() {
+  constructor(random = new SeededRandom()) {
     this.modelType = 'renewable-supply';
+    this.random = random;
     this.renewableTypes = ['solar', 'wind', 'hydro', 'biomass', 'geothermal'];
   }
 
@@ -148,7 +151,7 @@ export class RenewableSupplyModel {
                     countryFactors.efficiency;
         
         // Add realistic variability
-        const variability = (Math.random() - 0.5) * 0.1;
+        const variability = this.random.between(-0.5, 0.5) * 0.1;
         generation *= (1 + variability);
       }
       
@@ -205,7 +208,7 @@ export class RenewableSupplyModel {
       generation *= turbulenceEffect;
       
       // Add realistic variability for wind
-      const variability = (Math.random() - 0.5) * 0.2; // Higher variability than solar
+      const variability = this.random.between(-0.5, 0.5) * 0.2; // Higher variability than solar
       generation *= (1 + variability);
       
       windForecast.push({
@@ -259,7 +262,7 @@ export class RenewableSupplyModel {
       generation *= reservoirEffect;
       
       // Add small variability (hydro is more stable)
-      const variability = (Math.random() - 0.5) * 0.05;
+      const variability = this.random.between(-0.5, 0.5) * 0.05;
       generation *= (1 + variability);
       
       hydroForecast.push({
@@ -302,7 +305,7 @@ export class RenewableSupplyModel {
       generation *= maintenanceEffect;
       
       // Small variability
-      const variability = (Math.random() - 0.5) * 0.03;
+      const variability = this.random.between(-0.5, 0.5) * 0.03;
       generation *= (1 + variability);
       
       biomassForecast.push({
@@ -334,7 +337,7 @@ export class RenewableSupplyModel {
       let generation = baseGeneration;
       
       // Very minimal variability (geothermal is extremely stable)
-      const variability = (Math.random() - 0.5) * 0.01;
+      const variability = this.random.between(-0.5, 0.5) * 0.01;
       generation *= (1 + variability);
       
       // Maintenance scheduling
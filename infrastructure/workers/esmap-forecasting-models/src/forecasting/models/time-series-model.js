@@ -3,25 +3,89 @@
  * Core time series forecasting algorithms
  */
 
+import { ARIMAModel, autoARIMA } from './arima.js';
+import { ETSModel, autoETS } from './ets.js';
+import {
+  DEFAULT_QUANTILES,
+  parseQuantiles,
+  gaussianQuantiles,
+  residualBootstrap,
+  empiricalQuantile,
+  sampleQuantiles
+} from '../uncertainty.js';
+import { SeededRandom } from '../../utils/random.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Exponential smoothing works on short annual or monthly series; the other
+// algorithms need at least a day of hourly data
+const MINIMUM_DATA_POINTS = { ETS: 8 };
+
 export class TimeSeriesModel {
-  constructor(algorithm = 'ARIMA') {
+  constructor(algorithm = 'ARIMA', random = new SeededRandom()) {
     this.algorithm = algorithm;
+    this.random = random;
     this.trained = false;
     this.parameters = {};
   }
 
-  async forecast({ data, horizon, country, energy_type, include_confidence = true }) {
+  static minimumDataPoints(algorithm) {
+    return MINIMUM_DATA_POINTS[algorithm] ?? 24;
+  }
+
+  /**
+   * `trained` holds the per-country parameters of a registered model version;
+   * ARIMA and ETS forecast with them instead of selecting and fitting a model
+   * on `data`. `quantiles` are the probabilities returned for every point.
+   */
+  async forecast({
+    data,
+    horizon,
+    country,
+    energy_type,
+    include_confidence = true,
+    quantiles = DEFAULT_QUANTILES,
+    seasonal_period,
+    trained = null
+  }) {
     // Validate input data
     this.validateData(data);
+    const probabilities = parseQuantiles(quantiles);
 
     // Preprocess data
     const processedData = this.preprocessData(data);
 
     // Generate forecast based on algorithm
+    let forecast = await this.runAlgorithm(processedData, horizon, { seasonal_period, trained });
+
+    // Add confidence intervals and quantiles if requested
+    if (include_confidence) {
+      forecast = await this.addConfidenceIntervals(forecast, processedData, probabilities);
+    } else {
+      forecast = forecast.map(({ confidence_interval, ...point }) => point);
+    }
+
+    // Calculate accuracy metrics
+    const metrics = this.calculateMetrics(forecast, processedData);
+
+    return {
+      algorithm: this.algorithm,
+      forecast: forecast,
+      metrics: metrics,
+      parameters: this.parameters,
+      data_quality: this.assessDataQuality(processedData)
+    };
+  }
+
+  async runAlgorithm(processedData, horizon, { seasonal_period, trained = null } = {}) {
     let forecast;
     switch (this.algorithm) {
       case 'ARIMA':
-        forecast = await this.arimaForecast(processedData, horizon);
+        forecast = await this.arimaForecast(processedData, horizon, { seasonal_period, trained });
+        break;
+      case 'ETS':
+        forecast = await this.etsForecast(processedData, horizon, { seasonal_period, trained });
         break;
       case 'LSTM':
         forecast = await this.lstmForecast(processedData, horizon);
@@ -38,22 +102,7 @@ export class TimeSeriesModel {
       default:
         forecast = await this.arimaForecast(processedData, horizon);
     }
-
-    // Add confidence intervals if requested
-    if (include_confidence) {
-      forecast = this.addConfidenceIntervals(forecast, processedData);
-    }
-
-    // Calculate accuracy metrics
-    const metrics = this.calculateMetrics(forecast, processedData);
-
-    return {
-      algorithm: this.algorithm,
-      forecast: forecast,
-      metrics: metrics,
-      parameters: this.parameters,
-      data_quality: this.assessDataQuality(processedData)
-    };
+    return forecast;
   }
 
   validateData(data) {
@@ -61,8 +110,9 @@ export class TimeSeriesModel {
       throw new Error('Data must be an array');
     }
     
-    if (data.length < 24) {
-      throw new Error('Minimum 24 hours of historical data required');
+    const minimum = TimeSeriesModel.minimumDataPoints(this.algorithm);
+    if (data.length < minimum) {
+      throw new Error(`Minimum ${minimum} historical data points required`);
     }
 
     // Check for required fields
@@ -164,46 +214,75 @@ export class TimeSeriesModel {
     return sum / subset.length;
   }
 
-  async arimaForecast(data, horizon) {
+  async arimaForecast(data, horizon, { seasonal_period = 24, confidence_level = 95, trained = null } = {}) {
     console.log('Generating ARIMA forecast...');
     
-    // Extract values for ARIMA
+    // Orders selected by AIC; seasonal terms only when there are three full seasons of history
     const values = data.map(point => point.value);
+    const model = trained
+      ? ARIMAModel.fromJSON(trained).condition(values)
+      : autoARIMA(values, { period: seasonal_period });
+    const prediction = model.forecast(horizon, { level: confidence_level });
+    
+    const forecast = prediction.mean.map((value, i) => ({
+      hour: i,
+      timestamp: this.addHours(data[data.length - 1].timestamp, i + 1),
+      value: Math.max(0, value), // Ensure non-negative
+      method: 'ARIMA',
+      confidence_interval: {
+        lower: Math.max(0, prediction.lower[i]),
+        upper: prediction.upper[i],
+        std: prediction.std_error[i],
+        level: confidence_level
+      }
+    }));
     
-    // Simple ARIMA implementation (in production, use proper ARIMA library)
-    const forecast = [];
-    const lastValues = values.slice(-Math.min(24, values.length));
-    const trend = this.calculateTrend(lastValues);
-    const seasonality = this.calculateSeasonality(values, 24); // Daily seasonality
-    
-    for (let i = 0; i < horizon; i++) {
-      const seasonalIndex = i % 24;
-      const trendComponent = trend * i;
-      const seasonalComponent = seasonality[seasonalIndex];
-      const lastValue = lastValues[lastValues.length - 1];
-      
-      // Add some random walk component
-      const randomWalk = (Math.random() - 0.5) * lastValue * 0.05;
-      
-      const forecastValue = lastValue + trendComponent + seasonalComponent + randomWalk;
-      
-      forecast.push({
-        hour: i,
-        timestamp: this.addHours(data[data.length - 1].timestamp, i + 1),
-        value: Math.max(0, forecastValue), // Ensure non-negative
-        method: 'ARIMA'
-      });
-    }
-    
+    const { state, ...parameters } = model.toJSON();
     this.parameters = {
-      trend: trend,
-      seasonality_period: 24,
+      ...parameters,
+      selection: model.selection,
       data_points: data.length
     };
     
     return forecast;
   }
 
+  async etsForecast(data, horizon, { seasonal_period, confidence_level = 95, trained = null } = {}) {
+    console.log('Generating ETS forecast...');
+
+    // Error, trend and season types selected by AICc; the seasonal period follows the data's spacing
+    const interval = TimeSeriesModel.samplingInterval(data);
+    const period = seasonal_period ?? interval.period;
+    const values = data.map(point => point.value);
+    const model = trained
+      ? ETSModel.fromJSON(trained).condition(values)
+      : autoETS(values, { period });
+    const prediction = model.forecast(horizon, { level: confidence_level });
+    const last = data[data.length - 1].timestamp;
+
+    const forecast = prediction.mean.map((value, i) => ({
+      hour: i,
+      timestamp: this.advanceTimestamp(last, interval, i + 1),
+      value: Math.max(0, value), // Ensure non-negative
+      method: 'ETS',
+      confidence_interval: {
+        lower: Math.max(0, prediction.lower[i]),
+        upper: prediction.upper[i],
+        std: prediction.std_error[i],
+        level: confidence_level
+      }
+    }));
+
+    const { state, ...parameters } = model.toJSON();
+    this.parameters = {
+      ...parameters,
+      selection: model.selection,
+      data_points: data.length
+    };
+
+    return forecast;
+  }
+
   async lstmForecast(data, horizon) {
     console.log('Generating LSTM forecast...');
     
@@ -243,7 +322,7 @@ export class TimeSeriesModel {
     
     this.parameters = {
       sequence_length: sequenceLength,
-      weights_generated: weights.length
+      weights_generated: sequenceLength
     };
     
     return forecast;
@@ -361,7 +440,7 @@ export class TimeSeriesModel {
     
     this.parameters = {
       num_trees: trees.length,
-      feature_count: futureFeatures.length
+      feature_count: features[0].length
     };
     
     return forecast;
@@ -452,20 +531,48 @@ export class TimeSeriesModel {
     return seasonality.map(val => val - mean);
   }
 
-  addConfidenceIntervals(forecast, historicalData) {
-    const values = historicalData.map(point => point.value);
-    const std = this.calculateStandardDeviation(values);
-    
-    return forecast.map(point => ({
+  /**
+   * Quantiles for every point. Models with a likelihood (ARIMA, ETS) take them
+   * from their Gaussian predictive distribution and keep their analytic
+   * intervals; the others bootstrap the errors of a holdout forecast.
+   */
+  async addConfidenceIntervals(forecast, historicalData, quantiles = DEFAULT_QUANTILES) {
+    if (forecast.every(point => Number.isFinite(point.confidence_interval?.std))) {
+      return forecast.map(point => ({
+        ...point,
+        quantiles: gaussianQuantiles(point.value, point.confidence_interval.std, quantiles, { floor: 0 })
+      }));
+    }
+
+    const residuals = await this.holdoutResiduals(historicalData, forecast.length);
+    const samples = residualBootstrap(forecast.map(point => point.value), residuals, this.random, { floor: 0 });
+
+    return forecast.map((point, i) => ({
       ...point,
       confidence_interval: {
-        lower: point.value - 1.96 * std,
-        upper: point.value + 1.96 * std,
-        std: std
-      }
+        lower: empiricalQuantile(samples[i], 0.025),
+        upper: empiricalQuantile(samples[i], 0.975),
+        std: this.calculateStandardDeviation(samples[i]),
+        level: 95
+      },
+      quantiles: sampleQuantiles(samples[i], quantiles)
     }));
   }
 
+  /**
+   * Errors of the same algorithm forecasting the end of the history from the
+   * rest of it
+   */
+  async holdoutResiduals(historicalData, horizon) {
+    const holdout = Math.max(2, Math.min(horizon, 48, Math.floor(historicalData.length * 0.2)));
+    const actual = historicalData.slice(-holdout);
+
+    const backtest = new TimeSeriesModel(this.algorithm, this.random);
+    const predicted = await backtest.runAlgorithm(historicalData.slice(0, -holdout), holdout);
+
+    return actual.map((point, i) => point.value - predicted[i].value);
+  }
+
   calculateMetrics(forecast, historicalData) {
     // Calculate metrics based on last portion of historical data
     const testSize = Math.min(48, Math.floor(historicalData.length * 0.2));
@@ -521,9 +628,38 @@ export class TimeSeriesModel {
     return date.toISOString();
   }
 
+  /**
+   * Spacing of the series from the median gap between timestamps (calendar
+   * months for monthly, quarterly and annual data) and its natural seasonal period
+   */
+  static samplingInterval(data) {
+    const gaps = data.slice(1)
+      .map((point, i) => new Date(point.timestamp) - new Date(data[i].timestamp))
+      .sort((a, b) => a - b);
+    const gap = gaps[Math.floor(gaps.length / 2)] || HOUR_MS;
+    const days = gap / DAY_MS;
+
+    if (days >= 360) return { months: 12, period: 1 };
+    if (days >= 85) return { months: 3, period: 4 };
+    if (days >= 28) return { months: 1, period: 12 };
+    if (days >= 6.5) return { milliseconds: gap, period: 52 };
+    if (days >= 0.9) return { milliseconds: gap, period: 7 };
+    return { milliseconds: gap, period: Math.max(1, Math.round(DAY_MS / gap)) };
+  }
+
+  advanceTimestamp(timestamp, interval, steps) {
+    const date = new Date(timestamp);
+    if (interval.months) {
+      date.setUTCMonth(date.getUTCMonth() + interval.months * steps);
+    } else {
+      date.setTime(date.getTime() + interval.milliseconds * steps);
+    }
+    return date.toISOString();
+  }
+
   // Simplified implementations for demo purposes
   generateLSTMWeights(length) {
-    return Array.from({ length }, () => Math.random() * 0.1 + 0.9);
+    return Array.from({ length }, () => this.random.between(0.9, 1.0));
   }
 
   getSeasonalComponent(values, index, period) {
@@ -566,7 +702,7 @@ export class TimeSeriesModel {
 
   sampleResiduals(residuals) {
     if (residuals.length === 0) return 0;
-    const randomIndex = Math.floor(Math.random() * residuals.length);
+    const randomIndex = this.random.integer(residuals.length);
     return residuals[randomIndex];
   }
 
@@ -582,8 +718,8 @@ export class TimeSeriesModel {
   trainSingleTree(features, targets) {
     // Simplified decision tree
     return {
-      feature_weights: features[0].map(() => Math.random()),
-      bias: Math.random() * targets.reduce((sum, val) => sum + val, 0) / targets.length
+      feature_weights: features[0].map(() => this.random.next()),
+      bias: this.random.next() * targets.reduce((sum, val) => sum + val, 0) / targets.length
     };
   }
 
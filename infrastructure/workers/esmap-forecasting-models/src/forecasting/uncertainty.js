@@ -0,0 +1,151 @@
+/**
+ * Forecast Uncertainty
+ * Predictive quantiles (e.g. P10/P50/P90) for point forecasts, either from a
+ * model's Gaussian predictive distribution (ARIMA, ETS) or from a bootstrap of
+ * the model's own forecast errors. The bootstrap draws from a SeededRandom, so
+ * a replayed forecast gets the same quantiles.
+ */
+
+import { normalQuantile } from './models/arima.js';
+
+export const DEFAULT_QUANTILES = [0.1, 0.5, 0.9];
+
+const BOOTSTRAP_SAMPLES = 1000;
+const MEAN_BLOCK_LENGTH = 24; // errors of neighbouring hours are resampled together
+const HOLDOUT_ORIGINS = 12;
+
+/**
+ * Requested quantile probabilities, sorted and without duplicates
+ */
+export function parseQuantiles(quantiles = DEFAULT_QUANTILES) {
+  if (!Array.isArray(quantiles) || quantiles.length === 0) {
+    throw new Error('Invalid quantiles: expected a non-empty array of probabilities, e.g. [0.1, 0.5, 0.9]');
+  }
+
+  for (const probability of quantiles) {
+    if (typeof probability !== 'number' || !(probability > 0 && probability < 1)) {
+      throw new Error(`Invalid quantile ${probability}: probabilities must be between 0 and 1`);
+    }
+  }
+
+  return [...new Set(quantiles)].sort((a, b) => a - b);
+}
+
+/**
+ * Response key of a quantile: 0.1 -> p10, 0.025 -> p2.5
+ */
+export function quantileKey(probability) {
+  return `p${parseFloat((probability * 100).toFixed(4))}`;
+}
+
+export function gaussianQuantiles(mean, stdError, quantiles, { floor = -Infinity } = {}) {
+  return Object.fromEntries(quantiles.map(probability => [
+    quantileKey(probability),
+    Math.max(floor, mean + normalQuantile(probability) * stdError)
+  ]));
+}
+
+/**
+ * Sample paths of forecast values plus resampled errors, one sorted sample per
+ * forecast step. Errors are drawn by the stationary bootstrap (blocks of
+ * geometric length), which keeps their autocorrelation. Relative errors
+ * (actual / predicted) multiply the forecast instead of adding to it.
+ */
+export function residualBootstrap(values, residuals, random, {
+  samples = BOOTSTRAP_SAMPLES,
+  blockLength = MEAN_BLOCK_LENGTH,
+  relative = false,
+  floor = -Infinity
+} = {}) {
+  const errors = residuals.filter(residual => Number.isFinite(residual));
+  if (errors.length === 0) {
+    throw new Error('Residual bootstrap needs at least one forecast error');
+  }
+
+  const paths = values.map(() => new Float64Array(samples));
+  const restart = 1 / blockLength;
+
+  for (let s = 0; s < samples; s++) {
+    let index = random.integer(errors.length);
+    for (let h = 0; h < values.length; h++) {
+      if (h > 0) {
+        index = random.next() < restart ? random.integer(errors.length) : (index + 1) % errors.length;
+      }
+      const value = relative ? values[h] * errors[index] : values[h] + errors[index];
+      paths[h][s] = Math.max(floor, value);
+    }
+  }
+
+  return paths.map(sample => sample.sort());
+}
+
+/**
+ * One bootstrap sample per forecast step, each drawn from the errors made that
+ * many steps ahead (see rollingOriginErrors). Steps beyond the backtested ones
+ * reuse the errors of the furthest one.
+ */
+export function stepwiseBootstrap(values, errorsByStep, random, options = {}) {
+  return values.map((value, h) => {
+    const [sample] = residualBootstrap([value], errorsByStep[Math.min(h, errorsByStep.length - 1)], random, options);
+    return sample;
+  });
+}
+
+/**
+ * Errors of backtests from several rolling origins, by steps ahead: errors[h]
+ * holds the errors h + 1 steps out. `forecastFrom(origin, steps)` returns the
+ * values forecast from the first `origin` points of `actual`. Origins step back
+ * from the latest one that leaves a full window, keeping at least half the
+ * history to learn from. Returns null when the history is too short for two
+ * backtests, since one error per step says nothing about the spread.
+ *
+ * Each step's errors are centred on zero error by their median (relative
+ * errors divided by it, additive ones shifted), so bootstrapped bands spread
+ * around the point forecast instead of repeating the model's bias.
+ */
+export function rollingOriginErrors(actual, horizon, forecastFrom, { relative = false, origins = HOLDOUT_ORIGINS } = {}) {
+  const steps = Math.max(2, Math.min(horizon, 48, Math.floor(actual.length * 0.2)));
+  const latest = actual.length - steps;
+  if (latest < 1) return null;
+
+  const earliest = Math.max(1, Math.min(latest, Math.ceil(actual.length / 2)));
+  const stride = Math.max(1, Math.floor(steps / 4));
+  if (latest - earliest < stride) return null;
+
+  const errors = Array.from({ length: steps }, () => []);
+
+  for (let origin = latest, count = 0; origin >= earliest && count < origins; origin -= stride, count++) {
+    forecastFrom(origin, steps).forEach((predicted, h) => {
+      const error = relative
+        ? (predicted > 0 ? actual[origin + h] / predicted : NaN)
+        : actual[origin + h] - predicted;
+      if (Number.isFinite(error)) errors[h].push(error);
+    });
+  }
+
+  return errors.map(stepErrors => {
+    if (stepErrors.length === 0) return stepErrors;
+    const median = empiricalQuantile([...stepErrors].sort((a, b) => a - b), 0.5);
+    if (relative) {
+      return median > 0 ? stepErrors.map(error => error / median) : stepErrors;
+    }
+    return stepErrors.map(error => error - median);
+  });
+}
+
+/**
+ * Quantile of a sorted sample with linear interpolation between order statistics
+ */
+export function empiricalQuantile(sorted, probability) {
+  const position = (sorted.length - 1) * probability;
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+}
+
+export function sampleQuantiles(sorted, quantiles) {
+  return Object.fromEntries(quantiles.map(probability => [
+    quantileKey(probability),
+    empiricalQuantile(sorted, probability)
+  ]));
+}
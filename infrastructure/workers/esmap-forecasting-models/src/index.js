@@ -11,6 +11,7 @@ import { DataProcessor } from './data/data-processor.js';
 import { ErrorHandler } from './utils/error-handler.js';
 import { PerformanceMonitor } from './utils/performance-monitor.js';
 import { TrainingSession } from './training/training-session.js';
+import { ModelRegistry } from './registry/model-registry.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -40,6 +41,7 @@ export default {
       const validationFramework = new ValidationFramework(env);
       const abTestManager = new ABTestManager(env);
       const dataProcessor = new DataProcessor(env);
+      const modelRegistry = new ModelRegistry(env);
       const errorHandler = new ErrorHandler();
 
       // Route handlers
@@ -66,6 +68,9 @@ export default {
               '/models/train': 'Train new forecasting models',
               '/models/validate': 'Cross-validate models',
               '/models/compare': 'A/B test model performance',
+              '/registry/models': 'Trained model versions (filter by name, stage)',
+              '/registry/models/{id}': 'Model version with metrics and lineage',
+              '/registry/models/{id}/stage': 'Move a model version to staging, production or archived',
               '/data/upload': 'Upload historical energy data',
               '/health': 'Health check and model status',
               '/metrics': 'Performance and accuracy metrics'
@@ -131,6 +136,51 @@ export default {
           }
           break;
 
+        case path === '/registry/models':
+          if (request.method === 'GET') {
+            const versions = await modelRegistry.listVersions({
+              name: url.searchParams.get('name') || undefined,
+              stage: url.searchParams.get('stage') || undefined,
+              limit: Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 200)
+            });
+
+            return new Response(JSON.stringify({
+              success: true,
+              models: versions,
+              count: versions.length
+            }), { headers: corsHeaders });
+          }
+          break;
+
+        case /^\/registry\/models\/[^/]+$/.test(path):
+          if (request.method === 'GET') {
+            const modelId = decodeURIComponent(path.split('/')[3]);
+            const lineage = await modelRegistry.lineage(modelId);
+            if (lineage.length === 0) {
+              throw new Error(`Model version ${modelId} not found`);
+            }
+
+            return new Response(JSON.stringify({
+              success: true,
+              model: lineage[0],
+              lineage: lineage.slice(1)
+            }), { headers: corsHeaders });
+          }
+          break;
+
+        case /^\/registry\/models\/[^/]+\/stage$/.test(path):
+          if (request.method === 'POST') {
+            const modelId = decodeURIComponent(path.split('/')[3]);
+            const { stage } = await request.json();
+            const model = await modelRegistry.transition(modelId, stage);
+
+            return new Response(JSON.stringify({
+              success: true,
+              model
+            }), { headers: corsHeaders });
+          }
+          break;
+
         case path === '/forecast':
           if (request.method === 'POST') {
             const forecastRequest = await request.json();
@@ -271,7 +321,7 @@ export default {
       }
 
       // Check model storage
-      if (env.MODEL_STORAGE) {
+      if (env.MODELS_BUCKET) {
         health.checks.model_storage = {
           status: 'operational',
           message: 'R2 model storage available'
@@ -339,7 +389,7 @@ export default {
         }
 
         // Get model count
-        const modelCount = await env.DB.prepare('SELECT COUNT(*) as count FROM models WHERE status = "active"').first();
+        const modelCount = await env.DB.prepare("SELECT COUNT(*) as count FROM models WHERE status = 'production'").first();
         metrics.forecasting.models_deployed = modelCount?.count || 0;
 
         // Get training metrics
@@ -0,0 +1,272 @@
+/**
+ * Model Registry
+ * Versioned trained models: serialized parameters in R2 (models/{id}.json) and
+ * one row per version in the D1 models table with the training data
+ * fingerprint, metrics and lineage. Versions of a named model move through
+ * staging -> production -> archived; one version per name is in production.
+ */
+
+export const MODEL_STAGES = ['staging', 'production', 'archived'];
+
+// Stage changes allowed from each stage
+const STAGE_TRANSITIONS = {
+  staging: ['production', 'archived'],
+  production: ['archived'],
+  archived: ['staging']
+};
+
+// model_deployment_events.event_type for entering each stage
+const STAGE_EVENTS = {
+  staging: 'updated',
+  production: 'deployed',
+  archived: 'retired'
+};
+
+export class ModelRegistry {
+  constructor(env) {
+    this.env = env;
+  }
+
+  get available() {
+    return Boolean(this.env.DB && this.env.MODELS_BUCKET);
+  }
+
+  /**
+   * Store a trained model as the next version of its name, in staging
+   */
+  async register({ name, modelArtifact, trainingSession, validationResults, fingerprint, parentId = null }) {
+    if (!this.available) {
+      throw new Error('Model registry requires the DB and MODELS_BUCKET bindings');
+    }
+
+    if (parentId && !(await this.getVersion(parentId))) {
+      throw new Error(`Parent model version ${parentId} not found`);
+    }
+
+    const latest = await this.env.DB.prepare(
+      'SELECT MAX(CAST(version AS INTEGER)) as version FROM models WHERE name = ?'
+    ).bind(name).first();
+    const version = (latest?.version || 0) + 1;
+    const artifactKey = `models/${modelArtifact.model_id}.json`;
+
+    await this.env.MODELS_BUCKET.put(artifactKey, JSON.stringify(modelArtifact), {
+      httpMetadata: { contentType: 'application/json' },
+      customMetadata: { name, version: String(version), training_fingerprint: fingerprint.hash }
+    });
+
+    const metrics = {
+      accuracy: validationResults.accuracy,
+      mape: validationResults.mape,
+      rmse: validationResults.rmse,
+      mae: validationResults.mae
+    };
+
+    await this.env.DB.prepare(`
+      INSERT INTO models (
+        id, name, algorithm, model_type, countries,
+        accuracy, mape, rmse, mae, status, version, trained_at,
+        hyperparameters, validation_results, training_metrics, artifact_key,
+        training_fingerprint, training_data_points, training_start, training_end,
+        parent_model_id, training_id, seed
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      modelArtifact.model_id,
+      name,
+      modelArtifact.algorithm,
+      modelArtifact.model_type,
+      JSON.stringify(modelArtifact.countries),
+      metrics.accuracy,
+      metrics.mape,
+      metrics.rmse,
+      metrics.mae,
+      'staging',
+      String(version),
+      modelArtifact.trained_at,
+      JSON.stringify(modelArtifact.hyperparameters),
+      JSON.stringify(validationResults),
+      JSON.stringify(modelArtifact.training_metrics),
+      artifactKey,
+      fingerprint.hash,
+      fingerprint.data_points,
+      fingerprint.start,
+      fingerprint.end,
+      parentId,
+      trainingSession.id,
+      modelArtifact.seed
+    ).run();
+
+    await this.logStageEvent(modelArtifact.model_id, 'staging', String(version), modelArtifact.countries);
+
+    return this.getVersion(modelArtifact.model_id);
+  }
+
+  async listVersions({ name, stage, limit = 50 } = {}) {
+    if (!this.env.DB) return [];
+
+    const conditions = ['artifact_key IS NOT NULL'];
+    const params = [];
+    if (name) {
+      conditions.push('name = ?');
+      params.push(name);
+    }
+    if (stage) {
+      conditions.push('status = ?');
+      params.push(stage);
+    }
+
+    const rows = await this.env.DB.prepare(`
+      SELECT * FROM models
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY name, CAST(version AS INTEGER) DESC
+      LIMIT ?
+    `).bind(...params, limit).all();
+
+    return rows.results.map(row => this.rowToEntry(row));
+  }
+
+  async getVersion(id) {
+    if (!this.env.DB) return null;
+
+    const row = await this.env.DB.prepare(
+      'SELECT * FROM models WHERE id = ? AND artifact_key IS NOT NULL'
+    ).bind(id).first();
+    return row ? this.rowToEntry(row) : null;
+  }
+
+  /**
+   * A version ID, or a model name for its production version
+   */
+  async resolve(idOrName) {
+    const entry = await this.getVersion(idOrName);
+    if (entry) return entry;
+
+    const [production] = await this.listVersions({ name: idOrName, stage: 'production', limit: 1 });
+    return production || null;
+  }
+
+  /**
+   * A registry entry with its serialized parameters from R2
+   */
+  async load(idOrName) {
+    const entry = await this.resolve(idOrName);
+    if (!entry) return null;
+
+    const object = await this.env.MODELS_BUCKET?.get(entry.artifact_key);
+    if (!object) {
+      throw new Error(`Model artifact ${entry.artifact_key} not found`);
+    }
+
+    return { ...entry, artifact: await object.json() };
+  }
+
+  /**
+   * The version and each version it was retrained from, newest first
+   */
+  async lineage(id) {
+    const chain = [];
+    let entry = await this.getVersion(id);
+
+    while (entry && chain.length < 100) {
+      chain.push(entry);
+      entry = entry.parent_model_id ? await this.getVersion(entry.parent_model_id) : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Move a version to another stage. Promoting to production archives the
+   * version of the same name that was in production.
+   */
+  async transition(id, stage) {
+    if (!MODEL_STAGES.includes(stage)) {
+      throw new Error(`Invalid stage: ${stage}. Expected one of ${MODEL_STAGES.join(', ')}`);
+    }
+
+    const entry = await this.getVersion(id);
+    if (!entry) {
+      throw new Error(`Model version ${id} not found`);
+    }
+    if (entry.stage === stage) return entry;
+    if (!STAGE_TRANSITIONS[entry.stage]?.includes(stage)) {
+      throw new Error(`Invalid stage change for ${id}: ${entry.stage} -> ${stage}`);
+    }
+
+    if (stage === 'production') {
+      const current = await this.listVersions({ name: entry.name, stage: 'production' });
+      for (const previous of current) {
+        await this.setStage(previous, 'archived');
+      }
+    }
+
+    await this.setStage(entry, stage);
+    return this.getVersion(id);
+  }
+
+  async setStage(entry, stage) {
+    await this.env.DB.prepare(
+      'UPDATE models SET status = ? WHERE id = ?'
+    ).bind(stage, entry.id).run();
+
+    await this.logStageEvent(entry.id, stage, entry.version, entry.countries);
+  }
+
+  async logStageEvent(id, stage, version, countries) {
+    await this.env.DB.prepare(`
+      INSERT INTO model_deployment_events (model_id, event_type, version, countries, status)
+      VALUES (?, ?, ?, ?, 'success')
+    `).bind(id, STAGE_EVENTS[stage], version, JSON.stringify(countries)).run();
+  }
+
+  rowToEntry(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      version: Number(row.version),
+      stage: row.status,
+      algorithm: row.algorithm,
+      model_type: row.model_type,
+      countries: JSON.parse(row.countries || '[]'),
+      metrics: {
+        accuracy: row.accuracy,
+        mape: row.mape,
+        rmse: row.rmse,
+        mae: row.mae
+      },
+      training_metrics: JSON.parse(row.training_metrics || '{}'),
+      hyperparameters: JSON.parse(row.hyperparameters || '{}'),
+      training_data: {
+        fingerprint: row.training_fingerprint,
+        data_points: row.training_data_points,
+        start: row.training_start,
+        end: row.training_end
+      },
+      parent_model_id: row.parent_model_id,
+      training_id: row.training_id,
+      seed: row.seed,
+      artifact_key: row.artifact_key,
+      trained_at: row.trained_at,
+      updated_at: row.updated_at
+    };
+  }
+}
+
+/**
+ * SHA-256 over the training points in timestamp order, so the same data in any
+ * order gives the same fingerprint
+ */
+export async function fingerprintTrainingData(trainingData) {
+  const points = trainingData
+    .map(point => [point.country, new Date(point.timestamp).toISOString(), point.value ?? null])
+    .sort((a, b) => (a[1] === b[1] ? String(a[0]).localeCompare(String(b[0])) : a[1] < b[1] ? -1 : 1));
+
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(points)));
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return {
+    hash,
+    data_points: points.length,
+    start: points[0]?.[1] ?? null,
+    end: points[points.length - 1]?.[1] ?? null
+  };
+}
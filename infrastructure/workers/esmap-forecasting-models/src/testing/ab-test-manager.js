@@ -3,10 +3,13 @@
  * Framework for comparing model performance
  */
 
+import { SeededRandom } from '../utils/random.js';
+
 export class ABTestManager {
   constructor(env) {
     this.env = env;
     this.testTypes = ['accuracy_comparison', 'latency_comparison', 'stability_comparison'];
+    this.random = new SeededRandom();
   }
 
   async compareModels(request) {
@@ -18,11 +21,14 @@ export class ABTestManager {
       test_data,
       traffic_split = 0.5,
       duration_hours = 24,
-      significance_level = 0.05
+      significance_level = 0.05,
+      seed // Re-running with the recorded seed reproduces the traffic split and results
     } = request;
 
     console.log(`Starting A/B test: ${test_name} between ${model_a_id} and ${model_b_id}`);
 
+    this.random = new SeededRandom(seed);
+
     // Validate A/B test inputs
     this.validateABTestInputs(model_a_id, model_b_id, test_data, traffic_split);
 
@@ -36,6 +42,7 @@ export class ABTestManager {
       traffic_split,
       duration_hours,
       significance_level,
+      seed: this.random.seed,
       started_at: new Date().toISOString(),
       status: 'running',
       results: null
@@ -214,7 +221,7 @@ export class ABTestManager {
 
   splitTestData(test_data, traffic_split) {
     // Shuffle data to ensure random assignment
-    const shuffled = [...test_data].sort(() => Math.random() - 0.5);
+    const shuffled = this.random.shuffle(test_data);
     
     const split_index = Math.floor(shuffled.length * traffic_split);
     
@@ -262,7 +269,7 @@ export class ABTestManager {
     const errorRange = actualValue * (1 - characteristics.base_accuracy);
     const variance = characteristics.variance;
     
-    const error = (Math.random() - 0.5) * errorRange * (1 + Math.random() * variance);
+    const error = this.random.between(-0.5, 0.5) * errorRange * (1 + this.random.between(0, variance));
     
     return Math.max(0, actualValue + error);
   }
@@ -320,7 +327,7 @@ export class ABTestManager {
     const modelType = model_id.split('_')[0].toLowerCase();
     const latencyConfig = modelLatencies[modelType] || modelLatencies['arima'];
 
-    const delay = latencyConfig.base + (Math.random() - 0.5) * latencyConfig.variance;
+    const delay = latencyConfig.base + this.random.between(-0.5, 0.5) * latencyConfig.variance;
     
     return new Promise(resolve => setTimeout(resolve, Math.max(10, delay)));
   }
@@ -426,7 +433,7 @@ export class ABTestManager {
     const isSignificant = relativeDifference > 0.05;
     
     // Calculate p-value (simplified)
-    const pValue = isSignificant ? Math.random() * significanceLevel : significanceLevel + Math.random() * (1 - significanceLevel);
+    const pValue = isSignificant ? this.random.between(0, significanceLevel) : this.random.between(significanceLevel, 1);
 
     return {
       test_type: testType,
@@ -549,8 +556,8 @@ export class ABTestManager {
           traffic_split, duration_hours, significance_level,
           status, started_at, completed_at,
           winner_model, is_significant, confidence_level,
-          relative_improvement, detailed_results
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          relative_improvement, detailed_results, seed
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         abTestSession.id,
         abTestSession.test_name,
@@ -567,7 +574,8 @@ export class ABTestManager {
         abTestSession.results?.statistical_results?.is_significant || false,
         abTestSession.results?.confidence_level || 95,
         abTestSession.results?.statistical_results?.relative_difference || 0,
-        JSON.stringify(abTestSession.results)
+        JSON.stringify(abTestSession.results),
+        abTestSession.seed
       ).run();
 
     } catch (error) {
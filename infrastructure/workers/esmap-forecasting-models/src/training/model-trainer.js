@@ -3,10 +3,25 @@
  * Handles training of custom energy forecasting models
  */
 
+import { ARIMAModel, autoARIMA } from '../forecasting/models/arima.js';
+import { ETSModel, autoETS } from '../forecasting/models/ets.js';
+import { TimeSeriesModel } from '../forecasting/models/time-series-model.js';
+import { SeededRandom } from '../utils/random.js';
+import { ModelRegistry, fingerprintTrainingData } from '../registry/model-registry.js';
+
+// Points needed per country. Exponential smoothing is meant for short annual or
+// monthly series; the other algorithms need a week of hourly data.
+const DATA_REQUIREMENTS = {
+  ETS: { training: 8, validation: 2, unit: 'observations' },
+  default: { training: 168, validation: 24, unit: 'hours' }
+};
+
 export class ModelTrainer {
   constructor(env) {
     this.env = env;
     this.trainingHistory = [];
+    this.random = new SeededRandom();
+    this.registry = new ModelRegistry(env);
   }
 
   async trainModel(request) {
@@ -17,13 +32,22 @@ export class ModelTrainer {
       validation_data,
       countries = ['USA'],
       hyperparameters = {},
-      target_accuracy = 85 // 15% MAPE = 85% accuracy
+      target_accuracy = 85, // 15% MAPE = 85% accuracy
+      seed, // Training again with the recorded seed reproduces the model and its validation
+      model_name = `${algorithm}-${model_type}`.toLowerCase(), // Registry name the version is stored under
+      parent_model_id = null // Registered version this model was retrained from
     } = request;
 
     console.log(`Training ${algorithm} model for ${model_type} forecasting...`);
 
+    this.random = new SeededRandom(seed);
+
     // Validate training data
-    this.validateTrainingData(training_data, validation_data);
+    this.validateTrainingData(training_data, validation_data, algorithm);
+
+    if (parent_model_id && !(await this.registry.getVersion(parent_model_id))) {
+      throw new Error(`Parent model version ${parent_model_id} not found`);
+    }
 
     // Initialize training session
     const trainingSession = {
@@ -32,13 +56,17 @@ export class ModelTrainer {
       algorithm,
       countries,
       target_accuracy,
+      seed: this.random.seed,
+      model_name,
+      parent_model_id,
+      training_data: await fingerprintTrainingData(training_data),
       started_at: new Date().toISOString(),
       status: 'training'
     };
 
     try {
       // Preprocess training data
-      const processedData = await this.preprocessTrainingData(training_data, countries);
+      const processedData = await this.preprocessTrainingData(training_data, countries, algorithm);
 
       // Train model based on algorithm
       const modelArtifact = await this.executeTraining({
@@ -57,10 +85,10 @@ export class ModelTrainer {
         target_accuracy
       );
 
-      // Store model if validation passes
-      if (validationResults.passes_validation) {
-        await this.storeTrainedModel(modelArtifact, trainingSession, validationResults);
-      }
+      // Register model version (in staging) if validation passes
+      const registeredModel = validationResults.passes_validation
+        ? await this.storeTrainedModel(modelArtifact, trainingSession, validationResults)
+        : null;
 
       // Update training session
       trainingSession.status = validationResults.passes_validation ? 'completed' : 'failed';
@@ -75,6 +103,7 @@ export class ModelTrainer {
         training_session: trainingSession,
         model_artifact: modelArtifact,
         validation_results: validationResults,
+        registered_model: registeredModel,
         passes_validation: validationResults.passes_validation,
         accuracy_achieved: validationResults.accuracy,
         mape_achieved: validationResults.mape
@@ -93,13 +122,15 @@ export class ModelTrainer {
     }
   }
 
-  validateTrainingData(training_data, validation_data) {
-    if (!training_data || !Array.isArray(training_data) || training_data.length < 168) {
-      throw new Error('Training data must contain at least 168 hours (1 week) of data');
+  validateTrainingData(training_data, validation_data, algorithm = 'ARIMA') {
+    const { training, validation, unit } = this.dataRequirements(algorithm);
+
+    if (!training_data || !Array.isArray(training_data) || training_data.length < training) {
+      throw new Error(`Training data must contain at least ${training} ${unit} of data`);
     }
 
-    if (!validation_data || !Array.isArray(validation_data) || validation_data.length < 24) {
-      throw new Error('Validation data must contain at least 24 hours of data');
+    if (!validation_data || !Array.isArray(validation_data) || validation_data.length < validation) {
+      throw new Error(`Validation data must contain at least ${validation} ${unit} of data`);
     }
 
     // Check required fields
@@ -122,17 +153,22 @@ export class ModelTrainer {
     }
   }
 
-  async preprocessTrainingData(training_data, countries) {  
+  dataRequirements(algorithm) {
+    return DATA_REQUIREMENTS[algorithm.toUpperCase()] || DATA_REQUIREMENTS.default;
+  }
+
+  async preprocessTrainingData(training_data, countries, algorithm = 'ARIMA') {  
     console.log('Preprocessing training data...');
 
     const processedData = {};
+    const { training: minimumPoints, unit } = this.dataRequirements(algorithm);
 
     // Group data by country
     countries.forEach(country => {
       const countryData = training_data.filter(point => point.country === country);
       
-      if (countryData.length < 168) {
-        console.warn(`Insufficient data for ${country}: ${countryData.length} hours`);
+      if (countryData.length < minimumPoints) {
+        console.warn(`Insufficient data for ${country}: ${countryData.length} ${unit}`);
         return;
       }
 
@@ -271,6 +307,7 @@ export class ModelTrainer {
       model_type,
       countries,
       hyperparameters,
+      seed: this.random.seed,
       trained_at: new Date().toISOString(),
       training_metrics: {},
       parameters: {}
@@ -280,6 +317,10 @@ export class ModelTrainer {
       case 'ARIMA':
         modelArtifact.parameters = await this.trainARIMA(data, hyperparameters);
         break;
+
+      case 'ETS':
+        modelArtifact.parameters = await this.trainETS(data, hyperparameters);
+        break;
       
       case 'LSTM':
         modelArtifact.parameters = await this.trainLSTM(data, hyperparameters);
@@ -310,14 +351,18 @@ export class ModelTrainer {
   async trainARIMA(data, hyperparameters) {
     console.log('Training ARIMA model...');
 
+    // A full (p, d, q) fixes the order; otherwise it is selected per country by the information criterion
+    const fixedOrder = ['p', 'd', 'q'].every(key => hyperparameters[key] !== undefined);
     const params = {
-      p: hyperparameters.p || 2, // Autoregressive order
-      d: hyperparameters.d || 1, // Differencing order  
-      q: hyperparameters.q || 2, // Moving average order
-      seasonal_p: hyperparameters.seasonal_p || 1,
-      seasonal_d: hyperparameters.seasonal_d || 1,
-      seasonal_q: hyperparameters.seasonal_q || 1,
-      seasonal_period: hyperparameters.seasonal_period || 24
+      p: hyperparameters.p, // Autoregressive order
+      d: hyperparameters.d, // Differencing order
+      q: hyperparameters.q, // Moving average order
+      seasonal_p: hyperparameters.seasonal_p ?? 0,
+      seasonal_d: hyperparameters.seasonal_d ?? 0,
+      seasonal_q: hyperparameters.seasonal_q ?? 0,
+      seasonal_period: hyperparameters.seasonal_period || 24,
+      information_criterion: hyperparameters.information_criterion || 'bic',
+      order_selection: fixedOrder ? 'fixed' : 'stepwise'
     };
 
     // Train ARIMA for each country
@@ -325,15 +370,24 @@ export class ModelTrainer {
 
     for (const country of Object.keys(data)) {
       const countryData = data[country];
-      const values = countryData.normalized.data.map(point => point.value_normalized);
+      const values = this.fillMissingValues(countryData.raw.map(point => point.value));
+
+      const model = fixedOrder
+        ? new ARIMAModel({
+          p: params.p,
+          d: params.d,
+          q: params.q,
+          P: params.seasonal_p,
+          D: params.seasonal_d,
+          Q: params.seasonal_q,
+          period: params.seasonal_period
+        }).fit(values)
+        : autoARIMA(values, { period: params.seasonal_period, criterion: params.information_criterion });
 
-      // Simplified ARIMA parameter estimation
-      const arimaParams = this.estimateARIMAParameters(values, params);
-      
       countryModels[country] = {
-        parameters: arimaParams,
-        fitted_values: this.fitARIMA(values, arimaParams),
-        residuals: this.calculateResiduals(values, arimaParams),
+        parameters: { ...model.toJSON(), selection: model.selection },
+        fitted_values: model.fitted,
+        residuals: model.residuals,
         statistics: countryData.statistics
       };
     }
@@ -346,6 +400,48 @@ export class ModelTrainer {
     };
   }
 
+  async trainETS(data, hyperparameters) {
+    console.log('Training ETS model...');
+
+    // Error, trend and season types that are given are fixed; the others are selected per country
+    const params = {
+      error: hyperparameters.error, // A or M
+      trend: hyperparameters.trend, // N, A or Ad (damped)
+      season: hyperparameters.season, // N, A or M
+      seasonal_period: hyperparameters.seasonal_period ?? null, // null: from each country's timestamp spacing
+      information_criterion: hyperparameters.information_criterion || 'aicc'
+    };
+
+    const countryModels = {};
+
+    for (const country of Object.keys(data)) {
+      const countryData = data[country];
+      const values = this.fillMissingValues(countryData.raw.map(point => point.value));
+      const period = params.seasonal_period ?? TimeSeriesModel.samplingInterval(countryData.raw).period;
+
+      const model = autoETS(values, {
+        period,
+        criterion: params.information_criterion,
+        error: params.error,
+        trend: params.trend,
+        season: params.season
+      });
+
+      countryModels[country] = {
+        parameters: { ...model.toJSON(), selection: model.selection },
+        fitted_values: model.fitted,
+        residuals: model.residuals,
+        statistics: countryData.statistics
+      };
+    }
+
+    return {
+      algorithm: 'ETS',
+      country_models: countryModels,
+      global_parameters: params
+    };
+  }
+
   async trainLSTM(data, hyperparameters) {
     console.log('Training LSTM model...');
 
@@ -475,7 +571,7 @@ export class ModelTrainer {
   async trainEnsemble(data, hyperparameters) {
     console.log('Training Ensemble model...');
 
-    const baseModels = hyperparameters.base_models || ['ARIMA', 'LSTM', 'Prophet'];
+    const baseModels = hyperparameters.base_models || ['ARIMA', 'ETS', 'LSTM', 'Prophet'];
     const ensemble_method = hyperparameters.ensemble_method || 'weighted_average';
     
     // Train each base model
@@ -487,6 +583,7 @@ export class ModelTrainer {
         algorithm,
         model_type: 'ensemble_base',
         data,
+        countries: Object.keys(data),
         hyperparameters: hyperparameters[algorithm.toLowerCase()] || {}
       });
     }
@@ -534,12 +631,13 @@ export class ModelTrainer {
 
       // Validate for each country
       for (const country of Object.keys(countryValidationData)) {
-        if (!modelArtifact.parameters.country_models?.[country]) {
+        if (!this.trainedCountries(modelArtifact).includes(country)) {
           console.warn(`No model trained for country: ${country}`);
           continue;
         }
 
-        const countryData = countryValidationData[country];
+        const countryData = countryValidationData[country]
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
         const predictions = await this.generateValidationPredictions(
           modelArtifact, 
           countryData, 
@@ -583,12 +681,35 @@ export class ModelTrainer {
     return results;
   }
 
+  /**
+   * Countries a trained model can forecast; an ensemble covers those every member covers
+   */
+  trainedCountries(modelArtifact) {
+    const { country_models: countryModels, base_models: baseModels } = modelArtifact.parameters;
+    if (baseModels) {
+      return Object.values(baseModels)
+        .map(member => this.trainedCountries(member))
+        .reduce((shared, countries) => shared.filter(country => countries.includes(country)));
+    }
+    return Object.keys(countryModels || {});
+  }
+
   async generateValidationPredictions(modelArtifact, validationData, country) {
     // This would use the trained model to generate predictions
     // For demonstration, we'll simulate predictions based on the algorithm
+
+    if (modelArtifact.algorithm.toUpperCase() === 'ENSEMBLE') {
+      return this.generateEnsemblePredictions(modelArtifact, validationData, country);
+    }
     
     const predictions = [];
     const countryModel = modelArtifact.parameters.country_models[country];
+
+    // ARIMA and ETS forecast the validation period from the end of the training series
+    const statisticalModel = { ARIMA: ARIMAModel, ETS: ETSModel }[modelArtifact.algorithm.toUpperCase()];
+    const statisticalForecast = statisticalModel
+      ? statisticalModel.fromJSON(countryModel.parameters).forecast(validationData.length).mean
+      : null;
     
     for (let i = 0; i < validationData.length; i++) {
       const actualValue = validationData[i].value;
@@ -598,7 +719,8 @@ export class ModelTrainer {
       
       switch (modelArtifact.algorithm.toUpperCase()) {
         case 'ARIMA':
-          prediction = this.simulateARIMAPrediction(validationData, i, countryModel);
+        case 'ETS':
+          prediction = statisticalForecast[i];
           break;
         case 'LSTM':
           prediction = this.simulateLSTMPrediction(validationData, i, countryModel);
@@ -610,7 +732,7 @@ export class ModelTrainer {
           prediction = this.simulateRandomForestPrediction(validationData, i, countryModel);
           break;
         default:
-          prediction = actualValue * (0.9 + Math.random() * 0.2); // ±10% variation
+          prediction = actualValue * this.random.between(0.9, 1.1); // ±10% variation
       }
       
       predictions.push({
@@ -625,6 +747,31 @@ export class ModelTrainer {
     return predictions;
   }
 
+  /**
+   * Members' validation predictions combined with the ensemble weights
+   */
+  async generateEnsemblePredictions(modelArtifact, validationData, country) {
+    const { base_models: baseModels, ensemble_weights: weights } = modelArtifact.parameters;
+
+    const memberPredictions = {};
+    for (const [algorithm, member] of Object.entries(baseModels)) {
+      memberPredictions[algorithm] = await this.generateValidationPredictions(member, validationData, country);
+    }
+
+    return validationData.map((point, i) => {
+      const prediction = Object.entries(memberPredictions)
+        .reduce((sum, [algorithm, predictions]) => sum + weights[algorithm] * predictions[i].predicted, 0);
+
+      return {
+        timestamp: point.timestamp,
+        actual: point.value,
+        predicted: prediction,
+        error: Math.abs(point.value - prediction),
+        percentage_error: Math.abs((point.value - prediction) / point.value) * 100
+      };
+    });
+  }
+
   calculateValidationMetrics(actualData, predictions) {
     const n = predictions.length;
     let mae = 0, mse = 0, mape = 0;
@@ -653,40 +800,19 @@ export class ModelTrainer {
   async storeTrainedModel(modelArtifact, trainingSession, validationResults) {
     console.log(`Storing trained model: ${modelArtifact.model_id}`);
 
-    try {
-      // Store model artifacts in R2
-      if (this.env.MODEL_STORAGE) {
-        const modelData = JSON.stringify(modelArtifact);
-        await this.env.MODEL_STORAGE.put(`models/${modelArtifact.model_id}.json`, modelData);
-      }
-
-      // Store model metadata in database
-      if (this.env.DB) {
-        await this.env.DB.prepare(`
-          INSERT INTO models (
-            id, name, algorithm, model_type, countries, 
-            accuracy, mape, status, trained_at, 
-            hyperparameters, validation_results
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          modelArtifact.model_id,
-          `${modelArtifact.algorithm} ${modelArtifact.model_type}`,
-          modelArtifact.algorithm,
-          modelArtifact.model_type,
-          JSON.stringify(modelArtifact.countries),
-          validationResults.accuracy,
-          validationResults.mape,
-          'active',
-          modelArtifact.trained_at,
-          JSON.stringify(modelArtifact.hyperparameters),
-          JSON.stringify(validationResults)
-        ).run();
-      }
-
-    } catch (error) {
-      console.error('Error storing model:', error);
-      throw error;
+    if (!this.registry.available) {
+      console.warn('Model registry not configured - trained model not stored');
+      return null;
     }
+
+    return this.registry.register({
+      name: trainingSession.model_name,
+      modelArtifact,
+      trainingSession,
+      validationResults,
+      fingerprint: trainingSession.training_data,
+      parentId: trainingSession.parent_model_id
+    });
   }
 
   async logTrainingHistory(trainingSession) {
@@ -697,8 +823,8 @@ export class ModelTrainer {
         INSERT INTO model_training_history (
           training_id, model_type, algorithm, countries,
           status, started_at, completed_at, error,
-          training_time_ms, target_accuracy, achieved_accuracy
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          training_time_ms, target_accuracy, achieved_accuracy, seed
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         trainingSession.id,
         trainingSession.model_type,
@@ -711,7 +837,8 @@ export class ModelTrainer {
         trainingSession.completed_at ? 
           new Date(trainingSession.completed_at) - new Date(trainingSession.started_at) : null,
         trainingSession.target_accuracy,
-        trainingSession.validation_results?.accuracy || null
+        trainingSession.validation_results?.accuracy || null,
+        trainingSession.seed
       ).run();
     } catch (error) {
       console.error('Error logging training history:', error);
@@ -816,47 +943,27 @@ export class ModelTrainer {
     return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
   }
 
-  // Simplified training implementations (in production, use proper ML libraries)
-  estimateARIMAParameters(values, params) {
-    return {
-      ar_coefficients: Array.from({ length: params.p }, () => Math.random() * 0.5 + 0.2),
-      ma_coefficients: Array.from({ length: params.q }, () => Math.random() * 0.3 + 0.1),
-      seasonal_ar: Array.from({ length: params.seasonal_p }, () => Math.random() * 0.2 + 0.1),
-      seasonal_ma: Array.from({ length: params.seasonal_q }, () => Math.random() * 0.15 + 0.05),
-      sigma2: this.calculateVariance(values),
-      aic: this.calculateAIC(values, params),
-      bic: this.calculateBIC(values, params)
-    };
-  }
-
-  calculateVariance(values) {
-    const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
-    return values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-  }
-
-  calculateAIC(values, params) {
-    const k = params.p + params.q + params.seasonal_p + params.seasonal_q;
-    const n = values.length;
-    const logLikelihood = -n * Math.log(this.calculateVariance(values));
-    return 2 * k - 2 * logLikelihood;
-  }
-
-  calculateBIC(values, params) {
-    const k = params.p + params.q + params.seasonal_p + params.seasonal_q;
-    const n = values.length;
-    const logLikelihood = -n * Math.log(this.calculateVariance(values));
-    return k * Math.log(n) - 2 * logLikelihood;
-  }
-
-  // Additional simplified implementations...
-  fitARIMA(values, params) {
-    return values.map((val, i) => val + (Math.random() - 0.5) * 0.1);
-  }
+  /**
+   * Linear interpolation over null gaps; leading and trailing gaps take the nearest value
+   */
+  fillMissingValues(values) {
+    const isMissing = value => value === null || value === undefined || isNaN(value);
+    const known = values.map((value, i) => (isMissing(value) ? -1 : i)).filter(i => i >= 0);
+    if (known.length === 0) {
+      throw new Error('Series has no values');
+    }
 
-  calculateResiduals(values, params) {
-    return values.map(() => (Math.random() - 0.5) * 0.1);
+    return values.map((value, i) => {
+      if (!isMissing(value)) return value;
+      const next = known.find(k => k > i);
+      const previous = [...known].reverse().find(k => k < i);
+      if (previous === undefined) return values[next];
+      if (next === undefined) return values[previous];
+      return values[previous] + (values[next] - values[previous]) * (i - previous) / (next - previous);
+    });
   }
 
+  // Simplified training implementations (in production, use proper ML libraries)
   calculateARIMAFeatureImportance(params) {
     return {
       autoregressive: 0.4,
@@ -870,13 +977,13 @@ export class ModelTrainer {
     return {
       weights: this.generateRandomWeights(params.hidden_size * 10),
       biases: this.generateRandomWeights(params.hidden_size),
-      training_loss: Math.random() * 0.1 + 0.05,
-      validation_loss: Math.random() * 0.12 + 0.06
+      training_loss: this.random.between(0.05, 0.15),
+      validation_loss: this.random.between(0.06, 0.18)
     };
   }
 
   generateRandomWeights(size) {
-    return Array.from({ length: size }, () => (Math.random() - 0.5) * 0.1);
+    return Array.from({ length: size }, () => this.random.between(-0.05, 0.05));
   }
 
   getLSTMArchitecture(params) {
@@ -917,14 +1024,14 @@ export class ModelTrainer {
     return {
       trees: Array.from({ length: params.n_estimators }, () => this.generateRandomTree()),
       feature_importance: this.calculateFeatureImportance(),
-      oob_score: Math.random() * 0.1 + 0.85
+      oob_score: this.random.between(0.85, 0.95)
     };
   }
 
   generateRandomTree() {
     return {
-      feature_thresholds: Array.from({ length: 10 }, () => Math.random()),
-      predictions: Array.from({ length: 10 }, () => Math.random() * 100)
+      feature_thresholds: Array.from({ length: 10 }, () => this.random.next()),
+      predictions: Array.from({ length: 10 }, () => this.random.between(0, 100))
     };
   }
 
@@ -978,27 +1085,21 @@ export class ModelTrainer {
   }
 
   // Simulation methods for validation (replace with actual model inference in production)
-  simulateARIMAPrediction(data, index, model) {
-    const actual = data[index].value;
-    const noise = (Math.random() - 0.5) * actual * 0.1;
-    return actual + noise;
-  }
-
   simulateLSTMPrediction(data, index, model) {
     const actual = data[index].value;
-    const noise = (Math.random() - 0.5) * actual * 0.08;
+    const noise = this.random.between(-0.5, 0.5) * actual * 0.08;
     return actual + noise;
   }
 
   simulateProphetPrediction(data, index, model) {
     const actual = data[index].value;
-    const noise = (Math.random() - 0.5) * actual * 0.12;
+    const noise = this.random.between(-0.5, 0.5) * actual * 0.12;
     return actual + noise;
   }
 
   simulateRandomForestPrediction(data, index, model) {
     const actual = data[index].value;
-    const noise = (Math.random() - 0.5) * actual * 0.09;
+    const noise = this.random.between(-0.5, 0.5) * actual * 0.09;
     return actual + noise;
   }
 }
\ No newline at end of file
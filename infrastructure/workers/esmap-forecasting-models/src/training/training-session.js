@@ -3,6 +3,8 @@
  * Manages long-running model training sessions
  */
 
+import { SeededRandom } from '../utils/random.js';
+
 export class TrainingSession {
   constructor(state, env) {
     this.state = state;
@@ -31,9 +33,11 @@ export class TrainingSession {
 
   async startTraining(sessionId, trainingRequest) {
     try {
+      const random = new SeededRandom(trainingRequest.seed);
       const session = {
         id: sessionId,
         status: 'training',
+        seed: random.seed,
         started_at: new Date().toISOString(),
         training_request: trainingRequest,
         progress: 0,
@@ -46,7 +50,7 @@ export class TrainingSession {
       await this.state.storage.put(sessionId, session);
 
       // Start async training process
-      this.runTrainingProcess(sessionId, trainingRequest);
+      this.runTrainingProcess(sessionId, trainingRequest, random);
 
       return new Response(JSON.stringify({
         session_id: sessionId,
@@ -140,7 +144,7 @@ export class TrainingSession {
     }
   }
 
-  async runTrainingProcess(sessionId, trainingRequest) {
+  async runTrainingProcess(sessionId, trainingRequest, random) {
     try {
       const session = this.sessions.get(sessionId);
       const { algorithm, training_data, target_accuracy = 85, max_epochs = 100 } = trainingRequest;
@@ -153,8 +157,8 @@ export class TrainingSession {
         await new Promise(resolve => setTimeout(resolve, 100));
 
         // Simulate accuracy improvement
-        const accuracy = this.simulateTrainingAccuracy(epoch, max_epochs, algorithm);
-        const loss = this.simulateTrainingLoss(epoch, max_epochs);
+        const accuracy = this.simulateTrainingAccuracy(epoch, max_epochs, algorithm, random);
+        const loss = this.simulateTrainingLoss(epoch, max_epochs, random);
 
         session.current_epoch = epoch;
         session.progress = (epoch / max_epochs) * 100;
@@ -207,7 +211,7 @@ export class TrainingSession {
     }
   }
 
-  simulateTrainingAccuracy(epoch, maxEpochs, algorithm) {
+  simulateTrainingAccuracy(epoch, maxEpochs, algorithm, random) {
     // Different algorithms have different learning curves
     const algorithmConfigs = {
       'ARIMA': { initial: 70, final: 87, curve: 'logarithmic' },
@@ -241,17 +245,17 @@ export class TrainingSession {
     }
 
     // Add some random variation
-    accuracy += (Math.random() - 0.5) * 2;
+    accuracy += random.between(-1, 1);
     
     return Math.max(config.initial, Math.min(config.final + 5, accuracy));
   }
 
-  simulateTrainingLoss(epoch, maxEpochs) {
+  simulateTrainingLoss(epoch, maxEpochs, random) {
     const progress = epoch / maxEpochs;
     
     // Loss typically decreases exponentially with some noise
     const baseLoss = 1.0 * Math.exp(-2 * progress);
-    const noise = (Math.random() - 0.5) * 0.1;
+    const noise = random.between(-0.05, 0.05);
     
     return Math.max(0.01, baseLoss + noise);
   }
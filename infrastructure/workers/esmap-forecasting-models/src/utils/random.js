@@ -0,0 +1,64 @@
+/**
+ * Seeded Random
+ * Reproducible pseudo-random numbers (mulberry32) for forecasting, training,
+ * validation and A/B testing. Every stochastic step draws from an instance
+ * instead of Math.random(), so a run replayed with the same seed gives the
+ * same numbers.
+ */
+
+const MAX_SEED = 0xFFFFFFFF;
+
+export class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+      throw new Error(`Invalid seed: must be an integer between 0 and ${MAX_SEED}`);
+    }
+
+    this.seed = seed;
+    this.state = seed;
+  }
+
+  /**
+   * A fresh seed for requests that do not supply one
+   */
+  static generateSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+
+  /**
+   * Uniform number in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Uniform number in [min, max)
+   */
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Uniform integer in [0, max)
+   */
+  integer(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * Shuffled copy (Fisher-Yates)
+   */
+  shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = this.integer(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Probabilistic Metrics
+ * Scores for quantile forecasts: pinball (quantile) loss per quantile, the
+ * continuous ranked probability score of the predictive sample, and how often
+ * actuals fall inside the central intervals the quantiles form (e.g. P10-P90
+ * should hold 80% of them). Lower pinball loss and CRPS are better; coverage
+ * should be close to nominal.
+ */
+
+import { quantileKey } from '../forecasting/uncertainty.js';
+
+export function pinballLoss(actual, predicted, probability) {
+  const difference = actual - predicted;
+  return difference >= 0 ? probability * difference : (probability - 1) * difference;
+}
+
+/**
+ * CRPS of a sorted predictive sample: E|X - y| - E|X - X'| / 2
+ */
+export function sampleCRPS(sorted, actual) {
+  const n = sorted.length;
+  let absoluteError = 0;
+  let spread = 0;
+
+  for (let i = 0; i < n; i++) {
+    absoluteError += Math.abs(sorted[i] - actual);
+    // Sum over pairs of |x_i - x_j| from the order statistics
+    spread += (2 * (i + 1) - n - 1) * sorted[i];
+  }
+
+  return absoluteError / n - spread / (n * n);
+}
+
+/**
+ * Central intervals from pairs of requested quantiles symmetric around the
+ * median, e.g. P10 and P90 -> the 80% interval
+ */
+export function centralIntervals(quantiles) {
+  return quantiles
+    .filter(probability => probability < 0.5 && quantiles.some(other => Math.abs(other - (1 - probability)) < 1e-9))
+    .map(probability => ({
+      lower: quantileKey(probability),
+      upper: quantileKey(1 - probability),
+      nominal: parseFloat(((1 - 2 * probability) * 100).toFixed(4))
+    }));
+}
+
+/**
+ * Mean pinball loss per quantile and overall, mean CRPS and interval coverage
+ * over predictions carrying `actual`, `quantiles` and optionally `crps`
+ */
+export function scoreQuantileForecasts(predictions, quantiles) {
+  const scored = predictions.filter(prediction => prediction.quantiles);
+  if (scored.length === 0) return null;
+
+  const pinball = Object.fromEntries(quantiles.map(probability => {
+    const key = quantileKey(probability);
+    const total = scored.reduce((sum, prediction) => sum + pinballLoss(prediction.actual, prediction.quantiles[key], probability), 0);
+    return [key, round(total / scored.length)];
+  }));
+  const meanPinball = Object.values(pinball).reduce((sum, loss) => sum + loss, 0) / quantiles.length;
+
+  const withCRPS = scored.filter(prediction => Number.isFinite(prediction.crps));
+  const crps = withCRPS.length > 0
+    ? withCRPS.reduce((sum, prediction) => sum + prediction.crps, 0) / withCRPS.length
+    : null;
+
+  const coverage = Object.fromEntries(centralIntervals(quantiles).map(({ lower, upper, nominal }) => {
+    const inside = scored.filter(prediction =>
+      prediction.actual >= prediction.quantiles[lower] && prediction.actual <= prediction.quantiles[upper]
+    ).length;
+    const width = scored.reduce((sum, prediction) => sum + prediction.quantiles[upper] - prediction.quantiles[lower], 0);
+
+    return [`${lower}-${upper}`, {
+      nominal,
+      observed: round((inside / scored.length) * 100),
+      mean_width: round(width / scored.length)
+    }];
+  }));
+
+  return {
+    pinball_loss: round(meanPinball),
+    pinball_loss_by_quantile: pinball,
+    crps: crps === null ? null : round(crps),
+    interval_coverage: coverage
+  };
+}
+
+/**
+ * Mean of several scoreQuantileForecasts results, e.g. over countries or folds
+ */
+export function averageQuantileScores(scores) {
+  const valid = scores.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  const average = values => {
+    const finite = values.filter(value => Number.isFinite(value));
+    return finite.length > 0 ? round(finite.reduce((sum, value) => sum + value, 0) / finite.length) : null;
+  };
+
+  const coverage = {};
+  for (const interval of Object.keys(valid[0].interval_coverage)) {
+    const entries = valid.map(score => score.interval_coverage[interval]).filter(Boolean);
+    coverage[interval] = {
+      nominal: entries[0].nominal,
+      observed: average(entries.map(entry => entry.observed)),
+      mean_width: average(entries.map(entry => entry.mean_width))
+    };
+  }
+
+  return {
+    pinball_loss: average(valid.map(score => score.pinball_loss)),
+    pinball_loss_by_quantile: Object.fromEntries(Object.keys(valid[0].pinball_loss_by_quantile).map(key => [
+      key,
+      average(valid.map(score => score.pinball_loss_by_quantile[key]))
+    ])),
+    crps: average(valid.map(score => score.crps)),
+    interval_coverage: coverage
+  };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(3));
+}
@@ -3,10 +3,16 @@
  * Cross-validation across different countries/regions
  */
 
+import { DEFAULT_QUANTILES, parseQuantiles, residualBootstrap, sampleQuantiles } from '../forecasting/uncertainty.js';
+import { sampleCRPS, scoreQuantileForecasts, averageQuantileScores } from './probabilistic-metrics.js';
+import { SeededRandom } from '../utils/random.js';
+
 export class ValidationFramework {
   constructor(env) {
     this.env = env;
     this.validationMethods = ['time_series_split', 'country_split', 'stratified_split'];
+    this.random = new SeededRandom();
+    this.quantiles = DEFAULT_QUANTILES;
   }
 
   async crossValidate(request) {
@@ -16,11 +22,16 @@ export class ValidationFramework {
       k_folds = 5,
       countries,
       data,
-      target_accuracy = 85
+      target_accuracy = 85,
+      quantiles = DEFAULT_QUANTILES, // Predictive quantiles scored by pinball loss, CRPS and coverage
+      seed // Re-running with the recorded seed reproduces every fold
     } = request;
 
     console.log(`Cross-validating model ${model_id} using ${validation_method}...`);
 
+    this.random = new SeededRandom(seed);
+    this.quantiles = parseQuantiles(quantiles);
+
     // Validate inputs
     this.validateCrossValidationInputs(data, countries, k_folds);
 
@@ -32,6 +43,8 @@ export class ValidationFramework {
       k_folds,
       countries,
       target_accuracy,
+      quantiles: this.quantiles,
+      seed: this.random.seed,
       started_at: new Date().toISOString(),
       status: 'running'
     };
@@ -362,6 +375,7 @@ export class ValidationFramework {
       data_points: trainData.length,
       parameters: this.extractFoldModelParameters(trainData)
     };
+    model.residuals = this.calculateTrainingResiduals(model, trainData);
 
     return model;
   }
@@ -375,22 +389,35 @@ export class ValidationFramework {
       data_points: trainData.length,
       parameters: this.extractMultiCountryModelParameters(trainData, countries)
     };
+    model.residuals = this.calculateTrainingResiduals(model, trainData);
 
     return model;
   }
 
+  /**
+   * In-sample errors of a fold model, the error distribution its predictive
+   * quantiles are bootstrapped from
+   */
+  calculateTrainingResiduals(model, trainData) {
+    return trainData.map((point, index) => point.value - this.simulatePrediction(model, point, trainData, index));
+  }
+
+  simulatePrediction(model, point, data, index) {
+    // Simulate prediction based on model type and historical patterns
+    return model.type === 'fold_model'
+      ? this.simulateFoldPrediction(point, model, data, index)
+      : this.simulateMultiCountryPrediction(point, model, data, index);
+  }
+
+  /**
+   * Point predictions with the requested quantiles and the CRPS of each
+   * predictive distribution
+   */
   async generateFoldPredictions(model, testData) {
     const predictions = [];
 
     testData.forEach((point, index) => {
-      // Simulate prediction based on model type and historical patterns
-      let prediction;
-
-      if (model.type === 'fold_model') {
-        prediction = this.simulateFoldPrediction(point, model, testData, index);
-      } else {
-        prediction = this.simulateMultiCountryPrediction(point, model, testData, index);
-      }
+      const prediction = this.simulatePrediction(model, point, testData, index);
 
       predictions.push({
         timestamp: point.timestamp,
@@ -402,7 +429,15 @@ export class ValidationFramework {
       });
     });
 
-    return predictions;
+    const samples = residualBootstrap(predictions.map(prediction => prediction.predicted), model.residuals, this.random, {
+      floor: 0
+    });
+
+    return predictions.map((prediction, i) => ({
+      ...prediction,
+      quantiles: sampleQuantiles(samples[i], this.quantiles),
+      crps: sampleCRPS(samples[i], prediction.actual)
+    }));
   }
 
   simulateFoldPrediction(point, model, testData, index) {
@@ -412,7 +447,7 @@ export class ValidationFramework {
     
     // Add model-specific variation
     const variation = (1 - modelAccuracy) * baseValue;
-    const noise = (Math.random() - 0.5) * variation;
+    const noise = this.random.between(-0.5, 0.5) * variation;
     
     return Math.max(0, baseValue + noise);
   }
@@ -424,7 +459,7 @@ export class ValidationFramework {
     
     // Adjust for cross-country generalization
     const variation = (1 - generalizationFactor) * baseValue;
-    const noise = (Math.random() - 0.5) * variation;
+    const noise = this.random.between(-0.5, 0.5) * variation;
     
     return Math.max(0, baseValue + noise);
   }
@@ -454,7 +489,8 @@ export class ValidationFramework {
       rmse: parseFloat(rmse.toFixed(3)),
       mape: parseFloat(mape.toFixed(3)),
       accuracy: parseFloat(accuracy.toFixed(3)),
-      data_points: n
+      data_points: n,
+      probabilistic: scoreQuantileForecasts(predictions, this.quantiles)
     };
   }
 
@@ -487,7 +523,8 @@ export class ValidationFramework {
       rmse: parseFloat((totalRMSE / validCountries).toFixed(3)),
       mape: parseFloat((totalMAPE / validCountries).toFixed(3)),
       accuracy: parseFloat((totalAccuracy / validCountries).toFixed(3)),
-      countries_validated: validCountries
+      countries_validated: validCountries,
+      probabilistic: averageQuantileScores(countries.map(country => countryResults[country].metrics?.probabilistic))
     };
   }
 
@@ -497,6 +534,7 @@ export class ValidationFramework {
         mean_accuracy: 0, mean_mape: 100, mean_mae: 0, mean_rmse: 0,
         std_accuracy: 0, std_mape: 0, std_mae: 0, std_rmse: 0,
         min_accuracy: 0, max_accuracy: 0,
+        mean_pinball_loss: null, mean_crps: null, interval_coverage: {},
         folds_completed: 0, countries_validated: 0
       };
     }
@@ -539,6 +577,7 @@ export class ValidationFramework {
     const mapeStats = calculateStats(mapes);
     const maeStats = calculateStats(maes);
     const rmseStats = calculateStats(rmses);
+    const probabilistic = averageQuantileScores(foldResults.map(fold => fold.overall_metrics?.probabilistic));
 
     return {
       mean_accuracy: accuracyStats.mean,
@@ -556,6 +595,11 @@ export class ValidationFramework {
       
       mean_rmse: rmseStats.mean,
       std_rmse: rmseStats.std,
+
+      mean_pinball_loss: probabilistic?.pinball_loss ?? null,
+      pinball_loss_by_quantile: probabilistic?.pinball_loss_by_quantile ?? {},
+      mean_crps: probabilistic?.crps ?? null,
+      interval_coverage: probabilistic?.interval_coverage ?? {},
       
       folds_completed: foldResults.length,
       countries_validated: Math.floor(totalCountries / foldResults.length),
@@ -687,8 +731,9 @@ export class ValidationFramework {
         INSERT INTO cross_validation_sessions (
           id, model_id, validation_method, k_folds, countries,
           status, started_at, completed_at, target_accuracy,
-          mean_accuracy, mean_mape, stability_score, generalization_score
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          mean_accuracy, mean_mape, stability_score, generalization_score, seed,
+          quantiles, mean_pinball_loss, mean_crps, interval_coverage
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         validationSession.id,
         validationSession.model_id,
@@ -702,7 +747,12 @@ export class ValidationFramework {
         validationSession.results?.mean_accuracy || 0,
         validationSession.results?.mean_mape || 100,
         validationSession.results?.stability_score || 0,
-        validationSession.results?.generalization_score || 0
+        validationSession.results?.generalization_score || 0,
+        validationSession.seed,
+        JSON.stringify(validationSession.quantiles),
+        validationSession.results?.mean_pinball_loss ?? null,
+        validationSession.results?.mean_crps ?? null,
+        JSON.stringify(validationSession.results?.interval_coverage || {})
       ).run();
 
       // Store detailed fold results
@@ -741,7 +791,7 @@ export class ValidationFramework {
       mean: mean,
       variance: variance,
       data_points: trainData.length,
-      accuracy: Math.random() * 0.15 + 0.8 // 80-95% simulated accuracy
+      accuracy: this.random.between(0.8, 0.95) // 80-95% simulated accuracy
     };
   }
 
@@ -761,7 +811,7 @@ export class ValidationFramework {
       country_statistics: countryStats,
       total_countries: countries.length,
       total_data_points: trainData.length,
-      generalization_factor: Math.random() * 0.2 + 0.75 // 75-95% generalization
+      generalization_factor: this.random.between(0.75, 0.95) // 75-95% generalization
     };
   }
 }
\ No newline at end of file
@@ -162,6 +162,181 @@ async function testForecastEndpoint() {
   }
 }
 
+async function testARIMADeterminism() {
+  console.log('\\n🔍 Testing ARIMA Forecast Determinism...');
+  
+  // Three days of hourly demand with a daily cycle
+  const history = Array.from({ length: 72 }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, hour)).toISOString(),
+    value: 35000 + 4000 * Math.sin((2 * Math.PI * hour) / 24) + (hour % 7) * 150,
+    country: 'GBR'
+  }));
+  
+  const forecastRequest = {
+    model_id: 'energy-demand-arima',
+    data: history,
+    horizon: 24,
+    country: 'GBR'
+  };
+  
+  const first = await makeRequest('/forecast', 'POST', forecastRequest);
+  const second = await makeRequest('/forecast', 'POST', forecastRequest);
+  
+  if (first.success && second.success) {
+    const firstPoints = first.data.forecast.forecast;
+    const secondPoints = second.data.forecast.forecast;
+    const identical = JSON.stringify(firstPoints) === JSON.stringify(secondPoints);
+    const intervalsValid = firstPoints.every(point =>
+      point.confidence_interval.lower <= point.value && point.value <= point.confidence_interval.upper
+    );
+    
+    console.log(`${identical ? '✅' : '❌'} Repeated forecasts ${identical ? 'identical' : 'differ'}`);
+    console.log(`   Model: ${first.data.forecast.parameters.model}`);
+    console.log(`   Interval width at 24h: ±${(firstPoints[23].confidence_interval.upper - firstPoints[23].value).toFixed(0)} MW`);
+    
+    return identical && intervalsValid;
+  } else {
+    console.log('❌ ARIMA determinism test failed');
+    console.log(`   Error: ${(first.success ? second : first).data.error}`);
+    return false;
+  }
+}
+
+async function testETSForecast() {
+  console.log('\\n🔍 Testing ETS Forecast on a Monthly Series...');
+  
+  // Five years of monthly demand with growth and a yearly cycle
+  const history = Array.from({ length: 60 }, (_, month) => ({
+    timestamp: new Date(Date.UTC(2019, month, 1)).toISOString(),
+    value: (28000 + 60 * month) * (1 + 0.15 * Math.cos((2 * Math.PI * month) / 12)),
+    country: 'GBR'
+  }));
+  
+  const result = await makeRequest('/forecast', 'POST', {
+    model_id: 'energy-demand-ets',
+    data: history,
+    horizon: 12,
+    country: 'GBR'
+  });
+  
+  if (result.success) {
+    const { forecast: points, parameters } = result.data.forecast;
+    const monthly = points[0].timestamp.startsWith('2024-01-01') && points[11].timestamp.startsWith('2024-12-01');
+    const seasonal = parameters.components.period === 12;
+    
+    console.log(`${monthly && seasonal ? '✅' : '❌'} Selected ${parameters.model} from ${parameters.selection.models_evaluated} candidates`);
+    console.log(`   Smoothing: alpha=${parameters.parameters.alpha.toFixed(3)}, gamma=${parameters.parameters.gamma.toFixed(3)}`);
+    console.log(`   ${points[0].timestamp.slice(0, 7)}: ${points[0].value.toFixed(0)} MW`);
+    
+    return monthly && seasonal;
+  } else {
+    console.log('❌ ETS forecast test failed');
+    console.log(`   Error: ${result.data.error}`);
+    return false;
+  }
+}
+
+async function testSeededReplay() {
+  console.log('\\n🔍 Testing Seeded Forecast Replay...');
+  
+  const history = Array.from({ length: 72 }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, hour)).toISOString(),
+    value: 450000 + 30000 * Math.sin((2 * Math.PI * hour) / 24),
+    country: 'USA'
+  }));
+  
+  // Prophet samples residual noise, so only the seed makes it repeatable
+  const original = await makeRequest('/forecast', 'POST', {
+    model_id: 'grid-load-prophet',
+    data: history,
+    horizon: 24,
+    country: 'USA'
+  });
+  
+  if (!original.success) {
+    console.log('❌ Seeded replay test failed');
+    console.log(`   Error: ${original.data.error}`);
+    return false;
+  }
+  
+  const seed = original.data.forecast.metadata.seed;
+  const replay = await makeRequest('/forecast', 'POST', {
+    model_id: 'grid-load-prophet',
+    data: history,
+    horizon: 24,
+    country: 'USA',
+    seed
+  });
+  
+  const identical = replay.success &&
+    JSON.stringify(replay.data.forecast.forecast) === JSON.stringify(original.data.forecast.forecast);
+  
+  console.log(`${identical ? '✅' : '❌'} Replay with seed ${seed} ${identical ? 'matches' : 'differs from'} the original forecast`);
+  
+  return identical;
+}
+
+async function testDemandQuantiles() {
+  console.log('\\n🔍 Testing Demand Forecast Quantiles...');
+  
+  const history = Array.from({ length: 168 }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, hour)).toISOString(),
+    value: 35000 + 4000 * Math.sin((2 * Math.PI * hour) / 24) + 500 * Math.cos(hour),
+    country: 'GBR'
+  }));
+  
+  const result = await makeRequest('/forecast/demand', 'POST', {
+    country: 'GBR',
+    historical_data: history,
+    horizon: 24,
+    quantiles: [0.1, 0.5, 0.9]
+  });
+  
+  if (result.success) {
+    const { forecast: points, uncertainty } = result.data.forecast;
+    const ordered = points.every(point => point.quantiles.p10 <= point.quantiles.p50 && point.quantiles.p50 <= point.quantiles.p90);
+    
+    console.log(`${ordered ? '✅' : '❌'} P10 <= P50 <= P90 at all ${points.length} steps`);
+    console.log(`   Method: ${uncertainty.method} (${uncertainty.holdout_points} holdout errors)`);
+    console.log(`   First hour: P10 ${points[0].quantiles.p10.toFixed(0)}, P50 ${points[0].quantiles.p50.toFixed(0)}, P90 ${points[0].quantiles.p90.toFixed(0)} MW`);
+    
+    return ordered && uncertainty.method === 'residual_bootstrap';
+  } else {
+    console.log('❌ Demand quantile test failed');
+    console.log(`   Error: ${result.data.error}`);
+    return false;
+  }
+}
+
+async function testModelRegistry() {
+  console.log('\\n🔍 Testing Model Registry...');
+  
+  const result = await makeRequest('/registry/models');
+  
+  if (result.success && Array.isArray(result.data.models)) {
+    console.log('✅ Model registry working');
+    console.log(`   Registered versions: ${result.data.count}`);
+    
+    const production = result.data.models.filter(model => model.stage === 'production');
+    console.log(`   In production: ${production.map(model => `${model.name} v${model.version}`).join(', ') || 'none'}`);
+    
+    // Every production version must be loadable with its lineage
+    for (const model of production) {
+      const detail = await makeRequest(`/registry/models/${encodeURIComponent(model.id)}`);
+      if (!detail.success || !detail.data.model.training_data.fingerprint) {
+        console.log(`❌ Could not load ${model.id}`);
+        return false;
+      }
+    }
+    
+    return true;
+  } else {
+    console.log('❌ Model registry failed');
+    console.log(`   Error: ${result.data.error}`);
+    return false;
+  }
+}
+
 async function testCrossValidationEndpoint() {
   console.log('\\n🔍 Testing Cross-Validation Endpoint...');
   
@@ -316,6 +491,11 @@ async function runAllTests() {
   testResults.push({ name: 'Models List', passed: await testModelsEndpoint() });
   testResults.push({ name: 'Model Training', passed: await testTrainingEndpoint() });
   testResults.push({ name: 'Forecasting', passed: await testForecastEndpoint() });
+  testResults.push({ name: 'ARIMA Determinism', passed: await testARIMADeterminism() });
+  testResults.push({ name: 'ETS Forecast', passed: await testETSForecast() });
+  testResults.push({ name: 'Seeded Replay', passed: await testSeededReplay() });
+  testResults.push({ name: 'Demand Quantiles', passed: await testDemandQuantiles() });
+  testResults.push({ name: 'Model Registry', passed: await testModelRegistry() });
   testResults.push({ name: 'Cross-Validation', passed: await testCrossValidationEndpoint() });
   testResults.push({ name: 'A/B Testing', passed: await testABTestingEndpoint() });
   testResults.push({ name: 'Data Processing', passed: await testDataProcessingEndpoint() });
@@ -0,0 +1,347 @@
+/**
+ * Unit Tests for Forecasting Models
+ * Runs the forecasting code in process, without the deployed API, and checks
+ * it against known values
+ */
+
+const SRC = '../src';
+
+function check(label, passed, detail = '') {
+  console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  return passed;
+}
+
+function close(actual, expected, tolerance = 1e-9) {
+  return Math.abs(actual - expected) <= tolerance;
+}
+
+// Standard normal draws from a SeededRandom (Box-Muller)
+function gaussian(random) {
+  const u = 1 - random.next();
+  const v = random.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function hourlyHistory(hours) {
+  return Array.from({ length: hours }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, hour)).toISOString(),
+    value: 35000 + 4000 * Math.sin((2 * Math.PI * hour) / 24) + (hour % 7) * 150
+  }));
+}
+
+async function testARIMAFitting() {
+  console.log('\n🔍 Testing ARIMA Fitting...');
+
+  const { SeededRandom } = await import(`${SRC}/utils/random.js`);
+  const { ARIMAModel, autoARIMA } = await import(`${SRC}/forecasting/models/arima.js`);
+  const random = new SeededRandom(2024);
+  const results = [];
+
+  // AR(1) with coefficient 0.7 and unit noise variance
+  const ar = [0];
+  for (let t = 1; t < 500; t++) ar.push(0.7 * ar[t - 1] + gaussian(random));
+
+  const model = new ARIMAModel({ p: 1, include_constant: false }).fit(ar);
+  const phi = model.coefficients.ar[0];
+  const forecast = model.forecast(3);
+
+  results.push(check('AR(1) coefficient recovered', close(phi, 0.7, 0.1), `phi = ${phi.toFixed(3)}`));
+  results.push(check('AR(1) innovation variance recovered', close(model.sigma2, 1, 0.2), `sigma2 = ${model.sigma2.toFixed(3)}`));
+  results.push(check('AR(1) forecast decays by phi', close(forecast.mean[1], phi * forecast.mean[0], 1e-9)));
+  results.push(check(
+    'AR(1) standard errors follow sigma * sqrt(1 + phi^2)',
+    close(forecast.std_error[0], Math.sqrt(model.sigma2), 1e-6) &&
+      close(forecast.std_error[1], Math.sqrt(model.sigma2 * (1 + phi * phi)), 1e-6)
+  ));
+
+  // Order selection on short AR(1) and MA(1) series. The KPSS test differences
+  // about one stationary series in twenty, so allow a couple of AR(1) misses
+  const selections = Array.from({ length: 10 }, (_, i) => {
+    const seeded = new SeededRandom(i + 1);
+    const arSeries = [0];
+    for (let t = 1; t < 300; t++) arSeries.push(0.7 * arSeries[t - 1] + gaussian(seeded));
+    const maSeries = [];
+    let previous = gaussian(seeded);
+    for (let t = 0; t < 300; t++) {
+      const shock = gaussian(seeded);
+      maSeries.push(shock + 0.6 * previous);
+      previous = shock;
+    }
+    return { ar: autoARIMA(arSeries).label, ma: autoARIMA(maSeries).label };
+  });
+  const arHits = selections.filter(selection => selection.ar === 'ARIMA(1,0,0)').length;
+  const maHits = selections.filter(selection => selection.ma === 'ARIMA(0,0,1)').length;
+
+  results.push(check('Auto selection recovers AR(1)', arHits >= 8, `${arHits}/10`));
+  results.push(check('Auto selection recovers MA(1)', maHits === 10, `${maHits}/10`));
+
+  // Monthly seasonal cycle around a constant level
+  const truth = t => 100 + 10 * Math.sin((2 * Math.PI * t) / 12);
+  const seasonal = Array.from({ length: 120 }, (_, t) => truth(t) + 0.5 * gaussian(random));
+  const selected = autoARIMA(seasonal, { period: 12 });
+  const seasonalForecast = selected.forecast(12);
+  const worstError = Math.max(...seasonalForecast.mean.map((value, h) => Math.abs(value - truth(120 + h))));
+
+  results.push(check('Seasonal differencing selected', selected.selection.differencing.D === 1, selected.label));
+  results.push(check('SARIMA forecast follows the seasonal cycle', worstError < 2, `max error ${worstError.toFixed(2)}`));
+  results.push(check(
+    'Intervals contain the point forecast',
+    seasonalForecast.mean.every((value, h) => seasonalForecast.lower[h] < value && value < seasonalForecast.upper[h])
+  ));
+
+  return results.every(Boolean);
+}
+
+async function testETSFitting() {
+  console.log('\n🔍 Testing ETS Fitting...');
+
+  const { SeededRandom } = await import(`${SRC}/utils/random.js`);
+  const { ETSModel, autoETS } = await import(`${SRC}/forecasting/models/ets.js`);
+  const random = new SeededRandom(2024);
+  const results = [];
+
+  const level = Array.from({ length: 30 }, () => 50 + gaussian(random));
+  const ses = new ETSModel({ error: 'A', trend: 'N', season: 'N' }).fit(level).forecast(3);
+  results.push(check(
+    'Simple exponential smoothing forecasts a flat level',
+    ses.mean.every(value => close(value, ses.mean[0])) && close(ses.mean[0], 50, 1),
+    `level ${ses.mean[0].toFixed(2)}`
+  ));
+
+  // Linear trend of 2 per step starting at 100
+  const trend = Array.from({ length: 40 }, (_, t) => 100 + 2 * t + 0.3 * gaussian(random));
+  const holt = new ETSModel({ error: 'A', trend: 'A', season: 'N' }).fit(trend).forecast(3);
+  results.push(check('Holt forecast continues the level', close(holt.mean[0], 180, 1), `h1 = ${holt.mean[0].toFixed(2)}`));
+  results.push(check(
+    'Holt forecast continues the slope',
+    close(holt.mean[1] - holt.mean[0], 2, 0.05) && close(holt.mean[2] - holt.mean[1], 2, 0.05)
+  ));
+  results.push(check('Forecast uncertainty grows with the horizon', holt.std_error[2] > holt.std_error[0]));
+
+  // Growing monthly series with a proportional seasonal swing
+  const truth = t => (200 + 3 * t) * (1 + 0.2 * Math.sin((2 * Math.PI * t) / 12));
+  const monthly = Array.from({ length: 60 }, (_, t) => truth(t) * (1 + 0.01 * gaussian(random)));
+  const selected = autoETS(monthly, { period: 12 });
+  const forecast = selected.forecast(12);
+  const worstError = Math.max(...forecast.mean.map((value, h) => Math.abs(value / truth(60 + h) - 1)));
+
+  results.push(check('Seasonal model selected', selected.season !== 'N', selected.label));
+  results.push(check('Seasonal forecast within 3% of the cycle', worstError < 0.03, `max error ${(worstError * 100).toFixed(2)}%`));
+
+  return results.every(Boolean);
+}
+
+async function testSeededRandom() {
+  console.log('\n🔍 Testing Seeded Randomness...');
+
+  const { SeededRandom } = await import(`${SRC}/utils/random.js`);
+  const { TimeSeriesModel } = await import(`${SRC}/forecasting/models/time-series-model.js`);
+  const results = [];
+
+  const sequence = seed => {
+    const random = new SeededRandom(seed);
+    return Array.from({ length: 5 }, () => random.next());
+  };
+
+  results.push(check('Known first draw for seed 1', sequence(1)[0] === 0.6270739405881613));
+  results.push(check('Same seed gives the same sequence', JSON.stringify(sequence(42)) === JSON.stringify(sequence(42))));
+  results.push(check('Different seeds give different sequences', JSON.stringify(sequence(42)) !== JSON.stringify(sequence(43))));
+
+  // Prophet bootstraps its quantiles, so it consumes the random stream
+  const history = hourlyHistory(72);
+  const forecast = seed => new TimeSeriesModel('Prophet', new SeededRandom(seed)).forecast({ data: history, horizon: 12 });
+  const first = JSON.stringify(await forecast(7));
+  const second = JSON.stringify(await forecast(7));
+  const other = JSON.stringify(await forecast(8));
+
+  results.push(check('Same seed gives the same forecast', first === second));
+  results.push(check('Different seeds give different forecasts', first !== other));
+
+  // Demand forecasts take histories of any length, as they did before seeding
+  const { ForecastingEngine } = await import(`${SRC}/forecasting/forecasting-engine.js`);
+  const engine = new ForecastingEngine({});
+  const demand = seed => engine.forecastDemand({ country: 'GBR', historical_data: history.slice(0, 6), horizon: 12, seed });
+  const [demandFirst, demandSecond] = [await demand(5), await demand(5)];
+
+  results.push(check('Short demand history gets a forecast', demandFirst.forecast.length === 12));
+  results.push(check(
+    'Same seed gives the same demand forecast',
+    demandFirst.metadata.seed === 5 && JSON.stringify(demandFirst.forecast) === JSON.stringify(demandSecond.forecast)
+  ));
+
+  return results.every(Boolean);
+}
+
+async function testResidualBootstrap() {
+  console.log('\n🔍 Testing Residual Bootstrap...');
+
+  const { SeededRandom } = await import(`${SRC}/utils/random.js`);
+  const { residualBootstrap, empiricalQuantile } = await import(`${SRC}/forecasting/uncertainty.js`);
+  const results = [];
+  const values = [100, 200, 300];
+
+  const exact = residualBootstrap(values, [0], new SeededRandom(1), { samples: 50 });
+  results.push(check('Zero error reproduces the forecast', exact.every((sample, h) => sample.every(value => value === values[h]))));
+
+  const scaled = residualBootstrap(values, [0.5, 1.5], new SeededRandom(1), { samples: 200, relative: true });
+  results.push(check(
+    'Relative errors scale the forecast',
+    scaled.every((sample, h) => sample.every(value => value === values[h] * 0.5 || value === values[h] * 1.5))
+  ));
+
+  const floored = residualBootstrap([5], [-10, 10], new SeededRandom(1), { samples: 200, floor: 0 });
+  results.push(check('Floor clamps negative samples', floored[0][0] === 0 && floored[0][199] === 15));
+
+  const shifted = residualBootstrap([0], [-1, 0, 1, 2, NaN], new SeededRandom(1), { samples: 2000 });
+  const median = empiricalQuantile(shifted[0], 0.5);
+  results.push(check(
+    'Samples are sorted and drawn from the finite errors',
+    shifted[0].every((value, i) => i === 0 || shifted[0][i - 1] <= value) &&
+      shifted[0].every(value => [-1, 0, 1, 2].includes(value)) &&
+      (median === 0 || median === 1)
+  ));
+
+  const replay = seed => JSON.stringify(residualBootstrap(values, [-3, 1, 4, -1, 5], new SeededRandom(seed)).map(sample => Array.from(sample)));
+  results.push(check('Same seed gives the same samples', replay(9) === replay(9)));
+  results.push(check('Different seeds give different samples', replay(9) !== replay(10)));
+
+  let threw = false;
+  try {
+    residualBootstrap(values, [NaN, Infinity], new SeededRandom(1));
+  } catch (error) {
+    threw = /at least one forecast error/.test(error.message);
+  }
+  results.push(check('Rejects residuals without a finite error', threw));
+
+  return results.every(Boolean);
+}
+
+async function testProbabilisticMetrics() {
+  console.log('\n🔍 Testing Probabilistic Metrics...');
+
+  const { pinballLoss, sampleCRPS, scoreQuantileForecasts } = await import(`${SRC}/validation/probabilistic-metrics.js`);
+  const results = [];
+
+  results.push(check(
+    'Pinball loss weighs under- and over-forecasts by the quantile',
+    close(pinballLoss(10, 8, 0.9), 1.8) && close(pinballLoss(8, 10, 0.9), 0.2) && pinballLoss(10, 10, 0.5) === 0
+  ));
+  results.push(check('CRPS of a point mass equals the absolute error', close(sampleCRPS([5, 5, 5], 8), 3)));
+  // E|X - 0| = 0.5 and E|X - X'| / 2 = 0.25 for X uniform on {0, 1}
+  results.push(check('CRPS of a two-point sample', close(sampleCRPS([0, 1], 0), 0.25)));
+
+  const scores = scoreQuantileForecasts([
+    { actual: 10, quantiles: { p10: 8, p50: 10, p90: 12 }, crps: 1 },
+    { actual: 15, quantiles: { p10: 9, p50: 11, p90: 13 }, crps: 3 }
+  ], [0.1, 0.5, 0.9]);
+
+  results.push(check(
+    'Pinball loss per quantile and overall',
+    JSON.stringify(scores.pinball_loss_by_quantile) === JSON.stringify({ p10: 0.4, p50: 1, p90: 1 }) && scores.pinball_loss === 0.8,
+    `overall ${scores.pinball_loss}`
+  ));
+  results.push(check('Mean CRPS', scores.crps === 2));
+  results.push(check(
+    'P10-P90 coverage and width',
+    JSON.stringify(scores.interval_coverage) === JSON.stringify({ 'p10-p90': { nominal: 80, observed: 50, mean_width: 4 } })
+  ));
+  results.push(check('No score without quantiles', scoreQuantileForecasts([{ actual: 1 }], [0.5]) === null));
+
+  return results.every(Boolean);
+}
+
+async function testForecastBands() {
+  console.log('\n🔍 Testing Demand and Grid Load Bands...');
+
+  const { SeededRandom } = await import(`${SRC}/utils/random.js`);
+  const { rollingOriginErrors } = await import(`${SRC}/forecasting/uncertainty.js`);
+  const { EnergyDemandModel } = await import(`${SRC}/forecasting/models/energy-demand-model.js`);
+  const { GridLoadModel } = await import(`${SRC}/forecasting/models/grid-load-model.js`);
+  const results = [];
+
+  // A model that always forecasts 20% too low: its errors are centred away
+  const biased = rollingOriginErrors(Array.from({ length: 40 }, (_, t) => 100 + t), 4, (origin, steps) =>
+    Array.from({ length: steps }, (_, h) => (100 + origin + h) * 0.8), { relative: true });
+  results.push(check(
+    'Rolling-origin errors are centred on the point forecast',
+    biased.length === 4 && biased.every(errors => errors.length > 1 && errors.every(error => close(error, 1)))
+  ));
+  results.push(check('Too short a history has no errors', rollingOriginErrors([1, 2, 3, 4, 5], 2, () => [1, 1]) === null));
+
+  const history = Array.from({ length: 168 }, (_, hour) => ({
+    timestamp: new Date(Date.UTC(2024, 0, 1, hour)).toISOString(),
+    value: 30000 + 5000 * Math.sin((2 * Math.PI * hour) / 24) + 1000 * Math.sin(hour)
+  }));
+
+  const demand = await new EnergyDemandModel(new SeededRandom(3)).forecastDemand({ data: history, horizon: 24, country: 'GBR' });
+  results.push(check(
+    'Demand P10 <= value <= P90 at every step',
+    demand.forecast.every(point => point.quantiles.p10 <= point.value && point.value <= point.quantiles.p90)
+  ));
+  results.push(check(
+    'Demand P10 <= P50 <= P90 at every step',
+    demand.forecast.every(({ quantiles }) => quantiles.p10 <= quantiles.p50 && quantiles.p50 <= quantiles.p90)
+  ));
+
+  const short = await new EnergyDemandModel(new SeededRandom(3)).forecastDemand({ data: history.slice(0, 4), horizon: 6, country: 'GBR' });
+  results.push(check('Short demand history still gets a forecast', short.forecast.length === 6 && short.uncertainty === null));
+
+  const grid = await new GridLoadModel(new SeededRandom(3)).forecast(history, 24);
+  results.push(check(
+    'Grid load point forecast inside its 95% interval',
+    grid.forecast.every(({ predicted_value, prediction_interval }) =>
+      prediction_interval.lower <= predicted_value && predicted_value <= prediction_interval.upper
+    )
+  ));
+  results.push(check(
+    'Grid load half-width covers the interval',
+    grid.forecast.every(({ predicted_value, confidence_interval, prediction_interval }) =>
+      predicted_value - confidence_interval <= prediction_interval.lower &&
+        prediction_interval.upper <= predicted_value + confidence_interval
+    )
+  ));
+
+  return results.every(Boolean);
+}
+
+async function runAllTests() {
+  console.log('🚀 Starting Forecasting Model Unit Tests');
+  console.log('=' .repeat(60));
+
+  const testResults = [];
+
+  testResults.push({ name: 'ARIMA Fitting', passed: await testARIMAFitting() });
+  testResults.push({ name: 'ETS Fitting', passed: await testETSFitting() });
+  testResults.push({ name: 'Seeded Randomness', passed: await testSeededRandom() });
+  testResults.push({ name: 'Residual Bootstrap', passed: await testResidualBootstrap() });
+  testResults.push({ name: 'Probabilistic Metrics', passed: await testProbabilisticMetrics() });
+  testResults.push({ name: 'Forecast Bands', passed: await testForecastBands() });
+
+  console.log('\n' + '=' .repeat(60));
+  console.log('📊 TEST SUMMARY');
+  console.log('=' .repeat(60));
+
+  const passed = testResults.filter(result => result.passed).length;
+  const total = testResults.length;
+
+  testResults.forEach(result => {
+    console.log(`${result.passed ? '✅' : '❌'} ${result.name}`);
+  });
+
+  console.log('\n' + '-' .repeat(60));
+  console.log(`📈 Results: ${passed}/${total} tests passed`);
+
+  return passed === total;
+}
+
+// Run tests if called directly
+if (require.main === module) {
+  runAllTests().then(success => {
+    process.exit(success ? 0 : 1);
+  }).catch(error => {
+    console.error('❌ Test suite failed:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { runAllTests };
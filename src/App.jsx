@@ -23,6 +23,7 @@ import CountryProfile from './components/CountryProfile.jsx';
 import ESMAPSearch from './components/ESMAPSearch.jsx';
 import DataManagementDashboard from './components/DataManagement/DataManagementDashboard.jsx';
 import AuthManager, { UserProfile } from './components/auth/AuthManager.jsx';
+import authService from './services/authService.js';
 
 // Modern UI Components
 import ModernHeader from './components/modern/ModernHeader.jsx';
@@ -1731,16 +1732,15 @@ const App = () => {
       setUrlParams(params);
     };
 
-    // Check for existing user session
-    const savedUser = localStorage.getItem('esmap_user');
+    // Show the cached profile until AuthManager validates the session
+    const savedUser = authService.getStoredUser();
     if (savedUser) {
-      try {
-        const userData = JSON.parse(savedUser);
-        setUser(userData);
-      } catch (error) {
-        console.error('Error parsing saved user data:', error);
-        localStorage.removeItem('esmap_user');
-      }
+      setUser(savedUser);
+    }
+
+    // Password reset links land here with a reset token
+    if (new URLSearchParams(window.location.search).has('reset_token')) {
+      setShowAuth(true);
     }
 
     // Simulate initial loading
@@ -1783,8 +1783,8 @@ const App = () => {
     setShowAuth(false);
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('esmap_user');
+  const handleLogout = async () => {
+    await authService.logout();
     setUser(null);
   };
 
@@ -1,311 +1,262 @@
 /**
  * Data Validation Results Display
- * Shows validation results with error details and resolution options
+ * Review queue for records quarantined by ETL validation: inspect errors,
+ * edit and release records, reject them, or bulk-release by failing rule
  */
 
-import React, { useState, useEffect } from 'react';
-import { 
-  CheckCircle, 
-  AlertTriangle, 
-  XCircle, 
-  Info, 
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  CheckCircle,
+  AlertTriangle,
+  XCircle,
   RefreshCw,
   Download,
-  Filter,
   Search,
-  Calendar,
   FileText,
   Bug,
   Wrench,
-  AlertCircle
+  AlertCircle,
+  Save,
+  History
 } from 'lucide-react';
+import quarantineService from '../../services/quarantineService';
+
+const SOURCES = [
+  { id: 'world-bank', name: 'World Bank Open Data' },
+  { id: 'nasa-power', name: 'NASA POWER' },
+  { id: 'irena', name: 'IRENA Statistics' },
+  { id: 'esmap-hub', name: 'ESMAP Data Hub' },
+  { id: 'mtf-survey', name: 'Multi-Tier Framework Surveys' }
+];
+
+const PAGE_SIZE = 50;
+
+const getSourceName = (sourceId) => SOURCES.find(source => source.id === sourceId)?.name || sourceId;
+
+// Edited values come from text inputs; keep numbers and booleans typed
+const parseFieldValue = (text) => {
+  if (text === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+const formatFieldValue = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
 
 const DataValidationResults = () => {
-  const [validationResults, setValidationResults] = useState([]);
-  const [filteredResults, setFilteredResults] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState({ byStatus: [], pendingByRule: [] });
   const [filters, setFilters] = useState({
-    status: 'all',
-    severity: 'all',
-    source: 'all',
-    dateRange: '7d'
+    status: 'pending',
+    sourceId: '',
+    rule: ''
   });
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedResult, setSelectedResult] = useState(null);
+  const [selectedRecord, setSelectedRecord] = useState(null);
+  const [edits, setEdits] = useState({});
+  const [audit, setAudit] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
 
-  useEffect(() => {
-    fetchValidationResults();
-  }, []);
-
-  useEffect(() => {
-    applyFilters();
-  }, [validationResults, filters, searchTerm]);
-
-  const fetchValidationResults = async () => {
+  const fetchValidationResults = useCallback(async () => {
     try {
       setLoading(true);
-      
-      // Mock validation results data - in real implementation, fetch from API
-      const mockResults = [
-        {
-          id: 'val-001',
-          timestamp: new Date(Date.now() - 30 * 60 * 1000), // 30 min ago
-          source: 'World Bank API',
-          sourceId: 'world-bank-api',
-          dataType: 'energy_access',
-          status: 'failed',
-          totalRecords: 15680,
-          validRecords: 15425,
-          invalidRecords: 255,
-          errors: [
-            {
-              type: 'data_type_mismatch',
-              severity: 'high',
-              field: 'population',
-              message: 'Expected numeric value, found string "N/A" in 45 records',
-              affectedRecords: 45,
-              sampleValues: ['N/A', 'not available', 'unknown'],
-              suggestion: 'Convert string values to null or provide default numeric values',
-              autoFixable: true
-            },
-            {
-              type: 'missing_required_field',
-              severity: 'critical',
-              field: 'country_code',
-              message: 'Country code is missing in 120 records',
-              affectedRecords: 120,
-              suggestion: 'Map country names to ISO country codes using lookup table',
-              autoFixable: false
-            },
-            {
-              type: 'range_violation',
-              severity: 'medium',
-              field: 'access_rate',
-              message: 'Access rate values outside valid range (0-100) in 90 records',
-              affectedRecords: 90,
-              sampleValues: [105.2, 112.8, -5.3],
-              suggestion: 'Clamp values to valid range or mark as outliers for review',
-              autoFixable: true
-            }
-          ],
-          warnings: [
-            {
-              type: 'potential_duplicate',
-              severity: 'low',
-              message: '12 potential duplicate records detected based on country and year',
-              affectedRecords: 12,
-              suggestion: 'Review duplicate detection rules and merge or remove duplicates'
-            },
-            {
-              type: 'data_freshness',
-              severity: 'medium',
-              message: 'Data appears to be 6 months old, may need refresh',
-              suggestion: 'Check for more recent data availability'
-            }
-          ],
-          performance: {
-            validationTime: 2.3,
-            throughput: 6800,
-            memoryUsage: 45.2
-          }
-        },
-        {
-          id: 'val-002',
-          timestamp: new Date(Date.now() - 2 * 60 * 60 * 1000), // 2 hours ago
-          source: 'NASA POWER API',
-          sourceId: 'nasa-power-api',
-          dataType: 'climate_data',
-          status: 'passed',
-          totalRecords: 8945,
-          validRecords: 8943,
-          invalidRecords: 2,
-          errors: [],
-          warnings: [
-            {
-              type: 'minor_format_issue',
-              severity: 'low',
-              message: 'Date format inconsistency in 2 records (using MM/DD/YYYY instead of YYYY-MM-DD)',
-              affectedRecords: 2,
-              suggestion: 'Standardize date format across all records'
-            }
-          ],
-          performance: {
-            validationTime: 1.8,
-            throughput: 4969,
-            memoryUsage: 32.1
-          }
-        },
-        {
-          id: 'val-003',
-          timestamp: new Date(Date.now() - 4 * 60 * 60 * 1000), // 4 hours ago
-          source: 'IEA Energy Data',
-          sourceId: 'iea-data',
-          dataType: 'energy_statistics',
-          status: 'warning',
-          totalRecords: 12340,
-          validRecords: 12180,
-          invalidRecords: 160,
-          errors: [
-            {
-              type: 'encoding_issue',
-              severity: 'medium',
-              field: 'region_name',
-              message: 'Character encoding issues detected in region names',
-              affectedRecords: 85,
-              sampleValues: ['L�tin America', 'M�ddle East', 'Sub-Sah�ran Africa'],
-              suggestion: 'Re-encode data using UTF-8 or replace special characters',
-              autoFixable: true
-            }
-          ],
-          warnings: [
-            {
-              type: 'completeness_issue',
-              severity: 'medium',
-              message: '75 records missing energy consumption data for recent years',
-              affectedRecords: 75,
-              suggestion: 'Flag incomplete records and attempt data backfill'
-            }
-          ],
-          performance: {
-            validationTime: 3.1,
-            throughput: 3980,
-            memoryUsage: 58.7
-          }
-        }
-      ];
-
-      setValidationResults(mockResults);
+      setError(null);
+
+      const [list, quarantineSummary] = await Promise.all([
+        quarantineService.list({ ...filters, limit: PAGE_SIZE }),
+        quarantineService.getSummary()
+      ]);
+
+      setRecords(list.records);
+      setTotal(list.total);
+      setSummary(quarantineSummary);
     } catch (error) {
-      console.error('Failed to fetch validation results:', error);
+      console.error('Failed to fetch quarantined records:', error);
+      setError(error.message);
     } finally {
       setLoading(false);
     }
-  };
+  }, [filters]);
 
-  const applyFilters = () => {
-    let filtered = [...validationResults];
+  useEffect(() => {
+    fetchValidationResults();
+  }, [fetchValidationResults]);
 
-    // Filter by status
-    if (filters.status !== 'all') {
-      filtered = filtered.filter(result => result.status === filters.status);
-    }
+  const filteredRecords = records.filter(record => {
+    if (!searchTerm) return true;
+    const term = searchTerm.toLowerCase();
+    return (
+      record.record_id.toLowerCase().includes(term) ||
+      record.validation_errors.some(error => error.message.toLowerCase().includes(term)) ||
+      JSON.stringify(record.data).toLowerCase().includes(term)
+    );
+  });
 
-    // Filter by severity (check if any errors/warnings match severity)
-    if (filters.severity !== 'all') {
-      filtered = filtered.filter(result => 
-        result.errors.some(error => error.severity === filters.severity) ||
-        result.warnings.some(warning => warning.severity === filters.severity)
-      );
-    }
+  const countByStatus = (status) => summary.byStatus
+    .filter(row => row.status === status)
+    .reduce((sum, row) => sum + row.count, 0);
 
-    // Filter by source
-    if (filters.source !== 'all') {
-      filtered = filtered.filter(result => result.sourceId === filters.source);
+  const runAction = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      setError(null);
+      setNotice(null);
+      const result = await action();
+      if (successMessage) setNotice(typeof successMessage === 'function' ? successMessage(result) : successMessage);
+      return result;
+    } catch (error) {
+      setError(error.message);
+      return null;
+    } finally {
+      setBusy(false);
     }
+  };
 
-    // Filter by date range
-    const now = new Date();
-    const dateThreshold = new Date(now.getTime() - getDaysFromRange(filters.dateRange) * 24 * 60 * 60 * 1000);
-    filtered = filtered.filter(result => new Date(result.timestamp) >= dateThreshold);
-
-    // Apply search term
-    if (searchTerm) {
-      filtered = filtered.filter(result =>
-        result.source.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        result.dataType.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        result.errors.some(error => error.message.toLowerCase().includes(searchTerm.toLowerCase())) ||
-        result.warnings.some(warning => warning.message.toLowerCase().includes(searchTerm.toLowerCase()))
-      );
+  const toggleDetails = async (record) => {
+    if (selectedRecord === record.id) {
+      setSelectedRecord(null);
+      return;
     }
 
-    setFilteredResults(filtered);
+    setSelectedRecord(record.id);
+    setEdits({});
+    setAudit([]);
+
+    const detail = await runAction(() => quarantineService.getRecord(record.id));
+    if (detail) setAudit(detail.audit);
   };
 
-  const getDaysFromRange = (range) => {
-    switch (range) {
-      case '1d': return 1;
-      case '7d': return 7;
-      case '30d': return 30;
-      case '90d': return 90;
-      default: return 7;
+  const changedFields = (record) => Object.fromEntries(
+    Object.entries(edits)
+      .map(([field, text]) => [field, parseFieldValue(text)])
+      .filter(([field, value]) => JSON.stringify(value) !== JSON.stringify(record.data[field] ?? null))
+  );
+
+  const handleSaveEdits = async (record) => {
+    const updated = await runAction(
+      () => quarantineService.edit(record.id, changedFields(record)),
+      (result) => result.validation_errors.length === 0
+        ? 'Edits saved. The record now passes validation and can be released.'
+        : `Edits saved. ${result.validation_errors.length} validation error(s) remain.`
+    );
+    if (updated) {
+      setRecords(prev => prev.map(item => (item.id === record.id ? updated : item)));
+      setEdits({});
+      const detail = await quarantineService.getRecord(record.id);
+      setAudit(detail.audit);
     }
   };
 
-  const getStatusIcon = (status) => {
-    switch (status) {
-      case 'passed':
-        return <CheckCircle className="h-5 w-5 text-green-500" />;
-      case 'warning':
-        return <AlertTriangle className="h-5 w-5 text-yellow-500" />;
-      case 'failed':
-        return <XCircle className="h-5 w-5 text-red-500" />;
-      default:
-        return <Info className="h-5 w-5 text-gray-500" />;
+  const handleRelease = async (record, waiveRules) => {
+    const released = await runAction(
+      () => quarantineService.release(record.id, { data: changedFields(record), waiveRules }),
+      `Record ${record.record_id} released for re-ingestion.`
+    );
+    if (released) {
+      setSelectedRecord(null);
+      fetchValidationResults();
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'passed':
-        return 'text-green-600 bg-green-100';
-      case 'warning':
-        return 'text-yellow-600 bg-yellow-100';
-      case 'failed':
-        return 'text-red-600 bg-red-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
+  const handleReject = async (record) => {
+    const reason = window.prompt('Reason for rejecting this record:');
+    if (!reason) return;
+
+    const rejected = await runAction(
+      () => quarantineService.reject(record.id, reason),
+      `Record ${record.record_id} rejected.`
+    );
+    if (rejected) {
+      setSelectedRecord(null);
+      fetchValidationResults();
     }
   };
 
-  const getSeverityColor = (severity) => {
-    switch (severity) {
-      case 'critical':
-        return 'text-red-700 bg-red-100 border-red-200';
-      case 'high':
-        return 'text-red-600 bg-red-50 border-red-200';
-      case 'medium':
-        return 'text-yellow-600 bg-yellow-50 border-yellow-200';
-      case 'low':
-        return 'text-blue-600 bg-blue-50 border-blue-200';
-      default:
-        return 'text-gray-600 bg-gray-50 border-gray-200';
+  const handleBulkRelease = async ({ source_id: sourceId, rule, field }) => {
+    const preview = await runAction(() => quarantineService.bulkRelease({ rule, field, sourceId, dryRun: true }));
+    if (!preview) return;
+
+    if (preview.released.length === 0) {
+      setNotice(`No records fail only the ${rule} rule on ${field}; fix other errors first.`);
+      return;
     }
-  };
 
-  const handleAutoFix = async (resultId, errorIndex) => {
-    // Mock auto-fix functionality
-    console.log(`Auto-fixing error ${errorIndex} in result ${resultId}`);
-    alert('Auto-fix feature would be implemented here');
+    const confirmed = window.confirm(
+      `Release ${preview.released.length} record(s) from ${getSourceName(sourceId)} whose only failure is ` +
+      `the ${rule} rule on "${field}"? The rule will be waived for these records.`
+    );
+    if (!confirmed) return;
+
+    const result = await runAction(
+      () => quarantineService.bulkRelease({ rule, field, sourceId }),
+      (bulk) => `Released ${bulk.released.length} record(s)${bulk.skipped.length ? `, skipped ${bulk.skipped.length}` : ''}.`
+    );
+    if (result) fetchValidationResults();
   };
 
   const handleExportResults = () => {
-    const exportData = filteredResults.map(result => ({
-      timestamp: result.timestamp,
-      source: result.source,
-      status: result.status,
-      totalRecords: result.totalRecords,
-      validRecords: result.validRecords,
-      invalidRecords: result.invalidRecords,
-      errorCount: result.errors.length,
-      warningCount: result.warnings.length
+    const exportData = filteredRecords.map(record => ({
+      id: record.id,
+      recordId: record.record_id,
+      source: record.source_id,
+      status: record.status,
+      quarantinedAt: record.created_at,
+      errors: record.validation_errors,
+      warnings: record.validation_warnings,
+      data: record.data
     }));
 
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `validation-results-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = `quarantined-records-${new Date().toISOString().split('T')[0]}.json`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
-  if (loading) {
+  const getStatusIcon = (status) => {
+    switch (status) {
+      case 'released':
+        return <CheckCircle className="h-5 w-5 text-green-500" />;
+      case 'pending':
+        return <AlertTriangle className="h-5 w-5 text-yellow-500" />;
+      case 'rejected':
+        return <XCircle className="h-5 w-5 text-red-500" />;
+      default:
+        return <AlertCircle className="h-5 w-5 text-gray-500" />;
+    }
+  };
+
+  const getStatusColor = (status) => {
+    switch (status) {
+      case 'released':
+        return 'text-green-600 bg-green-100';
+      case 'pending':
+        return 'text-yellow-600 bg-yellow-100';
+      case 'rejected':
+        return 'text-red-600 bg-red-100';
+      default:
+        return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  if (loading && records.length === 0) {
     return (
       <div className="flex items-center justify-center h-64">
         <RefreshCw className="h-8 w-8 animate-spin text-blue-500" />
-        <span className="ml-2 text-gray-600">Loading validation results...</span>
+        <span className="ml-2 text-gray-600">Loading quarantined records...</span>
       </div>
     );
   }
@@ -317,19 +268,20 @@ const DataValidationResults = () => {
         <div>
           <h2 className="text-lg font-medium text-gray-900">Data Validation Results</h2>
           <p className="text-sm text-gray-500">
-            Review validation results and resolve data quality issues
+            Review records quarantined by validation: fix and release them, or reject them
           </p>
         </div>
-        
+
         <div className="flex items-center space-x-3">
           <button
             onClick={fetchValidationResults}
-            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            disabled={loading}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
           >
-            <RefreshCw className="h-4 w-4 mr-2" />
+            <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
             Refresh
           </button>
-          
+
           <button
             onClick={handleExportResults}
             className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
@@ -340,9 +292,22 @@ const DataValidationResults = () => {
         </div>
       </div>
 
+      {error && (
+        <div className="rounded-md bg-red-50 border border-red-200 p-4 text-sm text-red-700 flex items-center">
+          <XCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {notice && (
+        <div className="rounded-md bg-blue-50 border border-blue-200 p-4 text-sm text-blue-700 flex items-center">
+          <CheckCircle className="h-4 w-4 mr-2 flex-shrink-0" />
+          {notice}
+        </div>
+      )}
+
       {/* Filters and Search */}
       <div className="bg-white shadow rounded-lg p-4">
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Search</label>
             <div className="relative">
@@ -351,7 +316,7 @@ const DataValidationResults = () => {
                 type="text"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
-                placeholder="Search results..."
+                placeholder="Record ID, error or value..."
                 className="pl-10 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
               />
             </div>
@@ -364,53 +329,38 @@ const DataValidationResults = () => {
               onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
               className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
             >
+              <option value="pending">Pending review</option>
+              <option value="released">Released</option>
+              <option value="rejected">Rejected</option>
               <option value="all">All Status</option>
-              <option value="passed">Passed</option>
-              <option value="warning">Warning</option>
-              <option value="failed">Failed</option>
-            </select>
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Severity</label>
-            <select
-              value={filters.severity}
-              onChange={(e) => setFilters(prev => ({ ...prev, severity: e.target.value }))}
-              className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
-            >
-              <option value="all">All Severity</option>
-              <option value="critical">Critical</option>
-              <option value="high">High</option>
-              <option value="medium">Medium</option>
-              <option value="low">Low</option>
             </select>
           </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
             <select
-              value={filters.source}
-              onChange={(e) => setFilters(prev => ({ ...prev, source: e.target.value }))}
+              value={filters.sourceId}
+              onChange={(e) => setFilters(prev => ({ ...prev, sourceId: e.target.value }))}
               className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
             >
-              <option value="all">All Sources</option>
-              <option value="world-bank-api">World Bank API</option>
-              <option value="nasa-power-api">NASA POWER API</option>
-              <option value="iea-data">IEA Energy Data</option>
+              <option value="">All Sources</option>
+              {SOURCES.map(source => (
+                <option key={source.id} value={source.id}>{source.name}</option>
+              ))}
             </select>
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Time Range</label>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Failing Rule</label>
             <select
-              value={filters.dateRange}
-              onChange={(e) => setFilters(prev => ({ ...prev, dateRange: e.target.value }))}
+              value={filters.rule}
+              onChange={(e) => setFilters(prev => ({ ...prev, rule: e.target.value }))}
               className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm rounded-md"
             >
-              <option value="1d">Last 24 hours</option>
-              <option value="7d">Last 7 days</option>
-              <option value="30d">Last 30 days</option>
-              <option value="90d">Last 90 days</option>
+              <option value="">All Rules</option>
+              {['required', 'type', 'range', 'pattern', 'custom'].map(rule => (
+                <option key={rule} value={rule}>{rule}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -418,185 +368,131 @@ const DataValidationResults = () => {
 
       {/* Summary Statistics */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-        <div className="bg-white overflow-hidden shadow rounded-lg">
-          <div className="p-5">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <CheckCircle className="h-6 w-6 text-green-500" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Passed</dt>
-                  <dd className="text-lg font-medium text-gray-900">
-                    {filteredResults.filter(r => r.status === 'passed').length}
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-white overflow-hidden shadow rounded-lg">
-          <div className="p-5">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <AlertTriangle className="h-6 w-6 text-yellow-500" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Warnings</dt>
-                  <dd className="text-lg font-medium text-gray-900">
-                    {filteredResults.filter(r => r.status === 'warning').length}
-                  </dd>
-                </dl>
-              </div>
-            </div>
-          </div>
-        </div>
-
-        <div className="bg-white overflow-hidden shadow rounded-lg">
-          <div className="p-5">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <XCircle className="h-6 w-6 text-red-500" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Failed</dt>
-                  <dd className="text-lg font-medium text-gray-900">
-                    {filteredResults.filter(r => r.status === 'failed').length}
-                  </dd>
-                </dl>
+        {[
+          { label: 'Pending Review', value: countByStatus('pending'), icon: <AlertTriangle className="h-6 w-6 text-yellow-500" /> },
+          { label: 'Released', value: countByStatus('released'), icon: <CheckCircle className="h-6 w-6 text-green-500" /> },
+          { label: 'Rejected', value: countByStatus('rejected'), icon: <XCircle className="h-6 w-6 text-red-500" /> },
+          { label: 'Matching Records', value: total, icon: <FileText className="h-6 w-6 text-blue-500" /> }
+        ].map(card => (
+          <div key={card.label} className="bg-white overflow-hidden shadow rounded-lg">
+            <div className="p-5">
+              <div className="flex items-center">
+                <div className="flex-shrink-0">{card.icon}</div>
+                <div className="ml-5 w-0 flex-1">
+                  <dl>
+                    <dt className="text-sm font-medium text-gray-500 truncate">{card.label}</dt>
+                    <dd className="text-lg font-medium text-gray-900">{card.value.toLocaleString()}</dd>
+                  </dl>
+                </div>
               </div>
             </div>
           </div>
-        </div>
+        ))}
+      </div>
 
-        <div className="bg-white overflow-hidden shadow rounded-lg">
-          <div className="p-5">
-            <div className="flex items-center">
-              <div className="flex-shrink-0">
-                <FileText className="h-6 w-6 text-blue-500" />
-              </div>
-              <div className="ml-5 w-0 flex-1">
-                <dl>
-                  <dt className="text-sm font-medium text-gray-500 truncate">Total Results</dt>
-                  <dd className="text-lg font-medium text-gray-900">{filteredResults.length}</dd>
-                </dl>
+      {/* Failing rules with bulk release */}
+      {summary.pendingByRule.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-4">
+          <h3 className="text-md font-medium text-gray-900 mb-3">Failing Rules (pending records)</h3>
+          <div className="divide-y divide-gray-100">
+            {summary.pendingByRule.map(row => (
+              <div key={`${row.source_id}-${row.rule}-${row.field}`} className="flex items-center justify-between py-2">
+                <div className="flex items-center space-x-3 text-sm">
+                  <Bug className="h-4 w-4 text-red-500" />
+                  <span className="font-medium">{getSourceName(row.source_id)}</span>
+                  <span className="bg-gray-100 px-2 py-1 rounded">{row.rule}</span>
+                  <span className="text-gray-600">Field: {row.field}</span>
+                  <span className="text-gray-500">{row.count.toLocaleString()} records</span>
+                </div>
+                <button
+                  onClick={() => handleBulkRelease(row)}
+                  disabled={busy}
+                  className="inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Wrench className="h-3 w-3 mr-1" />
+                  Release by rule
+                </button>
               </div>
-            </div>
+            ))}
           </div>
         </div>
-      </div>
+      )}
 
-      {/* Validation Results List */}
+      {/* Quarantined Records List */}
       <div className="bg-white shadow overflow-hidden sm:rounded-md">
         <ul className="divide-y divide-gray-200">
-          {filteredResults.map((result) => (
-            <li key={result.id} className="px-4 py-6 sm:px-6">
+          {filteredRecords.map((record) => (
+            <li key={record.id} className="px-4 py-6 sm:px-6">
               <div className="flex items-center justify-between">
                 <div className="flex items-center min-w-0 flex-1">
                   <div className="flex-shrink-0">
-                    {getStatusIcon(result.status)}
+                    {getStatusIcon(record.status)}
                   </div>
-                  
+
                   <div className="ml-4 min-w-0 flex-1">
                     <div className="flex items-center space-x-3">
-                      <p className="text-lg font-medium text-gray-900">
-                        {result.source} - {result.dataType}
+                      <p className="text-lg font-medium text-gray-900 truncate">
+                        {getSourceName(record.source_id)} - {record.record_id}
                       </p>
-                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(result.status)}`}>
-                        {result.status}
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(record.status)}`}>
+                        {record.status}
                       </span>
                     </div>
-                    
+
                     <div className="mt-2 flex items-center space-x-6 text-sm text-gray-500">
-                      <span>{result.totalRecords.toLocaleString()} total records</span>
-                      <span className="text-green-600">{result.validRecords.toLocaleString()} valid</span>
-                      {result.invalidRecords > 0 && (
-                        <span className="text-red-600">{result.invalidRecords.toLocaleString()} invalid</span>
-                      )}
-                      <span>{result.errors.length} errors</span>
-                      <span>{result.warnings.length} warnings</span>
-                      <span>{result.timestamp.toLocaleString()}</span>
+                      <span className="text-red-600">{record.validation_errors.length} errors</span>
+                      <span>{record.validation_warnings.length} warnings</span>
+                      {record.quality_score != null && <span>Quality: {Math.round(record.quality_score * 100)}%</span>}
+                      {record.job_id && <span>Job: {record.job_id}</span>}
+                      <span>{new Date(record.created_at).toLocaleString()}</span>
                     </div>
 
-                    {/* Performance Metrics */}
-                    <div className="mt-2 flex items-center space-x-6 text-xs text-gray-400">
-                      <span>Validation: {result.performance.validationTime}s</span>
-                      <span>Throughput: {result.performance.throughput.toLocaleString()} rec/s</span>
-                      <span>Memory: {result.performance.memoryUsage}MB</span>
-                    </div>
+                    {record.resolution_note && (
+                      <div className="mt-2 text-xs text-gray-400">Note: {record.resolution_note}</div>
+                    )}
                   </div>
                 </div>
-                
+
                 <div className="flex items-center space-x-2">
                   <button
-                    onClick={() => setSelectedResult(selectedResult === result.id ? null : result.id)}
+                    onClick={() => toggleDetails(record)}
                     className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
                   >
-                    {selectedResult === result.id ? 'Hide Details' : 'Show Details'}
+                    {selectedRecord === record.id ? 'Hide Details' : 'Review'}
                   </button>
                 </div>
               </div>
 
-              {/* Detailed Results */}
-              {selectedResult === result.id && (
-                <div className="mt-6 pl-9">
+              {/* Record review */}
+              {selectedRecord === record.id && (
+                <div className="mt-6 pl-9 space-y-6">
                   {/* Errors */}
-                  {result.errors.length > 0 && (
-                    <div className="mb-6">
+                  {record.validation_errors.length > 0 && (
+                    <div>
                       <h4 className="text-md font-medium text-gray-900 mb-3">
-                        Errors ({result.errors.length})
+                        Errors ({record.validation_errors.length})
                       </h4>
                       <div className="space-y-3">
-                        {result.errors.map((error, index) => (
-                          <div key={index} className={`border rounded-lg p-4 ${getSeverityColor(error.severity)}`}>
-                            <div className="flex items-start justify-between">
-                              <div className="flex-1">
-                                <div className="flex items-center space-x-2 mb-2">
-                                  <Bug className="h-4 w-4" />
-                                  <span className="font-medium capitalize">{error.type.replace('_', ' ')}</span>
-                                  {error.field && (
-                                    <span className="text-sm bg-gray-100 px-2 py-1 rounded">
-                                      Field: {error.field}
-                                    </span>
-                                  )}
-                                  <span className={`text-xs px-2 py-1 rounded-full font-medium ${getSeverityColor(error.severity)}`}>
-                                    {error.severity}
-                                  </span>
-                                </div>
-                                
-                                <p className="text-sm mb-2">{error.message}</p>
-                                
-                                {error.sampleValues && (
-                                  <div className="mb-2">
-                                    <span className="text-xs font-medium">Sample values: </span>
-                                    <span className="text-xs font-mono bg-gray-100 px-1 rounded">
-                                      {error.sampleValues.join(', ')}
-                                    </span>
-                                  </div>
-                                )}
-                                
-                                <div className="text-xs text-gray-600 mb-2">
-                                  Affected: {error.affectedRecords.toLocaleString()} records
-                                </div>
-                                
-                                <div className="text-sm">
-                                  <span className="font-medium">Suggestion:</span> {error.suggestion}
-                                </div>
+                        {record.validation_errors.map((error, index) => (
+                          <div key={index} className="border rounded-lg p-4 text-red-600 bg-red-50 border-red-200">
+                            <div className="flex items-center justify-between">
+                              <div className="flex items-center space-x-2">
+                                <Bug className="h-4 w-4" />
+                                <span className="font-medium capitalize">{error.rule}</span>
+                                <span className="text-sm bg-gray-100 px-2 py-1 rounded">Field: {error.field}</span>
+                                <span className="text-xs font-mono bg-gray-100 px-1 rounded">{formatFieldValue(error.value) || 'empty'}</span>
                               </div>
-                              
-                              {error.autoFixable && (
+                              {record.status === 'pending' && (
                                 <button
-                                  onClick={() => handleAutoFix(result.id, index)}
-                                  className="ml-4 inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded text-white bg-blue-600 hover:bg-blue-700"
+                                  onClick={() => handleRelease(record, [error.rule])}
+                                  disabled={busy}
+                                  className="ml-4 inline-flex items-center px-3 py-1 border border-transparent text-xs font-medium rounded text-white bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50"
                                 >
-                                  <Wrench className="h-3 w-3 mr-1" />
-                                  Auto Fix
+                                  Waive &amp; release
                                 </button>
                               )}
                             </div>
+                            <p className="text-sm mt-2">{error.message}</p>
                           </div>
                         ))}
                       </div>
@@ -604,35 +500,20 @@ const DataValidationResults = () => {
                   )}
 
                   {/* Warnings */}
-                  {result.warnings.length > 0 && (
+                  {record.validation_warnings.length > 0 && (
                     <div>
                       <h4 className="text-md font-medium text-gray-900 mb-3">
-                        Warnings ({result.warnings.length})
+                        Warnings ({record.validation_warnings.length})
                       </h4>
                       <div className="space-y-3">
-                        {result.warnings.map((warning, index) => (
-                          <div key={index} className={`border rounded-lg p-4 ${getSeverityColor(warning.severity)}`}>
+                        {record.validation_warnings.map((warning, index) => (
+                          <div key={index} className="border rounded-lg p-4 text-yellow-600 bg-yellow-50 border-yellow-200">
                             <div className="flex items-start space-x-2">
                               <AlertCircle className="h-4 w-4 mt-0.5" />
                               <div className="flex-1">
-                                <div className="flex items-center space-x-2 mb-2">
-                                  <span className="font-medium capitalize">{warning.type.replace('_', ' ')}</span>
-                                  <span className={`text-xs px-2 py-1 rounded-full font-medium ${getSeverityColor(warning.severity)}`}>
-                                    {warning.severity}
-                                  </span>
-                                </div>
-                                
-                                <p className="text-sm mb-2">{warning.message}</p>
-                                
-                                {warning.affectedRecords && (
-                                  <div className="text-xs text-gray-600 mb-2">
-                                    Affected: {warning.affectedRecords.toLocaleString()} records
-                                  </div>
-                                )}
-                                
-                                <div className="text-sm">
-                                  <span className="font-medium">Suggestion:</span> {warning.suggestion}
-                                </div>
+                                <span className="font-medium capitalize">{warning.rule}</span>
+                                <span className="ml-2 text-sm">Field: {warning.field}</span>
+                                <p className="text-sm mt-1">{warning.message}</p>
                               </div>
                             </div>
                           </div>
@@ -640,19 +521,97 @@ const DataValidationResults = () => {
                       </div>
                     </div>
                   )}
+
+                  {/* Record data editor */}
+                  <div>
+                    <h4 className="text-md font-medium text-gray-900 mb-3">Record Data</h4>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                      {Object.entries(record.data).map(([field, value]) => (
+                        <div key={field}>
+                          <label className="block text-xs font-medium text-gray-500 mb-1">{field}</label>
+                          <input
+                            type="text"
+                            disabled={record.status !== 'pending'}
+                            value={edits[field] ?? formatFieldValue(value)}
+                            onChange={(e) => setEdits(prev => ({ ...prev, [field]: e.target.value }))}
+                            className={`block w-full border-gray-300 rounded-md shadow-sm sm:text-sm ${
+                              record.validation_errors.some(error => error.field === field) ? 'border-red-300 bg-red-50' : ''
+                            }`}
+                          />
+                        </div>
+                      ))}
+                    </div>
+
+                    {record.status === 'pending' && (
+                      <div className="mt-4 flex items-center space-x-3">
+                        <button
+                          onClick={() => handleSaveEdits(record)}
+                          disabled={busy || Object.keys(changedFields(record)).length === 0}
+                          className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm leading-4 font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          <Save className="h-4 w-4 mr-2" />
+                          Save edits
+                        </button>
+                        <button
+                          onClick={() => handleRelease(record)}
+                          disabled={busy}
+                          className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                        >
+                          <CheckCircle className="h-4 w-4 mr-2" />
+                          Release
+                        </button>
+                        <button
+                          onClick={() => handleReject(record)}
+                          disabled={busy}
+                          className="inline-flex items-center px-3 py-2 border border-transparent shadow-sm text-sm leading-4 font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+                        >
+                          <XCircle className="h-4 w-4 mr-2" />
+                          Reject
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Audit trail */}
+                  <div>
+                    <h4 className="text-md font-medium text-gray-900 mb-3 flex items-center">
+                      <History className="h-4 w-4 mr-2" />
+                      Audit Trail
+                    </h4>
+                    {audit.length === 0 ? (
+                      <p className="text-sm text-gray-500">No review actions yet.</p>
+                    ) : (
+                      <ul className="space-y-2 text-sm">
+                        {audit.map(entry => (
+                          <li key={entry.id} className="flex items-start space-x-3">
+                            <span className="text-gray-400 whitespace-nowrap">{new Date(entry.created_at).toLocaleString()}</span>
+                            <span className="font-medium capitalize">{entry.action}</span>
+                            <span className="text-gray-600">by user #{entry.user_id}</span>
+                            {entry.details.changes && Object.keys(entry.details.changes).length > 0 && (
+                              <span className="text-gray-500">
+                                changed {Object.keys(entry.details.changes).join(', ')}
+                              </span>
+                            )}
+                            {entry.details.reason && <span className="text-gray-500">{entry.details.reason}</span>}
+                            {entry.details.bulk && <span className="text-gray-500">bulk release ({entry.details.rule})</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
                 </div>
               )}
             </li>
           ))}
-          
-          {filteredResults.length === 0 && (
+
+          {filteredRecords.length === 0 && (
             <li className="px-4 py-12 text-center">
               <CheckCircle className="mx-auto h-12 w-12 text-gray-400" />
-              <h3 className="mt-2 text-sm font-medium text-gray-900">No validation results found</h3>
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No quarantined records found</h3>
               <p className="mt-1 text-sm text-gray-500">
-                {searchTerm || filters.status !== 'all' || filters.severity !== 'all' || filters.source !== 'all'
+                {searchTerm || filters.sourceId || filters.rule
                   ? 'Try adjusting your filters or search terms.'
-                  : 'No validation results available for the selected time range.'
+                  : 'Records that fail validation during ETL will appear here for review.'
                 }
               </p>
             </li>
@@ -663,4 +622,4 @@ const DataValidationResults = () => {
   );
 };
 
-export default DataValidationResults;
\ No newline at end of file
+export default DataValidationResults;
@@ -18,8 +18,54 @@ import {
   Calendar,
   MapPin,
   Tag,
-  Users
+  Users,
+  RotateCcw
 } from 'lucide-react';
+import storageService from '../../services/storageService';
+
+const ACCEPTED_EXTENSIONS = ['.csv', '.tsv', '.json', '.geojson', '.xlsx', '.xls', '.zip'];
+const PREVIEWABLE_EXTENSIONS = ['.csv', '.tsv', '.json', '.xlsx'];
+const PREVIEW_ROWS = 5;
+const MAX_UPLOAD_SIZE = 5 * 1024 * 1024 * 1024; // 5GB; files are sent in resumable parts
+
+// Storage category each data type is filed under
+const DATA_TYPE_CATEGORIES = {
+  energy_statistics: 'energy-data',
+  energy_access: 'survey-data',
+  renewable_energy: 'energy-data',
+  country_statistics: 'energy-data',
+  infrastructure_data: 'geospatial',
+  emissions_data: 'climate-data',
+  economic_indicators: 'energy-data'
+};
+
+// Fields of the ETL target records that file columns can be mapped onto
+const ETL_TARGET_FIELDS = [
+  'country',
+  'countryName',
+  'region',
+  'year',
+  'date',
+  'indicatorCode',
+  'indicatorName',
+  'value',
+  'unit',
+  'technology',
+  'installedCapacityMW',
+  'generationGWh',
+  'latitude',
+  'longitude'
+];
+
+const normalizeName = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Columns named like an ETL field start out mapped to it
+const suggestMapping = (columns) => Object.fromEntries(columns.map(column => [
+  column.name,
+  ETL_TARGET_FIELDS.find(field => normalizeName(field) === normalizeName(column.name)) || ''
+]));
+
+const formatStatistic = (value) => (value === undefined || value === null ? '—' : String(value));
 
 const ManualDataUpload = () => {
   const [uploadState, setUploadState] = useState({
@@ -27,7 +73,10 @@ const ManualDataUpload = () => {
     dragActive: false,
     uploading: false,
     currentStep: 1,
-    uploadProgress: 0
+    uploadProgress: 0,
+    uploadError: null,
+    processing: false,
+    processError: null
   });
   
   const [uploadConfig, setUploadConfig] = useState({
@@ -109,14 +158,10 @@ const ManualDataUpload = () => {
   };
 
   const handleFiles = (files) => {
+    // Browsers often report an empty or generic type for these formats, so go by extension
     const validFiles = files.filter(file => {
-      const validTypes = [
-        'text/csv',
-        'application/json',
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-      ];
-      return validTypes.includes(file.type) && file.size <= 100 * 1024 * 1024; // 100MB limit
+      const name = file.name.toLowerCase();
+      return ACCEPTED_EXTENSIONS.some(extension => name.endsWith(extension)) && file.size <= MAX_UPLOAD_SIZE;
     });
 
     const processedFiles = validFiles.map(file => ({
@@ -126,13 +171,34 @@ const ManualDataUpload = () => {
       size: file.size,
       type: file.type,
       preview: null,
-      validation: null
+      previewError: null,
+      mapping: {},
+      resumable: null
     }));
 
     setUploadState(prev => ({
       ...prev,
       files: [...prev.files, ...processedFiles]
     }));
+
+    // Flag files with an unfinished upload from an earlier attempt
+    processedFiles.forEach(async (processed) => {
+      try {
+        const resumable = await storageService.findResumableUpload(processed.file);
+        if (resumable) {
+          updateFile(processed.id, { resumable });
+        }
+      } catch (error) {
+        console.warn('Could not check for a resumable upload:', error);
+      }
+    });
+  };
+
+  const updateFile = (fileId, changes) => {
+    setUploadState(prev => ({
+      ...prev,
+      files: prev.files.map(f => (f.id === fileId ? { ...f, ...changes } : f))
+    }));
   };
 
   const removeFile = (fileId) => {
@@ -142,66 +208,197 @@ const ManualDataUpload = () => {
     }));
   };
 
-  const validateFiles = async () => {
-    setUploadState(prev => ({ ...prev, currentStep: 2 }));
-    
-    // Mock validation process
-    const mockValidation = {
-      isValid: true,
-      totalRecords: 12450,
-      validRecords: 12380,
-      invalidRecords: 70,
-      warnings: [
-        'Missing values in 45 records for "renewable_capacity" field',
-        'Date format inconsistencies in 25 records'
-      ],
-      errors: [
-        'Invalid country codes in 3 records: "XYZ", "ABC", "DEF"'
-      ],
-      suggestions: [
-        'Consider using ISO country codes for better data consistency',
-        'Add data dictionary for renewable energy capacity units'
-      ]
+  const setColumnTarget = (fileId, column, target) => {
+    setUploadState(prev => ({
+      ...prev,
+      files: prev.files.map(f => (f.id === fileId ? { ...f, mapping: { ...f.mapping, [column]: target } } : f))
+    }));
+  };
+
+  /**
+   * Summarize the inferred schemas for review before the data goes to the ETL pipeline
+   */
+  const summarizePreviews = (files) => {
+    const previews = files.filter(f => f.preview);
+    const errors = files
+      .filter(f => f.previewError)
+      .map(f => `${f.name}: ${f.previewError}`);
+    const warnings = [];
+    const suggestions = [];
+
+    previews.forEach(({ name, preview, mapping }) => {
+      preview.columns
+        .filter(column => column.nullCount > 0)
+        .forEach(column => warnings.push(`${name}: ${column.nullCount} missing values in "${column.name}"`));
+      if (!preview.complete) {
+        warnings.push(`${name}: statistics cover the first ${preview.rowsScanned.toLocaleString()} rows only`);
+      }
+      if (!Object.values(mapping).some(Boolean)) {
+        suggestions.push(`${name}: map columns to ETL fields so the pipeline can load them`);
+      }
+    });
+
+    return {
+      isValid: errors.length === 0,
+      totalRecords: previews.reduce((sum, f) => sum + f.preview.rowsScanned, 0),
+      totalColumns: previews.reduce((sum, f) => sum + f.preview.columns.length, 0),
+      columnsWithNulls: previews.reduce((sum, f) => sum + f.preview.columns.filter(column => column.nullCount > 0).length, 0),
+      warnings,
+      errors,
+      suggestions
     };
+  };
 
-    setTimeout(() => {
-      setValidationResults(mockValidation);
-    }, 2000);
+  const resetUpload = () => {
+    setUploadState({
+      files: [],
+      dragActive: false,
+      uploading: false,
+      currentStep: 1,
+      uploadProgress: 0,
+      uploadError: null,
+      processing: false,
+      processError: null
+    });
+    setValidationResults(null);
   };
 
+  /**
+   * Store the files, then preview the tabular ones so their columns can be checked and mapped
+   */
   const performUpload = async () => {
-    setUploadState(prev => ({ ...prev, uploading: true, currentStep: 3 }));
-    
-    // Mock upload process
-    for (let i = 0; i <= 100; i += 10) {
-      await new Promise(resolve => setTimeout(resolve, 500));
-      setUploadState(prev => ({ ...prev, uploadProgress: i }));
+    setUploadState(prev => ({ ...prev, uploading: true, currentStep: 2, uploadError: null }));
+    setValidationResults(null);
+
+    const files = uploadState.files;
+    const totalBytes = files.reduce((sum, f) => sum + f.size, 0) || 1;
+    const tags = {
+      dataType: uploadConfig.dataType,
+      priority: uploadConfig.priority
+    };
+    const metadata = Object.fromEntries(Object.entries({
+      geographicScope: uploadConfig.geographicScope,
+      temporalScope: uploadConfig.temporalScope,
+      description: uploadConfig.description
+    }).filter(([, value]) => value));
+
+    const storedFiles = {};
+    let completedBytes = 0;
+    for (const entry of files) {
+      // Files finished in an earlier attempt are not sent again
+      if (entry.uploaded) {
+        storedFiles[entry.id] = entry.uploaded;
+        completedBytes += entry.size;
+        continue;
+      }
+
+      try {
+        const stored = await storageService.uploadResumable(
+          entry.file,
+          { category: DATA_TYPE_CATEGORIES[uploadConfig.dataType] || 'energy-data', tags, metadata },
+          ({ bytesUploaded }) => {
+            setUploadState(prev => ({
+              ...prev,
+              uploadProgress: Math.floor(((completedBytes + bytesUploaded) / totalBytes) * 100)
+            }));
+          }
+        );
+        completedBytes += entry.size;
+        storedFiles[entry.id] = stored;
+        updateFile(entry.id, { uploaded: stored, resumable: null });
+      } catch (error) {
+        console.error('Upload failed:', error);
+        setUploadState(prev => ({
+          ...prev,
+          uploading: false,
+          uploadError: { fileId: entry.id, filename: entry.name, message: error.message }
+        }));
+        return;
+      }
     }
-    
-    // Add to upload history
-    const newUpload = {
-      id: uploadHistory.length + 1,
-      filename: uploadState.files[0]?.name || 'unknown_file',
+
+    const previewed = await Promise.all(files.map(async (entry) => {
+      const uploaded = storedFiles[entry.id];
+      const name = entry.name.toLowerCase();
+      if (!PREVIEWABLE_EXTENSIONS.some(extension => name.endsWith(extension))) {
+        return { ...entry, uploaded, resumable: null };
+      }
+
+      try {
+        const preview = await storageService.previewFile(uploaded.id, { rows: PREVIEW_ROWS });
+        return {
+          ...entry,
+          uploaded,
+          resumable: null,
+          preview,
+          previewError: null,
+          mapping: preview.mappings
+            ? Object.fromEntries(preview.mappings.map(m => [m.sourceField, m.targetField]))
+            : suggestMapping(preview.columns)
+        };
+      } catch (error) {
+        return { ...entry, uploaded, resumable: null, preview: null, previewError: error.message };
+      }
+    }));
+
+    setUploadState(prev => ({ ...prev, files: previewed, uploading: false, uploadProgress: 100 }));
+    setValidationResults(summarizePreviews(previewed));
+  };
+
+  /**
+   * Save each file's column mapping with its schema, handing the data over to the ETL pipeline
+   */
+  const processUpload = async () => {
+    setUploadState(prev => ({ ...prev, currentStep: 3, processing: true, processError: null }));
+
+    const files = uploadState.files;
+    try {
+      for (const entry of files.filter(f => f.preview)) {
+        const mappings = Object.entries(entry.mapping)
+          .filter(([, targetField]) => targetField)
+          .map(([sourceField, targetField]) => ({ sourceField, targetField }));
+        await storageService.setColumnMappings(entry.uploaded.id, mappings);
+      }
+    } catch (error) {
+      console.error('Saving column mappings failed:', error);
+      setUploadState(prev => ({ ...prev, currentStep: 2, processing: false, processError: error.message }));
+      return;
+    }
+
+    const newUploads = files.map((entry, index) => ({
+      id: uploadHistory.length + files.length - index,
+      filename: entry.name,
       uploadedBy: 'current_user@esmap.org',
       uploadedAt: new Date(),
       status: 'completed',
-      recordsProcessed: validationResults?.validRecords || 0,
+      recordsProcessed: entry.preview?.rowsScanned || 0,
       dataType: uploadConfig.dataType,
-      size: formatFileSize(uploadState.files[0]?.size || 0),
+      size: formatFileSize(entry.size),
       validationPassed: validationResults?.isValid || false
-    };
-    
-    setUploadHistory(prev => [newUpload, ...prev]);
-    
-    // Reset form
-    setUploadState({
-      files: [],
-      dragActive: false,
-      uploading: false,
-      currentStep: 1,
-      uploadProgress: 0
-    });
-    setValidationResults(null);
+    }));
+
+    setUploadHistory(prev => [...newUploads, ...prev]);
+    setUploadState(prev => ({ ...prev, processing: false }));
+  };
+
+  /**
+   * Give up on the failed file: the server discards its parts and the
+   * remaining files are sent without it
+   */
+  const abortFailedUpload = async () => {
+    const failed = uploadState.files.find(f => f.id === uploadState.uploadError?.fileId);
+    if (failed) {
+      try {
+        const session = await storageService.findResumableUpload(failed.file);
+        if (session) {
+          await storageService.abortUpload(session.id);
+        }
+      } catch (error) {
+        console.warn('Could not abort the upload:', error);
+      }
+    }
+
+    resetUpload();
   };
 
   const formatFileSize = (bytes) => {
@@ -248,7 +445,7 @@ const ManualDataUpload = () => {
               <ol className="flex items-center">
                 {[
                   { id: 1, name: 'Upload Files', status: uploadState.currentStep > 1 ? 'complete' : uploadState.currentStep === 1 ? 'current' : 'upcoming' },
-                  { id: 2, name: 'Validation', status: uploadState.currentStep > 2 ? 'complete' : uploadState.currentStep === 2 ? 'current' : 'upcoming' },
+                  { id: 2, name: 'Preview & Map', status: uploadState.currentStep > 2 ? 'complete' : uploadState.currentStep === 2 ? 'current' : 'upcoming' },
                   { id: 3, name: 'Process', status: uploadState.currentStep === 3 ? 'current' : 'upcoming' }
                 ].map((step, stepIdx) => (
                   <li key={step.name} className={`${stepIdx !== 2 ? 'pr-8 sm:pr-20' : ''} relative`}>
@@ -369,14 +566,14 @@ const ManualDataUpload = () => {
                         type="file"
                         className="sr-only"
                         multiple
-                        accept=".csv,.json,.xlsx,.xls"
+                        accept={ACCEPTED_EXTENSIONS.join(',')}
                         onChange={handleFileSelect}
                       />
                     </label>
                     <p className="pl-1">or drag and drop</p>
                   </div>
                   <p className="text-xs text-gray-500">
-                    CSV, JSON, Excel files up to 100MB
+                    CSV, TSV, JSON, GeoJSON, Excel or ZIP files up to 5GB
                   </p>
                 </div>
               </div>
@@ -392,6 +589,11 @@ const ManualDataUpload = () => {
                         <div>
                           <p className="text-sm font-medium text-gray-900">{file.name}</p>
                           <p className="text-xs text-gray-500">{formatFileSize(file.size)}</p>
+                          {file.resumable && (
+                            <p className="text-xs text-blue-600">
+                              Earlier upload found: resumes from {Math.floor(file.resumable.progress * 100)}%
+                            </p>
+                          )}
                         </div>
                       </div>
                       <button
@@ -415,27 +617,90 @@ const ManualDataUpload = () => {
                   Clear All
                 </button>
                 <button
-                  onClick={validateFiles}
+                  onClick={performUpload}
                   disabled={uploadState.files.length === 0}
                   className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  Validate & Continue
+                  Upload & Preview
                 </button>
               </div>
             </div>
           )}
 
-          {/* Step 2: Validation Results */}
+          {/* Step 2: Preview & Column Mapping */}
           {uploadState.currentStep === 2 && (
             <div className="space-y-6">
-              {!validationResults ? (
+              {uploadState.uploading ? (
+                <div className="text-center py-12">
+                  <div className="w-32 h-32 mx-auto mb-6">
+                    <div className="relative w-full h-full">
+                      <svg className="w-full h-full transform -rotate-90" viewBox="0 0 36 36">
+                        <path
+                          className="text-gray-300"
+                          d="M18 2.0845
+                            a 15.9155 15.9155 0 0 1 0 31.831
+                            a 15.9155 15.9155 0 0 1 0 -31.831"
+                          fill="none"
+                          stroke="currentColor"
+                          strokeWidth="2"
+                        />
+                        <path
+                          className="text-blue-600"
+                          d="M18 2.0845
+                            a 15.9155 15.9155 0 0 1 0 31.831
+                            a 15.9155 15.9155 0 0 1 0 -31.831"
+                          fill="none"
+                          stroke="currentColor"
+                          strokeWidth="2"
+                          strokeDasharray={`${uploadState.uploadProgress}, 100`}
+                        />
+                      </svg>
+                      <div className="absolute inset-0 flex items-center justify-center">
+                        <span className="text-2xl font-bold text-gray-900">
+                          {uploadState.uploadProgress}%
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Uploading Files</h3>
+                  <p className="text-sm text-gray-600">
+                    Previews of tabular files are shown once every file is stored.
+                  </p>
+                </div>
+              ) : uploadState.uploadError ? (
+                <div className="text-center py-12">
+                  <AlertTriangle className="mx-auto h-16 w-16 text-red-500 mb-4" />
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">Upload Interrupted</h3>
+                  <p className="text-sm text-gray-600 mb-1">
+                    {uploadState.uploadError.filename} stopped at {uploadState.uploadProgress}%: {uploadState.uploadError.message}
+                  </p>
+                  <p className="text-sm text-gray-600 mb-6">
+                    Parts already received are kept, so resuming continues where it left off.
+                  </p>
+                  <div className="flex justify-center space-x-3">
+                    <button
+                      onClick={abortFailedUpload}
+                      className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                      Abort Upload
+                    </button>
+                    <button
+                      onClick={performUpload}
+                      className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-2" />
+                      Resume Upload
+                    </button>
+                  </div>
+                </div>
+              ) : !validationResults ? (
                 <div className="text-center py-12">
                   <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-                  <p className="mt-4 text-sm text-gray-600">Validating uploaded data...</p>
+                  <p className="mt-4 text-sm text-gray-600">Reading file previews...</p>
                 </div>
               ) : (
                 <div className="space-y-6">
-                  {/* Validation Summary */}
+                  {/* Schema Summary */}
                   <div className="bg-white border border-gray-200 rounded-lg p-6">
                     <div className="flex items-center space-x-3 mb-4">
                       {validationResults.isValid ? (
@@ -444,34 +709,124 @@ const ManualDataUpload = () => {
                         <AlertTriangle className="h-6 w-6 text-red-500" />
                       )}
                       <h3 className="text-lg font-medium text-gray-900">
-                        Validation {validationResults.isValid ? 'Passed' : 'Failed'}
+                        {validationResults.isValid ? 'Files Ready for Review' : 'Some Files Could Not Be Read'}
                       </h3>
                     </div>
                     
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                      <div className="text-center p-4 bg-green-50 rounded-lg">
-                        <div className="text-2xl font-bold text-green-600">
-                          {validationResults.validRecords.toLocaleString()}
+                      <div className="text-center p-4 bg-blue-50 rounded-lg">
+                        <div className="text-2xl font-bold text-blue-600">
+                          {validationResults.totalRecords.toLocaleString()}
                         </div>
-                        <div className="text-sm text-green-700">Valid Records</div>
+                        <div className="text-sm text-blue-700">Rows Scanned</div>
                       </div>
                       
-                      <div className="text-center p-4 bg-red-50 rounded-lg">
-                        <div className="text-2xl font-bold text-red-600">
-                          {validationResults.invalidRecords.toLocaleString()}
+                      <div className="text-center p-4 bg-green-50 rounded-lg">
+                        <div className="text-2xl font-bold text-green-600">
+                          {validationResults.totalColumns.toLocaleString()}
                         </div>
-                        <div className="text-sm text-red-700">Invalid Records</div>
+                        <div className="text-sm text-green-700">Columns</div>
                       </div>
                       
-                      <div className="text-center p-4 bg-blue-50 rounded-lg">
-                        <div className="text-2xl font-bold text-blue-600">
-                          {validationResults.totalRecords.toLocaleString()}
+                      <div className="text-center p-4 bg-yellow-50 rounded-lg">
+                        <div className="text-2xl font-bold text-yellow-600">
+                          {validationResults.columnsWithNulls.toLocaleString()}
                         </div>
-                        <div className="text-sm text-blue-700">Total Records</div>
+                        <div className="text-sm text-yellow-700">Columns With Missing Values</div>
                       </div>
                     </div>
                   </div>
 
+                  {/* File Previews */}
+                  {uploadState.files.filter(file => file.preview).map((file) => {
+                    const usedTargets = Object.values(file.mapping).filter(Boolean);
+                    return (
+                      <div key={file.id} className="border border-gray-200 rounded-lg">
+                        <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+                          <div className="flex items-center space-x-2">
+                            <Eye className="h-5 w-5 text-gray-400" />
+                            <h4 className="text-sm font-medium text-gray-900">{file.name}</h4>
+                          </div>
+                          <span className="text-xs text-gray-500">
+                            {file.preview.format.toUpperCase()}
+                            {file.preview.sheet && ` · sheet "${file.preview.sheet}"`}
+                            {` · ${file.preview.rowsScanned.toLocaleString()} rows scanned`}
+                          </span>
+                        </div>
+
+                        {/* Inferred schema and column mapping */}
+                        <div className="overflow-x-auto">
+                          <table className="min-w-full divide-y divide-gray-200 text-sm">
+                            <thead className="bg-gray-50">
+                              <tr>
+                                {['Column', 'Type', 'Missing', 'Min', 'Max', 'Maps To'].map(heading => (
+                                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{heading}</th>
+                                ))}
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                              {file.preview.columns.map(column => (
+                                <tr key={column.name}>
+                                  <td className="px-4 py-2 font-medium text-gray-900">{column.name}</td>
+                                  <td className="px-4 py-2 text-gray-600">{column.type}</td>
+                                  <td className={`px-4 py-2 ${column.nullCount > 0 ? 'text-yellow-700' : 'text-gray-600'}`}>
+                                    {column.nullCount.toLocaleString()}
+                                  </td>
+                                  <td className="px-4 py-2 text-gray-600 truncate max-w-xs">{formatStatistic(column.min)}</td>
+                                  <td className="px-4 py-2 text-gray-600 truncate max-w-xs">{formatStatistic(column.max)}</td>
+                                  <td className="px-4 py-2">
+                                    <select
+                                      value={file.mapping[column.name] || ''}
+                                      onChange={(e) => setColumnTarget(file.id, column.name, e.target.value)}
+                                      className="block w-full pl-2 pr-8 py-1 text-sm border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                                    >
+                                      <option value="">Don&apos;t import</option>
+                                      {ETL_TARGET_FIELDS.map(field => (
+                                        <option
+                                          key={field}
+                                          value={field}
+                                          disabled={field !== file.mapping[column.name] && usedTargets.includes(field)}
+                                        >
+                                          {field}
+                                        </option>
+                                      ))}
+                                    </select>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+
+                        {/* Sample rows */}
+                        {file.preview.rows.length > 0 && (
+                          <div className="overflow-x-auto border-t border-gray-200">
+                            <table className="min-w-full divide-y divide-gray-200 text-xs">
+                              <thead className="bg-gray-50">
+                                <tr>
+                                  {file.preview.columns.map(column => (
+                                    <th key={column.name} className="px-3 py-2 text-left font-medium text-gray-500">{column.name}</th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody className="divide-y divide-gray-100">
+                                {file.preview.rows.map((row, rowIndex) => (
+                                  <tr key={rowIndex}>
+                                    {file.preview.columns.map(column => (
+                                      <td key={column.name} className="px-3 py-1 text-gray-700 whitespace-nowrap">
+                                        {formatStatistic(row[column.name])}
+                                      </td>
+                                    ))}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+
                   {/* Issues */}
                   {(validationResults.errors.length > 0 || validationResults.warnings.length > 0) && (
                     <div className="space-y-4">
@@ -511,6 +866,12 @@ const ManualDataUpload = () => {
                     </div>
                   )}
 
+                  {uploadState.processError && (
+                    <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                      Saving column mappings failed: {uploadState.processError}
+                    </div>
+                  )}
+
                   {/* Action Buttons */}
                   <div className="flex justify-between">
                     <button
@@ -520,89 +881,37 @@ const ManualDataUpload = () => {
                       Back to Upload
                     </button>
                     
-                    <div className="flex space-x-3">
-                      {!validationResults.isValid && (
-                        <button
-                          onClick={() => setUploadState(prev => ({ ...prev, currentStep: 1 }))}
-                          className="inline-flex items-center px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
-                        >
-                          Fix Issues
-                        </button>
-                      )}
-                      
-                      <button
-                        onClick={performUpload}
-                        disabled={!validationResults.isValid}
-                        className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
-                      >
-                        {validationResults.isValid ? 'Process Upload' : 'Cannot Process (Errors Found)'}
-                      </button>
-                    </div>
+                    <button
+                      onClick={processUpload}
+                      disabled={!validationResults.isValid}
+                      className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                      {validationResults.isValid ? 'Process Upload' : 'Cannot Process (Errors Found)'}
+                    </button>
                   </div>
                 </div>
               )}
             </div>
           )}
 
-          {/* Step 3: Upload Progress */}
+          {/* Step 3: Process */}
           {uploadState.currentStep === 3 && (
             <div className="space-y-6">
               <div className="text-center py-12">
-                {uploadState.uploading ? (
+                {uploadState.processing ? (
                   <>
-                    <div className="w-32 h-32 mx-auto mb-6">
-                      <div className="relative w-full h-full">
-                        <svg className="w-full h-full transform -rotate-90" viewBox="0 0 36 36">
-                          <path
-                            className="text-gray-300"
-                            d="M18 2.0845
-                              a 15.9155 15.9155 0 0 1 0 31.831
-                              a 15.9155 15.9155 0 0 1 0 -31.831"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="2"
-                          />
-                          <path
-                            className="text-blue-600"
-                            d="M18 2.0845
-                              a 15.9155 15.9155 0 0 1 0 31.831
-                              a 15.9155 15.9155 0 0 1 0 -31.831"
-                            fill="none"
-                            stroke="currentColor"
-                            strokeWidth="2"
-                            strokeDasharray={`${uploadState.uploadProgress}, 100`}
-                          />
-                        </svg>
-                        <div className="absolute inset-0 flex items-center justify-center">
-                          <span className="text-2xl font-bold text-gray-900">
-                            {uploadState.uploadProgress}%
-                          </span>
-                        </div>
-                      </div>
-                    </div>
-                    <h3 className="text-lg font-medium text-gray-900 mb-2">Processing Upload</h3>
-                    <p className="text-sm text-gray-600">
-                      Please wait while we process your data...
-                    </p>
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                    <p className="mt-4 text-sm text-gray-600">Saving column mappings...</p>
                   </>
                 ) : (
                   <>
                     <CheckCircle className="mx-auto h-16 w-16 text-green-500 mb-4" />
                     <h3 className="text-lg font-medium text-gray-900 mb-2">Upload Complete!</h3>
                     <p className="text-sm text-gray-600 mb-6">
-                      Your data has been successfully processed and is now available in the system.
+                      Your data has been stored with its column mapping and is ready for the ETL pipeline.
                     </p>
                     <button
-                      onClick={() => {
-                        setUploadState({
-                          files: [],
-                          dragActive: false,
-                          uploading: false,
-                          currentStep: 1,
-                          uploadProgress: 0
-                        });
-                        setValidationResults(null);
-                      }}
+                      onClick={resetUpload}
                       className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
                     >
                       Upload More Data
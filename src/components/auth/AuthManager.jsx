@@ -7,60 +7,45 @@ import React, { useState, useEffect } from 'react';
 import LoginForm from './LoginForm.jsx';
 import RegisterForm from './RegisterForm.jsx';
 import ResetPasswordForm from './ResetPasswordForm.jsx';
+import authService from '../../services/authService.js';
+
+const getResetTokenFromUrl = () => new URLSearchParams(window.location.search).get('reset_token');
 
 const AuthManager = ({ onAuthSuccess, showAuth, onClose }) => {
-  const [currentView, setCurrentView] = useState('login'); // 'login', 'register', 'reset'
+  const [resetToken, setResetToken] = useState(getResetTokenFromUrl);
+  const [currentView, setCurrentView] = useState(resetToken ? 'reset' : 'login'); // 'login', 'register', 'reset'
   const [loading, setLoading] = useState({ isLoading: false, error: null, message: null });
   const [user, setUser] = useState(null);
 
   // Check for existing session on mount
   useEffect(() => {
-    const savedUser = localStorage.getItem('esmap_user');
-    if (savedUser) {
-      try {
-        const userData = JSON.parse(savedUser);
-        setUser(userData);
-        if (onAuthSuccess) {
-          onAuthSuccess(userData);
-        }
-      } catch (error) {
-        console.error('Error parsing saved user data:', error);
-        localStorage.removeItem('esmap_user');
+    let cancelled = false;
+
+    authService.restoreSession().then((userData) => {
+      if (cancelled || !userData) return;
+      setUser(userData);
+      if (onAuthSuccess) {
+        onAuthSuccess(userData);
       }
-    }
+    });
+
+    return () => {
+      cancelled = true;
+    };
   }, [onAuthSuccess]);
 
   const handleLogin = async (credentials) => {
     setLoading({ isLoading: true, error: null });
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      // Mock authentication - in real app, this would be an API call
-      if (credentials.email === 'demo@esmap.org' && credentials.password === 'demo123') {
-        const userData = {
-          id: '1',
-          email: credentials.email,
-          name: 'Demo User',
-          role: 'analyst',
-          avatar: null,
-          createdAt: new Date().toISOString(),
-          lastLogin: new Date().toISOString()
-        };
-
-        // Save to localStorage
-        localStorage.setItem('esmap_user', JSON.stringify(userData));
-        setUser(userData);
-        
-        if (onAuthSuccess) {
-          onAuthSuccess(userData);
-        }
-
-        setLoading({ isLoading: false, error: null });
-      } else {
-        throw new Error('Invalid email or password');
+      const userData = await authService.login(credentials);
+      setUser(userData);
+      
+      if (onAuthSuccess) {
+        onAuthSuccess(userData);
       }
+
+      setLoading({ isLoading: false, error: null });
     } catch (error) {
       setLoading({ 
         isLoading: false, 
@@ -73,23 +58,7 @@ const AuthManager = ({ onAuthSuccess, showAuth, onClose }) => {
     setLoading({ isLoading: true, error: null });
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
-
-      // Mock registration - in real app, this would be an API call
-      const userData = {
-        id: Date.now().toString(),
-        email: registerData.email,
-        name: registerData.name,
-        role: 'viewer',
-        avatar: null,
-        organization: registerData.organization,
-        createdAt: new Date().toISOString(),
-        lastLogin: new Date().toISOString()
-      };
-
-      // Save to localStorage
-      localStorage.setItem('esmap_user', JSON.stringify(userData));
+      const userData = await authService.register(registerData);
       setUser(userData);
       
       if (onAuthSuccess) {
@@ -109,17 +78,36 @@ const AuthManager = ({ onAuthSuccess, showAuth, onClose }) => {
     setLoading({ isLoading: true, error: null });
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-
-      // Mock password reset - in real app, this would be an API call
-      console.log('Password reset requested for:', resetData.email);
+      const result = await authService.requestPasswordReset(resetData);
       
       setLoading({ 
         isLoading: false, 
         error: null,
-        message: 'Password reset instructions sent to your email' 
+        message: result.message || 'Password reset instructions sent to your email' 
+      });
+    } catch (error) {
+      setLoading({ 
+        isLoading: false, 
+        error: error.message || 'Password reset failed. Please try again.' 
       });
+      throw error;
+    }
+  };
+
+  const handleConfirmResetPassword = async ({ password }) => {
+    setLoading({ isLoading: true, error: null });
+
+    try {
+      const result = await authService.confirmPasswordReset({ token: resetToken, password });
+
+      // Drop the single-use token from the address bar
+      const url = new URL(window.location.href);
+      url.searchParams.delete('reset_token');
+      window.history.replaceState(null, '', url.toString());
+      setResetToken(null);
+      setCurrentView('login');
+
+      setLoading({ isLoading: false, error: null, message: result.message });
     } catch (error) {
       setLoading({ 
         isLoading: false, 
@@ -128,8 +116,8 @@ const AuthManager = ({ onAuthSuccess, showAuth, onClose }) => {
     }
   };
 
-  const handleLogout = () => {
-    localStorage.removeItem('esmap_user');
+  const handleLogout = async () => {
+    await authService.logout();
     setUser(null);
     if (onClose) {
       onClose();
@@ -169,6 +157,8 @@ const AuthManager = ({ onAuthSuccess, showAuth, onClose }) => {
         return (
           <ResetPasswordForm
             onResetPassword={handleResetPassword}
+            onConfirmResetPassword={handleConfirmResetPassword}
+            resetToken={resetToken}
             onNavigateToLogin={() => setCurrentView('login')}
             loading={loading}
           />
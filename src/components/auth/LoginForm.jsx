@@ -90,6 +90,12 @@ const LoginForm = ({
 
         {/* Login Form */}
         <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-8">
+          {loading.message && !loading.error && (
+            <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+              <p className="text-green-700 text-sm font-medium">{loading.message}</p>
+            </div>
+          )}
+
           {loading.error && (
             <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
               <div className="flex items-center">
@@ -193,12 +199,6 @@ const LoginForm = ({
           </div>
         </div>
 
-        {/* Demo Credentials */}
-        <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-xl">
-          <h3 className="text-sm font-semibold text-blue-900 mb-2">Demo Credentials</h3>
-          <p className="text-xs text-blue-700">Email: demo@esmap.org</p>
-          <p className="text-xs text-blue-700">Password: demo123</p>
-        </div>
       </div>
     </div>
   );
@@ -7,12 +7,51 @@ import React, { useState } from 'react';
 
 const ResetPasswordForm = ({
   onResetPassword,
+  onConfirmResetPassword,
   onNavigateToLogin,
+  resetToken = null,
   loading = { isLoading: false, error: null, message: null }
 }) => {
   const [email, setEmail] = useState('');
   const [validation, setValidation] = useState('');
   const [isSubmitted, setIsSubmitted] = useState(false);
+  const [passwords, setPasswords] = useState({ password: '', confirmPassword: '' });
+
+  const validatePasswords = () => {
+    let error = '';
+
+    if (!passwords.password) {
+      error = 'New password is required';
+    } else if (passwords.password.length < 8) {
+      error = 'Password must be at least 8 characters';
+    } else if (passwords.password !== passwords.confirmPassword) {
+      error = 'Passwords do not match';
+    }
+
+    setValidation(error);
+    return !error;
+  };
+
+  const handleConfirmSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validatePasswords()) {
+      return;
+    }
+
+    await onConfirmResetPassword({ password: passwords.password });
+  };
+
+  const handlePasswordChange = (field) => (e) => {
+    setPasswords(prev => ({
+      ...prev,
+      [field]: e.target.value
+    }));
+
+    if (validation) {
+      setValidation('');
+    }
+  };
 
   const validateForm = () => {
     let error = '';
@@ -51,6 +90,74 @@ const ResetPasswordForm = ({
     }
   };
 
+  if (resetToken) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-md">
+          {/* Logo and Header */}
+          <div className="text-center mb-8">
+            <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-blue-600 to-indigo-600 rounded-2xl mb-4 shadow-lg">
+              <svg className="w-8 h-8 text-white" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+              </svg>
+            </div>
+            <h1 className="text-3xl font-bold text-slate-900 mb-2">Choose a New Password</h1>
+            <p className="text-slate-600">Enter a new password for your account</p>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow-xl border border-slate-200 p-8">
+            {loading.error && (
+              <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-red-700 text-sm font-medium">{loading.error}</p>
+              </div>
+            )}
+
+            <form onSubmit={handleConfirmSubmit} className="space-y-6">
+              <div>
+                <label className="block text-sm font-semibold text-slate-700 mb-2">
+                  New Password
+                </label>
+                <input
+                  type="password"
+                  value={passwords.password}
+                  onChange={handlePasswordChange('password')}
+                  className="w-full px-4 py-3 border border-slate-300 rounded-xl transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Enter a new password"
+                  disabled={loading.isLoading}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-semibold text-slate-700 mb-2">
+                  Confirm New Password
+                </label>
+                <input
+                  type="password"
+                  value={passwords.confirmPassword}
+                  onChange={handlePasswordChange('confirmPassword')}
+                  className="w-full px-4 py-3 border border-slate-300 rounded-xl transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="Repeat the new password"
+                  disabled={loading.isLoading}
+                />
+                {validation && (
+                  <p className="mt-2 text-sm text-red-600">{validation}</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading.isLoading}
+                className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 text-white py-3 px-4 rounded-xl font-semibold shadow-lg hover:shadow-xl transform hover:-translate-y-0.5 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed disabled:transform-none"
+              >
+                {loading.isLoading ? 'Updating Password...' : 'Update Password'}
+              </button>
+            </form>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   if (isSubmitted) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50 flex items-center justify-center p-4">
@@ -76,7 +183,7 @@ const ResetPasswordForm = ({
               
               <p className="text-slate-600 text-sm">
                 If you don&apos;t see the email in your inbox, please check your spam folder.
-                The link will expire in 24 hours.
+                The link will expire in 1 hour.
               </p>
 
               <div className="pt-4 space-y-3">
@@ -198,7 +305,7 @@ const ResetPasswordForm = ({
             <div>
               <h3 className="text-sm font-semibold text-slate-700">Security Note</h3>
               <p className="text-xs text-slate-600 mt-1">
-                For your security, password reset links expire after 24 hours. 
+                For your security, password reset links expire after 1 hour. 
                 If you don&apos;t receive an email, check your spam folder or contact support.
               </p>
             </div>
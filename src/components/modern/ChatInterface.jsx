@@ -4,6 +4,7 @@
  * 
  * Features:
  * - Clean, conversational design
+ * - Answers streamed from the retrieval-augmented chat API, with numbered sources
  * - Real-time typing indicators
  * - Message history
  * - Smart suggestions
@@ -25,6 +26,7 @@ import {
   Zap,
   Clock
 } from 'lucide-react';
+import chatService, { CHAT_API_ORIGIN } from '../../services/chatService';
 
 const ChatInterface = () => {
   const [messages, setMessages] = useState([
@@ -37,6 +39,7 @@ const ChatInterface = () => {
   ]);
   const [inputValue, setInputValue] = useState('');
   const [isTyping, setIsTyping] = useState(false);
+  const [conversationId, setConversationId] = useState(null);
   const [suggestions] = useState([
     "Show me renewable energy trends for Nigeria",
     "What's the energy access rate in Bangladesh?",
@@ -56,53 +59,43 @@ const ChatInterface = () => {
   }, [messages]);
 
   const handleSendMessage = async (content = inputValue) => {
-    if (!content.trim()) return;
+    if (!content.trim() || isTyping) return;
 
     const userMessage = {
-      id: messages.length + 1,
+      id: Date.now(),
       type: 'user',
       content: content.trim(),
       timestamp: new Date()
     };
+    const botId = userMessage.id + 1;
 
-    setMessages(prev => [...prev, userMessage]);
+    setMessages(prev => [...prev, userMessage, { id: botId, type: 'bot', content: '', citations: [], timestamp: new Date() }]);
     setInputValue('');
     setIsTyping(true);
 
-    // Simulate AI response
-    setTimeout(() => {
-      const botResponse = {
-        id: messages.length + 2,
-        type: 'bot',
-        content: generateResponse(content),
-        timestamp: new Date()
-      };
-      
-      setMessages(prev => [...prev, botResponse]);
-      setIsTyping(false);
-    }, 1500);
-  };
+    const updateBotMessage = (update) => {
+      setMessages(prev => prev.map(message => (message.id === botId ? { ...message, ...update(message) } : message)));
+    };
 
-  const generateResponse = (query) => {
-    const lowerQuery = query.toLowerCase();
-    
-    if (lowerQuery.includes('nigeria') || lowerQuery.includes('renewable')) {
-      return "Based on the latest ESMAP data, Nigeria has shown significant growth in renewable energy capacity, with solar installations increasing by 45% in 2024. The country's renewable energy share has reached 23% of total generation capacity. Would you like me to show you specific metrics or compare with neighboring countries?";
-    }
-    
-    if (lowerQuery.includes('bangladesh') || lowerQuery.includes('access')) {
-      return "Bangladesh has made remarkable progress in energy access, achieving 96% electrification as of 2024. Rural areas have seen the most dramatic improvement, with off-grid solar solutions playing a crucial role. The country is now focusing on grid stability and renewable integration.";
-    }
-    
-    if (lowerQuery.includes('solar') || lowerQuery.includes('africa')) {
-      return "Sub-Saharan Africa's solar capacity has tripled since 2020, with South Africa, Kenya, and Ghana leading installations. The region now has over 12 GW of solar capacity. Mini-grid solutions are particularly effective in rural areas. I can provide detailed breakdowns by country if you'd like.";
-    }
-    
-    if (lowerQuery.includes('climate') || lowerQuery.includes('finance')) {
-      return "Climate finance for energy projects reached $23.5 billion in 2024, with 65% allocated to renewable energy infrastructure. ESMAP has facilitated $2.1 billion in clean energy investments across 34 countries. Key focus areas include grid modernization and energy storage solutions.";
+    try {
+      const saved = await chatService.ask(userMessage.content, {
+        conversationId,
+        onContext: ({ conversation_id }) => setConversationId(conversation_id),
+        onToken: (text) => {
+          setIsTyping(false);
+          updateBotMessage(message => ({ content: message.content + text }));
+        }
+      });
+      updateBotMessage(() => ({ content: saved.content, citations: saved.citations }));
+    } catch (error) {
+      console.error('Chat request failed:', error);
+      updateBotMessage(message => ({
+        content: message.content || 'Sorry, I could not answer that right now. Please try again.',
+        failed: true
+      }));
+    } finally {
+      setIsTyping(false);
     }
-    
-    return "That's an interesting question about energy systems. Based on ESMAP's comprehensive database covering 193 countries, I can provide detailed insights on energy access, renewable capacity, policy frameworks, and investment flows. Could you be more specific about what aspect you'd like to explore?";
   };
 
   const handleKeyPress = (e) => {
@@ -116,6 +109,16 @@ const ChatInterface = () => {
     return timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
+  const describeCitation = (citation) => {
+    if (citation.type === 'document') {
+      const pages = citation.page_start === citation.page_end
+        ? `p. ${citation.page_start}`
+        : `pp. ${citation.page_start}-${citation.page_end}`;
+      return [citation.section, pages].filter(Boolean).join(', ');
+    }
+    return `${citation.years.join(', ')} · ${citation.sources.join(', ')}`;
+  };
+
   return (
     <div className="container max-w-4xl py-8">
       <div className="card h-[600px] flex flex-col">
@@ -139,7 +142,7 @@ const ChatInterface = () => {
 
         {/* Messages */}
         <div className="flex-1 overflow-y-auto p-6 space-y-4">
-          {messages.map((message) => (
+          {messages.filter(message => message.content).map((message) => (
             <div
               key={message.id}
               className={`flex gap-3 ${message.type === 'user' ? 'justify-end' : 'justify-start'}`}
@@ -158,7 +161,29 @@ const ChatInterface = () => {
                       : 'bg-gray-100 text-gray-900'
                   }`}
                 >
-                  <p className="text-sm leading-relaxed">{message.content}</p>
+                  <p className={`text-sm leading-relaxed whitespace-pre-line ${message.failed ? 'text-red-700' : ''}`}>{message.content}</p>
+                  {message.citations?.length > 0 && (
+                    <ol className="mt-3 pt-3 border-t border-gray-200 space-y-1 text-xs">
+                      {message.citations.map((citation) => (
+                        <li key={citation.index} className="flex gap-1">
+                          <span className="font-medium">[{citation.index}]</span>
+                          {citation.type === 'document' ? (
+                            <a
+                              href={`${CHAT_API_ORIGIN}${citation.url}`}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-700 hover:underline"
+                            >
+                              {citation.title}
+                            </a>
+                          ) : (
+                            <span>{citation.title}</span>
+                          )}
+                          <span className="text-gray-800">({describeCitation(citation)})</span>
+                        </li>
+                      ))}
+                    </ol>
+                  )}
                 </div>
                 <div className={`flex items-center gap-1 mt-1 text-xs text-gray-800 ${
                   message.type === 'user' ? 'justify-end' : 'justify-start'
@@ -0,0 +1,139 @@
+/**
+ * Authentication Service
+ *
+ * Talks to the ESMAP AI API auth endpoints and keeps the session
+ * token and user profile in localStorage.
+ */
+
+const AUTH_CONFIG = {
+  baseUrl: 'https://esmap-ai-api.metabilityllc1.workers.dev/api/v1/auth',
+  tokenKey: 'esmap_session_token',
+  userKey: 'esmap_user'
+};
+
+/**
+ * Auth Service Class
+ * Handles registration, login, logout and password reset
+ */
+class AuthService {
+  /**
+   * POST JSON to an auth endpoint and unwrap the API response envelope
+   */
+  async request(endpoint, { method = 'POST', body, token } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(`${AUTH_CONFIG.baseUrl}${endpoint}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Non-JSON error bodies fall through to the status check below
+    }
+
+    if (!response.ok || !payload?.success) {
+      const error = new Error(payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload.data;
+  }
+
+  getToken() {
+    return localStorage.getItem(AUTH_CONFIG.tokenKey);
+  }
+
+  getStoredUser() {
+    const savedUser = localStorage.getItem(AUTH_CONFIG.userKey);
+    if (!savedUser) return null;
+
+    try {
+      return JSON.parse(savedUser);
+    } catch (error) {
+      console.error('Error parsing saved user data:', error);
+      localStorage.removeItem(AUTH_CONFIG.userKey);
+      return null;
+    }
+  }
+
+  saveSession(session) {
+    localStorage.setItem(AUTH_CONFIG.tokenKey, session.token);
+    localStorage.setItem(AUTH_CONFIG.userKey, JSON.stringify(session.user));
+    return session.user;
+  }
+
+  clearSession() {
+    localStorage.removeItem(AUTH_CONFIG.tokenKey);
+    localStorage.removeItem(AUTH_CONFIG.userKey);
+  }
+
+  async login({ email, password }) {
+    const session = await this.request('/login', { body: { email, password } });
+    return this.saveSession(session);
+  }
+
+  async register({ name, email, password, organization }) {
+    const session = await this.request('/register', {
+      body: { name, email, password, organization }
+    });
+    return this.saveSession(session);
+  }
+
+  async logout() {
+    const token = this.getToken();
+    this.clearSession();
+
+    if (token) {
+      try {
+        await this.request('/logout', { token });
+      } catch (error) {
+        console.warn('Logout request failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Validate the stored token against the API.
+   * Returns the current user, or null if there is no valid session.
+   */
+  async restoreSession() {
+    const token = this.getToken();
+    if (!token) {
+      this.clearSession();
+      return null;
+    }
+
+    try {
+      const { user } = await this.request('/me', { method: 'GET', token });
+      localStorage.setItem(AUTH_CONFIG.userKey, JSON.stringify(user));
+      return user;
+    } catch (error) {
+      if (error.status === 401) {
+        this.clearSession();
+        return null;
+      }
+      // Keep the cached profile when the API is unreachable
+      return this.getStoredUser();
+    }
+  }
+
+  async requestPasswordReset({ email }) {
+    return this.request('/reset', { body: { email } });
+  }
+
+  async confirmPasswordReset({ token, password }) {
+    return this.request('/reset/confirm', { body: { token, password } });
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
+export default authService;
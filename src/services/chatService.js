@@ -0,0 +1,132 @@
+/**
+ * Chat Service
+ *
+ * Talks to the ESMAP AI API chat endpoints. Answers stream back as
+ * server-sent events: the numbered sources first, then the answer text as it
+ * is generated, then the saved message with the sources it cited.
+ */
+
+import authService from './authService';
+
+export const CHAT_API_ORIGIN = 'https://esmap-ai-api.metabilityllc1.workers.dev';
+
+const CHAT_CONFIG = {
+  baseUrl: `${CHAT_API_ORIGIN}/api/v1/ai/chat`
+};
+
+/**
+ * Chat Service Class
+ */
+class ChatService {
+  authHeaders() {
+    const token = authService.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Call a chat endpoint with the current session and unwrap the API response envelope
+   */
+  async request(endpoint, { method = 'GET', params } = {}) {
+    const query = params
+      ? new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== '')).toString()
+      : '';
+
+    const response = await fetch(`${CHAT_CONFIG.baseUrl}${endpoint}${query ? `?${query}` : ''}`, {
+      method,
+      headers: { ...this.authHeaders(), 'Content-Type': 'application/json' }
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Non-JSON error bodies fall through to the status check below
+    }
+
+    if (!response.ok || !payload?.success) {
+      const error = new Error(payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload.data;
+  }
+
+  async listConversations({ limit, offset } = {}) {
+    return this.request('/conversations', { params: { limit, offset } });
+  }
+
+  /**
+   * A conversation with all its messages, oldest first
+   */
+  async getConversation(conversationId) {
+    return this.request(`/conversations/${conversationId}`);
+  }
+
+  async deleteConversation(conversationId) {
+    return this.request(`/conversations/${conversationId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Ask a question and stream the answer. onContext receives the conversation id
+   * and numbered sources, onToken each piece of answer text. Resolves with the
+   * saved assistant message, whose citations are the sources the answer cites.
+   */
+  async ask(message, { conversationId, topK, onContext = () => {}, onToken = () => {}, signal } = {}) {
+    const response = await fetch(CHAT_CONFIG.baseUrl, {
+      method: 'POST',
+      headers: { ...this.authHeaders(), 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message, conversation_id: conversationId, top_k: topK }),
+      signal
+    });
+
+    if (!response.ok) {
+      let payload = null;
+      try {
+        payload = await response.json();
+      } catch (error) {
+        // Non-JSON error bodies fall through to the generic message
+      }
+      const error = new Error(payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+      buffer += chunk.value;
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const block of events) {
+        const { event, data } = parseEvent(block);
+        if (event === 'context') onContext(data);
+        if (event === 'token') onToken(data.text);
+        if (event === 'done') return data.message;
+        if (event === 'error') {
+          const error = new Error(data.error);
+          error.code = data.code;
+          throw error;
+        }
+      }
+    }
+
+    throw new Error('The answer stream ended unexpectedly');
+  }
+}
+
+function parseEvent(block) {
+  let event = 'message';
+  let data = '';
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    if (line.startsWith('data:')) data += line.slice(5).trim();
+  }
+  return { event, data: data ? JSON.parse(data) : {} };
+}
+
+// Export singleton instance
+export const chatService = new ChatService();
+export default chatService;
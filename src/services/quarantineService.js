@@ -0,0 +1,98 @@
+/**
+ * Quarantine Service
+ *
+ * Talks to the ESMAP AI API quarantine endpoints, where records that failed
+ * ETL validation are reviewed, edited, released or rejected.
+ */
+
+import authService from './authService';
+
+const QUARANTINE_CONFIG = {
+  baseUrl: 'https://esmap-ai-api.metabilityllc1.workers.dev/api/v1/etl/quarantine'
+};
+
+/**
+ * Quarantine Service Class
+ */
+class QuarantineService {
+  /**
+   * Call a quarantine endpoint with the current session and unwrap the API response envelope
+   */
+  async request(endpoint, { method = 'GET', body, params } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    const token = authService.getToken();
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const query = params
+      ? new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== '')).toString()
+      : '';
+
+    const response = await fetch(`${QUARANTINE_CONFIG.baseUrl}${endpoint}${query ? `?${query}` : ''}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Non-JSON error bodies fall through to the status check below
+    }
+
+    if (!response.ok || !payload?.success) {
+      const error = new Error(payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * List quarantined records. Filters: status, sourceId, rule, field, limit, offset
+   */
+  async list(filters = {}) {
+    return this.request('', { params: filters });
+  }
+
+  async getSummary() {
+    return this.request('/summary');
+  }
+
+  async getRecord(id) {
+    return this.request(`/${id}`);
+  }
+
+  async getAudit({ limit = 50 } = {}) {
+    return this.request('/audit', { params: { limit } });
+  }
+
+  /**
+   * Save field edits; the record is re-validated and stays in quarantine
+   */
+  async edit(id, data) {
+    return this.request(`/${id}`, { method: 'PUT', body: { data } });
+  }
+
+  async release(id, { data, waiveRules, force, note } = {}) {
+    return this.request(`/${id}/release`, { method: 'POST', body: { data, waiveRules, force, note } });
+  }
+
+  async reject(id, reason) {
+    return this.request(`/${id}/reject`, { method: 'POST', body: { reason } });
+  }
+
+  /**
+   * Release every pending record whose only failures come from `rule` (and `field`, if given)
+   */
+  async bulkRelease({ rule, field, sourceId, dryRun = false, note }) {
+    return this.request('/release', { method: 'POST', body: { rule, field, sourceId, dryRun, note } });
+  }
+}
+
+// Export singleton instance
+export const quarantineService = new QuarantineService();
+export default quarantineService;
@@ -0,0 +1,174 @@
+/**
+ * Storage Service
+ *
+ * Talks to the ESMAP AI API storage endpoints. Large files are sent as
+ * resumable multipart uploads: the server tracks which parts have arrived,
+ * so an interrupted upload picks up from the first missing part.
+ */
+
+import authService from './authService';
+
+const STORAGE_CONFIG = {
+  baseUrl: 'https://esmap-ai-api.metabilityllc1.workers.dev/api/v1/storage',
+  resumeKeyPrefix: 'esmap_upload:'
+};
+
+/**
+ * Storage Service Class
+ */
+class StorageService {
+  authHeaders() {
+    const token = authService.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Call a storage endpoint with the current session and unwrap the API response envelope
+   */
+  async request(endpoint, { method = 'GET', body, params, rawBody, signal } = {}) {
+    const headers = {
+      ...this.authHeaders(),
+      'Content-Type': rawBody === undefined ? 'application/json' : 'application/octet-stream'
+    };
+
+    const query = params
+      ? new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined && value !== '')).toString()
+      : '';
+
+    const response = await fetch(`${STORAGE_CONFIG.baseUrl}${endpoint}${query ? `?${query}` : ''}`, {
+      method,
+      headers,
+      body: rawBody !== undefined ? rawBody : body ? JSON.stringify(body) : undefined,
+      signal
+    });
+
+    let payload = null;
+    try {
+      payload = await response.json();
+    } catch (error) {
+      // Non-JSON error bodies fall through to the status check below
+    }
+
+    if (!response.ok || !payload?.success) {
+      const error = new Error(payload?.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Start a resumable upload. Options: category, accessLevel, tags, metadata, partSize
+   */
+  async createUpload(filename, size, options = {}) {
+    return this.request('/uploads', { method: 'POST', body: { filename, size, ...options } });
+  }
+
+  /**
+   * An upload's progress, including the part numbers received so far
+   */
+  async getUpload(sessionId) {
+    return this.request(`/uploads/${sessionId}`);
+  }
+
+  async listUploads({ status } = {}) {
+    return this.request('/uploads', { params: { status } });
+  }
+
+  async uploadPart(sessionId, partNumber, blob, { signal } = {}) {
+    return this.request(`/uploads/${sessionId}/parts/${partNumber}`, { method: 'PUT', rawBody: blob, signal });
+  }
+
+  async completeUpload(sessionId) {
+    return this.request(`/uploads/${sessionId}/complete`, { method: 'POST' });
+  }
+
+  async abortUpload(sessionId) {
+    this.forgetSession(sessionId);
+    return this.request(`/uploads/${sessionId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * First rows of a stored CSV, TSV, JSON or XLSX file with its inferred column types,
+   * null counts and min/max. Options: rows (0-200), sheet
+   */
+  async previewFile(fileId, { rows, sheet } = {}) {
+    return this.request(`/files/${fileId}/preview`, { params: { rows, sheet } });
+  }
+
+  /**
+   * Save how a file's columns map onto ETL fields: [{ sourceField, targetField }]
+   */
+  async setColumnMappings(fileId, mappings) {
+    return this.request(`/files/${fileId}/mappings`, { method: 'PUT', body: { mappings } });
+  }
+
+  /**
+   * Files are matched to their unfinished upload by name, size and modification time
+   */
+  resumeKey(file) {
+    return `${STORAGE_CONFIG.resumeKeyPrefix}${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  forgetSession(sessionId) {
+    for (const key of Object.keys(localStorage)) {
+      if (key.startsWith(STORAGE_CONFIG.resumeKeyPrefix) && localStorage.getItem(key) === sessionId) {
+        localStorage.removeItem(key);
+      }
+    }
+  }
+
+  /**
+   * The server-side state of an unfinished upload of this file, or null if there is nothing to resume
+   */
+  async findResumableUpload(file) {
+    const sessionId = localStorage.getItem(this.resumeKey(file));
+    if (!sessionId) return null;
+
+    try {
+      const session = await this.getUpload(sessionId);
+      if (session.status === 'uploading') return session;
+    } catch (error) {
+      if (error.status !== 404) throw error;
+    }
+
+    localStorage.removeItem(this.resumeKey(file));
+    return null;
+  }
+
+  /**
+   * Upload a file part by part, resuming an earlier attempt when one exists.
+   * onProgress receives { bytesUploaded, size, progress } after every part.
+   * Resolves to the stored file's metadata.
+   */
+  async uploadResumable(file, options = {}, onProgress = () => {}, { signal } = {}) {
+    let session = await this.findResumableUpload(file);
+
+    if (!session) {
+      session = await this.createUpload(file.name, file.size, options);
+      localStorage.setItem(this.resumeKey(file), session.id);
+    }
+
+    const received = new Set(session.uploadedParts || []);
+    onProgress({ bytesUploaded: session.bytesUploaded, size: file.size, progress: session.progress });
+
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      if (received.has(partNumber)) continue;
+
+      const start = (partNumber - 1) * session.partSize;
+      const blob = file.slice(start, Math.min(start + session.partSize, file.size));
+      const result = await this.uploadPart(session.id, partNumber, blob, { signal });
+
+      onProgress({ bytesUploaded: result.bytesUploaded, size: file.size, progress: result.progress });
+    }
+
+    const { file: stored } = await this.completeUpload(session.id);
+    localStorage.removeItem(this.resumeKey(file));
+    return stored;
+  }
+}
+
+// Export singleton instance
+export const storageService = new StorageService();
+export default storageService;